@@ -0,0 +1,175 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import nodePath from "node:path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+
+import * as eslintModule from "eslint";
+
+import { extractStrings, extractToConstants, formatRecords } from "../../src/cli/extract-strings.js";
+import { runCli } from "../../src/cli/index.js";
+
+/**
+ * Resolve a fixture project folder
+ * @param {string} name - Folder name inside _tests_/cli/fixtures
+ * @returns {string} - Absolute path
+ */
+const fixtureProject = (name) => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+/**
+ * Create an output stream that records what is written to it
+ * @returns {{text: string, write: Function}} - Stream
+ */
+const createStream = () => {
+    const stream = { text: "" };
+
+    stream.write = (chunk) => {
+        stream.text += chunk;
+    };
+
+    return stream;
+};
+
+describe("extract-strings", () => {
+    it("extracts reported strings with category, key and JSX context", async () => {
+        const { errors, fileCount, records } = await extractStrings({
+            cwd: fixtureProject("plain"),
+            eslintModule,
+            paths: ["src"],
+        });
+
+        assert.equal(fileCount, 2);
+        assert.deepEqual(errors, [{ file: "src/broken.js", message: "1:7 Parsing error: Unexpected token =" }]);
+        assert.deepEqual(records.map(({ category, context, key, line, text }) => ({ category, context, key, line, text })), [
+            { category: "ui", context: "<h1 title>", key: "goToTheHomePage", line: 3, text: "Go to the home page" },
+            { category: "ui", context: "<h1>", key: "welcomeBack", line: 3, text: "Welcome back" },
+            { category: "role", context: "<header>", key: "ADMIN", line: 4, text: "admin" },
+            { category: "ui", context: "<span>", key: "adminTools", line: 4, text: "Admin \"tools\"" },
+            { category: "httpMethod", context: "", key: "GET", line: 8, text: "GET" },
+        ]);
+        assert.ok(records.every(({ file }) => file === "src/Header.jsx"));
+    });
+
+    it("uses the rule options from the project's ESLint config", async () => {
+        const { records } = await extractStrings({
+            cwd: fixtureProject("configured"),
+            eslintModule,
+            paths: ["src"],
+        });
+
+        assert.ok(!records.some(({ text }) => text === "Go to the home page"));
+        assert.equal(records.length, 4);
+    });
+
+    it("formats records as CSV and PO", () => {
+        const records = [
+            { category: "ui", column: 5, context: "<p>", file: "src/a.jsx", key: "saveChanges", line: 1, text: "Save, \"now\"" },
+            { category: "ui", column: 9, context: "", file: "src/b.js", key: "saveChanges", line: 7, text: "Save, \"now\"" },
+        ];
+
+        assert.equal(formatRecords(records, "csv"), [
+            "text,category,key,file,line,column,context",
+            "\"Save, \"\"now\"\"\",ui,saveChanges,src/a.jsx,1,5,<p>",
+            "\"Save, \"\"now\"\"\",ui,saveChanges,src/b.js,7,9,",
+            "",
+        ].join("\n"));
+        assert.equal(formatRecords(records, "po"), [
+            "msgid \"\"",
+            "msgstr \"\"",
+            "\"Content-Type: text/plain; charset=UTF-8\\n\"",
+            "",
+            "#. key: saveChanges",
+            "#. category: ui",
+            "#. context: <p>",
+            "#: src/a.jsx:1",
+            "#: src/b.js:7",
+            "msgid \"Save, \\\"now\\\"\"",
+            "msgstr \"\"",
+            "",
+        ].join("\n"));
+    });
+
+    it("runs from the command line and rejects unknown formats", async () => {
+        const stdout = createStream();
+        const stderr = createStream();
+        const io = { cwd: fixtureProject("configured"), stderr, stdout };
+
+        assert.equal(await runCli(["extract-strings", "src", "--format", "json"], io), 0);
+        assert.equal(JSON.parse(stdout.text).length, 4);
+        assert.match(stderr.text, /Extracted 4 strings from 1 files/);
+
+        assert.equal(await runCli(["extract-strings", "--format=xml"], io), 2);
+        assert.equal(await runCli(["unknown-command"], io), 2);
+    });
+});
+
+describe("extract-strings --write", () => {
+    // The codemod writes files, so every test runs on a copy of the fixture project
+    let cwd = "";
+
+    const readSource = (file) => fs.readFileSync(nodePath.join(cwd, "src", file), "utf8");
+
+    beforeEach(() => {
+        cwd = fs.mkdtempSync(nodePath.join(os.tmpdir(), "code-style-extract-strings-"));
+        fs.cpSync(fixtureProject("extract"), cwd, { recursive: true });
+    });
+
+    afterEach(() => {
+        fs.rmSync(cwd, { force: true, recursive: true });
+    });
+
+    it("replaces strings with constants, adds the imports and appends the constants to the modules", async () => {
+        const { changes, errors, exports, fileCount, skipped } = await extractToConstants({ cwd, eslintModule, paths: ["src"] });
+
+        assert.equal(fileCount, 3);
+        assert.deepEqual(errors, []);
+        assert.deepEqual(changes.find(({ file }) => file === "src/components/Header.jsx").replacements, [
+            { name: "manageYourTeam", source: "@/strings", text: "Manage your team" },
+            { name: "ADMIN", source: "@/enums", text: "admin" },
+            { name: "adminTools", source: "@/strings", text: "Admin tools" },
+        ]);
+        assert.deepEqual(exports, [
+            { file: "src/strings/index.js", isNew: false, name: "manageYourTeam", value: "Manage your team" },
+            { file: "src/enums.js", isNew: true, name: "ADMIN", value: "admin" },
+            { file: "src/strings/index.js", isNew: false, name: "adminTools", value: "Admin tools" },
+        ]);
+        assert.deepEqual(skipped.map(({ file, line }) => `${file}:${line}`), ["src/components/Footer.jsx:6", "src/components/Footer.jsx:6"]);
+
+        assert.equal(readSource("components/Header.jsx"), [
+            "import { welcomeBack, manageYourTeam, adminTools } from \"@/strings\";",
+            "import { ADMIN } from \"@/enums\";",
+            "",
+            "export const Header = ({ role }) => (",
+            "    <header>",
+            "        <h1>{welcomeBack}</h1>",
+            "        <p>{manageYourTeam}</p>",
+            "        {role === ADMIN && <span>{adminTools}</span>}",
+            "    </header>",
+            ");",
+            "",
+        ].join("\n"));
+        assert.match(readSource("components/Footer.jsx"), /^import \{ manageYourTeam \} from "@\/strings";\n\n/);
+        assert.match(readSource("components/Footer.jsx"), /`Showing \$\{count\} of your projects`/);
+        assert.equal(readSource("strings/index.js"), [
+            "export const welcomeBack = \"Welcome back\";",
+            "",
+            "export const manageYourTeam = \"Manage your team\";",
+            "",
+            "export const adminTools = \"Admin tools\";",
+            "",
+        ].join("\n"));
+        assert.equal(readSource("enums.js"), "export const ADMIN = \"admin\";\n");
+    });
+
+    it("runs from the command line and lists the strings left in place", async () => {
+        const stdout = createStream();
+        const stderr = createStream();
+
+        assert.equal(await runCli(["extract-strings", "--write"], { cwd, stderr, stdout }), 0);
+        assert.match(stdout.text, /src\/components\/Footer\.jsx\n {2}"Manage your team" → manageYourTeam from @\/strings\n/);
+        assert.match(stdout.text, /src\/enums\.js \(created\)\n {2}\+ export const ADMIN = "admin";\n/);
+        assert.match(stderr.text, /src\/components\/Footer\.jsx:6:17: left in place, Hardcoded UI string "Showing "/);
+        assert.match(stderr.text, /Replaced 4 strings in 2 of 3 files and added 3 constants to 2 modules/);
+    });
+});
@@ -0,0 +1,141 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import nodePath from "node:path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+
+import * as eslintModule from "eslint";
+
+import { fixNames } from "../../src/cli/fix-names.js";
+import { runCli } from "../../src/cli/index.js";
+
+const FIXTURE = fileURLToPath(new URL("./fixtures/rename", import.meta.url));
+
+/**
+ * Create an output stream that records what is written to it
+ * @returns {{text: string, write: Function}} - Stream
+ */
+const createStream = () => {
+    const stream = { text: "" };
+
+    stream.write = (chunk) => {
+        stream.text += chunk;
+    };
+
+    return stream;
+};
+
+describe("fix-names", () => {
+    // The codemod writes files, so every test runs on a copy of the fixture project
+    let cwd = "";
+
+    const readSource = (file) => fs.readFileSync(nodePath.join(cwd, "src", file), "utf8");
+
+    beforeEach(() => {
+        cwd = fs.mkdtempSync(nodePath.join(os.tmpdir(), "code-style-fix-names-"));
+        fs.cpSync(FIXTURE, cwd, { recursive: true });
+    });
+
+    afterEach(() => {
+        fs.rmSync(cwd, { force: true, recursive: true });
+    });
+
+    it("renames exported declarations and updates importers, barrels and namespace imports", async () => {
+        const { changes, conflicts, errors, fileCount } = await fixNames({ cwd, eslintModule, paths: ["src"] });
+
+        assert.equal(fileCount, 13);
+        assert.deepEqual(errors, []);
+        assert.deepEqual(changes.find(({ file }) => file === "src/utils/api.js").renames, [
+            { from: "FetchUsers", isExported: true, to: "fetchUsersHandler" },
+        ]);
+        assert.deepEqual(conflicts, [{ file: "src/utils/title.js", from: "getTitle", line: 1, to: "getTitleHandler" }]);
+
+        assert.match(readSource("utils/format.js"), /export const formatDateHandler = /);
+        assert.match(readSource("utils/format.js"), /export const maxRetries = 3;/);
+        assert.match(readSource("utils/index.js"), /export \{ formatDateHandler \} from "\.\/format";/);
+        assert.match(readSource("services/user-service.js"), /return new UserServiceClass\(\);/);
+        assert.match(readSource("utils/title.js"), /export const getTitle = /);
+        assert.match(readSource("utils/user.js"), /export const getUserHandler = /);
+
+        const card = readSource("components/card.jsx");
+
+        assert.match(card, /import \{ fetchUsersHandler as loadUsers, formatDateHandler \} from "@\/utils";/);
+        assert.match(card, /import \{ UserServiceClass \} from "\.\.\/services\/user-service";/);
+        assert.match(card, /\{format\.maxRetries\}/);
+        assert.match(card, /\{formatDateHandler\(date\)\}/);
+    });
+
+    it("aliases an import when its new name is already declared in the importing file", async () => {
+        await fixNames({ cwd, eslintModule, paths: ["src"] });
+
+        const list = readSource("components/list.jsx");
+
+        assert.match(list, /import \{ formatDateHandler as formatDate \} from "\.\.\/utils\/format";/);
+        assert.match(list, /items\.map\(formatDate\)/);
+    });
+
+    it("renames the export of a declaration exported with export { name }", async () => {
+        await fixNames({ cwd, eslintModule, paths: ["src"] });
+
+        assert.match(readSource("utils/session.js"), /const fetchSessionHandler = /);
+        assert.match(readSource("utils/session.js"), /export \{ fetchSessionHandler \};/);
+    });
+
+    it("follows barrels that import a name and export it again", async () => {
+        await fixNames({ cwd, eslintModule, paths: ["src"] });
+
+        assert.match(readSource("dates/index.js"), /import \{ formatDateHandler \} from "\.\.\/utils\/format";/);
+        assert.match(readSource("dates/index.js"), /import \{ maxRetries as retries \} from "\.\.\/utils\/format";/);
+        assert.match(readSource("dates/index.js"), /export \{ formatDateHandler, retries as maxRetries \};/);
+        assert.match(readSource("components/calendar.jsx"), /import \{ maxRetries, formatDateHandler \} from "\.\.\/dates";/);
+        assert.match(readSource("components/calendar.jsx"), /\{formatDateHandler\(date\)\}/);
+    });
+
+    it("renames members of require() and awaited import() results and lists the uses it cannot follow", async () => {
+        const { unresolved } = await fixNames({ cwd, eslintModule, paths: ["src"] });
+        const report = readSource("legacy/report.js");
+
+        assert.match(report, /const \{ formatDateHandler: formatDate \} = require\("\.\.\/utils\/format"\);/);
+        assert.match(report, /const \{ fetchSessionHandler: loadSession \} = require\("\.\.\/utils\/session"\);/);
+        assert.match(report, /format\.maxRetries/);
+        assert.match(report, /require\("\.\.\/utils\/format"\)\.formatDateHandler/);
+        assert.match(readSource("legacy/loader.js"), /\(await import\("\.\.\/utils\/format"\)\)\.formatDateHandler/);
+        assert.deepEqual(unresolved, [{ file: "src/legacy/loader.js", line: 3, module: "import(\"../utils/format\")" }]);
+    });
+
+    it("skips a rename when the new name is declared in a scope referencing the declaration", async () => {
+        fs.writeFileSync(nodePath.join(cwd, "src/utils/retry.js"), [
+            "const MAX_RETRIES = 3;",
+            "",
+            "export const getRetryCount = () => {",
+            "    const maxRetries = 5;",
+            "",
+            "    return MAX_RETRIES + maxRetries;",
+            "};",
+            "",
+        ].join("\n"));
+
+        const { conflicts } = await fixNames({ cwd, eslintModule, paths: ["src"] });
+
+        assert.deepEqual(conflicts.filter(({ file }) => file === "src/utils/retry.js"), [
+            { file: "src/utils/retry.js", from: "MAX_RETRIES", line: 1, to: "maxRetries" },
+        ]);
+        assert.match(readSource("utils/retry.js"), /const MAX_RETRIES = 3;/);
+        assert.match(readSource("utils/retry.js"), /return MAX_RETRIES \+ maxRetries;/);
+    });
+
+    it("runs from the command line without writing files in dry-run mode", async () => {
+        const stdout = createStream();
+        const stderr = createStream();
+        const before = readSource("components/card.jsx");
+
+        assert.equal(await runCli(["fix-names", "--dry-run", "src"], { cwd, stderr, stdout }), 0);
+        assert.equal(readSource("components/card.jsx"), before);
+        assert.match(stdout.text, /src\/utils\/format\.js\n {2}formatDate → formatDateHandler\n {2}MAX_RETRIES → maxRetries\n/);
+        assert.match(stdout.text, /src\/components\/card\.jsx\n {2}4 import\/export references updated\n/);
+        assert.match(stderr.text, /src\/utils\/title\.js:1: skipped getTitle → getTitleHandler/);
+        assert.match(stderr.text, /src\/legacy\/loader\.js:3: import\("\.\.\/utils\/format"\) is used in a way that cannot be followed/);
+        assert.match(stderr.text, /Renamed 6 names \(6 exported\) in 12 of 13 files \(dry run, no files written\)/);
+    });
+});
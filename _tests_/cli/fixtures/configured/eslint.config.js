@@ -0,0 +1,10 @@
+import { noHardcodedStrings } from "../../../../src/rules/strings.js";
+
+export default [
+    {
+        files: ["**/*.jsx"],
+        languageOptions: { parserOptions: { ecmaFeatures: { jsx: true } } },
+        plugins: { "code-style": { rules: { "no-hardcoded-strings": noHardcodedStrings } } },
+        rules: { "code-style/no-hardcoded-strings": ["error", { extraIgnoreAttributes: ["title"] }] },
+    },
+];
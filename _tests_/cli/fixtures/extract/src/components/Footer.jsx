@@ -0,0 +1,6 @@
+export const Footer = ({ count }) => (
+    <footer>
+        <p>Manage your team</p>
+        <small>{`Showing ${count} of your projects`}</small>
+    </footer>
+);
@@ -0,0 +1,9 @@
+import { welcomeBack } from "@/strings";
+
+export const Header = ({ role }) => (
+    <header>
+        <h1>{welcomeBack}</h1>
+        <p>Manage your team</p>
+        {role === "admin" && <span>Admin tools</span>}
+    </header>
+);
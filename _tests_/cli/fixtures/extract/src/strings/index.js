@@ -0,0 +1 @@
+export const welcomeBack = "Welcome back";
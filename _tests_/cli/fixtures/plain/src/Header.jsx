@@ -0,0 +1,8 @@
+export const Header = ({ role }) => (
+    <header>
+        <h1 title="Go to the home page">Welcome back</h1>
+        {role === "admin" && <span>Admin "tools"</span>}
+    </header>
+);
+
+export const fetchUsers = () => fetch("/api/users", { method: "GET" });
@@ -0,0 +1 @@
+const = "Broken file";
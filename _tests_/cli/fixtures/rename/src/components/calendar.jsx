@@ -0,0 +1,3 @@
+import { MAX_RETRIES, formatDate } from "../dates";
+
+export const Calendar = ({ date }) => <time data-retries={MAX_RETRIES}>{formatDate(date)}</time>;
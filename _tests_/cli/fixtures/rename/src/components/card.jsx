@@ -0,0 +1,10 @@
+import { FetchUsers as loadUsers, formatDate } from "@/utils";
+import * as format from "../utils/format";
+import { UserService } from "../services/user-service";
+
+export const Card = ({ date }) => (
+    <p onClick={() => loadUsers(UserService.createHandler())}>
+        {formatDate(date)}
+        {format.MAX_RETRIES}
+    </p>
+);
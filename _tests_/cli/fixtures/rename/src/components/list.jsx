@@ -0,0 +1,5 @@
+import { formatDate } from "../utils/format";
+
+const formatDateHandler = (items) => items.map(formatDate);
+
+export const List = ({ items }) => <ul>{formatDateHandler(items)}</ul>;
@@ -0,0 +1,4 @@
+import { formatDate } from "../utils/format";
+import { MAX_RETRIES as retries } from "../utils/format";
+
+export { formatDate, retries as MAX_RETRIES };
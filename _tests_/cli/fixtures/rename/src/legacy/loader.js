@@ -0,0 +1,3 @@
+export const loadFormatterHandler = async () => (await import("../utils/format")).formatDate;
+
+export const loadFormatModuleHandler = () => import("../utils/format").then((module) => module);
@@ -0,0 +1,5 @@
+const { formatDate } = require("../utils/format");
+const format = require("../utils/format");
+const { fetch_session_handler: loadSession } = require("../utils/session");
+
+export const reportLines = [formatDate, format.MAX_RETRIES, require("../utils/format").formatDate, loadSession];
@@ -0,0 +1,5 @@
+export class UserService {
+    static createHandler() {
+        return new UserService();
+    }
+}
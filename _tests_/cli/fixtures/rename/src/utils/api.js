@@ -0,0 +1,3 @@
+export function FetchUsers() {
+    return fetch("/users");
+}
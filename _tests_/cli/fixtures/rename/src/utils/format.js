@@ -0,0 +1,3 @@
+export const formatDate = (date) => date.toISOString();
+
+export const MAX_RETRIES = 3;
@@ -0,0 +1,3 @@
+const fetch_session_handler = () => fetch("/session");
+
+export { fetch_session_handler };
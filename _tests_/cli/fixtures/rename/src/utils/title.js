@@ -0,0 +1,5 @@
+export const getTitle = () => "";
+
+const getTitleHandler = () => "";
+
+export { getTitleHandler as getFallbackTitleHandler };
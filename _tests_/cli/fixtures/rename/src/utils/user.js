@@ -0,0 +1 @@
+export const get_user_handler = () => fetch("/user");
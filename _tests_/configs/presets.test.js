@@ -0,0 +1,106 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import tsParser from "@typescript-eslint/parser";
+import { ESLint as ESLintV10 } from "eslint";
+import { ESLint as ESLintV9 } from "eslint-v9";
+
+// Replaced by esbuild at build time; src/index.js reads it when the plugin object is created
+globalThis.__VERSION__ = "0.0.0-test";
+
+const { default: plugin } = await import("../../src/index.js");
+
+// Every preset is loaded once per supported ESLint major version
+const ESLINT_VERSIONS = [
+    { ESLint: ESLintV9, name: "ESLint 9" },
+    { ESLint: ESLintV10, name: "ESLint 10" },
+];
+
+const PRESET_NAMES = ["all", "react", "recommended", "tailwind", "typescript"];
+
+// The parser block the README asks TypeScript projects to add next to the presets
+const TS_PARSER_CONFIG = {
+    files: ["**/*.{ts,tsx,mts,cts}"],
+    languageOptions: { parser: tsParser },
+};
+
+/**
+ * Create an ESLint instance linting with the given flat config only
+ * @param {Function} ESLint - ESLint class of the version under test
+ * @param {Object[]} config - Flat config array
+ * @returns {Object} - ESLint instance
+ */
+const createESLint = (ESLint, config) => new ESLint({
+    overrideConfig: config,
+    overrideConfigFile: true,
+});
+
+/**
+ * Get the rule names a preset enables, without the plugin namespace
+ * @param {string} presetName - Preset key on plugin.configs
+ * @returns {string[]} - Sorted rule names
+ */
+const getPresetRuleNames = (presetName) => Object.keys(plugin.configs[presetName].rules)
+    .map((ruleId) => ruleId.replace("code-style/", ""))
+    .sort();
+
+describe("plugin.configs", () => {
+    it("exposes every preset", () => {
+        assert.deepEqual(Object.keys(plugin.configs).sort(), PRESET_NAMES);
+    });
+
+    it("only enables rules the plugin defines", () => {
+        const ruleNames = Object.keys(plugin.rules);
+
+        PRESET_NAMES.forEach((presetName) => {
+            getPresetRuleNames(presetName).forEach((ruleName) => assert.ok(ruleNames.includes(ruleName), `${presetName}: ${ruleName}`));
+        });
+    });
+
+    it("enables every rule in the all preset", () => {
+        assert.deepEqual(getPresetRuleNames("all"), Object.keys(plugin.rules).sort());
+    });
+
+    it("adds framework rules on top of recommended in the react preset", () => {
+        const reactRuleNames = getPresetRuleNames("react");
+
+        getPresetRuleNames("recommended").forEach((ruleName) => assert.ok(reactRuleNames.includes(ruleName), ruleName));
+        assert.ok(reactRuleNames.includes("react-code-order"));
+        assert.ok(!getPresetRuleNames("recommended").includes("react-code-order"));
+    });
+
+    ESLINT_VERSIONS.forEach(({ ESLint, name }) => {
+        describe(name, () => {
+            PRESET_NAMES.forEach((presetName) => {
+                it(`loads the ${presetName} preset and enables its rules at "error"`, async () => {
+                    const eslint = createESLint(ESLint, [plugin.configs[presetName], TS_PARSER_CONFIG]);
+                    const filePath = presetName === "typescript" ? "src/app.tsx" : "src/app.jsx";
+                    const config = await eslint.calculateConfigForFile(filePath);
+
+                    Object.keys(plugin.configs[presetName].rules).forEach((ruleId) => {
+                        assert.deepEqual(config.rules[ruleId], [2], ruleId);
+                    });
+                });
+            });
+
+            it("reports through the rules of a loaded preset", async () => {
+                const eslint = createESLint(ESLint, [plugin.configs.recommended]);
+                const [result] = await eslint.lintText("const buttonLabel = \"Save\";\nexport const user_name = buttonLabel;\n", { filePath: "src/app.js" });
+
+                assert.equal(result.fatalErrorCount, 0);
+                assert.ok(result.messages.some(({ ruleId }) => ruleId === "code-style/variable-naming-convention"));
+            });
+
+            it("applies the typescript preset to TypeScript files only", async () => {
+                const eslint = createESLint(ESLint, [plugin.configs.recommended, plugin.configs.typescript, TS_PARSER_CONFIG]);
+                const jsConfig = await eslint.calculateConfigForFile("src/app.js");
+                const tsConfig = await eslint.calculateConfigForFile("src/app.ts");
+                const [result] = await eslint.lintText("export interface UserProps { name: string }\n", { filePath: "src/app.ts" });
+
+                assert.equal(jsConfig.rules["code-style/type-format"], undefined);
+                assert.deepEqual(tsConfig.rules["code-style/type-format"], [2]);
+                assert.equal(result.fatalErrorCount, 0);
+            });
+        });
+    });
+});
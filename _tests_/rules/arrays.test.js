@@ -0,0 +1,281 @@
+import { arrayCallbackDestructure, arrayItemsPerLine, arrayObjectsOnNewLines } from "../../src/rules/arrays.js";
+
+import { runRuleTests, typescript } from "./rule-tester.js";
+
+runRuleTests("array-callback-destructure", arrayCallbackDestructure, {
+    invalid: [
+        {
+            code: "items.map(({ name, value }) => name + value);",
+            errors: [{ messageId: "destructuredPropertiesArrayCallback" }],
+            output: `items.map(({
+    name,
+    value,
+}) => name + value);`,
+        },
+        {
+            code: "items.filter(({ id, isActive }) => isActive && id);",
+            errors: [{ messageId: "destructuredPropertiesArrayCallback" }],
+            output: `items.filter(({
+    id,
+    isActive,
+}) => isActive && id);`,
+        },
+        {
+            code: `const List = () => {
+    return items.map(({ id, name }) => <Item key={id} name={name} />);
+};`,
+            errors: [{ messageId: "destructuredPropertiesArrayCallback" }],
+            output: `const List = () => {
+    return items.map(({
+        id,
+        name,
+    }) => <Item key={id} name={name} />);
+};`,
+        },
+        {
+            code: "items.reduce((total, { price, quantity, ...discount }) => total + price * quantity, 0);",
+            errors: [{ messageId: "destructuredPropertiesArrayCallback" }],
+            output: `items.reduce((total, {
+    price,
+    quantity,
+    ...discount
+}) => total + price * quantity, 0);`,
+        },
+        {
+            code: `items.map(({
+    id,
+    name }) => name);`,
+            errors: [{ messageId: "closingBraceOwnLine" }],
+            output: `items.map(({
+    id,
+    name,
+}) => name);`,
+        },
+        {
+            code: "items.map(({ id, /* label */ name }) => name);",
+            errors: [{ messageId: "destructuredPropertiesArrayCallback" }],
+            output: null,
+        },
+        ...typescript([
+            {
+                code: "items.map(({ id, name }: Item) => name);",
+                errors: [{ messageId: "destructuredPropertiesArrayCallback" }],
+                output: `items.map(({
+    id,
+    name,
+}: Item) => name);`,
+            },
+        ]),
+    ],
+    valid: [
+        `items.map(({
+    name,
+    value,
+}) => name + value);`,
+        "items.map(({ name }) => name);",
+        "items.map((item) => item.name);",
+    ],
+});
+
+runRuleTests("array-items-per-line", arrayItemsPerLine, {
+    invalid: [
+        {
+            code: "const items = [1, 2, 3, 4, 5];",
+            errors: [
+                { messageId: "firstArrayItemOwn" },
+                { messageId: "eachArrayItemOwn" },
+                { messageId: "eachArrayItemOwn" },
+                { messageId: "eachArrayItemOwn" },
+                { messageId: "eachArrayItemOwn" },
+                { messageId: "closingBracketOwnLine" },
+            ],
+            output: `const items = [
+    1,
+    2,
+    3,
+    4,
+    5,
+];`,
+        },
+        {
+            code: `const items = [item1,
+    item2, item3, item4];`,
+            errors: [
+                { messageId: "firstArrayItemOwn" },
+                { messageId: "eachArrayItemOwn" },
+                { messageId: "eachArrayItemOwn" },
+                { messageId: "closingBracketOwnLine" },
+            ],
+            output: `const items = [
+    item1,
+    item2,
+    item3,
+    item4,
+];`,
+        },
+        {
+            code: `const items = [
+    1,
+    2,
+];`,
+            errors: [{ messageId: "arraySimpleItemsSingle" }],
+            output: "const items = [1, 2];",
+        },
+        {
+            code: "const items = [1, 2, 3];",
+            errors: [
+                { messageId: "firstArrayItemOwn" },
+                { messageId: "eachArrayItemOwn" },
+                { messageId: "eachArrayItemOwn" },
+                { messageId: "closingBracketOwnLine" },
+            ],
+            options: [{ maxItems: 2 }],
+            output: `const items = [
+    1,
+    2,
+    3,
+];`,
+        },
+        {
+            code: `const config = {
+    steps: [first, second, third,
+        fourth],
+};`,
+            errors: [
+                { messageId: "firstArrayItemOwn" },
+                { messageId: "eachArrayItemOwn" },
+                { messageId: "eachArrayItemOwn" },
+                { messageId: "closingBracketOwnLine" },
+            ],
+            output: `const config = {
+    steps: [
+        first,
+        second,
+        third,
+        fourth,
+    ],
+};`,
+        },
+        {
+            code: `const items = [
+    first,
+
+    second,
+    third,
+    fourth,
+];`,
+            errors: [{ messageId: "noEmptyLinesBetween" }],
+            output: `const items = [
+    first,
+    second,
+    third,
+    fourth,
+];`,
+        },
+        {
+            code: `const items = [
+    first,
+    // second step
+    second,
+];`,
+            errors: [{ messageId: "arraySimpleItemsSingle" }],
+            output: null,
+        },
+        {
+            code: "const items = [ first, , second ];",
+            errors: [{ messageId: "noSpacesInsideArray" }],
+            output: null,
+        },
+    ],
+    valid: [
+        "const items = [1, 2, 3];",
+        `const items = [
+    item1,
+    item2,
+    item3,
+    item4,
+];`,
+        { code: "const items = [1, 2, 3, 4, 5];", options: [{ maxItems: 5 }] },
+        "const items = [];",
+        `const items = [
+    first,
+    // middle
+    second,
+    third,
+    fourth,
+];`,
+        `const items = [
+    getLabel(
+        user,
+    ),
+];`,
+    ],
+});
+
+runRuleTests("array-objects-on-new-lines", arrayObjectsOnNewLines, {
+    invalid: [
+        {
+            code: `const items = [{ id: 1, name: "first" },
+    { id: 2, name: "second" }];`,
+            errors: [
+                { messageId: "firstObjectArrayStart" },
+                { messageId: "closingBracketOwnLine" },
+            ],
+            output: `const items = [
+    { id: 1, name: "first" },
+    { id: 2, name: "second" },
+];`,
+        },
+        {
+            code: `const items = [
+    { id: 1 }, { id: 2 },
+];`,
+            errors: [{ messageId: "eachObjectArrayStart" }],
+            output: `const items = [
+    { id: 1 },
+    { id: 2 },
+];`,
+        },
+        {
+            code: `const config = {
+    users: [{
+        id: 1,
+        name: "first",
+    }, { id: 2 }],
+};`,
+            errors: [
+                { messageId: "firstObjectArrayStart" },
+                { messageId: "eachObjectArrayStart" },
+                { messageId: "closingBracketOwnLine" },
+            ],
+            output: `const config = {
+    users: [
+        {
+            id: 1,
+            name: "first",
+        },
+        { id: 2 },
+    ],
+};`,
+        },
+        {
+            code: `const items = [{ id: 1 }, // first
+    { id: 2 }];`,
+            errors: [
+                { messageId: "firstObjectArrayStart" },
+                { messageId: "closingBracketOwnLine" },
+            ],
+            output: `const items = [
+    { id: 1 }, // first
+    { id: 2 },
+];`,
+        },
+    ],
+    valid: [
+        `const items = [
+    { id: 1, name: "first" },
+    { id: 2, name: "second" },
+];`,
+        "const items = [{ id: 1 }];",
+    ],
+});
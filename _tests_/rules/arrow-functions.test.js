@@ -0,0 +1,228 @@
+import {
+    arrowFunctionBlockBody,
+    arrowFunctionSimpleJsx,
+    arrowFunctionSimplify,
+    curriedArrowSameLine,
+} from "../../src/rules/arrow-functions.js";
+
+import { runRuleTests } from "./rule-tester.js";
+
+runRuleTests("arrow-function-block-body", arrowFunctionBlockBody, {
+    invalid: [
+        {
+            code: `<Button
+    onClick={() =>
+        save(id)}
+/>;`,
+            errors: [{ messageId: "arrowFunctionBodyStart" }],
+            output: `<Button
+    onClick={() => save(id)}
+/>;`,
+        },
+        {
+            code: `<Select
+    onChange={(event) =>
+        event.target.checked
+            ? enable()
+            : disable()}
+/>;`,
+            errors: [{ messageId: "arrowFunctionBodyStart" }],
+            output: `<Select
+    onChange={(event) => event.target.checked
+        ? enable()
+        : disable()}
+/>;`,
+        },
+        {
+            code: `const columns = [{
+    cell: ({ row }) =>
+        formatDate(row.createdAt),
+}];`,
+            errors: [{ messageId: "arrowFunctionBodyStart" }],
+            output: `const columns = [{
+    cell: ({ row }) => formatDate(row.createdAt),
+}];`,
+        },
+        {
+            code: `<Button
+    onClick={() => // save now
+        save(id)}
+/>;`,
+            errors: [{ messageId: "arrowFunctionBodyStart" }],
+            output: null,
+        },
+    ],
+    valid: [
+        "<Button onClick={() => save(id)} />;",
+        `<Button
+    onClick={() => {
+        save(id);
+    }}
+/>;`,
+        `const getTotalHandler = (items) =>
+    items.reduce((sum, item) => sum + item.price, 0);`,
+        `const getTotalHandler = (items) => {
+    const total = items.length;
+
+    return total;
+};`,
+    ],
+});
+
+runRuleTests("arrow-function-simple-jsx", arrowFunctionSimpleJsx, {
+    invalid: [
+        {
+            code: `export const Layout = ({ children }) => (
+    <Sidebar>{children}</Sidebar>
+);`,
+            errors: [{ messageId: "simpleJsxSameLine" }],
+            output: "export const Layout = ({ children }) => <Sidebar>{children}</Sidebar>;",
+        },
+        {
+            code: `export const Layout = ({ children }) =>
+    <Sidebar>{children}</Sidebar>;`,
+            errors: [{ messageId: "simpleJsxSameLineArrow" }],
+            output: "export const Layout = ({ children }) => <Sidebar>{children}</Sidebar>;",
+        },
+        {
+            code: `const Title = ({ title }) => (
+    <h1>
+        {title}
+    </h1>
+);`,
+            errors: [{ messageId: "simpleJsxSameLine" }],
+            output: "const Title = ({ title }) => <h1>{title}</h1>;",
+        },
+        {
+            code: `const items = list.map((item) => (
+    <Item key={item.id} />
+));`,
+            errors: [{ messageId: "simpleJsxSameLine" }],
+            output: "const items = list.map((item) => <Item key={item.id} />);",
+        },
+    ],
+    valid: [
+        "export const Layout = ({ children }) => <Sidebar>{children}</Sidebar>;",
+        `export const Layout = ({ children }) => (
+    <Sidebar>
+        <Header />
+        {children}
+    </Sidebar>
+);`,
+    ],
+});
+
+runRuleTests("arrow-function-simplify", arrowFunctionSimplify, {
+    invalid: [
+        {
+            code: "const getNameHandler = (item) => { return item.name; };",
+            errors: [{ messageId: "arrowFunctionSingleReturn" }],
+            output: "const getNameHandler = (item) => item.name;",
+        },
+        {
+            code: "items.map((item) => { return item.name; });",
+            errors: [{ messageId: "arrowFunctionSingleReturn" }],
+            output: "items.map((item) => item.name);",
+        },
+        {
+            code: `const resetHandler = () => {
+    dispatch(reset());
+};`,
+            errors: [{ messageId: "arrowFunctionSingleStatement" }],
+            output: "const resetHandler = () => dispatch(reset());",
+        },
+        {
+            code: `const getNamesHandler = (items) => {
+    return items
+        .filter(isActive)
+        .map(getName);
+};`,
+            errors: [{ messageId: "arrowFunctionSingleReturn" }],
+            output: `const getNamesHandler = (items) => items
+    .filter(isActive)
+    .map(getName);`,
+        },
+        {
+            code: `const toUserHandler = (row) => {
+    return { id: row.id, name: row.name };
+};`,
+            errors: [{ messageId: "arrowFunctionSingleReturn" }],
+            output: "const toUserHandler = (row) => ({ id: row.id, name: row.name });",
+        },
+        {
+            code: `const trackHandler = () => {
+    dispatch(
+        track(event),
+    );
+};`,
+            errors: [{ messageId: "arrowFunctionSimpleNested" }],
+            output: "const trackHandler = () => dispatch(track(event));",
+        },
+        {
+            code: `const getNextHandler = () => {
+    return (advance(), current);
+};`,
+            errors: [{ messageId: "arrowFunctionSingleReturn" }],
+            output: "const getNextHandler = () => (advance(), current);",
+        },
+        {
+            code: `const getNamesHandler = (items) => {
+    // only active
+    return items.filter(isActive);
+};`,
+            errors: [{ messageId: "arrowFunctionSingleReturn" }],
+            output: null,
+        },
+    ],
+    valid: [
+        "const getNameHandler = (item) => item.name;",
+        `const saveHandler = () => {
+    validate();
+    save();
+};`,
+        "const noopHandler = () => {};",
+    ],
+});
+
+runRuleTests("curried-arrow-same-line", curriedArrowSameLine, {
+    invalid: [
+        {
+            code: `const fetchUsersHandler = () =>
+    async (dispatch) => {
+        dispatch(action);
+    };`,
+            errors: [{ messageId: "curriedArrowFunctionStart" }],
+            output: `const fetchUsersHandler = () => async (dispatch) => {
+    dispatch(action);
+};`,
+        },
+        {
+            code: `export const createLoggerHandler = (store) =>
+    (next) => (action) => {
+        console.log(action);
+
+        return next(action);
+    };`,
+            errors: [{ messageId: "curriedArrowFunctionStart" }],
+            output: `export const createLoggerHandler = (store) => (next) => (action) => {
+    console.log(action);
+
+    return next(action);
+};`,
+        },
+        {
+            code: `const fetchUsersHandler = () => // thunk
+    async (dispatch) => {
+        dispatch(action);
+    };`,
+            errors: [{ messageId: "curriedArrowFunctionStart" }],
+            output: null,
+        },
+    ],
+    valid: [
+        `const fetchUsersHandler = () => async (dispatch) => {
+    dispatch(action);
+};`,
+        "const addHandler = (a) => (b) => a + b;",
+    ],
+});
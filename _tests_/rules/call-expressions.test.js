@@ -0,0 +1,420 @@
+import {
+    functionArgumentsFormat,
+    nestedCallClosingBrackets,
+    noEmptyLinesInFunctionCalls,
+    openingBracketsSameLine,
+    simpleCallSingleLine,
+    singleArgumentOnOneLine,
+} from "../../src/rules/call-expressions.js";
+
+import { runRuleTests } from "./rule-tester.js";
+
+runRuleTests("function-arguments-format", functionArgumentsFormat, {
+    invalid: [
+        {
+            code: "createUser(name, email);",
+            errors: [
+                { messageId: "multipleArgumentsFirstArgument" },
+                { messageId: "eachArgumentOwnLine" },
+                { messageId: "closingParenthesisOwnLine" },
+            ],
+            output: `createUser(
+    name,
+    email,
+);`,
+        },
+        {
+            code: `createUser(name,
+    email);`,
+            errors: [
+                { messageId: "multipleArgumentsFirstArgument" },
+                { messageId: "closingParenthesisOwnLine" },
+            ],
+            output: `createUser(
+    name,
+    email,
+);`,
+        },
+        {
+            code: "createUser(name, email, role);",
+            errors: [
+                { messageId: "multipleArgumentsFirstArgument" },
+                { messageId: "eachArgumentOwnLine" },
+                { messageId: "eachArgumentOwnLine" },
+                { messageId: "closingParenthesisOwnLine" },
+            ],
+            options: [{ minArgs: 3 }],
+            output: `createUser(
+    name,
+    email,
+    role,
+);`,
+        },
+        {
+            code: `const Page = () => {
+    createUser(name, email, {
+        role: "admin",
+    });
+};`,
+            errors: [
+                { messageId: "multipleArgumentsFirstArgument" },
+                { messageId: "eachArgumentOwnLine" },
+                { messageId: "eachArgumentOwnLine" },
+                { messageId: "closingParenthesisOwnLine" },
+            ],
+            output: `const Page = () => {
+    createUser(
+        name,
+        email,
+        {
+            role: "admin",
+        },
+    );
+};`,
+        },
+        {
+            code: "createUser(name, /* primary */ email, role);",
+            errors: [
+                { messageId: "multipleArgumentsFirstArgument" },
+                { messageId: "eachArgumentOwnLine" },
+                { messageId: "eachArgumentOwnLine" },
+                { messageId: "closingParenthesisOwnLine" },
+            ],
+            output: `createUser(
+    name, /* primary */ email,
+    role,
+);`,
+        },
+    ],
+    valid: [
+        "createUser(name);",
+        `createUser(
+    name,
+    email,
+);`,
+        "const [count, setCount] = useState(0, extra);",
+        { code: "createUser(name, email);", options: [{ minArgs: 3 }] },
+        "fetchData({ id: 1 });",
+    ],
+});
+
+runRuleTests("nested-call-closing-brackets", nestedCallClosingBrackets, {
+    invalid: [
+        {
+            code: `const Wrapper = styled(Card)(({ theme }) => ({
+    color: theme.color,
+})
+);`,
+            errors: [
+                { messageId: "closingParenthesisSameLineClosing" },
+                { messageId: "closingParenthesesSameLine" },
+            ],
+            output: `const Wrapper = styled(Card)(({ theme }) => ({
+    color: theme.color,
+}));`,
+        },
+        {
+            code: `const Wrapper = styled(Card)(({ theme }) => ({
+    color: theme.color,
+}
+));`,
+            errors: [{ messageId: "closingBraceParenthesisSame" }],
+            output: `const Wrapper = styled(Card)(({ theme }) => ({
+    color: theme.color,
+}));`,
+        },
+        {
+            code: `const rows = items.map((item) => ({
+    id: item.id,
+}))
+    || [];`,
+            errors: [{ messageId: "logicalOperatorSameLine" }],
+            output: `const rows = items.map((item) => ({
+    id: item.id,
+})) || [];`,
+        },
+        {
+            code: `setOptions({
+    id: 1,
+}
+);`,
+            errors: [{ messageId: "closingParenthesisSameLineClosing" }],
+            output: `setOptions({
+    id: 1,
+});`,
+        },
+        {
+            code: `const Page = () => {
+    dispatch(setUser(createUser({
+        name,
+    }
+    )));
+};`,
+            errors: [{ messageId: "closingParenthesisSameLineClosing" }],
+            output: `const Page = () => {
+    dispatch(setUser(createUser({
+        name,
+    })));
+};`,
+        },
+    ],
+    valid: [
+        `const Wrapper = styled(Card)(({ theme }) => ({
+    color: theme.color,
+}));`,
+        "fn(other(value));",
+    ],
+});
+
+runRuleTests("no-empty-lines-in-function-calls", noEmptyLinesInFunctionCalls, {
+    invalid: [
+        {
+            code: `createUser(
+    name,
+
+    email,
+);`,
+            errors: [{ messageId: "noEmptyLineBetween" }],
+            output: `createUser(
+    name,
+    email,
+);`,
+        },
+        {
+            code: `createUser(
+
+    name,
+    email,
+);`,
+            errors: [{ messageId: "noEmptyLineAfter" }],
+            output: `createUser(
+    name,
+    email,
+);`,
+        },
+        {
+            code: `createUser(
+    name,
+    email,
+
+);`,
+            errors: [{ messageId: "noEmptyLineBefore" }],
+            output: `createUser(
+    name,
+    email,
+);`,
+        },
+        {
+            code: `const Page = () => {
+    createUser(
+        name,
+
+        email,
+    );
+};`,
+            errors: [{ messageId: "noEmptyLineBetween" }],
+            output: `const Page = () => {
+    createUser(
+        name,
+        email,
+    );
+};`,
+        },
+        {
+            code: `createUser(
+    name,
+    // contact
+
+    email,
+);`,
+            errors: [{ messageId: "noEmptyLineBetween" }],
+            output: null,
+        },
+    ],
+    valid: [
+        `createUser(
+    name,
+    email,
+);`,
+        "createUser(name);",
+        `createUser(
+    name,
+    // contact
+    email,
+);`,
+    ],
+});
+
+runRuleTests("opening-brackets-same-line", openingBracketsSameLine, {
+    invalid: [
+        {
+            code: `fetchData(
+    { id: 1 },
+);`,
+            errors: [
+                { messageId: "openingParenthesisBraceSame" },
+                { messageId: "closingBraceParenthesisSame" },
+            ],
+            output: "fetchData({ id: 1 });",
+        },
+        {
+            code: `items.map(
+    ({ id }) => id);`,
+            errors: [{ messageId: "callbackOpeningParenthesisSame" }],
+            output: "items.map(({ id }) => id);",
+        },
+        {
+            code: `setItems(
+    [1, 2, 3]);`,
+            errors: [{ messageId: "openingParenthesisBracketSame" }],
+            output: "setItems([1, 2, 3]);",
+        },
+        {
+            code: `const Page = () => {
+    fetchData(
+        { id },
+    );
+};`,
+            errors: [
+                { messageId: "openingParenthesisBraceSame" },
+                { messageId: "closingBraceParenthesisSame" },
+            ],
+            output: `const Page = () => {
+    fetchData({ id });
+};`,
+        },
+        {
+            code: `fetchData(
+    // options
+    { id },
+);`,
+            errors: [
+                { messageId: "openingParenthesisBraceSame" },
+                { messageId: "closingBraceParenthesisSame" },
+            ],
+            output: `fetchData(
+    // options
+    { id });`,
+        },
+    ],
+    valid: [
+        "fetchData({ id: 1 });",
+        "items.map(({ id }) => id);",
+        "setItems([1, 2, 3]);",
+    ],
+});
+
+runRuleTests("simple-call-single-line", simpleCallSingleLine, {
+    invalid: [
+        {
+            code: `const Page = lazy(
+    () => import("./page"),
+);`,
+            errors: [{ messageId: "simpleFunctionCallArrow" }],
+            output: `const Page = lazy(() => import("./page"));`,
+        },
+        {
+            code: `const [isOpen, setIsOpen] = useState(
+    () => !!getCookieHandler(key),
+);`,
+            errors: [{ messageId: "simpleFunctionCallArrow" }],
+            output: "const [isOpen, setIsOpen] = useState(() => !!getCookieHandler(key));",
+        },
+        {
+            code: `items.forEach(
+    (item) => process(item),
+);`,
+            errors: [{ messageId: "simpleFunctionCallArrow" }],
+            output: "items.forEach((item) => process(item));",
+        },
+        {
+            code: `items.forEach(
+    (item) => process(
+        item,
+    ),
+);`,
+            errors: [{ messageId: "simpleFunctionCallArrow" }],
+            output: "items.forEach((item) => process(item));",
+        },
+        {
+            code: `items.forEach(
+    (item) => log("Saved  item", item),
+);`,
+            errors: [{ messageId: "simpleFunctionCallArrow" }],
+            output: `items.forEach((item) => log("Saved  item", item));`,
+        },
+        {
+            code: `const symbol = items
+    .find(
+        (item) => item.active,
+    )?.symbol;`,
+            errors: [{ messageId: "simpleFunctionCallArrow" }],
+            output: "const symbol = items.find((item) => item.active)?.symbol;",
+        },
+        {
+            code: `items.forEach(
+    (item) => log(/* item */ item),
+);`,
+            errors: [{ messageId: "simpleFunctionCallArrow" }],
+            output: "items.forEach((item) => log(/* item */ item));",
+        },
+    ],
+    valid: [
+        `const Page = lazy(() => import("./page"));`,
+        `items.forEach(() => {
+    count += 1;
+});`,
+        `const Page = lazy(
+    () => import("./page"), // page
+);`,
+    ],
+});
+
+runRuleTests("single-argument-on-one-line", singleArgumentOnOneLine, {
+    invalid: [
+        {
+            code: `getValue(
+    "key",
+);`,
+            errors: [{ messageId: "singleSimpleArgumentOne" }],
+            output: `getValue("key");`,
+        },
+        {
+            code: `user.update(
+    value,
+);`,
+            errors: [{ messageId: "singleSimpleArgumentOne" }],
+            output: "user.update(value);",
+        },
+        {
+            code: `const Page = () => {
+    setTitle(
+        title,
+    );
+};`,
+            errors: [{ messageId: "singleSimpleArgumentOne" }],
+            output: `const Page = () => {
+    setTitle(title);
+};`,
+        },
+        {
+            code: `setTitle(
+    /* page */ title,
+);`,
+            errors: [{ messageId: "singleSimpleArgumentOne" }],
+            output: null,
+        },
+    ],
+    valid: [
+        `getValue("key");`,
+        "user.update(value);",
+        `fetchData({
+    id: 1,
+    name: "user",
+});`,
+        `setTitle(
+    \`first
+second\`,
+);`,
+    ],
+});
@@ -0,0 +1,458 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { Linter } from "eslint";
+
+import { classMemberOrder, classMethodDefinitionFormat, classNamingConvention } from "../../src/rules/classes.js";
+
+import { runRuleTests, typescript } from "./rule-tester.js";
+
+runRuleTests("class-naming-convention", classNamingConvention, {
+    invalid: [
+        {
+            code: "class ApiService {}",
+            errors: [{ messageId: "missingClassSuffix" }],
+            output: "class ApiServiceClass {}",
+        },
+        {
+            code: "export class UserRepository {}",
+            errors: [{ messageId: "missingClassSuffix" }],
+            output: "export class UserRepositoryClass {}",
+        },
+        {
+            code: "class Validation extends Error {}\nthrow new Validation();",
+            errors: [{ data: { className: "Validation", newName: "ValidationError", suffix: "Error" }, messageId: "missingClassSuffix" }],
+            output: "class ValidationError extends Error {}\nthrow new ValidationError();",
+        },
+        {
+            code: "class NotFoundClass extends HttpError {}",
+            errors: [{ messageId: "missingClassSuffix" }],
+            output: "class NotFoundError extends HttpError {}",
+        },
+        {
+            code: "class Cart extends BaseStore {}",
+            errors: [{ messageId: "missingClassSuffix" }],
+            options: [{ baseClasses: { BaseStore: "Store" }, suffix: "Model" }],
+            output: "class CartStore extends BaseStore {}",
+        },
+        {
+            code: "class User {}",
+            errors: [{ messageId: "missingClassSuffix" }],
+            options: [{ suffix: "Model" }],
+            output: "class UserModel {}",
+        },
+        ...typescript([
+            {
+                code: "@Injectable()\nexport class Users {}",
+                errors: [{ data: { className: "Users", newName: "UsersService", suffix: "Service" }, messageId: "missingClassSuffix" }],
+                options: [{ decorators: { Controller: "Controller", Injectable: "Service" } }],
+                output: "@Injectable()\nexport class UsersService {}",
+            },
+            {
+                code: "@Controller\nclass Users extends Error {}",
+                errors: [{ messageId: "missingClassSuffix" }],
+                options: [{ decorators: { Controller: "Controller" } }],
+                output: "@Controller\nclass UsersController extends Error {}",
+            },
+        ]),
+    ],
+    valid: [
+        "class ApiServiceClass {}",
+        "export class UserRepositoryClass {}",
+        "const ServiceClass = class {};",
+        "class ValidationError extends Error {}",
+        "class NotFoundError extends HttpError {}",
+        "class ErrorBoundary extends React.Component {}",
+        "class Counter extends PureComponent {}",
+        "class DatePicker extends HTMLElement {}",
+        {
+            code: "class User {}",
+            options: [{ suffix: "" }],
+        },
+        {
+            code: "class LegacyApi {}\nclass ApiMock {}",
+            options: [{ ignorePatterns: ["^Legacy", "Mock$"] }],
+        },
+        {
+            code: "class Widget extends Component {}",
+            options: [{ baseClasses: { Error: "Exception" } }],
+        },
+        ...typescript([
+            {
+                code: "@Injectable()\nexport class UsersService {}",
+                options: [{ decorators: { Injectable: "Service" } }],
+            },
+            {
+                code: "@Entity()\nclass User {}",
+                options: [{ decorators: { Entity: "" } }],
+            },
+        ]),
+    ],
+});
+
+runRuleTests("class-method-definition-format", classMethodDefinitionFormat, {
+    invalid: [
+        {
+            code: "class ApiServiceClass{}",
+            errors: [{ messageId: "expectedSingleSpaceBefore" }],
+            output: "class ApiServiceClass {}",
+        },
+        {
+            code: `class ApiServiceClass
+{
+}`,
+            errors: [{ messageId: "openingBraceSameLine" }],
+            output: `class ApiServiceClass {
+}`,
+        },
+        {
+            code: `class ApiServiceClass {
+    getDataHandler () {
+        return "data";
+    }
+}`,
+            errors: [{ messageId: "noSpaceBetweenMethod" }],
+            output: `class ApiServiceClass {
+    getDataHandler() {
+        return "data";
+    }
+}`,
+        },
+        {
+            code: `class ApiServiceClass {
+    getDataHandler(){
+        return "data";
+    }
+}`,
+            errors: [{ messageId: "expectedSingleSpaceBeforeOpening" }],
+            output: `class ApiServiceClass {
+    getDataHandler() {
+        return "data";
+    }
+}`,
+        },
+        {
+            code: `class ApiServiceClass {
+    getDataHandler()
+    {
+        return "data";
+    }
+}`,
+            errors: [{ messageId: "openingBraceSameLineMethod" }],
+            output: `class ApiServiceClass {
+    getDataHandler() {
+        return "data";
+    }
+}`,
+        },
+        {
+            code: "const StoreClass = class{};",
+            errors: [{ messageId: "expectedSingleSpaceBefore" }],
+            output: "const StoreClass = class {};",
+        },
+        {
+            code: "class StoreClass /* state */{}",
+            errors: [{ messageId: "expectedSingleSpaceBefore" }],
+            output: "class StoreClass /* state */ {}",
+        },
+        {
+            code: `class StoreClass // state
+{
+}`,
+            errors: [{ messageId: "openingBraceSameLine" }],
+            output: null,
+        },
+        {
+            code: `class StoreClass
+    extends BaseClass
+{
+}`,
+            errors: [{ messageId: "openingBraceSameLine" }],
+            output: `class StoreClass
+    extends BaseClass {
+}`,
+        },
+        {
+            code: `class StoreClass {
+    loadHandler /* data */ () {
+        return 1;
+    }
+}`,
+            errors: [{ messageId: "noSpaceBetweenMethod" }],
+            output: null,
+        },
+        {
+            code: `class StoreClass {
+    loadHandler() // data
+    {
+        return 1;
+    }
+}`,
+            errors: [{ messageId: "openingBraceSameLineMethod" }],
+            output: null,
+        },
+        {
+            code: `class StoreClass {
+    static async *[Symbol.iterator] () {
+        yield 1;
+    }
+}`,
+            errors: [{ messageId: "noSpaceBetweenMethod" }],
+            output: `class StoreClass {
+    static async *[Symbol.iterator]() {
+        yield 1;
+    }
+}`,
+        },
+        {
+            code: `class OuterClass {
+    buildHandler() {
+        return class InnerClass{};
+    }
+}`,
+            errors: [{ messageId: "expectedSingleSpaceBefore" }],
+            output: `class OuterClass {
+    buildHandler() {
+        return class InnerClass {};
+    }
+}`,
+        },
+    ],
+    valid: [
+        `class ApiServiceClass {
+    getDataHandler() {
+        return "data";
+    }
+
+    async fetchUserHandler(id) {
+        return await fetch(id);
+    }
+}`,
+    ],
+});
+
+runRuleTests("class-member-order", classMemberOrder, {
+    invalid: [
+        {
+            code: `class CounterClass extends Component {
+    render() {
+        return null;
+    }
+
+    // Start the timer
+    componentDidMount() {
+        this.start();
+    }
+}`,
+            errors: [{ data: { current: "componentDidMount", previous: "render", type: "class \"CounterClass\"" }, messageId: "wrongLifecycleOrder" }],
+            output: `class CounterClass extends Component {
+    // Start the timer
+    componentDidMount() {
+        this.start();
+    }
+
+    render() {
+        return null;
+    }
+}`,
+        },
+        {
+            code: `class StoreClass {
+    #items = [];
+    getItems() {
+        return this.#items;
+    }
+    constructor(name) {
+        this.name = name;
+    }
+    static create() {
+        return new StoreClass("default");
+    }
+    name = ""; // set by the constructor
+    static count = 0;
+}`,
+            errors: [{
+                data: {
+                    current: "methods",
+                    order: "static-fields → instance-fields → constructor → static-methods → lifecycle → accessors → methods → private",
+                    previous: "private # members",
+                    type: "class \"StoreClass\"",
+                },
+                messageId: "wrongOrder",
+            }],
+            output: `class StoreClass {
+    static count = 0;
+
+    name = ""; // set by the constructor
+
+    constructor(name) {
+        this.name = name;
+    }
+
+    static create() {
+        return new StoreClass("default");
+    }
+
+    getItems() {
+        return this.#items;
+    }
+
+    #items = [];
+}`,
+        },
+        {
+            code: `class ToggleClass extends React.PureComponent {
+    clickHandler = () => {
+        this.setState({ isOpen: true });
+    };
+
+    get isOpen() {
+        return this.state.isOpen;
+    }
+
+    state = { isOpen: false };
+}`,
+            errors: [{ messageId: "wrongOrder" }],
+            output: `class ToggleClass extends React.PureComponent {
+    state = { isOpen: false };
+
+    get isOpen() {
+        return this.state.isOpen;
+    }
+
+    clickHandler = () => {
+        this.setState({ isOpen: true });
+    };
+}`,
+        },
+        {
+            code: `class FormClass {
+    submitHandler() {}
+
+    reset() {}
+
+    title = "";
+}`,
+            errors: [{ data: { current: "instance fields", order: "instance-fields → handlers → methods", previous: "methods", type: "class \"FormClass\"" }, messageId: "wrongOrder" }],
+            options: [{ order: ["instance-fields", { name: "handlers", pattern: "Handler$" }, "methods"] }],
+            output: `class FormClass {
+    title = "";
+
+    submitHandler() {}
+
+    reset() {}
+}`,
+        },
+        // Moving #base below total would read it before it is initialized: reported without a fix
+        {
+            code: `class PriceClass {
+    #base = 10;
+    total = this.#base * 2;
+}`,
+            errors: [{ messageId: "wrongOrder" }],
+            output: null,
+        },
+        // Arrow function fields are initialized in order too: moving compute below value breaks it
+        {
+            code: `class CounterClass {
+    compute = () => 1;
+    value = this.compute();
+}`,
+            errors: [{ messageId: "wrongOrder" }],
+            output: null,
+        },
+        {
+            code: `class StoreClass {
+    static create = () => new StoreClass();
+    static instance = StoreClass.create();
+}`,
+            errors: [{ messageId: "wrongOrder" }],
+            output: null,
+        },
+        {
+            code: `class TimerClass {
+    #fn = () => Date.now();
+    value = this.#fn();
+}`,
+            errors: [{ messageId: "wrongOrder" }],
+            output: null,
+        },
+        // Members sharing a line are not moved
+        {
+            code: "class PointClass { move() {} x = 0; }",
+            errors: [{ messageId: "wrongOrder" }],
+            output: null,
+        },
+        ...typescript([
+            {
+                code: `class UsersControllerClass {
+    @Get()
+    findAll(): string[] {
+        return [];
+    }
+
+    @Inject()
+    private readonly service: UsersService;
+}`,
+                errors: [{ messageId: "wrongOrder" }],
+                output: `class UsersControllerClass {
+    @Inject()
+    private readonly service: UsersService;
+
+    @Get()
+    findAll(): string[] {
+        return [];
+    }
+}`,
+            },
+        ]),
+    ],
+    valid: [
+        `class CounterClass extends Component {
+    static defaultProps = { step: 1 };
+    state = { count: 0 };
+    constructor(props) {
+        super(props);
+    }
+    static getDerivedStateFromProps() {
+        return null;
+    }
+    componentDidMount() {}
+    componentWillUnmount() {}
+    render() {
+        return null;
+    }
+    get isEmpty() {
+        return this.state.count === 0;
+    }
+    incrementHandler = () => {};
+    #timer = null;
+}`,
+        // render is an ordinary method outside React class components
+        `class ReportClass {
+    render() {}
+    componentDidMount() {}
+}`,
+        "const ServiceClass = class { static instance = null; run() {} };",
+        {
+            code: `class FormClass {
+    submitHandler() {}
+    title = "";
+    #draft = null;
+}`,
+            options: [{ order: ["methods", "private"] }],
+        },
+    ],
+});
+
+describe("class-naming-convention options", () => {
+    it("rejects ignorePatterns entries that are not valid regexes with a config error", () => {
+        const linter = new Linter({ configType: "flat" });
+        const config = [{
+            plugins: { "code-style": { rules: { "class-naming-convention": classNamingConvention } } },
+            rules: { "code-style/class-naming-convention": ["error", { ignorePatterns: ["^Legacy("] }] },
+        }];
+
+        assert.throws(() => linter.verify("class ApiService {}", config), /"\^Legacy\(" should match format "regex"/);
+    });
+});
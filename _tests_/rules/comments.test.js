@@ -0,0 +1,86 @@
+import { commentFormat } from "../../src/rules/comments.js";
+
+import { runRuleTests } from "./rule-tester.js";
+
+runRuleTests("comment-format", commentFormat, {
+    invalid: [
+        {
+            code: `const value = 1;
+//This is a comment`,
+            errors: [{ messageId: "lineCommentSpaceAfter" }],
+            output: `const value = 1;
+// This is a comment`,
+        },
+        {
+            code: `const value = 1;
+/*No space after opener*/`,
+            errors: [{ messageId: "singleLineCommentsSyntax" }],
+            output: `const value = 1;
+// No space after opener`,
+        },
+        {
+            code: `const value = 1;
+/*
+Multi-line without spaces
+  still fine*/`,
+            errors: [{ messageId: "blockCommentSpaceAfter" }],
+            output: `const value = 1;
+/*
+Multi-line without spaces
+  still fine */`,
+        },
+        {
+            code: "const value = 1; /* inline note */",
+            errors: [{ messageId: "singleLineCommentsSyntax" }],
+            output: "const value = 1; // inline note",
+        },
+        {
+            code: "const value = 1;    // too many spaces",
+            errors: [{ messageId: "inlineCommentExactlyOne" }],
+            output: "const value = 1; // too many spaces",
+        },
+        {
+            code: `// Header
+
+// License
+
+const value = 1;`,
+            errors: [{ messageId: "noBlankLinesAllowed" }],
+            output: `// Header
+// License
+
+const value = 1;`,
+        },
+        {
+            code: `// Header
+const value = 1;`,
+            errors: [{ messageId: "expectedEmptyLineBetween" }],
+            output: `// Header
+
+const value = 1;`,
+        },
+        {
+            code: "/* Header */const value = 1;",
+            errors: [{ messageId: "codeNewLineAfter" }],
+            output: `// Header
+
+const value = 1;`,
+        },
+    ],
+    valid: [
+        `// This is a comment
+
+const value = 1;`,
+        `const value = 1;
+/*
+ * Block comment
+ */`,
+        "const value = getValue(/* id */ 1);",
+        "const value = 1; // inline note",
+        `/**
+ * Multi-line JSDoc
+ */
+
+const value = 1;`,
+    ],
+});
@@ -0,0 +1,673 @@
+import {
+    componentPropsDestructure,
+    componentPropsInlineType,
+    folderBasedNamingConvention,
+    folderStructureConsistency,
+    noRedundantFolderSuffix,
+    svgIconNamingConvention,
+} from "../../src/rules/components.js";
+
+import { fixture, runRuleTests, typescript } from "./rule-tester.js";
+
+runRuleTests("component-props-destructure", componentPropsDestructure, {
+    invalid: [
+        {
+            code: "export const Button = (props) => <button>{props.label}</button>;",
+            errors: [{ messageId: "componentPropsDestructuredProps" }],
+            output: "export const Button = ({ label }) => <button>{label}</button>;",
+        },
+        {
+            code: "export function Header(props) { return <h1>{props.title}</h1>; }",
+            errors: [{ messageId: "componentPropsDestructuredProps" }],
+            output: "export function Header({ title }) { return <h1>{title}</h1>; }",
+        },
+        {
+            code: `export const Card = (props) => {
+    const render = (props) => props.title;
+
+    return <div>{props.label}{render(props)}</div>;
+};`,
+            errors: [{ messageId: "componentPropsDestructuredProps" }],
+            output: null,
+        },
+        {
+            code: `export const Card = (props) => {
+    const items = props.list.map((label) => <li>{label}</li>);
+
+    return <ul>{items}{props.label}</ul>;
+};`,
+            errors: [{ messageId: "componentPropsDestructuredProps" }],
+            output: null,
+        },
+        {
+            code: `export const Card = (props) => {
+    const { user: { name }, size = 2 } = props;
+
+    return <div>{name}{size}</div>;
+};`,
+            errors: [{ messageId: "componentPropsDestructuredProps" }],
+            output: `export const Card = ({ user: { name }, size = 2 }) => {
+    return <div>{name}{size}</div>;
+};`,
+        },
+        {
+            code: `export const Card = (props) => {
+    const total = 1, { label } = props;
+
+    return <div>{label}{total}</div>;
+};`,
+            errors: [{ messageId: "componentPropsDestructuredProps" }],
+            output: `export const Card = ({ label }) => {
+    const total = 1;
+
+    return <div>{label}{total}</div>;
+};`,
+        },
+        {
+            code: `export const Card = (props) => {
+    const { label } = props, total = 1;
+
+    return <div>{label}{total}</div>;
+};`,
+            errors: [{ messageId: "componentPropsDestructuredProps" }],
+            output: `export const Card = ({ label }) => {
+    const total = 1;
+
+    return <div>{label}{total}</div>;
+};`,
+        },
+        {
+            code: `export function Card(props) {
+    if (props.loading) {
+        return <Spinner />;
+    }
+
+    return (
+        // main view
+        <div>{props.label}</div>
+    );
+}`,
+            errors: [{ messageId: "componentPropsDestructuredProps" }],
+            output: `export function Card({ loading, label }) {
+    if (loading) {
+        return <Spinner />;
+    }
+
+    return (
+        // main view
+        <div>{label}</div>
+    );
+}`,
+        },
+        {
+            code: `export const Card = (props) => {
+    switch (props.kind) {
+        case "link":
+            return <a href={props.href}>Open</a>;
+        default:
+            return <span>Open</span>;
+    }
+};`,
+            errors: [{ messageId: "componentPropsDestructuredProps" }],
+            output: `export const Card = ({ kind, href }) => {
+    switch (kind) {
+        case "link":
+            return <a href={href}>Open</a>;
+        default:
+            return <span>Open</span>;
+    }
+};`,
+        },
+        {
+            code: `export const Card = (props) => {
+    const { label, ...rest } = props;
+
+    return <div {...rest}>{label}{props.title}</div>;
+};`,
+            errors: [{ messageId: "componentPropsDestructuredProps" }],
+            output: null,
+        },
+        {
+            code: `export const Card = (props) => {
+    props.label = "Untitled";
+
+    return <div>{props.label}</div>;
+};`,
+            errors: [{ messageId: "componentPropsDestructuredProps" }],
+            output: null,
+        },
+        {
+            code: `export const Card = (props) => {
+    const { [field]: value } = props;
+
+    return <div>{value}</div>;
+};`,
+            errors: [{ messageId: "componentPropsDestructuredProps" }],
+            output: null,
+        },
+        {
+            code: `export const Card = (props) => {
+    const { label: text } = props;
+
+    return <div>{text}{props.label}</div>;
+};`,
+            errors: [{ messageId: "componentPropsDestructuredProps" }],
+            output: null,
+        },
+        {
+            code: `export const Card = (props) => {
+    const label = "Card";
+
+    return <div>{props.label}{label}</div>;
+};`,
+            errors: [{ messageId: "componentPropsDestructuredProps" }],
+            output: null,
+        },
+        {
+            code: `export const Card = (props) => {
+    const fallback = 1;
+    const { size = fallback } = props;
+
+    return <div>{size}</div>;
+};`,
+            errors: [{ messageId: "componentPropsDestructuredProps" }],
+            output: null,
+        },
+        {
+            code: `export const Card = (props) => {
+    // read the label
+    const { label } = props;
+
+    return <div>{label}</div>;
+};`,
+            errors: [{ messageId: "componentPropsDestructuredProps" }],
+            output: `export const Card = ({ label }) => {
+    // read the label
+    return <div>{label}</div>;
+};`,
+        },
+        {
+            code: `export const Card = (props) => {
+    const { label } = props; // from the parent
+
+    return <div>{label}</div>;
+};`,
+            errors: [{ messageId: "componentPropsDestructuredProps" }],
+            output: `export const Card = ({ label }) => {
+    // from the parent
+
+    return <div>{label}</div>;
+};`,
+        },
+        ...typescript([
+            {
+                code: `export const Card = (props: CardProps) => {
+    const theme = useTheme();
+    const { label } = props;
+
+    return <div className={theme}>{label}</div>;
+};`,
+                errors: [{ messageId: "componentPropsDestructuredProps" }],
+                output: `export const Card = ({ label }: CardProps) => {
+    const theme = useTheme();
+
+    return <div className={theme}>{label}</div>;
+};`,
+            },
+        ]),
+    ],
+    valid: [
+        "export const Button = ({ label, onClick }) => <button onClick={onClick}>{label}</button>;",
+        `export const Card = ({ title, className = "" }) => <div className={className}>{title}</div>;`,
+        "export const formatHandler = (value) => value.trim();",
+    ],
+});
+
+runRuleTests("component-props-inline-type", componentPropsInlineType, {
+    invalid: typescript([
+        {
+            code: "export const Button = ({ label }: ButtonPropsInterface) => <button>{label}</button>;",
+            errors: [{ messageId: "componentPropsInlineType" }],
+            output: null,
+        },
+        {
+            code: "export const Card = ({ title }:{ title: string }) => <div>{title}</div>;",
+            errors: [{ messageId: "typeAnnotationNoSpace" }],
+            output: "export const Card = ({ title }: { title: string }) => <div>{title}</div>;",
+        },
+        {
+            code: "export const Card = ({ a, b }: { a: string; b: string }) => <div>{a}{b}</div>;",
+            errors: [
+                { messageId: "firstPropsTypeProperty" },
+                { messageId: "propsTypePropertiesEnd" },
+                { messageId: "eachPropsTypeProperty" },
+                { messageId: "lastPropsTypeProperty" },
+                { messageId: "closingBraceOwnLine" },
+            ],
+            output: `export const Card = ({ a, b }: {
+    a: string,
+    b: string,
+}) => <div>{a}{b}</div>;`,
+        },
+        {
+            code: `export const Card = ({
+    a,
+    b,
+}: {
+    a: string,
+
+    b: string,
+}) => <div>{a}{b}</div>;`,
+            errors: [{ messageId: "noEmptyLinesAllowed" }],
+            output: `export const Card = ({
+    a,
+    b,
+}: {
+    a: string,
+    b: string,
+}) => <div>{a}{b}</div>;`,
+        },
+        {
+            code: `export const Card = ({
+    a,
+    b,
+}: {
+    a: string,
+    b: string
+}) => <div>{a}{b}</div>;`,
+            errors: [{ messageId: "lastPropsTypeProperty" }],
+            output: `export const Card = ({
+    a,
+    b,
+}: {
+    a: string,
+    b: string,
+}) => <div>{a}{b}</div>;`,
+        },
+        {
+            code: `export const Card = ({ a, b }: {
+
+    a: string, // first
+    b: string,
+
+}) => <div>{a}{b}</div>;`,
+            errors: [{ messageId: "noEmptyLineAfter" }, { messageId: "noEmptyLineBefore" }],
+            output: `export const Card = ({ a, b }: {
+    a: string, // first
+    b: string,
+}) => <div>{a}{b}</div>;`,
+        },
+        {
+            code: `export const Card = ({ a, b }: { /* props */ a: string,
+    b: string,
+}) => <div>{a}{b}</div>;`,
+            errors: [{ messageId: "firstPropsTypeProperty" }],
+            output: null,
+        },
+        {
+            code: `export const Card = ({ a }: {
+    // the label
+    a: string,
+}) => <div>{a}</div>;`,
+            errors: [{ messageId: "singlePropsTypeProperty" }],
+            output: null,
+        },
+        {
+            code: `export const Card = ({ a }: {
+    a: string, // the label
+}) => <div>{a}</div>;`,
+            errors: [{ messageId: "singlePropsTypeProperty" }],
+            output: null,
+        },
+        {
+            code: `export const Card = ({ a, b }: {
+    a: string,
+
+    // b prop
+    b: string,
+}) => <div>{a}{b}</div>;`,
+            errors: [{ messageId: "noEmptyLinesAllowed" }],
+            output: `export const Card = ({ a, b }: {
+    a: string,
+    // b prop
+    b: string,
+}) => <div>{a}{b}</div>;`,
+        },
+        {
+            code: `export const Card = ({ a, b }: {
+    a: string,
+    b: string /* last */ }) => <div>{a}{b}</div>;`,
+            errors: [{ messageId: "lastPropsTypeProperty" }, { messageId: "closingBraceOwnLine" }],
+            output: `export const Card = ({ a, b }: {
+    a: string,
+    b: string, /* last */
+}) => <div>{a}{b}</div>;`,
+        },
+        {
+            code: "export const Card = ({ a, b }: { a: string; b: { c: string; d: string } }) => <div>{a}{b}</div>;",
+            errors: [
+                { messageId: "firstPropsTypeProperty" },
+                { messageId: "propsTypePropertiesEnd" },
+                { messageId: "eachPropsTypeProperty" },
+                { messageId: "lastPropsTypeProperty" },
+                { messageId: "closingBraceOwnLine" },
+            ],
+            output: `export const Card = ({ a, b }: {
+    a: string,
+    b: { c: string; d: string },
+}) => <div>{a}{b}</div>;`,
+        },
+        {
+            code: `export const Card = ({ label, size }: ButtonProps & { label: string, /* px */ size: number,
+}) => <div>{label}</div>;`,
+            errors: [{ messageId: "firstPropsTypeProperty" }, { messageId: "eachPropsTypeProperty" }],
+            output: `export const Card = ({ label, size }: ButtonProps & {
+    label: string, /* px */ size: number,
+}) => <div>{label}</div>;`,
+        },
+    ]),
+    valid: typescript([
+        "export const Button = ({ label }: { label: string }) => <button>{label}</button>;",
+        `export const Card = ({
+    className = "",
+    title,
+}: {
+    className?: string,
+    title: string,
+}) => <div className={className}>{title}</div>;`,
+        `export const Card = ({ a }: {
+    a: {
+        b: string,
+    },
+}) => <div>{a.b}</div>;`,
+    ]),
+});
+
+runRuleTests("folder-based-naming-convention", folderBasedNamingConvention, {
+    invalid: [
+        {
+            code: "export const Dashboard = () => <div>Dashboard</div>;",
+            errors: [{ messageId: "chainedNameWithSuffix" }],
+            filename: "src/views/dashboard.tsx",
+            output: "export const DashboardView = () => <div>Dashboard</div>;",
+        },
+        {
+            code: "export const Home = () => <div>Home</div>;",
+            errors: [{ messageId: "chainedNameWithSuffix" }],
+            filename: "src/pages/home.tsx",
+            output: "export const HomePage = () => <div>Home</div>;",
+        },
+        {
+            code: "export const Main = () => <div>Main</div>;",
+            errors: [{ messageId: "chainedNameWithSuffix" }],
+            filename: "src/layouts/main.tsx",
+            output: "export const MainLayout = () => <div>Main</div>;",
+        },
+        {
+            code: "export const Login = () => <div>Login</div>;",
+            errors: [{ messageId: "chainedNameWithSuffix" }],
+            filename: "src/views/auth/login.tsx",
+            output: "export const LoginAuthView = () => <div>Login</div>;",
+        },
+        {
+            code: "export const Login = () => <div>Login</div>;",
+            errors: [{ messageId: "chainedNameWithSuffix" }],
+            filename: "src/views/auth/login.tsx",
+            options: [{ chainOrder: "parent-child" }],
+            output: "export const AuthLoginView = () => <div>Login</div>;",
+        },
+        {
+            code: `const DashboardView = "dashboard";
+
+export const Dashboard = () => <div>{DashboardView}</div>;`,
+            errors: [{ messageId: "chainedNameWithSuffix" }],
+            filename: "src/views/dashboard.tsx",
+            output: null,
+        },
+        {
+            code: `const Dashboard = ({ user }) => {
+    if (!user) {
+        return <Login />;
+    }
+
+    return <div>{user.name}</div>;
+};
+
+export { Dashboard };`,
+            errors: [{ messageId: "chainedNameWithSuffix" }],
+            filename: "src/views/dashboard.tsx",
+            output: `const DashboardView = ({ user }) => {
+    if (!user) {
+        return <Login />;
+    }
+
+    return <div>{user.name}</div>;
+};
+
+export { DashboardView };`,
+        },
+        {
+            code: `export const items = [];
+
+export const settingsAppData = { items };`,
+            errors: [{ messageId: "missingFolderSuffix" }],
+            filename: "src/data/app.js",
+            output: `export const itemsAppData = [];
+
+export const settingsAppData = { items: itemsAppData };`,
+        },
+    ],
+    valid: [
+        {
+            code: "export const DashboardView = () => <div>Dashboard</div>;",
+            filename: "src/views/dashboard.tsx",
+        },
+        {
+            code: "export const HomePage = () => <div>Home</div>;",
+            filename: "src/pages/home.tsx",
+        },
+        {
+            code: "export const MainLayout = () => <div>Main</div>;",
+            filename: "src/layouts/main.tsx",
+        },
+        {
+            code: "export const LoginAuthView = () => <div>Login</div>;",
+            filename: "src/views/auth/login.tsx",
+        },
+        {
+            code: "export const AuthLoginView = () => <div>Login</div>;",
+            filename: "src/views/auth/login.tsx",
+            options: [{ chainOrder: "parent-child" }],
+        },
+        {
+            code: "export default function Page() { return <div>Post</div>; }",
+            filename: "app/blog/[slug]/page.tsx",
+            settings: { "code-style": { framework: "next" } },
+        },
+        {
+            code: `export const DashboardView = () => {
+    const Header = () => <h1>Dashboard</h1>;
+
+    return <div><Header /></div>;
+};`,
+            filename: "src/views/dashboard.tsx",
+        },
+        {
+            code: `export const usersAppData = () => {
+    const total = 1;
+
+    return total;
+};`,
+            filename: "src/data/app.js",
+        },
+    ],
+});
+
+runRuleTests("folder-structure-consistency", folderStructureConsistency, {
+    invalid: [
+        {
+            code: "export const data = [];",
+            errors: [{ messageId: "folderNotStandaloneFile" }],
+            filename: "src/data.js",
+            output: null,
+        },
+        {
+            code: "export const Input = () => null;",
+            errors: [{ messageId: "sinceSomeItemsContain" }],
+            filename: fixture("folder-structure-consistency/mixed/src/atoms/input.tsx"),
+            output: null,
+        },
+        {
+            code: `export * from "./input/input";`,
+            errors: [{ messageId: "unnecessaryWrapperFoldersEach" }],
+            filename: fixture("folder-structure-consistency/wrapped/src/atoms/index.ts"),
+            output: null,
+        },
+        {
+            code: "export const Login = () => null;",
+            errors: [{ messageId: "onlyOneSubfolderFlatten" }],
+            filename: fixture("folder-structure-consistency/nested/src/components/forms/auth/login.tsx"),
+            output: null,
+        },
+    ],
+    valid: [
+        {
+            code: "export const Input = () => null;",
+            filename: fixture("folder-structure-consistency/flat/src/atoms/input.tsx"),
+        },
+        {
+            code: `export * from "./input/input";`,
+            filename: fixture("folder-structure-consistency/justified/src/atoms/index.ts"),
+        },
+        {
+            code: "export const Input = () => null;",
+            filename: fixture("folder-structure-consistency/justified/src/atoms/input/input.tsx"),
+        },
+        {
+            code: "export const Login = () => null;",
+            filename: fixture("folder-structure-consistency/nested/src/components/forms/auth/login.tsx"),
+            options: [{ moduleFolders: ["atoms"] }],
+        },
+        {
+            code: "export const data = [];",
+            filename: "src/data.js",
+            options: [{ moduleFolders: ["atoms"] }],
+        },
+    ],
+});
+
+runRuleTests("no-redundant-folder-suffix", noRedundantFolderSuffix, {
+    invalid: [
+        {
+            code: "export const MainLayout = () => null;",
+            errors: [{ messageId: "fileNameRedundantSuffix" }],
+            filename: "src/layouts/main-layout.tsx",
+            output: null,
+        },
+        {
+            code: "export const ButtonAtom = () => null;",
+            errors: [{ messageId: "fileNameRedundantSuffix" }],
+            filename: "src/atoms/button-atom.tsx",
+            output: null,
+        },
+        {
+            code: "export const InputAtom = () => null;",
+            errors: [{ messageId: "fileNameRedundantSuffix" }],
+            filename: "src/atoms/forms/input-atom.tsx",
+            output: null,
+        },
+        {
+            code: "export const Button = () => null;",
+            errors: [{ messageId: "fileNameSameParent" }],
+            filename: "src/atoms/button/button.tsx",
+            output: null,
+        },
+        {
+            code: "export const Login = () => null;",
+            errors: [{ messageId: "folderNameRedundantSuffix" }],
+            filename: "src/views/auth-views/login.tsx",
+            output: null,
+        },
+    ],
+    valid: [
+        {
+            code: "export const MainLayout = () => null;",
+            filename: "src/layouts/main.tsx",
+        },
+        { code: "export const Button = () => null;", filename: "src/atoms/button.tsx" },
+        {
+            code: "export const useAuth = () => null;",
+            filename: "src/hooks/use-auth.ts",
+        },
+        {
+            code: "export const useAuth = () => null;",
+            filename: "src/hooks/use-auth-hook.ts",
+        },
+        {
+            code: "export const Button = () => null;",
+            filename: "src/atoms/button/index.tsx",
+        },
+        {
+            code: "export const MainLayout = () => null;",
+            filename: "app/layouts/main-layout.tsx",
+        },
+        {
+            code: "export const MainLayout = () => null;",
+            filename: "lib/layouts/main.tsx",
+            settings: { "code-style": { srcRoot: "lib" } },
+        },
+    ],
+});
+
+runRuleTests("svg-icon-naming-convention", svgIconNamingConvention, {
+    invalid: [
+        {
+            code: `export const Success = ({ className }) => <svg className={className}><path d="M0 0" /></svg>;`,
+            errors: [{ messageId: "componentReturnsSvgElement" }],
+            output: null,
+        },
+        {
+            code: "export const ButtonIcon = ({ children }) => <button>{children}</button>;",
+            errors: [{ messageId: "componentIconSuffixBut" }],
+            output: null,
+        },
+        {
+            code: `export const Spinner = ({ active }) => {
+    if (!active) return null;
+
+    return (
+        // animated ring
+        <svg viewBox="0 0 24 24"><circle r="10" /></svg>
+    );
+};`,
+            errors: [{ messageId: "componentReturnsSvgElement" }],
+            output: null,
+        },
+        {
+            code: `export function StatusIcon({ ok }) {
+    if (ok) {
+        return <svg><path d="M0 0" /></svg>;
+    }
+
+    return <span>!</span>;
+}`,
+            errors: [{ messageId: "componentIconSuffixBut" }],
+            output: null,
+        },
+    ],
+    valid: [
+        `export const SuccessIcon = ({ className }) => <svg className={className}><path d="M0 0" /></svg>;`,
+        "export const Button = ({ children }) => <button>{children}</button>;",
+        `export const ChevronIcon = ({ open }) => {
+    if (!open) {
+        return null;
+    }
+
+    return <svg><path d="M0 0" /></svg>;
+};`,
+        `export const ArrowIcon = ({ up }) => (up
+    ? <svg><path d="M0 1" /></svg>
+    : <svg><path d="M1 0" /></svg>);`,
+        "export const CheckIcon = (props) => <Icons.BaseIcon name=\"check\" {...props} />;",
+    ],
+});
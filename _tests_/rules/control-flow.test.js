@@ -0,0 +1,831 @@
+import {
+    blockStatementNewlines,
+    emptyLineAfterBlock,
+    ifElseSpacing,
+    ifStatementFormat,
+    logicalExpressionMultiline,
+    multilineIfConditions,
+    noEmptyLinesInSwitchCases,
+    ternaryConditionMultiline,
+} from "../../src/rules/control-flow.js";
+
+import { runRuleTests } from "./rule-tester.js";
+
+runRuleTests("block-statement-newlines", blockStatementNewlines, {
+    invalid: [
+        {
+            code: "if (condition) { doSomething(); }",
+            errors: [{ messageId: "statementOwnLineAfter" }, { messageId: "closingBraceOwnLine" }],
+            output: `if (condition) {
+    doSomething();
+}`,
+        },
+        {
+            code: "if (condition) {doSomething();}",
+            errors: [{ messageId: "statementOwnLineAfter" }, { messageId: "closingBraceOwnLine" }],
+            output: `if (condition) {
+    doSomething();
+}`,
+        },
+        {
+            code: `for (const item of items) { process(item);
+}`,
+            errors: [{ messageId: "statementOwnLineAfter" }],
+            output: `for (const item of items) {
+    process(item);
+}`,
+        },
+        {
+            code: `function run() {
+    if (condition) { doSomething(); }
+}`,
+            errors: [{ messageId: "statementOwnLineAfter" }, { messageId: "closingBraceOwnLine" }],
+            output: `function run() {
+    if (condition) {
+        doSomething();
+    }
+}`,
+        },
+        {
+            code: `function run() {
+    while (running) { step(); // advance
+    }
+}`,
+            errors: [{ messageId: "statementOwnLineAfter" }],
+            output: `function run() {
+    while (running) {
+        step(); // advance
+    }
+}`,
+        },
+        {
+            code: `items.forEach((item) => {
+    if (item.ready) {
+        send(item); }
+});`,
+            errors: [{ messageId: "closingBraceOwnLine" }],
+            output: `items.forEach((item) => {
+    if (item.ready) {
+        send(item);
+    }
+});`,
+        },
+    ],
+    valid: [
+        `if (condition) {
+    doSomething();
+}`,
+        "const noopHandler = () => {};",
+        "if (condition) {}",
+    ],
+});
+
+runRuleTests("empty-line-after-block", emptyLineAfterBlock, {
+    invalid: [
+        {
+            code: `function run() {
+    if (condition) {
+        doSomething();
+    }
+    const value = 1;
+}`,
+            errors: [{ messageId: "expectedEmptyLineAfter" }],
+            output: `function run() {
+    if (condition) {
+        doSomething();
+    }
+
+    const value = 1;
+}`,
+        },
+        {
+            code: `function run() {
+    for (const item of items) {
+        process(item);
+    }
+    save();
+}`,
+            errors: [{ messageId: "expectedEmptyLineAfter" }],
+            output: `function run() {
+    for (const item of items) {
+        process(item);
+    }
+
+    save();
+}`,
+        },
+        {
+            code: `const run = () => {
+    if (a) {
+        close();
+    } else if (b) {
+        open();
+    } else {
+        wait();
+    }
+    const total = 1;
+};`,
+            errors: [{ messageId: "expectedEmptyLineAfter" }],
+            output: `const run = () => {
+    if (a) {
+        close();
+    } else if (b) {
+        open();
+    } else {
+        wait();
+    }
+
+    const total = 1;
+};`,
+        },
+        {
+            code: `const run = () => {
+    if (isOpen) {
+        close();
+    } // closed
+    const total = 1;
+};`,
+            errors: [{ messageId: "expectedEmptyLineAfter" }],
+            output: `const run = () => {
+    if (isOpen) {
+        close();
+    } // closed
+
+    const total = 1;
+};`,
+        },
+        {
+            code: `const run = () => {
+    if (isOpen) {
+        close();
+    }
+    // next
+    const total = 1;
+};`,
+            errors: [{ messageId: "expectedEmptyLineAfter" }],
+            output: `const run = () => {
+    if (isOpen) {
+        close();
+    }
+
+    // next
+    const total = 1;
+};`,
+        },
+        {
+            code: `if (isOpen) {
+    close();
+}
+const total = 1;`,
+            errors: [{ messageId: "expectedEmptyLineAfter" }],
+            output: `if (isOpen) {
+    close();
+}
+
+const total = 1;`,
+        },
+        {
+            code: `const run = () => {
+    switch (status) {
+        case "open":
+            break;
+    }
+    const total = 1;
+};`,
+            errors: [{ messageId: "expectedEmptyLineAfter" }],
+            output: `const run = () => {
+    switch (status) {
+        case "open":
+            break;
+    }
+
+    const total = 1;
+};`,
+        },
+        {
+            code: `const run = () => {
+    for (const item of items) {
+        send(item);
+    } const total = 1;
+};`,
+            errors: [{ messageId: "expectedEmptyLineAfter" }],
+            output: `const run = () => {
+    for (const item of items) {
+        send(item);
+    }
+
+    const total = 1;
+};`,
+        },
+    ],
+    valid: [
+        `function run() {
+    if (condition) {
+        doSomething();
+    }
+
+    const value = 1;
+}`,
+        `try {
+    doSomething();
+} catch (error) {
+    handle(error);
+} finally {
+    cleanup();
+}`,
+        `if (condition) {
+    doSomething();
+} else {
+    doOther();
+}`,
+        `const run = () => {
+    if (isOpen) close();
+    const total = 1;
+};`,
+        `const run = () => {
+    if (isOpen) {
+        close();
+    }
+
+    // next
+    const total = 1;
+};`,
+    ],
+});
+
+runRuleTests("if-else-spacing", ifElseSpacing, {
+    invalid: [
+        {
+            code: `function render() {
+    if (!hasValidParams) return null;
+    if (status === "loading") {
+        return loading;
+    }
+    if (status === "error") {
+        return error;
+    }
+}`,
+            errors: [
+                { messageId: "expectedEmptyLineBetween" },
+                { messageId: "expectedEmptyLineBetween" },
+            ],
+            output: `function render() {
+    if (!hasValidParams) return null;
+
+    if (status === "loading") {
+        return loading;
+    }
+
+    if (status === "error") {
+        return error;
+    }
+}`,
+        },
+        {
+            code: `if (error) prom.reject(error);
+
+else prom.resolve(token);`,
+            errors: [{ messageId: "noEmptyLineAllowed" }],
+            output: `if (error) prom.reject(error);
+else prom.resolve(token);`,
+        },
+        {
+            code: `const run = () => {
+    if (isOpen) close();
+
+    else open();
+};`,
+            errors: [{ messageId: "noEmptyLineAllowed" }],
+            output: `const run = () => {
+    if (isOpen) close();
+    else open();
+};`,
+        },
+        {
+            code: `if (isOpen) close();
+// otherwise
+
+else open();`,
+            errors: [{ messageId: "noEmptyLineAllowed" }],
+            output: null,
+        },
+        {
+            code: `if (isOpen) {
+    close();
+} // closed
+if (isReady) {
+    open();
+}`,
+            errors: [{ messageId: "expectedEmptyLineBetween" }],
+            output: `if (isOpen) {
+    close();
+} // closed
+
+if (isReady) {
+    open();
+}`,
+        },
+        {
+            code: `if (isOpen) {
+    close();
+}
+// ready
+if (isReady) {
+    open();
+}`,
+            errors: [{ messageId: "expectedEmptyLineBetween" }],
+            output: `if (isOpen) {
+    close();
+}
+
+// ready
+if (isReady) {
+    open();
+}`,
+        },
+    ],
+    valid: [
+        `function render() {
+    if (!hasValidParams) return null;
+
+    if (status === "loading") {
+        return loading;
+    }
+
+    if (status === "error") {
+        return error;
+    }
+}`,
+        `if (error) prom.reject(error);
+else prom.resolve(token);`,
+        `if (isOpen) close();
+// otherwise
+else open();`,
+    ],
+});
+
+runRuleTests("if-statement-format", ifStatementFormat, {
+    invalid: [
+        {
+            code: `if (condition)
+{
+    doSomething();
+}`,
+            errors: [{ messageId: "openingBraceSameLine" }],
+            output: `if (condition) {
+    doSomething();
+}`,
+        },
+        {
+            code: `if
+(condition) {
+    doSomething();
+}`,
+            errors: [{ messageId: "openingParenthesisSameLine" }],
+            output: `if (condition) {
+    doSomething();
+}`,
+        },
+        {
+            code: `const run = () => {
+    if (isOpen)
+    {
+        close();
+    }
+};`,
+            errors: [{ messageId: "openingBraceSameLine" }],
+            output: `const run = () => {
+    if (isOpen) {
+        close();
+    }
+};`,
+        },
+        {
+            code: `if (label === "a  b" ||
+    isPinned) {
+    close();
+}`,
+            errors: [{ messageId: "conditionSingleLine" }],
+            output: `if (label === "a  b" || isPinned) {
+    close();
+}`,
+        },
+        {
+            code: `if (isOpen ||
+    // pinned
+    isPinned) {
+    close();
+}`,
+            errors: [{ messageId: "conditionSingleLine" }],
+            output: null,
+        },
+        {
+            code: `if (isOpen) // open
+{
+    close();
+}`,
+            errors: [{ messageId: "openingBraceSameLine" }],
+            output: null,
+        },
+    ],
+    valid: [
+        `if (condition) {
+    doSomething();
+} else {
+    doOther();
+}`,
+        "if (condition) doSomething();",
+    ],
+});
+
+runRuleTests("logical-expression-multiline", logicalExpressionMultiline, {
+    invalid: [
+        {
+            code: "const err = data.error || data.message || data.status || data.fallback;",
+            errors: [{ messageId: "logicalExpressionOperandsMultiple" }],
+            output: `const err = data.error
+    || data.message
+    || data.status
+    || data.fallback;`,
+        },
+        {
+            code: `const isReady = isLoaded
+    && isVisible;`,
+            errors: [{ messageId: "logicalExpressionOperandsSingle" }],
+            output: "const isReady = isLoaded && isVisible;",
+        },
+        {
+            code: "const isReady = a && b && c;",
+            errors: [{ messageId: "logicalExpressionOperandsMultiple" }],
+            options: [{ maxOperands: 2 }],
+            output: `const isReady = a
+    && b
+    && c;`,
+        },
+        {
+            code: "const isVisible = (isOpen || isPinned) && hasItems && isReady && isAllowed;",
+            errors: [{ messageId: "logicalExpressionOperandsMultiple" }],
+            output: `const isVisible = (isOpen || isPinned)
+    && hasItems
+    && isReady
+    && isAllowed;`,
+        },
+        {
+            code: `const Page = () => {
+    const isVisible = isOpen && hasItems && isReady && check({
+        id,
+    });
+};`,
+            errors: [{ messageId: "logicalExpressionOperandsMultiple" }],
+            output: `const Page = () => {
+    const isVisible = isOpen
+        && hasItems
+        && isReady
+        && check({
+            id,
+        });
+};`,
+        },
+        {
+            code: `const isVisible = isOpen
+    // pinned
+    || isPinned;`,
+            errors: [{ messageId: "logicalExpressionOperandsSingle" }],
+            output: null,
+        },
+    ],
+    valid: [
+        "const isReady = isLoaded && isVisible && isEnabled;",
+        `const err = data.error
+    || data.message
+    || data.status
+    || data.fallback;`,
+    ],
+});
+
+runRuleTests("multiline-if-conditions", multilineIfConditions, {
+    invalid: [
+        {
+            code: "if (isLoaded && isVisible && isEnabled && isReady) {}",
+            errors: [{ messageId: "conditionsMoreOperandsMultiline" }],
+            output: `if (
+    isLoaded
+    && isVisible
+    && isEnabled
+    && isReady
+) {}`,
+        },
+        {
+            code: `if (isLoaded
+    && isVisible) {}`,
+            errors: [{ messageId: "conditionsOperandsSingleLine" }],
+            output: "if (isLoaded && isVisible) {}",
+        },
+        {
+            code: "if ((a && (b || (c && d))) || e) {}",
+            errors: [{ messageId: "conditionNestingDepthExceeds" }],
+            output: `const isCAndD = (c && d);
+if ((a && (b || isCAndD)) || e) {}`,
+        },
+        {
+            code: "if (a && b && c) {}",
+            errors: [{ messageId: "conditionsMoreOperandsMultiline" }],
+            options: [{ maxOperands: 2 }],
+            output: `if (
+    a
+    && b
+    && c
+) {}`,
+        },
+        {
+            code: `function run() {
+    if (isLoaded && (isVisible || isHidden) && isEnabled && isReady) {
+        start();
+    }
+}`,
+            errors: [{ messageId: "conditionsMoreOperandsMultiline" }],
+            output: `function run() {
+    if (
+        isLoaded
+        && (isVisible || isHidden)
+        && isEnabled
+        && isReady
+    ) {
+        start();
+    }
+}`,
+        },
+        {
+            code: `if (isLoaded
+    && isVisible) {
+    start();
+} else if (isA && isB && isC && isD) {
+    stop();
+}`,
+            errors: [{ messageId: "conditionsOperandsSingleLine" }, { messageId: "conditionsMoreOperandsMultiline" }],
+            output: `if (isLoaded && isVisible) {
+    start();
+} else if (
+    isA
+    && isB
+    && isC
+    && isD
+) {
+    stop();
+}`,
+        },
+        {
+            code: "if ((isA || isB || isC || isD) && isReady) {}",
+            errors: [{ messageId: "nestedConditionOperandsFormatted" }],
+            output: `if ((
+    isA
+    || isB
+    || isC
+    || isD
+) && isReady) {}`,
+        },
+        {
+            code: `function run() {
+    if ((a && (b || (c && d))) || e) {
+        start();
+    }
+}`,
+            errors: [{ messageId: "conditionNestingDepthExceeds" }],
+            output: `function run() {
+    const isCAndD = (c && d);
+    if ((a && (b || isCAndD)) || e) {
+        start();
+    }
+}`,
+        },
+        {
+            code: `if (isReady) {
+    start();
+} else if ((a && (b || (c && d))) || e) {
+    stop();
+}`,
+            errors: [{ messageId: "conditionNestingDepthExceeds" }],
+            output: null,
+        },
+        {
+            code: `if (
+    isLoaded // data is ready
+    && isVisible
+) {}`,
+            errors: [{ messageId: "conditionsOperandsSingleLine" }],
+            output: null,
+        },
+        {
+            code: "if (isLoaded /* data */ && isVisible && isEnabled && isReady) {}",
+            errors: [{ messageId: "conditionsMoreOperandsMultiline" }],
+            output: null,
+        },
+        {
+            code: `const config = {
+    isActive: isLoaded && isVisible && isEnabled && isReady,
+};`,
+            errors: [{ messageId: "propertyConditionsMoreOperands" }],
+            output: `const config = {
+    isActive: isLoaded
+        && isVisible
+        && isEnabled
+        && isReady,
+};`,
+        },
+        {
+            code: `const config = {
+    isActive: isLoaded
+        && isVisible,
+};`,
+            errors: [{ messageId: "propertyConditionsOperandsSingle" }],
+            output: `const config = {
+    isActive: isLoaded && isVisible,
+};`,
+        },
+        {
+            code: `const config = {
+    isActive: isLoaded // data
+        && isVisible,
+};`,
+            errors: [{ messageId: "propertyConditionsOperandsSingle" }],
+            output: null,
+        },
+    ],
+    valid: [
+        "if (isLoaded && isVisible && isEnabled) {}",
+        `if (
+    isLoaded
+    && isVisible
+    && isEnabled
+    && isReady
+) {}`,
+        "if ((a && (b || c)) || d) {}",
+    ],
+});
+
+runRuleTests("no-empty-lines-in-switch-cases", noEmptyLinesInSwitchCases, {
+    invalid: [
+        {
+            code: `switch (value) {
+    case 1:
+
+        label = "one";
+        break;
+    case 2:
+        label = "two";
+        break;
+}`,
+            errors: [{ messageId: "emptyLineNotAllowed" }],
+            output: `switch (value) {
+    case 1:
+        label = "one";
+        break;
+    case 2:
+        label = "two";
+        break;
+}`,
+        },
+        {
+            code: `switch (value) {
+    case 1:
+
+    case 2:
+        label = "low";
+        break;
+}`,
+            errors: [{ messageId: "emptyLineNotAllowedBetween" }],
+            output: `switch (value) {
+    case 1:
+    case 2:
+        label = "low";
+        break;
+}`,
+        },
+        {
+            code: `const run = () => {
+    switch (status) {
+        case "open":
+
+            return 1;
+        default:
+            return 0;
+    }
+};`,
+            errors: [{ messageId: "emptyLineNotAllowed" }],
+            output: `const run = () => {
+    switch (status) {
+        case "open":
+            return 1;
+        default:
+            return 0;
+    }
+};`,
+        },
+        {
+            code: `const run = () => {
+    switch (status) {
+        case "open":
+
+            // first
+            return 1;
+        default:
+            return 0;
+    }
+};`,
+            errors: [{ messageId: "emptyLineNotAllowed" }],
+            output: null,
+        },
+    ],
+    valid: [
+        `switch (value) {
+    case 1:
+        label = "one";
+        break;
+    case 2:
+        label = "two";
+        break;
+    default:
+        label = "other";
+}`,
+        `const run = () => {
+    switch (status) {
+        case "open":
+            // first
+            return 1;
+        case "closed":
+        // grouped
+        case "done":
+            return 2;
+    }
+};`,
+    ],
+});
+
+runRuleTests("ternary-condition-multiline", ternaryConditionMultiline, {
+    invalid: [
+        {
+            code: `const label = a && b && c
+    ? "yes"
+    : "no";`,
+            errors: [{ messageId: "ternaryOperandsSingleLine" }],
+            output: `const label = a && b && c ? "yes" : "no";`,
+        },
+        {
+            code: `const value = variant === "ghost" || variant === "ghost-danger" || variant === "muted" || variant === "primary" ? "value1" : "value2";`,
+            errors: [{ messageId: "ternaryConditionsMoreOperands" }],
+            output: `const value = variant === "ghost"
+    || variant === "ghost-danger"
+    || variant === "muted"
+    || variant === "primary"
+    ? "value1"
+    : "value2";`,
+        },
+        {
+            code: `const label = a && b && c ? "yes" : "no";`,
+            errors: [{ messageId: "ternaryConditionsMoreOperands" }],
+            options: [{ maxOperands: 2 }],
+            output: `const label = a
+    && b
+    && c
+    ? "yes"
+    : "no";`,
+        },
+        {
+            code: `const Page = () => {
+    const config = isOpen && isReady && isAllowed && isVisible ? {
+        id,
+    } : null;
+};`,
+            errors: [{ messageId: "ternaryConditionsMoreOperands" }],
+            output: `const Page = () => {
+    const config = isOpen
+        && isReady
+        && isAllowed
+        && isVisible
+        ? {
+            id,
+        }
+        : null;
+};`,
+        },
+        {
+            code: `const label = isOpen
+    // open
+    ? "Close"
+    : "Open";`,
+            errors: [{ messageId: "ternaryOperandsSingleLine" }],
+            output: null,
+        },
+    ],
+    valid: [
+        `const label = a && b && c ? "yes" : "no";`,
+        `const url = lang === "ar" ? "/ar/path" : "/en/path";`,
+        `const inputType = showToggle ? (showPwd ? "text" : "password") : type;`,
+        `const value = variant === "ghost"
+    || variant === "ghost-danger"
+    || variant === "muted"
+    || variant === "primary"
+    ? "value1"
+    : "value2";`,
+    ],
+});
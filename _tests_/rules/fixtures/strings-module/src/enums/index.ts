@@ -0,0 +1,6 @@
+export enum UserRole {
+    Admin = "admin",
+    Editor = "editor",
+}
+
+export * from "./priority";
@@ -0,0 +1,4 @@
+export const Priority = {
+    High: "high",
+    Low: "low",
+} as const;
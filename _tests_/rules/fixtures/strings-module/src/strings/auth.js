@@ -0,0 +1,7 @@
+export const signInLabel = `Sign in`;
+
+export const AuthLabels = Object.freeze({
+    signOut: "Sign out",
+});
+
+export const passwordMinLength = 8;
@@ -0,0 +1,6 @@
+export const welcomeText = "Welcome to the app";
+
+export const submitForm = "Send form";
+
+export * from "./auth";
+export { title as pageTitle } from "./page";
@@ -0,0 +1,3 @@
+const title = "Dashboard";
+
+export { title };
@@ -0,0 +1,15 @@
+module.exports = {
+    plugins: [
+        ({ addComponents, addUtilities }) => {
+            addComponents({ ".card": { borderRadius: "0.5rem" } });
+            addUtilities({ ".scrollbar-hidden": { scrollbarWidth: "none" } });
+        },
+    ],
+    theme: {
+        extend: {
+            colors: { brand: { DEFAULT: "#1d4ed8", light: "#60a5fa" } },
+            fontSize: { huge: "5rem" },
+            screens: { "3xl": "1920px" },
+        },
+    },
+};
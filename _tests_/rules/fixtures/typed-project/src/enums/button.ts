@@ -0,0 +1,10 @@
+export enum ButtonVariantEnum {
+    GHOST = "ghost",
+    PRIMARY = "primary",
+    SECONDARY_OUTLINE = "secondary-outline",
+}
+
+export enum ButtonSizeEnum {
+    LARGE = "lg",
+    SMALL = "sm",
+}
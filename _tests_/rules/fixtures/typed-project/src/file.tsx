@@ -0,0 +1 @@
+// Type-aware rule tests lint their code as this file, so it is part of the fixture program
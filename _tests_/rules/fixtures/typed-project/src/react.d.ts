@@ -0,0 +1,8 @@
+// Minimal React declarations for type-aware rule tests
+declare module "react" {
+    export type ReactNode = Element | string | number | boolean | null | undefined;
+
+    export type FC<P = {}> = (props: P) => ReactNode;
+
+    export function useState<S>(initialState: S | (() => S)): [S, (value: S | ((previous: S) => S)) => void];
+}
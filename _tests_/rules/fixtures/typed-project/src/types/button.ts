@@ -0,0 +1,7 @@
+import type { ButtonVariantEnum } from "../enums/button";
+
+export type ButtonVariantType = `${ButtonVariantEnum}`;
+
+export type ButtonSizeType = "lg" | "sm";
+
+export type ButtonShapeType = "pill" | "square";
@@ -0,0 +1,5 @@
+export type Maybe<T> = T | null | undefined;
+
+export type IsEnabledType = boolean;
+
+export type SubmitHandlerType = (values: Record<string, string>) => void;
@@ -0,0 +1,715 @@
+import {
+    functionCallSpacing,
+    functionDeclarationStyle,
+    functionNamingConvention,
+    functionObjectDestructure,
+    functionParamsPerLine,
+    noEmptyLinesInFunctionParams,
+} from "../../src/rules/functions.js";
+
+import { runRuleTests, typescript } from "./rule-tester.js";
+
+runRuleTests("function-call-spacing", functionCallSpacing, {
+    invalid: [
+        {
+            code: "useDispatch ();",
+            errors: [{ messageId: "noSpaceBetweenFunctionName" }],
+            output: "useDispatch();",
+        },
+        {
+            code: "myFunction (arg);",
+            errors: [{ messageId: "noSpaceBetweenFunctionName" }],
+            output: "myFunction(arg);",
+        },
+        {
+            code: "new Date ();",
+            errors: [{ messageId: "noSpaceBetweenFunctionName" }],
+            output: "new Date();",
+        },
+        ...typescript([
+            {
+                code: `useState <string>("");`,
+                errors: [{ messageId: "noSpaceBetweenFunction" }],
+                output: `useState<string>("");`,
+            },
+            {
+                code: `useState<string> ("");`,
+                errors: [{ messageId: "noSpaceBetweenGeneric" }],
+                output: `useState<string>("");`,
+            },
+        ]),
+        {
+            code: "foo /* call */ ();",
+            errors: [{ messageId: "noSpaceBetweenFunctionName" }],
+            output: null,
+        },
+        {
+            code: "(handler) (value);",
+            errors: [{ messageId: "noSpaceBetweenFunctionName" }],
+            output: "(handler)(value);",
+        },
+        {
+            code: `(function () {
+    return 1;
+}) ();`,
+            errors: [{ messageId: "noSpaceBetweenFunctionName" }],
+            output: `(function () {
+    return 1;
+})();`,
+        },
+        {
+            code: `items.map((item) => format
+    (item));`,
+            errors: [{ messageId: "noSpaceBetweenFunctionName" }],
+            output: "items.map((item) => format(item));",
+        },
+    ],
+    valid: [
+        "useDispatch();",
+        "myFunction(arg);",
+        ...typescript([
+            `useState<string>("");`,
+        ]),
+        "const date = (new Date);",
+        "callback?.(value);",
+    ],
+});
+
+runRuleTests("function-declaration-style", functionDeclarationStyle, {
+    invalid: [
+        {
+            code: `function clearAuthHandler() {
+    removeToken();
+}`,
+            errors: [{ messageId: "expectedFunctionExpressionConst" }],
+            output: `const clearAuthHandler = () => {
+    removeToken();
+};`,
+        },
+        {
+            code: "export async function getTokenHandler(key) { return getCookie(key); }",
+            errors: [{ messageId: "expectedFunctionExpressionConst" }],
+            output: "export const getTokenHandler = async (key) => { return getCookie(key); };",
+        },
+        ...typescript([
+            {
+                code: "function getTokenHandler(): string | null { return getCookie(tokenKey); }",
+                errors: [{ messageId: "expectedFunctionExpressionConst" }],
+                output: "const getTokenHandler = (): string | null => { return getCookie(tokenKey); };",
+            },
+        ]),
+        {
+            code: `export default function renderHandler(value) {
+    return value;
+}`,
+            errors: [{ messageId: "expectedFunctionExpressionConst" }],
+            output: `const renderHandler = (value) => {
+    return value;
+};
+
+export default renderHandler;`,
+        },
+        {
+            code: `function formatHandler(
+    value, // raw value
+    locale,
+) {
+    return value;
+}`,
+            errors: [{ messageId: "expectedFunctionExpressionConst" }],
+            output: `const formatHandler = (
+    value, // raw value
+    locale,
+) => {
+    return value;
+};`,
+        },
+        {
+            code: `const runHandler = () => {
+    function innerHandler() {
+        return function () { return this.value; };
+    }
+
+    return innerHandler();
+};`,
+            errors: [{ messageId: "expectedFunctionExpressionConst" }],
+            output: `const runHandler = () => {
+    const innerHandler = () => {
+        return function () { return this.value; };
+    };
+
+    return innerHandler();
+};`,
+        },
+        {
+            code: `initHandler();
+
+function initHandler() {
+    return 1;
+}`,
+            errors: [{ messageId: "expectedFunctionExpressionConst" }],
+            output: null,
+        },
+        {
+            code: `function readHandler() {
+    return () => this.value;
+}`,
+            errors: [{ messageId: "expectedFunctionExpressionConst" }],
+            output: null,
+        },
+        {
+            code: `function sumHandler() {
+    return [...arguments].length;
+}`,
+            errors: [{ messageId: "expectedFunctionExpressionConst" }],
+            output: null,
+        },
+        {
+            code: `function /* helper */ formatHandler(value) {
+    return value;
+}`,
+            errors: [{ messageId: "expectedFunctionExpressionConst" }],
+            output: null,
+        },
+        ...typescript([
+            {
+                code: `function parseHandler(value: string): string;
+function parseHandler(value: number): number;
+function parseHandler(value: any) {
+    return value;
+}`,
+                errors: [{ messageId: "expectedFunctionExpressionConst" }],
+                output: null,
+            },
+        ]),
+    ],
+    valid: [
+        "const getTokenHandler = () => getCookie(tokenKey);",
+        `const clearAuthHandler = () => {
+    removeToken();
+};`,
+        "export default function () { return null; }",
+        `function* idsHandler() {
+    yield 1;
+}`,
+    ],
+});
+
+runRuleTests("function-naming-convention", functionNamingConvention, {
+    invalid: [
+        {
+            code: "function GetUserData() {}",
+            errors: [{ messageId: "notCamelCase" }],
+            output: "function getUserDataHandler() {}",
+        },
+        {
+            code: "function handleClick() {}",
+            errors: [{ messageId: "handlePrefixToSuffix" }],
+            output: "function clickHandler() {}",
+        },
+        {
+            code: "const fetchStatus = () => {};",
+            errors: [{ messageId: "missingHandlerSuffix" }],
+            output: "const fetchStatusHandler = () => {};",
+        },
+        {
+            code: "const FetchStatus = () => {};",
+            errors: [{ messageId: "notCamelCase" }],
+            output: "const fetchStatusHandler = () => {};",
+        },
+        {
+            code: "function userData() {}",
+            errors: [{ messageId: "missingHandlerSuffix" }],
+            output: "function userDataHandler() {}",
+        },
+        {
+            code: "export const getUserData = () => {};",
+            errors: [
+                {
+                    messageId: "missingHandlerSuffix",
+                    suggestions: [
+                        {
+                            data: { suggestedName: "getUserDataHandler" },
+                            messageId: "renameTo",
+                            output: "export const getUserDataHandler = () => {};",
+                        },
+                    ],
+                },
+            ],
+            output: null,
+        },
+        {
+            code: "const { submit } = useForm();",
+            errors: [{ messageId: "destructuredMissingHandlerSuffix" }],
+            output: "const { submit: submitHandler } = useForm();",
+        },
+        {
+            code: `class ApiServiceClass {
+    getData() {}
+}`,
+            errors: [{ messageId: "methodMissingHandlerSuffix" }],
+            output: `class ApiServiceClass {
+    getDataHandler() {}
+}`,
+        },
+        {
+            code: `class ApiServiceClass {
+    data() {}
+}`,
+            errors: [
+                {
+                    messageId: "methodMissingVerbAndHandlerSuffix",
+                    suggestions: [
+                        {
+                            data: { suggestedName: "getDataHandler" },
+                            messageId: "renameTo",
+                            output: `class ApiServiceClass {
+    getDataHandler() {}
+}`,
+                        },
+                        {
+                            data: { suggestedName: "setDataHandler" },
+                            messageId: "renameTo",
+                            output: `class ApiServiceClass {
+    setDataHandler() {}
+}`,
+                        },
+                        {
+                            data: { suggestedName: "fetchDataHandler" },
+                            messageId: "renameTo",
+                            output: `class ApiServiceClass {
+    fetchDataHandler() {}
+}`,
+                        },
+                    ],
+                },
+            ],
+            output: null,
+        },
+        {
+            code: `const getUserData = () => {};
+
+getUserData();`,
+            errors: [{ messageId: "missingHandlerSuffix" }],
+            output: `const getUserDataHandler = () => {};
+
+getUserDataHandler();`,
+        },
+        {
+            code: "const hydrateStore = () => {};",
+            errors: [{ messageId: "missingHandlerSuffix" }],
+            options: [{ extendVerbPrefixes: ["hydrate"] }],
+            output: "const hydrateStoreHandler = () => {};",
+        },
+        {
+            code: "const getUserDataHandler = () => {};",
+            errors: [
+                {
+                    messageId: "notVerbPrefixed",
+                    suggestions: [
+                        {
+                            data: { suggestedName: "fetchGetUserDataHandler" },
+                            messageId: "renameTo",
+                            output: "const fetchGetUserDataHandler = () => {};",
+                        },
+                    ],
+                },
+            ],
+            options: [{ verbPrefixes: ["fetch", "load"] }],
+            output: null,
+        },
+        {
+            code: "const cartTotal = () => {};",
+            errors: [
+                {
+                    messageId: "notVerbPrefixed",
+                    suggestions: [
+                        {
+                            data: { suggestedName: "getCartTotal" },
+                            messageId: "renameTo",
+                            output: "const getCartTotal = () => {};",
+                        },
+                        {
+                            data: { suggestedName: "setCartTotal" },
+                            messageId: "renameTo",
+                            output: "const setCartTotal = () => {};",
+                        },
+                        {
+                            data: { suggestedName: "fetchCartTotal" },
+                            messageId: "renameTo",
+                            output: "const fetchCartTotal = () => {};",
+                        },
+                    ],
+                },
+            ],
+            options: [{ handlerSuffix: "never" }],
+            output: null,
+        },
+        {
+            code: `const formatPrice = (price) => price.toFixed(2);
+
+export const Cart = () => {
+    const resetCart = () => {};
+
+    return <button onClick={resetCart}>{formatPrice(0)}</button>;
+};`,
+            errors: [{ messageId: "missingHandlerSuffix" }],
+            options: [{ handlerSuffix: "insideComponents" }],
+            output: `const formatPrice = (price) => price.toFixed(2);
+
+export const Cart = () => {
+    const resetCartHandler = () => {};
+
+    return <button onClick={resetCartHandler}>{formatPrice(0)}</button>;
+};`,
+        },
+        {
+            code: `const handleResize = () => {};
+
+export const Gallery = () => {
+    const handleClick = () => {};
+
+    return <img onClick={handleClick} />;
+};`,
+            errors: [{ messageId: "handlePrefixToSuffix" }],
+            options: [{ handlerSuffix: "insideComponents" }],
+            output: `const handleResize = () => {};
+
+export const Gallery = () => {
+    const clickHandler = () => {};
+
+    return <img onClick={clickHandler} />;
+};`,
+        },
+        {
+            code: `export const Form = () => {
+    const submitHandler = useCallback(() => {}, []);
+
+    return <form onSubmit={submitHandler} />;
+};`,
+            errors: [{ messageId: "handlerSuffixToPrefix" }],
+            options: [{ eventHandlerStyle: "prefix" }],
+            output: `export const Form = () => {
+    const handleSubmit = useCallback(() => {}, []);
+
+    return <form onSubmit={handleSubmit} />;
+};`,
+        },
+    ],
+    valid: [
+        "function getUserDataHandler() {}",
+        "function clickHandler() {}",
+        "const submitHandler = () => {};",
+        `const isValidEmailHandler = (email) => email.includes("@");`,
+        "export const Button = () => <button />;",
+        "const useAuth = () => {};",
+        "items.map(function (item) { return item; });",
+        {
+            code: "const formatPrice = (price) => price.toFixed(2);",
+            options: [{ handlerSuffix: "never" }],
+        },
+        {
+            code: "function handleClick() {}",
+            options: [{ handlerSuffix: "never" }],
+        },
+        {
+            code: "const handleResize = () => {};",
+            options: [{ handlerSuffix: "insideComponents" }],
+        },
+        {
+            code: `const formatPrice = (price) => price.toFixed(2);
+
+const { logout } = useAuth();
+
+class CacheStoreClass {
+    clearEntries() {}
+}
+
+export const Cart = () => {
+    const resetCartHandler = () => {};
+
+    return <button onClick={resetCartHandler}>{formatPrice(0)}</button>;
+};`,
+            options: [{ handlerSuffix: "insideComponents" }],
+        },
+        {
+            code: `export const Form = () => {
+    const handleSubmit = () => {};
+    const validateFieldsHandler = () => {};
+
+    return <form onSubmit={handleSubmit} />;
+};`,
+            options: [{ eventHandlerStyle: "prefix" }],
+        },
+        {
+            code: `class FormClass extends React.Component {
+    handleChange() {}
+}`,
+            options: [{ eventHandlerStyle: "prefix" }],
+        },
+    ],
+});
+
+runRuleTests("function-object-destructure", functionObjectDestructure, {
+    invalid: [
+        {
+            code: `const createHandler = async (data) => {
+    console.log(data.firstName);
+};`,
+            errors: [{ messageId: "parameterAccessedViaDotNotation" }],
+            output: `const createHandler = async (data) => {
+    const { firstName } = data;
+    console.log(firstName);
+};`,
+        },
+        {
+            code: "const getNameHandler = (user) => user.name;",
+            errors: [{ messageId: "parameterAccessedViaDot" }],
+            output: "const getNameHandler = ({ name }) => name;",
+        },
+        {
+            code: `const createHandler = async ({ firstName }) => {
+    await save(firstName);
+};`,
+            errors: [{ messageId: "nonComponentFunctionsNot" }],
+            output: null,
+        },
+        {
+            code: `import { services } from "@/services";
+
+const { userService } = services;
+
+userService.load();`,
+            errors: [{ messageId: "doNotDestructureModule" }],
+            output: `import { services } from "@/services";
+
+services.userService.load();`,
+        },
+        {
+            code: `const getNameHandler = (user) => {
+    const { name } = user;
+
+    return name;
+};`,
+            errors: [{ messageId: "functionOnlyDestructuresReturns" }],
+            output: "const getNameHandler = ({ name }) => name;",
+        },
+        {
+            code: `export const Card = (props) => {
+    const { user } = props;
+
+    return <div>{user.name}</div>;
+};`,
+            errors: [{ messageId: "functionOnlyDestructuresReturns" }],
+            output: "export const Card = ({ user }) => <div>{user.name}</div>;",
+        },
+        ...typescript([
+            {
+                code: `const createHandler = async ({ firstName }: FormInterface) => {
+    await save(firstName);
+};`,
+                errors: [{ messageId: "nonComponentFunctionsNot" }],
+                output: null,
+            },
+        ]),
+    ],
+    valid: [
+        `const createHandler = async (data) => {
+    const { firstName, lastName } = data;
+
+    console.log(firstName, lastName);
+};`,
+        "const getNameHandler = ({ name }) => name;",
+        "export const Card = ({ title }) => <div>{title}</div>;",
+    ],
+});
+
+runRuleTests("function-params-per-line", functionParamsPerLine, {
+    invalid: [
+        {
+            code: `function testHandler(param1,
+    param2, param3) {}`,
+            errors: [
+                { messageId: "firstParameterOwnLine" },
+                { messageId: "eachParameterOwnLine" },
+                { messageId: "closingParenthesisOwnLine" },
+            ],
+            output: `function testHandler(
+                     param1,
+    param2,
+                     param3,
+                    ) {}`,
+        },
+        {
+            code: `const testHandler = (
+    a,
+    b,
+) => a + b;`,
+            errors: [{ messageId: "functionParametersSameLine" }],
+            output: "const testHandler = (a, b) => a + b;",
+        },
+        {
+            code: "function testHandler(a,b) {}",
+            errors: [{ messageId: "missingSpaceAfterComma" }],
+            output: "function testHandler(a, b) {}",
+        },
+        {
+            code: "const saveHandler = (a, b, c) => a;",
+            errors: [
+                { messageId: "firstParameterOwnLine" },
+                { messageId: "eachParameterOwnLine" },
+                { messageId: "eachParameterOwnLine" },
+                { messageId: "closingParenthesisOwnLine" },
+            ],
+            output: `const saveHandler = (
+                     a,
+                     b,
+                     c,
+                    ) => a;`,
+        },
+        {
+            code: `items.reduce((acc,
+    item) => acc + item, 0);`,
+            errors: [
+                { messageId: "callbackArrowParamsFirst" },
+                { messageId: "callbackArrowParamsClosing" },
+            ],
+            output: `items.reduce((
+    acc,
+    item,
+) => acc + item, 0);`,
+        },
+        {
+            code: "items.reduce((acc, item) => acc + item, 0);",
+            errors: [
+                { messageId: "callbackArrowParamsFirst" },
+                { messageId: "callbackArrowParamsEach" },
+                { messageId: "callbackArrowParamsClosing" },
+            ],
+            output: `items.reduce((
+    acc,
+    item,
+) => acc + item, 0);`,
+        },
+    ],
+    valid: [
+        `function testHandler(
+    param1,
+    param2,
+    param3,
+) {}`,
+        "const addHandler = (a, b) => a + b;",
+        "items.map((item) => item.id);",
+    ],
+});
+
+runRuleTests("no-empty-lines-in-function-params", noEmptyLinesInFunctionParams, {
+    invalid: [
+        {
+            code: `function testHandler(
+    param1,
+
+    param2,
+) {}`,
+            errors: [{ messageId: "noEmptyLineBetween" }],
+            output: `function testHandler(
+    param1,
+    param2,
+) {}`,
+        },
+        {
+            code: `function testHandler(
+
+    param1,
+    param2,
+) {}`,
+            errors: [{ messageId: "noEmptyLineAfter" }],
+            output: `function testHandler(
+    param1,
+    param2,
+) {}`,
+        },
+        {
+            code: `const testHandler = (
+
+    param1,
+    param2
+) => param1;`,
+            errors: [{ messageId: "noEmptyLineAfter" }],
+            output: `const testHandler = (
+    param1,
+    param2
+) => param1;`,
+        },
+        {
+            code: `function testHandler(
+    param1,
+    param2,
+
+) {}`,
+            errors: [{ messageId: "noEmptyLineBefore" }],
+            output: `function testHandler(
+    param1,
+    param2,
+) {}`,
+        },
+        {
+            code: `const Button = ({
+
+    children,
+    className,
+}) => children;`,
+            errors: [{ messageId: "noEmptyLineAfterOpening" }],
+            output: `const Button = ({
+    children,
+    className,
+}) => children;`,
+        },
+        {
+            code: `const Button = ({
+    children,
+
+    className,
+}) => children;`,
+            errors: [{ messageId: "noEmptyLinesBetween" }],
+            output: `const Button = ({
+    children,
+    className,
+}) => children;`,
+        },
+        {
+            code: `const Button = ({
+    children,
+    className,
+
+}) => children;`,
+            errors: [{ messageId: "noEmptyLineBeforeClosing" }],
+            output: `const Button = ({
+    children,
+    className
+}) => children;`,
+        },
+        ...typescript([
+            {
+                code: `const Button = ({ children }: {
+
+    children: string,
+}) => children;`,
+                errors: [{ messageId: "noEmptyLineAfterOpeningBrace" }],
+                output: `const Button = ({ children }: {
+    children: string,
+}) => children;`,
+            },
+        ]),
+    ],
+    valid: [
+        `function testHandler(
+    param1,
+    param2,
+) {}`,
+        `const Button = ({
+    children,
+    className,
+}) => children;`,
+    ],
+});
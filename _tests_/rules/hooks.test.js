@@ -0,0 +1,639 @@
+import {
+    hookCallbackFormat,
+    hookDepsPerLine,
+    hookFileNamingConvention,
+    hookFunctionNamingConvention,
+    useStateNamingConvention,
+} from "../../src/rules/hooks.js";
+
+import { runRuleTests, typescript, typescriptWithTypes } from "./rule-tester.js";
+
+runRuleTests("hook-callback-format", hookCallbackFormat, {
+    invalid: [
+        {
+            code: "useEffect(() => { doSomething(); }, [dep1, dep2]);",
+            errors: [
+                { messageId: "callbackStartNewLine" },
+                { messageId: "dependencyArrayNewLine" },
+                { messageId: "closingParenthesisNewLine" },
+            ],
+            output: `useEffect(
+    () => { doSomething(); },
+    [dep1, dep2],
+);`,
+        },
+        {
+            code: `useEffect(
+    () => { doSomething(); }, [dep1, dep2]);`,
+            errors: [
+                { messageId: "dependencyArrayNewLine" },
+                { messageId: "closingParenthesisNewLine" },
+            ],
+            output: `useEffect(
+    () => { doSomething(); },
+    [dep1, dep2],
+);`,
+        },
+        {
+            code: "useEffect(() => { doSomething(); });",
+            errors: [{ messageId: "callbackStartNewLine" }],
+            output: `useEffect(
+    () => { doSomething(); });`,
+        },
+        {
+            code: `const Page = () => {
+    useEffect(() => {
+        load();
+    }, [id]);
+};`,
+            errors: [
+                { messageId: "callbackStartNewLine" },
+                { messageId: "dependencyArrayNewLine" },
+                { messageId: "closingParenthesisNewLine" },
+            ],
+            output: `const Page = () => {
+    useEffect(
+        () => {
+            load();
+        },
+        [id],
+    );
+};`,
+        },
+        {
+            code: "useEffect(() => { load(); }, /* ids */ [id]);",
+            errors: [
+                { messageId: "callbackStartNewLine" },
+                { messageId: "dependencyArrayNewLine" },
+                { messageId: "closingParenthesisNewLine" },
+            ],
+            output: `useEffect(
+    () => { load(); }, /* ids */ [id],
+);`,
+        },
+    ],
+    valid: [
+        `useEffect(
+    () => { doSomething(); },
+    [dep1, dep2],
+);`,
+        "useCallback(fetchHandler, [id]);",
+    ],
+});
+
+runRuleTests("hook-deps-per-line", hookDepsPerLine, {
+    invalid: [
+        {
+            code: "useEffect(() => {}, [dep1, dep2, dep3, dep4]);",
+            errors: [
+                { messageId: "firstDependencyOwnLine" },
+                { messageId: "eachDependencyOwnLine" },
+                { messageId: "eachDependencyOwnLine" },
+                { messageId: "eachDependencyOwnLine" },
+                { messageId: "closingBracketOwnLine" },
+            ],
+            output: `useEffect(() => {}, [
+    dep1,
+    dep2,
+    dep3,
+    dep4,
+]);`,
+        },
+        {
+            code: `useEffect(() => {}, [
+    dep1,
+    dep2,
+]);`,
+            errors: [{ messageId: "hookDependenciesItemsSingle" }],
+            output: "useEffect(() => {}, [dep1, dep2]);",
+        },
+        {
+            code: "useMemo(() => value, [dep1, dep2]);",
+            errors: [
+                { messageId: "firstDependencyOwnLine" },
+                { messageId: "eachDependencyOwnLine" },
+                { messageId: "closingBracketOwnLine" },
+            ],
+            options: [{ maxDeps: 1 }],
+            output: `useMemo(() => value, [
+    dep1,
+    dep2,
+]);`,
+        },
+        {
+            code: `const Page = () => {
+    useEffect(() => {
+        load();
+    }, [id, page, size]);
+};`,
+            errors: [
+                { messageId: "firstDependencyOwnLine" },
+                { messageId: "eachDependencyOwnLine" },
+                { messageId: "eachDependencyOwnLine" },
+                { messageId: "closingBracketOwnLine" },
+            ],
+            output: `const Page = () => {
+    useEffect(() => {
+        load();
+    }, [
+        id,
+        page,
+        size,
+    ]);
+};`,
+        },
+        {
+            code: "useEffect(() => {}, [dep1, /* page */ dep2, dep3]);",
+            errors: [
+                { messageId: "firstDependencyOwnLine" },
+                { messageId: "eachDependencyOwnLine" },
+                { messageId: "eachDependencyOwnLine" },
+                { messageId: "closingBracketOwnLine" },
+            ],
+            output: `useEffect(() => {}, [
+    dep1, /* page */ dep2,
+    dep3,
+]);`,
+        },
+        {
+            code: `useEffect(() => {}, [
+    dep1, // first
+    dep2,
+]);`,
+            errors: [{ messageId: "hookDependenciesItemsSingle" }],
+            output: null,
+        },
+    ],
+    valid: [
+        "useEffect(() => {}, [dep1, dep2]);",
+        `useEffect(() => {}, [
+    dep1,
+    dep2,
+    dep3,
+]);`,
+        { code: "useEffect(() => {}, [dep1, dep2, dep3]);", options: [{ maxDeps: 3 }] },
+    ],
+});
+
+runRuleTests("hook-file-naming-convention", hookFileNamingConvention, {
+    invalid: [
+        {
+            code: "export const useCreate = () => {};",
+            errors: [{ messageId: "invalidVerbHookSuffix" }],
+            filename: "src/hooks/super-admins/use-create.ts",
+            output: null,
+        },
+        {
+            code: "export const useSuperAdmins = () => {};",
+            errors: [{ messageId: "invalidVerbHookSuffix" }],
+            filename: "src/hooks/super-admins/use-super-admins.ts",
+            output: null,
+        },
+        {
+            code: "export const useAdminsList = () => {};",
+            errors: [{ messageId: "invalidListHookName" }],
+            filename: "src/hooks/super-admins/use-admins-list.ts",
+            output: null,
+        },
+        {
+            code: "export const useGetAdmin = () => {};",
+            errors: [{ messageId: "invalidVerbHookSuffix" }],
+            filename: "src/hooks/dashboard/super-admins/use-get-admin.ts",
+            output: null,
+        },
+        {
+            code: "export const useDashboardSuperAdmin = () => {};",
+            errors: [{ messageId: "missingVerb" }],
+            filename: "src/hooks/dashboard/super-admins/use-dashboard-super-admin.ts",
+            output: null,
+        },
+    ],
+    valid: [
+        {
+            code: "export const useCreateSuperAdmin = () => {};",
+            filename: "src/hooks/super-admins/use-create-super-admin.ts",
+        },
+        {
+            code: "export const useSuperAdminsList = () => {};",
+            filename: "src/hooks/super-admins/use-super-admins-list.ts",
+        },
+        {
+            code: "export const useGetDashboardSuperAdmin = () => {};",
+            filename: "src/hooks/dashboard/super-admins/use-get-dashboard-super-admin.ts",
+        },
+        {
+            code: "export const useCreate = () => {};",
+            filename: "src/utils/use-create.ts",
+        },
+        {
+            code: "export const useGetSuperAdmin = () => {};",
+            filename: "src/hooks/shared/super-admins/use-get-super-admin.ts",
+        },
+    ],
+});
+
+runRuleTests("hook-function-naming-convention", hookFunctionNamingConvention, {
+    invalid: [
+        {
+            code: "export const useCreate = () => {};",
+            errors: [{ messageId: "hookFunctionNamedMatch" }],
+            filename: "src/hooks/super-admins/use-create-super-admin.ts",
+            output: "export const useCreateSuperAdmin = () => {};",
+        },
+        {
+            code: "export function useList() {}",
+            errors: [{ messageId: "hookFunctionNamedMatch" }],
+            filename: "src/hooks/use-users-list.ts",
+            output: "export function useUsersList() {}",
+        },
+        {
+            code: `export const useCreate = () => {
+    const value = useState();
+
+    return value;
+};
+
+const hooks = { useCreate };`,
+            errors: [{ messageId: "hookFunctionNamedMatch" }],
+            filename: "src/hooks/users/use-create-user.ts",
+            output: `export const useCreateUser = () => {
+    const value = useState();
+
+    return value;
+};
+
+const hooks = { useCreate: useCreateUser };`,
+        },
+        {
+            code: `// Creates a user
+export const useCreate = () => {};
+
+export default useCreate;`,
+            errors: [{ messageId: "hookFunctionNamedMatch" }],
+            filename: "src/hooks/users/use-create-user.ts",
+            output: `// Creates a user
+export const useCreateUser = () => {};
+
+export default useCreateUser;`,
+        },
+        {
+            code: `export const useCreate = () => {};
+
+const useCreateUser = () => {};`,
+            errors: [{ messageId: "hookFunctionNamedMatch" }],
+            filename: "src/hooks/users/use-create-user.ts",
+            output: null,
+        },
+    ],
+    valid: [
+        {
+            code: "export const useCreateSuperAdmin = () => {};",
+            filename: "src/hooks/super-admins/use-create-super-admin.ts",
+        },
+        {
+            code: "export const useUsersList = () => {};",
+            filename: "src/hooks/use-users-list.ts",
+        },
+        { code: `export * from "./use-users-list";`, filename: "src/hooks/index.ts" },
+        {
+            code: `export const useCreateUser = () => {
+    const useCreate = () => {};
+
+    return useCreate;
+};`,
+            filename: "src/hooks/users/use-create-user.ts",
+        },
+    ],
+});
+
+runRuleTests("use-state-naming-convention", useStateNamingConvention, {
+    invalid: [
+        {
+            code: "const [loading, setLoading] = useState(false);",
+            errors: [
+                {
+                    messageId: "booleanStateStartValid",
+                    suggestions: [
+                        {
+                            data: { suggestedName: "isLoading" },
+                            messageId: "renameTo",
+                            output: "const [isLoading, setIsLoading] = useState(false);",
+                        },
+                        {
+                            data: { suggestedName: "hasLoading" },
+                            messageId: "renameTo",
+                            output: "const [hasLoading, setHasLoading] = useState(false);",
+                        },
+                        {
+                            data: { suggestedName: "withLoading" },
+                            messageId: "renameTo",
+                            output: "const [withLoading, setWithLoading] = useState(false);",
+                        },
+                        {
+                            data: { suggestedName: "withoutLoading" },
+                            messageId: "renameTo",
+                            output: "const [withoutLoading, setWithoutLoading] = useState(false);",
+                        },
+                    ],
+                },
+            ],
+            output: "const [isLoading, setIsLoading] = useState(false);",
+        },
+        {
+            code: `const [open, setOpen] = useState(false);
+
+setOpen(!open);`,
+            errors: [
+                {
+                    messageId: "booleanStateStartValid",
+                    suggestions: [
+                        {
+                            data: { suggestedName: "isOpen" },
+                            messageId: "renameTo",
+                            output: `const [isOpen, setIsOpen] = useState(false);
+
+setIsOpen(!isOpen);`,
+                        },
+                        {
+                            data: { suggestedName: "hasOpen" },
+                            messageId: "renameTo",
+                            output: `const [hasOpen, setHasOpen] = useState(false);
+
+setHasOpen(!hasOpen);`,
+                        },
+                        {
+                            data: { suggestedName: "withOpen" },
+                            messageId: "renameTo",
+                            output: `const [withOpen, setWithOpen] = useState(false);
+
+setWithOpen(!withOpen);`,
+                        },
+                        {
+                            data: { suggestedName: "withoutOpen" },
+                            messageId: "renameTo",
+                            output: `const [withoutOpen, setWithoutOpen] = useState(false);
+
+setWithoutOpen(!withoutOpen);`,
+                        },
+                    ],
+                },
+            ],
+            output: `const [isOpen, setIsOpen] = useState(false);
+
+setIsOpen(!isOpen);`,
+        },
+        {
+            code: "const [visible, setVisible] = useState(false);",
+            errors: [
+                {
+                    messageId: "booleanStateStartValid",
+                    suggestions: [
+                        {
+                            data: { suggestedName: "isVisible" },
+                            messageId: "renameTo",
+                            output: "const [isVisible, setIsVisible] = useState(false);",
+                        },
+                        {
+                            data: { suggestedName: "shouldVisible" },
+                            messageId: "renameTo",
+                            output: "const [shouldVisible, setShouldVisible] = useState(false);",
+                        },
+                    ],
+                },
+            ],
+            options: [{ booleanPrefixes: ["is", "should"] }],
+            output: "const [isVisible, setIsVisible] = useState(false);",
+        },
+        ...typescript([
+            {
+                code: "const [authenticated, setAuthenticated] = useState<boolean>(true);",
+                errors: [
+                    {
+                        messageId: "booleanStateStartValid",
+                        suggestions: [
+                            {
+                                data: { suggestedName: "isAuthenticated" },
+                                messageId: "renameTo",
+                                output: "const [isAuthenticated, setIsAuthenticated] = useState<boolean>(true);",
+                            },
+                            {
+                                data: { suggestedName: "hasAuthenticated" },
+                                messageId: "renameTo",
+                                output: "const [hasAuthenticated, setHasAuthenticated] = useState<boolean>(true);",
+                            },
+                            {
+                                data: { suggestedName: "withAuthenticated" },
+                                messageId: "renameTo",
+                                output: "const [withAuthenticated, setWithAuthenticated] = useState<boolean>(true);",
+                            },
+                            {
+                                data: { suggestedName: "withoutAuthenticated" },
+                                messageId: "renameTo",
+                                output: "const [withoutAuthenticated, setWithoutAuthenticated] = useState<boolean>(true);",
+                            },
+                        ],
+                    },
+                ],
+                output: "const [isAuthenticated, setIsAuthenticated] = useState<boolean>(true);",
+            },
+        ]),
+        ...typescriptWithTypes([
+            {
+                code: `import { useState } from "react";
+import type { Maybe } from "./types/common";
+
+const checkAuth = () => document.cookie.includes("session");
+
+const [authenticated, setAuthenticated] = useState(() => checkAuth());
+const [dirty, setDirty] = useState<Maybe<boolean>>(null);`,
+                errors: [
+                    {
+                        messageId: "booleanStateStartValid",
+                        suggestions: [{
+                            data: { suggestedName: "isAuthenticated" },
+                            messageId: "renameTo",
+                            output: `import { useState } from "react";
+import type { Maybe } from "./types/common";
+
+const checkAuth = () => document.cookie.includes("session");
+
+const [isAuthenticated, setIsAuthenticated] = useState(() => checkAuth());
+const [dirty, setDirty] = useState<Maybe<boolean>>(null);`,
+                        }],
+                    },
+                    {
+                        messageId: "booleanStateStartValid",
+                        suggestions: [{
+                            data: { suggestedName: "isDirty" },
+                            messageId: "renameTo",
+                            output: `import { useState } from "react";
+import type { Maybe } from "./types/common";
+
+const checkAuth = () => document.cookie.includes("session");
+
+const [authenticated, setAuthenticated] = useState(() => checkAuth());
+const [isDirty, setIsDirty] = useState<Maybe<boolean>>(null);`,
+                        }],
+                    },
+                ],
+                options: [{ booleanPrefixes: ["is"], typeAware: true }],
+                output: `import { useState } from "react";
+import type { Maybe } from "./types/common";
+
+const checkAuth = () => document.cookie.includes("session");
+
+const [isAuthenticated, setIsAuthenticated] = useState(() => checkAuth());
+const [isDirty, setIsDirty] = useState<Maybe<boolean>>(null);`,
+            },
+        ]),
+        {
+            code: `const Page = () => {
+    const [
+        open, // visible
+        setOpen,
+    ] = useState(false);
+    const toggle = () => setOpen(!open);
+
+    return { open, toggle };
+};`,
+            errors: [
+                {
+                    messageId: "booleanStateStartValid",
+                    suggestions: [
+                        {
+                            data: { suggestedName: "isOpen" },
+                            messageId: "renameTo",
+                            output: `const Page = () => {
+    const [
+        isOpen, // visible
+        setIsOpen,
+    ] = useState(false);
+    const toggle = () => setIsOpen(!isOpen);
+
+    return { open: isOpen, toggle };
+};`,
+                        },
+                        {
+                            data: { suggestedName: "hasOpen" },
+                            messageId: "renameTo",
+                            output: `const Page = () => {
+    const [
+        hasOpen, // visible
+        setHasOpen,
+    ] = useState(false);
+    const toggle = () => setHasOpen(!hasOpen);
+
+    return { open: hasOpen, toggle };
+};`,
+                        },
+                        {
+                            data: { suggestedName: "withOpen" },
+                            messageId: "renameTo",
+                            output: `const Page = () => {
+    const [
+        withOpen, // visible
+        setWithOpen,
+    ] = useState(false);
+    const toggle = () => setWithOpen(!withOpen);
+
+    return { open: withOpen, toggle };
+};`,
+                        },
+                        {
+                            data: { suggestedName: "withoutOpen" },
+                            messageId: "renameTo",
+                            output: `const Page = () => {
+    const [
+        withoutOpen, // visible
+        setWithoutOpen,
+    ] = useState(false);
+    const toggle = () => setWithoutOpen(!withoutOpen);
+
+    return { open: withoutOpen, toggle };
+};`,
+                        },
+                    ],
+                },
+            ],
+            output: `const Page = () => {
+    const [
+        isOpen, // visible
+        setIsOpen,
+    ] = useState(false);
+    const toggle = () => setIsOpen(!isOpen);
+
+    return { open: isOpen, toggle };
+};`,
+        },
+        {
+            code: `const Page = () => {
+    const [open, setOpen] = useState(false);
+    const isOpen = useIsOpen();
+
+    return open && isOpen;
+};`,
+            errors: [
+                {
+                    messageId: "booleanStateStartValid",
+                    suggestions: [
+                        {
+                            data: { suggestedName: "hasOpen" },
+                            messageId: "renameTo",
+                            output: `const Page = () => {
+    const [hasOpen, setHasOpen] = useState(false);
+    const isOpen = useIsOpen();
+
+    return hasOpen && isOpen;
+};`,
+                        },
+                        {
+                            data: { suggestedName: "withOpen" },
+                            messageId: "renameTo",
+                            output: `const Page = () => {
+    const [withOpen, setWithOpen] = useState(false);
+    const isOpen = useIsOpen();
+
+    return withOpen && isOpen;
+};`,
+                        },
+                        {
+                            data: { suggestedName: "withoutOpen" },
+                            messageId: "renameTo",
+                            output: `const Page = () => {
+    const [withoutOpen, setWithoutOpen] = useState(false);
+    const isOpen = useIsOpen();
+
+    return withoutOpen && isOpen;
+};`,
+                        },
+                    ],
+                },
+            ],
+            output: null,
+        },
+    ],
+    valid: [
+        "const [isLoading, setIsLoading] = useState(false);",
+        "const [hasError, setHasError] = useState(false);",
+        "const [count, setCount] = useState(0);",
+        {
+            code: "const [loading, setLoading] = useState(false);",
+            options: [{ allowContinuousVerbBoolean: true }],
+        },
+        {
+            code: "const [shouldShow, setShouldShow] = useState(false);",
+            options: [{ extendBooleanPrefixes: ["should"] }],
+        },
+        ...typescript([
+            "const [isAuthenticated, setIsAuthenticated] = useState<boolean>(() => checkAuth());",
+        ]),
+        ...typescriptWithTypes([
+            {
+                code: `import { useState } from "react";
+
+const [user, setUser] = useState(() => ({ name: "" }));`,
+                options: [{ typeAware: true }],
+            },
+        ]),
+    ],
+});
@@ -0,0 +1,688 @@
+import {
+    absoluteImportsOnly,
+    exportFormat,
+    importFormat,
+    importSourceSpacing,
+    indexExportStyle,
+    indexExportsOnly,
+    inlineExportDeclaration,
+    moduleIndexExports,
+} from "../../src/rules/imports-exports.js";
+
+import { fixture, runRuleTests, typescript } from "./rule-tester.js";
+
+runRuleTests("absolute-imports-only", absoluteImportsOnly, {
+    invalid: [
+        {
+            code: `import { Button } from "@/components/buttons/primary-button";`,
+            errors: [{ messageId: "deepImportsNotAllowed" }],
+            filename: "src/views/home.jsx",
+            output: `import { Button } from "@/components";`,
+        },
+        {
+            code: `import { helpers } from "../utils/helpers";`,
+            errors: [{ messageId: "relativeImportsNotAllowed" }],
+            filename: "src/features/home.jsx",
+            output: null,
+        },
+        {
+            code: `import { helpers } from "@/data";`,
+            errors: [{ messageId: "filesWithinRelativeImportsAvoid" }],
+            filename: "src/data/app.js",
+            output: null,
+        },
+        {
+            code: `import { widget } from "@/widgetz";`,
+            errors: [{ messageId: "unknownFolderImportPath" }],
+            filename: "src/views/home.jsx",
+            output: null,
+        },
+        {
+            code: `import { value } from "@/";`,
+            errors: [{ messageId: "invalidImportPathSpecify" }],
+            filename: "src/views/home.jsx",
+            output: null,
+        },
+        {
+            code: `import { Button } from "~/components/button";`,
+            errors: [{ messageId: "deepImportsNotAllowed" }],
+            filename: "src/views/home.jsx",
+            options: [{ aliasPrefix: "~/" }],
+            output: `import { Button } from "~/components";`,
+        },
+    ],
+    valid: [
+        {
+            code: `import { Button } from "@/components";`,
+            filename: "src/views/home.jsx",
+        },
+        { code: `import { useAuth } from "@/hooks";`, filename: "src/views/home.jsx" },
+        { code: `import { helpers } from "./helpers";`, filename: "src/data/app.js" },
+        {
+            code: `import logo from "@/assets/images/logo.svg";`,
+            filename: "src/views/home.jsx",
+        },
+        { code: `import React from "react";`, filename: "src/views/home.jsx" },
+        {
+            code: `import { Feature } from "@/features";`,
+            filename: "src/views/home.jsx",
+            options: [{ extraAllowedFolders: ["features"] }],
+        },
+        {
+            code: `import { Button } from "~/components";`,
+            filename: "src/views/home.jsx",
+            settings: { "code-style": { aliasPrefix: "~/" } },
+        },
+    ],
+});
+
+runRuleTests("export-format", exportFormat, {
+    invalid: [
+        {
+            code: `export
+    { a } from "./module";`,
+            errors: [{ messageId: "openingBraceSameLine" }],
+            output: `export { a } from "./module";`,
+        },
+        {
+            code: `export { a, b, c, d, e } from "./module";`,
+            errors: [
+                { messageId: "exportsMoreSpecifiersFirst" },
+                { messageId: "eachExportSpecifierOwn" },
+                { messageId: "eachExportSpecifierOwn" },
+                { messageId: "eachExportSpecifierOwn" },
+                { messageId: "eachExportSpecifierOwn" },
+                { messageId: "exportsMoreSpecifiersClosing" },
+            ],
+            output: `export {
+    a,
+    b,
+    c,
+    d,
+    e,
+} from "./module";`,
+        },
+        {
+            code: `export {
+    a,
+    b,
+} from "./module";`,
+            errors: [{ messageId: "exportsSpecifiersSingleLine" }],
+            output: `export { a, b } from "./module";`,
+        },
+        {
+            code: `export
+const value = 1;`,
+            errors: [{ messageId: "declarationKeywordSameLine" }],
+            output: "export const value = 1;",
+        },
+        {
+            code: `export { a, b } from "./module";`,
+            errors: [
+                { messageId: "exportsMoreSpecifiersFirst" },
+                { messageId: "eachExportSpecifierOwn" },
+                { messageId: "exportsMoreSpecifiersClosing" },
+            ],
+            options: [{ maxSpecifiers: 1 }],
+            output: `export {
+    a,
+    b,
+} from "./module";`,
+        },
+        {
+            code: `const a = 1;
+export {
+    a as "a-b",
+};`,
+            errors: [{ messageId: "exportsSpecifiersSingleLine" }],
+            output: `const a = 1;
+export { a as "a-b" };`,
+        },
+        {
+            code: `export {
+    a, // first
+    b,
+} from "./module";`,
+            errors: [{ messageId: "exportsSpecifiersSingleLine" }],
+            output: null,
+        },
+        ...typescript([
+            {
+                code: `export type {
+    A,
+    B,
+} from "./types";`,
+                errors: [{ messageId: "exportsSpecifiersSingleLine" }],
+                output: `export type { A, B } from "./types";`,
+            },
+        ]),
+    ],
+    valid: [
+        `export { a, b, c } from "./module";`,
+        `export {
+    a,
+    b,
+    c,
+    d,
+} from "./module";`,
+        "export const value = 1;",
+    ],
+});
+
+runRuleTests("import-format", importFormat, {
+    invalid: [
+        {
+            code: `import
+    { a } from "module";`,
+            errors: [{ messageId: "openingBraceSameLine" }],
+            output: `import { a } from "module";`,
+        },
+        {
+            code: `import { a, b, c, d, e } from "module";`,
+            errors: [
+                { messageId: "importsMoreSpecifiersFirst" },
+                { messageId: "eachImportSpecifierOwn" },
+                { messageId: "eachImportSpecifierOwn" },
+                { messageId: "eachImportSpecifierOwn" },
+                { messageId: "eachImportSpecifierOwn" },
+                { messageId: "importsMoreSpecifiersClosing" },
+            ],
+            output: `import {
+    a,
+    b,
+    c,
+    d,
+    e,
+} from "module";`,
+        },
+        {
+            code: `import {
+    a,
+    b,
+} from "module";`,
+            errors: [{ messageId: "importsSpecifiersSingleLine" }],
+            output: `import { a, b } from "module";`,
+        },
+        {
+            code: `import {
+    a,
+    b,
+    c,
+    d,
+}
+from "module";`,
+            errors: [{ messageId: "closingBraceSameLine" }],
+            output: `import {
+    a,
+    b,
+    c,
+    d,
+} from "module";`,
+        },
+        {
+            code: `import
+    React from "react";`,
+            errors: [{ messageId: "defaultImportSingleLine" }],
+            output: `import React from "react";`,
+        },
+        {
+            code: `import {
+    a, // first
+    b,
+} from "module";`,
+            errors: [{ messageId: "importsSpecifiersSingleLine" }],
+            output: null,
+        },
+        {
+            code: `import
+    React, // default export
+    { useState } from "react";`,
+            errors: [{ messageId: "openingBraceSameLine" }],
+            output: null,
+        },
+        ...typescript([
+            {
+                code: `import {
+    type User,
+    getUser as fetchUser,
+} from "./user";`,
+                errors: [{ messageId: "importsSpecifiersSingleLine" }],
+                output: `import { type User, getUser as fetchUser } from "./user";`,
+            },
+            {
+                code: `declare module "store" {
+    import { a, b, c, d } from "./user";
+}`,
+                errors: [
+                    { messageId: "importsMoreSpecifiersFirst" },
+                    { messageId: "eachImportSpecifierOwn" },
+                    { messageId: "eachImportSpecifierOwn" },
+                    { messageId: "eachImportSpecifierOwn" },
+                    { messageId: "importsMoreSpecifiersClosing" },
+                ],
+                output: `declare module "store" {
+    import {
+        a,
+        b,
+        c,
+        d,
+    } from "./user";
+}`,
+            },
+            {
+                code: `import type User
+    from "./user";`,
+                errors: [{ messageId: "defaultImportSingleLine" }],
+                output: `import type User from "./user";`,
+            },
+        ]),
+    ],
+    valid: [
+        `import { a, b, c } from "module";`,
+        `import {
+    a,
+    b,
+    c,
+    d,
+} from "module";`,
+        `import React from "react";`,
+        {
+            code: `import { a, b, c, d } from "module";`,
+            options: [{ maxSpecifiers: 4 }],
+        },
+    ],
+});
+
+runRuleTests("import-source-spacing", importSourceSpacing, {
+    invalid: [
+        {
+            code: `import { Button } from " @mui/material ";`,
+            errors: [{ messageId: "importPathNotExtra" }],
+            output: `import { Button } from "@mui/material";`,
+        },
+        {
+            code: `import "./styles.css ";`,
+            errors: [{ messageId: "importPathNotExtra" }],
+            output: `import "./styles.css";`,
+        },
+        {
+            code: `import { a } from ' ./user ';`,
+            errors: [{ messageId: "importPathNotExtra" }],
+            output: `import { a } from './user';`,
+        },
+        {
+            code: `export { Button } from " @mui/material ";`,
+            errors: [{ messageId: "importPathNotExtra" }],
+            output: `export { Button } from "@mui/material";`,
+        },
+        {
+            code: `export * from " ./button";`,
+            errors: [{ messageId: "importPathNotExtra" }],
+            output: `export * from "./button";`,
+        },
+        {
+            code: `const Page = lazy(() => import("./page "));`,
+            errors: [{ messageId: "importPathNotExtra" }],
+            output: `const Page = lazy(() => import("./page"));`,
+        },
+        {
+            code: `import {
+    Button, // primary
+    Card,
+} from " @mui/material ";`,
+            errors: [{ messageId: "importPathNotExtra" }],
+            output: `import {
+    Button, // primary
+    Card,
+} from "@mui/material";`,
+        },
+    ],
+    valid: [
+        `import { Button } from "@mui/material";`,
+        `export * from "./value";`,
+        `export { Button } from "@mui/material";`,
+        "const Page = lazy(() => import(pagePath));",
+    ],
+});
+
+runRuleTests("index-export-style", indexExportStyle, {
+    invalid: [
+        {
+            code: `export { Button } from "./button";
+
+export { Input } from "./input";`,
+            errors: [{ messageId: "noEmptyLinesBetween" }],
+            filename: "src/components/index.js",
+            output: `export { Button } from "./button";
+export { Input } from "./input";`,
+        },
+        {
+            code: `import { Button } from "./button";
+export { Button };`,
+            errors: [{ messageId: "shorthandExportStyleExport" }],
+            filename: "src/components/index.js",
+            output: `export { Button } from "./button";
+`,
+        },
+        {
+            code: `export { Button } from "./button";
+export { Input } from "./input";`,
+            errors: [{ messageId: "importThenExportStyle" }],
+            filename: "src/components/index.js",
+            options: [{ style: "import-export" }],
+            output: `import { Button } from "./button";
+import { Input } from "./input";
+
+export { Button, Input };
+`,
+        },
+        {
+            code: `export const foo = 1;
+export const bar = 2;`,
+            errors: [{ messageId: "requireBlankLineBetween" }],
+            filename: "src/utils/values.js",
+            output: `export const foo = 1;
+
+export const bar = 2;`,
+        },
+        {
+            code: `export { a } from "./a";
+
+// Forms
+export { b } from "./b";`,
+            errors: [{ messageId: "noEmptyLinesBetween" }],
+            filename: "src/components/index.js",
+            output: null,
+        },
+        {
+            code: `import Button from "./button";
+import * as icons from "./icons";
+import { Input as TextInput } from "./input";
+export { Button, icons, TextInput };`,
+            errors: [{ messageId: "shorthandExportStyleExport" }],
+            filename: "src/components/index.js",
+            output: `export { default as Button } from "./button";
+export { Input as TextInput } from "./input";
+export * as icons from "./icons";
+`,
+        },
+        {
+            code: `import "./styles.css";
+import { Button } from "./button";
+export { Button };`,
+            errors: [{ messageId: "shorthandExportStyleExport" }],
+            filename: "src/components/index.js",
+            output: null,
+        },
+        {
+            code: `import { Button, Input } from "./button";
+export { Button };`,
+            errors: [{ messageId: "shorthandExportStyleExport" }],
+            filename: "src/components/index.js",
+            output: null,
+        },
+        {
+            code: `export { Button as PrimaryButton } from "./button";
+export { Input } from "./input";`,
+            errors: [{ messageId: "importThenExportStyle" }],
+            filename: "src/components/index.js",
+            options: [{ style: "import-export" }],
+            output: `import { Button as PrimaryButton } from "./button";
+import { Input } from "./input";
+
+export { Input, PrimaryButton };
+`,
+        },
+        {
+            code: `export { Button as default } from "./button";`,
+            errors: [{ messageId: "importThenExportStyle" }],
+            filename: "src/components/index.js",
+            options: [{ style: "import-export" }],
+            output: null,
+        },
+        {
+            code: `import { a } from "./a";
+
+import { b } from "./b";
+
+export { a };
+export { b as c };`,
+            errors: [
+                { messageId: "combineMultipleExportStatements" },
+                { messageId: "noEmptyLinesBetweenImports" },
+            ],
+            filename: "src/components/index.js",
+            options: [{ style: "import-export" }],
+            output: `import { a } from "./a";
+import { b } from "./b";
+
+export { a, b as c };`,
+        },
+        {
+            code: `export const foo = 1; // first
+export const bar = 2;`,
+            errors: [{ messageId: "requireBlankLineBetween" }],
+            filename: "src/utils/values.js",
+            output: `export const foo = 1; // first
+
+export const bar = 2;`,
+        },
+        {
+            code: `export const foo = 1;
+/** Second value */
+export const bar = 2;`,
+            errors: [{ messageId: "requireBlankLineBetween" }],
+            filename: "src/utils/values.js",
+            output: `export const foo = 1;
+
+/** Second value */
+export const bar = 2;`,
+        },
+        {
+            code: `export const foo = 1; export const bar = 2;`,
+            errors: [{ messageId: "requireBlankLineBetween" }],
+            filename: "src/utils/values.js",
+            output: `export const foo = 1;
+
+export const bar = 2;`,
+        },
+    ],
+    valid: [
+        {
+            code: `export { Button } from "./button";
+export { Input, Select } from "./form";`,
+            filename: "src/components/index.js",
+        },
+        {
+            code: `import { Button } from "./button";
+import { Input } from "./input";
+
+export { Button, Input };`,
+            filename: "src/components/index.js",
+            options: [{ style: "import-export" }],
+        },
+        {
+            code: `export const foo = 1;
+
+export const bar = 2;`,
+            filename: "src/utils/values.js",
+        },
+    ],
+});
+
+runRuleTests("index-exports-only", indexExportsOnly, {
+    invalid: [
+        {
+            code: `export const CONSTANT = "value";`,
+            errors: [{ messageId: "notIndexFilesIndex" }],
+            filename: "src/constants/index.js",
+            output: null,
+        },
+        {
+            code: "export function helper() {}",
+            errors: [{ messageId: "notIndexFilesIndex" }],
+            filename: "src/utils/index.js",
+            output: null,
+        },
+        {
+            code: `export { Button } from "./button";`,
+            errors: [{ messageId: "subfolderIndexFileIndex" }],
+            filename: "src/components/button/index.jsx",
+            output: null,
+        },
+        ...typescript([
+            {
+                code: `export type ButtonVariant = "primary" | "secondary";`,
+                errors: [{ messageId: "notIndexFilesIndex" }],
+                filename: "src/types/index.ts",
+                output: null,
+            },
+            {
+                code: "export interface ButtonProps { label: string }",
+                errors: [{ messageId: "notIndexFilesIndex" }],
+                filename: "src/types/index.ts",
+                output: null,
+            },
+        ]),
+    ],
+    valid: [
+        {
+            code: `export { Button } from "./button";
+export * from "./constants";`,
+            filename: "src/components/index.js",
+        },
+        {
+            code: `export const CONSTANT = "value";`,
+            filename: "src/constants/values.js",
+        },
+        ...typescript([
+            {
+                code: `export type { ButtonProps } from "./types";`,
+                filename: "src/types/index.ts",
+            },
+        ]),
+        {
+            code: `"use client";
+export { Button } from "./button";`,
+            filename: "src/components/index.js",
+        },
+    ],
+});
+
+runRuleTests("inline-export-declaration", inlineExportDeclaration, {
+    invalid: [
+        {
+            code: `const strings = { title: "Title" };
+
+export { strings };`,
+            errors: [{ messageId: "inlineExportDeclarationsExport" }],
+            output: `export const strings = { title: "Title" };`,
+        },
+        {
+            code: `const foo = 1;
+const bar = 2;
+
+export { foo, bar };`,
+            errors: [{ messageId: "inlineExportDeclarationsExport" }],
+            output: `export const foo = 1;
+export const bar = 2;`,
+        },
+        {
+            code: `const foo = 1, bar = 2;
+export { foo, bar };`,
+            errors: [{ messageId: "inlineExportDeclarationsExport" }],
+            filename: "src/utils/values.js",
+            output: `export const foo = 1, bar = 2;`,
+        },
+        {
+            code: `const foo = 1, bar = 2;
+export { foo };`,
+            errors: [{ messageId: "inlineExportDeclarationsExport" }],
+            filename: "src/utils/values.js",
+            output: null,
+        },
+        ...typescript([
+            {
+                code: `type Value = string;
+const foo = 1;
+
+export { Value, foo };`,
+                errors: [{ messageId: "inlineExportDeclarationsExport" }],
+                filename: "src/utils/values.ts",
+                output: `export type Value = string;
+export const foo = 1;`,
+            },
+        ]),
+    ],
+    valid: [
+        `export const strings = { title: "Title" };`,
+        {
+            code: `import { Button } from "./button";
+
+export { Button };`,
+            filename: "src/components/index.js",
+        },
+        `const foo = 1;
+
+export { foo as default };`,
+    ],
+});
+
+runRuleTests("module-index-exports", moduleIndexExports, {
+    invalid: [
+        {
+            code: `export * from "./format";`,
+            errors: [{ messageId: "moduleFolderNotExported" }],
+            filename: fixture("module-index-exports/src/utils/index.js"),
+            output: null,
+        },
+        {
+            code: "export const useAuth = () => {};",
+            errors: [{ messageId: "moduleFolderMissingIndex" }],
+            filename: fixture("module-index-exports/src/hooks/use-auth.js"),
+            output: null,
+        },
+        {
+            code: `import { formatDate } from "./format";
+import { parseDate } from "./parse";
+
+// parseDate is only used internally
+export { formatDate };`,
+            errors: [{ messageId: "moduleFolderNotExported" }],
+            filename: fixture("module-index-exports/src/utils/index.js"),
+            output: null,
+        },
+    ],
+    valid: [
+        {
+            code: `export * from "./format";
+export * from "./parse";`,
+            filename: fixture("module-index-exports/src/utils/index.js"),
+        },
+        {
+            code: `export * from "./format";`,
+            filename: fixture("module-index-exports/src/utils/index.js"),
+            options: [{ extraIgnorePatterns: ["parse.js"] }],
+        },
+        {
+            code: "export const useAuth = () => {};",
+            filename: fixture("module-index-exports/src/hooks/use-auth.js"),
+            options: [{ moduleFolders: ["utils"] }],
+        },
+        {
+            code: `import { formatDate } from "./format";
+import { parseDate } from "./parse";
+
+export {
+    formatDate, // dates
+    parseDate,
+};`,
+            filename: fixture("module-index-exports/src/utils/index.js"),
+        },
+        {
+            code: `export { formatDate } from "./format.js";
+export * as parse from "./parse";`,
+            filename: fixture("module-index-exports/src/utils/index.js"),
+        },
+    ],
+});
@@ -0,0 +1,1197 @@
+import {
+    classNameDynamicAtEnd,
+    classNameMultiline,
+    classNameNoConflicts,
+    classNameNoExtraSpaces,
+    classNameOrder,
+    classNameShorthand,
+    jsxChildrenOnNewLine,
+    jsxClosingBracketSpacing,
+    jsxElementChildNewLine,
+    jsxLogicalExpressionSimplify,
+    jsxParenthesesPosition,
+    jsxPropNamingConvention,
+    jsxSimpleElementOneLine,
+    jsxStringValueTrim,
+    jsxTernaryFormat,
+    noEmptyLinesInJsx,
+} from "../../src/rules/jsx.js";
+
+import { fixture, runRuleTests } from "./rule-tester.js";
+
+// Shared settings pointing at the Tailwind v3 config and v4 stylesheet fixtures
+const TAILWIND_V3_SETTINGS = { "code-style": { tailwindConfig: fixture("tailwind/v3/tailwind.config.cjs") } };
+const TAILWIND_V4_SETTINGS = { "code-style": { tailwindConfig: fixture("tailwind/v4/app.css") } };
+
+runRuleTests("classname-dynamic-at-end", classNameDynamicAtEnd, {
+    invalid: [
+        {
+            code: "<div className={`${className} flex items-center`} />;",
+            errors: [{ messageId: "dynamicExpressionsEndClass" }],
+            output: "<div className={`flex items-center ${className}`} />;",
+        },
+        {
+            code: "const buttonClasses = `${className} flex items-center`;",
+            errors: [{ messageId: "dynamicExpressionsEndClass" }],
+            output: "const buttonClasses = `flex items-center ${className}`;",
+        },
+        {
+            code: "const buttonClasses = cn(`${active} px-4 py-2`, className);",
+            errors: [{ messageId: "dynamicExpressionsEndClass" }],
+            output: "const buttonClasses = cn(`px-4 py-2 ${active}`, className);",
+        },
+        {
+            code: `const Card = () => (
+    <Layout>
+        <div className={\`\${isActive ? "ring-2" : ""} rounded-lg border \${className}\`} />
+    </Layout>
+);`,
+            errors: [{ messageId: "dynamicExpressionsEndClass" }],
+            output: `const Card = () => (
+    <Layout>
+        <div className={\`border rounded-lg \${isActive ? "ring-2" : ""} \${className}\`} />
+    </Layout>
+);`,
+        },
+        {
+            code: "<div className={`${/* theme */ theme} flex`} />;",
+            errors: [{ messageId: "dynamicExpressionsEndClass" }],
+            output: null,
+        },
+    ],
+    valid: [
+        "<div className={`flex items-center ${className}`} />;",
+        "const buttonClasses = `flex items-center ${className}`;",
+        "const message = `${count} files remaining`;",
+        {
+            code: "const buttonClasses = cn(`${active} px-4 py-2`, className);",
+            options: [{ callees: [] }],
+        },
+    ],
+});
+
+runRuleTests("classname-multiline", classNameMultiline, {
+    invalid: [
+        {
+            code: `const variants = { primary: "bg-primary text-white hover:bg-primary-dark focus:ring-2" };`,
+            errors: [{ messageId: "classStringsClassesChars" }],
+            output: `const variants = { primary: \`
+    bg-primary
+    text-white
+    hover:bg-primary-dark
+    focus:ring-2
+\` };`,
+        },
+        {
+            code: `<div className="flex items-center justify-between gap-4 p-4" />;`,
+            errors: [{ messageId: "classStringsClassesChars" }],
+            output: `<div className="
+         flex
+         items-center
+         justify-between
+         gap-4
+         p-4
+     " />;`,
+        },
+        {
+            code: `const buttonClasses = \`
+    flex
+    items-center
+\`;`,
+            errors: [{ messageId: "classStringUnderThreshold" }],
+            output: "const buttonClasses = `flex items-center`;",
+        },
+        {
+            code: `<div className="flex items-center" />;`,
+            errors: [{ messageId: "classStringsClassesChars" }],
+            options: [{ maxClassCount: 1 }],
+            output: `<div className="
+         flex
+         items-center
+     " />;`,
+        },
+        {
+            code: `const getCardClasses = () => {
+    return "card scrollbar-hidden elevated glass";
+};`,
+            errors: [{ messageId: "classStringsClassesChars" }],
+            output: `const getCardClasses = () => {
+    return \`
+        card
+        scrollbar-hidden
+        elevated
+        glass
+    \`;
+};`,
+            settings: TAILWIND_V3_SETTINGS,
+        },
+        {
+            code: `clsx(isActive && "flex items-center justify-between gap-4 p-4");`,
+            errors: [{ messageId: "classStringsClassesChars" }],
+            output: `clsx(isActive && \`
+    flex
+    items-center
+    justify-between
+    gap-4
+    p-4
+\`);`,
+        },
+    ],
+    valid: [
+        `clsx({ "flex items-center justify-between gap-4 p-4": isActive });`,
+        {
+            code: `clsx(isActive && "flex items-center justify-between gap-4 p-4");`,
+            options: [{ callees: ["cn"] }],
+        },
+        `<div className="flex items-center gap-4" />;`,
+        `const variants = {
+    primary: \`
+        bg-primary
+        text-white
+        hover:bg-primary-dark
+        focus:ring-2
+    \`,
+};`,
+        {
+            code: `<div className="flex items-center justify-between gap-4" />;`,
+            options: [{ maxClassCount: 4 }],
+        },
+        `const getCardClasses = () => {
+    return "card scrollbar-hidden elevated glass";
+};`,
+    ],
+});
+
+runRuleTests("classname-no-conflicts", classNameNoConflicts, {
+    invalid: [
+        {
+            code: `<div className="flex hidden p-2 p-4" />;`,
+            errors: [
+                { data: { overridden: "flex", winner: "hidden" }, messageId: "classOverridden" },
+                { data: { overridden: "p-2", winner: "p-4" }, messageId: "classOverridden" },
+            ],
+            output: `<div className="hidden p-4" />;`,
+        },
+        {
+            code: `const buttonClasses = cn("text-sm text-lg font-bold", className);`,
+            errors: [{ data: { overridden: "text-sm", winner: "text-lg" }, messageId: "classOverridden" }],
+            output: `const buttonClasses = cn("text-lg font-bold", className);`,
+        },
+        {
+            code: "<div className={`p-2 md:hover:bg-red-500 ${active} hover:md:bg-blue-500`} />;",
+            errors: [{ messageId: "classOverridden" }],
+            output: "<div className={`p-2 ${active} hover:md:bg-blue-500`} />;",
+        },
+        {
+            code: `const variants = { primary: "text-white bg-blue-500 bg-blue-600" };`,
+            errors: [{ messageId: "classOverridden" }],
+            output: `const variants = { primary: "text-white bg-blue-600" };`,
+        },
+        {
+            code: `const heroClasses = "text-huge text-brand text-lg";`,
+            errors: [{ data: { overridden: "text-huge", winner: "text-lg" }, messageId: "classOverridden" }],
+            output: `const heroClasses = "text-brand text-lg";`,
+            settings: TAILWIND_V4_SETTINGS,
+        },
+        {
+            code: `const Card = () => (
+    <Layout>
+        <div className={cn("rounded-md rounded-lg", isActive && "border-2 border-4")} />
+    </Layout>
+);`,
+            errors: [
+                { data: { overridden: "rounded-md", winner: "rounded-lg" }, messageId: "classOverridden" },
+                { data: { overridden: "border-2", winner: "border-4" }, messageId: "classOverridden" },
+            ],
+            output: `const Card = () => (
+    <Layout>
+        <div className={cn("rounded-lg", isActive && "border-4")} />
+    </Layout>
+);`,
+        },
+        {
+            code: `<div
+    className="
+        flex
+        p-2
+        p-4
+    "
+/>;`,
+            errors: [{ data: { overridden: "p-2", winner: "p-4" }, messageId: "classOverridden" }],
+            output: `<div
+    className="
+        flex
+        p-4
+    "
+/>;`,
+        },
+    ],
+    valid: [
+        `<div className="flex p-4 text-sm md:hidden" />;`,
+        `<div className="px-2 p-4 border-2 border-t-4 overflow-hidden overflow-x-auto" />;`,
+        `<div className="p-2 md:p-4 !p-6 text-sm text-red-500" />;`,
+        "<div className={`p-2 ${active ? \"p-4\" : \"\"}`} />;",
+        `const buttonClasses = cn("p-2", isLarge && "p-4");`,
+        {
+            code: `const buttonClasses = cn("text-sm text-lg font-bold", className);`,
+            options: [{ callees: ["clsx"] }],
+        },
+    ],
+});
+
+runRuleTests("classname-no-extra-spaces", classNameNoExtraSpaces, {
+    invalid: [
+        {
+            code: `<div className="flex  items-center   gap-4" />;`,
+            errors: [{ messageId: "classStringNotMultiple" }],
+            output: `<div className="flex items-center gap-4" />;`,
+        },
+        {
+            code: "const buttonClasses = ` flex items-center ${color} `;",
+            errors: [{ messageId: "classStringNotLeading" }],
+            output: "const buttonClasses = `flex items-center ${color}`;",
+        },
+        {
+            code: `const variants = { primary: "bg-blue-500  text-white" };`,
+            errors: [{ messageId: "classStringNotMultiple" }],
+            output: `const variants = { primary: "bg-blue-500 text-white" };`,
+        },
+        {
+            code: "<div className={` flex ${className}`} />;",
+            errors: [{ messageId: "classStringNotLeading" }],
+            output: "<div className={`flex ${className}`} />;",
+        },
+        {
+            code: `clsx("flex  items-center", { " p-4": isLarge });`,
+            errors: [{ messageId: "classStringNotMultiple" }, { messageId: "classStringNotLeadingWhitespace" }],
+            output: `clsx("flex items-center", { "p-4": isLarge });`,
+        },
+        {
+            code: `const Card = () => (
+    <Layout>
+        <div className={cn("flex  gap-2", isActive && "ring-2 ")} />
+    </Layout>
+);`,
+            errors: [{ messageId: "classStringNotMultiple" }, { messageId: "classStringNotTrailingWhitespace" }],
+            output: `const Card = () => (
+    <Layout>
+        <div className={cn("flex gap-2", isActive && "ring-2")} />
+    </Layout>
+);`,
+        },
+        {
+            code: "<div className={`flex  ${/* accent */ accent}  p-2`} />;",
+            errors: [{ messageId: "classStringNotMultiple" }, { messageId: "classStringNotMultiple" }],
+            output: "<div className={`flex ${/* accent */ accent} p-2`} />;",
+        },
+    ],
+    valid: [
+        {
+            code: `clsx("flex  items-center");`,
+            options: [{ callees: [] }],
+        },
+        `<div className="flex items-center gap-4" />;`,
+        `const variants = { primary: "bg-blue-500 text-white" };`,
+        `const message = "hello  world";`,
+        `<div
+    className="
+        flex
+        items-center
+    "
+/>;`,
+    ],
+});
+
+runRuleTests("classname-order", classNameOrder, {
+    invalid: [
+        {
+            code: `const variants = { primary: "hover:bg-blue-600 bg-blue-500" };`,
+            errors: [{ messageId: "tailwindClassesFollowRecommended" }],
+            output: `const variants = { primary: "bg-blue-500 hover:bg-blue-600" };`,
+        },
+        {
+            code: `const buttonClasses = "text-white flex";`,
+            errors: [{ messageId: "tailwindClassesFollowRecommended" }],
+            output: `const buttonClasses = "flex text-white";`,
+        },
+        {
+            code: `const cardClasses = "data-[state=open]:bg-blue-500 @md:flex p-4";`,
+            errors: [{ messageId: "tailwindClassesFollowRecommended" }],
+            output: `const cardClasses = "p-4 @md:flex data-[state=open]:bg-blue-500";`,
+        },
+        {
+            code: `const heroClasses = "3xl:text-huge text-brand text-huge xs:flex";`,
+            errors: [{ messageId: "tailwindClassesFollowRecommended" }],
+            output: `const heroClasses = "text-huge text-brand xs:flex 3xl:text-huge";`,
+            settings: TAILWIND_V4_SETTINGS,
+        },
+        {
+            code: `const cardClasses = "scrollbar-hidden mt-2 card";`,
+            errors: [{ messageId: "tailwindClassesFollowRecommended" }],
+            output: `const cardClasses = "card mt-2 scrollbar-hidden";`,
+            settings: TAILWIND_V3_SETTINGS,
+        },
+        {
+            code: `const cardClasses = "p-2 md:flex lg:p-4 md:hover:bg-blue-600 hover:bg-blue-500";`,
+            errors: [{ messageId: "tailwindClassesFollowRecommended" }],
+            output: `const cardClasses = "p-2 md:flex md:hover:bg-blue-600 lg:p-4 hover:bg-blue-500";`,
+        },
+        {
+            code: `const linkClasses = "hover:md:underline";`,
+            errors: [{ data: { actual: "hover:md:underline", expected: "md:hover:underline", order: "responsive → state → dark" }, messageId: "variantStackOrder" }],
+            options: [{ variantStackOrder: ["responsive", "state", "dark"] }],
+            output: `const linkClasses = "md:hover:underline";`,
+        },
+        {
+            code: `const variants = { ghost: "dark:hover:md:text-white p-2" };`,
+            errors: [{ messageId: "variantStackOrder" }],
+            options: [{ variantStackOrder: ["responsive", "state", "dark"] }],
+            output: `const variants = { ghost: "p-2 md:hover:dark:text-white" };`,
+        },
+        {
+            code: `const button = cva("text-white flex", { variants: { size: { lg: "text-lg p-4" } } });`,
+            errors: [{ messageId: "tailwindClassesFollowRecommended" }, { messageId: "tailwindClassesFollowRecommended" }],
+            output: `const button = cva("flex text-white", { variants: { size: { lg: "p-4 text-lg" } } });`,
+        },
+        {
+            code: `const card = tv({ base: "text-white flex", variants: { size: { sm: { title: "text-sm p-2" } } } });`,
+            errors: [{ messageId: "tailwindClassesFollowRecommended" }, { messageId: "tailwindClassesFollowRecommended" }],
+            output: `const card = tv({ base: "flex text-white", variants: { size: { sm: { title: "p-2 text-sm" } } } });`,
+        },
+        {
+            code: `const linkClasses = clsx(["text-white flex"], { "text-sm p-2": isSmall });`,
+            errors: [{ messageId: "tailwindClassesFollowRecommended" }, { messageId: "tailwindClassesFollowRecommended" }],
+            output: `const linkClasses = clsx(["flex text-white"], { "p-2 text-sm": isSmall });`,
+        },
+        {
+            code: `const buttonClasses = cn("group hover:bg-blue-600 btn-primary bg-blue-500");`,
+            errors: [{ messageId: "tailwindClassesFollowRecommended" }],
+            output: `const buttonClasses = cn("bg-blue-500 btn-primary group hover:bg-blue-600");`,
+        },
+    ],
+    valid: [
+        {
+            code: `const button = cva("text-white flex");`,
+            options: [{ callees: ["cn"] }],
+        },
+        `const variants = { primary: "bg-blue-500 hover:bg-blue-600" };`,
+        `const buttonClasses = "flex text-white";`,
+        `const cardClasses = "p-2 md:flex md:hover:bg-blue-600 lg:p-4 hover:bg-blue-500";`,
+        {
+            code: `const linkClasses = "md:hover:underline md:hover:dark:text-white";`,
+            options: [{ variantStackOrder: ["responsive", "state", "dark"] }],
+        },
+        {
+            code: `const listClasses = "p-2 *:hover:underline";`,
+            options: [{ variantStackOrder: ["responsive", "state", "dark"] }],
+        },
+        {
+            code: `const layoutClasses = "mt-4 flex p-2";`,
+            settings: TAILWIND_V4_SETTINGS,
+        },
+        {
+            code: `const panelClasses = "p-4 md:hover:bg-brand hover:md:text-sm theme-midnight:p-2";`,
+            settings: TAILWIND_V4_SETTINGS,
+        },
+        `const label = clsx("Submit the form now");`,
+        "const label = cn(`Show ${count} more items`, \"p-4\");",
+        `const cardClasses = cn("btn p-4 flex");`,
+    ],
+});
+
+runRuleTests("classname-shorthand", classNameShorthand, {
+    invalid: [
+        {
+            code: `<div className="px-4 py-4 md:w-8 md:h-8" />;`,
+            errors: [
+                { data: { classes: "px-4 py-4", shorthand: "p-4" }, messageId: "useShorthand" },
+                { data: { classes: "md:w-8 md:h-8", shorthand: "md:size-8" }, messageId: "useShorthand" },
+            ],
+            output: `<div className="p-4 md:size-8" />;`,
+        },
+        {
+            code: `const cardClasses = cn("mt-2 mb-2 ml-2 mr-2 flex", className);`,
+            errors: [{ data: { classes: "mt-2 mb-2 ml-2 mr-2", shorthand: "m-2" }, messageId: "useShorthand" }],
+            output: `const cardClasses = cn("m-2 flex", className);`,
+        },
+        {
+            code: "<div className={`-mx-2 flex -my-2 ${active}`} />;",
+            errors: [{ data: { classes: "-mx-2 -my-2", shorthand: "-m-2" }, messageId: "useShorthand" }],
+            output: "<div className={`-m-2 flex ${active}`} />;",
+        },
+        {
+            code: `const variants = { overlay: "top-0 right-0 bottom-0 left-0 border-t border-b" };`,
+            errors: [
+                { data: { classes: "top-0 right-0 bottom-0 left-0", shorthand: "inset-0" }, messageId: "useShorthand" },
+                { data: { classes: "border-t border-b", shorthand: "border-y" }, messageId: "useShorthand" },
+            ],
+            output: `const variants = { overlay: "inset-0 border-y" };`,
+        },
+        {
+            code: `const Card = () => (
+    <Layout>
+        <div className={cn("pl-2 pr-2", isActive && "pt-4 pb-4")} />
+    </Layout>
+);`,
+            errors: [
+                { data: { classes: "pl-2 pr-2", shorthand: "px-2" }, messageId: "useShorthand" },
+                { data: { classes: "pt-4 pb-4", shorthand: "py-4" }, messageId: "useShorthand" },
+            ],
+            output: `const Card = () => (
+    <Layout>
+        <div className={cn("px-2", isActive && "py-4")} />
+    </Layout>
+);`,
+        },
+        {
+            code: `<div
+    className="
+        px-4
+        py-4
+        flex
+    "
+/>;`,
+            errors: [{ data: { classes: "px-4 py-4", shorthand: "p-4" }, messageId: "useShorthand" }],
+            output: `<div
+    className="
+        p-4
+        flex
+    "
+/>;`,
+        },
+    ],
+    valid: [
+        `<div className="p-4 md:size-8 px-4 py-2" />;`,
+        `<div className="px-4 py-4 p-2 pt-2 pb-2 py-4" />;`,
+        `<div className="hover:md:px-4 md:hover:py-4 -mx-2 my-2 !px-4 py-4" />;`,
+        `<div className="w-screen h-screen" />;`,
+        "<div className={`px-4 ${spacing}py-4`} />;",
+        {
+            code: `const cardClasses = cn("mt-2 mb-2", className);`,
+            options: [{ callees: ["clsx"] }],
+        },
+    ],
+});
+
+runRuleTests("jsx-children-on-new-line", jsxChildrenOnNewLine, {
+    invalid: [
+        {
+            code: `<Container><Header />
+    <Footer /></Container>;`,
+            errors: [{ messageId: "jsxChildOwnLine" }, { messageId: "closingTagOwnLine" }],
+            output: `<Container>
+    <Header />
+    <Footer />
+</Container>;`,
+        },
+        {
+            code: `const Page = () => (
+    <Layout>
+        <Container><Header />
+            <Footer /></Container>
+    </Layout>
+);`,
+            errors: [{ messageId: "jsxChildOwnLine" }, { messageId: "closingTagOwnLine" }],
+            output: `const Page = () => (
+    <Layout>
+        <Container>
+            <Header />
+            <Footer />
+        </Container>
+    </Layout>
+);`,
+        },
+        {
+            code: `<Container><Header title="Home"
+    subtitle="Welcome" /></Container>;`,
+            errors: [{ messageId: "jsxChildOwnLine" }, { messageId: "closingTagOwnLine" }],
+            output: `<Container>
+    <Header title="Home"
+        subtitle="Welcome" />
+</Container>;`,
+        },
+    ],
+    valid: [
+        `<Container>
+    <Header />
+    <Content />
+    <Footer />
+</Container>;`,
+        "<Title>Hello</Title>;",
+    ],
+});
+
+runRuleTests("jsx-closing-bracket-spacing", jsxClosingBracketSpacing, {
+    invalid: [
+        {
+            code: "<Button / >;",
+            errors: [{ messageId: "noSpaceAllowedBefore" }],
+            output: "<Button />;",
+        },
+        {
+            code: `<Button className="primary" >text</Button>;`,
+            errors: [{ messageId: "noSpaceAllowedBefore" }],
+            output: `<Button className="primary">text</Button>;`,
+        },
+        {
+            code: `const Page = () => (
+    <Layout>
+        <Button
+            type="submit"
+            onClick={save} >
+            <Icon / >
+        </Button >
+    </Layout>
+);`,
+            errors: [
+                { messageId: "noSpaceAllowedBefore" },
+                { messageId: "noSpaceAllowedBefore" },
+                { messageId: "noSpaceAllowedBefore" },
+            ],
+            output: `const Page = () => (
+    <Layout>
+        <Button
+            type="submit"
+            onClick={save}>
+            <Icon />
+        </Button>
+    </Layout>
+);`,
+        },
+        {
+            code: "< ><Button /></ >;",
+            errors: [{ messageId: "noSpaceAllowedBefore" }, { messageId: "noSpaceAllowedBefore" }],
+            output: "<><Button /></>;",
+        },
+    ],
+    valid: [
+        "<Button />;",
+        `<Button className="primary">text</Button>;`,
+        "<Button /* primary */ >text</Button>;",
+        `<Button
+    type="submit"
+/>;`,
+    ],
+});
+
+runRuleTests("jsx-element-child-new-line", jsxElementChildNewLine, {
+    invalid: [
+        {
+            code: "<Button><Icon /></Button>;",
+            errors: [{ messageId: "jsxElementChildOwn" }, { messageId: "closingTagOwnLine" }],
+            output: `<Button>
+    <Icon />
+</Button>;`,
+        },
+        {
+            code: `<Button>
+    <Icon /></Button>;`,
+            errors: [{ messageId: "closingTagOwnLine" }],
+            output: `<Button>
+    <Icon />
+</Button>;`,
+        },
+        {
+            code: `const Page = () => (
+    <Layout>
+        <Button><Icon /></Button>
+    </Layout>
+);`,
+            errors: [{ messageId: "jsxElementChildOwn" }, { messageId: "closingTagOwnLine" }],
+            output: `const Page = () => (
+    <Layout>
+        <Button>
+            <Icon />
+        </Button>
+    </Layout>
+);`,
+        },
+        {
+            code: `<Button><Icon name="save"
+    size="sm" /></Button>;`,
+            errors: [{ messageId: "jsxElementChildOwn" }, { messageId: "closingTagOwnLine" }],
+            output: `<Button>
+    <Icon name="save"
+        size="sm" />
+</Button>;`,
+        },
+        {
+            code: "<Button>{/* icon */}<Icon /></Button>;",
+            errors: [{ messageId: "jsxElementChildOwn" }, { messageId: "closingTagOwnLine" }],
+            output: `<Button>{/* icon */}
+    <Icon />
+</Button>;`,
+        },
+    ],
+    valid: [
+        `<Button>
+    <Icon />
+</Button>;`,
+        "<Button>Save</Button>;",
+    ],
+});
+
+runRuleTests("jsx-logical-expression-simplify", jsxLogicalExpressionSimplify, {
+    invalid: [
+        {
+            code: `<div>{isVisible && (
+    <Modal />
+)}</div>;`,
+            errors: [{ messageId: "simpleLogicalExpressionSingle" }],
+            output: "<div>{isVisible && <Modal />}</div>;",
+        },
+        {
+            code: `const Page = () => (
+    <Layout>
+        {isVisible && isReady && (
+            <Modal />
+        )}
+    </Layout>
+);`,
+            errors: [{ messageId: "simpleLogicalExpressionSingle" }],
+            output: `const Page = () => (
+    <Layout>
+        {isVisible && isReady && <Modal />}
+    </Layout>
+);`,
+        },
+        {
+            code: `<div>{isVisible && (
+    // shown on demand
+    <Modal />
+)}</div>;`,
+            errors: [{ messageId: "simpleLogicalExpressionSingle" }],
+            output: null,
+        },
+        {
+            code: `<div>
+    {isVisible && (
+
+        <Modal>
+            <Content />
+        </Modal>
+
+    )}
+</div>;`,
+            errors: [{ messageId: "noEmptyLinesAfter" }, { messageId: "noEmptyLinesBefore" }],
+            output: `<div>
+    {isVisible && (
+        <Modal>
+            <Content />
+        </Modal>
+    )}
+</div>;`,
+        },
+    ],
+    valid: [
+        "<div>{condition && <Component />}</div>;",
+        `<div>
+    {isVisible && (
+        <Modal>
+            <Content />
+        </Modal>
+    )}
+</div>;`,
+    ],
+});
+
+runRuleTests("jsx-parentheses-position", jsxParenthesesPosition, {
+    invalid: [
+        {
+            code: `const Component = () =>
+    (
+        <div>content</div>
+    );`,
+            errors: [{ messageId: "openingParenthesisSameLine" }],
+            output: `const Component = () => (
+    <div>content</div>
+);`,
+        },
+        {
+            code: `const Component = () => (<div>
+    <span>content</span>
+</div>);`,
+            errors: [{ messageId: "jsxStartNewLine" }],
+            output: `const Component = () => (
+    <div>
+        <span>content</span>
+    </div>
+);`,
+        },
+        {
+            code: `const List = ({ items }) => (
+    <ul>
+        {items.map((item) =>
+            (
+                <li key={item.id}>
+                    {item.name}
+                </li>
+            ))}
+    </ul>
+);`,
+            errors: [{ messageId: "openingParenthesisSameLine" }],
+            output: `const List = ({ items }) => (
+    <ul>
+        {items.map((item) => (
+            <li key={item.id}>
+                {item.name}
+            </li>
+        ))}
+    </ul>
+);`,
+        },
+        {
+            code: `const columns = {
+    name: (<Cell>
+        <Text />
+    </Cell>),
+};`,
+            errors: [{ messageId: "jsxStartNewLine" }],
+            output: `const columns = {
+    name: (
+        <Cell>
+            <Text />
+        </Cell>
+    ),
+};`,
+        },
+        {
+            code: `const columns = {
+    name:
+        (
+            <Cell />
+        ),
+};`,
+            errors: [{ messageId: "openingParenthesisSameLineColon" }],
+            output: `const columns = {
+    name: (
+        <Cell />
+    ),
+};`,
+        },
+        {
+            code: `const Component = () => (
+
+    <div>content</div>
+
+);`,
+            errors: [{ messageId: "noEmptyLineAfter" }, { messageId: "noEmptyLineBefore" }],
+            output: `const Component = () => (
+    <div>content</div>
+);`,
+        },
+        {
+            code: `const Component = () => (
+    // main view
+
+    <div>content</div>
+);`,
+            errors: [{ messageId: "noEmptyLineAfter" }],
+            output: null,
+        },
+        {
+            code: `const Component = () => // main view
+    (
+        <div>content</div>
+    );`,
+            errors: [{ messageId: "openingParenthesisSameLine" }],
+            output: null,
+        },
+    ],
+    valid: [
+        `const Component = () => (
+    <div>
+        <span>content</span>
+    </div>
+);`,
+    ],
+});
+
+runRuleTests("jsx-prop-naming-convention", jsxPropNamingConvention, {
+    invalid: [
+        {
+            code: "<Button on_click={handler} />;",
+            errors: [{ messageId: "jsxPropCamelCase" }],
+            output: null,
+        },
+        {
+            code: `<Input test_id="input" />;`,
+            errors: [{ messageId: "jsxPropCamelCase" }],
+            output: null,
+        },
+        {
+            code: `const Page = () => (
+    <Layout>
+        <Button OnClick={handleSave} label-text="Save" />
+    </Layout>
+);`,
+            errors: [
+                { data: { propName: "OnClick" }, messageId: "jsxPropCamelCase" },
+                { data: { propName: "label-text" }, messageId: "jsxPropCamelCase" },
+            ],
+            output: null,
+        },
+    ],
+    valid: [
+        "<Button onClick={handler} />;",
+        "<Menu TriggerIcon={ChevronIcon} {...menuProps} />;",
+        `<Input data-testid="input" aria-label="Name" />;`,
+        "<Modal ContentComponent={Panel} />;",
+    ],
+});
+
+runRuleTests("jsx-simple-element-one-line", jsxSimpleElementOneLine, {
+    invalid: [
+        {
+            code: `<Button>
+    {buttonLinkText}
+</Button>;`,
+            errors: [{ messageId: "simpleJsxElementSingle" }],
+            output: "<Button>{buttonLinkText}</Button>;",
+        },
+        {
+            code: `<Title>
+    Hello
+</Title>;`,
+            errors: [{ messageId: "simpleJsxElementSingle" }],
+            output: "<Title>Hello</Title>;",
+        },
+        {
+            code: `const Page = () => (
+    <Card>
+        <Title>
+            {title}
+        </Title>
+        <Text>
+            {formatDate(createdAt)}
+        </Text>
+    </Card>
+);`,
+            errors: [{ messageId: "simpleJsxElementSingle" }, { messageId: "simpleJsxElementSingle" }],
+            output: `const Page = () => (
+    <Card>
+        <Title>{title}</Title>
+        <Text>{formatDate(createdAt)}</Text>
+    </Card>
+);`,
+        },
+        {
+            code: `<Title>
+    {/* page title */ title}
+</Title>;`,
+            errors: [{ messageId: "simpleJsxElementSingle" }],
+            output: "<Title>{/* page title */ title}</Title>;",
+        },
+    ],
+    valid: [
+        "<Button>{buttonLinkText}</Button>;",
+        "<Title>Hello</Title>;",
+        `<Title>
+    Hello
+    world
+</Title>;`,
+        `<Title>
+    {title // page title
+    }
+</Title>;`,
+        `<Title>
+    {/* page title */}
+    {title}
+</Title>;`,
+    ],
+});
+
+runRuleTests("jsx-string-value-trim", jsxStringValueTrim, {
+    invalid: [
+        {
+            code: `<div className=" button " />;`,
+            errors: [{ messageId: "jsxStringValueNot" }],
+            output: `<div className="button" />;`,
+        },
+        {
+            code: `<div title=" Hello World " />;`,
+            errors: [{ messageId: "jsxStringValueNot" }],
+            output: `<div title="Hello World" />;`,
+        },
+        {
+            code: `<Card title=" Orders" subtitle="Last 30 days  " />;`,
+            errors: [{ messageId: "jsxStringValueNot" }, { messageId: "jsxStringValueNot" }],
+            output: `<Card title="Orders" subtitle="Last 30 days" />;`,
+        },
+        {
+            code: `const Page = () => (
+    <Layout>
+        <Input placeholder='  Search ' />
+    </Layout>
+);`,
+            errors: [{ messageId: "jsxStringValueNot" }],
+            output: `const Page = () => (
+    <Layout>
+        <Input placeholder='Search' />
+    </Layout>
+);`,
+        },
+    ],
+    valid: [
+        `<div className="button" />;`,
+        `<div title="Hello World" />;`,
+        `<Input value={" padded "} />;`,
+    ],
+});
+
+runRuleTests("jsx-ternary-format", jsxTernaryFormat, {
+    invalid: [
+        {
+            code: `<div>{condition
+    ? <Simple />
+    : <Other />}</div>;`,
+            errors: [{ messageId: "simpleTernarySingleLine" }],
+            output: "<div>{condition ? <Simple /> : <Other />}</div>;",
+        },
+        {
+            code: `<div>{isOpen
+    && isReady ? <Simple /> : <Other />}</div>;`,
+            errors: [{ messageId: "ternaryConditionNotBroken" }, { messageId: "simpleTernarySingleLine" }],
+            output: "<div>{isOpen && isReady ? <Simple /> : <Other />}</div>;",
+        },
+        {
+            code: `const render = () => (isOpen
+    ? <Header />
+    : <Empty />);`,
+            errors: [{ messageId: "simpleTernarySingleLine" }],
+            output: "const render = () => (isOpen ? <Header /> : <Empty />);",
+        },
+        {
+            code: `const Panel = () => (
+    <section>
+        {isOpen ? <Header /> : (<Empty />)}
+    </section>
+);`,
+            errors: [{ messageId: "unnecessaryParenthesesAroundSimple" }],
+            output: `const Panel = () => (
+    <section>
+        {isOpen ? <Header /> : <Empty />}
+    </section>
+);`,
+        },
+        {
+            code: `const Panel = () => (
+    <section>
+        {isOpen
+            ? <Header /> : (
+            <List>
+                <Item />
+            </List>
+        )}
+    </section>
+);`,
+            errors: [{ messageId: "questionSameLineAsCondition" }],
+            output: `const Panel = () => (
+    <section>
+        {isOpen ? <Header /> : (
+            <List>
+                <Item />
+            </List>
+        )}
+    </section>
+);`,
+        },
+        {
+            code: `const Panel = () => (
+    <section>
+        {isOpen ? (<List>
+            <Item />
+        </List>) : <Empty />}
+    </section>
+);`,
+            errors: [{ messageId: "complexJsxStartNew" }, { messageId: "closeParenNewLineAfterComplexJsx" }],
+            output: `const Panel = () => (
+    <section>
+        {isOpen ? (
+            <List>
+                <Item />
+            </List>
+        ) : <Empty />}
+    </section>
+);`,
+        },
+        {
+            code: `const Panel = () => (
+    <section>
+        {isOpen ? (<List>
+            <Item />
+        </List>) : (
+            <Empty>
+                <Hint />
+            </Empty>
+        )}
+    </section>
+);`,
+            errors: [{ messageId: "complexJsxStartNew" }, { messageId: "closeParenNewLineAfterComplexJsx" }],
+            output: `const Panel = () => (
+    <section>
+        {isOpen ? (
+            <List>
+                <Item />
+            </List>
+        ) : (
+            <Empty>
+                <Hint />
+            </Empty>
+        )}
+    </section>
+);`,
+        },
+        {
+            code: `<div>{condition
+    ? <Simple /> // primary
+    : <Other />}</div>;`,
+            errors: [{ messageId: "simpleTernarySingleLine" }],
+            output: null,
+        },
+    ],
+    valid: [
+        "<div>{condition ? <Simple /> : <Other />}</div>;",
+        `<div>
+    {condition ? <Simple /> : (
+        <Complex>
+            <Child />
+        </Complex>
+    )}
+</div>;`,
+    ],
+});
+
+runRuleTests("no-empty-lines-in-jsx", noEmptyLinesInJsx, {
+    invalid: [
+        {
+            code: `<div>
+
+    <span>text</span>
+</div>;`,
+            errors: [{ messageId: "noEmptyLineAfter" }],
+            output: `<div>
+    <span>text</span>
+</div>;`,
+        },
+        {
+            code: `<Button
+    type="submit"
+>
+    Save
+</Button>;`,
+            errors: [{ messageId: "singleSimpleJsxProp" }],
+            output: `<Button type="submit">
+    Save
+</Button>;`,
+        },
+        {
+            code: `<div>
+    <span>text</span>
+
+</div>;`,
+            errors: [{ messageId: "noEmptyLineBefore" }],
+            output: `<div>
+    <span>text</span>
+</div>;`,
+        },
+        {
+            code: `<Button
+    type="submit"
+
+    disabled
+/>;`,
+            errors: [{ messageId: "noEmptyLineBetween" }],
+            output: `<Button
+    type="submit"
+    disabled
+/>;`,
+        },
+        {
+            code: `const Component = () => (
+
+    <div>content</div>
+);`,
+            errors: [{ messageId: "noEmptyLineAllowedAfter" }],
+            output: `const Component = () => (
+    <div>content</div>
+);`,
+        },
+        {
+            code: `const Page = () => (
+    <Layout>
+        <Card
+            title="Orders"
+
+            footer={<Footer />}
+        >
+
+            <Header />
+        </Card>
+    </Layout>
+);`,
+            errors: [{ messageId: "noEmptyLineBetween" }, { messageId: "noEmptyLineAfter" }],
+            output: `const Page = () => (
+    <Layout>
+        <Card
+            title="Orders"
+            footer={<Footer />}
+        >
+            <Header />
+        </Card>
+    </Layout>
+);`,
+        },
+        {
+            code: `const Page = () => {
+    return (
+        // page
+        <Layout>
+            <Header />
+
+        </Layout>
+    );
+};`,
+            errors: [{ messageId: "noEmptyLineBefore" }],
+            output: `const Page = () => {
+    return (
+        // page
+        <Layout>
+            <Header />
+        </Layout>
+    );
+};`,
+        },
+        {
+            code: `<Button
+    type="submit"
+    // primary action
+
+    disabled
+/>;`,
+            errors: [{ messageId: "noEmptyLineBetween" }],
+            output: null,
+        },
+        {
+            code: `<Button
+    // primary action
+    type="submit"
+>
+    Save
+</Button>;`,
+            errors: [{ messageId: "singleSimpleJsxProp" }],
+            output: null,
+        },
+    ],
+    valid: [
+        `<div>
+    <span>text</span>
+    <span>more</span>
+</div>;`,
+        `<Button
+    type="submit"
+    // primary action
+    disabled
+/>;`,
+    ],
+});
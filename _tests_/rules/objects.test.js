@@ -0,0 +1,482 @@
+import {
+    noEmptyLinesInObjects,
+    objectPropertyPerLine,
+    objectPropertyValueBrace,
+    objectPropertyValueFormat,
+    stringPropertySpacing,
+} from "../../src/rules/objects.js";
+
+import { runRuleTests } from "./rule-tester.js";
+
+runRuleTests("no-empty-lines-in-objects", noEmptyLinesInObjects, {
+    invalid: [
+        {
+            code: `const user = {
+    name: "John",
+
+    email: "john@example.com",
+};`,
+            errors: [{ messageId: "noEmptyLineBetween" }],
+            output: `const user = {
+    name: "John",
+    email: "john@example.com",
+};`,
+        },
+        {
+            code: `const config = {
+
+    host: "localhost",
+    port: 3000,
+};`,
+            errors: [{ messageId: "noEmptyLineAfter" }],
+            output: `const config = {
+    host: "localhost",
+    port: 3000,
+};`,
+        },
+        {
+            code: `const config = {
+    host: "localhost",
+    port: 3000,
+
+};`,
+            errors: [{ messageId: "noEmptyLineBefore" }],
+            output: `const config = {
+    host: "localhost",
+    port: 3000,
+};`,
+        },
+        {
+            code: `const config = {
+    server: {
+        host: "localhost",
+
+        port: 3000,
+    },
+};`,
+            errors: [{ messageId: "noEmptyLineBetween" }],
+            output: `const config = {
+    server: {
+        host: "localhost",
+        port: 3000,
+    },
+};`,
+        },
+        {
+            code: `const config = {
+    host: "localhost",
+    // ports
+
+    port: 3000,
+};`,
+            errors: [{ messageId: "noEmptyLineBetween" }],
+            output: null,
+        },
+        {
+            code: `const config = {
+
+    // server
+    host: "localhost",
+};`,
+            errors: [{ messageId: "noEmptyLineAfter" }],
+            output: null,
+        },
+    ],
+    valid: [
+        `const user = {
+    name: "John",
+    email: "john@example.com",
+};`,
+        "const point = { x: 10 };",
+        "const empty = {};",
+        `const config = {
+    host: "localhost",
+    // ports
+    port: 3000,
+};`,
+    ],
+});
+
+runRuleTests("object-property-per-line", objectPropertyPerLine, {
+    invalid: [
+        {
+            code: "const point = { x: 10, y: 20 };",
+            errors: [
+                { messageId: "objectsPropertiesFirstProperty" },
+                { messageId: "eachPropertyOwnLine" },
+                { messageId: "objectsPropertiesClosingBrace" },
+            ],
+            output: `const point = {
+    x: 10,
+    y: 20,
+};`,
+        },
+        {
+            code: `const point = { x: 10,
+    y: 20 };`,
+            errors: [
+                { messageId: "objectsPropertiesFirstProperty" },
+                { messageId: "objectsPropertiesClosingBrace" },
+            ],
+            output: `const point = {
+    x: 10,
+    y: 20,
+};`,
+        },
+        {
+            code: `const config = {
+    debug: true,
+};`,
+            errors: [{ messageId: "objectsPropertiesSingleLine" }],
+            output: "const config = { debug: true };",
+        },
+        {
+            code: `const user = { name: "John", email: "john@example.com", role: "admin" };`,
+            errors: [
+                { messageId: "objectsPropertiesFirstProperty" },
+                { messageId: "eachPropertyOwnLine" },
+                { messageId: "eachPropertyOwnLine" },
+                { messageId: "objectsPropertiesClosingBrace" },
+            ],
+            options: [{ minProperties: 3 }],
+            output: `const user = {
+    name: "John",
+    email: "john@example.com",
+    role: "admin",
+};`,
+        },
+        {
+            code: `const config = {
+    server: { host: "localhost", port: 3000 },
+};`,
+            errors: [
+                { messageId: "objectsPropertiesFirstProperty" },
+                { messageId: "eachPropertyOwnLine" },
+                { messageId: "objectsPropertiesClosingBrace" },
+            ],
+            output: `const config = {
+    server: {
+        host: "localhost",
+        port: 3000,
+    },
+};`,
+        },
+        {
+            code: `const user = { name: "John", handler: () => {
+    run();
+} };`,
+            errors: [
+                { messageId: "objectsPropertiesFirstProperty" },
+                { messageId: "eachPropertyOwnLine" },
+                { messageId: "objectsPropertiesClosingBrace" },
+            ],
+            output: `const user = {
+    name: "John",
+    handler: () => {
+        run();
+    },
+};`,
+        },
+        {
+            code: "const { id, ...rest } = user;",
+            errors: [
+                { messageId: "objectsPropertiesFirstProperty" },
+                { messageId: "eachPropertyOwnLine" },
+                { messageId: "objectsPropertiesClosingBrace" },
+            ],
+            output: `const {
+    id,
+    ...rest
+} = user;`,
+        },
+        {
+            code: `const user = { name: "John", /* years */ age: 30 };`,
+            errors: [
+                { messageId: "objectsPropertiesFirstProperty" },
+                { messageId: "eachPropertyOwnLine" },
+                { messageId: "objectsPropertiesClosingBrace" },
+            ],
+            output: null,
+        },
+        {
+            code: `const config = {
+    label: isOpen
+        ? "Close"
+        : "Open",
+};`,
+            errors: [{ messageId: "objectsPropertiesSingleLine" }],
+            output: `const config = { label: isOpen ? "Close" : "Open" };`,
+        },
+        {
+            code: `const config = {
+    tags: ["a  b"],
+};`,
+            errors: [{ messageId: "objectsPropertiesSingleLine" }],
+            output: `const config = { tags: ["a  b"] };`,
+        },
+        {
+            code: `const config = {
+    // debug flag
+    debug: true,
+};`,
+            errors: [{ messageId: "objectsPropertiesSingleLine" }],
+            output: null,
+        },
+        {
+            code: `const config = { handler: () => {
+    run();
+} };`,
+            errors: [{ messageId: "propertyComplexValueOwn" }, { messageId: "closingBraceOwnLine" }],
+            output: `const config = {
+    handler: () => {
+        run();
+    },
+};`,
+        },
+    ],
+    valid: [
+        "const point = { x: 10 };",
+        "const empty = {};",
+        `const point = {
+    x: 10,
+    y: 20,
+};`,
+        { code: "const point = { x: 10, y: 20 };", options: [{ minProperties: 3 }] },
+    ],
+});
+
+runRuleTests("object-property-value-brace", objectPropertyValueBrace, {
+    invalid: [
+        {
+            code: `const styles = {
+    "& a":
+        { color: "red" },
+};`,
+            errors: [{ messageId: "openingBraceSameLine" }],
+            output: `const styles = {
+    "& a": { color: "red" },
+};`,
+        },
+        {
+            code: `const theme = {
+    components: {
+        "& a":
+            {
+                color: "red",
+                padding: 4,
+            },
+    },
+};`,
+            errors: [{ messageId: "openingBraceSameLine" }],
+            output: `const theme = {
+    components: {
+        "& a": {
+            color: "red",
+            padding: 4,
+        },
+    },
+};`,
+        },
+        {
+            code: `const styles = {
+    "& a":
+        // links
+        { color: "red" },
+};`,
+            errors: [{ messageId: "openingBraceSameLine" }],
+            output: null,
+        },
+    ],
+    valid: [
+        `const styles = {
+    "& a": { color: "red" },
+    "& button": { padding: "10px" },
+};`,
+        `const config = {
+    server: {
+        host: "localhost",
+        port: 3000,
+    },
+};`,
+    ],
+});
+
+runRuleTests("object-property-value-format", objectPropertyValueFormat, {
+    invalid: [
+        {
+            code: `const user = {
+    name:
+        "John",
+    age: 30,
+};`,
+            errors: [{ messageId: "propertyValueSameLine" }],
+            output: `const user = {
+    name: "John",
+    age: 30,
+};`,
+        },
+        {
+            code: `const user = {
+    name:"John",
+    age: 30,
+};`,
+            errors: [{ messageId: "missingSpaceAfterColon" }],
+            output: `const user = {
+    name: "John",
+    age: 30,
+};`,
+        },
+        {
+            code: `const config = {
+    server: {
+        host:
+            "localhost",
+    },
+};`,
+            errors: [{ messageId: "propertyValueSameLine" }],
+            output: `const config = {
+    server: {
+        host: "localhost",
+    },
+};`,
+        },
+        {
+            code: `const config = {
+    handler:
+        (event) => {
+            process(event);
+        },
+};`,
+            errors: [{ messageId: "arrowFunctionStartSame" }],
+            output: `const config = {
+    handler: (event) => {
+        process(event);
+    },
+};`,
+        },
+        {
+            code: `const config = {
+    host: // default
+        "localhost",
+};`,
+            errors: [{ messageId: "propertyValueSameLine" }],
+            output: null,
+        },
+        {
+            code: `const config = {
+    nested: {
+        name: <Cell>
+            <Text />
+        </Cell>,
+    },
+};`,
+            errors: [{ messageId: "multiLineJsxObject" }],
+            output: `const config = {
+    nested: {
+        name: (
+            <Cell>
+                <Text />
+            </Cell>
+        ),
+    },
+};`,
+        },
+        {
+            code: `const config = {
+    label: isOpen
+        ? "Close"
+        : "Open",
+};`,
+            errors: [{ messageId: "shortTernaryExpressionSingle" }],
+            output: `const config = {
+    label: isOpen ? "Close" : "Open",
+};`,
+        },
+        {
+            code: `const config = {
+    label: isOpen // menu state
+        ? "Close"
+        : "Open",
+};`,
+            errors: [{ messageId: "shortTernaryExpressionSingle" }],
+            output: null,
+        },
+        {
+            code: `const config = {
+    title: ( // heading
+        <Title>Hello</Title>
+    ),
+};`,
+            errors: [{ messageId: "simpleJsxInlineProperty" }],
+            output: null,
+        },
+    ],
+    valid: [
+        `const user = {
+    name: "John",
+    age: 30,
+    isActive: true,
+    role: userRole,
+};`,
+        `const config = {
+    handler: (event) => {
+        process(event);
+    },
+    items: [
+        "first",
+        "second",
+    ],
+};`,
+        `const config = {
+    label: isOpen
+        ? \`Close
+  menu\`
+        : "Open",
+};`,
+    ],
+});
+
+runRuleTests("string-property-spacing", stringPropertySpacing, {
+    invalid: [
+        {
+            code: `const styles = { " & a": { color: "red" } };`,
+            errors: [{ messageId: "stringPropertyKeyNot" }],
+            output: `const styles = { "& a": { color: "red" } };`,
+        },
+        {
+            code: `const headers = { "Content-Type ": "application/json" };`,
+            errors: [{ messageId: "stringPropertyKeyNot" }],
+            output: `const headers = { "Content-Type": "application/json" };`,
+        },
+        {
+            code: `const styles = { " & a ": { color: "red" } };`,
+            errors: [{ messageId: "stringPropertyKeyNot" }],
+            output: `const styles = { "& a": { color: "red" } };`,
+        },
+        {
+            code: `const theme = {
+    components: {
+        " & a": { color: "red" },
+        "& button ": { padding: 4 },
+    },
+};`,
+            errors: [{ messageId: "stringPropertyKeyNot" }, { messageId: "stringPropertyKeyNot" }],
+            output: `const theme = {
+    components: {
+        "& a": { color: "red" },
+        "& button": { padding: 4 },
+    },
+};`,
+        },
+        {
+            code: `const styles = { ' & a': { color: "red" }, " a\\"b": 1 };`,
+            errors: [{ messageId: "stringPropertyKeyNot" }, { messageId: "stringPropertyKeyNot" }],
+            output: `const styles = { '& a': { color: "red" }, "a\\"b": 1 };`,
+        },
+    ],
+    valid: [
+        `const styles = { "& a": { color: "red" } };`,
+        `const headers = { "Content-Type": "application/json" };`,
+        `const values = { key: " padded " };`,
+    ],
+});
@@ -0,0 +1,305 @@
+import { reactCodeOrder } from "../../src/rules/react.js";
+
+import { runRuleTests } from "./rule-tester.js";
+
+// Default order with effects moved before handlers
+const EFFECTS_FIRST_ORDER = [
+    "props",
+    "props-destructure",
+    "refs",
+    "state",
+    "reducers",
+    "redux",
+    "router",
+    "context",
+    "custom-hooks",
+    "derived",
+    "memos",
+    "callbacks",
+    "effects",
+    "handlers",
+    "return",
+];
+
+runRuleTests("react-code-order", reactCodeOrder, {
+    invalid: [
+        {
+            code: `const BadComponent = ({ title }) => {
+    useEffect(() => {
+        console.log("mounted");
+    }, []);
+
+    const [count, setCount] = useState(0);
+
+    return <div>{title}</div>;
+};`,
+            errors: [{ messageId: "wrongOrder" }],
+            output: `const BadComponent = ({ title }) => {
+    const [count, setCount] = useState(0);
+
+    useEffect(() => {
+        console.log("mounted");
+    }, []);
+
+    return <div>{title}</div>;
+};`,
+        },
+        {
+            code: `const useBadHook = () => {
+    const { toast } = useToast();
+    const [loading, setLoading] = useState(false);
+
+    return { loading, toast };
+};`,
+            errors: [{ messageId: "wrongOrder" }],
+            output: `const useBadHook = () => {
+    const [loading, setLoading] = useState(false);
+
+    const { toast } = useToast();
+
+    return { loading, toast };
+};`,
+        },
+        {
+            code: `const AnotherBadComponent = ({ title }) => {
+    const handleClick = () => {
+        console.log("clicked");
+    };
+
+    const [count, setCount] = useState(0);
+
+    return <div onClick={handleClick}>{title}</div>;
+};`,
+            errors: [{ messageId: "wrongOrder" }],
+            output: `const AnotherBadComponent = ({ title }) => {
+    const [count, setCount] = useState(0);
+
+    const handleClick = () => {
+        console.log("clicked");
+    };
+
+    return <div onClick={handleClick}>{title}</div>;
+};`,
+        },
+        {
+            code: `const Timer = () => {
+    const [count, setCount] = useState(0);
+
+    const resetHandler = () => {
+        setCount(0);
+    };
+
+    useEffect(() => {
+        document.title = String(count);
+    }, [count]);
+
+    return <button onClick={resetHandler}>{count}</button>;
+};`,
+            errors: [{ messageId: "wrongOrder" }],
+            options: [{ order: EFFECTS_FIRST_ORDER }],
+            output: `const Timer = () => {
+    const [count, setCount] = useState(0);
+
+    useEffect(() => {
+        document.title = String(count);
+    }, [count]);
+
+    const resetHandler = () => {
+        setCount(0);
+    };
+
+    return <button onClick={resetHandler}>{count}</button>;
+};`,
+        },
+        {
+            code: `import { useQuery } from "@tanstack/react-query";
+
+const useUsers = () => {
+    const [page, setPage] = useState(1);
+    const users = useQuery({ queryKey: ["users"] });
+
+    return { page, setPage, users };
+};`,
+            errors: [{ messageId: "wrongOrder" }],
+            options: [
+                {
+                    order: [
+                        { importSources: ["@tanstack/react-query"], name: "queries" },
+                        "state",
+                        "return",
+                    ],
+                },
+            ],
+            output: `import { useQuery } from "@tanstack/react-query";
+
+const useUsers = () => {
+    const users = useQuery({ queryKey: ["users"] });
+
+    const [page, setPage] = useState(1);
+
+    return { page, setPage, users };
+};`,
+        },
+        {
+            code: `const useProfile = () => {
+    const [isOpen, setIsOpen] = useState(false);
+    const user = useUserStore((state) => state.user);
+
+    return { isOpen, setIsOpen, user };
+};`,
+            errors: [{ messageId: "wrongOrder" }],
+            options: [
+                {
+                    order: [{ name: "stores", pattern: "^use[A-Z]\\w*Store$" }, "state", "return"],
+                },
+            ],
+            output: `const useProfile = () => {
+    const user = useUserStore((state) => state.user);
+
+    const [isOpen, setIsOpen] = useState(false);
+
+    return { isOpen, setIsOpen, user };
+};`,
+        },
+        {
+            code: `const useSearchPage = () => {
+    const { toast } = useToast();
+    const search = useSearch();
+
+    return { search, toast };
+};`,
+            errors: [{ messageId: "wrongOrder" }],
+            options: [{ order: [{ hooks: ["useSearch"], name: "router" }, "context", "return"] }],
+            output: `const useSearchPage = () => {
+    const search = useSearch();
+
+    const { toast } = useToast();
+
+    return { search, toast };
+};`,
+        },
+        {
+            code: `const Profile = ({ title }) => {
+    // Log every render
+    useEffect(() => {
+        console.log("rendered");
+    }, []);
+
+    // Selected tab
+    const [tab, setTab] = useState("info"); // "info" | "posts"
+
+    return <div onClick={() => setTab("posts")}>{title}</div>;
+};`,
+            errors: [{ messageId: "wrongOrder" }],
+            output: `const Profile = ({ title }) => {
+    // Selected tab
+    const [tab, setTab] = useState("info"); // "info" | "posts"
+
+    // Log every render
+    useEffect(() => {
+        console.log("rendered");
+    }, []);
+
+    return <div onClick={() => setTab("posts")}>{title}</div>;
+};`,
+        },
+        {
+            code: `const useDraft = () => {
+    const { data } = useQuery();
+    const [draft, setDraft] = useState(() => data.text);
+
+    return { draft, setDraft };
+};`,
+            errors: [{ messageId: "wrongOrder" }],
+            output: null,
+        },
+        {
+            code: `const Title = ({ title }) => {
+    const clickHandler = () => {
+        console.log("clicked");
+    };
+
+    if (!title) {
+        console.warn("Missing title");
+    }
+
+    const [count, setCount] = useState(0);
+
+    return <h1 onClick={clickHandler}>{title}</h1>;
+};`,
+            errors: [{ messageId: "wrongOrder" }],
+            output: null,
+        },
+    ],
+    valid: [
+        `const UserCard = ({ title }) => {
+    const inputRef = useRef(null);
+    const [count, setCount] = useState(0);
+    const dispatch = useDispatch();
+    const navigate = useNavigate();
+    const isEmpty = count === 0;
+
+    const clickHandler = () => {
+        setCount(count + 1);
+    };
+
+    useEffect(() => {
+        inputRef.current?.focus();
+    }, []);
+
+    return <div onClick={clickHandler}>{title}</div>;
+};`,
+        `const useCounter = () => {
+    const [count, setCount] = useState(0);
+    const { toast } = useToast();
+
+    return { count, setCount, toast };
+};`,
+        `const formatTitle = (title) => {
+    const result = title.trim();
+
+    return result;
+};`,
+        {
+            code: `const Timer = () => {
+    const [count, setCount] = useState(0);
+
+    useEffect(() => {
+        document.title = String(count);
+    }, [count]);
+
+    const resetHandler = () => {
+        setCount(0);
+    };
+
+    return <button onClick={resetHandler}>{count}</button>;
+};`,
+            options: [{ order: EFFECTS_FIRST_ORDER }],
+        },
+        `const useSearchPage = () => {
+    const { toast } = useToast();
+    const search = useSearch();
+
+    return { search, toast };
+};`,
+        {
+            code: `import * as Query from "@tanstack/react-query";
+
+const useUsers = () => {
+    const users = Query.useQuery({ queryKey: ["users"] });
+    const [page, setPage] = useState(1);
+
+    return { page, setPage, users };
+};`,
+            options: [
+                {
+                    order: [
+                        { importSources: ["@tanstack/react-query"], name: "queries" },
+                        "state",
+                        "return",
+                    ],
+                },
+            ],
+        },
+    ],
+});
@@ -0,0 +1,150 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+
+import tsParser from "@typescript-eslint/parser";
+import { Linter as LinterV10, RuleTester as RuleTesterV10 } from "eslint";
+import { Linter as LinterV9, RuleTester as RuleTesterV9 } from "eslint-v9";
+
+// Every suite runs once per supported ESLint major version
+const ESLINT_VERSIONS = [
+    { Linter: LinterV9, name: "ESLint 9", RuleTester: RuleTesterV9 },
+    { Linter: LinterV10, name: "ESLint 10", RuleTester: RuleTesterV10 },
+];
+
+// Default parser of each ESLint version (espree) with JSX enabled
+const JS_LANGUAGE_OPTIONS = {
+    ecmaVersion: "latest",
+    parserOptions: { ecmaFeatures: { jsx: true } },
+    sourceType: "module",
+};
+
+const TS_LANGUAGE_OPTIONS = {
+    ...JS_LANGUAGE_OPTIONS,
+    parser: tsParser,
+};
+
+const DEFAULT_JS_FILENAME = "file.jsx";
+const DEFAULT_TS_FILENAME = "file.tsx";
+
+// Route RuleTester through node:test so every case is reported individually
+ESLINT_VERSIONS.forEach(({ RuleTester }) => {
+    RuleTester.describe = describe;
+    RuleTester.it = it;
+    RuleTester.itOnly = it.only;
+});
+
+/**
+ * Normalize a test case (plain string or object) to an object
+ * @param {string|Object} testCase - RuleTester test case
+ * @returns {Object} - Test case object
+ */
+const toCaseObject = (testCase) => (typeof testCase === "string" ? { code: testCase } : testCase);
+
+/**
+ * Resolve a path inside the fixtures folder (for rules that read the file system)
+ * @param {string} relativePath - Path relative to _tests_/rules/fixtures
+ * @returns {string} - Absolute path
+ */
+export const fixture = (relativePath) => fileURLToPath(new URL(`./fixtures/${relativePath}`, import.meta.url));
+
+/**
+ * Mark test cases as TypeScript (parsed with @typescript-eslint/parser, .tsx filename)
+ * @param {Array<string|Object>} testCases - RuleTester test cases
+ * @returns {Object[]} - Test cases with TypeScript language options
+ */
+export const typescript = (testCases) => testCases.map((testCase) => ({
+    filename: DEFAULT_TS_FILENAME,
+    ...toCaseObject(testCase),
+    languageOptions: TS_LANGUAGE_OPTIONS,
+}));
+
+/**
+ * Mark test cases as type-aware TypeScript: parsed with the TypeScript program of the
+ * fixtures/typed-project folder, as its src/file.tsx (enums in src/enums, types in src/types)
+ * @param {Array<string|Object>} testCases - RuleTester test cases
+ * @returns {Object[]} - Test cases with type-aware TypeScript language options
+ */
+export const typescriptWithTypes = (testCases) => testCases.map((testCase) => ({
+    filename: fixture("typed-project/src/file.tsx"),
+    ...toCaseObject(testCase),
+    languageOptions: {
+        ...TS_LANGUAGE_OPTIONS,
+        parserOptions: {
+            ...TS_LANGUAGE_OPTIONS.parserOptions,
+            project: "./tsconfig.json",
+            tsconfigRootDir: fixture("typed-project"),
+        },
+    },
+}));
+
+/**
+ * Apply the fixes of one lint pass, skipping overlapping ones (same as a single `eslint --fix` pass)
+ * @param {Object} options - Linter class, rule and test case
+ * @returns {string} - Code after one fix pass
+ */
+const fixOncePassHandler = ({ code, Linter, rule, ruleName, testCase }) => {
+    const linter = new Linter({ configType: "flat" });
+
+    const config = [{
+        files: ["**/*.{js,jsx,mjs,cjs,ts,tsx,mts,cts}"],
+        languageOptions: testCase.languageOptions || JS_LANGUAGE_OPTIONS,
+        plugins: { "code-style": { rules: { [ruleName]: rule } } },
+        rules: { [`code-style/${ruleName}`]: ["error", ...(testCase.options || [])] },
+        settings: testCase.settings || {},
+    }];
+
+    const fixes = linter.verify(code, config, { filename: testCase.filename || DEFAULT_JS_FILENAME })
+        .filter((message) => message.fix)
+        .map((message) => message.fix)
+        .sort((a, b) => a.range[0] - b.range[0] || a.range[1] - b.range[1]);
+
+    let output = "";
+    let lastPosition = Number.NEGATIVE_INFINITY;
+
+    // Like ESLint, a fix starting where the previous one ends waits for the next pass
+    fixes.forEach(({ range, text }) => {
+        if (range[0] <= lastPosition) return;
+
+        output += code.slice(Math.max(0, lastPosition), range[0]) + text;
+        lastPosition = range[1];
+    });
+
+    return output + code.slice(Math.max(0, lastPosition));
+};
+
+/**
+ * Run a rule's RuleTester suite on ESLint 9 and ESLint 10
+ * Besides RuleTester's own checks (reported errors, exact fix output,
+ * suggestions), every fixable invalid case is checked for idempotency:
+ * one more fix pass on the expected output must not change it.
+ * @param {string} ruleName - Rule name without the plugin prefix
+ * @param {Object} rule - Rule module
+ * @param {{valid: Array<string|Object>, invalid: Object[]}} tests - RuleTester cases
+ */
+export const runRuleTests = (ruleName, rule, { invalid, valid }) => {
+    const withDefaultFilename = (testCase) => ({ filename: DEFAULT_JS_FILENAME, ...toCaseObject(testCase) });
+
+    ESLINT_VERSIONS.forEach(({ Linter, name, RuleTester }) => {
+        describe(`${ruleName} (${name})`, () => {
+            const ruleTester = new RuleTester({ languageOptions: JS_LANGUAGE_OPTIONS });
+
+            ruleTester.run(ruleName, rule, {
+                invalid: invalid.map(withDefaultFilename),
+                valid: valid.map(withDefaultFilename),
+            });
+
+            describe("fixer idempotency", () => {
+                invalid
+                    .filter((testCase) => typeof testCase.output === "string")
+                    .forEach((testCase) => {
+                        it(testCase.code, () => {
+                            const refixedCode = fixOncePassHandler({ code: testCase.output, Linter, rule, ruleName, testCase });
+
+                            assert.equal(refixedCode, testCase.output);
+                        });
+                    });
+            });
+        });
+    });
+};
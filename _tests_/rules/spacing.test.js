@@ -0,0 +1,176 @@
+import { assignmentValueSameLine, memberExpressionBracketSpacing } from "../../src/rules/spacing.js";
+
+import { runRuleTests, typescript } from "./rule-tester.js";
+
+runRuleTests("assignment-value-same-line", assignmentValueSameLine, {
+    invalid: [
+        {
+            code: `const name =
+    "John";`,
+            errors: [{ messageId: "valueSameLineAssignment" }],
+            output: `const name = "John";`,
+        },
+        {
+            code: `const config =
+    {
+        host: "localhost",
+        port: 3000,
+    };`,
+            errors: [{ messageId: "valueSameLineAssignment" }],
+            output: `const config = {
+    host: "localhost",
+    port: 3000,
+};`,
+        },
+        {
+            code: `const
+    name = "John";`,
+            errors: [{ messageId: "variableNameSameLine" }],
+            output: `const name = "John";`,
+        },
+        {
+            code: `const {
+    data,
+} =
+    useQuery();`,
+            errors: [{ messageId: "valueSameLineAssignment" }],
+            output: `const {
+    data,
+} = useQuery();`,
+        },
+        {
+            code: `const total = // sum of items
+    items.length;`,
+            errors: [{ messageId: "valueSameLineAssignment" }],
+            output: null,
+        },
+        {
+            code: `const total =
+    (first + second);`,
+            errors: [{ messageId: "valueSameLineAssignment" }],
+            output: "const total = (first + second);",
+        },
+        {
+            code: `const run = () => {
+    const config =
+        {
+            debug: true,
+        };
+};`,
+            errors: [{ messageId: "valueSameLineAssignment" }],
+            output: `const run = () => {
+    const config = {
+        debug: true,
+    };
+};`,
+        },
+        {
+            code: `const
+    {
+        first,
+        second,
+    } = props;`,
+            errors: [{ messageId: "destructuringPatternSameLine" }],
+            output: `const {
+    first,
+    second,
+} = props;`,
+        },
+        {
+            code: `const message =
+    \`line one
+line two\`;`,
+            errors: [{ messageId: "valueSameLineAssignment" }],
+            output: `const message = \`line one
+line two\`;`,
+        },
+        {
+            code: `let count /* items */
+    = 0;`,
+            errors: [{ messageId: "assignmentOperatorSameLine" }],
+            output: null,
+        },
+    ],
+    valid: [
+        `const name = "John";`,
+        `const config = {
+    host: "localhost",
+    port: 3000,
+};`,
+        `const items = [
+    "first",
+    "second",
+];`,
+        "let count;",
+    ],
+});
+
+runRuleTests("member-expression-bracket-spacing", memberExpressionBracketSpacing, {
+    invalid: [
+        {
+            code: "const value = arr[ 0 ];",
+            errors: [{ messageId: "noSpaceAfterOpening" }, { messageId: "noSpaceBeforeClosing" }],
+            output: "const value = arr[0];",
+        },
+        {
+            code: "const name = obj[key ];",
+            errors: [{ messageId: "noSpaceBeforeClosing" }],
+            output: "const name = obj[key];",
+        },
+        {
+            code: "const item = data[ index];",
+            errors: [{ messageId: "noSpaceAfterOpening" }],
+            output: "const item = data[index];",
+        },
+        {
+            code: "const item = data [index];",
+            errors: [{ messageId: "noSpaceBeforeOpening" }],
+            output: "const item = data[index];",
+        },
+        {
+            code: "const item = list[ (index) ];",
+            errors: [{ messageId: "noSpaceAfterOpening" }, { messageId: "noSpaceBeforeClosing" }],
+            output: "const item = list[(index)];",
+        },
+        {
+            code: "const item = list[ /* first */ 0];",
+            errors: [{ messageId: "noSpaceAfterOpening" }],
+            output: null,
+        },
+        {
+            code: "const item = (list) [0];",
+            errors: [{ messageId: "noSpaceBeforeOpening" }],
+            output: "const item = (list)[0];",
+        },
+        {
+            code: "const item = list?.[ 0 ];",
+            errors: [{ messageId: "noSpaceAfterOpening" }, { messageId: "noSpaceBeforeClosing" }],
+            output: "const item = list?.[0];",
+        },
+        {
+            code: `const cell = matrix[
+    row
+][ col ];`,
+            errors: [
+                { messageId: "noSpaceAfterOpening" },
+                { messageId: "noSpaceBeforeClosing" },
+                { messageId: "noSpaceAfterOpening" },
+                { messageId: "noSpaceBeforeClosing" },
+            ],
+            output: "const cell = matrix[row][col];",
+        },
+        ...typescript([
+            {
+                code: "type UserName = User[ \"name\" ];",
+                errors: [{ messageId: "noSpaceAfterOpening" }, { messageId: "noSpaceBeforeClosing" }],
+                output: "type UserName = User[\"name\"];",
+            },
+        ]),
+    ],
+    valid: [
+        "const value = arr[0];",
+        "const name = obj[key];",
+        "const nested = matrix[row][col];",
+        "const total = user.profile.age;",
+    ],
+});
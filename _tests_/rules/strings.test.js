@@ -0,0 +1,463 @@
+import { noHardcodedStrings } from "../../src/rules/strings.js";
+
+import { fixture, runRuleTests } from "./rule-tester.js";
+
+const I18N_OPTIONS = [{ localesDir: fixture("locales/flat"), mode: "i18n" }];
+
+const SHIPMENT_CATEGORY_OPTIONS = [{
+    categories: [{ importSource: "@/enums/shipment", name: "shipment", values: ["delivered", "in_transit"] }],
+}];
+
+const STRINGS_MODULE_SETTINGS = { "code-style": { srcRoot: "_tests_/rules/fixtures/strings-module/src" } };
+
+runRuleTests("no-hardcoded-strings", noHardcodedStrings, {
+    invalid: [
+        {
+            code: "const Button = () => <button>Submit Form</button>;",
+            errors: [{
+                messageId: "uiString",
+                suggestions: [{
+                    data: { name: "submitForm", source: "@/strings", value: "\"Submit Form\"" },
+                    messageId: "extractToConstant",
+                    output: `import { submitForm } from "@/strings";
+
+const Button = () => <button>{submitForm}</button>;`,
+                }],
+            }],
+            output: null,
+        },
+        {
+            code: `const getMessage = () => {
+    const greeting = "Welcome to the application";
+
+    return greeting;
+};`,
+            errors: [{
+                messageId: "uiString",
+                suggestions: [{
+                    messageId: "extractToConstant",
+                    output: `import { welcomeToTheApplication } from "@/strings";
+
+const getMessage = () => {
+    const greeting = welcomeToTheApplication;
+
+    return greeting;
+};`,
+                }],
+            }],
+            output: null,
+        },
+        {
+            code: `const getErrorHandler = () => "User not found";`,
+            errors: [{
+                messageId: "uiString",
+                suggestions: [{
+                    messageId: "extractToConstant",
+                    output: `import { userNotFound } from "@/strings";
+
+const getErrorHandler = () => userNotFound;`,
+                }],
+            }],
+            output: null,
+        },
+        {
+            code: `const isAdmin = (role) => role === "admin";`,
+            errors: [{
+                messageId: "enumLikeString",
+                suggestions: [{
+                    data: { name: "ADMIN", source: "@/enums", value: "\"admin\"" },
+                    messageId: "extractToConstant",
+                    output: `import { ADMIN } from "@/enums";
+
+const isAdmin = (role) => role === ADMIN;`,
+                }],
+            }],
+            output: null,
+        },
+        {
+            code: `const isPending = (status) => status === "pending";`,
+            errors: [{
+                messageId: "enumLikeString",
+                suggestions: [{
+                    messageId: "extractToConstant",
+                    output: `import { PENDING } from "@/enums";
+
+const isPending = (status) => status === PENDING;`,
+                }],
+            }],
+            output: null,
+        },
+        {
+            code: `const Input = () => <input type="password" />;`,
+            errors: [{
+                messageId: "enumLikeAttribute",
+                suggestions: [{
+                    messageId: "extractToConstant",
+                    output: `import { PASSWORD } from "@/enums";
+
+const Input = () => <input type={PASSWORD} />;`,
+                }],
+            }],
+            output: null,
+        },
+        {
+            code: `const Field = () => <input placeholder="Enter your name" />;`,
+            errors: [{
+                messageId: "uiString",
+                suggestions: [{
+                    messageId: "extractToConstant",
+                    output: `import { enterYourName } from "@/strings";
+
+const Field = () => <input placeholder={enterYourName} />;`,
+                }],
+            }],
+            output: null,
+        },
+        {
+            code: "const Banner = () => <p>Temporary notice text</p>;",
+            errors: [{
+                messageId: "uiString",
+                suggestions: [{
+                    messageId: "extractToConstant",
+                    output: `import { temporaryNoticeText } from "@/strings";
+
+const Banner = () => <p>{temporaryNoticeText}</p>;`,
+                }],
+            }],
+            options: [{ ignorePatterns: ["^TODO:"] }],
+            output: null,
+        },
+        {
+            code: `"use client";
+
+import { welcomeText } from "@/strings";
+
+const Hero = () => (
+    <section>
+        <h1>{welcomeText}</h1>
+        <p>
+            Welcome to the app
+        </p>
+        <button>Submit Form</button>
+    </section>
+);`,
+            errors: [
+                {
+                    messageId: "uiString",
+                    suggestions: [{
+                        data: { name: "welcomeText", source: "@/strings" },
+                        messageId: "useExistingConstant",
+                        output: `"use client";
+
+import { welcomeText } from "@/strings";
+
+const Hero = () => (
+    <section>
+        <h1>{welcomeText}</h1>
+        <p>
+            {welcomeText}
+        </p>
+        <button>Submit Form</button>
+    </section>
+);`,
+                    }],
+                },
+                {
+                    messageId: "uiString",
+                    suggestions: [{
+                        data: { name: "submitForm2", source: "@/strings", value: "\"Submit Form\"" },
+                        messageId: "extractToConstant",
+                        output: `"use client";
+
+import { welcomeText, submitForm2 } from "@/strings";
+
+const Hero = () => (
+    <section>
+        <h1>{welcomeText}</h1>
+        <p>
+            Welcome to the app
+        </p>
+        <button>{submitForm2}</button>
+    </section>
+);`,
+                    }],
+                },
+            ],
+            output: null,
+            settings: STRINGS_MODULE_SETTINGS,
+        },
+        {
+            code: `"use client";
+
+const canPublish = (role) => role === "editor";`,
+            errors: [{
+                messageId: "enumLikeString",
+                suggestions: [{
+                    data: { name: "UserRole.Editor", source: "@/enums" },
+                    messageId: "useExistingConstant",
+                    output: `"use client";
+
+import { UserRole } from "@/enums";
+
+const canPublish = (role) => role === UserRole.Editor;`,
+                }],
+            }],
+            output: null,
+            settings: STRINGS_MODULE_SETTINGS,
+        },
+        {
+            code: `const Header = () => (
+    <nav>
+        <h1>Dashboard</h1>
+        <button>Sign in</button>
+        <button>Sign out</button>
+    </nav>
+);`,
+            errors: [
+                {
+                    messageId: "uiString",
+                    suggestions: [{
+                        data: { name: "pageTitle", source: "@/strings" },
+                        messageId: "useExistingConstant",
+                        output: `import { pageTitle } from "@/strings";
+
+const Header = () => (
+    <nav>
+        <h1>{pageTitle}</h1>
+        <button>Sign in</button>
+        <button>Sign out</button>
+    </nav>
+);`,
+                    }],
+                },
+                {
+                    messageId: "uiString",
+                    suggestions: [{
+                        data: { name: "signInLabel", source: "@/strings" },
+                        messageId: "useExistingConstant",
+                        output: `import { signInLabel } from "@/strings";
+
+const Header = () => (
+    <nav>
+        <h1>Dashboard</h1>
+        <button>{signInLabel}</button>
+        <button>Sign out</button>
+    </nav>
+);`,
+                    }],
+                },
+                {
+                    messageId: "uiString",
+                    suggestions: [{
+                        data: { name: "AuthLabels.signOut", source: "@/strings" },
+                        messageId: "useExistingConstant",
+                        output: `import { AuthLabels } from "@/strings";
+
+const Header = () => (
+    <nav>
+        <h1>Dashboard</h1>
+        <button>Sign in</button>
+        <button>{AuthLabels.signOut}</button>
+    </nav>
+);`,
+                    }],
+                },
+            ],
+            output: null,
+            settings: STRINGS_MODULE_SETTINGS,
+        },
+        {
+            code: "const PasswordHint = () => <label>Password min length</label>;",
+            errors: [{
+                messageId: "uiString",
+                suggestions: [{
+                    data: { name: "passwordMinLength2", source: "@/strings", value: "\"Password min length\"" },
+                    messageId: "extractToConstant",
+                    output: `import { passwordMinLength2 } from "@/strings";
+
+const PasswordHint = () => <label>{passwordMinLength2}</label>;`,
+                }],
+            }],
+            output: null,
+            settings: STRINGS_MODULE_SETTINGS,
+        },
+        {
+            code: `const isUrgent = (task) => task.priority === "high";`,
+            errors: [{
+                messageId: "enumLikeString",
+                suggestions: [{
+                    data: { name: "Priority.High", source: "@/enums" },
+                    messageId: "useExistingConstant",
+                    output: `import { Priority } from "@/enums";
+
+const isUrgent = (task) => task.priority === Priority.High;`,
+                }],
+            }],
+            output: null,
+            settings: STRINGS_MODULE_SETTINGS,
+        },
+        {
+            code: "const Greeting = () => <p>Welcome to the app</p>;",
+            errors: [{
+                messageId: "uiString",
+                suggestions: [{
+                    data: { name: "welcomeText", source: "~/strings" },
+                    messageId: "useExistingConstant",
+                    output: `import { welcomeText } from "~/strings";
+
+const Greeting = () => <p>{welcomeText}</p>;`,
+                }],
+            }],
+            output: null,
+            settings: { "code-style": { ...STRINGS_MODULE_SETTINGS["code-style"], aliasPrefix: "~/" } },
+        },
+        {
+            code: `const isMissing = (response) => response.status === "404";`,
+            errors: [{
+                data: { location: "", value: "404" },
+                messageId: "enumLikeString",
+                suggestions: [{
+                    data: { name: "VALUE_404", source: "@/enums", value: "\"404\"" },
+                    messageId: "extractToConstant",
+                    output: `import { VALUE_404 } from "@/enums";
+
+const isMissing = (response) => response.status === VALUE_404;`,
+                }],
+            }],
+            output: null,
+        },
+        {
+            code: `const getErrorHandler = (code) => {
+    switch (code) {
+        case "500":
+            return serverError;
+        default:
+            return null;
+    }
+};`,
+            errors: [{
+                data: { location: "", value: "500" },
+                messageId: "enumLikeString",
+                suggestions: [{
+                    messageId: "extractToConstant",
+                    output: `import { VALUE_500 } from "@/enums";
+
+const getErrorHandler = (code) => {
+    switch (code) {
+        case VALUE_500:
+            return serverError;
+        default:
+            return null;
+    }
+};`,
+                }],
+            }],
+            output: null,
+        },
+        {
+            code: `const isInTransit = (shipment) => shipment.state === "in_transit";`,
+            errors: [{
+                data: { category: "shipment", location: "", source: "@/enums/shipment", value: "in_transit" },
+                messageId: "categoryString",
+                suggestions: [{
+                    data: { name: "IN_TRANSIT", source: "@/enums/shipment", value: "\"in_transit\"" },
+                    messageId: "extractToConstant",
+                    output: `import { IN_TRANSIT } from "@/enums/shipment";
+
+const isInTransit = (shipment) => shipment.state === IN_TRANSIT;`,
+                }],
+            }],
+            options: SHIPMENT_CATEGORY_OPTIONS,
+            output: null,
+        },
+        {
+            code: `const loadUsersHandler = () => request("GET", "/api/users");`,
+            errors: [{
+                messageId: "enumLikeString",
+                suggestions: [{
+                    messageId: "extractToConstant",
+                    output: `import { GET } from "@/enums";
+
+const loadUsersHandler = () => request(GET, "/api/users");`,
+                }],
+            }],
+            output: null,
+        },
+        {
+            code: "const Button = () => <button>Submit Form</button>;",
+            errors: [{ messageId: "untranslatedString" }],
+            options: [{ mode: "i18n" }],
+            output: null,
+        },
+        {
+            code: `const Title = () => <h1>{t("home.titel")}</h1>;`,
+            errors: [{ data: { key: "home.titel" }, messageId: "missingTranslationKey" }],
+            options: I18N_OPTIONS,
+            output: null,
+        },
+        {
+            code: `const Subtitle = () => <Trans i18nKey="home.subtitle" />;`,
+            errors: [{ data: { key: "home.subtitle", locales: "fr" }, messageId: "incompleteTranslationKey" }],
+            options: I18N_OPTIONS,
+            output: null,
+        },
+        {
+            code: `const Notes = () => <FormattedMessage id="home.notes" defaultMessage="Read me" />;`,
+            errors: [{ data: { key: "home.notes", locales: "en" }, messageId: "incompleteTranslationKey" }],
+            options: I18N_OPTIONS,
+            output: null,
+        },
+        {
+            code: `const getTitle = (intl) => intl.formatMessage({ id: "home.missing" });`,
+            errors: [{ messageId: "missingTranslationKey" }],
+            options: I18N_OPTIONS,
+            output: null,
+        },
+    ],
+    valid: [
+        "const getStylesHandler = () => ({ fontWeight: \"500\" });",
+        "const Title = () => <Text weight=\"500\" />;",
+        "const NotFound = () => <h1>404</h1>;",
+        `import { BUTTON_LABEL } from "@/constants";
+
+const Button = () => <button>{BUTTON_LABEL}</button>;`,
+        `const Input = () => <input className="input-field" />;`,
+        `const Link = () => <a href="/dashboard">{label}</a>;`,
+        `const size = "100px";`,
+        "const url = `/api/users/${id}`;",
+        `const key = "userProfile";`,
+        {
+            code: `const note = "TODO: write the copy";`,
+            options: [{ ignorePatterns: ["^TODO:"] }],
+        },
+        {
+            code: `const Field = () => <input placeholder="Enter your name" />;`,
+            options: [{ extraIgnoreAttributes: ["placeholder"] }],
+        },
+        `const isInTransit = (shipment) => shipment.state === "in_transit";`,
+        {
+            code: `const isUser = (account) => account.role === "user";`,
+            options: [{ disabledCategories: ["role"] }],
+        },
+        {
+            code: `const Home = () => (
+    <div>
+        <h1>{t("home.title")}</h1>
+        <Trans i18nKey="form.submit">Send <strong>now</strong></Trans>
+        <FormattedMessage id="home.title" defaultMessage="Welcome to the app" />
+        <p>{i18n.t("cart.item", { count })}</p>
+        <p>{t(dynamicKey)}</p>
+    </div>
+);`,
+            options: I18N_OPTIONS,
+        },
+        {
+            code: `const Save = () => <button>{t("common:save")}</button>;`,
+            options: [{ localesDir: fixture("locales/namespaced"), mode: "i18n" }],
+        },
+        {
+            code: `const Title = () => <h1>{translate("Any text at all")}</h1>;`,
+            options: [{ mode: "i18n", translationFunctions: ["translate"] }],
+        },
+    ],
+});
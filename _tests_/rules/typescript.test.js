@@ -0,0 +1,1338 @@
+import {
+    enumFormat,
+    enumTypeEnforcement,
+    interfaceFormat,
+    noInlineTypeDefinitions,
+    propNamingConvention,
+    typeAnnotationSpacing,
+    typeFormat,
+    typescriptDefinitionLocation,
+} from "../../src/rules/typescript.js";
+
+import { runRuleTests, typescript, typescriptWithTypes } from "./rule-tester.js";
+
+const TYPE_AWARE_OPTIONS = [{ typeAware: true }];
+
+// Single boolean prefix keeps the rename suggestions of type-aware cases short
+const TYPE_AWARE_PROP_OPTIONS = [{ booleanPrefixes: ["is"], typeAware: true }];
+
+runRuleTests("enum-format", enumFormat, {
+    invalid: typescript([
+        {
+            code: `export enum Status {
+    ACTIVE = "active",
+    INACTIVE = "inactive",
+}`,
+            errors: [{ messageId: "enumNameEndEnum" }],
+            output: `export enum StatusEnum {
+    ACTIVE = "active",
+    INACTIVE = "inactive",
+}`,
+        },
+        {
+            code: `export enum StatusEnum {
+    active = "active",
+    INACTIVE = "inactive",
+}`,
+            errors: [{ messageId: "enumMemberUpperCase" }],
+            output: `export enum StatusEnum {
+    ACTIVE = "active",
+    INACTIVE = "inactive",
+}`,
+        },
+        {
+            code: `export enum StatusEnum {
+    ACTIVE = "active",
+
+    INACTIVE = "inactive",
+}`,
+            errors: [{ messageId: "noEmptyLinesAllowed" }],
+            output: `export enum StatusEnum {
+    ACTIVE = "active",
+    INACTIVE = "inactive",
+}`,
+        },
+        {
+            code: `export enum StatusEnum { ACTIVE = "active", INACTIVE = "inactive" }`,
+            errors: [
+                { messageId: "firstEnumMemberNew" },
+                { messageId: "eachEnumMemberOwn" },
+                { messageId: "lastEnumMemberTrailing" },
+            ],
+            output: `export enum StatusEnum {
+    ACTIVE = "active",
+    INACTIVE = "inactive",
+}`,
+        },
+        {
+            code: `enum Status {
+    ACTIVE = "active",
+    INACTIVE = "inactive",
+}
+
+const isActive = (value: Status) => value === Status.ACTIVE;
+
+export { Status };`,
+            errors: [{ messageId: "enumNameEndEnum" }],
+            output: `enum StatusEnum {
+    ACTIVE = "active",
+    INACTIVE = "inactive",
+}
+
+const isActive = (value: StatusEnum) => value === StatusEnum.ACTIVE;
+
+export { StatusEnum as Status };`,
+        },
+        {
+            code: `enum Status { ACTIVE = "active" }
+enum StatusEnum { INACTIVE = "inactive" }`,
+            errors: [{ messageId: "enumNameEndEnum" }],
+            output: null,
+        },
+        {
+            code: `export enum StatusEnum {
+    ACTIVE = "active",
+    inProgress = "in_progress",
+}
+
+const isBusy = (value: StatusEnum) => value === StatusEnum.inProgress || value === StatusEnum["inProgress"];`,
+            errors: [{ messageId: "enumMemberUpperCase" }],
+            output: `export enum StatusEnum {
+    ACTIVE = "active",
+    IN_PROGRESS = "in_progress",
+}
+
+const isBusy = (value: StatusEnum) => value === StatusEnum.IN_PROGRESS || value === StatusEnum["IN_PROGRESS"];`,
+        },
+        {
+            code: `export enum StatusEnum {
+
+    // Shown in the header
+    ACTIVE = "active",
+    INACTIVE = "inactive",
+}`,
+            errors: [{ messageId: "noEmptyLineAfter" }],
+            output: `export enum StatusEnum {
+    // Shown in the header
+    ACTIVE = "active",
+    INACTIVE = "inactive",
+}`,
+        },
+        {
+            code: `export enum StatusEnum {
+    ACTIVE = "active",
+
+    // No longer shown
+    INACTIVE = "inactive",
+}`,
+            errors: [{ messageId: "noEmptyLinesAllowed" }],
+            output: `export enum StatusEnum {
+    ACTIVE = "active",
+    // No longer shown
+    INACTIVE = "inactive",
+}`,
+        },
+        {
+            code: `export enum ModeEnum {
+    // The only mode
+    DARK = "dark",
+}`,
+            errors: [{ messageId: "singleMemberEnumOne" }],
+            output: null,
+        },
+        {
+            code: `export enum StatusEnum {
+    ACTIVE = "active",
+    INACTIVE = "inactive" /* legacy */ }`,
+            errors: [{ messageId: "lastEnumMemberTrailing" }],
+            output: `export enum StatusEnum {
+    ACTIVE = "active",
+    INACTIVE = "inactive", /* legacy */
+}`,
+        },
+        {
+            code: `export enum StatusEnum { ACTIVE = "active", /* legacy */ INACTIVE = "inactive", }`,
+            errors: [
+                { messageId: "firstEnumMemberNew" },
+                { messageId: "eachEnumMemberOwn" },
+                { messageId: "closingBraceOwnLine" },
+            ],
+            output: `export enum StatusEnum {
+    ACTIVE = "active", /* legacy */ INACTIVE = "inactive",
+}`,
+        },
+        {
+            code: `const getLabel = () => {
+    enum ModeEnum { DARK = "dark", LIGHT = "light" }
+
+    return ModeEnum.DARK;
+};`,
+            errors: [
+                { messageId: "firstEnumMemberNew" },
+                { messageId: "eachEnumMemberOwn" },
+                { messageId: "lastEnumMemberTrailing" },
+            ],
+            output: `const getLabel = () => {
+    enum ModeEnum {
+        DARK = "dark",
+        LIGHT = "light",
+    }
+
+    return ModeEnum.DARK;
+};`,
+        },
+    ]),
+    valid: typescript([
+        `export enum StatusEnum {
+    ACTIVE = "active",
+    INACTIVE = "inactive",
+    PENDING = "pending",
+}`,
+        `export enum ModeEnum { DARK = "dark" }`,
+        `export enum StatusEnum {
+    // Shown in the header
+    ACTIVE = "active",
+    INACTIVE = "inactive",
+}`,
+    ]),
+});
+
+runRuleTests("enum-type-enforcement", enumTypeEnforcement, {
+    invalid: typescript([
+        {
+            code: `const Button = ({
+    variant = "primary",
+}: {
+    variant?: ButtonVariantType,
+}) => variant;`,
+            errors: [{ messageId: "useEnumValue" }],
+            output: null,
+        },
+        {
+            code: `const Button = ({
+    variant,
+}: {
+    variant?: ButtonVariantType,
+}) => {
+    if (variant === "ghost") return null;
+
+    return variant;
+};`,
+            errors: [{ messageId: "useEnumValue" }],
+            output: null,
+        },
+        {
+            code: `const Button = ({ variant = "primary" }: { variant?: ButtonVariantType }) => variant;`,
+            errors: [{ data: { replacement: "ButtonVariantEnum.PRIMARY", stringValue: "primary" }, messageId: "useEnumValue" }],
+            options: TYPE_AWARE_OPTIONS,
+            output: null,
+        },
+    ]).concat(typescriptWithTypes([
+        {
+            code: `import type { ButtonVariantType } from "./types/button";
+
+const Button = ({ variant = "ghost" }: { variant?: ButtonVariantType }) => variant;`,
+            errors: [{ data: { replacement: "ButtonVariantEnum.GHOST", stringValue: "ghost" }, messageId: "useEnumValue" }],
+            options: TYPE_AWARE_OPTIONS,
+            output: `import type { ButtonVariantType } from "./types/button";
+import { ButtonVariantEnum } from "./enums/button";
+
+const Button = ({ variant = ButtonVariantEnum.GHOST }: { variant?: ButtonVariantType }) => variant;`,
+        },
+        {
+            code: `import { ButtonVariantEnum } from "@/enums/button";
+import type { ButtonVariantType } from "./types/button";
+
+const isOutlined = (variant: ButtonVariantType) => variant === "secondary-outline";`,
+            errors: [{ data: { replacement: "ButtonVariantEnum.SECONDARY_OUTLINE", stringValue: "secondary-outline" }, messageId: "useEnumValue" }],
+            options: TYPE_AWARE_OPTIONS,
+            output: `import { ButtonVariantEnum } from "@/enums/button";
+import type { ButtonVariantType } from "./types/button";
+
+const isOutlined = (variant: ButtonVariantType) => variant === ButtonVariantEnum.SECONDARY_OUTLINE;`,
+        },
+        {
+            code: `import type { ButtonSizeType } from "./types/button";
+
+type ButtonProps = { size: ButtonSizeType };
+
+const isLarge = (props: ButtonProps) => "lg" === props.size;`,
+            errors: [{ data: { replacement: "ButtonSizeEnum.LARGE", stringValue: "lg" }, messageId: "useEnumValue" }],
+            options: TYPE_AWARE_OPTIONS,
+            output: `import type { ButtonSizeType } from "./types/button";
+import { ButtonSizeEnum } from "@/enums/button";
+
+type ButtonProps = { size: ButtonSizeType };
+
+const isLarge = (props: ButtonProps) => ButtonSizeEnum.LARGE === props.size;`,
+            settings: { "code-style": { srcRoot: "_tests_/rules/fixtures/typed-project/src" } },
+        },
+        {
+            code: `enum ThemeEnum { DARK = "dark", LIGHT = "light" }
+
+const isDark = (theme: ThemeEnum) => theme === "dark";`,
+            errors: [{ data: { replacement: "ThemeEnum.DARK", stringValue: "dark" }, messageId: "useEnumValue" }],
+            options: TYPE_AWARE_OPTIONS,
+            output: `enum ThemeEnum { DARK = "dark", LIGHT = "light" }
+
+const isDark = (theme: ThemeEnum) => theme === ThemeEnum.DARK;`,
+        },
+        {
+            code: `import type { ButtonVariantType } from "./types/button";
+
+const ButtonVariantEnum = { GHOST: "ghost" };
+
+const isGhost = (variant: ButtonVariantType) => variant === "ghost";`,
+            errors: [{ messageId: "useEnumValue" }],
+            options: TYPE_AWARE_OPTIONS,
+            output: null,
+        },
+    ])),
+    valid: typescript([
+        `const Button = ({
+    variant = ButtonVariantEnum.PRIMARY,
+}: {
+    variant?: ButtonVariantType,
+}) => {
+    if (variant === ButtonVariantEnum.GHOST) return null;
+
+    return variant;
+};`,
+        `const Label = ({
+    text = "Save",
+}: {
+    text?: string,
+}) => text;`,
+    ]).concat(typescriptWithTypes([
+        {
+            code: `import type { ButtonVariantType } from "./types/button";
+
+const isDanger = (variant: ButtonVariantType | "danger") => variant === "danger";`,
+            options: TYPE_AWARE_OPTIONS,
+        },
+        {
+            code: `import type { ButtonShapeType } from "./types/button";
+
+const Button = ({ shape = "pill" }: { shape?: ButtonShapeType }) => shape;`,
+            options: TYPE_AWARE_OPTIONS,
+        },
+        {
+            code: `type ToastVariantType = "info" | "error";
+
+const Toast = ({ variant = "info" }: { variant?: ToastVariantType }) => variant;`,
+            options: TYPE_AWARE_OPTIONS,
+        },
+    ])),
+});
+
+runRuleTests("interface-format", interfaceFormat, {
+    invalid: typescript([
+        {
+            code: `export interface User {
+    email: string,
+    name: string,
+}`,
+            errors: [{ messageId: "interfaceNameEndInterface" }],
+            output: `export interface UserInterface {
+    email: string,
+    name: string,
+}`,
+        },
+        {
+            code: `export interface UserInterface {
+    email: string;
+    name: string;
+}`,
+            errors: [
+                { messageId: "interfacePropertiesEndComma" },
+                { messageId: "interfacePropertiesEndComma" },
+            ],
+            output: `export interface UserInterface {
+    email: string,
+    name: string,
+}`,
+        },
+        {
+            code: `export interface UserInterface {
+    Email: string,
+    name: string,
+}`,
+            errors: [{ messageId: "interfacePropertyCamelCase" }],
+            output: `export interface UserInterface {
+    email: string,
+    name: string,
+}`,
+        },
+        {
+            code: `export interface UserInterface {
+    email: string,
+
+    name: string,
+}`,
+            errors: [{ messageId: "noEmptyLinesAllowed" }],
+            output: `export interface UserInterface {
+    email: string,
+    name: string,
+}`,
+        },
+        {
+            code: `export interface UserInterface {
+    email ?: string,
+    name: string,
+}`,
+            errors: [{ messageId: "noSpaceAllowedBefore" }],
+            output: `export interface UserInterface {
+    email?: string,
+    name: string,
+}`,
+        },
+        {
+            code: `interface User {
+    email: string,
+    name: string,
+}
+
+const getUser = (): User => ({ email: "", name: "" });
+
+export type { User };`,
+            errors: [{ messageId: "interfaceNameEndInterface" }],
+            output: `interface UserInterface {
+    email: string,
+    name: string,
+}
+
+const getUser = (): UserInterface => ({ email: "", name: "" });
+
+export type { UserInterface as User };`,
+        },
+        {
+            code: `interface FormSubmitInterface {
+    email: string,
+    name: string,
+}
+
+type SubmitFormInterface = FormSubmitInterface;`,
+            errors: [{ messageId: "interfaceNameStartVerb" }],
+            output: null,
+        },
+        {
+            code: `export interface ListInterface<T> extends BaseInterface
+{
+    items: T[],
+    total: number,
+}`,
+            errors: [{ messageId: "openingBraceSameLine" }],
+            output: `export interface ListInterface<T> extends BaseInterface {
+    items: T[],
+    total: number,
+}`,
+        },
+        {
+            code: `export interface UserInterface {
+    // Login email
+    email: string,
+}`,
+            errors: [{ messageId: "singlePropertyInterfaceOne" }],
+            output: null,
+        },
+        {
+            code: `export interface UserInterface {
+    email: string,
+    name: string /* display name */ }`,
+            errors: [{ messageId: "lastInterfacePropertyTrailing" }],
+            output: `export interface UserInterface {
+    email: string,
+    name: string, /* display name */
+}`,
+        },
+        {
+            code: `export interface UserInterface {
+    email: string,
+    meta: {
+        // Database id
+        id: string,
+    },
+}`,
+            errors: [{ messageId: "singlePropertyNestedObject" }],
+            output: null,
+        },
+        {
+            code: `export interface UserInterface {
+
+    // Login email
+    email: string,
+    name: string,
+
+}`,
+            errors: [
+                { messageId: "noEmptyLineAfter" },
+                { messageId: "noEmptyLineBefore" },
+            ],
+            output: `export interface UserInterface {
+    // Login email
+    email: string,
+    name: string,
+}`,
+        },
+    ]),
+    valid: typescript([
+        `export interface UserInterface {
+    email: string,
+    id: string,
+    isActive: boolean,
+}`,
+        `export interface ApiResponseInterface<T> {
+    data: T,
+    error?: string,
+}`,
+        `export interface FormInterface {
+    onChange(
+        value: string,
+        isValid: boolean,
+    ): void,
+}`,
+        `export interface UserInterface {
+    // Login email
+    email: string,
+    name: string,
+}`,
+        `export interface ListInterface<T>
+    extends BaseInterface<T> {
+    items: T[],
+    total: number,
+}`,
+    ]),
+});
+
+runRuleTests("no-inline-type-definitions", noInlineTypeDefinitions, {
+    invalid: typescript([
+        {
+            code: `export const Button = ({
+    variant,
+}: {
+    variant?: "primary" | "muted" | "danger",
+}) => variant;`,
+            errors: [{ messageId: "propertyInlineUnionType" }],
+            output: null,
+        },
+        {
+            code: `export const Button = ({
+    size,
+}: {
+    size?: "small" | "large",
+}) => size;`,
+            errors: [{ messageId: "propertyInlineUnionType" }],
+            options: [{ maxLength: 10, maxUnionMembers: 3 }],
+            output: null,
+        },
+        {
+            code: `export const Button = ({ size }: { size?: "small" | "medium" | "large" } = {}) => size;`,
+            errors: [{ messageId: "propertyInlineUnionType" }],
+            output: null,
+        },
+        {
+            code: `export const UserCard = ({ user }: { user: { role: "admin" | "user" | "guest" } }) => user;`,
+            errors: [{ messageId: "propertyInlineUnionType" }],
+            output: null,
+        },
+        {
+            code: `export const SizePicker = ({ sizes }: { sizes: ("small" | "medium" | "large")[] }) => sizes;`,
+            errors: [{ messageId: "propertyInlineUnionType" }],
+            output: null,
+        },
+        {
+            code: `export const Button = ({
+    size,
+}: {
+    size?:
+        | "small" // compact lists
+        | "large",
+}) => size;`,
+            errors: [{ messageId: "propertyInlineUnionType" }],
+            output: null,
+        },
+        {
+            code: `export class Store {
+    constructor(private mode: LocalModeType | RemoteModeType | MemoryModeType) {}
+}`,
+            errors: [{ messageId: "inlineUnionTypeMembers" }],
+            output: null,
+        },
+    ]),
+    valid: typescript([
+        `export const Button = ({
+    variant,
+}: {
+    variant?: ButtonVariantType,
+}) => variant;`,
+        {
+            code: `export const Button = ({
+    size,
+}: {
+    size?: "small" | "large",
+}) => size;`,
+            options: [{ maxUnionMembers: 3 }],
+        },
+    ]),
+});
+
+runRuleTests("prop-naming-convention", propNamingConvention, {
+    invalid: typescript([
+        {
+            code: `interface ButtonPropsInterface {
+    disabled: boolean,
+}`,
+            errors: [
+                {
+                    messageId: "booleanPropStartValid",
+                    suggestions: [
+                        {
+                            data: { suggestedName: "isDisabled" },
+                            messageId: "renameTo",
+                            output: `interface ButtonPropsInterface {
+    isDisabled: boolean,
+}`,
+                        },
+                        {
+                            data: { suggestedName: "hasDisabled" },
+                            messageId: "renameTo",
+                            output: `interface ButtonPropsInterface {
+    hasDisabled: boolean,
+}`,
+                        },
+                        {
+                            data: { suggestedName: "withDisabled" },
+                            messageId: "renameTo",
+                            output: `interface ButtonPropsInterface {
+    withDisabled: boolean,
+}`,
+                        },
+                        {
+                            data: { suggestedName: "withoutDisabled" },
+                            messageId: "renameTo",
+                            output: `interface ButtonPropsInterface {
+    withoutDisabled: boolean,
+}`,
+                        },
+                    ],
+                },
+            ],
+            output: null,
+        },
+        {
+            code: `interface ButtonPropsInterface {
+    click: () => void,
+}`,
+            errors: [
+                {
+                    messageId: "callbackPropStartPrefix",
+                    suggestions: [
+                        {
+                            data: { suggestedName: "onClick" },
+                            messageId: "renameTo",
+                            output: `interface ButtonPropsInterface {
+    onClick: () => void,
+}`,
+                        },
+                    ],
+                },
+            ],
+            output: null,
+        },
+        {
+            code: `type PropsType = {
+    config: {
+        enabled: boolean,
+    },
+};`,
+            errors: [
+                {
+                    messageId: "booleanPropStartValid",
+                    suggestions: [
+                        {
+                            data: { suggestedName: "isEnabled" },
+                            messageId: "renameTo",
+                            output: `type PropsType = {
+    config: {
+        isEnabled: boolean,
+    },
+};`,
+                        },
+                        {
+                            data: { suggestedName: "hasEnabled" },
+                            messageId: "renameTo",
+                            output: `type PropsType = {
+    config: {
+        hasEnabled: boolean,
+    },
+};`,
+                        },
+                        {
+                            data: { suggestedName: "withEnabled" },
+                            messageId: "renameTo",
+                            output: `type PropsType = {
+    config: {
+        withEnabled: boolean,
+    },
+};`,
+                        },
+                        {
+                            data: { suggestedName: "withoutEnabled" },
+                            messageId: "renameTo",
+                            output: `type PropsType = {
+    config: {
+        withoutEnabled: boolean,
+    },
+};`,
+                        },
+                    ],
+                },
+            ],
+            output: null,
+        },
+        {
+            code: `interface ButtonPropsInterface {
+    disabled: boolean,
+}`,
+            errors: [
+                {
+                    messageId: "booleanPropStartValid",
+                    suggestions: [
+                        {
+                            data: { suggestedName: "isDisabled" },
+                            messageId: "renameTo",
+                            output: `interface ButtonPropsInterface {
+    isDisabled: boolean,
+}`,
+                        },
+                        {
+                            data: { suggestedName: "hasDisabled" },
+                            messageId: "renameTo",
+                            output: `interface ButtonPropsInterface {
+    hasDisabled: boolean,
+}`,
+                        },
+                        {
+                            data: { suggestedName: "withDisabled" },
+                            messageId: "renameTo",
+                            output: `interface ButtonPropsInterface {
+    withDisabled: boolean,
+}`,
+                        },
+                        {
+                            data: { suggestedName: "withoutDisabled" },
+                            messageId: "renameTo",
+                            output: `interface ButtonPropsInterface {
+    withoutDisabled: boolean,
+}`,
+                        },
+                    ],
+                },
+            ],
+            options: [{ allowContinuousVerbBoolean: true }],
+            output: null,
+        },
+    ]).concat(typescriptWithTypes([
+        {
+            code: `import type { IsEnabledType, Maybe, SubmitHandlerType } from "./types/common";
+
+interface FormPropsInterface {
+    dirty: Maybe<boolean>,
+    enabled: IsEnabledType,
+    submit: SubmitHandlerType,
+}`,
+            errors: [
+                {
+                    data: { booleanPrefixes: "is", propName: "dirty", suggestedName: "isDirty" },
+                    messageId: "booleanPropStartValid",
+                    suggestions: [{
+                        data: { suggestedName: "isDirty" },
+                        messageId: "renameTo",
+                        output: `import type { IsEnabledType, Maybe, SubmitHandlerType } from "./types/common";
+
+interface FormPropsInterface {
+    isDirty: Maybe<boolean>,
+    enabled: IsEnabledType,
+    submit: SubmitHandlerType,
+}`,
+                    }],
+                },
+                {
+                    messageId: "booleanPropStartValid",
+                    suggestions: [{
+                        data: { suggestedName: "isEnabled" },
+                        messageId: "renameTo",
+                        output: `import type { IsEnabledType, Maybe, SubmitHandlerType } from "./types/common";
+
+interface FormPropsInterface {
+    dirty: Maybe<boolean>,
+    isEnabled: IsEnabledType,
+    submit: SubmitHandlerType,
+}`,
+                    }],
+                },
+                {
+                    data: { callbackPrefix: "on", propName: "submit", suggestedName: "onSubmit" },
+                    messageId: "callbackPropStartPrefix",
+                    suggestions: [{
+                        data: { suggestedName: "onSubmit" },
+                        messageId: "renameTo",
+                        output: `import type { IsEnabledType, Maybe, SubmitHandlerType } from "./types/common";
+
+interface FormPropsInterface {
+    dirty: Maybe<boolean>,
+    enabled: IsEnabledType,
+    onSubmit: SubmitHandlerType,
+}`,
+                    }],
+                },
+            ],
+            options: TYPE_AWARE_PROP_OPTIONS,
+            output: null,
+        },
+        {
+            code: `export const Dropdown = ({ open = false, label }) => (open ? label : null);`,
+            errors: [{
+                messageId: "booleanPropStartValid",
+                suggestions: [{
+                    data: { suggestedName: "isOpen" },
+                    messageId: "renameTo",
+                    output: `export const Dropdown = ({ isOpen = false, label }) => (isOpen ? label : null);`,
+                }],
+            }],
+            options: TYPE_AWARE_PROP_OPTIONS,
+            output: null,
+        },
+    ])),
+    valid: typescript([
+        `interface ButtonPropsInterface {
+    isDisabled: boolean,
+    hasError: boolean,
+    onClick: () => void,
+}`,
+        {
+            code: `interface ButtonPropsInterface {
+    disabled: boolean,
+}`,
+            options: [{ allowPastVerbBoolean: true }],
+        },
+        {
+            code: `interface ButtonPropsInterface {
+    loading: boolean,
+}`,
+            options: [{ allowContinuousVerbBoolean: true }],
+        },
+        {
+            code: `interface ButtonPropsInterface {
+    shouldRender: boolean,
+}`,
+            options: [{ extendBooleanPrefixes: ["should"] }],
+        },
+        {
+            code: `interface ButtonPropsInterface {
+    submitAction: () => void,
+}`,
+            options: [{ allowActionSuffix: true }],
+        },
+        {
+            code: `import type { Maybe } from "./types/common";
+
+interface FormPropsInterface {
+    dirty: Maybe<boolean>,
+}`,
+            options: [{ typeAware: true }],
+        },
+    ]).concat(typescriptWithTypes([
+        {
+            code: `import type { FC } from "react";
+import type { Maybe } from "./types/common";
+
+interface CardPropsInterface {
+    icon: FC,
+    isCollapsed: Maybe<boolean>,
+    onToggle: (isCollapsed: boolean) => void,
+    title: Maybe<string>,
+}`,
+            options: TYPE_AWARE_PROP_OPTIONS,
+        },
+        {
+            code: `const formatLabel = ({ open = false }) => (open ? "Open" : "Closed");`,
+            options: TYPE_AWARE_PROP_OPTIONS,
+        },
+    ])),
+});
+
+runRuleTests("type-annotation-spacing", typeAnnotationSpacing, {
+    invalid: typescript([
+        {
+            code: `const name : string = "John";`,
+            errors: [{ messageId: "noSpaceAllowedBeforeColon" }],
+            output: `const name: string = "John";`,
+        },
+        {
+            code: `const name:string = "John";`,
+            errors: [{ messageId: "missingSpaceAfterColon" }],
+            output: `const name: string = "John";`,
+        },
+        {
+            code: "const data: Array <number> = [];",
+            errors: [{ messageId: "noSpaceAllowedBeforeGeneric" }],
+            output: "const data: Array<number> = [];",
+        },
+        {
+            code: "const items: string [] = [];",
+            errors: [{ messageId: "noSpaceAllowedBefore" }],
+            output: "const items: string[] = [];",
+        },
+        {
+            code: "const handler = (value:string):boolean => true;",
+            errors: [
+                { messageId: "missingSpaceAfterColon" },
+                { messageId: "missingSpaceAfterColon" },
+            ],
+            output: "const handler = (value: string): boolean => true;",
+        },
+        {
+            code: "const items: (string | number) [] = [];",
+            errors: [{ messageId: "noSpaceAllowedBefore" }],
+            output: "const items: (string | number)[] = [];",
+        },
+        {
+            code: `const name /* display */ : string = "John";`,
+            errors: [{ messageId: "noSpaceAllowedBeforeColon" }],
+            output: null,
+        },
+        {
+            code: `const name: // display name
+    string = "John";`,
+            errors: [{ messageId: "typeSameLineColon" }],
+            output: null,
+        },
+        {
+            code: "type ListenerType = (callback: () => void) =>void;",
+            errors: [{ messageId: "missingSpaceAfterFunctionType" }],
+            output: "type ListenerType = (callback: () => void) => void;",
+        },
+        {
+            code: `type ChangeType = (
+    value: string, // raw input
+    isValid: boolean,
+) => void;`,
+            errors: [{ messageId: "functionTypeFewerParameters" }],
+            output: null,
+        },
+        {
+            code: `const getValues = () => {
+    type ChangeType = (value: string, isValid: boolean, meta: { source: string }) => void;
+};`,
+            errors: [{ messageId: "functionTypeParametersEach" }],
+            output: `const getValues = () => {
+    type ChangeType = (
+        value: string,
+        isValid: boolean,
+        meta: { source: string },
+    ) => void;
+};`,
+        },
+        {
+            code: `const cache = new Map<
+    string,
+>();`,
+            errors: [{ messageId: "singleGenericTypeParameter" }],
+            output: "const cache = new Map<string>();",
+        },
+        {
+            code: `const [form, setForm] = useState<{
+    email: string,
+
+    // Shown on the profile
+    name: string,
+}>(null);`,
+            errors: [{ messageId: "noEmptyLinesBetween" }],
+            output: `const [form, setForm] = useState<{
+    email: string,
+    // Shown on the profile
+    name: string,
+}>(null);`,
+        },
+        {
+            code: `const [form, setForm] = useState<{
+    // Login email
+    email: string,
+}>(null);`,
+            errors: [{ messageId: "singlePropertyGenericType" }],
+            output: null,
+        },
+        {
+            code: `const [form, setForm] = useState<{ email: string, /* optional */ name: string }>(null);`,
+            errors: [{ messageId: "genericTypeLiteralProperties" }],
+            output: null,
+        },
+        {
+            code: `const total = getTotal() // before tax
+;`,
+            errors: [{ messageId: "semicolonSameLineStatement" }],
+            output: null,
+        },
+        {
+            code: `const form = useForm<FormType>(
+    // Defaults
+    { email: "" });`,
+            errors: [{ messageId: "firstArgumentSameLine" }],
+            output: null,
+        },
+    ]),
+    valid: typescript([
+        `const name: string = "John";`,
+        "const items: string[] = [];",
+        "const data: Array<number> = [];",
+        "const handler = (value: string): boolean => true;",
+        "const items: (string | number)[] = [];",
+        `const [form, setForm] = useState<{
+    email: string,
+    name: string,
+}>(null);`,
+        `type ChangeType = (value: string, meta: {
+    source: string,
+}) => void;`,
+    ]),
+});
+
+runRuleTests("type-format", typeFormat, {
+    invalid: typescript([
+        {
+            code: `export type User = {
+    email: string,
+    id: string,
+};`,
+            errors: [{ messageId: "typeNameEndType" }],
+            output: `export type UserType = {
+    email: string,
+    id: string,
+};`,
+        },
+        {
+            code: `export type UserType = {
+    email: string;
+    id: string;
+};`,
+            errors: [
+                { messageId: "typePropertiesEndComma" },
+                { messageId: "typePropertiesEndComma" },
+            ],
+            output: `export type UserType = {
+    email: string,
+    id: string,
+};`,
+        },
+        {
+            code: `export type ConfigType = {
+    debug: boolean,
+
+    port: number,
+};`,
+            errors: [{ messageId: "noEmptyLinesAllowed" }],
+            output: `export type ConfigType = {
+    debug: boolean,
+    port: number,
+};`,
+        },
+        {
+            code: `export type LetterType = "a" | "b" | "c" | "d" | "e" | "f";`,
+            errors: [{ messageId: "unionTypeMembersMultiline" }],
+            output: `export type LetterType =
+    "a"
+    | "b"
+    | "c"
+    | "d"
+    | "e"
+    | "f";`,
+        },
+        {
+            code: `export type ModeType =
+    "default"
+    | "error";`,
+            errors: [{ messageId: "unionTypeMembersSingle" }],
+            output: `export type ModeType = "default" | "error";`,
+        },
+        {
+            code: `export type LetterType = "a" | "b" | "c" | "d";`,
+            errors: [{ messageId: "unionTypeMembersMultiline" }],
+            options: [{ minUnionMembersForMultiline: 4 }],
+            output: `export type LetterType =
+    "a"
+    | "b"
+    | "c"
+    | "d";`,
+        },
+        {
+            code: "export type UserType = { id: string, name: string };",
+            errors: [
+                { messageId: "firstTypePropertyNew" },
+                { messageId: "lastTypePropertyTrailing" },
+                { messageId: "eachTypePropertyOwn" },
+                { messageId: "closingBraceOwnLine" },
+            ],
+            output: `export type UserType = {
+    id: string,
+    name: string,
+};`,
+        },
+        {
+            code: `function load() {
+    type ResultType = { data: string; error: string; };
+}`,
+            errors: [
+                { messageId: "firstTypePropertyNew" },
+                { messageId: "typePropertiesEndComma" },
+                { messageId: "typePropertiesEndComma" },
+                { messageId: "eachTypePropertyOwn" },
+                { messageId: "closingBraceOwnLine" },
+            ],
+            output: `function load() {
+    type ResultType = {
+        data: string,
+        error: string,
+    };
+}`,
+        },
+        {
+            code: `export type UserType = {
+    id: string,
+    profile: { avatar: string, bio: string },
+};`,
+            errors: [
+                { messageId: "firstTypePropertyNew" },
+                { messageId: "lastTypePropertyTrailing" },
+                { messageId: "eachTypePropertyOwn" },
+                { messageId: "closingBraceOwnLine" },
+            ],
+            output: `export type UserType = {
+    id: string,
+    profile: {
+        avatar: string,
+        bio: string,
+    },
+};`,
+        },
+        {
+            code: `export type UserType = {
+    address: {
+        city: string;
+        zip: string;
+    },
+    id: string,
+};`,
+            errors: [{ messageId: "typePropertiesEndComma" }, { messageId: "typePropertiesEndComma" }],
+            output: `export type UserType = {
+    address: {
+        city: string,
+        zip: string,
+    },
+    id: string,
+};`,
+        },
+        {
+            code: `export type UserType = {
+
+    // primary key
+    id: string;
+    name: string; // display name
+    // end
+
+};`,
+            errors: [
+                { messageId: "noEmptyLineAfter" },
+                { messageId: "typePropertiesEndComma" },
+                { messageId: "noEmptyLineBefore" },
+                { messageId: "typePropertiesEndComma" },
+            ],
+            output: `export type UserType = {
+    // primary key
+    id: string,
+    name: string, // display name
+    // end
+};`,
+        },
+        {
+            code: `export type UserType = {
+    // primary key
+    id: string,
+};`,
+            errors: [{ messageId: "singlePropertyTypeOne" }],
+            output: null,
+        },
+        {
+            code: `export type ModeType =
+    // preferred
+    "default"
+    | "error";`,
+            errors: [{ messageId: "unionTypeMembersSingle" }],
+            output: null,
+        },
+        {
+            code: `export type LetterType = "a" | "b" /* legacy */ | "c" | "d" | "e" | "f";`,
+            errors: [{ messageId: "unionTypeMembersMultiline" }],
+            output: null,
+        },
+    ]),
+    valid: typescript([
+        `export type UserType = {
+    email: string,
+    id: string,
+};`,
+        `export type ModeType = "default" | "error";`,
+        `export type ButtonVariantType =
+    "danger"
+    | "ghost"
+    | "link"
+    | "muted"
+    | "primary";`,
+    ]),
+});
+
+runRuleTests("typescript-definition-location", typescriptDefinitionLocation, {
+    invalid: typescript([
+        {
+            code: `interface UserProps {
+    name: string,
+}`,
+            errors: [{ messageId: "interfacesDeclaredFilesInside" }],
+            filename: "src/components/user-card.tsx",
+            output: null,
+        },
+        {
+            code: `export interface UserInterface {
+    id: string,
+}`,
+            errors: [{ messageId: "interfacesDeclaredFilesInside" }],
+            filename: "src/types/user.ts",
+            output: null,
+        },
+        {
+            code: `export enum StatusEnum {
+    ACTIVE = "active",
+}`,
+            errors: [{ messageId: "enumsDeclaredFilesInside" }],
+            filename: "src/types/status.ts",
+            output: null,
+        },
+        {
+            code: `export type ConfigType = {
+    apiUrl: string,
+};`,
+            errors: [{ messageId: "typeAliasesDeclaredFiles" }],
+            filename: "src/enums/config.ts",
+            output: null,
+        },
+        {
+            code: `export type LoginFormType = {
+    email: string,
+};`,
+            errors: [{
+                data: { location: "files inside the \"types\" or \"model\" folders or files matching \"src/shared/**/*.ts\"" },
+                messageId: "typeAliasesDeclaredFiles",
+            }],
+            filename: "src/features/auth/login.ts",
+            options: [{ types: ["types", "model", "src/shared/**/*.ts"] }],
+            output: null,
+        },
+        {
+            code: `export enum StatusEnum {
+    ACTIVE = "active",
+}`,
+            errors: [{ messageId: "enumsDeclaredFilesInside" }],
+            filename: "src/features/auth/status.types.ts",
+            options: [{ allowFileSuffix: true }],
+            output: null,
+        },
+        {
+            code: `type CardStateType = {
+    isOpen: boolean,
+};
+
+export { CardStateType };`,
+            errors: [{ messageId: "typeAliasesDeclaredFiles" }],
+            filename: "src/components/card.tsx",
+            options: [{ ignoreNonExported: true }],
+            output: null,
+        },
+        {
+            code: `export type ApiResponseType<T> = {
+    data: T,
+};`,
+            errors: [{ messageId: "typeAliasesDeclaredFiles" }],
+            filename: "src/services/api.ts",
+            output: null,
+        },
+    ]),
+    valid: typescript([
+        {
+            code: `export interface UserInterface {
+    id: string,
+}`,
+            filename: "src/interfaces/user.ts",
+        },
+        {
+            code: `export type ConfigType = {
+    apiUrl: string,
+};`,
+            filename: "src/types/config.ts",
+        },
+        {
+            code: `export enum UserRoleEnum {
+    ADMIN = "admin",
+}`,
+            filename: "src/enums/user-role.ts",
+        },
+        {
+            code: `export type LoginFormType = {
+    email: string,
+};`,
+            filename: "src/features/auth/model/login.ts",
+            options: [{ types: ["model"] }],
+        },
+        {
+            code: `export interface SessionInterface {
+    token: string,
+}`,
+            filename: "src/features/auth/api/session.ts",
+            options: [{ interfaces: ["src/features/*/api/*.ts"] }],
+        },
+        {
+            code: `export type LoginFormType = {
+    email: string,
+};
+
+export interface LoginPropsInterface {
+    onSubmit: () => void,
+}
+
+export enum LoginStepEnum {
+    EMAIL = "email",
+}`,
+            filename: "src/features/auth/login.types.ts",
+            options: [{ allowFileSuffix: true, enums: ["**/*.types.ts"], interfaces: ["**/*.types.ts"] }],
+        },
+        {
+            code: `type CardStateType = {
+    isOpen: boolean,
+};
+
+interface CardItemInterface {
+    id: string,
+}`,
+            filename: "src/components/card.tsx",
+            options: [{ ignoreNonExported: true }],
+        },
+        {
+            code: `export type Maybe<T> = T | null | undefined;
+
+export interface PageInterface<T> {
+    items: T[],
+}`,
+            filename: "src/utils/helpers.ts",
+            options: [{ ignoreGenericHelpers: true }],
+        },
+    ]),
+});
@@ -0,0 +1,230 @@
+import { variableNamingConvention } from "../../src/rules/variables.js";
+
+import { runRuleTests, typescript } from "./rule-tester.js";
+
+runRuleTests("variable-naming-convention", variableNamingConvention, {
+    invalid: [
+        {
+            code: `const user_name = "John";
+
+export const greeting = user_name;`,
+            errors: [{ messageId: "variableCamelCase" }],
+            output: `const userName = "John";
+
+export const greeting = userName;`,
+        },
+        {
+            code: "const MAX_RETRIES = 3;",
+            errors: [{ messageId: "variableCamelCase" }],
+            output: "const maxRetries = 3;",
+        },
+        {
+            code: `export const API_BASE_URL = "/api";`,
+            errors: [
+                {
+                    messageId: "variableCamelCase",
+                    suggestions: [
+                        {
+                            data: { suggestedName: "apiBaseUrl" },
+                            messageId: "renameTo",
+                            output: `export const apiBaseUrl = "/api";`,
+                        },
+                    ],
+                },
+            ],
+            output: null,
+        },
+        {
+            code: `const API_BASE_URL = "/api";
+
+export { API_BASE_URL };`,
+            errors: [
+                {
+                    messageId: "variableCamelCase",
+                    suggestions: [
+                        {
+                            data: { suggestedName: "apiBaseUrl" },
+                            messageId: "renameTo",
+                            output: `const apiBaseUrl = "/api";
+
+export { apiBaseUrl as API_BASE_URL };`,
+                        },
+                    ],
+                },
+            ],
+            output: null,
+        },
+        {
+            code: `const API_BASE_URL = "/api";
+
+export { API_BASE_URL as baseUrl };`,
+            errors: [
+                {
+                    messageId: "variableCamelCase",
+                    suggestions: [
+                        {
+                            data: { suggestedName: "apiBaseUrl" },
+                            messageId: "renameTo",
+                            output: `const apiBaseUrl = "/api";
+
+export { apiBaseUrl as baseUrl };`,
+                        },
+                    ],
+                },
+            ],
+            output: null,
+        },
+        {
+            code: "const styledCard = styled(Card)({ padding: 8 });",
+            errors: [
+                {
+                    messageId: "styledComponentPascalCase",
+                    suggestions: [
+                        {
+                            data: { suggestedName: "StyledCard" },
+                            messageId: "renameTo",
+                            output: "const StyledCard = styled(Card)({ padding: 8 });",
+                        },
+                    ],
+                },
+            ],
+            output: null,
+        },
+        {
+            code: "const useAuth_state = () => useContext(AuthContext);",
+            errors: [{ messageId: "hookUsePrefix" }],
+            output: null,
+        },
+        {
+            code: `const user = { first_name: "John" };`,
+            errors: [{ messageId: "propertyCamelCase" }],
+            output: `const user = { firstName: "John" };`,
+        },
+        {
+            code: "const greet = function (user_name) { return user_name; };",
+            errors: [
+                {
+                    messageId: "destructuredCamelCase",
+                    suggestions: [
+                        {
+                            data: { suggestedName: "userName" },
+                            messageId: "renameTo",
+                            output: "const greet = function (userName) { return userName; };",
+                        },
+                    ],
+                },
+            ],
+            output: null,
+        },
+        {
+            code: `const { first_name } = user;
+
+greet(first_name);`,
+            errors: [
+                {
+                    messageId: "destructuredCamelCase",
+                    suggestions: [
+                        {
+                            data: { suggestedName: "firstName" },
+                            messageId: "renameTo",
+                            output: `const { first_name: firstName } = user;
+
+greet(firstName);`,
+                        },
+                    ],
+                },
+            ],
+            output: null,
+        },
+        {
+            code: `const { first_name } = user;
+
+greet(first_name);`,
+            errors: [{ messageId: "destructuredCamelCase" }],
+            options: [{ destructuredSnakeCase: "alias" }],
+            output: `const { first_name: firstName } = user;
+
+greet(firstName);`,
+        },
+        {
+            code: `const ProfileCard = ({ last_name = "" }) => <span>{last_name}</span>;`,
+            errors: [{ messageId: "destructuredCamelCase" }],
+            options: [{ destructuredSnakeCase: "alias" }],
+            output: `const ProfileCard = ({ last_name: lastName = "" }) => <span>{lastName}</span>;`,
+        },
+        {
+            code: `const maxRetries = 3;
+const retryDelay = 60 * 1000;`,
+            errors: [{ messageId: "moduleConstantScreamingCase" }, { messageId: "moduleConstantScreamingCase" }],
+            options: [{ moduleConstants: "screamingCase" }],
+            output: `const MAX_RETRIES = 3;
+const RETRY_DELAY = 60 * 1000;`,
+        },
+        {
+            code: `const retryHandler = () => {
+    const MAX_ATTEMPTS = 5;
+
+    return MAX_ATTEMPTS;
+};`,
+            errors: [{ messageId: "variableCamelCase" }],
+            options: [{ moduleConstants: "screamingCase" }],
+            output: `const retryHandler = () => {
+    const maxAttempts = 5;
+
+    return maxAttempts;
+};`,
+        },
+        {
+            code: `export const userRoles = Object.freeze({ ADMIN: "admin" });`,
+            errors: [
+                {
+                    messageId: "moduleConstantScreamingCase",
+                    suggestions: [
+                        {
+                            data: { suggestedName: "USER_ROLES" },
+                            messageId: "renameTo",
+                            output: `export const USER_ROLES = Object.freeze({ ADMIN: "admin" });`,
+                        },
+                    ],
+                },
+            ],
+            options: [{ moduleConstants: "screamingCase" }],
+            output: null,
+        },
+    ],
+    valid: [
+        `const userName = "John";`,
+        "const maxRetries = 3;",
+        "const UserProfile = () => <div />;",
+        "const useAuth = () => useContext(AuthContext);",
+        "const StyledCard = styled(Card)({ padding: 8 });",
+        "const { firstName } = user;",
+        `const headers = { "Content-Type": "application/json" };`,
+        "const { first_name: firstName } = user;",
+        {
+            code: `const { first_name, last_name } = user;
+
+const ProfileCard = ({ avatar_url }) => <img src={avatar_url} />;
+
+greet(first_name, last_name);`,
+            options: [{ destructuredSnakeCase: "allow" }],
+        },
+        {
+            code: `const MAX_RETRIES = 3;
+const apiClient = createClient();
+let retryCount = 0;`,
+            options: [{ moduleConstants: "allowScreamingCase" }],
+        },
+        ...typescript([
+            {
+                code: `export const revalidate = 60;
+
+const MAX_RETRIES = 3;
+const DEFAULT_LOCALE = \`en\`;
+const BREAKPOINTS = { md: 768 } as const;
+const apiClient = createClient();`,
+                options: [{ moduleConstants: "screamingCase" }],
+            },
+        ]),
+    ],
+});
@@ -0,0 +1,91 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import nodePath from "node:path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import { clearFileSystemCache, pathExists, readDirectory } from "../../src/utils/fs-cache.js";
+
+// Whole seconds, so setting a time back restores the exact mtime
+const BASE_TIME = 1700000000;
+
+/**
+ * Set the mtime of a directory (adding or removing an entry on a fast clock can leave it unchanged)
+ * @param {string} dirPath - Directory path
+ * @param {number} seconds - Seconds after BASE_TIME
+ */
+const setDirectoryTime = (dirPath, seconds) => fs.utimesSync(dirPath, BASE_TIME + seconds, BASE_TIME + seconds);
+
+describe("fs-cache", () => {
+    let cwd = "";
+
+    const getNames = () => readDirectory(cwd).map(({ name }) => name).sort();
+
+    beforeEach(() => {
+        cwd = fs.mkdtempSync(nodePath.join(os.tmpdir(), "code-style-fs-cache-"));
+        fs.writeFileSync(nodePath.join(cwd, "a.js"), "");
+        fs.mkdirSync(nodePath.join(cwd, "hooks"));
+        setDirectoryTime(cwd, 0);
+    });
+
+    afterEach(() => {
+        clearFileSystemCache();
+        fs.rmSync(cwd, { force: true, recursive: true });
+    });
+
+    it("describes the entries of a directory", () => {
+        assert.deepEqual(readDirectory(cwd).sort((a, b) => a.name.localeCompare(b.name)), [
+            { isDirectory: false, isFile: true, name: "a.js" },
+            { isDirectory: true, isFile: false, name: "hooks" },
+        ]);
+        assert.equal(pathExists(nodePath.join(cwd, "hooks")), true);
+        assert.equal(pathExists(nodePath.join(cwd, "b.js")), false);
+        assert.equal(readDirectory(nodePath.join(cwd, "missing")), null);
+    });
+
+    it("reuses the listing while the directory mtime is unchanged", () => {
+        const entries = readDirectory(cwd);
+
+        fs.writeFileSync(nodePath.join(cwd, "b.js"), "");
+        // Restore the mtime: the cache cannot tell the directory changed
+        setDirectoryTime(cwd, 0);
+
+        assert.equal(readDirectory(`${cwd}/`), entries);
+        assert.deepEqual(getNames(), ["a.js", "hooks"]);
+    });
+
+    it("re-reads a directory whose mtime changed", () => {
+        assert.deepEqual(getNames(), ["a.js", "hooks"]);
+
+        fs.writeFileSync(nodePath.join(cwd, "b.js"), "");
+        setDirectoryTime(cwd, 5);
+
+        assert.deepEqual(getNames(), ["a.js", "b.js", "hooks"]);
+
+        fs.rmSync(nodePath.join(cwd, "a.js"));
+        setDirectoryTime(cwd, 10);
+
+        assert.deepEqual(getNames(), ["b.js", "hooks"]);
+        assert.equal(pathExists(nodePath.join(cwd, "a.js")), false);
+    });
+
+    it("reads a directory created after it was found missing", () => {
+        const componentsPath = nodePath.join(cwd, "components");
+
+        assert.equal(readDirectory(componentsPath), null);
+
+        fs.mkdirSync(componentsPath);
+
+        assert.deepEqual(readDirectory(componentsPath), []);
+    });
+
+    it("drops listings on clearFileSystemCache", () => {
+        assert.deepEqual(getNames(), ["a.js", "hooks"]);
+
+        fs.writeFileSync(nodePath.join(cwd, "b.js"), "");
+        setDirectoryTime(cwd, 0);
+        clearFileSystemCache(cwd);
+
+        assert.deepEqual(getNames(), ["a.js", "b.js", "hooks"]);
+    });
+});
@@ -0,0 +1,66 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import nodePath from "node:path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import { getTailwindTheme } from "../../src/utils/tailwind-config.js";
+
+// Whole seconds, so every rewrite below gets a distinct mtime
+const BASE_TIME = 1700000000;
+
+describe("tailwind-config", () => {
+    let cwd = "";
+
+    const getContext = (tailwindConfig) => ({ cwd, settings: { "code-style": { tailwindConfig } } });
+
+    const writeFile = (file, content, seconds = 0) => {
+        const filePath = nodePath.join(cwd, file);
+
+        fs.writeFileSync(filePath, content);
+        fs.utimesSync(filePath, BASE_TIME + seconds, BASE_TIME + seconds);
+    };
+
+    beforeEach(() => {
+        cwd = fs.mkdtempSync(nodePath.join(os.tmpdir(), "code-style-tailwind-config-"));
+    });
+
+    afterEach(() => {
+        fs.rmSync(cwd, { force: true, recursive: true });
+    });
+
+    it("reuses the theme while no file it was built from changed", () => {
+        writeFile("app.css", "@import \"./theme.css\";\n");
+        writeFile("theme.css", "@theme { --color-brand: #0ea5e9; }\n");
+
+        const theme = getTailwindTheme(getContext("app.css"));
+
+        assert.equal(theme.colors.has("brand"), true);
+        assert.equal(getTailwindTheme(getContext("app.css")), theme);
+    });
+
+    it("reloads a v4 theme when an imported stylesheet changes", () => {
+        writeFile("app.css", "@import \"./theme.css\";\n");
+        writeFile("theme.css", "@theme { --color-brand: #0ea5e9; }\n");
+
+        assert.equal(getTailwindTheme(getContext("app.css")).colors.has("accent"), false);
+
+        writeFile("theme.css", "@theme { --color-brand: #0ea5e9; --color-accent: #f97316; }\n", 5);
+
+        assert.equal(getTailwindTheme(getContext("app.css")).colors.has("accent"), true);
+    });
+
+    it("reloads a v3 config when a preset it requires changes", () => {
+        writeFile("tailwind.config.js", "module.exports = { presets: [require(\"./preset.js\")] };\n");
+        writeFile("preset.js", "module.exports = { theme: { extend: { colors: { brand: \"#0ea5e9\" } } } };\n");
+
+        assert.equal(getTailwindTheme(getContext("tailwind.config.js")).colors.has("accent"), false);
+
+        writeFile("preset.js", "module.exports = { theme: { extend: { colors: { accent: \"#f97316\" } } } };\n", 5);
+
+        const { colors } = getTailwindTheme(getContext("tailwind.config.js"));
+
+        assert.equal(colors.has("accent"), true);
+        assert.equal(colors.has("brand"), false);
+    });
+});
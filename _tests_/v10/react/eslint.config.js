@@ -129,12 +129,15 @@ export default [ // eslint-disable-line
             "code-style/arrow-function-simplify": "error",
             "code-style/assignment-value-same-line": "error",
             "code-style/block-statement-newlines": "error",
+            "code-style/class-member-order": "error",
             "code-style/class-method-definition-format": "error",
             "code-style/class-naming-convention": "error",
             "code-style/classname-dynamic-at-end": "error",
             "code-style/classname-multiline": "error",
+            "code-style/classname-no-conflicts": "error",
             "code-style/classname-no-extra-spaces": "error",
             "code-style/classname-order": "error",
+            "code-style/classname-shorthand": "error",
             "code-style/comment-format": "error",
             "code-style/component-props-destructure": "error",
             "code-style/curried-arrow-same-line": "error",
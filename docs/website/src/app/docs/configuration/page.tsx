@@ -16,7 +16,7 @@ export default [
         description: configurationStringsData.configDescriptionJsReact,
         github: "https://github.com/Mohamed-Elhawary/eslint-plugin-code-style/blob/main/_tests_/v9/react/.eslintrc.config.js",
         name: "react",
-        rules: 72,
+        rules: 75,
     },
     {
         code: `import codeStyle from "eslint-plugin-code-style";
@@ -27,7 +27,7 @@ export default [
         description: configurationStringsData.configDescriptionTsReact,
         github: "https://github.com/Mohamed-Elhawary/eslint-plugin-code-style/blob/main/_tests_/v9/react-ts/.eslintrc.config.js",
         name: "react-ts",
-        rules: 81,
+        rules: 84,
     },
     {
         code: `import codeStyle from "eslint-plugin-code-style";
@@ -38,7 +38,7 @@ export default [
         description: configurationStringsData.configDescriptionJsReactTailwind,
         github: "https://github.com/Mohamed-Elhawary/eslint-plugin-code-style/blob/main/_tests_/v9/react-tw/.eslintrc.config.js",
         name: "react-tw",
-        rules: 72,
+        rules: 75,
     },
     {
         code: `import codeStyle from "eslint-plugin-code-style";
@@ -49,7 +49,7 @@ export default [
         description: configurationStringsData.configDescriptionTsReactTailwind,
         github: "https://github.com/Mohamed-Elhawary/eslint-plugin-code-style/blob/main/_tests_/v9/react-ts-tw/.eslintrc.config.js",
         name: "react-ts-tw",
-        rules: 81,
+        rules: 84,
     },
 ];
 
@@ -202,28 +202,28 @@ const ContributingPage = () => {
                             <code>{contributingStringsData.titleTestProjectReact}</code>
                         </td>
                         <td>{contributingStringsData.testStackJsReact}</td>
-                        <td>72</td>
+                        <td>75</td>
                     </tr>
                     <tr>
                         <td>
                             <code>{contributingStringsData.titleTestProjectReactTs}</code>
                         </td>
                         <td>{contributingStringsData.testStackTsReact}</td>
-                        <td>81</td>
+                        <td>84</td>
                     </tr>
                     <tr>
                         <td>
                             <code>{contributingStringsData.titleTestProjectReactTw}</code>
                         </td>
                         <td>{contributingStringsData.testStackJsReactTailwind}</td>
-                        <td>72</td>
+                        <td>75</td>
                     </tr>
                     <tr>
                         <td>
                             <code>{contributingStringsData.titleTestProjectReactTsTw}</code>
                         </td>
                         <td>{contributingStringsData.testStackTsReactTailwind}</td>
-                        <td>81</td>
+                        <td>84</td>
                     </tr>
                 </tbody>
             </table>
@@ -242,6 +242,13 @@ const ContributingPage = () => {
                 language={codeLanguageValuesEnumsData.bash}
             />
             <p>{contributingStringsData.testAllProjectsNote}</p>
+            <p>
+                {contributingStringsData.testRuleTesterDescription}
+                <code>{contributingStringsData.testRuleTesterDescriptionCode}</code>
+                {contributingStringsData.testRuleTesterDescriptionMiddle}
+                <code>{contributingStringsData.testRuleTesterCommand}</code>
+                {contributingStringsData.testRuleTesterDescriptionSuffix}
+            </p>
             <h2 id="build">{contributingStringsData.buildTitle}</h2>
             <p>
                 {contributingStringsData.buildDescription}
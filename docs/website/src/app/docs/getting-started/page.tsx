@@ -39,6 +39,7 @@ export default [
             "code-style/folder-structure-consistency": "warn",
             "code-style/no-redundant-folder-suffix": "warn",
             "code-style/svg-icon-naming-convention": "warn",
+            "code-style/class-member-order": "warn",
             "code-style/class-method-definition-format": "warn",
             "code-style/class-naming-convention": "warn",
             "code-style/block-statement-newlines": "warn",
@@ -70,8 +71,10 @@ export default [
             "code-style/module-index-exports": "warn",
             "code-style/classname-dynamic-at-end": "warn",
             "code-style/classname-multiline": "warn",
+            "code-style/classname-no-conflicts": "warn",
             "code-style/classname-no-extra-spaces": "warn",
             "code-style/classname-order": "warn",
+            "code-style/classname-shorthand": "warn",
             "code-style/jsx-children-on-new-line": "warn",
             "code-style/jsx-closing-bracket-spacing": "warn",
             "code-style/jsx-element-child-new-line": "warn",
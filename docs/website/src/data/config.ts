@@ -4,7 +4,7 @@
  */
 
 export const pluginConfigData = {
-    description: "81 custom ESLint rules for enforcing consistent code formatting in React/JSX projects. 71 auto-fixable, 20 configurable. Built for ESLint v9+ flat config.",
+    description: "84 custom ESLint rules for enforcing consistent code formatting in React/JSX projects. 73 auto-fixable, 31 configurable. Built for ESLint v9+ flat config.",
     eslintVersions: "v9 and v10",
     githubUrl: "https://github.com/Mohamed-Elhawary/eslint-plugin-code-style",
     name: "eslint-plugin-code-style",
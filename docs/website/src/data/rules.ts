@@ -381,9 +381,45 @@ atoms/calendar.tsx`,
         slug: "components",
     },
     {
-        description: "Class method formatting and naming conventions",
+        description: "Class member order, method formatting and naming conventions",
         name: "Classes",
         rules: [
+            {
+                badExample: `class CounterClass extends Component {
+    render() {
+        return null;
+    }
+
+    componentDidMount() {}
+
+    state = { count: 0 };
+}`,
+                description: "Class members ordered: static fields, instance fields, constructor, static methods, lifecycle methods, getters/setters, methods, private # members",
+                goodExample: `class CounterClass extends Component {
+    state = { count: 0 };
+
+    componentDidMount() {}
+
+    render() {
+        return null;
+    }
+
+    #timer = null;
+}`,
+                isConfigurable: true,
+                isFixable: true,
+                isTsOnly: false,
+                name: "class-member-order",
+                options: [
+                    {
+                        default: "8 built-in groups",
+                        description: "Groups from top to bottom: built-in names or { name, pattern } objects",
+                        name: "order",
+                        type: "(string | object)[]",
+                    },
+                ],
+                rationale: "State and setup come before behavior, and React lifecycle methods read in the order they run",
+            },
             {
                 badExample: `class ApiServiceClass{
     getDataHandler (): string{
@@ -407,15 +443,41 @@ atoms/calendar.tsx`,
                 badExample: `class ApiService {
     fetch() {}
 }`,
-                description: "Class declarations must end with 'Class' suffix",
+                description: "Class declarations must end with 'Class' suffix, or the suffix of their base class or decorator",
                 goodExample: `class ApiServiceClass {
     fetch() {}
-}`,
-                isConfigurable: false,
+}
+class ValidationError extends Error {}`,
+                isConfigurable: true,
                 isFixable: true,
                 isTsOnly: false,
                 name: "class-naming-convention",
-                options: [],
+                options: [
+                    {
+                        default: "\"Class\"",
+                        description: "Suffix of classes matching no base class or decorator entry (empty string for none)",
+                        name: "suffix",
+                        type: "string",
+                    },
+                    {
+                        default: "{ Error: \"Error\", Component: \"\", PureComponent: \"\", HTMLElement: \"\" }",
+                        description: "Suffix by extended class, merged over the defaults",
+                        name: "baseClasses",
+                        type: "Record<string, string>",
+                    },
+                    {
+                        default: "{}",
+                        description: "Suffix by decorator, checked before base classes",
+                        name: "decorators",
+                        type: "Record<string, string>",
+                    },
+                    {
+                        default: "[]",
+                        description: "Regex patterns of class names to skip",
+                        name: "ignorePatterns",
+                        type: "string[]",
+                    },
+                ],
                 rationale: "The 'Class' suffix distinguishes class definitions from components or types",
             },
         ],
@@ -632,11 +694,36 @@ function getUserData() {}`,
                 description: "Functions use camelCase, start with verb, end with Handler suffix",
                 goodExample: `function getUserDataHandler() {}
 function clickHandler() {}`,
-                isConfigurable: false,
+                isConfigurable: true,
                 isFixable: true,
                 isTsOnly: false,
                 name: "function-naming-convention",
-                options: [],
+                options: [
+                    {
+                        default: "built-in list",
+                        description: "Replace the verb list entirely",
+                        name: "verbPrefixes",
+                        type: "string[]",
+                    },
+                    {
+                        default: "[]",
+                        description: "Add verbs to the built-in list",
+                        name: "extendVerbPrefixes",
+                        type: "string[]",
+                    },
+                    {
+                        default: "\"always\"",
+                        description: "Where the Handler suffix is required (\"always\", \"insideComponents\", \"never\")",
+                        name: "handlerSuffix",
+                        type: "string",
+                    },
+                    {
+                        default: "\"suffix\"",
+                        description: "Event handler style: xxxHandler (\"suffix\") or handleXxx (\"prefix\")",
+                        name: "eventHandlerStyle",
+                        type: "string",
+                    },
+                ],
                 rationale: "Function names should describe actions clearly",
             },
             {
@@ -786,6 +873,12 @@ const [hasError, setHasError] = useState(false);`,
                         name: "extendBooleanPrefixes",
                         type: "string[]",
                     },
+                    {
+                        default: "false",
+                        description: "Also detect boolean state by its resolved TypeScript type",
+                        name: "typeAware",
+                        type: "boolean",
+                    },
                 ],
                 rationale: "Consistent boolean state naming makes code more predictable",
             },
@@ -980,11 +1073,18 @@ export { Input } from "./Input";`,
                 badExample: "<div className={`${className} flex items-center gap-4`} />",
                 description: "Dynamic expressions in className must be at the end of class strings",
                 goodExample: "<div className={`flex items-center gap-4 ${className}`} />",
-                isConfigurable: false,
+                isConfigurable: true,
                 isFixable: true,
                 isTsOnly: false,
                 name: "classname-dynamic-at-end",
-                options: [],
+                options: [
+                    {
+                        default: "classnames, clsx, cn, cva, cx, tv, twJoin, twMerge",
+                        description: "Class-merging helpers whose template literal arguments are checked",
+                        name: "callees",
+                        type: "string[]",
+                    },
+                ],
                 rationale: "Static classes should come first for consistent Tailwind ordering",
             },
             {
@@ -1004,6 +1104,12 @@ export { Input } from "./Input";`,
                 isTsOnly: false,
                 name: "classname-multiline",
                 options: [
+                    {
+                        default: "classnames, clsx, cn, cva, cx, tv, twJoin, twMerge",
+                        description: "Class-merging helpers whose class strings are checked",
+                        name: "callees",
+                        type: "string[]",
+                    },
                     {
                         default: "80",
                         description: "Maximum line length for class strings",
@@ -1013,28 +1119,84 @@ export { Input } from "./Input";`,
                 ],
                 rationale: "Long class strings are hard to read and review",
             },
+            {
+                badExample: "<div className=\"flex hidden p-2 p-4\" />",
+                description: "No classes setting the same CSS property under the same variants in one class string",
+                goodExample: "<div className=\"hidden p-4\" />",
+                isConfigurable: true,
+                isFixable: true,
+                isTsOnly: false,
+                name: "classname-no-conflicts",
+                options: [
+                    {
+                        default: "classnames, clsx, cn, cva, cx, tv, twJoin, twMerge",
+                        description: "Class-merging helpers whose class strings are checked",
+                        name: "callees",
+                        type: "string[]",
+                    },
+                ],
+                rationale: "Only one of two conflicting classes applies, and which one depends on the generated CSS order",
+            },
             {
                 badExample: "<div className=\"flex  items-center   gap-4\" />",
                 description: "No extra/leading/trailing spaces in class strings",
                 goodExample: "<div className=\"flex items-center gap-4\" />",
-                isConfigurable: false,
+                isConfigurable: true,
                 isFixable: true,
                 isTsOnly: false,
                 name: "classname-no-extra-spaces",
-                options: [],
+                options: [
+                    {
+                        default: "classnames, clsx, cn, cva, cx, tv, twJoin, twMerge",
+                        description: "Class-merging helpers whose class strings are checked",
+                        name: "callees",
+                        type: "string[]",
+                    },
+                ],
                 rationale: "Extra spaces are usually unintentional",
             },
             {
                 badExample: "const btn = \"hover:bg-blue-600 bg-blue-500 flex items-center\";",
                 description: "Tailwind class ordering in variables, objects, and return statements",
                 goodExample: "const btn = \"flex items-center bg-blue-500 hover:bg-blue-600\";",
-                isConfigurable: false,
+                isConfigurable: true,
                 isFixable: true,
                 isTsOnly: false,
                 name: "classname-order",
-                options: [],
+                options: [
+                    {
+                        default: "classnames, clsx, cn, cva, cx, tv, twJoin, twMerge",
+                        description: "Class-merging helpers whose class strings are sorted",
+                        name: "callees",
+                        type: "string[]",
+                    },
+                    {
+                        default: "not enforced",
+                        description: "Order of variant groups inside a stack: \"responsive\", \"state\", \"dark\"",
+                        name: "variantStackOrder",
+                        type: "string[]",
+                    },
+                ],
                 rationale: "Complements tailwindcss/classnames-order for non-JSX contexts",
             },
+            {
+                badExample: "<div className=\"px-4 py-4 w-8 h-8\" />",
+                description: "Shorthand Tailwind utilities for pairs sharing a value and variant stack",
+                goodExample: "<div className=\"p-4 size-8\" />",
+                isConfigurable: true,
+                isFixable: true,
+                isTsOnly: false,
+                name: "classname-shorthand",
+                options: [
+                    {
+                        default: "classnames, clsx, cn, cva, cx, tv, twJoin, twMerge",
+                        description: "Class-merging helpers whose class strings are checked",
+                        name: "callees",
+                        type: "string[]",
+                    },
+                ],
+                rationale: "The shorthand is shorter and says the same thing",
+            },
             {
                 badExample: "<Container><Header /><Content /><Footer /></Container>",
                 description: "Multiple JSX children: each on own line",
@@ -1351,11 +1513,18 @@ const name = obj[key];`,
     useEffect(() => {}, []);
     return <div>{title}</div>;
 };`,
-                isConfigurable: false,
+                isConfigurable: true,
                 isFixable: true,
                 isTsOnly: false,
                 name: "react-code-order",
-                options: [],
+                options: [
+                    {
+                        default: "15 built-in groups",
+                        description: "Groups from top to bottom: built-in names or { name, hooks, pattern, importSources } objects",
+                        name: "order",
+                        type: "(string | object)[]",
+                    },
+                ],
                 rationale: "A consistent code structure makes components predictable and easier to navigate",
             },
         ],
@@ -1377,6 +1546,24 @@ const name = obj[key];`,
                 isTsOnly: false,
                 name: "no-hardcoded-strings",
                 options: [
+                    {
+                        default: "[]",
+                        description: "Extra enum-like categories: { name, values, importSource } objects matched before the built-in ones",
+                        name: "categories",
+                        type: "object[]",
+                    },
+                    {
+                        default: "[]",
+                        description: "Built-in categories (httpMethod, role, status...) whose values are no longer reported",
+                        name: "disabledCategories",
+                        type: "string[]",
+                    },
+                    {
+                        default: "\"@/enums\"",
+                        description: "Module that extract suggestions import enum-like values from",
+                        name: "enumsModule",
+                        type: "string",
+                    },
                     {
                         default: "[]",
                         description: "Additional JSX attributes to ignore",
@@ -1389,6 +1576,36 @@ const name = obj[key];`,
                         name: "ignorePatterns",
                         type: "string[]",
                     },
+                    {
+                        default: "none",
+                        description: "Directory of JSON/YAML locale catalogs that translation keys are checked against (i18n mode)",
+                        name: "localesDir",
+                        type: "string",
+                    },
+                    {
+                        default: "\"constants\"",
+                        description: "\"i18n\" trusts translation calls and components and reports text outside them",
+                        name: "mode",
+                        type: "\"constants\" | \"i18n\"",
+                    },
+                    {
+                        default: "\"@/strings\"",
+                        description: "Module that extract suggestions import UI strings from",
+                        name: "stringsModule",
+                        type: "string",
+                    },
+                    {
+                        default: "[\"FormattedMessage\", \"Trans\"]",
+                        description: "Translation components in i18n mode",
+                        name: "translationComponents",
+                        type: "string[]",
+                    },
+                    {
+                        default: "[\"t\", \"formatMessage\"]",
+                        description: "Translation functions in i18n mode",
+                        name: "translationFunctions",
+                        type: "string[]",
+                    },
                 ],
                 rationale: "Centralized strings are easier to maintain, translate, and keep consistent",
             },
@@ -1421,11 +1638,18 @@ const name = obj[key];`,
                 badExample: "const variant = \"primary\"; // typed as ButtonVariantType",
                 description: "Use enum values instead of string literals for variables typed with *Type",
                 goodExample: "const variant = ButtonVariantEnum.PRIMARY;",
-                isConfigurable: false,
+                isConfigurable: true,
                 isFixable: true,
                 isTsOnly: true,
                 name: "enum-type-enforcement",
-                options: [],
+                options: [
+                    {
+                        default: "false",
+                        description: "Resolve the enum and its members with the TypeScript type checker; only literals matching a member are reported and the fix adds the enum import",
+                        name: "typeAware",
+                        type: "boolean",
+                    },
+                ],
                 rationale: "Enum values provide type safety, autocompletion, and prevent typos",
             },
             {
@@ -1487,7 +1711,7 @@ import { ButtonVariantType } from "./types";`,
     onClick: () => void,
 }`,
                 isConfigurable: true,
-                isFixable: true,
+                isFixable: false,
                 isTsOnly: true,
                 name: "prop-naming-convention",
                 options: [
@@ -1503,6 +1727,12 @@ import { ButtonVariantType } from "./types";`,
                         name: "callbackPrefix",
                         type: "string",
                     },
+                    {
+                        default: "false",
+                        description: "Also classify props by their resolved TypeScript type",
+                        name: "typeAware",
+                        type: "boolean",
+                    },
                 ],
                 rationale: "Consistent prop naming makes props self-documenting",
             },
@@ -1565,7 +1795,44 @@ export type ConfigType = { ... }`,
                 isFixable: false,
                 isTsOnly: true,
                 name: "typescript-definition-location",
-                options: [],
+                options: [
+                    {
+                        default: "[\"interfaces\"]",
+                        description: "Folder names or path globs allowed for interfaces",
+                        name: "interfaces",
+                        type: "string[]",
+                    },
+                    {
+                        default: "[\"enums\"]",
+                        description: "Folder names or path globs allowed for enums",
+                        name: "enums",
+                        type: "string[]",
+                    },
+                    {
+                        default: "[\"types\"]",
+                        description: "Folder names or path globs allowed for type aliases",
+                        name: "types",
+                        type: "string[]",
+                    },
+                    {
+                        default: "false",
+                        description: "Also allow files named after the kind (user.types.ts)",
+                        name: "allowFileSuffix",
+                        type: "boolean",
+                    },
+                    {
+                        default: "false",
+                        description: "Skip declarations the file does not export",
+                        name: "ignoreNonExported",
+                        type: "boolean",
+                    },
+                    {
+                        default: "false",
+                        description: "Skip interfaces and type aliases with type parameters",
+                        name: "ignoreGenericHelpers",
+                        type: "boolean",
+                    },
+                ],
                 rationale: "Separating definitions by category makes them easier to find and maintain",
             },
         ],
@@ -1583,11 +1850,24 @@ const userProfile = () => <div />;`,
                 goodExample: `const userName = "John";
 const UserProfile = () => <div />;
 const useAuth = () => {};`,
-                isConfigurable: false,
+                isConfigurable: true,
                 isFixable: true,
                 isTsOnly: false,
                 name: "variable-naming-convention",
-                options: [],
+                options: [
+                    {
+                        default: "\"camelCase\"",
+                        description: "Naming of top-level const primitives, frozen objects and as const literals (\"camelCase\", \"allowScreamingCase\", \"screamingCase\")",
+                        name: "moduleConstants",
+                        type: "string",
+                    },
+                    {
+                        default: "\"report\"",
+                        description: "snake_case names destructured from objects (\"report\", \"alias\", \"allow\")",
+                        name: "destructuredSnakeCase",
+                        type: "string",
+                    },
+                ],
                 rationale: "Consistent naming makes code predictable",
             },
         ],
@@ -1622,10 +1902,10 @@ export const getRuleByNameRulesDataHandler = (targetName: string): {
 
 export const totalRulesData = 81;
 
-export const fixableRulesData = 71;
+export const fixableRulesData = 70;
 
 export const configurableRulesData = 20;
 
-export const reportOnlyRulesData = 10;
+export const reportOnlyRulesData = 11;
 
 export const tsOnlyRulesData = 9;
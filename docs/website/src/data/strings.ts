@@ -10,7 +10,7 @@ export const homeStringsData = {
     ctaGitHub: "GitHub",
     ctaInstallationGuide: "Full Installation Guide",
     ctaViewRules: "View All Rules",
-    featureAutoFixDescription: "71 of 81 rules come with auto-fix support. Run eslint --fix and watch your code snap into shape.",
+    featureAutoFixDescription: "73 of 84 rules come with auto-fix support. Run eslint --fix and watch your code snap into shape.",
     featureAutoFixTitle: "Auto-Fixable Rules",
     featureConfigsDescription: "4 preset configs for React, React+TypeScript, React+Tailwind, and React+TypeScript+Tailwind.",
     featureConfigsTitle: "Ready-to-Use Configs",
@@ -29,7 +29,7 @@ export const homeStringsData = {
     footerGitHub: "GitHub",
     footerLicense: "MIT License \u00B7 Built by ",
     footerNpm: "npm",
-    heroSubtitle: "81 custom ESLint rules for enforcing consistent code formatting in React and JSX projects. 71 auto-fixable, 20 configurable, zero dependencies.",
+    heroSubtitle: "84 custom ESLint rules for enforcing consistent code formatting in React and JSX projects. 73 auto-fixable, 31 configurable, zero dependencies.",
     heroTitle: "Code Style Rules",
     heroTitleSuffix: "for React Projects",
     metadataTitle: "eslint-plugin-code-style \u2014 81 Custom ESLint Rules for React",
@@ -42,13 +42,13 @@ export const homeStringsData = {
     quickStartTypeScriptHintCode: "react-ts",
     quickStartTypeScriptHintSuffix: " instead:",
     statsAutoFixable: "Auto-fixable",
-    statsAutoFixableValue: "71",
+    statsAutoFixableValue: "73",
     statsCategories: "Categories",
     statsCategoriesValue: "17",
     statsConfigurable: "Configurable",
-    statsConfigurableValue: "20",
+    statsConfigurableValue: "31",
     statsRules: "Rules",
-    statsRulesValue: "81",
+    statsRulesValue: "84",
 };
 
 // Docs overview strings
@@ -59,7 +59,7 @@ export const docsOverviewStringsData = {
     cardInstallationTitle: "Installation",
     cardPhilosophyDescription: "Understand the design decisions behind the plugin: auto-fix first, consistency at scale, and more.",
     cardPhilosophyTitle: "Philosophy",
-    cardRulesDescription: "Browse all 81 rules across 17 categories. Each rule includes examples, rationale, and options.",
+    cardRulesDescription: "Browse all 84 rules across 17 categories. Each rule includes examples, rationale, and options.",
     cardRulesTitle: "Rules Reference",
     intro: " documentation. Everything you need to install, configure, and use the plugin in your React projects.",
     introPrefix: "Welcome to the ",
@@ -85,7 +85,7 @@ export const gettingStartedStringsData = {
     disablingRulesDescription: "To disable specific rules from a preset config, add a second config object that sets them to ",
     disablingRulesDescriptionCode: "\"off\"",
     disablingRulesDescriptionSuffix: ":",
-    enableAllRulesDescription: "If you prefer full control, you can manually enable each of the 81 rules instead of using a preset config:",
+    enableAllRulesDescription: "If you prefer full control, you can manually enable each of the 84 rules instead of using a preset config:",
     installationDescription: "Install the plugin as a dev dependency using your preferred package manager:",
     intro: " and add it to your ESLint flat config. You will be up and running in under a minute.",
     introPrefix: "Install ",
@@ -95,13 +95,13 @@ export const gettingStartedStringsData = {
     nextStepsPhilosophy: "Philosophy",
     nextStepsPhilosophySuffix: " \u2014 Understand the design decisions behind the plugin",
     nextStepsRulesReference: "Rules Reference",
-    nextStepsRulesReferenceSuffix: " \u2014 Browse all 81 rules with examples",
+    nextStepsRulesReferenceSuffix: " \u2014 Browse all 84 rules with examples",
     pluginName: "eslint-plugin-code-style",
     requirementEslint: "ESLint",
     requirementEslintVersion: ">= 9.0.0 (v9 and v10 supported)",
     requirementNode: "Node.js",
     requirementNodeVersion: ">= 20.0.0",
-    runEslintDescription: "71 of the 81 rules are auto-fixable. Run ESLint with the ",
+    runEslintDescription: "73 of the 84 rules are auto-fixable. Run ESLint with the ",
     runEslintDescriptionCode: "--fix",
     runEslintDescriptionSuffix: " flag to automatically format your code:",
     sectionBasicConfiguration: "Basic Configuration",
@@ -134,12 +134,12 @@ export const configurationStringsData = {
     nextStepsPhilosophy: "Philosophy",
     nextStepsPhilosophySuffix: " \u2014 Learn the design principles behind the plugin",
     nextStepsRulesReference: "Rules Reference",
-    nextStepsRulesReferenceSuffix: " \u2014 Browse all 81 rules with examples and options",
+    nextStepsRulesReferenceSuffix: " \u2014 Browse all 84 rules with examples and options",
     nextStepsTitle: "Next Steps",
     pluginName: "eslint-plugin-code-style",
     presetConfigsDescription: "Each preset enables the correct set of rules for your project type. TypeScript presets include 9 additional TS-only rules. Tailwind presets include 4 className utility rules. This way you avoid enabling rules that do not apply to your stack.",
     presetConfigsTitle: "Why Preset Configs?",
-    ruleOptionsDescription: "20 of the 81 rules accept configuration options. Override a preset by adding a second config object with your custom settings:",
+    ruleOptionsDescription: "20 of the 84 rules accept configuration options. Override a preset by adding a second config object with your custom settings:",
     ruleOptionsLinkPrefix: "Each configurable rule documents its options on its own ",
     ruleOptionsLinkSuffix: ".",
     ruleOptionsLinkText: "rule page",
@@ -177,10 +177,10 @@ export const configurationStringsData = {
 
 // Philosophy strings
 export const philosophyStringsData = {
-    autoFixDescription1: "71 of 81 rules are auto-fixable. The goal is to let developers write code naturally and then run ",
+    autoFixDescription1: "73 of 84 rules are auto-fixable. The goal is to let developers write code naturally and then run ",
     autoFixDescription1Code: "eslint --fix",
     autoFixDescription1Suffix: " to apply formatting automatically. This reduces the cognitive overhead of remembering style rules and eliminates back-and-forth in code reviews over formatting issues.",
-    autoFixDescription2: "The remaining 10 rules are report-only because their fixes would be ambiguous or could change runtime behavior. In those cases, the rule reports the issue and lets the developer decide how to resolve it.",
+    autoFixDescription2: "The remaining 11 rules are report-only because their fixes would be ambiguous or could change runtime behavior. In those cases, the rule reports the issue and lets the developer decide how to resolve it.",
     autoFixTitle: "Auto-Fix First",
     consistencyDescription1: "When a team of 5, 10, or 50 developers works on the same codebase, small inconsistencies compound quickly. One developer puts array items on a single line, another breaks them across lines. One uses implicit returns in arrow functions, another uses block bodies.", // eslint-disable-line code-style/classname-multiline, code-style/classname-order
     consistencyDescription2: "These rules enforce a single way to format each pattern. The result is a codebase that reads as if one person wrote it, regardless of team size.",
@@ -206,9 +206,9 @@ export const philosophyStringsData = {
     nextStepsGettingStarted: "Getting Started",
     nextStepsGettingStartedSuffix: " \u2014 Install and configure the plugin",
     nextStepsRulesReference: "Rules Reference",
-    nextStepsRulesReferenceSuffix: " \u2014 Browse all 81 rules",
+    nextStepsRulesReferenceSuffix: " \u2014 Browse all 84 rules",
     nextStepsTitle: "Next Steps",
-    opinionatedDescription1: "The plugin ships with sensible defaults that work well for most projects. But 20 of the 81 rules accept configuration options for cases where the defaults do not fit. For example:",
+    opinionatedDescription1: "The plugin ships with sensible defaults that work well for most projects. But 20 of the 84 rules accept configuration options for cases where the defaults do not fit. For example:",
     opinionatedDescription2: "Defaults are chosen to match what the majority of React codebases already do. Configuration options exist for the minority that need something different.",
     opinionatedExample1Code: "array-items-per-line",
     opinionatedExample1Text: " defaults to collapsing arrays with 3 or fewer items, but you can adjust the threshold.",
@@ -289,7 +289,7 @@ export const contributingStringsData = {
     keyFilesBuildConfigCode: "esbuild.config.js",
     keyFilesEntry: " \u2014 Main entry point. Registers all rules and defines the 4 preset configs.",
     keyFilesEntryCode: "src/index.js",
-    keyFilesRules: " \u2014 17 category files containing all 81 rules.",
+    keyFilesRules: " \u2014 17 category files containing all 84 rules.",
     keyFilesRulesCode: "src/rules/*.js",
     keyFilesTailwind: " \u2014 Shared utilities for Tailwind-related rules.",
     keyFilesTailwindCode: "src/utils/tailwind.js",
@@ -325,6 +325,11 @@ export const contributingStringsData = {
     testDescriptionCode: "\"file:../..\"",
     testDescriptionSuffix: ". Each project covers a different stack:",
     testNavigateStep: "Navigate to the appropriate test project and run ESLint:",
+    testRuleTesterCommand: "npm test",
+    testRuleTesterDescription: "Every rule also has a RuleTester suite in ",
+    testRuleTesterDescriptionCode: "_tests_/rules/",
+    testRuleTesterDescriptionMiddle: " covering valid and invalid cases, exact fix output and fixer idempotency. Run it on ESLint 9 and ESLint 10 with ",
+    testRuleTesterDescriptionSuffix: " and add cases for every rule you change.",
     testStackJsReact: "JavaScript + React",
     testStackJsReactTailwind: "JavaScript + React + Tailwind",
     testStackTsReact: "TypeScript + React",
@@ -352,7 +357,7 @@ export const rulesIndexStringsData = {
     legendFixable: "Auto-fixable with",
     legendFixableCode: "eslint --fix",
     legendTsOnly: "TypeScript only",
-    metadataDescription: "Browse all 81 ESLint rules organized across 17 categories with examples and configuration options.",
+    metadataDescription: "Browse all 84 ESLint rules organized across 17 categories with examples and configuration options.",
     metadataTitle: "Rules Reference",
     statAutoFixable: "Auto-fixable",
     statConfigurable: "Configurable",
@@ -460,13 +465,13 @@ export const componentStringsData = {
 export const metadataStringsData = {
     authorName: "Mohamed Elhawary",
     authorUrl: "https://hawary.dev",
-    defaultDescription: "81 custom ESLint rules for enforcing consistent code formatting in React/JSX projects. 71 auto-fixable, 20 configurable. Built for ESLint v9 and v10 flat config.",
+    defaultDescription: "84 custom ESLint rules for enforcing consistent code formatting in React/JSX projects. 73 auto-fixable, 31 configurable. Built for ESLint v9 and v10 flat config.",
     defaultTitle: "eslint-plugin-code-style",
     keywords: "eslint,eslint-plugin,code-style,react,jsx,typescript,tailwindcss,linting,formatting,auto-fix,eslint-rules,code-quality",
-    ogDescription: "81 custom ESLint rules for React/JSX projects. Auto-fixable, zero dependencies, ESLint v9 and v10.",
+    ogDescription: "84 custom ESLint rules for React/JSX projects. Auto-fixable, zero dependencies, ESLint v9 and v10.",
     ogSiteName: "eslint-plugin-code-style",
     ogTitle: "eslint-plugin-code-style — 81 ESLint Rules for React",
     titleTemplate: "%s \u2014 eslint-plugin-code-style",
-    twitterDescription: "81 custom ESLint rules for React/JSX. 71 auto-fixable, 20 configurable. Zero dependencies.",
+    twitterDescription: "84 custom ESLint rules for React/JSX. 73 auto-fixable, 31 configurable. Zero dependencies.",
     twitterTitle: "eslint-plugin-code-style",
 };
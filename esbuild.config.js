@@ -3,17 +3,30 @@ import { build } from "esbuild";
 
 const packageJson = JSON.parse(readFileSync("package.json", "utf8"));
 
-await build({
+const sharedOptions = {
     bundle: true,
     define: {
         __VERSION__: JSON.stringify(packageJson.version),
     },
-    entryPoints: ["src/index.js"],
     format: "esm",
     minify: true,
-    outfile: "dist/index.js",
     platform: "node",
     target: "node20",
+};
+
+await build({
+    ...sharedOptions,
+    entryPoints: ["src/index.js"],
+    outfile: "dist/index.js",
+});
+
+// CLI: eslint is the project's own copy (peer dependency), never bundled
+await build({
+    ...sharedOptions,
+    banner: { js: "#!/usr/bin/env node" },
+    entryPoints: ["src/cli/bin.js"],
+    external: ["eslint"],
+    outfile: "dist/cli.js",
 });
 
-console.log(`Built dist/index.js (v${packageJson.version})`);
+console.log(`Built dist/index.js and dist/cli.js (v${packageJson.version})`);
@@ -13,6 +13,7 @@ export type RuleNames =
     | "code-style/arrow-function-simplify"
     | "code-style/assignment-value-same-line"
     | "code-style/block-statement-newlines"
+    | "code-style/class-member-order"
     | "code-style/class-method-definition-format"
     | "code-style/class-naming-convention"
     | "code-style/comment-format"
@@ -46,8 +47,10 @@ export type RuleNames =
     | "code-style/inline-export-declaration"
     | "code-style/classname-dynamic-at-end"
     | "code-style/classname-multiline"
+    | "code-style/classname-no-conflicts"
     | "code-style/classname-no-extra-spaces"
     | "code-style/classname-order"
+    | "code-style/classname-shorthand"
     | "code-style/jsx-children-on-new-line"
     | "code-style/jsx-closing-bracket-spacing"
     | "code-style/jsx-element-child-new-line"
@@ -103,6 +106,23 @@ export type CodeStyleRulesConfig = {
     [K in RuleNames]?: RuleConfig;
 };
 
+/**
+ * Plugin-wide settings read from `settings["code-style"]`
+ * Per-rule options override these values.
+ */
+export interface CodeStyleSettings {
+    /** Path alias prefix for absolute imports (default: "@/") */
+    aliasPrefix?: string;
+    /** Framework whose routing conventions the folder rules respect (default: Next.js conventions) */
+    framework?: "next" | "remix" | "vite";
+    /** Replaces the default module folder list (components, hooks, utils, ...) */
+    moduleFolders?: string[];
+    /** Source root folder the module folders live in (default: "src") */
+    srcRoot?: string;
+    /** Tailwind v3 config or v4 CSS entry file; class rules then follow the official Tailwind order */
+    tailwindConfig?: string;
+}
+
 /**
  * Plugin rules object containing all rule modules
  */
@@ -116,6 +136,7 @@ interface PluginRules {
     "arrow-function-simplify": Rule.RuleModule;
     "assignment-value-same-line": Rule.RuleModule;
     "block-statement-newlines": Rule.RuleModule;
+    "class-member-order": Rule.RuleModule;
     "class-method-definition-format": Rule.RuleModule;
     "class-naming-convention": Rule.RuleModule;
     "comment-format": Rule.RuleModule;
@@ -148,8 +169,10 @@ interface PluginRules {
     "inline-export-declaration": Rule.RuleModule;
     "classname-dynamic-at-end": Rule.RuleModule;
     "classname-multiline": Rule.RuleModule;
+    "classname-no-conflicts": Rule.RuleModule;
     "classname-no-extra-spaces": Rule.RuleModule;
     "classname-order": Rule.RuleModule;
+    "classname-shorthand": Rule.RuleModule;
     "jsx-children-on-new-line": Rule.RuleModule;
     "jsx-closing-bracket-spacing": Rule.RuleModule;
     "jsx-element-child-new-line": Rule.RuleModule;
@@ -189,10 +212,23 @@ interface PluginRules {
     "variable-naming-convention": Rule.RuleModule;
 }
 
+/**
+ * Built-in flat config presets, each registering the plugin and enabling a rule set
+ * No preset sets a parser; add @typescript-eslint/parser for the files `typescript` and `all` lint.
+ */
+type PluginConfigs = {
+    all: Linter.Config;
+    react: Linter.Config;
+    recommended: Linter.Config;
+    tailwind: Linter.Config;
+    typescript: Linter.Config;
+};
+
 /**
  * ESLint plugin for enforcing consistent code formatting and style rules
  */
 interface CodeStylePlugin {
+    configs: PluginConfigs;
     meta: {
         name: "eslint-plugin-code-style";
         version: string;
@@ -202,6 +238,13 @@ interface CodeStylePlugin {
 
 declare const plugin: CodeStylePlugin;
 
+/**
+ * Drop cached directory listings used by the folder rules
+ * Listings are re-read when a directory's mtime changes; call it to drop them regardless (changed symlink targets, coarse mtimes).
+ * @param dirPath - Directory whose listing should be re-read (default: every directory)
+ */
+export declare function clearFileSystemCache(dirPath?: string): void;
+
 export default plugin;
 
 /**
@@ -0,0 +1,5 @@
+import { runCli } from "./index.js";
+
+runCli(process.argv.slice(2)).then((exitCode) => {
+    process.exitCode = exitCode;
+});
@@ -0,0 +1,368 @@
+import fs from "fs";
+import nodePath from "path";
+
+import { noHardcodedStrings } from "../rules/strings.js";
+import { clearFileSystemCache } from "../utils/fs-cache.js";
+import { getAliasedModulePath, resolveAliasedModule } from "../utils/module-constants.js";
+import { toConstantName } from "../utils/naming.js";
+import { getStringCategory, resolveStringCategories } from "../utils/string-categories.js";
+
+import { SOURCE_EXTENSIONS, collectSourceFiles, createCollectingRule, getFileConfig, getRuleOptions } from "./project-files.js";
+
+const RULE_ID = "code-style/no-hardcoded-strings";
+
+// Rule reports that point at hardcoded text (translation key checks are left out)
+const STRING_MESSAGE_IDS = new Set(["categoryString", "enumLikeAttribute", "enumLikeString", "uiString", "untranslatedString"]);
+
+const ENUM_LIKE_MESSAGE_IDS = new Set(["categoryString", "enumLikeAttribute", "enumLikeString"]);
+
+// Rule suggestions that --write applies: a constant to add to the module, or one it already exports
+const EXTRACT_SUGGESTION_IDS = new Set(["extractToConstant", "useExistingConstant"]);
+
+export const OUTPUT_FORMATS = ["csv", "json", "po"];
+
+/**
+ * Get the full text of a reported node (report messages truncate long strings)
+ * @param {Object} node - Literal, JSXText or TemplateElement node
+ * @returns {string} - Text with JSX whitespace collapsed
+ */
+const getNodeText = (node) => {
+    if (node.type === "TemplateElement") return (node.value.cooked || node.value.raw).trim();
+
+    if (node.type === "JSXText") return node.value.trim().replace(/\s+/g, " ");
+
+    return String(node.value);
+};
+
+/**
+ * Get the name of a JSX element or attribute (`Foo.Bar`, `svg:path` and `aria-label` included)
+ * @param {Object} nameNode - JSXIdentifier, JSXMemberExpression or JSXNamespacedName
+ * @returns {string} - Name
+ */
+const getJsxName = (nameNode) => {
+    if (nameNode.type === "JSXMemberExpression") return `${getJsxName(nameNode.object)}.${nameNode.property.name}`;
+
+    if (nameNode.type === "JSXNamespacedName") return `${nameNode.namespace.name}:${nameNode.name.name}`;
+
+    return nameNode.name;
+};
+
+/**
+ * Describe where a string sits in JSX: `<button>` for children, `<input placeholder>` for attributes
+ * @param {Object} node - Reported node
+ * @returns {string} - JSX context, or an empty string outside JSX
+ */
+const getJsxContext = (node) => {
+    let attributeName = null;
+    let current = node.parent;
+
+    while (current) {
+        if (current.type === "JSXAttribute" && !attributeName) attributeName = getJsxName(current.name);
+
+        if (current.type === "JSXElement") {
+            const elementName = getJsxName(current.openingElement.name);
+
+            return attributeName ? `<${elementName} ${attributeName}>` : `<${elementName}>`;
+        }
+
+        // Text in a function or object nested in JSX is not JSX text
+        if (current.type.includes("Function") || current.type === "ObjectExpression") return "";
+
+        current = current.parent;
+    }
+
+    return "";
+};
+
+/**
+ * Build the extraction record of a rule report
+ * @param {Object} report - Report descriptor collected from the rule
+ * @param {string} relativePath - File path relative to cwd
+ * @param {Object[]} categories - Enabled string categories of the rule options
+ * @returns {{category: string, column: number, context: string, file: string, key: string|null, line: number, text: string}} - Record
+ */
+const toRecord = (report, relativePath, categories) => {
+    const { node } = report;
+    const text = getNodeText(node);
+    const category = getStringCategory(text, categories);
+    const isReportedAsEnum = ENUM_LIKE_MESSAGE_IDS.has(report.messageId);
+    const isEnumLike = isReportedAsEnum || category !== null;
+    const [suggestion] = report.suggest || [];
+
+    return {
+        category: category ? category.name : (isEnumLike ? "enum" : "ui"),
+        column: node.loc.start.column + 1,
+        context: getJsxContext(node),
+        file: relativePath,
+        // The rule's suggestion knows the existing exports; its name fits when it targets the same module kind
+        key: suggestion && isReportedAsEnum === isEnumLike ? suggestion.data.name : toConstantName(text, isEnumLike),
+        line: node.loc.start.line,
+        text,
+    };
+};
+
+/**
+ * Find every string no-hardcoded-strings reports in the given paths
+ * Each file is linted with the rule's options and settings from the project's ESLint config
+ * (defaults when there is none). Files that fail to parse are returned as errors.
+ * @param {Object} options - Extraction options
+ * @param {string} options.cwd - Working directory
+ * @param {Object} options.eslintModule - The `eslint` package (ESLint and Linter classes)
+ * @param {string[]} options.paths - Files or directories to scan
+ * @returns {Promise<{errors: Array<{file: string, message: string}>, fileCount: number, records: Object[]}>} - Extraction result
+ */
+export const extractStrings = async ({ cwd, eslintModule, paths }) => {
+    const { ESLint, Linter } = eslintModule;
+    const eslint = new ESLint({ cwd });
+    const linter = new Linter({ configType: "flat", cwd });
+    const files = collectSourceFiles(paths, cwd);
+    const records = [];
+    const errors = [];
+    let fileCount = 0;
+
+    for (const filePath of files) {
+        const config = await getFileConfig(eslint, filePath, cwd);
+
+        if (!config) continue;
+
+        const ruleOptions = getRuleOptions(config, RULE_ID) || [];
+        const { enabled: categories } = resolveStringCategories(ruleOptions[0]);
+        const reports = [];
+        const relativePath = nodePath.relative(cwd, filePath).replace(/\\/g, "/");
+
+        const messages = linter.verify(fs.readFileSync(filePath, "utf8"), [{
+            files: [`**/*{${SOURCE_EXTENSIONS.join(",")}}`],
+            languageOptions: config.languageOptions,
+            plugins: { extract: { rules: { strings: createCollectingRule(noHardcodedStrings, reports) } } },
+            rules: { "extract/strings": ["error", ...ruleOptions] },
+            settings: config.settings || {},
+        }], { filename: filePath });
+
+        fileCount += 1;
+
+        const fatalMessage = messages.find((message) => message.fatal);
+
+        if (fatalMessage) {
+            errors.push({ file: relativePath, message: `${fatalMessage.line}:${fatalMessage.column} ${fatalMessage.message}` });
+
+            continue;
+        }
+
+        reports
+            .filter((report) => STRING_MESSAGE_IDS.has(report.messageId))
+            .forEach((report) => records.push(toRecord(report, relativePath, categories)));
+    }
+
+    return { errors, fileCount, records };
+};
+
+/**
+ * Get the text of the string a lint message points at
+ * @param {string} text - Source text the message was reported on
+ * @param {Object} message - Lint message (1-based lines, 1-based columns)
+ * @returns {string} - Reported text with JSX whitespace collapsed
+ */
+const getMessageText = (text, { column, endColumn, endLine, line }) => {
+    const lines = text.split("\n");
+    const getOffsetHandler = (lineNumber, columnNumber) => lines
+        .slice(0, lineNumber - 1)
+        .reduce((offset, lineText) => offset + lineText.length + 1, columnNumber - 1);
+    const raw = text.slice(getOffsetHandler(line, column), getOffsetHandler(endLine, endColumn));
+
+    return raw.trim().replace(/^(["'])([\s\S]*)\1$/, "$2").replace(/\s+/g, " ");
+};
+
+/**
+ * Find the file a new constant is added to: the file its import source resolves to, or a new file
+ * under the source root (`@/strings` → src/strings.ts, or src/strings/index.ts when the folder exists)
+ * @param {string} importSource - Import source the rule's suggestion uses
+ * @param {string} filePath - Absolute path of the importing file (a TypeScript file gets a TypeScript module)
+ * @param {Object} context - Working directory and settings of the importing file
+ * @returns {string|null} - Absolute module path, or null when the source is not aliased
+ */
+const getModuleFile = (importSource, filePath, context) => {
+    const modulePath = resolveAliasedModule(importSource, context);
+
+    if (modulePath) return modulePath;
+
+    const basePath = getAliasedModulePath(importSource, context);
+
+    if (!basePath) return null;
+
+    const extension = /\.tsx?$/.test(filePath) ? ".ts" : ".js";
+    const isDirectory = fs.existsSync(basePath) && fs.statSync(basePath).isDirectory();
+
+    return isDirectory ? nodePath.join(basePath, `index${extension}`) : `${basePath}${extension}`;
+};
+
+/**
+ * Append `export const name = value;` to a module, creating the file when it does not exist
+ * @param {string} modulePath - Absolute module path
+ * @param {string} name - Constant name
+ * @param {string} value - Constant value as source text (a quoted string)
+ * @returns {boolean} - True when the file was created
+ */
+const appendModuleExport = (modulePath, name, value) => {
+    const isNew = !fs.existsSync(modulePath);
+    const text = isNew ? "" : fs.readFileSync(modulePath, "utf8");
+
+    fs.mkdirSync(nodePath.dirname(modulePath), { recursive: true });
+    fs.writeFileSync(modulePath, `${text.trim() ? text.replace(/\s*$/, "\n\n") : ""}export const ${name} = ${value};\n`);
+
+    // The rule looks the module up again on the next pass
+    if (isNew) clearFileSystemCache(nodePath.dirname(modulePath));
+
+    return isNew;
+};
+
+/**
+ * Replace every string no-hardcoded-strings reports with a constant: the rule's extract suggestion
+ * is applied (the string is replaced and the import added or extended), and a new constant is
+ * appended to the strings/enums module, which is created when needed
+ * Files are linted again after each replacement, so a constant added for one string is reused for
+ * the same text elsewhere. Strings the rule offers no suggestion for (template literal parts,
+ * sources outside the alias prefix) are left in place and returned as skipped.
+ * @param {Object} options - Codemod options
+ * @param {string} options.cwd - Working directory
+ * @param {Object} options.eslintModule - The `eslint` package (ESLint and Linter classes)
+ * @param {string[]} options.paths - Files or directories to scan
+ * @returns {Promise<{changes: Object[], errors: Object[], exports: Object[], fileCount: number, skipped: Object[]}>} - Changed files with their replacements, constants added to modules, parse errors and strings left in place
+ */
+export const extractToConstants = async ({ cwd, eslintModule, paths }) => {
+    const { ESLint, Linter } = eslintModule;
+    const eslint = new ESLint({ cwd });
+    const linter = new Linter({ configType: "flat", cwd });
+    const files = collectSourceFiles(paths, cwd);
+    const changes = [];
+    const errors = [];
+    const exports = [];
+    const skipped = [];
+    let fileCount = 0;
+
+    const toRelativePath = (filePath) => nodePath.relative(cwd, filePath).replace(/\\/g, "/");
+
+    for (const filePath of files) {
+        const config = await getFileConfig(eslint, filePath, cwd);
+
+        if (!config) continue;
+
+        const ruleOptions = getRuleOptions(config, RULE_ID) || [];
+        const context = { cwd, settings: config.settings || {} };
+        const relativePath = toRelativePath(filePath);
+        const replacements = [];
+        let text = fs.readFileSync(filePath, "utf8");
+
+        const lintHandler = () => linter.verify(text, [{
+            files: [`**/*{${SOURCE_EXTENSIONS.join(",")}}`],
+            languageOptions: config.languageOptions,
+            plugins: { extract: { rules: { strings: noHardcodedStrings } } },
+            rules: { "extract/strings": ["error", ...ruleOptions] },
+            settings: config.settings || {},
+        }], { filename: filePath });
+
+        const getSuggestionHandler = (message) => (message.suggestions || []).find((suggestion) => EXTRACT_SUGGESTION_IDS.has(suggestion.messageId)
+            && (suggestion.messageId === "useExistingConstant" || getModuleFile(suggestion.data.source, filePath, context)));
+
+        fileCount += 1;
+
+        // One string per pass: each suggestion's import edit spans the top of the file
+        for (;;) {
+            const messages = lintHandler();
+            const fatalMessage = messages.find((message) => message.fatal);
+
+            if (fatalMessage) {
+                errors.push({ file: relativePath, message: `${fatalMessage.line}:${fatalMessage.column} ${fatalMessage.message}` });
+
+                break;
+            }
+
+            const message = messages.find(getSuggestionHandler);
+
+            if (!message) {
+                messages
+                    .filter(({ messageId }) => STRING_MESSAGE_IDS.has(messageId))
+                    .forEach(({ column, line, message: description }) => skipped.push({ column, file: relativePath, line, message: description }));
+
+                break;
+            }
+
+            const { data, fix, messageId } = getSuggestionHandler(message);
+
+            if (messageId === "extractToConstant") {
+                const modulePath = getModuleFile(data.source, filePath, context);
+                const isNew = appendModuleExport(modulePath, data.name, data.value);
+
+                exports.push({ file: toRelativePath(modulePath), isNew, name: data.name, value: JSON.parse(data.value) });
+            }
+
+            replacements.push({ name: data.name, source: data.source, text: getMessageText(text, message) });
+            text = text.slice(0, fix.range[0]) + fix.text + text.slice(fix.range[1]);
+        }
+
+        if (replacements.length > 0) {
+            fs.writeFileSync(filePath, text);
+            changes.push({ file: relativePath, replacements });
+        }
+    }
+
+    return { changes, errors, exports, fileCount, skipped };
+};
+
+/**
+ * Quote a CSV field when it holds a separator, quote or line break
+ * @param {*} value - Field value
+ * @returns {string} - CSV field
+ */
+const toCsvField = (value) => {
+    const str = value === null ? "" : String(value);
+
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, "\"\"")}"` : str;
+};
+
+/**
+ * Escape a string for a PO file
+ * @param {string} str - Raw string
+ * @returns {string} - Quoted PO string
+ */
+const toPoString = (str) => `"${str.replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n")}"`;
+
+/**
+ * Format extraction records as JSON, CSV or gettext PO
+ * PO entries are grouped by text: one msgid with every place it appears as references.
+ * @param {Object[]} records - Records from extractStrings
+ * @param {string} format - One of OUTPUT_FORMATS
+ * @returns {string} - File content
+ */
+export const formatRecords = (records, format) => {
+    if (format === "csv") {
+        const columns = ["text", "category", "key", "file", "line", "column", "context"];
+
+        return [
+            columns.join(","),
+            ...records.map((record) => columns.map((column) => toCsvField(record[column])).join(",")),
+        ].join("\n").concat("\n");
+    }
+
+    if (format === "po") {
+        const entries = new Map();
+
+        records.forEach((record) => {
+            if (!entries.has(record.text)) entries.set(record.text, { ...record, references: [] });
+
+            entries.get(record.text).references.push(`${record.file}:${record.line}`);
+        });
+
+        const header = "msgid \"\"\nmsgstr \"\"\n\"Content-Type: text/plain; charset=UTF-8\\n\"\n";
+
+        return [header, ...[...entries.values()].map((entry) => [
+            `#. key: ${entry.key || ""}`,
+            `#. category: ${entry.category}`,
+            ...(entry.context ? [`#. context: ${entry.context}`] : []),
+            ...entry.references.map((reference) => `#: ${reference}`),
+            `msgid ${toPoString(entry.text)}`,
+            "msgstr \"\"",
+        ].join("\n").concat("\n"))].join("\n");
+    }
+
+    return `${JSON.stringify(records, null, 4)}\n`;
+};
@@ -0,0 +1,667 @@
+import fs from "fs";
+import nodePath from "path";
+
+import { classNamingConvention } from "../rules/classes.js";
+import { functionNamingConvention } from "../rules/functions.js";
+import { variableNamingConvention } from "../rules/variables.js";
+import { findVariable, getNodeScope, renameVariableFixes } from "../utils/naming.js";
+import { getSharedSettings } from "../utils/settings.js";
+
+import { SOURCE_EXTENSIONS, collectSourceFiles, getFileConfig, getRuleOptions } from "./project-files.js";
+
+// Naming rules whose reports rename a declaration, with the report data field holding the new name.
+// When several reports rename the same declaration, casing renames win (an affix added to a
+// name that still needs re-casing gets mangled), then earlier rules.
+const NAMING_RULES = [
+    {
+        messages: {
+            handlePrefixToSuffix: "newName",
+            handlerSuffixToPrefix: "newName",
+            missingHandlerSuffix: "newName",
+            notCamelCase: "camelCaseName",
+        },
+        rule: functionNamingConvention,
+        ruleId: "code-style/function-naming-convention",
+    },
+    {
+        messages: {
+            moduleConstantScreamingCase: "constantName",
+            variableCamelCase: "camelCaseName",
+        },
+        rule: variableNamingConvention,
+        ruleId: "code-style/variable-naming-convention",
+    },
+    {
+        messages: { missingClassSuffix: "newName" },
+        rule: classNamingConvention,
+        ruleId: "code-style/class-naming-convention",
+    },
+];
+
+// Messages renaming a declaration to another casing
+const CASING_MESSAGES = ["moduleConstantScreamingCase", "notCamelCase", "variableCamelCase"];
+
+// A rename can free a name another declaration needs (skipped as taken in an earlier pass), so
+// files are re-analyzed until nothing is left to rename. Each declaration is renamed at most
+// once per run: renaming the result again would stack fixes (get_user_handler →
+// get_user_handlerHandler → getUserHandlerhandler).
+const MAX_PASSES = 10;
+
+// Fixer handed to renameVariableFixes: fixes become plain text edits
+const editFixer = {
+    replaceText: (nodeOrToken, text) => ({ range: nodeOrToken.range, text }),
+};
+
+/**
+ * Resolve an import specifier to one of the scanned files
+ * Relative specifiers and the alias prefix (mapped to the source root) are resolved,
+ * with or without extension, including folder `index` files. Packages resolve to null.
+ * @param {string} fromFile - Absolute path of the importing file
+ * @param {string} specifier - Module specifier
+ * @param {Object} fileInfo - Analysis of the importing file (settings)
+ * @param {Set<string>} files - Absolute paths of the scanned files
+ * @param {string} cwd - Working directory
+ * @returns {string|null} - Absolute path of the imported file
+ */
+const resolveImport = (fromFile, specifier, { settings }, files, cwd) => {
+    const { aliasPrefix, srcRoot } = getSharedSettings({ settings });
+    let basePath = null;
+
+    if (specifier.startsWith(".")) basePath = nodePath.resolve(nodePath.dirname(fromFile), specifier);
+    else if (specifier.startsWith(aliasPrefix)) basePath = nodePath.resolve(cwd, srcRoot, specifier.slice(aliasPrefix.length));
+
+    if (!basePath) return null;
+
+    // TypeScript sources are imported with a ".js" extension under NodeNext resolution
+    const candidates = [
+        basePath,
+        ...SOURCE_EXTENSIONS.map((extension) => `${basePath.replace(/\.[cm]?js$/, "")}${extension}`),
+        ...SOURCE_EXTENSIONS.map((extension) => nodePath.join(basePath, `index${extension}`)),
+    ];
+
+    return candidates.find((candidate) => files.has(candidate)) || null;
+};
+
+/**
+ * Get the variables a declared identifier binds
+ * A class declaration binds its name twice: in the enclosing scope and inside the class
+ * (references from its own body), so both are returned, enclosing one first.
+ * @param {Object} context - ESLint rule context
+ * @param {Object} identifier - Declared identifier
+ * @returns {Object[]} - Scope variables (empty when the identifier declares nothing)
+ */
+const getDeclaredVariables = (context, identifier) => {
+    const scope = getNodeScope(context, identifier);
+    const classNode = identifier.parent.type === "ClassDeclaration" && identifier.parent.id === identifier ? identifier.parent : null;
+    const variables = classNode && scope.type === "class" && scope.block === classNode
+        ? [findVariable(scope.upper, identifier.name), findVariable(scope, identifier.name)]
+        : [findVariable(scope, identifier.name)];
+
+    return variables.filter((variable) => variable && variable.defs.some((def) => def.name === identifier));
+};
+
+/**
+ * Describe how a declaration is exported: whether renaming it changes an exported name
+ * (`export const name` or `export { name }`), as opposed to `export { name as alias }`
+ * @param {Object} variable - Scope variable
+ * @param {Object} identifier - Declared identifier
+ * @returns {boolean} - True when the rename changes the module's exports
+ */
+const isExportedUnderOwnName = (variable, identifier) => {
+    const isInlineExport = variable.defs.some((def) => {
+        const { parent } = def.node;
+
+        return def.name === identifier
+            && (parent.type === "ExportNamedDeclaration"
+                || (parent.parent && parent.parent.type === "ExportNamedDeclaration"));
+    });
+
+    return isInlineExport || variable.references.some(({ identifier: reference }) => reference.parent.type === "ExportSpecifier"
+        && reference.parent.local === reference
+        && reference.parent.exported.name === identifier.name);
+};
+
+/**
+ * Check whether a new name already resolves to another binding where a variable is declared
+ * or referenced: the declaration would clash, or a reference inside a nested scope would
+ * end up pointing at the inner binding
+ * @param {Object} scope - Scope of the declaration
+ * @param {Object[]} variables - Variables being renamed
+ * @param {string} newName - New name
+ * @returns {boolean} - True when the new name is taken
+ */
+const isNameTakenInScopes = (scope, variables, newName) => Boolean(findVariable(scope, newName))
+    || variables.some((variable) => variable.references.some((reference) => Boolean(findVariable(reference.from, newName))));
+
+/**
+ * Wrap a naming rule so its reports are collected with what the codemod needs to know
+ * about the reported declaration
+ * @param {Object} rule - ESLint rule
+ * @param {Object[]} reports - Array receiving `{descriptor, isExported, isNameTaken, variables}` entries
+ * @returns {Object} - ESLint rule
+ */
+const createRenameCollectingRule = (rule, reports) => ({
+    create(context) {
+        const collectingContext = Object.create(context, {
+            report: {
+                value: (descriptor) => {
+                    const { node } = descriptor;
+                    const variables = node.type === "Identifier" ? getDeclaredVariables(context, node) : [];
+
+                    reports.push({
+                        descriptor,
+                        isExported: variables.length > 0 && isExportedUnderOwnName(variables[0], node),
+                        isNameTaken: (newName) => isNameTakenInScopes(getNodeScope(context, node), variables, newName),
+                        variables,
+                    });
+                },
+            },
+        });
+
+        return rule.create(collectingContext);
+    },
+    meta: rule.meta,
+});
+
+/**
+ * Build the rule collecting what a file re-exports: `export { a } from`, `export * from`, and
+ * imports exported again under their imported name (`import { a } from "./a"; export { a };`)
+ * @param {Object[]} reExports - Array receiving `{all, names, source}` entries
+ * @returns {Object} - ESLint rule
+ */
+const createReExportsRule = (reExports) => ({
+    create: (context) => ({
+        ExportAllDeclaration(node) {
+            // `export * as ns from` exposes one namespace; the names inside it do not change
+            if (!node.exported) reExports.push({ all: true, names: [], source: node.source.value });
+        },
+        ExportNamedDeclaration(node) {
+            if (node.source) {
+                reExports.push({
+                    all: false,
+                    names: node.specifiers
+                        .filter((specifier) => specifier.local.name === specifier.exported.name)
+                        .map((specifier) => specifier.local.name),
+                    source: node.source.value,
+                });
+
+                return;
+            }
+
+            node.specifiers.forEach((specifier) => {
+                const variable = findVariable(getNodeScope(context, node), specifier.local.name);
+                const importDef = variable && variable.defs.find((def) => def.type === "ImportBinding" && def.node.type === "ImportSpecifier");
+
+                if (!importDef || importDef.node.imported.name !== specifier.exported.name) return;
+
+                reExports.push({ all: false, names: [specifier.exported.name], source: importDef.parent.source.value });
+            });
+        },
+    }),
+    meta: { schema: false, type: "problem" },
+});
+
+/**
+ * Build the rule turning the planned renames into text edits for one file
+ * @param {Object} plan - Renames of the file and resolver for its imports
+ * @param {Object[]} plan.renames - `{from, range, to}` declarations renamed in this file
+ * @param {Function} plan.getExportRenames - Module specifier → Map of renamed exports, or null
+ * @param {Map<string, string>} plan.ownExportRenames - Exported names of this file that change (re-exports included)
+ * @param {Object[]} edits - Array receiving `{range, text}` edits
+ * @param {Object} stats - Counters updated with the number of rewritten import/export references
+ * @param {Object[]} unresolved - Array receiving `require()` / `import()` nodes whose renamed members cannot be followed
+ * @returns {Object} - ESLint rule
+ */
+const createApplyRule = ({ getExportRenames, ownExportRenames, renames }, edits, stats, unresolved) => ({
+    create(context) {
+        const sourceCode = context.sourceCode || context.getSourceCode();
+        // Import bindings renamed to the new export name, so a barrel's own `export { name }` follows them
+        const renamedImports = new Map();
+
+        const addEditsHandler = (fixes, isModuleReference) => {
+            edits.push(...fixes);
+
+            if (isModuleReference) stats.moduleReferences += 1;
+        };
+
+        const renameImportSpecifierHandler = (specifier, exportRenames) => {
+            const importedName = specifier.imported.name;
+            const newName = exportRenames.get(importedName);
+
+            if (!newName) return;
+
+            if (specifier.local.name !== importedName) {
+                addEditsHandler([editFixer.replaceText(specifier.imported, newName)], true);
+
+                return;
+            }
+
+            const variable = findVariable(getNodeScope(context, specifier), importedName);
+            const isNameTaken = isNameTakenInScopes(getNodeScope(context, specifier), variable ? [variable] : [], newName);
+
+            // Keep the local name when the new one is already bound where the import is used: import { newName as oldName }
+            if (!variable || isNameTaken) {
+                const typePrefix = specifier.importKind === "type" ? "type " : "";
+
+                addEditsHandler([editFixer.replaceText(specifier, `${typePrefix}${newName} as ${importedName}`)], true);
+
+                return;
+            }
+
+            // A barrel re-exporting the import renames its `export { name }` along with it
+            const isReExported = ownExportRenames.get(importedName) === newName;
+
+            renamedImports.set(variable, newName);
+            addEditsHandler(renameVariableFixes(editFixer, variable, newName, { keepExportedName: !isReExported }), true);
+        };
+
+        // import { oldName as local } from "./a"; export { local as oldName }: the barrel's export
+        // name changes with the module it comes from (unaliased exports of renamed imports already did)
+        const renameReExportSpecifierHandler = (specifier) => {
+            const newName = ownExportRenames.get(specifier.exported.name);
+            const variable = findVariable(getNodeScope(context, specifier), specifier.local.name);
+
+            if (!newName || !variable || !variable.defs.some((def) => def.type === "ImportBinding")) return;
+
+            const isUnaliased = specifier.exported.range[0] === specifier.local.range[0];
+
+            if (isUnaliased && renamedImports.get(variable) === newName) return;
+
+            addEditsHandler([isUnaliased
+                ? editFixer.replaceText(specifier, `${specifier.local.name} as ${newName}`)
+                : editFixer.replaceText(specifier.exported, newName)], true);
+        };
+
+        // import * as api from "./api" or const api = require("./api") → api.oldName
+        const renameNamespaceMembersHandler = (variable, exportRenames) => {
+            variable.references.forEach(({ identifier }) => {
+                const { parent } = identifier;
+
+                if (parent.type !== "MemberExpression" || parent.object !== identifier || parent.computed) return;
+
+                const newName = exportRenames.get(parent.property.name);
+
+                if (newName) addEditsHandler([editFixer.replaceText(parent.property, newName)], true);
+            });
+        };
+
+        // const { oldName } = require("./api") → const { newName: oldName } = require("./api")
+        const renamePatternKeysHandler = (pattern, exportRenames) => {
+            pattern.properties.forEach((property) => {
+                if (property.type !== "Property" || property.computed || property.key.type !== "Identifier") return;
+
+                const newName = exportRenames.get(property.key.name);
+
+                if (!newName) return;
+
+                addEditsHandler([editFixer.replaceText(property.key, property.shorthand ? `${newName}: ${property.key.name}` : newName)], true);
+            });
+        };
+
+        // require("./api").oldName, (await import("./api")).oldName, and the module object stored in
+        // a variable or destructured; any other use cannot be followed and is reported
+        const renameModuleObjectHandler = (moduleNode, exportRenames) => {
+            const valueNode = moduleNode.parent.type === "AwaitExpression" ? moduleNode.parent : moduleNode;
+            const { parent } = valueNode;
+
+            // An import() left as a promise (import("./api").then(...)) does not hold the module yet
+            if (valueNode.type === "ImportExpression") {
+                unresolved.push(moduleNode);
+
+                return;
+            }
+
+            if (parent.type === "MemberExpression" && parent.object === valueNode && !parent.computed) {
+                const newName = exportRenames.get(parent.property.name);
+
+                if (newName) addEditsHandler([editFixer.replaceText(parent.property, newName)], true);
+
+                return;
+            }
+
+            if (parent.type === "VariableDeclarator" && parent.init === valueNode && parent.id.type === "ObjectPattern") {
+                renamePatternKeysHandler(parent.id, exportRenames);
+
+                return;
+            }
+
+            if (parent.type === "VariableDeclarator" && parent.init === valueNode && parent.id.type === "Identifier") {
+                const variable = findVariable(getNodeScope(context, parent), parent.id.name);
+
+                if (variable) {
+                    renameNamespaceMembersHandler(variable, exportRenames);
+
+                    return;
+                }
+            }
+
+            unresolved.push(moduleNode);
+        };
+
+        // Check if a call is the global require() with a string path
+        const isRequireCallHandler = (node) => node.callee.type === "Identifier"
+            && node.callee.name === "require"
+            && node.arguments.length === 1
+            && node.arguments[0].type === "Literal"
+            && typeof node.arguments[0].value === "string"
+            && !findVariable(getNodeScope(context, node), "require");
+
+        return {
+            CallExpression(node) {
+                if (!isRequireCallHandler(node)) return;
+
+                const exportRenames = getExportRenames(node.arguments[0].value);
+
+                if (exportRenames) renameModuleObjectHandler(node, exportRenames);
+            },
+            ImportExpression(node) {
+                if (node.source.type !== "Literal" || typeof node.source.value !== "string") return;
+
+                const exportRenames = getExportRenames(node.source.value);
+
+                if (exportRenames) renameModuleObjectHandler(node, exportRenames);
+            },
+            "Program:exit"(programNode) {
+                renames.forEach(({ from, range, to }) => {
+                    const identifier = sourceCode.getNodeByRangeIndex(range[0]);
+
+                    if (!identifier || identifier.type !== "Identifier" || identifier.name !== from) return;
+
+                    // The module's exported name changes too: importers are rewritten to the new name
+                    getDeclaredVariables(context, identifier)
+                        .forEach((variable) => addEditsHandler(renameVariableFixes(editFixer, variable, to, { keepExportedName: false }), false));
+                });
+
+                programNode.body.forEach((statement) => {
+                    if (statement.type === "ImportDeclaration") {
+                        const exportRenames = getExportRenames(statement.source.value);
+
+                        if (!exportRenames) return;
+
+                        statement.specifiers.forEach((specifier) => {
+                            if (specifier.type === "ImportSpecifier") renameImportSpecifierHandler(specifier, exportRenames);
+
+                            if (specifier.type === "ImportNamespaceSpecifier") {
+                                const variable = findVariable(getNodeScope(context, specifier), specifier.local.name);
+
+                                if (variable) renameNamespaceMembersHandler(variable, exportRenames);
+                            }
+                        });
+                    }
+
+                    if (statement.type === "ExportNamedDeclaration" && statement.source) {
+                        const exportRenames = getExportRenames(statement.source.value);
+
+                        if (!exportRenames) return;
+
+                        // export { oldName } from → export { newName } from (the barrel's own export follows)
+                        statement.specifiers.forEach((specifier) => {
+                            const newName = exportRenames.get(specifier.local.name);
+
+                            if (newName) addEditsHandler([editFixer.replaceText(specifier.local, newName)], true);
+                        });
+                    }
+                });
+
+                programNode.body
+                    .filter((statement) => statement.type === "ExportNamedDeclaration" && !statement.source)
+                    .forEach((statement) => statement.specifiers.forEach(renameReExportSpecifierHandler));
+            },
+        };
+    },
+    meta: { schema: false, type: "problem" },
+});
+
+/**
+ * Sort text edits, dropping duplicates and edits overlapping an earlier one
+ * @param {Array<{range: number[], text: string}>} edits - Edits
+ * @returns {Array<{range: number[], text: string}>} - Edits to apply, in source order
+ */
+const getAppliedEdits = (edits) => {
+    const sortedEdits = [...edits].sort((a, b) => a.range[0] - b.range[0]);
+
+    return sortedEdits.filter((edit, i) => sortedEdits
+        .slice(0, i)
+        .every((previous) => previous.range[1] <= edit.range[0]));
+};
+
+/**
+ * Apply text edits
+ * @param {string} text - File content
+ * @param {Array<{range: number[], text: string}>} appliedEdits - Edits from getAppliedEdits
+ * @returns {string} - Edited content
+ */
+const applyEdits = (text, appliedEdits) => appliedEdits
+    .reduceRight((result, { range, text: replacement }) => result.slice(0, range[0]) + replacement + result.slice(range[1]), text);
+
+/**
+ * Move an offset of the original text to where it lands after the edits
+ * @param {number} offset - Offset in the original text
+ * @param {Array<{range: number[], text: string}>} appliedEdits - Edits from getAppliedEdits
+ * @returns {number} - Offset in the edited text
+ */
+const shiftOffset = (offset, appliedEdits) => appliedEdits
+    .filter(({ range }) => range[0] < offset)
+    .reduce((result, { range, text }) => result + text.length - (range[1] - range[0]), offset);
+
+/**
+ * Apply the naming rules' renames to a whole project
+ * Function, variable and class renames reported by the naming rules are applied to the
+ * declaring file, and renamed exports are followed into every importing module, including
+ * re-exports through barrel (`index`) files, namespace imports and members of `require()` /
+ * `import()` results. A rename is skipped when the new name is already declared in the
+ * declaration's scope or in a scope referencing it. Each declaration is renamed at most once
+ * per run. Other uses of a `require()` / `import()` result whose exports were renamed cannot
+ * be followed and are listed as unresolved.
+ * @param {Object} options - Codemod options
+ * @param {string} options.cwd - Working directory
+ * @param {boolean} [options.dryRun] - Compute the changes without writing files
+ * @param {Object} options.eslintModule - The `eslint` package (ESLint and Linter classes)
+ * @param {string[]} options.paths - Files or directories holding the project's sources
+ * @returns {Promise<{changes: Object[], conflicts: Object[], errors: Object[], fileCount: number, unresolved: Object[]}>} - Changed files, skipped renames, parse errors and module uses left to check by hand
+ */
+export const fixNames = async ({ cwd, dryRun = false, eslintModule, paths }) => {
+    const { ESLint, Linter } = eslintModule;
+    const eslint = new ESLint({ cwd });
+    const linter = new Linter({ configType: "flat", cwd });
+    const files = collectSourceFiles(paths, cwd);
+    const fileSet = new Set(files);
+    const configs = new Map();
+    const contents = new Map();
+    const changes = new Map();
+    // Start offsets of the declarations renamed so far, per file
+    const renamedDeclarations = new Map();
+    const conflicts = [];
+    const errors = [];
+    const unresolved = [];
+
+    for (const filePath of files) {
+        const config = await getFileConfig(eslint, filePath, cwd);
+
+        if (config) {
+            configs.set(filePath, config);
+            contents.set(filePath, fs.readFileSync(filePath, "utf8"));
+        }
+    }
+
+    const toRelativePath = (filePath) => nodePath.relative(cwd, filePath).replace(/\\/g, "/");
+
+    const getChangeHandler = (filePath) => {
+        if (!changes.has(filePath)) changes.set(filePath, { file: toRelativePath(filePath), moduleReferences: 0, renames: [] });
+
+        return changes.get(filePath);
+    };
+
+    const lintHandler = (filePath, plugins, rules) => linter.verify(contents.get(filePath), [{
+        files: [`**/*{${SOURCE_EXTENSIONS.join(",")}}`],
+        languageOptions: configs.get(filePath).languageOptions,
+        plugins,
+        rules,
+        settings: configs.get(filePath).settings || {},
+    }], { filename: filePath });
+
+    // Analyze every file: declarations to rename and re-exports
+    const analyzeHandler = () => {
+        const analyses = new Map();
+
+        configs.forEach((config, filePath) => {
+            const reports = [];
+            const reExports = [];
+            const renames = [];
+            const rules = { "fix-names/re-exports": "error" };
+            const pluginRules = { "re-exports": createReExportsRule(reExports) };
+
+            NAMING_RULES.forEach(({ rule, ruleId }, i) => {
+                const ruleOptions = getRuleOptions(config, ruleId);
+
+                if (!ruleOptions) return;
+
+                const ruleReports = [];
+
+                reports.push({ index: i, ruleReports });
+                pluginRules[`naming-${i}`] = createRenameCollectingRule(rule, ruleReports);
+                rules[`fix-names/naming-${i}`] = ["error", ...ruleOptions];
+            });
+
+            const messages = lintHandler(filePath, { "fix-names": { rules: pluginRules } }, rules);
+            const fatalMessage = messages.find((message) => message.fatal);
+
+            if (fatalMessage) {
+                if (!errors.some(({ file }) => file === toRelativePath(filePath))) {
+                    errors.push({ file: toRelativePath(filePath), message: `${fatalMessage.line}:${fatalMessage.column} ${fatalMessage.message}` });
+                }
+
+                return;
+            }
+
+            const renamedRanges = new Set(renamedDeclarations.get(filePath));
+
+            const isCasingReport = ({ descriptor }) => CASING_MESSAGES.includes(descriptor.messageId);
+            const sortedReports = reports
+                .flatMap(({ index, ruleReports }) => ruleReports.map((report) => ({ ...report, index })))
+                .sort((a, b) => Number(isCasingReport(b)) - Number(isCasingReport(a)));
+
+            sortedReports.forEach(({ descriptor, index, isExported, isNameTaken, variables }) => {
+                const dataField = NAMING_RULES[index].messages[descriptor.messageId];
+                const { node } = descriptor;
+
+                if (!dataField || variables.length === 0 || renamedRanges.has(node.range[0])) return;
+
+                const to = descriptor.data[dataField];
+
+                if (!to || to === node.name) return;
+
+                renamedRanges.add(node.range[0]);
+
+                if (isNameTaken(to)) {
+                    const conflict = { file: toRelativePath(filePath), from: node.name, line: node.loc.start.line, to };
+
+                    if (!conflicts.some((known) => JSON.stringify(known) === JSON.stringify(conflict))) conflicts.push(conflict);
+
+                    return;
+                }
+
+                renames.push({ from: node.name, isExported, range: node.range, to });
+            });
+
+            // Source order for the summary
+            renames.sort((a, b) => a.range[0] - b.range[0]);
+            analyses.set(filePath, { reExports, renames, settings: config.settings || {} });
+        });
+
+        return analyses;
+    };
+
+    for (let pass = 0; pass < MAX_PASSES; pass += 1) {
+        const analyses = analyzeHandler();
+
+        // Exported names changing in each module, followed through re-exports
+        const exportRenames = new Map();
+
+        analyses.forEach(({ renames }, filePath) => {
+            renames.filter(({ isExported }) => isExported).forEach(({ from, to }) => {
+                if (!exportRenames.has(filePath)) exportRenames.set(filePath, new Map());
+
+                exportRenames.get(filePath).set(from, to);
+            });
+        });
+
+        let hasPropagated = true;
+
+        while (hasPropagated) {
+            hasPropagated = false;
+
+            analyses.forEach((analysis, filePath) => {
+                analysis.reExports.forEach(({ all, names, source }) => {
+                    const targetRenames = exportRenames.get(resolveImport(filePath, source, analysis, fileSet, cwd));
+
+                    if (!targetRenames) return;
+
+                    targetRenames.forEach((to, from) => {
+                        if (!all && !names.includes(from)) return;
+
+                        if (!exportRenames.has(filePath)) exportRenames.set(filePath, new Map());
+
+                        const barrelRenames = exportRenames.get(filePath);
+
+                        if (barrelRenames.get(from) !== to) {
+                            barrelRenames.set(from, to);
+                            hasPropagated = true;
+                        }
+                    });
+                });
+            });
+        }
+
+        let hasEdits = false;
+
+        analyses.forEach((analysis, filePath) => {
+            const edits = [];
+            const stats = { moduleReferences: 0 };
+            const unresolvedNodes = [];
+            const getExportRenames = (specifier) => exportRenames.get(resolveImport(filePath, specifier, analysis, fileSet, cwd)) || null;
+            const plan = { getExportRenames, ownExportRenames: exportRenames.get(filePath) || new Map(), renames: analysis.renames };
+
+            lintHandler(
+                filePath,
+                { "fix-names": { rules: { apply: createApplyRule(plan, edits, stats, unresolvedNodes) } } },
+                { "fix-names/apply": "error" },
+            );
+
+            unresolvedNodes.forEach((node) => {
+                const use = { file: toRelativePath(filePath), line: node.loc.start.line, module: contents.get(filePath).slice(...node.range) };
+
+                if (!unresolved.some((known) => JSON.stringify(known) === JSON.stringify(use))) unresolved.push(use);
+            });
+
+            if (edits.length === 0) return;
+
+            const content = contents.get(filePath);
+            const appliedEdits = getAppliedEdits(edits);
+            const editedContent = applyEdits(content, appliedEdits);
+
+            if (editedContent === content) return;
+
+            const change = getChangeHandler(filePath);
+            const renamedOffsets = [...(renamedDeclarations.get(filePath) || []), ...analysis.renames.map(({ range }) => range[0])];
+
+            contents.set(filePath, editedContent);
+            renamedDeclarations.set(filePath, new Set(renamedOffsets.map((offset) => shiftOffset(offset, appliedEdits))));
+            change.moduleReferences += stats.moduleReferences;
+            change.renames.push(...analysis.renames.map(({ from, isExported, to }) => ({ from, isExported, to })));
+            hasEdits = true;
+        });
+
+        if (!hasEdits) break;
+    }
+
+    if (!dryRun) changes.forEach((change, filePath) => fs.writeFileSync(filePath, contents.get(filePath)));
+
+    return {
+        changes: [...changes.values()].sort((a, b) => a.file.localeCompare(b.file)),
+        conflicts,
+        errors,
+        fileCount: configs.size,
+        unresolved,
+    };
+};
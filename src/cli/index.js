@@ -0,0 +1,195 @@
+import fs from "fs";
+import nodePath from "path";
+
+import { OUTPUT_FORMATS, extractStrings, extractToConstants, formatRecords } from "./extract-strings.js";
+import { fixNames } from "./fix-names.js";
+
+const USAGE = `Usage: code-style <command> [options]
+
+Commands:
+  extract-strings [paths...]   Report every string no-hardcoded-strings flags (default path: src)
+    --format <json|csv|po>     Output format (default: json)
+    --output <file>            Write to a file instead of stdout
+    --write                    Replace the strings with constants added to the strings/enums modules
+  fix-names [paths...]         Apply naming rule renames and update imports and re-exports (default path: src)
+    --dry-run                  List the renames without writing files
+
+Options:
+  --help                       Show this help
+  --version                    Show the plugin version
+`;
+
+/**
+ * Split command-line arguments into positionals and `--name value` / `--flag` options
+ * @param {string[]} args - Arguments after the command name
+ * @param {string[]} [flags] - Options that never take a value
+ * @returns {{options: Object, positionals: string[]}} - Parsed arguments
+ */
+const parseArgs = (args, flags = []) => args.reduce((parsed, arg, i) => {
+    if (parsed.skipNext) return { ...parsed, skipNext: false };
+
+    if (!arg.startsWith("--")) return { ...parsed, positionals: [...parsed.positionals, arg] };
+
+    const [name, inlineValue] = arg.slice(2).split("=");
+    const nextArg = args[i + 1];
+
+    if (inlineValue !== undefined) return { ...parsed, options: { ...parsed.options, [name]: inlineValue } };
+
+    if (nextArg !== undefined && !nextArg.startsWith("--") && !flags.includes(name)) {
+        return { ...parsed, options: { ...parsed.options, [name]: nextArg }, skipNext: true };
+    }
+
+    return { ...parsed, options: { ...parsed.options, [name]: true } };
+}, { options: {}, positionals: [], skipNext: false });
+
+/**
+ * Run `code-style extract-strings --write`
+ * @param {string[]} paths - Files or directories to scan
+ * @param {Object} io - Working directory and output streams
+ * @returns {Promise<number>} - Exit code
+ */
+const extractToConstantsCommand = async (paths, { cwd, stderr, stdout }) => {
+    const eslintModule = await import("eslint");
+    const { changes, errors, exports, fileCount, skipped } = await extractToConstants({ cwd, eslintModule, paths });
+    const replacements = changes.flatMap((change) => change.replacements);
+    const modules = [...new Set(exports.map(({ file }) => file))];
+
+    changes.forEach(({ file, replacements: fileReplacements }) => {
+        stdout.write(`${file}\n`);
+        fileReplacements.forEach(({ name, source, text }) => stdout.write(`  "${text}" → ${name} from ${source}\n`));
+    });
+
+    modules.forEach((module) => {
+        const moduleExports = exports.filter(({ file }) => file === module);
+
+        stdout.write(`${module}${moduleExports.some(({ isNew }) => isNew) ? " (created)" : ""}\n`);
+        moduleExports.forEach(({ name, value }) => stdout.write(`  + export const ${name} = ${JSON.stringify(value)};\n`));
+    });
+
+    skipped.forEach(({ column, file, line, message }) => stderr.write(`${file}:${line}:${column}: left in place, ${message}\n`));
+    errors.forEach(({ file, message }) => stderr.write(`${file}: ${message}\n`));
+    stderr.write(`Replaced ${replacements.length} strings in ${changes.length} of ${fileCount} files and added ${exports.length} constants to ${modules.length} modules\n`);
+
+    return errors.length > 0 ? 1 : 0;
+};
+
+/**
+ * Run `code-style extract-strings`
+ * @param {string[]} args - Arguments after the command name
+ * @param {Object} io - Working directory and output streams
+ * @returns {Promise<number>} - Exit code
+ */
+const extractStringsCommand = async (args, io) => {
+    const { cwd, stderr, stdout } = io;
+    const { options, positionals } = parseArgs(args, ["write"]);
+    const paths = positionals.length > 0 ? positionals : ["src"];
+
+    if (options.write) return extractToConstantsCommand(paths, io);
+
+    const format = options.format || "json";
+
+    if (!OUTPUT_FORMATS.includes(format)) {
+        stderr.write(`Unknown format "${format}". Use one of: ${OUTPUT_FORMATS.join(", ")}\n`);
+
+        return 2;
+    }
+
+    const eslintModule = await import("eslint");
+    const { errors, fileCount, records } = await extractStrings({ cwd, eslintModule, paths });
+    const output = formatRecords(records, format);
+
+    if (typeof options.output === "string") {
+        fs.writeFileSync(nodePath.resolve(cwd, options.output), output);
+    } else {
+        stdout.write(output);
+    }
+
+    errors.forEach(({ file, message }) => stderr.write(`${file}: ${message}\n`));
+    stderr.write(`Extracted ${records.length} strings from ${fileCount} files\n`);
+
+    return errors.length > 0 ? 1 : 0;
+};
+
+/**
+ * Run `code-style fix-names`
+ * @param {string[]} args - Arguments after the command name
+ * @param {Object} io - Working directory and output streams
+ * @returns {Promise<number>} - Exit code
+ */
+const fixNamesCommand = async (args, { cwd, stderr, stdout }) => {
+    const { options, positionals } = parseArgs(args, ["dry-run"]);
+    const dryRun = Boolean(options["dry-run"]);
+    const eslintModule = await import("eslint");
+    const { changes, conflicts, errors, fileCount, unresolved } = await fixNames({
+        cwd,
+        dryRun,
+        eslintModule,
+        paths: positionals.length > 0 ? positionals : ["src"],
+    });
+    const renames = changes.flatMap((change) => change.renames);
+
+    changes.forEach(({ file, moduleReferences, renames: fileRenames }) => {
+        stdout.write(`${file}\n`);
+        fileRenames.forEach(({ from, to }) => stdout.write(`  ${from} → ${to}\n`));
+
+        if (moduleReferences > 0) stdout.write(`  ${moduleReferences} import/export references updated\n`);
+    });
+
+    conflicts.forEach(({ file, from, line, to }) => {
+        stderr.write(`${file}:${line}: skipped ${from} → ${to}, the name is already declared\n`);
+    });
+    unresolved.forEach(({ file, line, module }) => {
+        stderr.write(`${file}:${line}: ${module} is used in a way that cannot be followed, check its renamed exports by hand\n`);
+    });
+    errors.forEach(({ file, message }) => stderr.write(`${file}: ${message}\n`));
+
+    const exportedCount = renames.filter((rename) => rename.isExported).length;
+
+    stderr.write(`Renamed ${renames.length} names (${exportedCount} exported) in ${changes.length} of ${fileCount} files${dryRun ? " (dry run, no files written)" : ""}\n`);
+
+    return errors.length > 0 ? 1 : 0;
+};
+
+// Command name → handler
+const COMMANDS = {
+    "extract-strings": extractStringsCommand,
+    "fix-names": fixNamesCommand,
+};
+
+/**
+ * Run the code-style CLI
+ * @param {string[]} argv - Arguments after the executable (process.argv.slice(2))
+ * @param {Object} [io] - Working directory and output streams (defaults to the process)
+ * @returns {Promise<number>} - Exit code
+ */
+export const runCli = async (argv, io = { cwd: process.cwd(), stderr: process.stderr, stdout: process.stdout }) => {
+    const [commandName, ...args] = argv;
+
+    if (!commandName || commandName === "--help") {
+        io.stdout.write(USAGE);
+
+        return 0;
+    }
+
+    if (commandName === "--version") {
+        io.stdout.write(`${__VERSION__}\n`);
+
+        return 0;
+    }
+
+    const command = COMMANDS[commandName];
+
+    if (!command) {
+        io.stderr.write(`Unknown command "${commandName}"\n\n${USAGE}`);
+
+        return 2;
+    }
+
+    try {
+        return await command(args, io);
+    } catch (error) {
+        io.stderr.write(`${error.message}\n`);
+
+        return 1;
+    }
+};
@@ -0,0 +1,116 @@
+import fs from "fs";
+import { createRequire } from "module";
+import nodePath from "path";
+
+export const SOURCE_EXTENSIONS = [".cjs", ".js", ".jsx", ".mjs", ".ts", ".tsx"];
+
+// Folders never holding source worth scanning
+const SKIPPED_DIRECTORIES = new Set(["build", "coverage", "dist", "node_modules", "out"]);
+
+/**
+ * Collect the source files below the given paths (hidden and build folders are skipped)
+ * @param {string[]} paths - Files or directories, relative to cwd
+ * @param {string} cwd - Working directory
+ * @returns {string[]} - Absolute file paths, sorted
+ */
+export const collectSourceFiles = (paths, cwd) => {
+    const files = [];
+
+    const walkHandler = (entryPath) => {
+        const stat = fs.statSync(entryPath);
+
+        if (stat.isFile()) {
+            if (SOURCE_EXTENSIONS.includes(nodePath.extname(entryPath))) files.push(entryPath);
+
+            return;
+        }
+
+        fs.readdirSync(entryPath, { withFileTypes: true }).forEach((dirent) => {
+            if (dirent.name.startsWith(".") || (dirent.isDirectory() && SKIPPED_DIRECTORIES.has(dirent.name))) return;
+
+            walkHandler(nodePath.join(entryPath, dirent.name));
+        });
+    };
+
+    paths.forEach((path) => walkHandler(nodePath.resolve(cwd, path)));
+
+    return [...new Set(files)].sort();
+};
+
+/**
+ * Build the config used when the project has no ESLint config file
+ * TypeScript files are parsed with @typescript-eslint/parser when the project has it installed.
+ * @param {string} filePath - Absolute file path
+ * @param {string} cwd - Working directory
+ * @returns {Object} - Resolved-config-like object (languageOptions, rules, settings)
+ */
+const getDefaultConfig = (filePath, cwd) => {
+    const languageOptions = {
+        ecmaVersion: "latest",
+        parserOptions: { ecmaFeatures: { jsx: true } },
+        sourceType: "module",
+    };
+
+    if (/\.tsx?$/.test(filePath)) {
+        try {
+            languageOptions.parser = createRequire(nodePath.join(cwd, "package.json"))("@typescript-eslint/parser");
+        } catch {
+            // Without the parser, type annotations surface as parse errors for the file
+        }
+    }
+
+    return { languageOptions, rules: {}, settings: {} };
+};
+
+/**
+ * Get the config ESLint would use for a file, so rules run with the project's
+ * parser, options and settings
+ * @param {Object|null} eslint - ESLint instance, or null to use the default config
+ * @param {string} filePath - Absolute file path
+ * @param {string} cwd - Working directory
+ * @returns {Promise<Object|null>} - Config, or null when the file is ignored
+ */
+export const getFileConfig = async (eslint, filePath, cwd) => {
+    if (!eslint) return getDefaultConfig(filePath, cwd);
+
+    try {
+        return (await eslint.calculateConfigForFile(filePath)) || null;
+    } catch (error) {
+        if (error.messageTemplate === "config-file-missing") return getDefaultConfig(filePath, cwd);
+
+        throw error;
+    }
+};
+
+/**
+ * Wrap a rule so its reports are collected instead of emitted
+ * @param {Object} rule - ESLint rule
+ * @param {Object[]} reports - Array receiving the report descriptors
+ * @returns {Object} - ESLint rule
+ */
+export const createCollectingRule = (rule, reports) => ({
+    create(context) {
+        const collectingContext = Object.create(context, {
+            report: { value: (descriptor) => reports.push(descriptor) },
+        });
+
+        return rule.create(collectingContext);
+    },
+    meta: rule.meta,
+});
+
+/**
+ * Get the options a project config sets for a rule
+ * @param {Object} config - Config from getFileConfig
+ * @param {string} ruleId - Rule id ("code-style/no-hardcoded-strings")
+ * @returns {Array|null} - Rule options (empty when the rule is not configured), or null when it is turned off
+ */
+export const getRuleOptions = (config, ruleId) => {
+    const ruleEntry = config.rules && config.rules[ruleId];
+
+    if (ruleEntry === undefined) return [];
+
+    const [severity, ...ruleOptions] = Array.isArray(ruleEntry) ? ruleEntry : [ruleEntry];
+
+    return severity === 0 || severity === "off" ? null : ruleOptions;
+};
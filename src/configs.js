@@ -0,0 +1,164 @@
+/**
+ * ───────────────────────────────────────────────────────────────
+ * Built-in Flat Config Presets
+ * ───────────────────────────────────────────────────────────────
+ *
+ * Description:
+ *   Ready-to-use flat config objects exposed as `plugin.configs`.
+ *   Each preset registers the plugin under the "code-style"
+ *   namespace and enables its rule set at "error", matching the
+ *   files under recommended-configs/.
+ *
+ * Presets:
+ *   - recommended: Language-agnostic formatting and naming rules
+ *   - react:       recommended + component, hook, JSX and ordering rules
+ *   - typescript:  TypeScript-only rules for .ts/.tsx files (add on top of react)
+ *   - tailwind:    className/Tailwind rules (add on top of react)
+ *   - all:         Every rule in the plugin
+ *
+ *   No preset sets a parser: TypeScript projects add
+ *   @typescript-eslint/parser for .ts/.tsx files themselves.
+ *
+ * ✓ Good:
+ *   export default [
+ *       codeStyle.configs.react,
+ *       codeStyle.configs.typescript,
+ *       codeStyle.configs.tailwind,
+ *   ];
+ */
+
+// File globs each preset applies to
+const SCRIPT_FILES = ["**/*.{js,jsx,mjs,cjs,ts,tsx,mts,cts}"];
+const TYPESCRIPT_FILES = ["**/*.{ts,tsx,mts,cts}"];
+
+// Rules that apply to any JavaScript/TypeScript codebase
+const RECOMMENDED_RULES = [
+    "absolute-imports-only",
+    "array-callback-destructure",
+    "array-items-per-line",
+    "array-objects-on-new-lines",
+    "arrow-function-block-body",
+    "arrow-function-simplify",
+    "assignment-value-same-line",
+    "block-statement-newlines",
+    "class-member-order",
+    "class-method-definition-format",
+    "class-naming-convention",
+    "comment-format",
+    "curried-arrow-same-line",
+    "empty-line-after-block",
+    "export-format",
+    "function-arguments-format",
+    "function-call-spacing",
+    "function-declaration-style",
+    "function-naming-convention",
+    "function-object-destructure",
+    "function-params-per-line",
+    "if-else-spacing",
+    "if-statement-format",
+    "import-format",
+    "import-source-spacing",
+    "index-export-style",
+    "index-exports-only",
+    "inline-export-declaration",
+    "logical-expression-multiline",
+    "member-expression-bracket-spacing",
+    "module-index-exports",
+    "multiline-if-conditions",
+    "nested-call-closing-brackets",
+    "no-empty-lines-in-function-calls",
+    "no-empty-lines-in-function-params",
+    "no-empty-lines-in-objects",
+    "no-empty-lines-in-switch-cases",
+    "no-hardcoded-strings",
+    "object-property-per-line",
+    "object-property-value-brace",
+    "object-property-value-format",
+    "opening-brackets-same-line",
+    "simple-call-single-line",
+    "single-argument-on-one-line",
+    "string-property-spacing",
+    "ternary-condition-multiline",
+    "variable-naming-convention",
+];
+
+// Rules for React components, hooks and JSX
+const REACT_RULES = [
+    "arrow-function-simple-jsx",
+    "component-props-destructure",
+    "folder-based-naming-convention",
+    "folder-structure-consistency",
+    "hook-callback-format",
+    "hook-deps-per-line",
+    "hook-file-naming-convention",
+    "hook-function-naming-convention",
+    "jsx-children-on-new-line",
+    "jsx-closing-bracket-spacing",
+    "jsx-element-child-new-line",
+    "jsx-logical-expression-simplify",
+    "jsx-parentheses-position",
+    "jsx-prop-naming-convention",
+    "jsx-simple-element-one-line",
+    "jsx-string-value-trim",
+    "jsx-ternary-format",
+    "no-empty-lines-in-jsx",
+    "no-redundant-folder-suffix",
+    "react-code-order",
+    "svg-icon-naming-convention",
+    "use-state-naming-convention",
+];
+
+// Rules that only apply to TypeScript syntax
+const TYPESCRIPT_RULES = [
+    "component-props-inline-type",
+    "enum-format",
+    "enum-type-enforcement",
+    "interface-format",
+    "no-inline-type-definitions",
+    "prop-naming-convention",
+    "type-annotation-spacing",
+    "type-format",
+    "typescript-definition-location",
+];
+
+// Rules for className strings (Tailwind CSS aware)
+const TAILWIND_RULES = [
+    "classname-dynamic-at-end",
+    "classname-multiline",
+    "classname-no-conflicts",
+    "classname-no-extra-spaces",
+    "classname-order",
+    "classname-shorthand",
+];
+
+/**
+ * Build a rules object with every rule prefixed by the plugin namespace
+ * @param {string[]} ruleNames - Unprefixed rule names
+ * @param {string} severity - Severity applied to every rule
+ * @returns {Object} - Flat config rules object
+ */
+const buildRules = (ruleNames, severity = "error") => Object.fromEntries(ruleNames
+    .toSorted()
+    .map((ruleName) => [`code-style/${ruleName}`, severity]));
+
+/**
+ * Create the flat config presets for the plugin
+ * @param {Object} plugin - The plugin object the presets register
+ * @returns {Object} - Presets keyed by name
+ */
+export const createConfigs = (plugin) => {
+    const createPreset = (name, ruleNames, files = SCRIPT_FILES) => ({
+        files,
+        name: `code-style/${name}`,
+        plugins: { "code-style": plugin },
+        rules: buildRules(ruleNames),
+    });
+
+    return {
+        all: createPreset("all", Object.keys(plugin.rules)),
+        react: createPreset("react", [...RECOMMENDED_RULES, ...REACT_RULES]),
+        recommended: createPreset("recommended", RECOMMENDED_RULES),
+        tailwind: createPreset("tailwind", TAILWIND_RULES),
+        typescript: createPreset("typescript", TYPESCRIPT_RULES, TYPESCRIPT_FILES),
+    };
+};
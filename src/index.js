@@ -1,3 +1,4 @@
+import { createConfigs } from "./configs.js";
 import { arrayCallbackDestructure, arrayItemsPerLine, arrayObjectsOnNewLines } from "./rules/arrays.js";
 import {
     arrowFunctionBlockBody,
@@ -13,7 +14,7 @@ import {
     simpleCallSingleLine,
     singleArgumentOnOneLine,
 } from "./rules/call-expressions.js";
-import { classMethodDefinitionFormat, classNamingConvention } from "./rules/classes.js";
+import { classMemberOrder, classMethodDefinitionFormat, classNamingConvention } from "./rules/classes.js";
 import { commentFormat } from "./rules/comments.js";
 import {
     componentPropsDestructure,
@@ -55,8 +56,10 @@ import {
 import {
     classNameDynamicAtEnd,
     classNameMultiline,
+    classNameNoConflicts,
     classNameNoExtraSpaces,
     classNameOrder,
+    classNameShorthand,
     jsxChildrenOnNewLine,
     jsxClosingBracketSpacing,
     jsxElementChildNewLine,
@@ -90,7 +93,7 @@ import {
 } from "./rules/typescript.js";
 import { variableNamingConvention } from "./rules/variables.js";
 
-export default {
+const plugin = {
     meta: {
         name: "eslint-plugin-code-style",
         version: __VERSION__,
@@ -140,6 +143,7 @@ export default {
         "ternary-condition-multiline": ternaryConditionMultiline,
 
         // Class rules
+        "class-member-order": classMemberOrder,
         "class-method-definition-format": classMethodDefinitionFormat,
         "class-naming-convention": classNamingConvention,
 
@@ -171,8 +175,10 @@ export default {
         // JSX rules
         "classname-dynamic-at-end": classNameDynamicAtEnd,
         "classname-multiline": classNameMultiline,
+        "classname-no-conflicts": classNameNoConflicts,
         "classname-no-extra-spaces": classNameNoExtraSpaces,
         "classname-order": classNameOrder,
+        "classname-shorthand": classNameShorthand,
         "jsx-children-on-new-line": jsxChildrenOnNewLine,
         "jsx-closing-bracket-spacing": jsxClosingBracketSpacing,
         "jsx-element-child-new-line": jsxElementChildNewLine,
@@ -212,3 +218,9 @@ export default {
         "variable-naming-convention": variableNamingConvention,
     },
 };
+
+plugin.configs = createConfigs(plugin);
+
+export { clearFileSystemCache } from "./utils/fs-cache.js";
+
+export default plugin;
@@ -1,3 +1,6 @@
+import { getCollapseFix, hasEmptyLineBetween } from "../utils/empty-lines.js";
+import { getLineIndent, getShiftedText } from "../utils/indent.js";
+
 /**
  * ───────────────────────────────────────────────────────────────
  * Rule: Array Items Per Line
@@ -79,11 +82,8 @@ const arrayItemsPerLine = {
                     if (colonToken && colonToken.value === ":") {
                         if (openBracket.loc.start.line !== colonToken.loc.end.line) {
                             context.report({
-                                fix: (fixer) => fixer.replaceTextRange(
-                                    [colonToken.range[1], openBracket.range[0]],
-                                    " ",
-                                ),
-                                message: "Array should start on same line as property key",
+                                fix: getCollapseFix(sourceCode, colonToken.range[1], openBracket.range[0], " "),
+                                messageId: "arrayStartSameLine",
                                 node: openBracket,
                             });
                         }
@@ -105,6 +105,9 @@ const arrayItemsPerLine = {
 
                 const itemIndent = baseIndent + "    ";
 
+                // Rebuilding the items drops comments and would close up holes ([a, , b])
+                const canRebuild = sourceCode.getCommentsInside(node).length === 0 && !elements.includes(null);
+
                 // maxItems or less items: should be on one line with no extra spaces
                 if (elements.length <= maxItems) {
                     const isMultiLine = node.loc.start.line !== node.loc.end.line;
@@ -126,11 +129,11 @@ const arrayItemsPerLine = {
                                 .join(", ");
 
                             context.report({
-                                fix: (fixer) => fixer.replaceText(
+                                fix: canRebuild ? (fixer) => fixer.replaceText(
                                     node,
                                     `[${itemsText}]`,
-                                ),
-                                message: "No spaces inside array brackets",
+                                ) : null,
+                                messageId: "noSpacesInsideArray",
                                 node,
                             });
                         }
@@ -145,13 +148,15 @@ const arrayItemsPerLine = {
                         .join(", ");
                     const singleLine = `[${itemsText}]`;
 
-                    if (singleLine.length <= 100) {
+                    // Items spanning several lines cannot be joined onto one
+                    if (singleLine.length <= 100 && !singleLine.includes("\n")) {
                         context.report({
-                            fix: (fixer) => fixer.replaceText(
+                            data: { maxItems },
+                            fix: canRebuild ? (fixer) => fixer.replaceText(
                                 node,
                                 singleLine,
-                            ),
-                            message: `Array with ≤${maxItems} simple items should be single line: [a, b, c]. Multi-line only for >${maxItems} items or complex values`,
+                            ) : null,
+                            messageId: "arraySimpleItemsSingle",
                             node,
                         });
                     }
@@ -161,23 +166,17 @@ const arrayItemsPerLine = {
 
                 // More than maxItems: each on its own line
                 // Check for empty line after opening bracket
-                if (firstElement.loc.start.line > openBracket.loc.end.line + 1) {
+                if (hasEmptyLineBetween(sourceCode, openBracket.range[1], firstElement.range[0])) {
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [openBracket.range[1], firstElement.range[0]],
-                            "\n" + itemIndent,
-                        ),
-                        message: "No empty line after opening bracket",
+                        fix: getCollapseFix(sourceCode, openBracket.range[1], firstElement.range[0], "\n" + itemIndent),
+                        messageId: "noEmptyLineAfter",
                         node: firstElement,
                     });
                 } else if (openBracket.loc.end.line === firstElement.loc.start.line) {
                     // First element on same line as bracket - move to new line
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [openBracket.range[1], firstElement.range[0]],
-                            "\n" + itemIndent,
-                        ),
-                        message: "First array item should be on its own line",
+                        fix: getCollapseFix(sourceCode, openBracket.range[1], firstElement.range[0], "\n" + itemIndent),
+                        messageId: "firstArrayItemOwn",
                         node: firstElement,
                     });
                 }
@@ -197,23 +196,17 @@ const arrayItemsPerLine = {
                     if (current.loc.end.line === next.loc.start.line) {
                         if (commaToken) {
                             context.report({
-                                fix: (fixer) => fixer.replaceTextRange(
-                                    [commaToken.range[1], next.range[0]],
-                                    "\n" + itemIndent,
-                                ),
-                                message: "Each array item should be on its own line",
+                                fix: getCollapseFix(sourceCode, commaToken.range[1], next.range[0], "\n" + itemIndent),
+                                messageId: "eachArrayItemOwn",
                                 node: next,
                             });
                         }
-                    } else if (next.loc.start.line > current.loc.end.line + 1) {
+                    } else if (hasEmptyLineBetween(sourceCode, current.range[1], next.range[0])) {
                         // Empty lines between elements
                         if (commaToken) {
                             context.report({
-                                fix: (fixer) => fixer.replaceTextRange(
-                                    [commaToken.range[1], next.range[0]],
-                                    "\n" + itemIndent,
-                                ),
-                                message: "No empty lines between array items",
+                                fix: getCollapseFix(sourceCode, commaToken.range[1], next.range[0], "\n" + itemIndent),
+                                messageId: "noEmptyLinesBetween",
                                 node: next,
                             });
                         }
@@ -223,24 +216,14 @@ const arrayItemsPerLine = {
                 // Check for empty line before closing bracket
                 const tokenBeforeClose = sourceCode.getTokenBefore(closeBracket);
 
-                if (closeBracket.loc.start.line > lastElement.loc.end.line + 1) {
+                if (hasEmptyLineBetween(sourceCode, lastElement.range[1], closeBracket.range[0])) {
                     const hasTrailingComma = tokenBeforeClose && tokenBeforeClose.value === ",";
 
                     context.report({
-                        fix: (fixer) => {
-                            if (hasTrailingComma) {
-                                return fixer.replaceTextRange(
-                                    [tokenBeforeClose.range[1], closeBracket.range[0]],
-                                    "\n" + baseIndent,
-                                );
-                            }
-
-                            return fixer.replaceTextRange(
-                                [lastElement.range[1], closeBracket.range[0]],
-                                ",\n" + baseIndent,
-                            );
-                        },
-                        message: "No empty line before closing bracket",
+                        fix: hasTrailingComma
+                            ? getCollapseFix(sourceCode, tokenBeforeClose.range[1], closeBracket.range[0], "\n" + baseIndent)
+                            : getCollapseFix(sourceCode, lastElement.range[1], closeBracket.range[0], ",\n" + baseIndent),
+                        messageId: "noEmptyLineBefore",
                         node: closeBracket,
                     });
                 } else if (closeBracket.loc.start.line === lastElement.loc.end.line) {
@@ -248,20 +231,10 @@ const arrayItemsPerLine = {
                     const hasTrailingComma = tokenBeforeClose && tokenBeforeClose.value === ",";
 
                     context.report({
-                        fix: (fixer) => {
-                            if (hasTrailingComma) {
-                                return fixer.replaceTextRange(
-                                    [tokenBeforeClose.range[1], closeBracket.range[0]],
-                                    "\n" + baseIndent,
-                                );
-                            }
-
-                            return fixer.replaceTextRange(
-                                [lastElement.range[1], closeBracket.range[0]],
-                                ",\n" + baseIndent,
-                            );
-                        },
-                        message: "Closing bracket should be on its own line",
+                        fix: hasTrailingComma
+                            ? getCollapseFix(sourceCode, tokenBeforeClose.range[1], closeBracket.range[0], "\n" + baseIndent)
+                            : getCollapseFix(sourceCode, lastElement.range[1], closeBracket.range[0], ",\n" + baseIndent),
+                        messageId: "closingBracketOwnLine",
                         node: closeBracket,
                     });
                 }
@@ -271,6 +244,17 @@ const arrayItemsPerLine = {
     meta: {
         docs: { description: "Enforce array formatting based on item count (default: ≤3 on one line, >3 each on new line)" },
         fixable: "code",
+        messages: {
+            arraySimpleItemsSingle: "Array with ≤{{maxItems}} simple items should be single line: [a, b, c]. Multi-line only for >{{maxItems}} items or complex values",
+            arrayStartSameLine: "Array should start on same line as property key",
+            closingBracketOwnLine: "Closing bracket should be on its own line",
+            eachArrayItemOwn: "Each array item should be on its own line",
+            firstArrayItemOwn: "First array item should be on its own line",
+            noEmptyLineAfter: "No empty line after opening bracket",
+            noEmptyLineBefore: "No empty line before closing bracket",
+            noEmptyLinesBetween: "No empty lines between array items",
+            noSpacesInsideArray: "No spaces inside array brackets",
+        },
         schema: [
             {
                 additionalProperties: false,
@@ -318,7 +302,7 @@ const arrayCallbackDestructure = {
             "sort", "toSorted",
         ];
 
-        const checkDestructuringHandler = (pattern, callNode) => {
+        const checkDestructuringHandler = (pattern) => {
             if (pattern.type !== "ObjectPattern") return;
 
             const properties = pattern.properties.filter((p) => p.type === "Property");
@@ -327,30 +311,41 @@ const arrayCallbackDestructure = {
             if (properties.length < 2) return;
 
             const firstProp = properties[0];
-            const lastProp = properties[properties.length - 1];
-            const closeBrace = sourceCode.getLastToken(pattern);
+            const lastProp = pattern.properties[pattern.properties.length - 1];
+            const openBrace = sourceCode.getFirstToken(pattern);
 
-            // Calculate indent based on the call expression
-            const callLine = sourceCode.lines[callNode.loc.start.line - 1];
-            const baseIndent = callLine.match(/^\s*/)[0];
-            const propIndent = baseIndent + "        ";
+            // A TypeScript annotation ({ a, b }: Item) is part of the pattern, so find the brace before it
+            const closeBrace = pattern.typeAnnotation
+                ? sourceCode.getTokenBefore(pattern.typeAnnotation)
+                : sourceCode.getLastToken(pattern);
+
+            // Properties go one level below the line of "{", and "}" back at that line's indentation
+            const baseIndent = getLineIndent(sourceCode, openBrace);
+            const propIndent = baseIndent + "    ";
+            const hasComments = sourceCode.commentsExistBetween(openBrace, closeBrace);
 
             // Check if all properties are on the same line (need full reformat)
             if (firstProp.loc.start.line === lastProp.loc.end.line) {
-                context.report({
-                    fix(fixer) {
-                        const openBrace = sourceCode.getFirstToken(pattern);
+                const propTexts = pattern.properties.map((prop) => getShiftedText(
+                    sourceCode,
+                    prop,
+                    propIndent.length - getLineIndent(sourceCode, prop).length,
+                ));
+                const canRewrite = !hasComments && !propTexts.includes(null);
 
-                        const propsText = properties
-                            .map((prop) => propIndent + sourceCode.getText(prop))
-                            .join(",\n");
+                context.report({
+                    fix: canRewrite ? (fixer) => {
+                        // A rest element must stay last and cannot take a trailing comma
+                        const propsText = pattern.properties
+                            .map((prop, index) => `${propIndent}${propTexts[index]}${prop.type === "RestElement" ? "" : ","}`)
+                            .join("\n");
 
                         return fixer.replaceTextRange(
                             [openBrace.range[0], closeBrace.range[1]],
-                            `{\n${propsText},\n${baseIndent}    }`,
+                            `{\n${propsText}\n${baseIndent}}`,
                         );
-                    },
-                    message: "Destructured properties in array callback should each be on their own line when there are 2 or more properties",
+                    } : null,
+                    messageId: "destructuredPropertiesArrayCallback",
                     node: pattern,
                 });
 
@@ -359,25 +354,14 @@ const arrayCallbackDestructure = {
 
             // Check if closing brace is on the same line as last property (needs fixing)
             if (closeBrace.loc.start.line === lastProp.loc.end.line) {
-                context.report({
-                    fix(fixer) {
-                        // Add trailing comma if missing and move closing brace to new line
-                        const tokenBeforeClose = sourceCode.getTokenBefore(closeBrace);
-                        const hasTrailingComma = tokenBeforeClose.value === ",";
-
-                        if (hasTrailingComma) {
-                            return fixer.replaceTextRange(
-                                [tokenBeforeClose.range[1], closeBrace.range[0]],
-                                "\n" + baseIndent + "    ",
-                            );
-                        }
+                // Add trailing comma if missing and move closing brace to new line
+                const tokenBeforeClose = sourceCode.getTokenBefore(closeBrace);
+                const hasTrailingComma = tokenBeforeClose.value === ",";
+                const comma = hasTrailingComma || lastProp.type === "RestElement" ? "" : ",";
 
-                        return fixer.replaceTextRange(
-                            [lastProp.range[1], closeBrace.range[0]],
-                            ",\n" + baseIndent + "    ",
-                        );
-                    },
-                    message: "Closing brace should be on its own line in multiline destructuring",
+                context.report({
+                    fix: getCollapseFix(sourceCode, tokenBeforeClose.range[1], closeBrace.range[0], `${comma}\n${baseIndent}`),
+                    messageId: "closingBraceOwnLine",
                     node: closeBrace,
                 });
             }
@@ -400,7 +384,7 @@ const arrayCallbackDestructure = {
                 if (callback.type === "ArrowFunctionExpression" || callback.type === "FunctionExpression") {
                     // Check each parameter
                     callback.params.forEach((param) => {
-                        checkDestructuringHandler(param, node);
+                        checkDestructuringHandler(param);
                     });
                 }
             },
@@ -409,6 +393,10 @@ const arrayCallbackDestructure = {
     meta: {
         docs: { description: "Enforce multiline destructuring in array method callbacks (map, filter, find, etc.) when there are 2+ properties" },
         fixable: "code",
+        messages: {
+            closingBraceOwnLine: "Closing brace should be on its own line in multiline destructuring",
+            destructuredPropertiesArrayCallback: "Destructured properties in array callback should each be on their own line when there are 2 or more properties",
+        },
         schema: [],
         type: "layout",
     },
@@ -437,6 +425,29 @@ const arrayObjectsOnNewLines = {
     create(context) {
         const sourceCode = context.sourceCode || context.getSourceCode();
 
+        // Fix putting every element on its own line one level below the line of "[", each followed by
+        // a comma and with its other lines re-indented, so one pass settles the array; not offered
+        // when comments, holes or multiline template literals are inside
+        const rewriteElementsFix = (node, baseIndent) => {
+            const elementIndent = baseIndent + "    ";
+            const { elements } = node;
+
+            if (elements.includes(null) || sourceCode.getCommentsInside(node).length > 0) return null;
+
+            const elementTexts = elements.map((element) => getShiftedText(
+                sourceCode,
+                element,
+                elementIndent.length - getLineIndent(sourceCode, element).length,
+            ));
+
+            if (elementTexts.includes(null)) return null;
+
+            return (fixer) => fixer.replaceText(
+                node,
+                `[\n${elementTexts.map((text) => `${elementIndent}${text},`).join("\n")}\n${baseIndent}]`,
+            );
+        };
+
         return {
             ArrayExpression(node) {
                 const elements = node.elements;
@@ -453,6 +464,9 @@ const arrayObjectsOnNewLines = {
                 if (node.loc.start.line === node.loc.end.line) return;
 
                 const openBracket = sourceCode.getFirstToken(node);
+                const baseIndent = getLineIndent(sourceCode, openBracket);
+                const elementIndent = baseIndent + "    ";
+                const rewriteFix = rewriteElementsFix(node, baseIndent);
 
                 // Check first object element
                 const firstElement = elements[0];
@@ -460,15 +474,9 @@ const arrayObjectsOnNewLines = {
                 if (firstElement && firstElement.type === "ObjectExpression") {
                     // Check if [ and { are on the same line
                     if (openBracket.loc.end.line === firstElement.loc.start.line) {
-                        const openBrace = sourceCode.getFirstToken(firstElement);
-                        const indent = " ".repeat(openBracket.loc.start.column + 4);
-
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [openBracket.range[1], openBrace.range[0]],
-                                "\n" + indent,
-                            ),
-                            message: "First object in array should start on a new line",
+                            fix: rewriteFix || getCollapseFix(sourceCode, openBracket.range[1], firstElement.range[0], "\n" + elementIndent),
+                            messageId: "firstObjectArrayStart",
                             node: firstElement,
                         });
                     }
@@ -479,40 +487,12 @@ const arrayObjectsOnNewLines = {
                 const lastElement = elements[elements.length - 1];
 
                 if (lastElement && lastElement.type === "ObjectExpression") {
-                    const lastBrace = sourceCode.getLastToken(lastElement);
-                    const tokenAfterBrace = sourceCode.getTokenAfter(lastBrace);
-
-                    // Skip trailing comma if present
-                    let tokenBeforeCloseBracket = tokenAfterBrace;
-
-                    if (tokenAfterBrace && tokenAfterBrace.value === ",") {
-                        tokenBeforeCloseBracket = sourceCode.getTokenAfter(tokenAfterBrace);
-                    }
-
                     // Check if } (or },) and ] are on same line - they should NOT be
-                    if (lastBrace.loc.end.line === closeBracket.loc.start.line) {
-                        const indent = " ".repeat(openBracket.loc.start.column);
-
+                    if (lastElement.loc.end.line === closeBracket.loc.start.line) {
                         context.report({
-                            fix: (fixer) => {
-                                // Find the actual content between last element and ]
-                                const textBetween = sourceCode.text.slice(lastElement.range[1], closeBracket.range[0]);
-                                const hasComma = textBetween.includes(",");
-
-                                if (hasComma) {
-                                    // Replace from after the object to before ]
-                                    return fixer.replaceTextRange(
-                                        [lastElement.range[1], closeBracket.range[0]],
-                                        ",\n" + indent,
-                                    );
-                                }
-
-                                return fixer.replaceTextRange(
-                                    [lastElement.range[1], closeBracket.range[0]],
-                                    ",\n" + indent,
-                                );
-                            },
-                            message: "Closing bracket should be on its own line after array of objects",
+                            // The comma, if any, is rewritten right after the object
+                            fix: rewriteFix || getCollapseFix(sourceCode, lastElement.range[1], closeBracket.range[0], ",\n" + baseIndent),
+                            messageId: "closingBracketOwnLine",
                             node: closeBracket,
                         });
                     }
@@ -533,15 +513,9 @@ const arrayObjectsOnNewLines = {
 
                     // Check if previous element's closing and current element's opening are on same line
                     if (commaToken.loc.end.line === currentElement.loc.start.line) {
-                        const indent = " ".repeat(openBracket.loc.start.column + 4);
-                        const openBrace = sourceCode.getFirstToken(currentElement);
-
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [commaToken.range[1], openBrace.range[0]],
-                                "\n" + indent,
-                            ),
-                            message: "Each object in array should start on a new line",
+                            fix: rewriteFix || getCollapseFix(sourceCode, commaToken.range[1], currentElement.range[0], "\n" + elementIndent),
+                            messageId: "eachObjectArrayStart",
                             node: currentElement,
                         });
                     }
@@ -552,6 +526,11 @@ const arrayObjectsOnNewLines = {
     meta: {
         docs: { description: "Enforce array of objects to have each object on a new line" },
         fixable: "code",
+        messages: {
+            closingBracketOwnLine: "Closing bracket should be on its own line after array of objects",
+            eachObjectArrayStart: "Each object in array should start on a new line",
+            firstObjectArrayStart: "First object in array should start on a new line",
+        },
         schema: [],
         type: "layout",
     },
@@ -1,3 +1,5 @@
+import { getLineIndent, getShiftedText } from "../utils/indent.js";
+
 /**
  * ───────────────────────────────────────────────────────────────
  * Rule: Arrow Function Block Body
@@ -108,18 +110,20 @@ const arrowFunctionBlockBody = {
             // Only fix if there's actually a newline between => and body
             if (!textBetween.includes("\n")) return;
 
+            // Joining the lines would delete a comment after =>
+            const hasComments = sourceCode.commentsExistBetween(arrowToken, body);
+
             // For ConditionalExpression (ternary) or multiline bodies:
-            // Just move the START to the same line as =>, don't collapse the whole body
+            // Move the START to the same line as =>, don't collapse the whole body,
+            // and shift its other lines by the same amount
             if (body.type === "ConditionalExpression" || body.loc.start.line !== body.loc.end.line) {
-                // Get the first token of the body to move just that part
-                const firstBodyToken = sourceCode.getFirstToken(body);
+                const shiftedBodyText = getShiftedText(sourceCode, body, getLineIndent(sourceCode, arrowToken).length - getLineIndent(sourceCode, body).length);
 
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
-                        [arrowToken.range[1], firstBodyToken.range[0]],
-                        " ",
-                    ),
-                    message: "Arrow function body should start on same line as =>",
+                    fix: hasComments ? null : (fixer) => (shiftedBodyText === null
+                        ? fixer.replaceTextRange([arrowToken.range[1], body.range[0]], " ")
+                        : fixer.replaceTextRange([arrowToken.range[1], body.range[1]], ` ${shiftedBodyText}`)),
+                    messageId: "arrowFunctionBodyStart",
                     node: body,
                 });
 
@@ -135,11 +139,11 @@ const arrowFunctionBlockBody = {
             const bodyText = sourceCode.getText(body);
 
             context.report({
-                fix: (fixer) => fixer.replaceTextRange(
+                fix: hasComments ? null : (fixer) => fixer.replaceTextRange(
                     [arrowToken.range[1], body.range[1]],
                     ` ${bodyText}`,
                 ),
-                message: "Arrow function body should start on same line as =>",
+                messageId: "arrowFunctionBodyStart",
                 node: body,
             });
         };
@@ -149,6 +153,9 @@ const arrowFunctionBlockBody = {
     meta: {
         docs: { description: "Enforce parentheses for arrow functions in JSX props with multiline expressions (preserves implicit return)" },
         fixable: "code",
+        messages: {
+            arrowFunctionBodyStart: "Arrow function body should start on same line as =>",
+        },
         schema: [],
         type: "layout",
     },
@@ -264,7 +271,7 @@ const arrowFunctionSimpleJsx = {
                     && body.range[0] === arrowToken.range[1]) {
                     context.report({
                         fix: (fixer) => fixer.insertTextBefore(body, " "),
-                        message: "Missing space after arrow (=>)",
+                        messageId: "missingSpaceAfterArrow",
                         node: body,
                     });
                 }
@@ -303,7 +310,7 @@ const arrowFunctionSimpleJsx = {
                             [tokenBeforeBody.range[0], tokenAfterBody.range[1]],
                             jsxText,
                         ),
-                        message: "Simple JSX should be on same line as arrow function without parentheses",
+                        messageId: "simpleJsxSameLine",
                         node: body,
                     });
                 } else {
@@ -318,7 +325,7 @@ const arrowFunctionSimpleJsx = {
                                 " " + jsxText,
                             );
                         },
-                        message: "Simple JSX should be on same line as arrow function",
+                        messageId: "simpleJsxSameLineArrow",
                         node: body,
                     });
                 }
@@ -328,6 +335,11 @@ const arrowFunctionSimpleJsx = {
     meta: {
         docs: { description: "Simplify arrow functions returning simple JSX to single line" },
         fixable: "code",
+        messages: {
+            missingSpaceAfterArrow: "Missing space after arrow (=>)",
+            simpleJsxSameLine: "Simple JSX should be on same line as arrow function without parentheses",
+            simpleJsxSameLineArrow: "Simple JSX should be on same line as arrow function",
+        },
         schema: [],
         type: "layout",
     },
@@ -458,6 +470,17 @@ const arrowFunctionSimplify = {
 
             const statement = body[0];
 
+            // The expression body keeps only the given node, so comments elsewhere in the block would be lost
+            const hasCommentsOutsideHandler = (keptNode) => sourceCode.getCommentsInside(node.body)
+                .some((comment) => comment.range[0] < keptNode.range[0] || comment.range[1] > keptNode.range[1]);
+
+            // Text of the kept node with its other lines moved back by the indentation the block added
+            const getUnindentedTextHandler = (keptNode) => getShiftedText(
+                sourceCode,
+                keptNode,
+                getLineIndent(sourceCode, node).length - getLineIndent(sourceCode, statement).length,
+            ) || sourceCode.getText(keptNode);
+
             // Handle ExpressionStatement (for onClick={() => { doSomething() }} or simple side-effect functions)
             if (statement.type === "ExpressionStatement") {
                 const expression = statement.expression;
@@ -467,11 +490,11 @@ const arrowFunctionSimplify = {
                     const expressionText = sourceCode.getText(expression);
 
                     context.report({
-                        fix: (fixer) => fixer.replaceText(
+                        fix: hasCommentsOutsideHandler(expression) ? null : (fixer) => fixer.replaceText(
                             node.body,
                             expressionText,
                         ),
-                        message: "Arrow function with single statement should use expression body: () => expression instead of () => { expression }",
+                        messageId: "arrowFunctionSingleStatement",
                         node: node.body,
                     });
 
@@ -482,12 +505,13 @@ const arrowFunctionSimplify = {
                 if (canSimplifyToOneLineHandler(expression)) {
                     const simplifiedText = buildSimplifiedTextHandler(expression);
 
+                    // The call is rebuilt from its parts, so any comment in the block would be lost
                     context.report({
-                        fix: (fixer) => fixer.replaceText(
+                        fix: sourceCode.getCommentsInside(node.body).length > 0 ? null : (fixer) => fixer.replaceText(
                             node.body,
                             simplifiedText,
                         ),
-                        message: "Arrow function with simple nested call should be simplified to one line",
+                        messageId: "arrowFunctionSimpleNested",
                         node: node.body,
                     });
 
@@ -496,14 +520,14 @@ const arrowFunctionSimplify = {
 
                 // Check for call expression with multiline object/array argument
                 if (expression.type === "CallExpression") {
-                    const expressionText = sourceCode.getText(expression);
+                    const expressionText = getUnindentedTextHandler(expression);
 
                     context.report({
-                        fix: (fixer) => fixer.replaceText(
+                        fix: hasCommentsOutsideHandler(expression) ? null : (fixer) => fixer.replaceText(
                             node.body,
                             expressionText,
                         ),
-                        message: "Arrow function with single statement should use expression body",
+                        messageId: "arrowFunctionSingleStatementExpression",
                         node: node.body,
                     });
                 }
@@ -519,16 +543,17 @@ const arrowFunctionSimplify = {
                 if (!returnValue) return;
 
                 // Check if the return value is simple enough to inline
-                const returnText = sourceCode.getText(returnValue);
+                const returnText = getUnindentedTextHandler(returnValue);
+                const hasComments = hasCommentsOutsideHandler(returnValue);
 
-                // For object literals, wrap in parentheses: () => ({ key: value })
-                if (returnValue.type === "ObjectExpression") {
+                // For object literals and comma sequences, wrap in parentheses: () => ({ key: value })
+                if (returnValue.type === "ObjectExpression" || returnValue.type === "SequenceExpression") {
                     context.report({
-                        fix: (fixer) => fixer.replaceText(
+                        fix: hasComments ? null : (fixer) => fixer.replaceText(
                             node.body,
                             `(${returnText})`,
                         ),
-                        message: "Arrow function with single return should use expression body: () => value instead of () => { return value }",
+                        messageId: "arrowFunctionSingleReturn",
                         node: node.body,
                     });
 
@@ -538,11 +563,11 @@ const arrowFunctionSimplify = {
                 // For simple expressions, just use the value directly
                 if (isSimpleExpressionHandler(returnValue)) {
                     context.report({
-                        fix: (fixer) => fixer.replaceText(
+                        fix: hasComments ? null : (fixer) => fixer.replaceText(
                             node.body,
                             returnText,
                         ),
-                        message: "Arrow function with single return should use expression body: () => value instead of () => { return value }",
+                        messageId: "arrowFunctionSingleReturn",
                         node: node.body,
                     });
 
@@ -551,11 +576,11 @@ const arrowFunctionSimplify = {
 
                 // For other expressions (JSX, complex calls, etc.), still simplify but keep formatting
                 context.report({
-                    fix: (fixer) => fixer.replaceText(
+                    fix: hasComments ? null : (fixer) => fixer.replaceText(
                         node.body,
                         returnText,
                     ),
-                    message: "Arrow function with single return should use expression body: () => value instead of () => { return value }",
+                    messageId: "arrowFunctionSingleReturn",
                     node: node.body,
                 });
             }
@@ -593,7 +618,7 @@ const arrowFunctionSimplify = {
                         [callCloseParen.range[1], jsxCloseBrace.range[0]],
                         "",
                     ),
-                    message: "JSX expression closing brace should be on same line as function call: )}",
+                    messageId: "jsxExpressionClosingBrace",
                     node: jsxCloseBrace,
                 });
             }
@@ -607,6 +632,13 @@ const arrowFunctionSimplify = {
     meta: {
         docs: { description: "Simplify arrow functions with single return to expression body: () => { return x } becomes () => x" },
         fixable: "code",
+        messages: {
+            arrowFunctionSimpleNested: "Arrow function with simple nested call should be simplified to one line",
+            arrowFunctionSingleReturn: "Arrow function with single return should use expression body: () => value instead of () => { return value }",
+            arrowFunctionSingleStatement: "Arrow function with single statement should use expression body: () => expression instead of () => { expression }",
+            arrowFunctionSingleStatementExpression: "Arrow function with single statement should use expression body",
+            jsxExpressionClosingBrace: "JSX expression closing brace should be on same line as function call: )}",
+        },
         schema: [],
         type: "layout",
     },
@@ -659,12 +691,16 @@ const curriedArrowSameLine = {
 
                 // Check if they're on the same line
                 if (arrowToken.loc.end.line !== bodyFirstToken.loc.start.line) {
+                    // Joining the lines would delete a comment after =>, and the body's other lines
+                    // move back by the indentation it had on its own line
+                    const hasComments = sourceCode.commentsExistBetween(arrowToken, bodyFirstToken);
+                    const shiftedBodyText = getShiftedText(sourceCode, body, getLineIndent(sourceCode, arrowToken).length - getLineIndent(sourceCode, body).length);
+
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [arrowToken.range[1], bodyFirstToken.range[0]],
-                            " ",
-                        ),
-                        message: "Curried arrow function should start on the same line as =>",
+                        fix: hasComments ? null : (fixer) => (shiftedBodyText === null
+                            ? fixer.replaceTextRange([arrowToken.range[1], bodyFirstToken.range[0]], " ")
+                            : fixer.replaceTextRange([arrowToken.range[1], body.range[1]], ` ${shiftedBodyText}`)),
+                        messageId: "curriedArrowFunctionStart",
                         node: body,
                     });
                 }
@@ -674,6 +710,9 @@ const curriedArrowSameLine = {
     meta: {
         docs: { description: "Enforce curried arrow function to start on same line as =>" },
         fixable: "code",
+        messages: {
+            curriedArrowFunctionStart: "Curried arrow function should start on the same line as =>",
+        },
         schema: [],
         type: "layout",
     },
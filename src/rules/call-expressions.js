@@ -1,3 +1,5 @@
+import { getCollapseFix, hasEmptyLineBetween } from "../utils/empty-lines.js";
+import { getLineIndent, getShiftedText } from "../utils/indent.js";
 import { DEFAULT_MAX_CLASS_COUNT, DEFAULT_MAX_CLASS_LENGTH } from "../utils/tailwind.js";
 
 /**
@@ -99,8 +101,10 @@ const functionArgumentsFormat = {
                         }
 
                         context.report({
-                            fix: (fixer) => fixer.replaceText(node, `${calleeText}(${argText})`),
-                            message: "Single template literal argument should start on same line as function call",
+                            fix: sourceCode.commentsExistBetween(openParen, closeParen)
+                                ? null
+                                : (fixer) => fixer.replaceText(node, `${calleeText}(${argText})`),
+                            messageId: "singleTemplateLiteralArgument",
                             node,
                         });
                     } else if (openParen && closeParen) {
@@ -128,7 +132,7 @@ const functionArgumentsFormat = {
                         if (fixes.length > 0) {
                             context.report({
                                 fix: (fixer) => fixes.map((f) => f(fixer)),
-                                message: "Single template literal argument should not have trailing comma or closing paren on separate line",
+                                messageId: "singleTemplateLiteralArgumentNot",
                                 node,
                             });
                         }
@@ -157,19 +161,27 @@ const functionArgumentsFormat = {
             const firstArg = args[0];
             const lastArg = args[args.length - 1];
 
-            // Calculate indent
-            const callLine = sourceCode.lines[node.loc.start.line - 1];
-            const baseIndent = callLine.match(/^\s*/)[0];
+            // Indentation follows the line of "(" (the last line of a chained callee)
+            const baseIndent = getLineIndent(sourceCode, openParen);
             const argIndent = baseIndent + "    ";
 
+            // Lay out every argument on its own line with its other lines re-indented, so one fix pass
+            // settles the call; with comments or multiline template literals, only the reported gap is fixed
+            const argTexts = args.map((arg) => getShiftedText(sourceCode, arg, argIndent.length - getLineIndent(sourceCode, arg).length));
+            const canRewriteArgs = !sourceCode.commentsExistBetween(openParen, closeParen) && !argTexts.includes(null);
+
+            const rewriteArgsHandler = (fixer) => fixer.replaceTextRange(
+                [openParen.range[0], closeParen.range[1]],
+                `(\n${argTexts.map((text) => `${argIndent}${text},`).join("\n")}\n${baseIndent})`,
+            );
+
             // First arg should be on new line after opening paren
             if (openParen.loc.end.line === firstArg.loc.start.line) {
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
-                        [openParen.range[1], firstArg.range[0]],
-                        "\n" + argIndent,
-                    ),
-                    message: "With multiple arguments, first argument should be on its own line: fn(\\n    arg1,\\n    arg2,\\n)",
+                    fix: canRewriteArgs
+                        ? rewriteArgsHandler
+                        : getCollapseFix(sourceCode, openParen.range[1], firstArg.range[0], "\n" + argIndent),
+                    messageId: "multipleArgumentsFirstArgument",
                     node: firstArg,
                 });
             }
@@ -187,11 +199,10 @@ const functionArgumentsFormat = {
 
                     if (commaToken) {
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [commaToken.range[1], next.range[0]],
-                                "\n" + argIndent,
-                            ),
-                            message: "Each argument should be on its own line",
+                            fix: canRewriteArgs
+                                ? rewriteArgsHandler
+                                : getCollapseFix(sourceCode, commaToken.range[1], next.range[0], "\n" + argIndent),
+                            messageId: "eachArgumentOwnLine",
                             node: next,
                         });
                     }
@@ -202,22 +213,17 @@ const functionArgumentsFormat = {
             if (closeParen.loc.start.line === lastArg.loc.end.line) {
                 const tokenBeforeClose = sourceCode.getTokenBefore(closeParen);
                 const hasTrailingComma = tokenBeforeClose && tokenBeforeClose.value === ",";
+                let closeFix = getCollapseFix(sourceCode, lastArg.range[1], closeParen.range[0], ",\n" + baseIndent);
 
-                context.report({
-                    fix: (fixer) => {
-                        if (hasTrailingComma) {
-                            return fixer.replaceTextRange(
-                                [tokenBeforeClose.range[1], closeParen.range[0]],
-                                "\n" + baseIndent,
-                            );
-                        }
+                if (canRewriteArgs) {
+                    closeFix = rewriteArgsHandler;
+                } else if (hasTrailingComma) {
+                    closeFix = getCollapseFix(sourceCode, tokenBeforeClose.range[1], closeParen.range[0], "\n" + baseIndent);
+                }
 
-                        return fixer.replaceTextRange(
-                            [lastArg.range[1], closeParen.range[0]],
-                            ",\n" + baseIndent,
-                        );
-                    },
-                    message: "Closing parenthesis should be on its own line",
+                context.report({
+                    fix: closeFix,
+                    messageId: "closingParenthesisOwnLine",
                     node: closeParen,
                 });
             }
@@ -228,6 +234,13 @@ const functionArgumentsFormat = {
     meta: {
         docs: { description: "Enforce function arguments formatting: each argument on its own line when >= minArgs (default: 2) or any argument is multiline" },
         fixable: "code",
+        messages: {
+            closingParenthesisOwnLine: "Closing parenthesis should be on its own line",
+            eachArgumentOwnLine: "Each argument should be on its own line",
+            multipleArgumentsFirstArgument: "With multiple arguments, first argument should be on its own line: fn(\\n    arg1,\\n    arg2,\\n)",
+            singleTemplateLiteralArgument: "Single template literal argument should start on same line as function call",
+            singleTemplateLiteralArgumentNot: "Single template literal argument should not have trailing comma or closing paren on separate line",
+        },
         schema: [
             {
                 additionalProperties: false,
@@ -307,7 +320,7 @@ const nestedCallClosingBrackets = {
                         [closeBrace.range[1], closeParenAfterObject.range[0]],
                         "",
                     ),
-                    message: "Closing brace and parenthesis should be on the same line: })",
+                    messageId: "closingBraceParenthesisSame",
                     node: closeParenAfterObject,
                 });
 
@@ -321,7 +334,7 @@ const nestedCallClosingBrackets = {
                         [closeParenAfterObject.range[1], closeParenOuter.range[0]],
                         "",
                     ),
-                    message: "Closing parentheses should be on the same line: ))",
+                    messageId: "closingParenthesesSameLine",
                     node: closeParenOuter,
                 });
 
@@ -338,7 +351,7 @@ const nestedCallClosingBrackets = {
                             [closeParenOuter.range[1], tokenAfterOuterParen.range[0]],
                             " ",
                         ),
-                        message: "Logical operator || should be on the same line as closing ))",
+                        messageId: "logicalOperatorSameLine",
                         node: tokenAfterOuterParen,
                     });
                 }
@@ -385,7 +398,7 @@ const nestedCallClosingBrackets = {
                                 [lastToken.range[1], closeParen.range[0]],
                                 "",
                             ),
-                            message: "Closing parenthesis should be on same line as arrow function body",
+                            messageId: "closingParenthesisSameLine",
                             node: closeParen,
                         });
                     }
@@ -402,11 +415,16 @@ const nestedCallClosingBrackets = {
             if (!closeParen || closeParen.value !== ")") return;
 
             // Check if there's a newline between the closing brace/type and the close paren
-            const tokenAfterBrace = sourceCode.getTokenAfter(closingBrace);
-
-            // Handle trailing comma case: }, or ],
             let lastTokenBeforeParen = closingBrace;
+            let tokenAfterBrace = sourceCode.getTokenAfter(closingBrace);
 
+            // Skip parentheses wrapping an arrow body: ({ ... }) - they are not the call's paren
+            while (tokenAfterBrace && tokenAfterBrace.value === ")" && tokenAfterBrace.range[0] < closeParen.range[0]) {
+                lastTokenBeforeParen = tokenAfterBrace;
+                tokenAfterBrace = sourceCode.getTokenAfter(tokenAfterBrace);
+            }
+
+            // Handle trailing comma case: }, or ],
             if (tokenAfterBrace && tokenAfterBrace.value === ",") {
                 lastTokenBeforeParen = tokenAfterBrace;
             }
@@ -417,7 +435,7 @@ const nestedCallClosingBrackets = {
                         [lastTokenBeforeParen.range[1], closeParen.range[0]],
                         "",
                     ),
-                    message: "Closing parenthesis should be on same line as closing brace: });",
+                    messageId: "closingParenthesisSameLineClosing",
                     node: closeParen,
                 });
             }
@@ -456,6 +474,13 @@ const nestedCallClosingBrackets = {
     meta: {
         docs: { description: "Enforce nested function call closing brackets on same line: }));" },
         fixable: "code",
+        messages: {
+            closingBraceParenthesisSame: "Closing brace and parenthesis should be on the same line: })",
+            closingParenthesesSameLine: "Closing parentheses should be on the same line: ))",
+            closingParenthesisSameLine: "Closing parenthesis should be on same line as arrow function body",
+            closingParenthesisSameLineClosing: "Closing parenthesis should be on same line as closing brace: });",
+            logicalOperatorSameLine: "Logical operator || should be on the same line as closing ))",
+        },
         schema: [],
         type: "layout",
     },
@@ -498,16 +523,8 @@ const noEmptyLinesInFunctionCalls = {
 
         const isSinglePropertyObjectHandler = (arg) => arg.type === "ObjectExpression" && arg.properties.length === 1;
 
-        const getCleanObjectTextHandler = (arg) => {
-            const prop = arg.properties[0];
-
-            if (prop.type === "SpreadElement") return sourceCode.getText(arg);
-
-            const keyText = sourceCode.getText(prop.key);
-            const valueText = sourceCode.getText(prop.value);
-
-            return `{ ${keyText}: ${valueText} }`;
-        };
+        // The property's own text keeps shorthand, computed keys and methods as written
+        const getCleanObjectTextHandler = (arg) => `{ ${sourceCode.getText(arg.properties[0])} }`;
 
         const checkCallExpressionHandler = (node) => {
             const args = node.arguments;
@@ -533,11 +550,8 @@ const noEmptyLinesInFunctionCalls = {
                         : sourceCode.getText(firstArg);
 
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [openParen.range[1], closeParen.range[0]],
-                            argText,
-                        ),
-                        message: "Single simple argument should be on the same line as function call",
+                        fix: getCollapseFix(sourceCode, openParen.range[1], closeParen.range[0], argText),
+                        messageId: "singleSimpleArgumentSame",
                         node: firstArg,
                     });
 
@@ -545,24 +559,22 @@ const noEmptyLinesInFunctionCalls = {
                 }
             }
 
-            if (firstArg.loc.start.line - openParen.loc.end.line > 1) {
+            if (hasEmptyLineBetween(sourceCode, openParen.range[1], firstArg.range[0])) {
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
-                        [openParen.range[1], firstArg.range[0]],
-                        "\n" + " ".repeat(firstArg.loc.start.column),
-                    ),
-                    message: "No empty line after opening parenthesis in function call",
+                    fix: getCollapseFix(sourceCode, openParen.range[1], firstArg.range[0], "\n" + " ".repeat(firstArg.loc.start.column)),
+                    messageId: "noEmptyLineAfter",
                     node: firstArg,
                 });
             }
 
-            if (closeParen.loc.start.line - lastArg.loc.end.line > 1) {
+            // Skip a trailing comma: fn(a, b,) - the empty line sits between the comma and )
+            const tokenAfterLastArg = sourceCode.getTokenAfter(lastArg);
+            const lastArgEnd = tokenAfterLastArg.value === "," ? tokenAfterLastArg : lastArg;
+
+            if (hasEmptyLineBetween(sourceCode, lastArgEnd.range[1], closeParen.range[0])) {
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
-                        [lastArg.range[1], closeParen.range[0]],
-                        "\n" + " ".repeat(closeParen.loc.start.column),
-                    ),
-                    message: "No empty line before closing parenthesis in function call",
+                    fix: getCollapseFix(sourceCode, lastArgEnd.range[1], closeParen.range[0], "\n" + " ".repeat(closeParen.loc.start.column)),
+                    messageId: "noEmptyLineBefore",
                     node: lastArg,
                 });
             }
@@ -571,18 +583,15 @@ const noEmptyLinesInFunctionCalls = {
                 const current = args[i];
                 const next = args[i + 1];
 
-                if (next.loc.start.line - current.loc.end.line > 1) {
+                if (hasEmptyLineBetween(sourceCode, current.range[1], next.range[0])) {
                     const commaToken = sourceCode.getTokenAfter(
                         current,
                         (token) => token.value === ",",
                     );
 
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [commaToken.range[1], next.range[0]],
-                            "\n" + " ".repeat(next.loc.start.column),
-                        ),
-                        message: "No empty line between function arguments",
+                        fix: getCollapseFix(sourceCode, commaToken.range[1], next.range[0], "\n" + " ".repeat(next.loc.start.column)),
+                        messageId: "noEmptyLineBetween",
                         node: next,
                     });
                 }
@@ -594,6 +603,12 @@ const noEmptyLinesInFunctionCalls = {
     meta: {
         docs: { description: "Disallow empty lines in function calls and enforce single simple argument on same line" },
         fixable: "whitespace",
+        messages: {
+            noEmptyLineAfter: "No empty line after opening parenthesis in function call",
+            noEmptyLineBefore: "No empty line before closing parenthesis in function call",
+            noEmptyLineBetween: "No empty line between function arguments",
+            singleSimpleArgumentSame: "Single simple argument should be on the same line as function call",
+        },
         schema: [],
         type: "layout",
     },
@@ -680,11 +695,8 @@ const openingBracketsSameLine = {
                 replacement += "(";
 
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
-                        [calleeLastToken.range[1], openParenToken.range[1]],
-                        replacement,
-                    ),
-                    message: "Opening parenthesis should be on the same line as function name",
+                    fix: getCollapseFix(sourceCode, calleeLastToken.range[1], openParenToken.range[1], replacement),
+                    messageId: "openingParenthesisSameLine",
                     node: openParenToken,
                 });
 
@@ -712,11 +724,8 @@ const openingBracketsSameLine = {
 
                 if (openParen.loc.end.line !== openBrace.loc.start.line) {
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [openParen.range[1], openBrace.range[1]],
-                            "{",
-                        ),
-                        message: "Opening parenthesis and brace should be on the same line",
+                        fix: getCollapseFix(sourceCode, openParen.range[1], openBrace.range[1], "{"),
+                        messageId: "openingParenthesisBraceSame",
                         node: openBrace,
                     });
                 }
@@ -732,11 +741,8 @@ const openingBracketsSameLine = {
                 if (closeParen && closeParen.value === ")") {
                     if (closeBrace.loc.end.line !== closeParen.loc.start.line) {
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [closeBrace.range[1], closeParen.range[0]],
-                                "",
-                            ),
-                            message: "Closing brace and parenthesis should be on the same line",
+                            fix: getCollapseFix(sourceCode, closeBrace.range[1], closeParen.range[0], ""),
+                            messageId: "closingBraceParenthesisSame",
                             node: closeParen,
                         });
                     }
@@ -754,11 +760,8 @@ const openingBracketsSameLine = {
                 // fn([ - opening paren and bracket should be on same line
                 if (openParen.loc.end.line !== openBracket.loc.start.line) {
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [openParen.range[1], openBracket.range[0]],
-                            "",
-                        ),
-                        message: "Opening parenthesis and bracket should be on the same line: fn([",
+                        fix: getCollapseFix(sourceCode, openParen.range[1], openBracket.range[0], ""),
+                        messageId: "openingParenthesisBracketSame",
                         node: openBracket,
                     });
 
@@ -774,11 +777,8 @@ const openingBracketsSameLine = {
 
                     if (openBracket.loc.end.line !== openBrace.loc.start.line) {
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [openBracket.range[1], openBrace.range[1]],
-                                "{",
-                            ),
-                            message: "Opening bracket and brace should be on the same line",
+                            fix: getCollapseFix(sourceCode, openBracket.range[1], openBrace.range[1], "{"),
+                            messageId: "openingBracketBraceSame",
                             node: openBrace,
                         });
                     }
@@ -796,11 +796,8 @@ const openingBracketsSameLine = {
                 if (closeParen && closeParen.value === ")") {
                     if (closeBracket.loc.end.line !== closeParen.loc.start.line) {
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [closeBracket.range[1], closeParen.range[0]],
-                                "",
-                            ),
-                            message: "Closing bracket and parenthesis should be on the same line: ])",
+                            fix: getCollapseFix(sourceCode, closeBracket.range[1], closeParen.range[0], ""),
+                            messageId: "closingBracketParenthesisSame",
                             node: closeParen,
                         });
                     }
@@ -814,14 +811,11 @@ const openingBracketsSameLine = {
             if (firstArg.type === "CallExpression" && args.length > 1) {
                 // Check if the call expression is on the same line as the opening paren
                 if (openParen.loc.end.line === firstArg.loc.start.line) {
-                    const indent = " ".repeat(openParen.loc.start.column + 4);
+                    const indent = getLineIndent(sourceCode, openParen) + "    ";
 
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [openParen.range[1], firstArg.range[0]],
-                            "\n" + indent,
-                        ),
-                        message: "Function call argument should start on a new line when there are multiple arguments",
+                        fix: getCollapseFix(sourceCode, openParen.range[1], firstArg.range[0], "\n" + indent),
+                        messageId: "functionCallArgumentStart",
                         node: firstArg,
                     });
                 }
@@ -840,11 +834,8 @@ const openingBracketsSameLine = {
                 if (arrowParams.length === 0) {
                     if (openParen.loc.end.line !== firstArg.loc.start.line) {
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [openParen.range[1], firstArg.range[0]],
-                                "",
-                            ),
-                            message: "Arrow function should start on the same line as opening parenthesis",
+                            fix: getCollapseFix(sourceCode, openParen.range[1], firstArg.range[0], ""),
+                            messageId: "arrowFunctionStartSame",
                             node: firstArg,
                         });
                     }
@@ -864,11 +855,8 @@ const openingBracketsSameLine = {
                     // First, ensure .map( and (( are on same line
                     if (openParen.loc.end.line !== arrowOpenParen.loc.start.line) {
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [openParen.range[1], arrowOpenParen.range[1]],
-                                "(",
-                            ),
-                            message: "Callback opening parenthesis should be on the same line as function call",
+                            fix: getCollapseFix(sourceCode, openParen.range[1], arrowOpenParen.range[1], "("),
+                            messageId: "callbackOpeningParenthesisSame",
                             node: arrowOpenParen,
                         });
 
@@ -880,11 +868,8 @@ const openingBracketsSameLine = {
 
                     if (arrowOpenParen.loc.end.line !== openBrace.loc.start.line) {
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [arrowOpenParen.range[1], openBrace.range[1]],
-                                "{",
-                            ),
-                            message: "Opening parenthesis and brace should be on the same line for callback destructured param",
+                            fix: getCollapseFix(sourceCode, arrowOpenParen.range[1], openBrace.range[1], "{"),
+                            messageId: "openingParenthesisBraceSameLine",
                             node: openBrace,
                         });
 
@@ -920,7 +905,7 @@ const openingBracketsSameLine = {
                                         " ",
                                     ),
                                 ],
-                                message: "Destructured callback params with 2+ properties should each be on their own line",
+                                messageId: "destructuredCallbackParamsProperties",
                                 node: firstParam,
                             });
 
@@ -931,11 +916,8 @@ const openingBracketsSameLine = {
                     // Ensure arrow body starts on same line as =>
                     if (bodyOnDifferentLine) {
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [arrowToken.range[1], bodyFirstToken.range[0]],
-                                " ",
-                            ),
-                            message: "Arrow function body should start on the same line as =>",
+                            fix: getCollapseFix(sourceCode, arrowToken.range[1], bodyFirstToken.range[0], " "),
+                            messageId: "arrowFunctionBodyStart",
                             node: bodyFirstToken,
                         });
                     }
@@ -952,11 +934,8 @@ const openingBracketsSameLine = {
                     // First, ensure fn( and (( are on same line: useSelector(\n(state) => fn((state)
                     if (openParen.loc.end.line !== arrowOpenParen.loc.start.line) {
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [openParen.range[1], arrowOpenParen.range[1]],
-                                "(",
-                            ),
-                            message: "Callback opening parenthesis should be on the same line as function call",
+                            fix: getCollapseFix(sourceCode, openParen.range[1], arrowOpenParen.range[1], "("),
+                            messageId: "callbackOpeningParenthesisSame",
                             node: arrowOpenParen,
                         });
 
@@ -965,11 +944,8 @@ const openingBracketsSameLine = {
 
                     if (arrowOpenParen.loc.end.line !== firstParam.loc.start.line) {
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [arrowOpenParen.range[1], firstParam.range[0]],
-                                "",
-                            ),
-                            message: "Single callback param should be on the same line as opening parenthesis",
+                            fix: getCollapseFix(sourceCode, arrowOpenParen.range[1], firstParam.range[0], ""),
+                            messageId: "singleCallbackParamSame",
                             node: firstParam,
                         });
                     }
@@ -1003,11 +979,8 @@ const openingBracketsSameLine = {
                     // For single-line params with single-line body, keep (( on same line
                     if (openParen.loc.end.line !== arrowOpenParen.loc.start.line) {
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [openParen.range[1], arrowOpenParen.range[1]],
-                                "(",
-                            ),
-                            message: "Opening parentheses should be on the same line for callback params",
+                            fix: getCollapseFix(sourceCode, openParen.range[1], arrowOpenParen.range[1], "("),
+                            messageId: "openingParenthesesSameLine",
                             node: arrowOpenParen,
                         });
                     }
@@ -1030,11 +1003,8 @@ const openingBracketsSameLine = {
 
                 if (openBrace.loc.end.line !== objectOpenBrace.loc.start.line) {
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [openBrace.range[1], objectOpenBrace.range[1]],
-                            "{",
-                        ),
-                        message: "Opening braces should be on the same line for JSX object expression",
+                        fix: getCollapseFix(sourceCode, openBrace.range[1], objectOpenBrace.range[1], "{"),
+                        messageId: "openingBracesSameLine",
                         node: objectOpenBrace,
                     });
                 }
@@ -1044,11 +1014,8 @@ const openingBracketsSameLine = {
 
                 if (closeBrace.loc.start.line !== objectCloseBrace.loc.end.line) {
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [objectCloseBrace.range[1], closeBrace.range[0]],
-                            "",
-                        ),
-                        message: "Closing braces should be on the same line for JSX object expression",
+                        fix: getCollapseFix(sourceCode, objectCloseBrace.range[1], closeBrace.range[0], ""),
+                        messageId: "closingBracesSameLine",
                         node: closeBrace,
                     });
                 }
@@ -1060,11 +1027,8 @@ const openingBracketsSameLine = {
             if (expression.type === "CallExpression") {
                 if (openBrace.loc.end.line !== expression.loc.start.line) {
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [openBrace.range[1], expression.range[0]],
-                            "",
-                        ),
-                        message: "Opening brace and expression should be on the same line",
+                        fix: getCollapseFix(sourceCode, openBrace.range[1], expression.range[0], ""),
+                        messageId: "openingBraceExpressionSame",
                         node: expression,
                     });
                 }
@@ -1074,11 +1038,8 @@ const openingBracketsSameLine = {
 
                 if (isSingleLineCall && expression.loc.end.line !== closeBrace.loc.start.line) {
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [expression.range[1], closeBrace.range[0]],
-                            "",
-                        ),
-                        message: "Closing brace should be on the same line as simple call expression",
+                        fix: getCollapseFix(sourceCode, expression.range[1], closeBrace.range[0], ""),
+                        messageId: "closingBraceSameLine",
                         node: closeBrace,
                     });
                 }
@@ -1147,7 +1108,7 @@ const openingBracketsSameLine = {
                                         [openBrace.range[0], closeBrace.range[1]],
                                         collapsedAttrValue,
                                     ),
-                                    message: "Short className should use a string literal on a single line",
+                                    messageId: "shortClassNameStringLiteral",
                                     node: expression,
                                 });
                             }
@@ -1167,7 +1128,7 @@ const openingBracketsSameLine = {
                                 [openBrace.range[1], closeBrace.range[0]],
                                 collapsedText,
                             ),
-                            message: "Simple template literal should be on a single line",
+                            messageId: "simpleTemplateLiteralSingle",
                             node: expression,
                         });
                     }
@@ -1199,7 +1160,7 @@ const openingBracketsSameLine = {
                             [openBrace.range[1], closeBrace.range[0]],
                             expressionText,
                         ),
-                        message: "Simple expression should be on single line in JSX attribute",
+                        messageId: "simpleExpressionSingleLine",
                         node: expression,
                     });
 
@@ -1238,7 +1199,7 @@ const openingBracketsSameLine = {
                                             [openingTag.range[1], closingTag.range[0]],
                                             expressionText,
                                         ),
-                                        message: "JSX element with simple expression should be on single line",
+                                        messageId: "jsxElementSimpleExpression",
                                         node: parent,
                                     });
                                 }
@@ -1255,11 +1216,8 @@ const openingBracketsSameLine = {
                 // First, ensure { and arrow function start are on same line
                 if (openBrace.loc.end.line !== expression.loc.start.line) {
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [openBrace.range[1], expression.range[0]],
-                            "",
-                        ),
-                        message: "Opening brace and arrow function should be on the same line in JSX attribute",
+                        fix: getCollapseFix(sourceCode, openBrace.range[1], expression.range[0], ""),
+                        messageId: "openingBraceArrowFunction",
                         node: expression,
                     });
 
@@ -1274,11 +1232,8 @@ const openingBracketsSameLine = {
 
                         if (blockCloseBrace && closeBrace.loc.start.line !== blockCloseBrace.loc.end.line) {
                             context.report({
-                                fix: (fixer) => fixer.replaceTextRange(
-                                    [blockCloseBrace.range[1], closeBrace.range[0]],
-                                    "",
-                                ),
-                                message: "Closing braces should be together for arrow function in JSX attribute",
+                                fix: getCollapseFix(sourceCode, blockCloseBrace.range[1], closeBrace.range[0], ""),
+                                messageId: "closingBracesTogetherArrow",
                                 node: closeBrace,
                             });
                         }
@@ -1306,7 +1261,7 @@ const openingBracketsSameLine = {
                                 [openBrace.range[1], closeBrace.range[0]],
                                 arrowText,
                             ),
-                            message: "Simple arrow function should be on single line in JSX attribute",
+                            messageId: "simpleArrowFunctionSingle",
                             node: expression,
                         });
 
@@ -1331,7 +1286,7 @@ const openingBracketsSameLine = {
                                     [arrowToken.range[1], closeBrace.range[0]],
                                     " " + bodyText,
                                 ),
-                                message: "Simple arrow function expression should be on single line",
+                                messageId: "simpleArrowFunctionExpression",
                                 node: expression.body,
                             });
                         }
@@ -1350,11 +1305,8 @@ const openingBracketsSameLine = {
                     // Check if { and ( are on different lines
                     if (openBrace.loc.end.line !== tokenBeforeJsx.loc.start.line) {
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [openBrace.range[1], tokenBeforeJsx.range[1]],
-                                "(",
-                            ),
-                            message: "Opening brace and parenthesis should be together for JSX expression",
+                            fix: getCollapseFix(sourceCode, openBrace.range[1], tokenBeforeJsx.range[1], "("),
+                            messageId: "openingBraceParenthesisTogether",
                             node: tokenBeforeJsx,
                         });
                     }
@@ -1365,11 +1317,8 @@ const openingBracketsSameLine = {
                     if (tokenAfterJsx && tokenAfterJsx.value === ")") {
                         if (closeBrace.loc.start.line !== tokenAfterJsx.loc.end.line) {
                             context.report({
-                                fix: (fixer) => fixer.replaceTextRange(
-                                    [tokenAfterJsx.range[1], closeBrace.range[0]],
-                                    "",
-                                ),
-                                message: "Closing parenthesis and brace should be together for JSX expression",
+                                fix: getCollapseFix(sourceCode, tokenAfterJsx.range[1], closeBrace.range[0], ""),
+                                messageId: "closingParenthesisBraceTogether",
                                 node: closeBrace,
                             });
                         }
@@ -1405,7 +1354,7 @@ const openingBracketsSameLine = {
                                 [openBrace.range[1], closeBrace.range[0]],
                                 collapsedText,
                             ),
-                            message: "Simple logical expression should be on a single line",
+                            messageId: "simpleLogicalExpressionSingle",
                             node: expression,
                         });
 
@@ -1443,7 +1392,7 @@ const openingBracketsSameLine = {
                                                 [openingTag.range[1], closingTag.range[0]],
                                                 collapsedExpr,
                                             ),
-                                            message: "JSX element with simple logical expression should be on single line",
+                                            messageId: "jsxElementSimpleLogical",
                                             node: parent,
                                         });
                                     }
@@ -1460,11 +1409,8 @@ const openingBracketsSameLine = {
                     // Ensure opening { and expression start are on same line
                     if (openBrace.loc.end.line !== expression.loc.start.line) {
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [openBrace.range[1], expression.range[0]],
-                                "",
-                            ),
-                            message: "Opening brace and logical expression should be on the same line",
+                            fix: getCollapseFix(sourceCode, openBrace.range[1], expression.range[0], ""),
+                            messageId: "openingBraceLogicalExpression",
                             node: expression,
                         });
 
@@ -1478,11 +1424,8 @@ const openingBracketsSameLine = {
                         const indent = openBraceLine.match(/^\s*/)[0];
 
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [expression.range[1], closeBrace.range[0]],
-                                "\n" + indent,
-                            ),
-                            message: "Closing brace should be on its own line for multiline logical expression",
+                            fix: getCollapseFix(sourceCode, expression.range[1], closeBrace.range[0], "\n" + indent),
+                            messageId: "closingBraceOwnLine",
                             node: closeBrace,
                         });
                     }
@@ -1493,11 +1436,8 @@ const openingBracketsSameLine = {
                 // First, ensure { and expression start are on same line
                 if (openBrace.loc.end.line !== expression.loc.start.line) {
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [openBrace.range[1], expression.range[0]],
-                            "",
-                        ),
-                        message: "Opening brace and logical expression should be on the same line",
+                        fix: getCollapseFix(sourceCode, openBrace.range[1], expression.range[0], ""),
+                        messageId: "openingBraceLogicalExpression",
                         node: expression,
                     });
 
@@ -1560,7 +1500,7 @@ const openingBracketsSameLine = {
 
                                         return fixer.replaceText(conditionNode, collapsedText);
                                     },
-                                    message: "Condition operands should be on the same line",
+                                    messageId: "conditionOperandsSameLine",
                                     node: conditionNode,
                                 });
 
@@ -1607,11 +1547,8 @@ const openingBracketsSameLine = {
 
                     if (isSimplePattern && leftEndLine !== operatorToken.loc.start.line) {
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [leftEndPos, operatorToken.range[1]],
-                                " " + operatorToken.value,
-                            ),
-                            message: "Logical operator should be on the same line as the left operand",
+                            fix: getCollapseFix(sourceCode, leftEndPos, operatorToken.range[1], " " + operatorToken.value),
+                            messageId: "logicalOperatorSameLine",
                             node: operatorToken,
                         });
 
@@ -1624,11 +1561,8 @@ const openingBracketsSameLine = {
                     if (tokenAfterOperator && tokenAfterOperator.value === "(") {
                         if (operatorToken.loc.end.line !== tokenAfterOperator.loc.start.line) {
                             context.report({
-                                fix: (fixer) => fixer.replaceTextRange(
-                                    [operatorToken.range[1], tokenAfterOperator.range[1]],
-                                    " (",
-                                ),
-                                message: "Opening parenthesis should be on same line as logical operator",
+                                fix: getCollapseFix(sourceCode, operatorToken.range[1], tokenAfterOperator.range[1], " ("),
+                                messageId: "openingParenthesisSameLineLogical",
                                 node: tokenAfterOperator,
                             });
                         }
@@ -1641,11 +1575,8 @@ const openingBracketsSameLine = {
                         // Check if ) and } are on different lines
                         if (closeBrace.loc.start.line !== closingParen.loc.end.line) {
                             context.report({
-                                fix: (fixer) => fixer.replaceTextRange(
-                                    [closingParen.range[1], closeBrace.range[0]],
-                                    "",
-                                ),
-                                message: "Closing parenthesis and brace should be together for logical expression",
+                                fix: getCollapseFix(sourceCode, closingParen.range[1], closeBrace.range[0], ""),
+                                messageId: "closingParenthesisBraceTogetherLogical",
                                 node: closeBrace,
                             });
                         }
@@ -1667,11 +1598,8 @@ const openingBracketsSameLine = {
                 if (arrowToken && blockOpenBrace) {
                     if (arrowToken.loc.end.line !== blockOpenBrace.loc.start.line) {
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [arrowToken.range[1], blockOpenBrace.range[0]],
-                                " ",
-                            ),
-                            message: "Opening brace should be on the same line as arrow",
+                            fix: getCollapseFix(sourceCode, arrowToken.range[1], blockOpenBrace.range[0], " "),
+                            messageId: "openingBraceSameLine",
                             node: blockOpenBrace,
                         });
                     }
@@ -1695,11 +1623,8 @@ const openingBracketsSameLine = {
                     if (tokenAfterArrow && tokenAfterArrow.value === "(") {
                         if (arrowToken.loc.end.line !== tokenAfterArrow.loc.start.line) {
                             context.report({
-                                fix: (fixer) => fixer.replaceTextRange(
-                                    [arrowToken.range[1], tokenAfterArrow.range[1]],
-                                    " (",
-                                ),
-                                message: "Opening parenthesis should be on the same line as arrow: => (",
+                                fix: getCollapseFix(sourceCode, arrowToken.range[1], tokenAfterArrow.range[1], " ("),
+                                messageId: "openingParenthesisSameLineArrow",
                                 node: tokenAfterArrow,
                             });
                         }
@@ -1712,11 +1637,8 @@ const openingBracketsSameLine = {
 
                     if (textAfterArrow !== " ") {
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [arrowToken.range[1], node.body.range[0]],
-                                " ",
-                            ),
-                            message: "Expression body should be on the same line as arrow with single space",
+                            fix: getCollapseFix(sourceCode, arrowToken.range[1], node.body.range[0], " "),
+                            messageId: "expressionBodySameLine",
                             node: node.body,
                         });
                     }
@@ -1739,11 +1661,8 @@ const openingBracketsSameLine = {
                         // It's a parenthesized object: () => ({...})
                         if (arrowToken.loc.end.line !== tokenAfterArrow.loc.start.line) {
                             context.report({
-                                fix: (fixer) => fixer.replaceTextRange(
-                                    [arrowToken.range[1], tokenAfterArrow.range[1]],
-                                    " (",
-                                ),
-                                message: "Parenthesized object should be on the same line as arrow: => (",
+                                fix: getCollapseFix(sourceCode, arrowToken.range[1], tokenAfterArrow.range[1], " ("),
+                                messageId: "parenthesizedObjectSameLine",
                                 node: tokenAfterArrow,
                             });
 
@@ -1755,11 +1674,8 @@ const openingBracketsSameLine = {
 
                         if (tokenAfterArrow.loc.end.line !== openBrace.loc.start.line) {
                             context.report({
-                                fix: (fixer) => fixer.replaceTextRange(
-                                    [tokenAfterArrow.range[1], openBrace.range[1]],
-                                    "{",
-                                ),
-                                message: "Opening brace should be on the same line as opening paren: ({",
+                                fix: getCollapseFix(sourceCode, tokenAfterArrow.range[1], openBrace.range[1], "{"),
+                                messageId: "openingBraceSameLineOpening",
                                 node: openBrace,
                             });
                         }
@@ -1784,11 +1700,8 @@ const openingBracketsSameLine = {
 
                         if (textAfterArrow !== " ") {
                             context.report({
-                                fix: (fixer) => fixer.replaceTextRange(
-                                    [arrowToken.range[1], node.body.range[0]],
-                                    " ",
-                                ),
-                                message: "Expression body should be on the same line as arrow with single space",
+                                fix: getCollapseFix(sourceCode, arrowToken.range[1], node.body.range[0], " "),
+                                messageId: "expressionBodySameLine",
                                 node: node.body,
                             });
                         }
@@ -1810,11 +1723,8 @@ const openingBracketsSameLine = {
 
                     if (textBetween !== " ") {
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [tokenBeforeArrow.range[1], arrowToken.range[0]],
-                                " ",
-                            ),
-                            message: "Arrow function should have space before =>",
+                            fix: getCollapseFix(sourceCode, tokenBeforeArrow.range[1], arrowToken.range[0], " "),
+                            messageId: "arrowFunctionSpaceBefore",
                             node: arrowToken,
                         });
                     }
@@ -1840,11 +1750,8 @@ const openingBracketsSameLine = {
             // Check if ( and { are on different lines
             if (openParen.loc.end.line !== openBrace.loc.start.line) {
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
-                        [openParen.range[1], openBrace.range[1]],
-                        "{",
-                    ),
-                    message: "Opening parenthesis and brace should be on the same line for destructured param",
+                    fix: getCollapseFix(sourceCode, openParen.range[1], openBrace.range[1], "{"),
+                    messageId: "openingParenthesisBraceSameLineDestructured",
                     node: openBrace,
                 });
             }
@@ -1860,11 +1767,8 @@ const openingBracketsSameLine = {
             if (closeParen && closeParen.value === ")") {
                 if (closeBrace.loc.end.line !== closeParen.loc.start.line) {
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [closeBrace.range[1], closeParen.range[0]],
-                            "",
-                        ),
-                        message: "Closing brace and parenthesis should be on the same line for destructured param",
+                        fix: getCollapseFix(sourceCode, closeBrace.range[1], closeParen.range[0], ""),
+                        messageId: "closingBraceParenthesisSameLine",
                         node: closeParen,
                     });
                 }
@@ -1893,7 +1797,7 @@ const openingBracketsSameLine = {
                         [openBrace.range[0], closeBrace.range[1]],
                         `{...${argumentText}}`,
                     ),
-                    message: "Simple JSX spread attribute should be on a single line",
+                    messageId: "simpleJsxSpreadAttribute",
                     node,
                 });
             }
@@ -1967,11 +1871,8 @@ const openingBracketsSameLine = {
                     const rightStartToken = sourceCode.getFirstToken(right);
 
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [leftEndToken.range[1], rightStartToken.range[0]],
-                            ` ${operator} `,
-                        ),
-                        message: "Logical operator should be on the same line as both operands: ) || func(",
+                        fix: getCollapseFix(sourceCode, leftEndToken.range[1], rightStartToken.range[0], ` ${operator} `),
+                        messageId: "logicalOperatorSameLineBoth",
                         node: operatorToken,
                     });
                 }
@@ -1991,6 +1892,54 @@ const openingBracketsSameLine = {
     meta: {
         docs: { description: "Enforce opening brackets on same line for function calls and arrow function params" },
         fixable: "code",
+        messages: {
+            arrowFunctionBodyStart: "Arrow function body should start on the same line as =>",
+            arrowFunctionSpaceBefore: "Arrow function should have space before =>",
+            arrowFunctionStartSame: "Arrow function should start on the same line as opening parenthesis",
+            callbackOpeningParenthesisSame: "Callback opening parenthesis should be on the same line as function call",
+            closingBraceOwnLine: "Closing brace should be on its own line for multiline logical expression",
+            closingBraceParenthesisSame: "Closing brace and parenthesis should be on the same line",
+            closingBraceParenthesisSameLine: "Closing brace and parenthesis should be on the same line for destructured param",
+            closingBraceSameLine: "Closing brace should be on the same line as simple call expression",
+            closingBracesSameLine: "Closing braces should be on the same line for JSX object expression",
+            closingBracesTogetherArrow: "Closing braces should be together for arrow function in JSX attribute",
+            closingBracketParenthesisSame: "Closing bracket and parenthesis should be on the same line: ])",
+            closingParenthesisBraceTogether: "Closing parenthesis and brace should be together for JSX expression",
+            closingParenthesisBraceTogetherLogical: "Closing parenthesis and brace should be together for logical expression",
+            conditionOperandsSameLine: "Condition operands should be on the same line",
+            destructuredCallbackParamsProperties: "Destructured callback params with 2+ properties should each be on their own line",
+            expressionBodySameLine: "Expression body should be on the same line as arrow with single space",
+            functionCallArgumentStart: "Function call argument should start on a new line when there are multiple arguments",
+            jsxElementSimpleExpression: "JSX element with simple expression should be on single line",
+            jsxElementSimpleLogical: "JSX element with simple logical expression should be on single line",
+            logicalOperatorSameLine: "Logical operator should be on the same line as the left operand",
+            logicalOperatorSameLineBoth: "Logical operator should be on the same line as both operands: ) || func(",
+            openingBraceArrowFunction: "Opening brace and arrow function should be on the same line in JSX attribute",
+            openingBraceExpressionSame: "Opening brace and expression should be on the same line",
+            openingBraceLogicalExpression: "Opening brace and logical expression should be on the same line",
+            openingBraceParenthesisTogether: "Opening brace and parenthesis should be together for JSX expression",
+            openingBraceSameLine: "Opening brace should be on the same line as arrow",
+            openingBraceSameLineOpening: "Opening brace should be on the same line as opening paren: ({",
+            openingBracesSameLine: "Opening braces should be on the same line for JSX object expression",
+            openingBracketBraceSame: "Opening bracket and brace should be on the same line",
+            openingParenthesesSameLine: "Opening parentheses should be on the same line for callback params",
+            openingParenthesisBraceSame: "Opening parenthesis and brace should be on the same line",
+            openingParenthesisBraceSameLine: "Opening parenthesis and brace should be on the same line for callback destructured param",
+            openingParenthesisBraceSameLineDestructured: "Opening parenthesis and brace should be on the same line for destructured param",
+            openingParenthesisBracketSame: "Opening parenthesis and bracket should be on the same line: fn([",
+            openingParenthesisSameLine: "Opening parenthesis should be on the same line as function name",
+            openingParenthesisSameLineArrow: "Opening parenthesis should be on the same line as arrow: => (",
+            openingParenthesisSameLineLogical: "Opening parenthesis should be on same line as logical operator",
+            parenthesizedObjectSameLine: "Parenthesized object should be on the same line as arrow: => (",
+            shortClassNameStringLiteral: "Short className should use a string literal on a single line",
+            simpleArrowFunctionExpression: "Simple arrow function expression should be on single line",
+            simpleArrowFunctionSingle: "Simple arrow function should be on single line in JSX attribute",
+            simpleExpressionSingleLine: "Simple expression should be on single line in JSX attribute",
+            simpleJsxSpreadAttribute: "Simple JSX spread attribute should be on a single line",
+            simpleLogicalExpressionSingle: "Simple logical expression should be on a single line",
+            simpleTemplateLiteralSingle: "Simple template literal should be on a single line",
+            singleCallbackParamSame: "Single callback param should be on the same line as opening parenthesis",
+        },
         schema: [],
         type: "layout",
     },
@@ -2089,6 +2038,31 @@ const simpleCallSingleLine = {
             return false;
         };
 
+        // Join the tokens of a node onto one line; only the gaps between tokens are rewritten, so
+        // string contents keep their spacing, and trailing commas before ")" are dropped at every level
+        const getCollapsedTextHandler = (node) => {
+            const tokens = sourceCode.getTokens(node, { includeComments: true });
+
+            return tokens.map((token, index) => {
+                const nextToken = tokens[index + 1];
+
+                if (!nextToken) return sourceCode.getText(token);
+
+                if (token.value === "," && nextToken.value === ")") return "";
+
+                const gap = sourceCode.text.slice(token.range[1], nextToken.range[0]);
+                const isTight = gap === ""
+                    || token.value === "("
+                    || token.value === "."
+                    || token.value === "?."
+                    || nextToken.value === ")"
+                    || nextToken.value === "."
+                    || nextToken.value === "?.";
+
+                return `${sourceCode.getText(token)}${isTight ? "" : " "}`;
+            }).join("");
+        };
+
         return {
             CallExpression(node) {
                 const { callee, arguments: args } = node;
@@ -2139,13 +2113,9 @@ const simpleCallSingleLine = {
 
                 if (comments.some((c) => c.type === "Line")) return;
 
-                // Build the collapsed single-line version from source text, normalizing whitespace
-                const fullText = sourceCode.getText(replaceNode);
-                const fullCollapsed = fullText.replace(/\s*\n\s*/g, " ").replace(/\s+/g, " ").replace(/\(\s+/g, "(").replace(/\s+\)/g, ")").replace(/,\s*\)/, ")").replace(/\s+\?\./g, "?.").replace(/\?\.\s+/g, "?.");
-
                 context.report({
-                    fix: (fixer) => fixer.replaceText(replaceNode, fullCollapsed),
-                    message: "Simple function call with arrow function should be on a single line",
+                    fix: (fixer) => fixer.replaceText(replaceNode, getCollapsedTextHandler(replaceNode)),
+                    messageId: "simpleFunctionCallArrow",
                     node,
                 });
             },
@@ -2154,6 +2124,9 @@ const simpleCallSingleLine = {
     meta: {
         docs: { description: "Simplify simple function calls with arrow function to single line" },
         fixable: "code",
+        messages: {
+            simpleFunctionCallArrow: "Simple function call with arrow function should be on a single line",
+        },
         schema: [],
         type: "layout",
     },
@@ -2278,7 +2251,7 @@ const singleArgumentOnOneLine = {
                                 if (totalLength <= 120) {
                                     context.report({
                                         fix: (fixer) => fixer.replaceText(node, collapsed),
-                                        message: "Method chain with single simple arguments should be on one line",
+                                        messageId: "methodChainSingleSimple",
                                         node,
                                     });
 
@@ -2369,7 +2342,7 @@ const singleArgumentOnOneLine = {
                                     if (linePrefix.length + firstFixedLine.length <= 120 && fixed !== nodeText) {
                                         context.report({
                                             fix: (fixer) => fixer.replaceText(node, fixed),
-                                            message: "Method chain should not have line breaks between calls",
+                                            messageId: "methodChainNotLine",
                                             node,
                                         });
 
@@ -2420,12 +2393,15 @@ const singleArgumentOnOneLine = {
                 // Only fix if reasonable length
                 if (fixedCall.length > 120) return;
 
+                // Rebuilding the call would drop comments between the parentheses
+                const hasComments = sourceCode.getCommentsInside(node).length > 0;
+
                 context.report({
-                    fix: (fixer) => fixer.replaceText(
+                    fix: hasComments ? null : (fixer) => fixer.replaceText(
                         node,
                         fixedCall,
                     ),
-                    message: "Single simple argument should be on one line",
+                    messageId: "singleSimpleArgumentOne",
                     node,
                 });
             },
@@ -2434,6 +2410,11 @@ const singleArgumentOnOneLine = {
     meta: {
         docs: { description: "Enforce single simple argument calls and method chains to be on one line" },
         fixable: "code",
+        messages: {
+            methodChainNotLine: "Method chain should not have line breaks between calls",
+            methodChainSingleSimple: "Method chain with single simple arguments should be on one line",
+            singleSimpleArgumentOne: "Single simple argument should be on one line",
+        },
         schema: [],
         type: "layout",
     },
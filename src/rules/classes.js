@@ -1,3 +1,14 @@
+import { getCollapseFix } from "../utils/empty-lines.js";
+
+// Suffixes of well-known base classes: errors keep "Error", React class components
+// and Web Components are named like components
+const DEFAULT_BASE_CLASS_SUFFIXES = {
+    Component: "",
+    Error: "Error",
+    HTMLElement: "",
+    PureComponent: "",
+};
+
 /**
  * ───────────────────────────────────────────────────────────────
  * Rule: Class Naming Convention
@@ -6,19 +17,36 @@
  * Description:
  *   Enforce that class declarations must end with "Class" suffix.
  *   This distinguishes class definitions from other PascalCase names
- *   like React components or type definitions.
+ *   like React components or type definitions. Classes extending a
+ *   known base class or carrying a known decorator use that one's
+ *   suffix instead (an empty suffix means any name is accepted).
+ *
+ * Options:
+ *   { suffix: "Class" } - Suffix of classes matching no other entry
+ *   { baseClasses: { Error: "Error" } } - Suffix by extended class, merged
+ *     over the defaults: Error → "Error", Component, PureComponent and
+ *     HTMLElement → none. `extends React.Component` matches "Component",
+ *     and `extends HttpError` inherits "Error" (the base ends with it)
+ *   { decorators: { Injectable: "Service" } } - Suffix by decorator
+ *     (`@Injectable()`), checked before base classes
+ *   { ignorePatterns: ["^Legacy"] } - Regex patterns of class names to skip
  *
  * ✓ Good:
  *   class ApiServiceClass { ... }
- *   class UserRepositoryClass { ... }
+ *   class ValidationError extends Error { ... }
+ *   class ErrorBoundary extends React.Component { ... }
  *
  * ✗ Bad:
  *   class ApiService { ... }
- *   class UserRepository { ... }
+ *   class Validation extends Error { ... }
  */
 const classNamingConvention = {
     create(context) {
-        const sourceCode = context.sourceCode || context.getSourceCode();
+        const options = context.options[0] || {};
+        const defaultSuffix = options.suffix === undefined ? "Class" : options.suffix;
+        const baseClassSuffixes = { ...DEFAULT_BASE_CLASS_SUFFIXES, ...(options.baseClasses || {}) };
+        const decoratorSuffixes = options.decorators || {};
+        const ignorePatterns = (options.ignorePatterns || []).map((pattern) => new RegExp(pattern));
 
         // Store classes that need renaming and their references
         const classesToRename = new Map();
@@ -54,27 +82,73 @@ const classNamingConvention = {
             return references;
         };
 
+        // Last segment of a name expression: Injectable, React.Component → Component
+        const getSimpleNameHandler = (node) => {
+            if (!node) return null;
+
+            if (node.type === "Identifier") return node.name;
+
+            if (node.type === "MemberExpression" && !node.computed && node.property.type === "Identifier") return node.property.name;
+
+            return null;
+        };
+
+        const getRequiredSuffixHandler = (node) => {
+            const decoratorName = (node.decorators || [])
+                .map(({ expression }) => getSimpleNameHandler(expression.type === "CallExpression" ? expression.callee : expression))
+                .find((name) => name && Object.hasOwn(decoratorSuffixes, name));
+
+            if (decoratorName) return decoratorSuffixes[decoratorName];
+
+            const baseClassName = getSimpleNameHandler(node.superClass);
+
+            if (!baseClassName) return defaultSuffix;
+
+            if (Object.hasOwn(baseClassSuffixes, baseClassName)) return baseClassSuffixes[baseClassName];
+
+            // class NotFoundError extends HttpError: the base already carries the suffix
+            const inheritedSuffix = Object.values(baseClassSuffixes)
+                .find((suffix) => suffix && baseClassName.endsWith(suffix));
+
+            return inheritedSuffix || defaultSuffix;
+        };
+
         return {
             ClassDeclaration(node) {
                 if (!node.id || !node.id.name) return;
 
                 const className = node.id.name;
 
-                if (!className.endsWith("Class")) {
-                    classesToRename.set(className, {
-                        classIdNode: node.id,
-                        newName: `${className}Class`,
-                    });
-                }
+                if (ignorePatterns.some((pattern) => pattern.test(className))) return;
+
+                const suffix = getRequiredSuffixHandler(node);
+
+                if (!suffix || className.endsWith(suffix)) return;
+
+                // ValidationClass extends Error → ValidationError, not ValidationClassError
+                const baseName = defaultSuffix && className.endsWith(defaultSuffix) && className !== defaultSuffix
+                    ? className.slice(0, -defaultSuffix.length)
+                    : className;
+
+                classesToRename.set(className, {
+                    classIdNode: node.id,
+                    newName: baseName.endsWith(suffix) ? baseName : `${baseName}${suffix}`,
+                    suffix,
+                });
             },
 
             "Program:exit"(programNode) {
                 // Process all classes that need renaming
-                classesToRename.forEach(({ classIdNode, newName }, className) => {
+                classesToRename.forEach(({ classIdNode, newName, suffix }, className) => {
                     // Find all references to this class in the entire program
                     const allReferences = collectReferencesHandler(programNode, className);
 
                     context.report({
+                        data: {
+                            className,
+                            newName,
+                            suffix,
+                        },
                         fix: (fixer) => {
                             const fixes = [];
 
@@ -84,7 +158,7 @@ const classNamingConvention = {
 
                             return fixes;
                         },
-                        message: `Class name "${className}" should end with "Class" suffix`,
+                        messageId: "missingClassSuffix",
                         node: classIdNode,
                     });
                 });
@@ -92,9 +166,38 @@ const classNamingConvention = {
         };
     },
     meta: {
-        docs: { description: "Enforce class names end with 'Class' suffix" },
+        docs: { description: "Enforce class names end with 'Class' suffix, or the suffix of their base class or decorator" },
         fixable: "code",
-        schema: [],
+        messages: {
+            missingClassSuffix: "Class name \"{{className}}\" should end with \"{{suffix}}\" suffix",
+        },
+        schema: [
+            {
+                additionalProperties: false,
+                properties: {
+                    baseClasses: {
+                        additionalProperties: { type: "string" },
+                        description: "Suffix by extended class name (merged over Error, Component, PureComponent and HTMLElement); empty string for none",
+                        type: "object",
+                    },
+                    decorators: {
+                        additionalProperties: { type: "string" },
+                        description: "Suffix by decorator name; empty string for none",
+                        type: "object",
+                    },
+                    ignorePatterns: {
+                        description: "Regex patterns of class names to skip",
+                        items: { format: "regex", type: "string" },
+                        type: "array",
+                    },
+                    suffix: {
+                        description: "Suffix of classes matching no base class or decorator; empty string for none",
+                        type: "string",
+                    },
+                },
+                type: "object",
+            },
+        ],
         type: "suggestion",
     },
 };
@@ -106,7 +209,7 @@ const classNamingConvention = {
  *
  * Description:
  *   Enforce consistent spacing in class and method definitions:
- *   - Space before opening brace { in class declarations
+ *   - Space before opening brace { in class declarations and expressions
  *   - No space between method name and opening parenthesis (
  *   - Space before opening brace { in method definitions
  *   - Opening brace must be on same line as method signature
@@ -134,50 +237,52 @@ const classMethodDefinitionFormat = {
     create(context) {
         const sourceCode = context.sourceCode || context.getSourceCode();
 
-        return {
-            ClassDeclaration(node) {
-                const classBody = node.body;
+        const checkClassHandler = (node) => {
+            const classBody = node.body;
 
-                if (!classBody) return;
+            if (!classBody) return;
 
-                // Find the opening brace of the class body
-                const openBrace = sourceCode.getFirstToken(classBody);
+            // Find the opening brace of the class body
+            const openBrace = sourceCode.getFirstToken(classBody);
 
-                if (!openBrace || openBrace.value !== "{") return;
+            if (!openBrace || openBrace.value !== "{") return;
 
-                // Get the token before the opening brace (class name or extends clause)
-                const tokenBefore = sourceCode.getTokenBefore(openBrace);
+            // Get the token before the opening brace (class name or extends clause)
+            const tokenBefore = sourceCode.getTokenBefore(openBrace);
 
-                if (!tokenBefore) return;
+            if (!tokenBefore) return;
 
-                // Check if opening brace is on same line as class declaration
-                if (tokenBefore.loc.end.line !== openBrace.loc.start.line) {
-                    context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [tokenBefore.range[1], openBrace.range[0]],
-                            " ",
-                        ),
-                        message: "Opening brace should be on the same line as class declaration",
-                        node: openBrace,
-                    });
+            // Check if opening brace is on same line as class declaration
+            if (tokenBefore.loc.end.line !== openBrace.loc.start.line) {
+                context.report({
+                    fix: getCollapseFix(sourceCode, tokenBefore.range[1], openBrace.range[0], " "),
+                    messageId: "openingBraceSameLine",
+                    node: openBrace,
+                });
 
-                    return;
-                }
+                return;
+            }
+
+            // Check for space before opening brace (after a comment sitting before it: class Store /* state */ {)
+            const tokenOrCommentBefore = sourceCode.getTokenBefore(openBrace, { includeComments: true });
+            const textBetween = sourceCode.text.slice(tokenOrCommentBefore.range[1], openBrace.range[0]);
+
+            if (textBetween !== " ") {
+                context.report({
+                    fix: (fixer) => fixer.replaceTextRange(
+                        [tokenOrCommentBefore.range[1], openBrace.range[0]],
+                        " ",
+                    ),
+                    messageId: "expectedSingleSpaceBefore",
+                    node: openBrace,
+                });
+            }
+        };
 
-                // Check for space before opening brace
-                const textBetween = sourceCode.text.slice(tokenBefore.range[1], openBrace.range[0]);
+        return {
+            ClassDeclaration: checkClassHandler,
 
-                if (textBetween !== " ") {
-                    context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [tokenBefore.range[1], openBrace.range[0]],
-                            " ",
-                        ),
-                        message: "Expected single space before opening brace in class declaration",
-                        node: openBrace,
-                    });
-                }
-            },
+            ClassExpression: checkClassHandler,
 
             MethodDefinition(node) {
                 const methodKey = node.key;
@@ -211,11 +316,8 @@ const classMethodDefinitionFormat = {
 
                     if (/\s/.test(textBeforeParen)) {
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [tokenBeforeParen.range[1], openParen.range[0]],
-                                "",
-                            ),
-                            message: "No space between method name and opening parenthesis",
+                            fix: getCollapseFix(sourceCode, tokenBeforeParen.range[1], openParen.range[0], ""),
+                            messageId: "noSpaceBetweenMethod",
                             node: openParen,
                         });
                     }
@@ -238,11 +340,8 @@ const classMethodDefinitionFormat = {
                 // Check if opening brace is on same line
                 if (tokenBeforeBrace.loc.end.line !== openBrace.loc.start.line) {
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [tokenBeforeBrace.range[1], openBrace.range[0]],
-                            " ",
-                        ),
-                        message: "Opening brace should be on the same line as method signature",
+                        fix: getCollapseFix(sourceCode, tokenBeforeBrace.range[1], openBrace.range[0], " "),
+                        messageId: "openingBraceSameLineMethod",
                         node: openBrace,
                     });
 
@@ -250,15 +349,16 @@ const classMethodDefinitionFormat = {
                 }
 
                 // Check for space before opening brace
-                const textBeforeBrace = sourceCode.text.slice(tokenBeforeBrace.range[1], openBrace.range[0]);
+                const tokenOrCommentBeforeBrace = sourceCode.getTokenBefore(openBrace, { includeComments: true });
+                const textBeforeBrace = sourceCode.text.slice(tokenOrCommentBeforeBrace.range[1], openBrace.range[0]);
 
                 if (textBeforeBrace !== " ") {
                     context.report({
                         fix: (fixer) => fixer.replaceTextRange(
-                            [tokenBeforeBrace.range[1], openBrace.range[0]],
+                            [tokenOrCommentBeforeBrace.range[1], openBrace.range[0]],
                             " ",
                         ),
-                        message: "Expected single space before opening brace in method definition",
+                        messageId: "expectedSingleSpaceBeforeOpening",
                         node: openBrace,
                     });
                 }
@@ -268,9 +368,472 @@ const classMethodDefinitionFormat = {
     meta: {
         docs: { description: "Enforce consistent spacing in class and method definitions" },
         fixable: "whitespace",
+        messages: {
+            expectedSingleSpaceBefore: "Expected single space before opening brace in class declaration",
+            expectedSingleSpaceBeforeOpening: "Expected single space before opening brace in method definition",
+            noSpaceBetweenMethod: "No space between method name and opening parenthesis",
+            openingBraceSameLine: "Opening brace should be on the same line as class declaration",
+            openingBraceSameLineMethod: "Opening brace should be on the same line as method signature",
+        },
         schema: [],
         type: "layout",
     },
 };
 
-export { classNamingConvention, classMethodDefinitionFormat };
+// Built-in member groups, top to bottom (default value of the `order` option of class-member-order)
+const DEFAULT_MEMBER_ORDER = [
+    "static-fields",
+    "instance-fields",
+    "constructor",
+    "static-methods",
+    "lifecycle",
+    "accessors",
+    "methods",
+    "private",
+];
+
+// Built-in member group labels used in messages
+const MEMBER_GROUP_LABELS = {
+    "accessors": "getters/setters",
+    "constructor": "constructor",
+    "instance-fields": "instance fields",
+    "lifecycle": "lifecycle methods",
+    "methods": "methods",
+    "private": "private # members",
+    "static-fields": "static fields",
+    "static-methods": "static methods",
+};
+
+// React class component lifecycle methods in the order they run, render last
+const REACT_LIFECYCLE_METHODS = [
+    "getDerivedStateFromProps",
+    "componentWillMount",
+    "UNSAFE_componentWillMount",
+    "componentDidMount",
+    "componentWillReceiveProps",
+    "UNSAFE_componentWillReceiveProps",
+    "shouldComponentUpdate",
+    "componentWillUpdate",
+    "UNSAFE_componentWillUpdate",
+    "getSnapshotBeforeUpdate",
+    "componentDidUpdate",
+    "getDerivedStateFromError",
+    "componentDidCatch",
+    "componentWillUnmount",
+    "render",
+];
+
+/**
+ * ───────────────────────────────────────────────────────────────
+ * Rule: Class Member Order
+ * ───────────────────────────────────────────────────────────────
+ *
+ * Description:
+ *   Enforce a consistent order of class members. In React class
+ *   components the lifecycle methods follow the order they run in,
+ *   with render last. The auto-fix moves whole members together with
+ *   their comments; it is skipped when a field initializer would run
+ *   before a field it reads.
+ *
+ * Order (top to bottom):
+ *   1. Static fields and static blocks
+ *   2. Instance fields
+ *   3. Constructor
+ *   4. Static methods
+ *   5. Lifecycle methods (React class components: getDerivedStateFromProps,
+ *      componentDidMount, shouldComponentUpdate, componentDidUpdate,
+ *      componentWillUnmount, ..., render)
+ *   6. Getters and setters
+ *   7. Methods (arrow function fields included)
+ *   8. Private # members
+ *
+ * Options:
+ *   { order: [...] } - Groups from top to bottom. Built-in groups are referenced
+ *   by name ("static-fields", "lifecycle", "private", ...). A group object
+ *   { name, pattern } matches members by a regex tested against their name;
+ *   its name is either a built-in group (extends it) or a custom group.
+ *   Members of groups missing from the list are not checked.
+ *
+ *   order: ["static-fields", "instance-fields", "constructor", "lifecycle",
+ *       { name: "handlers", pattern: "Handler$" }, "accessors", "methods", "private"]
+ *
+ * ✓ Good:
+ *   class CounterClass extends Component {
+ *       static defaultProps = { step: 1 };
+ *       state = { count: 0 };
+ *       constructor(props) { ... }
+ *       componentDidMount() { ... }
+ *       render() { ... }
+ *       get isEmpty() { ... }
+ *       incrementHandler = () => { ... };
+ *       #timer = null;
+ *   }
+ *
+ * ✗ Bad:
+ *   class CounterClass extends Component {
+ *       render() { ... }
+ *       componentDidMount() { ... }   // lifecycle method after render
+ *       state = { count: 0 };         // field after methods
+ *   }
+ */
+const classMemberOrder = {
+    create(context) {
+        const sourceCode = context.sourceCode || context.getSourceCode();
+        const options = context.options[0] || {};
+        const orderGroups = options.order || DEFAULT_MEMBER_ORDER;
+        const groupNames = orderGroups.map((group) => (typeof group === "string" ? group : group.name));
+
+        // Members whose group is not in the configured order are not checked
+        const UNKNOWN_ORDER = Infinity;
+
+        // Position of a group in the configured order (1-based)
+        const getGroupOrderHandler = (groupName) => {
+            const index = groupNames.indexOf(groupName);
+
+            return index === -1 ? UNKNOWN_ORDER : index + 1;
+        };
+
+        // Name matchers of configured group objects, checked before the built-in groups
+        const groupMatchers = orderGroups
+            .filter((group) => typeof group === "object" && group.pattern)
+            .map((group) => ({
+                order: getGroupOrderHandler(group.name),
+                pattern: new RegExp(group.pattern),
+            }));
+
+        const isReactComponentHandler = (classNode) => {
+            const { superClass } = classNode;
+
+            if (!superClass) return false;
+
+            const baseName = superClass.type === "MemberExpression" && !superClass.computed
+                ? superClass.property.name
+                : superClass.name;
+
+            return baseName === "Component" || baseName === "PureComponent";
+        };
+
+        // Member name as written (#count for private names), or null for computed keys and static blocks
+        const getMemberNameHandler = (member) => {
+            if (!member.key || member.computed) return null;
+
+            if (member.key.type === "PrivateIdentifier") return `#${member.key.name}`;
+
+            if (member.key.type === "Identifier") return member.key.name;
+
+            return member.key.type === "Literal" ? String(member.key.value) : null;
+        };
+
+        const isFunctionValueHandler = (value) => Boolean(value)
+            && (value.type === "ArrowFunctionExpression" || value.type === "FunctionExpression");
+
+        const isMethodHandler = (member) => member.type === "MethodDefinition"
+            || member.type === "TSAbstractMethodDefinition";
+
+        // Built-in group of a member
+        const getBuiltInGroupHandler = (member, isReactComponent) => {
+            const name = getMemberNameHandler(member);
+
+            if (member.type === "StaticBlock") return "static-fields";
+
+            if (member.type === "TSIndexSignature") return member.static ? "static-fields" : "instance-fields";
+
+            if (member.key && member.key.type === "PrivateIdentifier") return "private";
+
+            if (isMethodHandler(member) && member.kind === "constructor") return "constructor";
+
+            if (isReactComponent && REACT_LIFECYCLE_METHODS.includes(name)
+                && (isMethodHandler(member) || isFunctionValueHandler(member.value))) {
+                return "lifecycle";
+            }
+
+            // Arrow function fields (clickHandler = () => {}) are methods bound to the instance
+            const isCallable = isMethodHandler(member) || isFunctionValueHandler(member.value);
+
+            if (member.static) return isCallable ? "static-methods" : "static-fields";
+
+            if (isMethodHandler(member) && (member.kind === "get" || member.kind === "set")) return "accessors";
+
+            return isCallable ? "methods" : "instance-fields";
+        };
+
+        const getMemberOrderHandler = (member, isReactComponent) => {
+            const name = getMemberNameHandler(member);
+            const matcher = name && member.kind !== "constructor"
+                ? groupMatchers.find(({ pattern }) => pattern.test(name))
+                : null;
+
+            if (matcher) return matcher.order;
+
+            return getGroupOrderHandler(getBuiltInGroupHandler(member, isReactComponent));
+        };
+
+        const getGroupLabelHandler = (order) => {
+            const groupName = groupNames[order - 1];
+
+            return MEMBER_GROUP_LABELS[groupName] || groupName;
+        };
+
+        // Sort key: group position, then lifecycle position inside the lifecycle group
+        const compareKeysHandler = (a, b) => (a.order - b.order) || (a.lifecycleIndex - b.lifecycleIndex);
+
+        // Names of class members a field initializer or static block reads (this.x, this.#x, ClassName.x)
+        const getReadMemberNamesHandler = (member, className) => {
+            const names = new Set();
+            const root = member.type === "StaticBlock" ? member : member.value;
+
+            const visitHandler = (node) => {
+                if (!node || typeof node !== "object") return;
+
+                if (node.type === "MemberExpression" && !node.computed
+                    && (node.object.type === "ThisExpression"
+                        || (className && node.object.type === "Identifier" && node.object.name === className))) {
+                    names.add(node.property.type === "PrivateIdentifier" ? `#${node.property.name}` : node.property.name);
+                }
+
+                // Functions run later, not while the class is initialized
+                if (node !== root && (node.type === "FunctionExpression" || node.type === "FunctionDeclaration")) return;
+
+                for (const key in node) {
+                    if (key === "parent" || key === "range" || key === "loc") continue;
+
+                    const child = node[key];
+
+                    if (Array.isArray(child)) {
+                        child.forEach((c) => visitHandler(c));
+                    } else if (child && typeof child === "object" && child.type) {
+                        visitHandler(child);
+                    }
+                }
+            };
+
+            if (root && !isFunctionValueHandler(root)) visitHandler(root);
+
+            return names;
+        };
+
+        // Range of a member with its own comments and decorators: the lines above it (up to the
+        // previous member or the opening brace) and the comments after it on its last line
+        const getMemberChunkRangeHandler = (members, classBody, member, index) => {
+            const previousLine = index > 0 ? members[index - 1].loc.end.line : classBody.loc.start.line;
+            const decoratorStarts = (member.decorators || []).map((decorator) => decorator.range[0]);
+            const start = Math.min(member.range[0], ...decoratorStarts);
+
+            const leadingComments = sourceCode.getCommentsBefore(sourceCode.getTokenByRangeStart(start) || member)
+                .filter((comment) => comment.loc.start.line > previousLine);
+
+            const trailingComments = sourceCode.getCommentsAfter(member)
+                .filter((comment) => comment.loc.start.line === member.loc.end.line);
+
+            return [
+                leadingComments.length > 0 ? leadingComments[0].range[0] : start,
+                trailingComments.length > 0 ? trailingComments[trailingComments.length - 1].range[1] : member.range[1],
+            ];
+        };
+
+        const checkClassBodyHandler = (classBody) => {
+            const classNode = classBody.parent;
+            const members = classBody.body;
+
+            if (members.length < 2) return;
+
+            const isReactComponent = isReactComponentHandler(classNode);
+            const className = classNode.id ? classNode.id.name : null;
+
+            const keys = members.map((member, index) => {
+                const order = getMemberOrderHandler(member, isReactComponent);
+                const name = getMemberNameHandler(member);
+                const isLifecycle = order === getGroupOrderHandler("lifecycle") && REACT_LIFECYCLE_METHODS.includes(name);
+
+                return {
+                    index,
+                    lifecycleIndex: isLifecycle ? REACT_LIFECYCLE_METHODS.indexOf(name) : 0,
+                    order,
+                };
+            });
+
+            // First member placed after a member that should follow it
+            let previousKey = null;
+            let violation = null;
+
+            for (const key of keys) {
+                if (key.order === UNKNOWN_ORDER) continue;
+
+                if (previousKey && compareKeysHandler(key, previousKey) < 0) {
+                    violation = { current: key, previous: previousKey };
+
+                    break;
+                }
+
+                if (!previousKey || compareKeysHandler(key, previousKey) > 0) previousKey = key;
+            }
+
+            if (!violation) return;
+
+            // Unchecked members move with the next checked member (or the previous one at the end)
+            const effectiveKeys = keys.map((key, index) => {
+                if (key.order !== UNKNOWN_ORDER) return key;
+
+                const anchor = keys.slice(index + 1).find((next) => next.order !== UNKNOWN_ORDER)
+                    || [...keys.slice(0, index)].reverse().find((previous) => previous.order !== UNKNOWN_ORDER);
+
+                return { ...anchor, index };
+            });
+
+            const sortedIndices = [...effectiveKeys]
+                .sort((a, b) => compareKeysHandler(a, b) || (a.index - b.index))
+                .map(({ index }) => index);
+
+            const newPositions = new Map(sortedIndices.map((memberIndex, position) => [memberIndex, position]));
+
+            // Fields are initialized top to bottom, so a field (or static block) must stay below
+            // the fields it reads, arrow function fields included
+            const fieldIndicesByName = new Map();
+
+            members.forEach((member, index) => {
+                const name = getMemberNameHandler(member);
+
+                if (name && member.type.endsWith("PropertyDefinition")) {
+                    fieldIndicesByName.set(`${member.static ? "static " : ""}${name}`, index);
+                }
+            });
+
+            const breaksInitializationHandler = () => members.some((member, index) => {
+                if (member.type !== "StaticBlock" && !member.type.endsWith("PropertyDefinition")) return false;
+
+                const isStatic = member.type === "StaticBlock" || member.static;
+
+                return [...getReadMemberNamesHandler(member, className)].some((name) => {
+                    const fieldIndex = fieldIndicesByName.get(`${isStatic ? "static " : ""}${name}`);
+
+                    return fieldIndex !== undefined && fieldIndex < index && newPositions.get(fieldIndex) > newPositions.get(index);
+                });
+            });
+
+            // Members sharing a line, or a field without semicolon followed by a member
+            // starting with ( [ or *, cannot be moved line by line
+            const isLineBasedHandler = () => members.every((member, index) => {
+                const previousLine = index > 0 ? members[index - 1].loc.end.line : classBody.loc.start.line;
+                const decoratorLines = (member.decorators || []).map((decorator) => decorator.loc.start.line);
+
+                return Math.min(member.loc.start.line, ...decoratorLines) > previousLine;
+            });
+
+            const hasAsiHazardHandler = () => sortedIndices.some((memberIndex, position) => {
+                const member = members[memberIndex];
+                const nextMember = members[sortedIndices[position + 1]];
+
+                if (!nextMember || !member.type.endsWith("PropertyDefinition")) return false;
+
+                const lastToken = sourceCode.getLastToken(member);
+                const nextFirstToken = sourceCode.getFirstToken(nextMember);
+
+                return lastToken.value !== ";" && ["(", "[", "*"].includes(nextFirstToken.value);
+            });
+
+            const canAutoFix = isLineBasedHandler() && !breaksInitializationHandler() && !hasAsiHazardHandler();
+
+            // Blank line between members unless both are single-line members of the same group
+            const fixHandler = (fixer) => {
+                const chunkRanges = members.map((member, index) => getMemberChunkRangeHandler(members, classBody, member, index));
+                const firstChunkLine = sourceCode.lines[sourceCode.getLocFromIndex(chunkRanges[0][0]).line - 1];
+                const baseIndent = firstChunkLine.match(/^\s*/)[0];
+
+                const newBodyContent = sortedIndices.map((memberIndex, position) => {
+                    const chunk = sourceCode.text.slice(...chunkRanges[memberIndex]);
+
+                    if (position === 0) return chunk;
+
+                    const previousIndex = sortedIndices[position - 1];
+                    const isCompact = effectiveKeys[previousIndex].order === effectiveKeys[memberIndex].order
+                        && !sourceCode.text.slice(...chunkRanges[previousIndex]).includes("\n")
+                        && !chunk.includes("\n");
+
+                    return `${isCompact ? "\n" : "\n\n"}${baseIndent}${chunk}`;
+                }).join("");
+
+                return fixer.replaceTextRange([chunkRanges[0][0], chunkRanges[chunkRanges.length - 1][1]], newBodyContent);
+            };
+
+            const { current, previous } = violation;
+            const currentMember = members[current.index];
+            const type = className ? `class "${className}"` : "class";
+
+            if (current.order === previous.order) {
+                context.report({
+                    data: {
+                        current: getMemberNameHandler(currentMember),
+                        previous: getMemberNameHandler(members[previous.index]),
+                        type,
+                    },
+                    fix: canAutoFix ? fixHandler : undefined,
+                    messageId: "wrongLifecycleOrder",
+                    node: currentMember,
+                });
+
+                return;
+            }
+
+            context.report({
+                data: {
+                    current: getGroupLabelHandler(current.order),
+                    order: groupNames.join(" → "),
+                    previous: getGroupLabelHandler(previous.order),
+                    type,
+                },
+                fix: canAutoFix ? fixHandler : undefined,
+                messageId: "wrongOrder",
+                node: currentMember,
+            });
+        };
+
+        return {
+            ClassBody: checkClassBodyHandler,
+        };
+    },
+    meta: {
+        docs: { description: "Enforce a consistent order of class members: fields, constructor, lifecycle methods, accessors, methods and private members" },
+        fixable: "code",
+        messages: {
+            wrongLifecycleOrder: "Lifecycle method \"{{current}}\" should come before \"{{previous}}\" in {{type}}",
+            wrongOrder: "\"{{current}}\" should come before \"{{previous}}\" in {{type}}. Order: {{order}}",
+        },
+        schema: [
+            {
+                additionalProperties: false,
+                properties: {
+                    order: {
+                        description: "Groups from top to bottom: built-in group names or { name, pattern } group objects",
+                        items: {
+                            anyOf: [
+                                { enum: DEFAULT_MEMBER_ORDER },
+                                {
+                                    additionalProperties: false,
+                                    properties: {
+                                        name: {
+                                            description: "Built-in group to extend or name of a custom group",
+                                            type: "string",
+                                        },
+                                        pattern: {
+                                            description: "Regex tested against the member name (e.g., Handler$ or ^#)",
+                                            format: "regex",
+                                            type: "string",
+                                        },
+                                    },
+                                    required: ["name"],
+                                    type: "object",
+                                },
+                            ],
+                        },
+                        minItems: 1,
+                        type: "array",
+                    },
+                },
+                type: "object",
+            },
+        ],
+        type: "suggestion",
+    },
+};
+
+export { classNamingConvention, classMethodDefinitionFormat, classMemberOrder };
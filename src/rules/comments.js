@@ -20,6 +20,9 @@ const commentFormat = {
     create(context) {
         const sourceCode = context.sourceCode || context.getSourceCode();
 
+        // ESLint directive comments (eslint-disable, eslint-enable, etc.) keep their /* */ syntax
+        const isEslintDirectiveHandler = (value) => /^eslint-disable|^eslint-enable|^eslint-disable-next-line|^eslint-disable-line/.test(value.trim());
+
         return {
             Program(node) {
                 const comments = sourceCode.getAllComments();
@@ -37,20 +40,21 @@ const commentFormat = {
                         const isSingleLine = !value.includes("\n");
 
                         if (isSingleLine) {
-                            // Skip ESLint directive comments (eslint-disable, eslint-enable, etc.)
+                            // Allow /* */ syntax for ESLint directives
+                            if (isEslintDirectiveHandler(value)) return;
+
                             const trimmedValue = value.trim();
-                            const isEslintDirective = /^eslint-disable|^eslint-enable|^eslint-disable-next-line|^eslint-disable-line/.test(trimmedValue);
 
-                            if (isEslintDirective) {
-                                // Allow /* */ syntax for ESLint directives
-                                return;
-                            }
+                            // Allow /* */ when code follows on the same line - // would comment it out
+                            const tokenAfterComment = sourceCode.getTokenAfter(comment, { includeComments: true });
+
+                            if (tokenAfterComment && tokenAfterComment.loc.start.line === comment.loc.end.line) return;
 
                             // Single-line block comment should use // syntax
                             context.report({
                                 fix: (fixer) => fixer.replaceText(comment, `// ${trimmedValue}`),
                                 loc: comment.loc,
-                                message: "Single-line comments should use // syntax instead of /* */",
+                                messageId: "singleLineCommentsSyntax",
                             });
                         } else {
                             // Multi-line block comment: check spacing
@@ -67,7 +71,7 @@ const commentFormat = {
                                 context.report({
                                     fix: (fixer) => fixer.replaceText(comment, `/*${newValue}*/`),
                                     loc: comment.loc,
-                                    message: "Block comment should have space after /* and before */",
+                                    messageId: "blockCommentSpaceAfter",
                                 });
                             }
                         }
@@ -80,7 +84,7 @@ const commentFormat = {
                             context.report({
                                 fix: (fixer) => fixer.replaceText(comment, `// ${value}`),
                                 loc: comment.loc,
-                                message: "Line comment should have space after //",
+                                messageId: "lineCommentSpaceAfter",
                             });
                         }
                     }
@@ -99,7 +103,7 @@ const commentFormat = {
                                     " ",
                                 ),
                                 loc: comment.loc,
-                                message: "Inline comment should have exactly one space before it",
+                                messageId: "inlineCommentExactlyOne",
                             });
                         }
                     }
@@ -109,7 +113,7 @@ const commentFormat = {
 
                 // Get only comments at the very top of the file (before any code)
                 const topComments = comments.filter((comment) => comment.loc.end.line < firstToken.loc.start.line
-                    || (comment.loc.start.line === 1 && firstToken.loc.start.line === 1 && comment.range[1] < firstToken.range[0]));
+                    || (comment.loc.start.line === 1 && firstToken.loc.start.line === 1 && comment.range[1] <= firstToken.range[0]));
 
                 // Check top-of-file comments: no blank lines between them
                 if (topComments.length > 1) {
@@ -126,7 +130,7 @@ const commentFormat = {
                                     "\n",
                                 ),
                                 loc: next.loc,
-                                message: "No blank lines allowed between top-of-file comments",
+                                messageId: "noBlankLinesAllowed",
                             });
                         }
                     }
@@ -142,14 +146,21 @@ const commentFormat = {
                         context.report({
                             fix: (fixer) => fixer.insertTextAfter(lastTopComment, "\n"),
                             loc: firstToken.loc,
-                            message: "Expected empty line between top-of-file comments and code",
+                            messageId: "expectedEmptyLineBetween",
                         });
                     } else if (firstToken.loc.start.line === lastTopComment.loc.end.line) {
                         // Code is on the same line as comment
+                        const isSingleLineBlock = lastTopComment.type === "Block"
+                            && !lastTopComment.value.includes("\n")
+                            && !isEslintDirectiveHandler(lastTopComment.value);
+
                         context.report({
-                            fix: (fixer) => fixer.insertTextBefore(firstToken, "\n\n"),
+                            // A single-line block comment left on its own line becomes a // comment in the same fix
+                            fix: (fixer) => (isSingleLineBlock
+                                ? fixer.replaceTextRange([lastTopComment.range[0], firstToken.range[0]], `// ${lastTopComment.value.trim()}\n\n`)
+                                : fixer.insertTextBefore(firstToken, "\n\n")),
                             loc: firstToken.loc,
-                            message: "Code should be on a new line after top-of-file comments",
+                            messageId: "codeNewLineAfter",
                         });
                     }
                 }
@@ -160,6 +171,15 @@ const commentFormat = {
     meta: {
         docs: { description: "Enforce comment spacing and formatting" },
         fixable: "whitespace",
+        messages: {
+            blockCommentSpaceAfter: "Block comment should have space after /* and before */",
+            codeNewLineAfter: "Code should be on a new line after top-of-file comments",
+            expectedEmptyLineBetween: "Expected empty line between top-of-file comments and code",
+            inlineCommentExactlyOne: "Inline comment should have exactly one space before it",
+            lineCommentSpaceAfter: "Line comment should have space after //",
+            noBlankLinesAllowed: "No blank lines allowed between top-of-file comments",
+            singleLineCommentsSyntax: "Single-line comments should use // syntax instead of /* */",
+        },
         schema: [],
         type: "layout",
     },
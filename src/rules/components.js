@@ -1,4 +1,7 @@
-import fs from "fs";
+import { getCollapseFix, hasEmptyLineBetween } from "../utils/empty-lines.js";
+import { readDirectory } from "../utils/fs-cache.js";
+import { findVariable, getNodeScope, renameVariableFixes } from "../utils/naming.js";
+import { escapeRegExp, getFrameworkConventions, getRouteSegments, getSharedSettings } from "../utils/settings.js";
 
 // Singularize: convert folder name to singular form (shared across multiple rules)
 const singularizeHandler = (word) => {
@@ -9,6 +12,45 @@ const singularizeHandler = (word) => {
     return word;
 };
 
+// Check if a function body returns JSX, looking into nested blocks and branches (shared across multiple rules)
+const containsJsxHandler = (node) => {
+    if (!node) return false;
+
+    if (node.type === "JSXElement" || node.type === "JSXFragment") return true;
+
+    if (node.type === "BlockStatement") return node.body.some(containsJsxHandler);
+
+    if (node.type === "ReturnStatement") return containsJsxHandler(node.argument);
+
+    if (node.type === "IfStatement") {
+        return containsJsxHandler(node.consequent) || containsJsxHandler(node.alternate);
+    }
+
+    if (node.type === "SwitchStatement") {
+        return node.cases.some((switchCase) => switchCase.consequent.some(containsJsxHandler));
+    }
+
+    if (node.type === "TryStatement") {
+        return containsJsxHandler(node.block)
+            || Boolean(node.handler && containsJsxHandler(node.handler.body))
+            || containsJsxHandler(node.finalizer);
+    }
+
+    if (node.type === "ConditionalExpression") {
+        return containsJsxHandler(node.consequent) || containsJsxHandler(node.alternate);
+    }
+
+    if (node.type === "LogicalExpression") {
+        return containsJsxHandler(node.left) || containsJsxHandler(node.right);
+    }
+
+    if (node.type === "ParenthesizedExpression") {
+        return containsJsxHandler(node.expression);
+    }
+
+    return false;
+};
+
 /**
  * ───────────────────────────────────────────────────────────────
  * Rule: Component Props Destructure
@@ -31,34 +73,6 @@ const componentPropsDestructure = {
     create(context) {
         const sourceCode = context.sourceCode || context.getSourceCode();
 
-        const containsJsxHandler = (node) => {
-            if (!node) return false;
-
-            if (node.type === "JSXElement" || node.type === "JSXFragment") return true;
-
-            if (node.type === "BlockStatement") {
-                for (const statement of node.body) {
-                    if (statement.type === "ReturnStatement" && statement.argument) {
-                        if (containsJsxHandler(statement.argument)) return true;
-                    }
-                }
-            }
-
-            if (node.type === "ConditionalExpression") {
-                return containsJsxHandler(node.consequent) || containsJsxHandler(node.alternate);
-            }
-
-            if (node.type === "LogicalExpression") {
-                return containsJsxHandler(node.left) || containsJsxHandler(node.right);
-            }
-
-            if (node.type === "ParenthesizedExpression") {
-                return containsJsxHandler(node.expression);
-            }
-
-            return false;
-        };
-
         const isReactComponentHandler = (node) => {
             // Check if it's a named export or variable declarator with PascalCase name
             let componentName = null;
@@ -82,104 +96,57 @@ const componentPropsDestructure = {
             return false;
         };
 
-        // Find all property accesses on a parameter in the function body
-        const findPropAccessesHandler = (body, paramName) => {
-            const accesses = [];
-
-            const visitNode = (n) => {
-                if (!n || typeof n !== "object") return;
-
-                // Check for member expression like props.name
-                if (n.type === "MemberExpression" && !n.computed) {
-                    if (n.object.type === "Identifier" && n.object.name === paramName) {
-                        const propName = n.property.name;
-
-                        accesses.push({
-                            node: n,
-                            property: propName,
-                        });
-                    }
-                }
-
-                // Recurse into child nodes
-                for (const key of Object.keys(n)) {
-                    if (key === "parent") continue;
+        // Check if a props member expression is written to (assigned, updated, deleted or destructured into)
+        const isWriteTargetHandler = (member) => {
+            const { parent } = member;
+
+            return (parent.type === "AssignmentExpression" && parent.left === member)
+                || parent.type === "UpdateExpression"
+                || (parent.type === "UnaryExpression" && parent.operator === "delete")
+                || ((parent.type === "ForInStatement" || parent.type === "ForOfStatement") && parent.left === member)
+                || parent.type === "ArrayPattern"
+                || parent.type === "RestElement"
+                || (parent.type === "AssignmentPattern" && parent.left === member)
+                || (parent.type === "Property" && parent.value === member && parent.parent.type === "ObjectPattern");
+        };
 
-                    const child = n[key];
+        // Get the key a destructured property reads, or null when it is computed
+        const getPropertyKeyHandler = (prop) => {
+            if (prop.computed) return null;
 
-                    if (Array.isArray(child)) {
-                        child.forEach(visitNode);
-                    } else if (child && typeof child === "object" && child.type) {
-                        visitNode(child);
-                    }
-                }
-            };
+            if (prop.key.type === "Identifier") return prop.key.name;
 
-            visitNode(body);
+            if (prop.key.type === "Literal" && typeof prop.key.value === "string") return prop.key.value;
 
-            return accesses;
+            return null;
         };
 
-        // Find body destructuring like: const { name } = data; or const { name, age } = data;
-        const findBodyDestructuringHandler = (body, paramName) => {
-            const results = [];
-
-            if (body.type !== "BlockStatement") return results;
-
-            for (const statement of body.body) {
-                if (statement.type === "VariableDeclaration") {
-                    for (const declarator of statement.declarations) {
-                        // Check if it's destructuring from the param: const { x } = paramName
-                        if (
-                            declarator.id.type === "ObjectPattern" &&
-                            declarator.init &&
-                            declarator.init.type === "Identifier" &&
-                            declarator.init.name === paramName
-                        ) {
-                            const props = [];
-
-                            for (const prop of declarator.id.properties) {
-                                if (prop.type === "Property" && prop.key.type === "Identifier") {
-                                    // Handle both { name } and { name: alias }
-                                    const keyName = prop.key.name;
-                                    const valueName = prop.value.type === "Identifier" ? prop.value.name : null;
-                                    const hasDefault = prop.value.type === "AssignmentPattern";
-                                    let defaultValue = null;
-
-                                    if (hasDefault && prop.value.right) {
-                                        defaultValue = sourceCode.getText(prop.value.right);
-                                    }
-
-                                    props.push({
-                                        default: defaultValue,
-                                        hasAlias: keyName !== valueName && !hasDefault,
-                                        key: keyName,
-                                        value: hasDefault ? prop.value.left.name : valueName,
-                                    });
-                                } else if (prop.type === "RestElement" && prop.argument.type === "Identifier") {
-                                    props.push({
-                                        isRest: true,
-                                        key: prop.argument.name,
-                                        value: prop.argument.name,
-                                    });
-                                }
-                            }
-
-                            results.push({
-                                declarator,
-                                props,
-                                statement,
-                                // Track if this is the only declarator in the statement
-                                statementHasOnlyThisDeclarator: statement.declarations.length === 1,
-                            });
-                        }
-                    }
-                }
+        // Get the range removing a whole destructuring statement with its line; when it opens the
+        // block (isFirst), the empty lines after it go too so no blank line is left after "{"
+        const getStatementRemovalRangeHandler = (statement, isFirst) => {
+            const lineStart = sourceCode.getIndexFromLoc({ column: 0, line: statement.loc.start.line });
+            const nextToken = sourceCode.getTokenAfter(statement, { includeComments: true });
+            const isOwnLine = sourceCode.text.slice(lineStart, statement.range[0]).trim() === ""
+                && nextToken
+                && nextToken.loc.start.line > statement.loc.end.line;
+
+            // Sharing its line, only the statement and the spaces up to what follows go
+            if (!isOwnLine) {
+                return [statement.range[0], nextToken && nextToken.loc.start.line === statement.loc.end.line ? nextToken.range[0] : statement.range[1]];
             }
 
-            return results;
+            const endLine = isFirst ? nextToken.loc.start.line : statement.loc.end.line + 1;
+
+            return [lineStart, sourceCode.getIndexFromLoc({ column: 0, line: endLine })];
         };
 
+        // Get the names a new destructured prop must not take: variables of the function and its
+        // nested scopes (they would shadow or clash) and outer names the function reads
+        const getTakenNamesHandler = (scope, isKeptVariable) => [
+            ...scope.variables.filter(isKeptVariable).map((v) => v.name),
+            ...scope.childScopes.flatMap((childScope) => getTakenNamesHandler(childScope, isKeptVariable)),
+        ];
+
         const checkComponentPropsHandler = (node) => {
             if (!isReactComponentHandler(node)) return;
 
@@ -191,139 +158,144 @@ const componentPropsDestructure = {
             // Check if first param is not destructured (is an Identifier instead of ObjectPattern)
             const firstParam = params[0];
 
-            if (firstParam.type === "Identifier") {
-                const paramName = firstParam.name;
-
-                // Find dot notation accesses: props.name
-                const accesses = findPropAccessesHandler(node.body, paramName);
-
-                // Find body destructuring: const { name } = props
-                const bodyDestructures = findBodyDestructuringHandler(node.body, paramName);
-
-                // Collect all accessed props from dot notation
-                const dotNotationProps = [...new Set(accesses.map((a) => a.property))];
+            if (firstParam.type !== "Identifier") return;
 
-                // Collect all props from body destructuring
-                const bodyDestructuredProps = [];
+            const functionScope = sourceCode.scopeManager.acquire(node, true);
+            const variable = functionScope.set.get(firstParam.name);
 
-                bodyDestructures.forEach((bd) => {
-                    bd.props.forEach((p) => {
-                        bodyDestructuredProps.push(p);
-                    });
-                });
-
-                // Check if param is used anywhere that we can't handle
-                const allRefs = [];
-                const countRefs = (n, skipNodes = []) => {
-                    if (!n || typeof n !== "object") return;
-
-                    // Skip nodes we're already accounting for
-                    if (skipNodes.includes(n)) return;
-
-                    if (n.type === "Identifier" && n.name === paramName) allRefs.push(n);
-
-                    for (const key of Object.keys(n)) {
-                        if (key === "parent") continue;
-
-                        const child = n[key];
+            // Sort every reference to the param through scope analysis, so a nested function
+            // declaring its own "props" is not mistaken for the component's
+            const accesses = [];
+            const bodyDestructures = [];
+            let hasOtherReferences = false;
+
+            variable.references.forEach(({ identifier }) => {
+                const parent = identifier.parent;
+
+                // Dot notation: props.name
+                if (
+                    parent.type === "MemberExpression"
+                    && parent.object === identifier
+                    && !parent.computed
+                    && parent.property.type === "Identifier"
+                    && !isWriteTargetHandler(parent)
+                ) {
+                    accesses.push({ node: parent, property: parent.property.name });
 
-                        if (Array.isArray(child)) child.forEach((c) => countRefs(c, skipNodes));
-                        else if (child && typeof child === "object" && child.type) countRefs(child, skipNodes);
-                    }
-                };
+                    return;
+                }
 
-                countRefs(node.body);
+                // Body destructuring: const { name } = props
+                if (
+                    parent.type === "VariableDeclarator"
+                    && parent.init === identifier
+                    && parent.id.type === "ObjectPattern"
+                    && !parent.id.typeAnnotation
+                    && parent.parent.parent === node.body
+                ) {
+                    bodyDestructures.push({ declarator: parent, statement: parent.parent });
 
-                // Count expected refs: dot notation accesses + body destructuring init nodes
-                const expectedRefCount = accesses.length + bodyDestructures.length;
+                    return;
+                }
 
-                // Can auto-fix if:
-                // 1. We have either dot notation props OR body destructured props
-                // 2. All references to the param are accounted for
-                const hasSomeProps = dotNotationProps.length > 0 || bodyDestructuredProps.length > 0;
-                const canAutoFix = hasSomeProps && allRefs.length === expectedRefCount;
+                hasOtherReferences = true;
+            });
 
-                context.report({
-                    fix: canAutoFix
-                        ? (fixer) => {
-                            const fixes = [];
+            const removedDeclarators = bodyDestructures.map(({ declarator }) => declarator);
+            const bodyProps = removedDeclarators.flatMap((declarator) => declarator.id.properties);
+            const bodyKeys = bodyProps.filter((prop) => prop.type === "Property").map(getPropertyKeyHandler);
+            const restCount = bodyProps.length - bodyKeys.length;
 
-                            // Build the destructured props list for the parameter
-                            const allProps = [];
+            // Collect all accessed props from dot notation, without the ones already destructured
+            const dotNotationProps = [...new Set(accesses.map((access) => access.property))];
+            const newDotProps = dotNotationProps.filter((name) => !bodyKeys.includes(name));
 
-                            // Add dot notation props (simple names)
-                            dotNotationProps.forEach((p) => {
-                                if (!allProps.some((ap) => ap.key === p)) {
-                                    allProps.push({ key: p, simple: true });
-                                }
-                            });
+            const isInsideRangeHandler = (range) => (inner) => inner.range[0] >= range[0] && inner.range[1] <= range[1];
+            const isRemovedDefinitionHandler = (def) => removedDeclarators.includes(def.node);
+            const isKeptVariableHandler = (v) => v !== variable && !v.defs.some(isRemovedDefinitionHandler);
 
-                            // Add body destructured props (may have aliases, defaults, rest)
-                            bodyDestructuredProps.forEach((p) => {
-                                // Don't duplicate if already in dot notation
-                                if (!allProps.some((ap) => ap.key === p.key)) {
-                                    allProps.push(p);
-                                }
-                            });
+            const takenNames = new Set([
+                ...getTakenNamesHandler(functionScope, isKeptVariableHandler),
+                ...functionScope.through.map((ref) => ref.identifier.name),
+            ]);
 
-                            // Build the destructured pattern string
-                            const propStrings = allProps.map((p) => {
-                                if (p.isRest) return `...${p.key}`;
+            // A dot prop matching a body key merges with it, which only keeps its value when the key is plain ({ name })
+            const hasMergeConflict = dotNotationProps.some((name) => bodyProps.some((prop) => prop.type === "Property"
+                && getPropertyKeyHandler(prop) === name
+                && !(prop.shorthand && prop.value.type === "Identifier")));
 
-                                if (p.simple) return p.key;
+            // Moved into the parameter, defaults can no longer read the function's own variables
+            const usesFunctionLocals = removedDeclarators.some((declarator) => functionScope.variables
+                .filter(isKeptVariableHandler)
+                .some((v) => v.references.some((ref) => isInsideRangeHandler(declarator.id.range)(ref.identifier))));
 
-                                if (p.default) return `${p.key} = ${p.default}`;
+            // A rest element only keeps the same props when nothing is added next to it
+            const keepsRest = restCount === 0 || (restCount === 1 && bodyDestructures.length === 1 && newDotProps.length === 0);
 
-                                if (p.hasAlias) return `${p.key}: ${p.value}`;
+            const canAutoFix = !hasOtherReferences
+                && dotNotationProps.length + bodyProps.length > 0
+                && !bodyKeys.includes(null)
+                && new Set(bodyKeys).size === bodyKeys.length
+                && keepsRest
+                && !hasMergeConflict
+                && !usesFunctionLocals
+                && newDotProps.every((name) => !takenNames.has(name))
+                && !accesses.some((access) => removedDeclarators.some((declarator) => isInsideRangeHandler(declarator.range)(access.node)));
 
-                                return p.key;
-                            });
-                            const destructuredPattern = `{ ${propStrings.join(", ")} }`;
-                            let replacement = destructuredPattern;
+            // Remove the destructuring declarators, or their whole statements when nothing else is declared
+            const removalRanges = [];
 
-                            // Preserve TypeScript type annotation if present
-                            if (firstParam.typeAnnotation) {
-                                const typeText = sourceCode.getText(firstParam.typeAnnotation);
+            [...new Set(bodyDestructures.map(({ statement }) => statement))].forEach((statement) => {
+                const { declarations } = statement;
 
-                                replacement = `${destructuredPattern}${typeText}`;
-                            }
+                if (declarations.every((declarator) => removedDeclarators.includes(declarator))) {
+                    const statementIndex = node.body.body.indexOf(statement);
+                    const isFirst = node.body.body.slice(0, statementIndex).every((previous) => previous.type === "VariableDeclaration"
+                        && previous.declarations.every((declarator) => removedDeclarators.includes(declarator)));
 
-                            // Replace param with destructured pattern
-                            fixes.push(fixer.replaceText(firstParam, replacement));
+                    removalRanges.push(getStatementRemovalRangeHandler(statement, isFirst));
 
-                            // Replace all props.x with just x
-                            accesses.forEach((access) => {
-                                fixes.push(fixer.replaceText(access.node, access.property));
-                            });
+                    return;
+                }
 
-                            // Remove body destructuring statements
-                            bodyDestructures.forEach((bd) => {
-                                if (bd.statementHasOnlyThisDeclarator) {
-                                    // Remove the entire statement including newline
-                                    const statementStart = bd.statement.range[0];
-                                    let statementEnd = bd.statement.range[1];
+                // Take the comma with the declarator, from the one after it or (when it ends the list) the one before it
+                declarations.forEach((declarator, index) => {
+                    if (!removedDeclarators.includes(declarator)) return;
 
-                                    // Try to also remove trailing newline/whitespace
-                                    const textAfter = sourceCode.getText().slice(statementEnd, statementEnd + 2);
+                    const hasKeptAfter = declarations.slice(index + 1).some((next) => !removedDeclarators.includes(next));
 
-                                    if (textAfter.startsWith("\n")) statementEnd += 1;
-                                    else if (textAfter.startsWith("\r\n")) statementEnd += 2;
+                    removalRanges.push(hasKeptAfter
+                        ? [declarator.range[0], declarations[index + 1].range[0]]
+                        : [declarations[index - 1].range[1], declarator.range[1]]);
+                });
+            });
 
-                                    fixes.push(fixer.removeRange([statementStart, statementEnd]));
-                                } else {
-                                    // Only remove this declarator from a multi-declarator statement
-                                    // This is more complex - for now just remove the declarator text
-                                    fixes.push(fixer.remove(bd.declarator));
-                                }
-                            });
+            const removesComments = sourceCode.getAllComments()
+                .some((comment) => removalRanges.some((range) => isInsideRangeHandler(range)(comment)));
 
-                            return fixes;
-                        }
-                        : undefined,
-                    message: `Component props should be destructured. Use "({ ...props })" instead of "${firstParam.name}"`,
-                    node: firstParam,
-                });
-            }
+            context.report({
+                data: { name: firstParam.name },
+                fix: canAutoFix && !removesComments
+                    ? (fixer) => {
+                        // Body destructured props keep their aliases, defaults, nested patterns and rest
+                        const propStrings = [...newDotProps, ...bodyProps.map((prop) => sourceCode.getText(prop))];
+                        const destructuredPattern = `{ ${propStrings.join(", ")} }`;
+
+                        // Preserve TypeScript type annotation if present
+                        const replacement = firstParam.typeAnnotation
+                            ? `${destructuredPattern}${sourceCode.getText(firstParam.typeAnnotation)}`
+                            : destructuredPattern;
+
+                        return [
+                            fixer.replaceText(firstParam, replacement),
+                            ...accesses.map((access) => fixer.replaceText(access.node, access.property)),
+                            ...removalRanges.map((range) => fixer.removeRange(range)),
+                        ];
+                    }
+                    : undefined,
+                messageId: "componentPropsDestructuredProps",
+                node: firstParam,
+            });
         };
 
         return {
@@ -335,6 +307,9 @@ const componentPropsDestructure = {
     meta: {
         docs: { description: "Enforce that React component props must be destructured in the function parameter" },
         fixable: "code",
+        messages: {
+            componentPropsDestructuredProps: "Component props should be destructured. Use \"({ ...props })\" instead of \"{{name}}\"",
+        },
         schema: [],
         type: "suggestion",
     },
@@ -372,33 +347,11 @@ const componentPropsInlineType = {
     create(context) {
         const sourceCode = context.sourceCode || context.getSourceCode();
 
-        const containsJsxHandler = (node) => {
-            if (!node) return false;
-
-            if (node.type === "JSXElement" || node.type === "JSXFragment") return true;
-
-            if (node.type === "BlockStatement") {
-                for (const statement of node.body) {
-                    if (statement.type === "ReturnStatement" && statement.argument) {
-                        if (containsJsxHandler(statement.argument)) return true;
-                    }
-                }
-            }
-
-            if (node.type === "ConditionalExpression") {
-                return containsJsxHandler(node.consequent) || containsJsxHandler(node.alternate);
-            }
-
-            if (node.type === "LogicalExpression") {
-                return containsJsxHandler(node.left) || containsJsxHandler(node.right);
-            }
-
-            if (node.type === "ParenthesizedExpression") {
-                return containsJsxHandler(node.expression);
-            }
-
-            return false;
-        };
+        // Remove the empty lines between two positions, keeping any comments there
+        const removeEmptyLinesHandler = (fixer, start, end) => fixer.replaceTextRange(
+            [start, end],
+            sourceCode.text.slice(start, end).replace(/\n\s*\n/g, "\n"),
+        );
 
         const isReactComponentHandler = (node) => {
             let componentName = null;
@@ -436,7 +389,8 @@ const componentPropsInlineType = {
 
                         if (typeAnnotation.type === "TSTypeLiteral") {
                             context.report({
-                                message: `Parameter "${param.name}" must use a type reference (interface or type alias), not an inline object type. Define the type separately.`,
+                                data: { name: param.name },
+                                messageId: "parameterTypeReferenceInterface",
                                 node: typeAnnotation,
                             });
                         }
@@ -457,7 +411,7 @@ const componentPropsInlineType = {
 
                 if (isTypeScriptFile && isComponent) {
                     context.report({
-                        message: "Component props must have a type annotation. Add inline type: \"({ prop }: { prop: Type })\"",
+                        messageId: "componentPropsTypeAnnotation",
                         node: firstParam,
                     });
                 }
@@ -483,7 +437,7 @@ const componentPropsInlineType = {
                             [closingBraceToken.range[1], typeFirstToken.range[0]],
                             ": ",
                         ),
-                        message: "Type annotation must have no space before colon and one space after: \"}: TypeName\"",
+                        messageId: "typeAnnotationNoSpace",
                         node: typeAnnotation,
                     });
                 }
@@ -506,7 +460,7 @@ const componentPropsInlineType = {
                                 [currentType.range[1], ampersandToken.range[1]],
                                 " &",
                             ),
-                            message: "\"&\" must be on same line as previous type",
+                            messageId: "sameLinePreviousType",
                             node: ampersandToken,
                         });
                     }
@@ -521,7 +475,7 @@ const componentPropsInlineType = {
                                     [ampersandToken.range[1], openBrace.range[0]],
                                     " ",
                                 ),
-                                message: "Opening brace must be on same line as \"&\"",
+                                messageId: "openingBraceSameLine",
                                 node: openBrace,
                             });
                         }
@@ -549,11 +503,8 @@ const componentPropsInlineType = {
 
                         if (firstMember.loc.start.line === openBraceToken.loc.end.line) {
                             context.report({
-                                fix: (fixer) => fixer.replaceTextRange(
-                                    [openBraceToken.range[1], firstMember.range[0]],
-                                    "\n" + propIndent,
-                                ),
-                                message: "First props type property must be on a new line when there are multiple properties",
+                                fix: getCollapseFix(sourceCode, openBraceToken.range[1], firstMember.range[0], "\n" + propIndent),
+                                messageId: "firstPropsTypeProperty",
                                 node: firstMember,
                             });
                         }
@@ -566,10 +517,10 @@ const componentPropsInlineType = {
                         if (closeBraceToken.loc.start.line === lastMember.loc.end.line) {
                             context.report({
                                 fix: (fixer) => fixer.replaceTextRange(
-                                    [lastMember.range[1], closeBraceToken.range[0]],
+                                    [sourceCode.getTokenBefore(closeBraceToken, { includeComments: true }).range[1], closeBraceToken.range[0]],
                                     "\n" + baseIndent,
                                 ),
-                                message: "Closing brace must be on its own line when there are multiple properties",
+                                messageId: "closingBraceOwnLine",
                                 node: closeBraceToken,
                             });
                         }
@@ -579,19 +530,16 @@ const componentPropsInlineType = {
                     if (members.length === 1 && openBraceToken && closeBraceToken) {
                         const member = members[0];
 
-                        // Check if the type spans multiple lines
-                        if (openBraceToken.loc.end.line !== closeBraceToken.loc.start.line) {
+                        // Check if the type spans multiple lines; a member spanning lines itself stays as written
+                        if (openBraceToken.loc.end.line !== closeBraceToken.loc.start.line && member.loc.start.line === member.loc.end.line) {
                             let memberText = sourceCode.getText(member);
 
                             // Remove trailing comma/semicolon if any
                             memberText = memberText.replace(/[,;]\s*$/, "");
 
                             context.report({
-                                fix: (fixer) => fixer.replaceTextRange(
-                                    [openBraceToken.range[0], closeBraceToken.range[1]],
-                                    `{ ${memberText} }`,
-                                ),
-                                message: "Single props type property should be on a single line",
+                                fix: getCollapseFix(sourceCode, openBraceToken.range[0], closeBraceToken.range[1], `{ ${memberText} }`),
+                                messageId: "singlePropsTypeProperty",
                                 node: typeLiteral,
                             });
                         }
@@ -610,7 +558,7 @@ const componentPropsInlineType = {
 
                                     return fixer.replaceTextRange([absolutePos, absolutePos + 1], ",");
                                 },
-                                message: "Props type properties must end with comma (,) not semicolon (;)",
+                                messageId: "propsTypePropertiesEnd",
                                 node: member,
                             });
                         }
@@ -620,42 +568,27 @@ const componentPropsInlineType = {
                             const prevMember = members[index - 1];
 
                             if (member.loc.start.line === prevMember.loc.end.line) {
-                                context.report({
-                                    fix: (fixer) => {
-                                        let commaToken = sourceCode.getTokenAfter(prevMember);
+                                // Find the comma after prev member
+                                let commaToken = sourceCode.getTokenAfter(prevMember);
 
-                                        while (commaToken && commaToken.value !== "," && commaToken.range[0] < member.range[0]) {
-                                            commaToken = sourceCode.getTokenAfter(commaToken);
-                                        }
+                                while (commaToken && commaToken.value !== "," && commaToken.range[0] < member.range[0]) {
+                                    commaToken = sourceCode.getTokenAfter(commaToken);
+                                }
 
-                                        const insertPoint = commaToken && commaToken.value === "," ? commaToken.range[1] : prevMember.range[1];
+                                const insertPoint = commaToken && commaToken.value === "," ? commaToken.range[1] : prevMember.range[1];
 
-                                        return fixer.replaceTextRange(
-                                            [insertPoint, member.range[0]],
-                                            "\n" + propIndent,
-                                        );
-                                    },
-                                    message: "Each props type property must be on its own line when there are multiple properties",
+                                context.report({
+                                    fix: getCollapseFix(sourceCode, insertPoint, member.range[0], "\n" + propIndent),
+                                    messageId: "eachPropsTypeProperty",
                                     node: member,
                                 });
                             }
 
                             // Check for empty lines between properties
-                            if (member.loc.start.line - prevMember.loc.end.line > 1) {
+                            if (hasEmptyLineBetween(sourceCode, prevMember.range[1], member.range[0])) {
                                 context.report({
-                                    fix: (fixer) => {
-                                        const textBetween = sourceCode.getText().slice(
-                                            prevMember.range[1],
-                                            member.range[0],
-                                        );
-                                        const newText = textBetween.replace(/\n\s*\n/g, "\n");
-
-                                        return fixer.replaceTextRange(
-                                            [prevMember.range[1], member.range[0]],
-                                            newText,
-                                        );
-                                    },
-                                    message: "No empty lines allowed between props type properties",
+                                    fix: (fixer) => removeEmptyLinesHandler(fixer, prevMember.range[1], member.range[0]),
+                                    messageId: "noEmptyLinesAllowed",
                                     node: member,
                                 });
                             }
@@ -670,14 +603,14 @@ const componentPropsInlineType = {
                         if (!lastMemberText.trimEnd().endsWith(",")) {
                             context.report({
                                 fix: (fixer) => fixer.insertTextAfter(lastMember, ","),
-                                message: "Last props type property must have trailing comma",
+                                messageId: "lastPropsTypeProperty",
                                 node: lastMember,
                             });
                         }
                     }
 
                     // Remove trailing comma for single member on single line
-                    if (members.length === 1) {
+                    if (members.length === 1 && openBraceToken.loc.end.line === closeBraceToken.loc.start.line) {
                         const member = members[0];
                         const memberText = sourceCode.getText(member);
 
@@ -689,7 +622,7 @@ const componentPropsInlineType = {
 
                                     return fixer.removeRange([absolutePos, absolutePos + 1]);
                                 },
-                                message: "Single props type property should not have trailing comma",
+                                messageId: "singlePropsTypePropertyNot",
                                 node: member,
                             });
                         }
@@ -699,13 +632,10 @@ const componentPropsInlineType = {
                     if (members.length > 0 && closeBraceToken) {
                         const lastMember = members[members.length - 1];
 
-                        if (closeBraceToken.loc.start.line - lastMember.loc.end.line > 1) {
+                        if (hasEmptyLineBetween(sourceCode, lastMember.range[1], closeBraceToken.range[0])) {
                             context.report({
-                                fix: (fixer) => fixer.replaceTextRange(
-                                    [lastMember.range[1], closeBraceToken.range[0]],
-                                    "\n" + baseIndent,
-                                ),
-                                message: "No empty line before closing brace in props type",
+                                fix: (fixer) => removeEmptyLinesHandler(fixer, lastMember.range[1], closeBraceToken.range[0]),
+                                messageId: "noEmptyLineBefore",
                                 node: closeBraceToken,
                             });
                         }
@@ -730,7 +660,8 @@ const componentPropsInlineType = {
                     }
 
                     context.report({
-                        message: `Component props should use inline type annotation instead of referencing "${typeName}". Define the type inline as "{ prop: type, ... }"`,
+                        data: { typeName },
+                        messageId: "componentPropsInlineType",
                         node: typeAnnotation,
                     });
                 }
@@ -773,14 +704,16 @@ const componentPropsInlineType = {
 
                 if (missingInType.length > 0) {
                     context.report({
-                        message: `Props type is missing properties that are destructured: ${missingInType.join(", ")}`,
+                        data: { missingInType: missingInType.join(", ") },
+                        messageId: "propsTypeMissingProperties",
                         node: typeAnnotation,
                     });
                 }
 
                 if (extraInType.length > 0) {
                     context.report({
-                        message: `Props type has extra properties not in destructured props: ${extraInType.join(", ")}`,
+                        data: { extraInType: extraInType.join(", ") },
+                        messageId: "propsTypeExtraProperties",
                         node: typeAnnotation,
                     });
                 }
@@ -788,17 +721,23 @@ const componentPropsInlineType = {
                 // Get closing brace of type literal
                 const closeBraceToken = sourceCode.getLastToken(typeAnnotation);
 
+                // Lay out every member on its own line ending with a comma, so one fix pass settles the
+                // whole type; with comments inside, only the reported gap is fixed so none is lost
+                const canRewriteMembers = members.length > 1 && sourceCode.getCommentsInside(typeAnnotation).length === 0;
+
+                const rewriteMembersHandler = (fixer) => fixer.replaceTextRange(
+                    [openBraceToken.range[0], closeBraceToken.range[1]],
+                    `{\n${members.map((member) => `${propIndent}${sourceCode.getText(member).replace(/[,;]\s*$/, "")},`).join("\n")}\n${baseIndent}}`,
+                );
+
                 // Check for empty line after opening brace
                 if (members.length > 0) {
                     const firstMember = members[0];
 
-                    if (firstMember.loc.start.line - openBraceToken.loc.end.line > 1) {
+                    if (hasEmptyLineBetween(sourceCode, openBraceToken.range[1], firstMember.range[0])) {
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [openBraceToken.range[1], firstMember.range[0]],
-                                "\n" + propIndent,
-                            ),
-                            message: "No empty line after opening brace in props type",
+                            fix: (fixer) => removeEmptyLinesHandler(fixer, openBraceToken.range[1], firstMember.range[0]),
+                            messageId: "noEmptyLineAfter",
                             node: firstMember,
                         });
                     }
@@ -808,13 +747,10 @@ const componentPropsInlineType = {
                 if (members.length > 0 && closeBraceToken) {
                     const lastMember = members[members.length - 1];
 
-                    if (closeBraceToken.loc.start.line - lastMember.loc.end.line > 1) {
+                    if (hasEmptyLineBetween(sourceCode, lastMember.range[1], closeBraceToken.range[0])) {
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [lastMember.range[1], closeBraceToken.range[0]],
-                                "\n" + baseIndent,
-                            ),
-                            message: "No empty line before closing brace in props type",
+                            fix: (fixer) => removeEmptyLinesHandler(fixer, lastMember.range[1], closeBraceToken.range[0]),
+                            messageId: "noEmptyLineBefore",
                             node: lastMember,
                         });
                     }
@@ -826,11 +762,10 @@ const componentPropsInlineType = {
 
                     if (firstMember.loc.start.line === openBraceToken.loc.end.line) {
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [openBraceToken.range[1], firstMember.range[0]],
-                                "\n" + propIndent,
-                            ),
-                            message: "First props type property must be on a new line when there are multiple properties",
+                            fix: canRewriteMembers
+                                ? rewriteMembersHandler
+                                : getCollapseFix(sourceCode, openBraceToken.range[1], firstMember.range[0], "\n" + propIndent),
+                            messageId: "firstPropsTypeProperty",
                             node: firstMember,
                         });
                     }
@@ -842,11 +777,11 @@ const componentPropsInlineType = {
 
                     if (closeBraceToken.loc.start.line === lastMember.loc.end.line) {
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [lastMember.range[1], closeBraceToken.range[0]],
+                            fix: canRewriteMembers ? rewriteMembersHandler : (fixer) => fixer.replaceTextRange(
+                                [sourceCode.getTokenBefore(closeBraceToken, { includeComments: true }).range[1], closeBraceToken.range[0]],
                                 "\n" + baseIndent,
                             ),
-                            message: "Closing brace must be on its own line when there are multiple properties",
+                            messageId: "closingBraceOwnLine",
                             node: closeBraceToken,
                         });
                     }
@@ -856,19 +791,16 @@ const componentPropsInlineType = {
                 if (members.length === 1 && openBraceToken && closeBraceToken) {
                     const member = members[0];
 
-                    // Check if the type spans multiple lines
-                    if (openBraceToken.loc.end.line !== closeBraceToken.loc.start.line) {
+                    // Check if the type spans multiple lines; a member spanning lines itself stays as written
+                    if (openBraceToken.loc.end.line !== closeBraceToken.loc.start.line && member.loc.start.line === member.loc.end.line) {
                         let memberText = sourceCode.getText(member);
 
                         // Remove trailing comma/semicolon if any
                         memberText = memberText.replace(/[,;]\s*$/, "");
 
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [openBraceToken.range[0], closeBraceToken.range[1]],
-                                `{ ${memberText} }`,
-                            ),
-                            message: "Single props type property should be on a single line",
+                            fix: getCollapseFix(sourceCode, openBraceToken.range[0], closeBraceToken.range[1], `{ ${memberText} }`),
+                            messageId: "singlePropsTypeProperty",
                             node: typeAnnotation,
                         });
                     }
@@ -892,7 +824,7 @@ const componentPropsInlineType = {
                                         [keyToken.range[1], questionToken.range[0]],
                                         "",
                                     ),
-                                    message: "No space allowed before \"?\" in optional property",
+                                    messageId: "noSpaceAllowedBefore",
                                     node: member,
                                 });
                             }
@@ -908,7 +840,7 @@ const componentPropsInlineType = {
 
                                 return fixer.replaceTextRange([absolutePos, absolutePos + 1], ",");
                             },
-                            message: "Props type properties must end with comma (,) not semicolon (;)",
+                            messageId: "propsTypePropertiesEnd",
                             node: member,
                         });
                     }
@@ -919,43 +851,27 @@ const componentPropsInlineType = {
 
                         // Check each is on its own line - with auto-fix
                         if (member.loc.start.line === prevMember.loc.end.line) {
-                            context.report({
-                                fix: (fixer) => {
-                                    // Find the comma after prev member
-                                    let commaToken = sourceCode.getTokenAfter(prevMember);
+                            // Find the comma after prev member
+                            let commaToken = sourceCode.getTokenAfter(prevMember);
 
-                                    while (commaToken && commaToken.value !== "," && commaToken.range[0] < member.range[0]) {
-                                        commaToken = sourceCode.getTokenAfter(commaToken);
-                                    }
+                            while (commaToken && commaToken.value !== "," && commaToken.range[0] < member.range[0]) {
+                                commaToken = sourceCode.getTokenAfter(commaToken);
+                            }
 
-                                    const insertPoint = commaToken && commaToken.value === "," ? commaToken.range[1] : prevMember.range[1];
+                            const insertPoint = commaToken && commaToken.value === "," ? commaToken.range[1] : prevMember.range[1];
 
-                                    return fixer.replaceTextRange(
-                                        [insertPoint, member.range[0]],
-                                        "\n" + propIndent,
-                                    );
-                                },
-                                message: "Each props type property must be on its own line when there are multiple properties",
+                            context.report({
+                                fix: canRewriteMembers ? rewriteMembersHandler : getCollapseFix(sourceCode, insertPoint, member.range[0], "\n" + propIndent),
+                                messageId: "eachPropsTypeProperty",
                                 node: member,
                             });
                         }
 
                         // Check for empty lines between properties
-                        if (member.loc.start.line - prevMember.loc.end.line > 1) {
+                        if (hasEmptyLineBetween(sourceCode, prevMember.range[1], member.range[0])) {
                             context.report({
-                                fix: (fixer) => {
-                                    const textBetween = sourceCode.getText().slice(
-                                        prevMember.range[1],
-                                        member.range[0],
-                                    );
-                                    const newText = textBetween.replace(/\n\s*\n/g, "\n");
-
-                                    return fixer.replaceTextRange(
-                                        [prevMember.range[1], member.range[0]],
-                                        newText,
-                                    );
-                                },
-                                message: "No empty lines allowed between props type properties",
+                                fix: (fixer) => removeEmptyLinesHandler(fixer, prevMember.range[1], member.range[0]),
+                                messageId: "noEmptyLinesAllowed",
                                 node: member,
                             });
                         }
@@ -970,14 +886,14 @@ const componentPropsInlineType = {
                     if (!lastMemberText.trimEnd().endsWith(",")) {
                         context.report({
                             fix: (fixer) => fixer.insertTextAfter(lastMember, ","),
-                            message: "Last props type property must have trailing comma",
+                            messageId: "lastPropsTypeProperty",
                             node: lastMember,
                         });
                     }
                 }
 
                 // Remove trailing comma for single member on single line
-                if (members.length === 1) {
+                if (members.length === 1 && openBraceToken.loc.end.line === closeBraceToken.loc.start.line) {
                     const member = members[0];
                     const memberText = sourceCode.getText(member);
 
@@ -989,7 +905,7 @@ const componentPropsInlineType = {
 
                                 return fixer.removeRange([absolutePos, absolutePos + 1]);
                             },
-                            message: "Single props type property should not have trailing comma",
+                            messageId: "singlePropsTypePropertyNot",
                             node: member,
                         });
                     }
@@ -1009,7 +925,7 @@ const componentPropsInlineType = {
             // For non-components: return type must be a type reference, not inline object type
             if (!isComponent && typeAnnotation.type === "TSTypeLiteral") {
                 context.report({
-                    message: "Function return type must be a type reference (interface, type, or built-in type), not an inline object type. Define the return type separately.",
+                    messageId: "functionReturnTypeType",
                     node: typeAnnotation,
                 });
 
@@ -1059,7 +975,7 @@ const componentPropsInlineType = {
                         [closeParenToken.range[1], typeFirstToken.range[0]],
                         ": ",
                     ),
-                    message: "Return type annotation must have no space before colon and one space after: \"): TypeName\"",
+                    messageId: "returnTypeAnnotationNo",
                     node: returnType,
                 });
             }
@@ -1083,6 +999,29 @@ const componentPropsInlineType = {
     meta: {
         docs: { description: "Enforce inline type annotation for React component props and return types with proper formatting" },
         fixable: "code",
+        messages: {
+            closingBraceOwnLine: "Closing brace must be on its own line when there are multiple properties",
+            componentPropsInlineType: "Component props should use inline type annotation instead of referencing \"{{typeName}}\". Define the type inline as \"{ prop: type, ... }\"",
+            componentPropsTypeAnnotation: "Component props must have a type annotation. Add inline type: \"({ prop }: { prop: Type })\"",
+            eachPropsTypeProperty: "Each props type property must be on its own line when there are multiple properties",
+            firstPropsTypeProperty: "First props type property must be on a new line when there are multiple properties",
+            functionReturnTypeType: "Function return type must be a type reference (interface, type, or built-in type), not an inline object type. Define the return type separately.",
+            lastPropsTypeProperty: "Last props type property must have trailing comma",
+            noEmptyLineAfter: "No empty line after opening brace in props type",
+            noEmptyLineBefore: "No empty line before closing brace in props type",
+            noEmptyLinesAllowed: "No empty lines allowed between props type properties",
+            noSpaceAllowedBefore: "No space allowed before \"?\" in optional property",
+            openingBraceSameLine: "Opening brace must be on same line as \"&\"",
+            parameterTypeReferenceInterface: "Parameter \"{{name}}\" must use a type reference (interface or type alias), not an inline object type. Define the type separately.",
+            propsTypeExtraProperties: "Props type has extra properties not in destructured props: {{extraInType}}",
+            propsTypeMissingProperties: "Props type is missing properties that are destructured: {{missingInType}}",
+            propsTypePropertiesEnd: "Props type properties must end with comma (,) not semicolon (;)",
+            returnTypeAnnotationNo: "Return type annotation must have no space before colon and one space after: \"): TypeName\"",
+            sameLinePreviousType: "\"&\" must be on same line as previous type",
+            singlePropsTypeProperty: "Single props type property should be on a single line",
+            singlePropsTypePropertyNot: "Single props type property should not have trailing comma",
+            typeAnnotationNoSpace: "Type annotation must have no space before colon and one space after: \"}: TypeName\"",
+        },
         schema: [],
         type: "suggestion",
     },
@@ -1096,7 +1035,8 @@ const componentPropsInlineType = {
  * Description:
  *   Components that return only an SVG element must have a name
  *   ending with "Icon". Conversely, components with "Icon" suffix
- *   must return an SVG element.
+ *   must return an SVG element (or render another icon component).
+ *   Every return counts, so early "return null" branches are fine.
  *
  * ✓ Good:
  *   export const SuccessIcon = ({ className }: { className?: string }) => (
@@ -1141,45 +1081,74 @@ const svgIconNamingConvention = {
         // Check if name ends with "Icon"
         const hasIconSuffixHandler = (name) => name && name.endsWith("Icon");
 
-        // Check if the return value is purely an SVG element
-        const returnsSvgOnlyHandler = (node) => {
-            const body = node.body;
+        // Collect the values a function returns, looking into nested blocks and branches (not nested functions)
+        // and into both sides of a conditional; "return null" renders nothing and is left out
+        const getReturnedValuesHandler = (node) => {
+            if (!node) return [];
 
-            if (!body) return false;
+            if (node.type === "ParenthesizedExpression") return getReturnedValuesHandler(node.expression);
 
-            // Arrow function with expression body: () => <svg>...</svg>
-            if (body.type === "JSXElement") {
-                return body.openingElement && body.openingElement.name && body.openingElement.name.name === "svg";
+            if (node.type === "ConditionalExpression") {
+                return [...getReturnedValuesHandler(node.consequent), ...getReturnedValuesHandler(node.alternate)];
             }
 
-            // Arrow function with parenthesized expression: () => (<svg>...</svg>)
-            if (body.type === "ParenthesizedExpression" && body.expression) {
-                if (body.expression.type === "JSXElement") {
-                    return body.expression.openingElement && body.expression.openingElement.name && body.expression.openingElement.name.name === "svg";
-                }
-            }
+            if (node.type === "BlockStatement") return node.body.flatMap(getReturnedValuesHandler);
 
-            // Block body with return statement: () => { return <svg>...</svg>; }
-            if (body.type === "BlockStatement") {
-                // Find all return statements
-                const returnStatements = body.body.filter((stmt) => stmt.type === "ReturnStatement" && stmt.argument);
+            if (node.type === "ReturnStatement") return getReturnedValuesHandler(node.argument);
 
-                // Should have exactly one return statement for a simple SVG component
-                if (returnStatements.length === 1) {
-                    const returnArg = returnStatements[0].argument;
+            if (node.type === "IfStatement") {
+                return [...getReturnedValuesHandler(node.consequent), ...getReturnedValuesHandler(node.alternate)];
+            }
 
-                    if (returnArg.type === "JSXElement") {
-                        return returnArg.openingElement && returnArg.openingElement.name && returnArg.openingElement.name.name === "svg";
-                    }
+            if (node.type === "SwitchStatement") {
+                return node.cases.flatMap((switchCase) => switchCase.consequent.flatMap(getReturnedValuesHandler));
+            }
 
-                    // Parenthesized: return (<svg>...</svg>);
-                    if (returnArg.type === "ParenthesizedExpression" && returnArg.expression && returnArg.expression.type === "JSXElement") {
-                        return returnArg.expression.openingElement && returnArg.expression.openingElement.name && returnArg.expression.openingElement.name.name === "svg";
-                    }
-                }
+            if (node.type === "TryStatement") {
+                return [
+                    ...getReturnedValuesHandler(node.block),
+                    ...(node.handler ? getReturnedValuesHandler(node.handler.body) : []),
+                    ...getReturnedValuesHandler(node.finalizer),
+                ];
             }
 
-            return false;
+            if (node.type === "Literal" && node.value === null) return [];
+
+            // Statements that cannot return (expressions, declarations) add nothing
+            if (node.type.endsWith("Statement") || node.type.endsWith("Declaration")) return [];
+
+            return [node];
+        };
+
+        // Get the element name of a returned JSX element ("svg", "ArrowIcon", "Icons.ArrowIcon"), or null
+        const getElementNameHandler = (value) => {
+            if (value.type !== "JSXElement") return null;
+
+            const { name } = value.openingElement;
+
+            if (name.type === "JSXIdentifier") return name.name;
+
+            if (name.type === "JSXMemberExpression") return name.property.name;
+
+            return null;
+        };
+
+        // Check if every rendered value is an SVG element
+        const returnsSvgOnlyHandler = (node) => {
+            const values = getReturnedValuesHandler(node.body);
+
+            return values.length > 0 && values.every((value) => getElementNameHandler(value) === "svg");
+        };
+
+        // Check if every rendered value is an SVG element or another icon component (<BaseIcon />)
+        const returnsIconOnlyHandler = (node) => {
+            const values = getReturnedValuesHandler(node.body);
+
+            return values.length > 0 && values.every((value) => {
+                const elementName = getElementNameHandler(value);
+
+                return elementName === "svg" || hasIconSuffixHandler(elementName);
+            });
         };
 
         const checkFunctionHandler = (node) => {
@@ -1194,15 +1163,17 @@ const svgIconNamingConvention = {
             // Case 1: Returns SVG but doesn't end with "Icon"
             if (returnsSvg && !hasIconSuffix) {
                 context.report({
-                    message: `Component "${componentName}" returns an SVG element and should end with "Icon" suffix (e.g., "${componentName}Icon")`,
+                    data: { componentName },
+                    messageId: "componentReturnsSvgElement",
                     node: node.parent && node.parent.type === "VariableDeclarator" ? node.parent.id : node.id || node,
                 });
             }
 
-            // Case 2: Ends with "Icon" but doesn't return SVG
-            if (hasIconSuffix && !returnsSvg) {
+            // Case 2: Ends with "Icon" but doesn't return SVG (wrapping another icon component counts as an icon)
+            if (hasIconSuffix && !returnsSvg && !returnsIconOnlyHandler(node)) {
                 context.report({
-                    message: `Component "${componentName}" has "Icon" suffix but doesn't return an SVG element. Either rename it or make it return an SVG.`,
+                    data: { componentName },
+                    messageId: "componentIconSuffixBut",
                     node: node.parent && node.parent.type === "VariableDeclarator" ? node.parent.id : node.id || node,
                 });
             }
@@ -1217,6 +1188,10 @@ const svgIconNamingConvention = {
     meta: {
         docs: { description: "Enforce SVG components to have 'Icon' suffix and vice versa" },
         fixable: null,
+        messages: {
+            componentIconSuffixBut: "Component \"{{componentName}}\" has \"Icon\" suffix but doesn't return an SVG element. Either rename it or make it return an SVG.",
+            componentReturnsSvgElement: "Component \"{{componentName}}\" returns an SVG element and should end with \"Icon\" suffix (e.g., \"{{componentName}}Icon\")",
+        },
         schema: [],
         type: "suggestion",
     },
@@ -1233,6 +1208,9 @@ const svgIconNamingConvention = {
  *   - Components in "pages" folder must end with "Page" suffix
  *   - Components in "layouts" folder must end with "Layout" suffix
  *
+ * Shared Settings (settings["code-style"]):
+ *   - framework - Route files with special segments are skipped (Next.js app/ [slug], (group), @parallel, _private; Remix app/routes/)
+ *
  * ✓ Good:
  *   // In views/dashboard-view.tsx:
  *   export const DashboardView = () => <div>Dashboard</div>;
@@ -1258,14 +1236,14 @@ const folderBasedNamingConvention = {
         const filename = context.filename || context.getFilename();
         const normalizedFilename = filename.replace(/\\/g, "/");
 
-        // Skip files inside Next.js app/ directory with special folder patterns ([slug], (group), @parallel, _private)
-        const pathSegments = normalizedFilename.split("/");
-        const appIndex = pathSegments.indexOf("app");
-        if (appIndex !== -1) {
-            const appRelativeSegments = pathSegments.slice(appIndex + 1);
-            const hasNextjsSpecialFolder = appRelativeSegments.some((segment) =>
-                segment.startsWith("[") || segment.startsWith("(") || segment.startsWith("@") || segment.startsWith("_"));
-            if (hasNextjsSpecialFolder) return {};
+        // Skip files inside the framework routes folder with special segments
+        // Next.js app/: [slug], (group), @parallel, _private — Remix app/routes/: every route module
+        const { framework } = getSharedSettings(context);
+        const routeSegments = getRouteSegments(normalizedFilename, framework);
+        if (routeSegments) {
+            const { isSpecialSegment } = getFrameworkConventions(framework);
+            const hasRouteSpecialSegment = routeSegments.some(isSpecialSegment);
+            if (hasRouteSpecialSegment) return {};
         }
 
         // Chain order options
@@ -1399,94 +1377,28 @@ const folderBasedNamingConvention = {
         // Check if name starts with uppercase (PascalCase)
         const isPascalCaseHandler = (name) => name && /^[A-Z]/.test(name);
 
-        // Check if the function returns JSX
-        const returnsJsxHandler = (node) => {
-            const body = node.body;
-
-            if (!body) return false;
-
-            // Arrow function with expression body: () => <div>...</div>
-            if (body.type === "JSXElement" || body.type === "JSXFragment") {
-                return true;
-            }
-
-            // Parenthesized expression
-            if (body.type === "ParenthesizedExpression" && body.expression) {
-                if (body.expression.type === "JSXElement" || body.expression.type === "JSXFragment") {
-                    return true;
-                }
-            }
-
-            // Block body with return statement
-            if (body.type === "BlockStatement") {
-                const hasJsxReturn = body.body.some((stmt) => {
-                    if (stmt.type === "ReturnStatement" && stmt.argument) {
-                        const arg = stmt.argument;
-
-                        return arg.type === "JSXElement" || arg.type === "JSXFragment"
-                            || (arg.type === "ParenthesizedExpression" && arg.expression
-                                && (arg.expression.type === "JSXElement" || arg.expression.type === "JSXFragment"));
-                    }
+        // Check if a declaration sits at the top of the module (directly or behind an export)
+        const isModuleLevelHandler = (declaration) => declaration.parent.type === "Program"
+            || declaration.parent.type === "ExportNamedDeclaration"
+            || declaration.parent.type === "ExportDefaultDeclaration";
 
-                    return false;
-                });
+        // Shared fix logic for renaming identifier and all references; the exported name is what
+        // the rule asks for, so "export { Name }" is renamed too. No fix when the new name is
+        // already taken where the identifier or one of its references sits.
+        const createRenameFixer = (node, name, expectedName, identifierNode) => {
+            const variable = findVariable(getNodeScope(context, node), name);
 
-                return hasJsxReturn;
-            }
-
-            return false;
-        };
-
-        // Shared fix logic for renaming identifier and all references
-        const createRenameFixer = (node, name, expectedName, identifierNode) => (fixer) => {
-            const scope = context.sourceCode
-                ? context.sourceCode.getScope(node)
-                : context.getScope();
-
-            const findVariableHandler = (s, varName) => {
-                const v = s.variables.find((variable) => variable.name === varName);
-
-                if (v) return v;
-                if (s.upper) return findVariableHandler(s.upper, varName);
-
-                return null;
-            };
-
-            const variable = findVariableHandler(scope, name);
-
-            if (!variable) return fixer.replaceText(identifierNode, expectedName);
-
-            const fixes = [];
-            const fixedRanges = new Set();
-
-            variable.defs.forEach((def) => {
-                const rangeKey = `${def.name.range[0]}-${def.name.range[1]}`;
-
-                if (!fixedRanges.has(rangeKey)) {
-                    fixedRanges.add(rangeKey);
-                    fixes.push(fixer.replaceText(def.name, expectedName));
-                }
-            });
+            if (!variable) return (fixer) => fixer.replaceText(identifierNode, expectedName);
 
-            variable.references.forEach((ref) => {
-                const rangeKey = `${ref.identifier.range[0]}-${ref.identifier.range[1]}`;
+            const isTaken = findVariable(variable.scope, expectedName)
+                || variable.references.some((ref) => findVariable(ref.from, expectedName));
 
-                if (!fixedRanges.has(rangeKey)) {
-                    fixedRanges.add(rangeKey);
-                    fixes.push(fixer.replaceText(ref.identifier, expectedName));
-                }
-            });
+            if (isTaken) return null;
 
-            return fixes;
+            return (fixer) => renameVariableFixes(fixer, variable, expectedName, { keepExportedName: false });
         };
 
         // Build the error message based on folder type
-        const buildMessageHandler = (name, folder, suffix, expectedName) => {
-            if (suffix) return `"${name}" in "${folder}" folder must be named "${expectedName}" (expected "${suffix}" suffix with chained folder names)`;
-
-            return `"${name}" in "${folder}" folder must be named "${expectedName}" (expected chained folder names)`;
-        };
-
         // Detect when a name's suffix belongs to a different folder (wrong placement)
         // Returns the correct folder name, or null if no mismatch
         const detectWrongFolderHandler = (name, currentFolder) => {
@@ -1565,8 +1477,14 @@ const folderBasedNamingConvention = {
             }
 
             context.report({
+                data: {
+                    fixedName,
+                    folder,
+                    name,
+                    requiredEnding,
+                },
                 fix: createRenameFixer(scopeNode, name, fixedName, identifierNode),
-                message: `"${name}" in "${folder}" folder must end with "${requiredEnding}" (should be "${fixedName}")`,
+                messageId: "missingFolderSuffix",
                 node: identifierNode,
             });
         };
@@ -1581,6 +1499,9 @@ const folderBasedNamingConvention = {
 
             if (!componentInfo) return;
 
+            // Nested helpers and callbacks do not name the module
+            if (!isModuleLevelHandler(node.parent.type === "VariableDeclarator" ? node.parent.parent : node)) return;
+
             const { name, identifierNode } = componentInfo;
 
             const { folder, suffix } = moduleInfo;
@@ -1595,8 +1516,13 @@ const folderBasedNamingConvention = {
                     const fixedName = toCamelCaseHandler(name);
 
                     context.report({
+                        data: {
+                            fixedName,
+                            folder,
+                            name,
+                        },
                         fix: createRenameFixer(node, name, fixedName, identifierNode),
-                        message: `"${name}" in "${folder}" folder should be camelCase. Rename to "${fixedName}"`,
+                        messageId: "notCamelCase",
                         node: identifierNode,
                     });
                 }
@@ -1614,8 +1540,13 @@ const folderBasedNamingConvention = {
 
                     if (expectedName) {
                         context.report({
+                            data: {
+                                expectedName,
+                                folder,
+                                name,
+                            },
                             fix: createRenameFixer(node, name, expectedName, identifierNode),
-                            message: `"${name}" in "${folder}" folder should be PascalCase. Rename to "${expectedName}"`,
+                            messageId: "notPascalCase",
                             node: identifierNode,
                         });
                     }
@@ -1625,7 +1556,7 @@ const folderBasedNamingConvention = {
             }
 
             // For JSX-required folders, only check functions that return JSX
-            if (jsxRequiredFolders.has(folder) && !returnsJsxHandler(node)) return;
+            if (jsxRequiredFolders.has(folder) && !containsJsxHandler(node.body)) return;
 
             const expectedName = buildExpectedNameHandler(moduleInfo);
 
@@ -1636,7 +1567,12 @@ const folderBasedNamingConvention = {
 
                 if (correctFolder) {
                     context.report({
-                        message: `"${name}" belongs in "${correctFolder}/" folder, not "${folder}/". Move it to the correct folder.`,
+                        data: {
+                            correctFolder,
+                            folder,
+                            name,
+                        },
+                        messageId: "wrongFolder",
                         node: identifierNode,
                     });
 
@@ -1644,8 +1580,14 @@ const folderBasedNamingConvention = {
                 }
 
                 context.report({
+                    data: {
+                        expectedName,
+                        folder,
+                        name,
+                        suffix,
+                    },
                     fix: createRenameFixer(node, name, expectedName, identifierNode),
-                    message: buildMessageHandler(name, folder, suffix, expectedName),
+                    messageId: suffix ? "chainedNameWithSuffix" : "chainedName",
                     node: identifierNode,
                 });
             }
@@ -1659,6 +1601,9 @@ const folderBasedNamingConvention = {
             // Skip if init is a function (handled by checkFunctionHandler)
             if (node.init && (node.init.type === "ArrowFunctionExpression" || node.init.type === "FunctionExpression")) return;
 
+            // Locals inside functions do not name the module
+            if (!isModuleLevelHandler(node.parent)) return;
+
             const moduleInfo = getModuleInfoHandler();
 
             if (!moduleInfo) return;
@@ -1680,8 +1625,13 @@ const folderBasedNamingConvention = {
                     const fixedName = toCamelCaseHandler(name);
 
                     context.report({
+                        data: {
+                            fixedName,
+                            folder,
+                            name,
+                        },
                         fix: createRenameFixer(node, name, fixedName, node.id),
-                        message: `"${name}" in "${folder}" folder should be camelCase. Rename to "${fixedName}"`,
+                        messageId: "notCamelCase",
                         node: node.id,
                     });
                 }
@@ -1699,8 +1649,13 @@ const folderBasedNamingConvention = {
 
                     if (expectedName) {
                         context.report({
+                            data: {
+                                expectedName,
+                                folder,
+                                name,
+                            },
                             fix: createRenameFixer(node, name, expectedName, node.id),
-                            message: `"${name}" in "${folder}" folder should be PascalCase. Rename to "${expectedName}"`,
+                            messageId: "notPascalCase",
                             node: node.id,
                         });
                     }
@@ -1718,7 +1673,12 @@ const folderBasedNamingConvention = {
 
                 if (correctFolder) {
                     context.report({
-                        message: `"${name}" belongs in "${correctFolder}/" folder, not "${folder}/". Move it to the correct folder.`,
+                        data: {
+                            correctFolder,
+                            folder,
+                            name,
+                        },
+                        messageId: "wrongFolder",
                         node: node.id,
                     });
 
@@ -1726,8 +1686,14 @@ const folderBasedNamingConvention = {
                 }
 
                 context.report({
+                    data: {
+                        expectedName,
+                        folder,
+                        name,
+                        suffix,
+                    },
                     fix: createRenameFixer(node, name, expectedName, node.id),
-                    message: buildMessageHandler(name, folder, suffix, expectedName),
+                    messageId: suffix ? "chainedNameWithSuffix" : "chainedName",
                     node: node.id,
                 });
             }
@@ -1743,6 +1709,14 @@ const folderBasedNamingConvention = {
     meta: {
         docs: { description: "Enforce naming conventions based on folder location — suffix for views/layouts/pages/providers/reducers/contexts/themes, chained folder names for nested files" },
         fixable: "code",
+        messages: {
+            chainedName: "\"{{name}}\" in \"{{folder}}\" folder must be named \"{{expectedName}}\" (expected chained folder names)",
+            chainedNameWithSuffix: "\"{{name}}\" in \"{{folder}}\" folder must be named \"{{expectedName}}\" (expected \"{{suffix}}\" suffix with chained folder names)",
+            missingFolderSuffix: "\"{{name}}\" in \"{{folder}}\" folder must end with \"{{requiredEnding}}\" (should be \"{{fixedName}}\")",
+            notCamelCase: "\"{{name}}\" in \"{{folder}}\" folder should be camelCase. Rename to \"{{fixedName}}\"",
+            notPascalCase: "\"{{name}}\" in \"{{folder}}\" folder should be PascalCase. Rename to \"{{expectedName}}\"",
+            wrongFolder: "\"{{name}}\" belongs in \"{{correctFolder}}/\" folder, not \"{{folder}}/\". Move it to the correct folder.",
+        },
         schema: [{
             additionalProperties: false,
             properties: {
@@ -1794,6 +1768,9 @@ const folderBasedNamingConvention = {
  *   - Wrapped mode: All items are in subfolders (e.g., atoms/input/index.tsx)
  *   - Wrapped mode is only justified when at least one subfolder has 2+ files
  *
+ * Shared Settings (settings["code-style"], overridden by rule options):
+ *   - moduleFolders, framework (files in the routes folder are skipped)
+ *
  * ✓ Good (flat — all direct files):
  *   atoms/input.tsx
  *   atoms/calendar.tsx
@@ -1816,8 +1793,10 @@ const folderStructureConsistency = {
         const filename = context.filename || context.getFilename();
         const normalizedFilename = filename.replace(/\\/g, "/");
 
-        // Skip files inside Next.js app/ directory — it has its own structure conventions
-        if (normalizedFilename.includes("/app/")) return {};
+        const sharedSettings = getSharedSettings(context);
+
+        // Skip files inside the framework routes folder (Next.js app/, Remix app/routes/) — it has its own structure conventions
+        if (getRouteSegments(normalizedFilename, sharedSettings.framework)) return {};
 
         const options = context.options[0] || {};
         const defaultModuleFolders = [
@@ -1863,12 +1842,12 @@ const folderStructureConsistency = {
         ];
 
         const moduleFolders = options.moduleFolders
-            || [...defaultModuleFolders, ...(options.extraModuleFolders || [])];
+            || [...(sharedSettings.moduleFolders || defaultModuleFolders), ...(options.extraModuleFolders || [])];
 
         // Find the module folder in the file path
         const getModuleFolderInfoHandler = () => {
             for (const folder of moduleFolders) {
-                const pattern = new RegExp(`(.*/${folder})/`);
+                const pattern = new RegExp(`(.*/${escapeRegExp(folder)})/`);
                 const match = normalizedFilename.match(pattern);
 
                 if (match) return { folder, fullPath: match[1] };
@@ -1887,7 +1866,8 @@ const folderStructureConsistency = {
                 return {
                     Program(node) {
                         context.report({
-                            message: `"${fileBaseName}" should be a folder, not a standalone file. Use "${fileBaseName}/" folder with an index file instead.`,
+                            data: { fileBaseName },
+                            messageId: "folderNotStandaloneFile",
                             node,
                         });
                     },
@@ -1901,19 +1881,15 @@ const folderStructureConsistency = {
 
         // Check consistency for a given folder path
         const checkFolderConsistencyHandler = (checkPath, folderLabel) => {
-            let children;
+            const children = readDirectory(checkPath);
 
-            try {
-                children = fs.readdirSync(checkPath, { withFileTypes: true });
-            } catch {
-                return null;
-            }
+            if (!children) return null;
 
             const directFiles = children.filter(
-                (child) => child.isFile() && codeFilePattern.test(child.name) && !child.name.startsWith("index."),
+                (child) => child.isFile && codeFilePattern.test(child.name) && !child.name.startsWith("index."),
             );
 
-            const subdirectories = children.filter((child) => child.isDirectory());
+            const subdirectories = children.filter((child) => child.isDirectory);
 
             if (directFiles.length === 0 && subdirectories.length === 0) return null;
 
@@ -1921,25 +1897,24 @@ const folderStructureConsistency = {
 
             const isWrappedJustifiedHandler = () => {
                 for (const dir of subdirectories) {
-                    try {
-                        const dirPath = `${checkPath}/${dir.name}`;
-                        const dirChildren = fs.readdirSync(dirPath, { withFileTypes: true });
-                        const codeFiles = dirChildren.filter(
-                            (child) => child.isFile() && codeFilePattern.test(child.name),
-                        );
+                    const dirChildren = readDirectory(`${checkPath}/${dir.name}`);
 
-                        if (codeFiles.length >= 2) return true;
+                    // Skip unreadable directories
+                    if (!dirChildren) continue;
 
-                        // Justified if subfolder has an index file (component-style organization)
-                        if (codeFiles.some((f) => f.name.startsWith("index."))) return true;
+                    const codeFiles = dirChildren.filter(
+                        (child) => child.isFile && codeFilePattern.test(child.name),
+                    );
 
-                        // Also check if subfolder has its own subdirectories (nested structure)
-                        const subDirs = dirChildren.filter((child) => child.isDirectory());
+                    if (codeFiles.length >= 2) return true;
 
-                        if (subDirs.length > 0) return true;
-                    } catch {
-                        // Skip unreadable directories
-                    }
+                    // Justified if subfolder has an index file (component-style organization)
+                    if (codeFiles.some((f) => f.name.startsWith("index."))) return true;
+
+                    // Also check if subfolder has its own subdirectories (nested structure)
+                    const subDirs = dirChildren.filter((child) => child.isDirectory);
+
+                    if (subDirs.length > 0) return true;
                 }
 
                 return false;
@@ -1976,11 +1951,13 @@ const folderStructureConsistency = {
 
             if (grandparentPath.length < moduleFolderPath.length) break;
 
-            try {
-                const grandparentChildren = fs.readdirSync(grandparentPath, { withFileTypes: true });
-                const subfolders = grandparentChildren.filter((child) => child.isDirectory());
+            const grandparentChildren = readDirectory(grandparentPath);
+
+            // Skip unreadable directories
+            if (grandparentChildren) {
+                const subfolders = grandparentChildren.filter((child) => child.isDirectory);
                 const codeFiles = grandparentChildren.filter(
-                    (child) => child.isFile() && codeFilePattern.test(child.name) && !child.name.startsWith("index."),
+                    (child) => child.isFile && codeFilePattern.test(child.name) && !child.name.startsWith("index."),
                 );
 
                 if (subfolders.length === 1 && codeFiles.length === 0) {
@@ -2000,8 +1977,6 @@ const folderStructureConsistency = {
                         });
                     }
                 }
-            } catch {
-                // Skip unreadable directories
             }
 
             currentPath = grandparentPath;
@@ -2017,7 +1992,8 @@ const folderStructureConsistency = {
                     // Case: All folders, NOT justified → unnecessary wrapping
                     if (!hasDirectFiles && hasSubdirectories && !wrappedJustified) {
                         context.report({
-                            message: `Unnecessary wrapper folders in "${folderLabel}/". Each item has only one file, use direct files instead (e.g., ${folderLabel}/component.tsx).`,
+                            data: { folderLabel },
+                            messageId: "unnecessaryWrapperFoldersEach",
                             node,
                         });
 
@@ -2032,7 +2008,8 @@ const folderStructureConsistency = {
 
                         if (isDirectFile) {
                             context.report({
-                                message: `Since some items in "${folderLabel}/" contain multiple files or subfolders, all items should be wrapped in folders.`,
+                                data: { folderLabel },
+                                messageId: "sinceSomeItemsContain",
                                 node,
                             });
                         }
@@ -2048,7 +2025,8 @@ const folderStructureConsistency = {
 
                         if (isInSubfolder) {
                             context.report({
-                                message: `Unnecessary wrapper folder. Each item in "${folderLabel}/" has only one file, use direct files instead.`,
+                                data: { folderLabel },
+                                messageId: "unnecessaryWrapperFolderEach",
                                 node,
                             });
                         }
@@ -2058,7 +2036,12 @@ const folderStructureConsistency = {
                 // Report single-child folder nesting
                 for (const nesting of singleChildNesting) {
                     context.report({
-                        message: `"${nesting.folderName}/" has only one subfolder "${nesting.subfolderName}/". Flatten to "${nesting.suggestedName}/" to reduce nesting.`,
+                        data: {
+                            folderName: nesting.folderName,
+                            subfolderName: nesting.subfolderName,
+                            suggestedName: nesting.suggestedName,
+                        },
+                        messageId: "onlyOneSubfolderFlatten",
                         node,
                     });
                 }
@@ -2068,6 +2051,13 @@ const folderStructureConsistency = {
     meta: {
         docs: { description: "Enforce consistent folder structure (flat vs wrapped) in module folders like atoms, components, hooks, enums, views, layouts, and pages" },
         fixable: null,
+        messages: {
+            folderNotStandaloneFile: "\"{{fileBaseName}}\" should be a folder, not a standalone file. Use \"{{fileBaseName}}/\" folder with an index file instead.",
+            onlyOneSubfolderFlatten: "\"{{folderName}}/\" has only one subfolder \"{{subfolderName}}/\". Flatten to \"{{suggestedName}}/\" to reduce nesting.",
+            sinceSomeItemsContain: "Since some items in \"{{folderLabel}}/\" contain multiple files or subfolders, all items should be wrapped in folders.",
+            unnecessaryWrapperFolderEach: "Unnecessary wrapper folder. Each item in \"{{folderLabel}}/\" has only one file, use direct files instead.",
+            unnecessaryWrapperFoldersEach: "Unnecessary wrapper folders in \"{{folderLabel}}/\". Each item has only one file, use direct files instead (e.g., {{folderLabel}}/component.tsx).",
+        },
         schema: [
             {
                 additionalProperties: false,
@@ -2098,7 +2088,8 @@ const folderStructureConsistency = {
  *   folder name as a suffix. Since the folder already provides context,
  *   the file name doesn't need to repeat it.
  *
- *   Checks all ancestor folders from "src/" onwards.
+ *   Checks all ancestor folders from "src/" onwards
+ *   (settings["code-style"].srcRoot changes the source root).
  *   Skips index files (index.ts, index.js, etc.).
  *
  * ✓ Good:
@@ -2124,13 +2115,15 @@ const noRedundantFolderSuffix = {
         const fileWithExt = parts[parts.length - 1];
         const baseName = fileWithExt.replace(/\.(jsx?|tsx?)$/, "");
 
-        // Find the src/ boundary and collect ancestor folders from src/ onwards
-        const srcIndex = parts.indexOf("src");
+        // Find the source root boundary (default src/, see settings["code-style"].srcRoot)
+        // and collect ancestor folders from it onwards
+        const srcRootParts = getSharedSettings(context).srcRoot.split("/");
+        const srcIndex = parts.findIndex((_, index) => srcRootParts.every((part, offset) => parts[index + offset] === part));
 
         if (srcIndex === -1) return {};
 
-        // Collect folders between src/ and the file itself
-        const ancestorFolders = parts.slice(srcIndex + 1, parts.length - 1);
+        // Collect folders between the source root and the file itself
+        const ancestorFolders = parts.slice(srcIndex + srcRootParts.length, parts.length - 1);
 
         if (ancestorFolders.length === 0) return {};
 
@@ -2200,21 +2193,38 @@ const noRedundantFolderSuffix = {
             Program(node) {
                 for (const error of folderErrors) {
                     context.report({
-                        message: `Folder name "${error.folderName}" has redundant suffix "${error.suffix}" — the "${error.ancestorFolder}/" ancestor folder already provides this context. Rename to "${error.suggestedName}".`,
+                        data: {
+                            ancestorFolder: error.ancestorFolder,
+                            folderName: error.folderName,
+                            suffix: error.suffix,
+                            suggestedName: error.suggestedName,
+                        },
+                        messageId: "folderNameRedundantSuffix",
                         node,
                     });
                 }
 
                 if (fileMatchesFolder) {
                     context.report({
-                        message: `File name "${baseName}" is the same as its parent folder "${fileMatchesFolder}/". Use "index" instead (e.g., "${fileMatchesFolder}/index${fileWithExt.match(/\.\w+$/)[0]}").`,
+                        data: {
+                            baseName,
+                            fileMatchesFolder,
+                            fileWithExt: fileWithExt.match(/\.\w+$/)[0],
+                        },
+                        messageId: "fileNameSameParent",
                         node,
                     });
                 }
 
                 if (fileRedundancy) {
                     context.report({
-                        message: `File name "${baseName}" has redundant suffix "${fileRedundancy.suffix}" — the "${fileRedundancy.folder}/" folder already provides this context. Rename to "${baseName.slice(0, -fileRedundancy.suffix.length)}".`,
+                        data: {
+                            baseName,
+                            folder: fileRedundancy.folder,
+                            suffix: fileRedundancy.suffix,
+                            suggestedName: baseName.slice(0, -fileRedundancy.suffix.length),
+                        },
+                        messageId: "fileNameRedundantSuffix",
                         node,
                     });
                 }
@@ -2224,6 +2234,11 @@ const noRedundantFolderSuffix = {
     meta: {
         docs: { description: "Disallow file and folder names that redundantly include the parent or ancestor folder name as a suffix" },
         fixable: null,
+        messages: {
+            fileNameRedundantSuffix: "File name \"{{baseName}}\" has redundant suffix \"{{suffix}}\" — the \"{{folder}}/\" folder already provides this context. Rename to \"{{suggestedName}}\".",
+            fileNameSameParent: "File name \"{{baseName}}\" is the same as its parent folder \"{{fileMatchesFolder}}/\". Use \"index\" instead (e.g., \"{{fileMatchesFolder}}/index{{fileWithExt}}\").",
+            folderNameRedundantSuffix: "Folder name \"{{folderName}}\" has redundant suffix \"{{suffix}}\" — the \"{{ancestorFolder}}/\" ancestor folder already provides this context. Rename to \"{{suggestedName}}\".",
+        },
         schema: [],
         type: "suggestion",
     },
@@ -1,3 +1,6 @@
+import { getCollapseFix, hasEmptyLineBetween } from "../utils/empty-lines.js";
+import { getLineIndent, getShiftedText, hasMultilineTemplate } from "../utils/indent.js";
+
 /**
  * ───────────────────────────────────────────────────────────────
  * Rule: Block Statement Newlines
@@ -29,8 +32,9 @@ const blockStatementNewlines = {
             const closeBrace = sourceCode.getLastToken(node);
             const firstStatement = body[0];
             const lastStatement = body[body.length - 1];
-            const contentIndent = " ".repeat(firstStatement.loc.start.column);
-            const braceIndent = " ".repeat(openBrace.loc.start.column);
+            // Indent from the line that opens the block, not the brace column
+            const braceIndent = sourceCode.lines[openBrace.loc.start.line - 1].match(/^\s*/)[0];
+            const contentIndent = braceIndent + "    ";
 
             // Check if first statement is on same line as opening brace
             if (openBrace.loc.end.line === firstStatement.loc.start.line) {
@@ -39,7 +43,7 @@ const blockStatementNewlines = {
                         [openBrace.range[1], firstStatement.range[0]],
                         "\n" + contentIndent,
                     ),
-                    message: "Statement should be on its own line after opening brace",
+                    messageId: "statementOwnLineAfter",
                     node: firstStatement,
                 });
             }
@@ -51,7 +55,7 @@ const blockStatementNewlines = {
                         [lastStatement.range[1], closeBrace.range[0]],
                         "\n" + braceIndent,
                     ),
-                    message: "Closing brace should be on its own line",
+                    messageId: "closingBraceOwnLine",
                     node: closeBrace,
                 });
             }
@@ -62,6 +66,10 @@ const blockStatementNewlines = {
     meta: {
         docs: { description: "Enforce newlines after opening brace and before closing brace in blocks" },
         fixable: "whitespace",
+        messages: {
+            closingBraceOwnLine: "Closing brace should be on its own line",
+            statementOwnLineAfter: "Statement should be on its own line after opening brace",
+        },
         schema: [],
         type: "layout",
     },
@@ -131,7 +139,7 @@ const ifStatementFormat = {
                 }
 
                 // "Short enough" means under 80 characters for the condition itself
-                const conditionLength = testText.replace(/\s+/g, " ").trim().length;
+                const conditionLength = testText.replace(/\s*\n\s*/g, " ").trim().length;
 
                 return conditionLength <= 80;
             }
@@ -169,11 +177,8 @@ const ifStatementFormat = {
             // Check if "if" and "(" are on different lines
             if (ifToken.loc.end.line !== openParen.loc.start.line) {
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
-                        [ifToken.range[1], openParen.range[0]],
-                        " ",
-                    ),
-                    message: "Opening parenthesis should be on the same line as 'if'",
+                    fix: getCollapseFix(sourceCode, ifToken.range[1], openParen.range[0], " "),
+                    messageId: "openingParenthesisSameLine",
                     node: openParen,
                 });
 
@@ -185,15 +190,15 @@ const ifStatementFormat = {
             const testText = sourceCode.getText(test);
 
             if (conditionSpansMultipleLines && isSimpleConditionHandler(test, testText)) {
-                // Normalize whitespace in condition text
-                const normalizedText = testText.replace(/\s+/g, " ").trim();
+                // Join the condition's lines; spaces inside strings are kept, and a condition
+                // with comments or a multiline template literal cannot be joined safely
+                const normalizedText = testText.replace(/\s*\n\s*/g, " ").trim();
 
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
-                        [openParen.range[1], closeParen.range[0]],
-                        normalizedText,
-                    ),
-                    message: "If condition should be on a single line",
+                    fix: hasMultilineTemplate(sourceCode, test)
+                        ? null
+                        : getCollapseFix(sourceCode, openParen.range[1], closeParen.range[0], normalizedText),
+                    messageId: "conditionSingleLine",
                     node: test,
                 });
 
@@ -203,11 +208,8 @@ const ifStatementFormat = {
             // Check if ")" and "{" are on different lines (only for block body if statements)
             if (openBrace && closeParen.loc.end.line !== openBrace.loc.start.line) {
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
-                        [closeParen.range[1], openBrace.range[0]],
-                        " ",
-                    ),
-                    message: "Opening brace should be on the same line as closing parenthesis",
+                    fix: getCollapseFix(sourceCode, closeParen.range[1], openBrace.range[0], " "),
+                    messageId: "openingBraceSameLine",
                     node: openBrace,
                 });
             }
@@ -218,6 +220,11 @@ const ifStatementFormat = {
     meta: {
         docs: { description: "Ensure if statement has proper formatting: if (...) {" },
         fixable: "whitespace",
+        messages: {
+            conditionSingleLine: "If condition should be on a single line",
+            openingBraceSameLine: "Opening brace should be on the same line as closing parenthesis",
+            openingParenthesisSameLine: "Opening parenthesis should be on the same line as 'if'",
+        },
         schema: [],
         type: "layout",
     },
@@ -302,15 +309,15 @@ const ifElseSpacing = {
             if (!elseKeyword) return;
 
             // Check if there's an empty line between the consequent and else
-            const linesBetween = elseKeyword.loc.start.line - closingToken.loc.end.line;
-
-            if (linesBetween > 1) {
+            if (hasEmptyLineBetween(sourceCode, closingToken.range[1], elseKeyword.range[0])) {
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
-                        [closingToken.range[1], elseKeyword.range[0]],
-                        "\n" + " ".repeat(elseKeyword.loc.start.column),
+                    fix: getCollapseFix(
+                        sourceCode,
+                        closingToken.range[1],
+                        elseKeyword.range[0],
+                        "\n" + getLineIndent(sourceCode, node),
                     ),
-                    message: "No empty line allowed between single-line if and else",
+                    messageId: "noEmptyLineAllowed",
                     node: elseKeyword,
                 });
             }
@@ -348,18 +355,23 @@ const ifElseSpacing = {
                 // Check if the next if has a block body
                 const nextHasBlock = next.consequent.type === "BlockStatement";
 
-                // Require empty line if either has a block body
+                // Require empty line if either has a block body (a comment line between them does not count)
                 if (currentHasBlock || nextHasBlock) {
-                    const linesBetween = next.loc.start.line - endNode.loc.end.line;
+                    const isOnLaterLine = next.loc.start.line > endNode.loc.end.line;
+
+                    if (isOnLaterLine && !hasEmptyLineBetween(sourceCode, endNode.range[1], next.range[0])) {
+                        // Insert the empty line after the line the block ends on, so a trailing comment stays there
+                        const nextLineStart = sourceCode.getIndexFromLoc({
+                            column: 0,
+                            line: endNode.loc.end.line + 1,
+                        });
 
-                    if (linesBetween === 1) {
-                        // No empty line between them - needs one
                         context.report({
-                            fix: (fixer) => fixer.insertTextAfter(
-                                endNode,
+                            fix: (fixer) => fixer.insertTextBeforeRange(
+                                [nextLineStart, nextLineStart],
                                 "\n",
                             ),
-                            message: "Expected empty line between consecutive if statements with block bodies",
+                            messageId: "expectedEmptyLineBetween",
                             node: next,
                         });
                     }
@@ -376,6 +388,10 @@ const ifElseSpacing = {
     meta: {
         docs: { description: "Enforce proper spacing between if statements and if-else chains" },
         fixable: "whitespace",
+        messages: {
+            expectedEmptyLineBetween: "Expected empty line between consecutive if statements with block bodies",
+            noEmptyLineAllowed: "No empty line allowed between single-line if and else",
+        },
         schema: [],
         type: "layout",
     },
@@ -622,6 +638,9 @@ const multilineIfConditions = {
 
             if (!openParen || !closeParen) return;
 
+            // Conditions are rebuilt from their operands, which would drop comments between them
+            const hasComments = sourceCode.commentsExistBetween(openParen, closeParen);
+
             // Check for excessive nesting depth
             const nestingDepth = getNestingDepthHandler(test);
 
@@ -657,19 +676,23 @@ const multilineIfConditions = {
                         varName = "isNestedCondition";
                     }
 
+                    // An "else if" has no statement position to declare the variable in
+                    const isElseIf = node.parent.type === "IfStatement" && node.parent.alternate === node;
+
                     context.report({
-                        fix: (fixer) => {
+                        data: {
+                            maxNestingLevel,
+                            nestingDepth,
+                        },
+                        fix: isElseIf ? null : (fixer) => {
                             const fixes = [];
 
-                            // Get the line before the if statement for inserting the variable
-                            const ifLine = node.loc.start.line;
-                            const lineStart = sourceCode.getIndexFromLoc({ line: ifLine, column: 0 });
-                            const lineText = sourceCode.lines[ifLine - 1];
+                            const lineText = sourceCode.lines[node.loc.start.line - 1];
                             const indent = lineText.match(/^\s*/)[0];
 
-                            // Insert variable declaration before the if statement
-                            fixes.push(fixer.insertTextBeforeRange(
-                                [lineStart, lineStart],
+                            // Insert variable declaration before the if statement, at its indentation
+                            fixes.push(fixer.insertTextBefore(
+                                node,
                                 `const ${varName} = ${groupText};\n${indent}`,
                             ));
 
@@ -689,7 +712,7 @@ const multilineIfConditions = {
 
                             return fixes;
                         },
-                        message: `Condition nesting depth (${nestingDepth}) exceeds maximum (${maxNestingLevel}). Extract deeply nested condition to a variable.`,
+                        messageId: "conditionNestingDepthExceeds",
                         node: deepGroup.node,
                     });
 
@@ -841,7 +864,8 @@ const multilineIfConditions = {
 
                 if (!allOnDifferentLines) {
                     context.report({
-                        fix: (fixer) => {
+                        data: { maxOperands },
+                        fix: hasComments ? null : (fixer) => {
                             const newCondition = buildFullConditionHandler(test, nestedGroupExceeding);
 
                             // Replace just the content between if statement's parens
@@ -850,7 +874,7 @@ const multilineIfConditions = {
                                 newCondition,
                             );
                         },
-                        message: `Nested condition with >${maxOperands} operands should be formatted multiline`,
+                        messageId: "nestedConditionOperandsFormatted",
                         node: nestedGroupExceeding,
                     });
 
@@ -880,7 +904,8 @@ const multilineIfConditions = {
 
                 if (!allOperandsStartOnSameLine || hasSplitBinaryExpression) {
                     context.report({
-                        fix: (fixer) => {
+                        data: { maxOperands },
+                        fix: hasComments ? null : (fixer) => {
                             const buildSameLineHandler = (n) => {
                                 if (n.type === "LogicalExpression" && !isParenthesizedHandler(n)) {
                                     const leftText = buildSameLineHandler(n.left);
@@ -902,7 +927,7 @@ const multilineIfConditions = {
                                 `(${buildSameLineHandler(test)})`,
                             );
                         },
-                        message: `If conditions with ≤${maxOperands} operands should be single line: if (a && b && c). Multi-line only for >${maxOperands} operands`,
+                        messageId: "conditionsOperandsSingleLine",
                         node: test,
                     });
                 }
@@ -959,7 +984,8 @@ const multilineIfConditions = {
 
             if (isCorrectionNeeded) {
                 context.report({
-                    fix: (fixer) => {
+                    data: { maxOperands },
+                    fix: hasComments ? null : (fixer) => {
                         // Get the indentation of the if statement line
                         const lineText = sourceCode.lines[node.loc.start.line - 1];
                         const parenIndent = lineText.match(/^\s*/)[0];
@@ -1007,7 +1033,7 @@ const multilineIfConditions = {
                             `(\n${indent}${buildMultilineHandler(test, indent)}\n${parenIndent})`,
                         );
                     },
-                    message: `If conditions with more than ${maxOperands} operands should be multiline, with each operand on its own line`,
+                    messageId: "conditionsMoreOperandsMultiline",
                     node: test,
                 });
             }
@@ -1024,6 +1050,9 @@ const multilineIfConditions = {
             // Need at least 2 operands to apply formatting
             if (operands.length < 2) return;
 
+            // The value is rebuilt from its operands, which would drop comments between them
+            const hasComments = sourceCode.getCommentsInside(value).length > 0;
+
             const valueStartLine = value.loc.start.line;
             const valueEndLine = value.loc.end.line;
             const isMultiLine = valueStartLine !== valueEndLine;
@@ -1075,7 +1104,8 @@ const multilineIfConditions = {
 
                 if (!allOperandsStartOnSameLine || hasSplitBinaryExpression) {
                     context.report({
-                        fix: (fixer) => {
+                        data: { maxOperands },
+                        fix: hasComments ? null : (fixer) => {
                             const buildSameLineHandler = (n) => {
                                 if (n.type === "LogicalExpression" && !isParenthesizedHandler(n)) {
                                     const leftText = buildSameLineHandler(n.left);
@@ -1094,7 +1124,7 @@ const multilineIfConditions = {
 
                             return fixer.replaceText(value, buildSameLineHandler(value));
                         },
-                        message: `Property conditions with ≤${maxOperands} operands should be single line: condition: a && b && c. Multi-line only for >${maxOperands} operands`,
+                        messageId: "propertyConditionsOperandsSingle",
                         node: value,
                     });
                 }
@@ -1116,7 +1146,8 @@ const multilineIfConditions = {
 
             if (isCorrectionNeeded) {
                 context.report({
-                    fix: (fixer) => {
+                    data: { maxOperands },
+                    fix: hasComments ? null : (fixer) => {
                         // Get the indentation of the property
                         const propertyLine = sourceCode.lines[node.loc.start.line - 1];
                         const propertyIndent = propertyLine.match(/^\s*/)[0];
@@ -1135,7 +1166,7 @@ const multilineIfConditions = {
 
                         return fixer.replaceText(value, buildMultilineHandler(value));
                     },
-                    message: `Property conditions with more than ${maxOperands} operands should be multiline, with each operand on its own line`,
+                    messageId: "propertyConditionsMoreOperands",
                     node: value,
                 });
             }
@@ -1149,6 +1180,14 @@ const multilineIfConditions = {
     meta: {
         docs: { description: "Enforce multiline if/property conditions when exceeding threshold (default: >3 operands)" },
         fixable: "whitespace",
+        messages: {
+            conditionNestingDepthExceeds: "Condition nesting depth ({{nestingDepth}}) exceeds maximum ({{maxNestingLevel}}). Extract deeply nested condition to a variable.",
+            conditionsMoreOperandsMultiline: "If conditions with more than {{maxOperands}} operands should be multiline, with each operand on its own line",
+            conditionsOperandsSingleLine: "If conditions with ≤{{maxOperands}} operands should be single line: if (a && b && c). Multi-line only for >{{maxOperands}} operands",
+            nestedConditionOperandsFormatted: "Nested condition with >{{maxOperands}} operands should be formatted multiline",
+            propertyConditionsMoreOperands: "Property conditions with more than {{maxOperands}} operands should be multiline, with each operand on its own line",
+            propertyConditionsOperandsSingle: "Property conditions with ≤{{maxOperands}} operands should be single line: condition: a && b && c. Multi-line only for >{{maxOperands}} operands",
+        },
         schema: [
             {
                 additionalProperties: false,
@@ -1481,14 +1520,18 @@ const ternaryConditionMultiline = {
 
         // Get the full ternary as single line text (preserving parentheses around nested ternaries)
         const getTernarySingleLineHandler = (node) => {
-            const testText = sourceCode.getText(node.test).replace(/\s+/g, " ").trim();
+            const testText = sourceCode.getText(node.test).replace(/\s*\n\s*/g, " ").trim();
             // Use getSourceTextWithGroupsHandler to preserve parentheses around nested expressions
-            const consequentText = getSourceTextWithGroupsHandler(node.consequent).replace(/\s+/g, " ").trim();
-            const alternateText = getSourceTextWithGroupsHandler(node.alternate).replace(/\s+/g, " ").trim();
+            const consequentText = getSourceTextWithGroupsHandler(node.consequent).replace(/\s*\n\s*/g, " ").trim();
+            const alternateText = getSourceTextWithGroupsHandler(node.alternate).replace(/\s*\n\s*/g, " ").trim();
 
             return `${testText} ? ${consequentText} : ${alternateText}`;
         };
 
+        // Ternaries with comments or multiline template literals are reported without a rebuilt fix
+        const canRewriteTernaryHandler = (node) => sourceCode.getCommentsInside(node).length === 0
+            && !hasMultilineTemplate(sourceCode, node);
+
         // Get the indentation level for the line
         const getLineIndentHandler = (node) => {
             const lineText = sourceCode.lines[node.loc.start.line - 1];
@@ -1597,8 +1640,9 @@ const ternaryConditionMultiline = {
 
             // For ≤maxOperands conditions, always collapse to single line regardless of length
             context.report({
-                fix: (fixer) => fixer.replaceText(node, singleLineText),
-                message: `Ternary with ≤${maxOperands} operands should be on a single line`,
+                data: { maxOperands },
+                fix: canRewriteTernaryHandler(node) ? (fixer) => fixer.replaceText(node, singleLineText) : null,
+                messageId: "ternaryOperandsSingleLine",
                 node,
             });
 
@@ -1735,12 +1779,15 @@ const ternaryConditionMultiline = {
                     const newCondition = buildFullConditionHandler(test, nestedGroupExceeding);
 
                     // Get consequent and alternate text
-                    const consequentText = getSourceTextWithGroupsHandler(node.consequent).replace(/\s+/g, " ").trim();
-                    const alternateText = getSourceTextWithGroupsHandler(node.alternate).replace(/\s+/g, " ").trim();
+                    const consequentText = getSourceTextWithGroupsHandler(node.consequent).replace(/\s*\n\s*/g, " ").trim();
+                    const alternateText = getSourceTextWithGroupsHandler(node.alternate).replace(/\s*\n\s*/g, " ").trim();
 
                     context.report({
-                        fix: (fixer) => fixer.replaceText(node, `${newCondition} ? ${consequentText} : ${alternateText}`),
-                        message: `Nested condition with >${maxOperands} operands should be formatted multiline`,
+                        data: { maxOperands },
+                        fix: canRewriteTernaryHandler(node)
+                            ? (fixer) => fixer.replaceText(node, `${newCondition} ? ${consequentText} : ${alternateText}`)
+                            : null,
+                        messageId: "nestedConditionOperandsFormatted",
                         node: nestedGroupExceeding,
                     });
 
@@ -1786,8 +1833,9 @@ const ternaryConditionMultiline = {
                 const singleLineText = getTernarySingleLineHandler(node);
 
                 context.report({
-                    fix: (fixer) => fixer.replaceText(node, singleLineText),
-                    message: `Ternary with ≤${maxOperands} operands should be on a single line`,
+                    data: { maxOperands },
+                    fix: canRewriteTernaryHandler(node) ? (fixer) => fixer.replaceText(node, singleLineText) : null,
+                    messageId: "ternaryOperandsSingleLine",
                     node,
                 });
 
@@ -1866,7 +1914,8 @@ const ternaryConditionMultiline = {
 
             if (isCorrectionNeeded) {
                 context.report({
-                    fix: (fixer) => {
+                    data: { maxOperands },
+                    fix: canRewriteTernaryHandler(node) ? (fixer) => {
                         // Get proper base indent
                         let baseIndent;
                         let includePropertyKey = false;
@@ -1906,8 +1955,14 @@ const ternaryConditionMultiline = {
                             return getSourceTextWithGroupsHandler(n);
                         };
 
-                        const consequentText = sourceCode.getText(node.consequent);
-                        const alternateText = sourceCode.getText(node.alternate);
+                        // Multiline branches keep their shape one level below the condition
+                        const getBranchTextHandler = (branch) => getShiftedText(
+                            sourceCode,
+                            branch,
+                            conditionIndent.length - getLineIndent(sourceCode, branch).length,
+                        );
+                        const consequentText = getBranchTextHandler(node.consequent);
+                        const alternateText = getBranchTextHandler(node.alternate);
 
                         // Build multiline with ? and : each on their own lines
                         const conditionPart = buildMultilineHandler(test);
@@ -1922,8 +1977,8 @@ const ternaryConditionMultiline = {
                         }
 
                         return fixer.replaceText(node, newText);
-                    },
-                    message: `Ternary conditions with more than ${maxOperands} operands should be multiline, with each operand on its own line`,
+                    } : null,
+                    messageId: "ternaryConditionsMoreOperands",
                     node: test,
                 });
             }
@@ -1976,6 +2031,10 @@ const ternaryConditionMultiline = {
                             }
 
                             context.report({
+                                data: {
+                                    maxNestingLevel,
+                                    nestingDepth,
+                                },
                                 fix: (fixer) => {
                                     const fixes = [];
 
@@ -2013,7 +2072,7 @@ const ternaryConditionMultiline = {
 
                                     return fixes;
                                 },
-                                message: `Ternary condition nesting depth (${nestingDepth}) exceeds maximum (${maxNestingLevel}). Extract deeply nested condition to a variable.`,
+                                messageId: "ternaryConditionNestingDepth",
                                 node: deepGroup.node,
                             });
 
@@ -2037,6 +2096,12 @@ const ternaryConditionMultiline = {
     meta: {
         docs: { description: "Enforce consistent ternary formatting based on condition operand count: ≤maxOperands collapses to single line, >maxOperands expands to multiline" },
         fixable: "code",
+        messages: {
+            nestedConditionOperandsFormatted: "Nested condition with >{{maxOperands}} operands should be formatted multiline",
+            ternaryConditionNestingDepth: "Ternary condition nesting depth ({{nestingDepth}}) exceeds maximum ({{maxNestingLevel}}). Extract deeply nested condition to a variable.",
+            ternaryConditionsMoreOperands: "Ternary conditions with more than {{maxOperands}} operands should be multiline, with each operand on its own line",
+            ternaryOperandsSingleLine: "Ternary with ≤{{maxOperands}} operands should be on a single line",
+        },
         schema: [
             {
                 additionalProperties: false,
@@ -2119,6 +2184,27 @@ const logicalExpressionMultiline = {
             return opToken ? opToken.value : "||";
         };
 
+        // Get the range of an operand including the parentheses wrapping it inside the expression
+        const getOperandRangeHandler = (operand, node) => {
+            let start = operand.range[0];
+            let end = operand.range[1];
+            let left = sourceCode.getTokenBefore(operand);
+            let right = sourceCode.getTokenAfter(operand);
+
+            while (left && right && left.value === "(" && right.value === ")"
+                && left.range[0] >= node.range[0] && right.range[1] <= node.range[1]) {
+                start = left.range[0];
+                end = right.range[1];
+                left = sourceCode.getTokenBefore(left);
+                right = sourceCode.getTokenAfter(right);
+            }
+
+            return [start, end];
+        };
+
+        // Get the text of an operand with its wrapping parentheses
+        const getOperandTextHandler = (operand, node) => sourceCode.text.slice(...getOperandRangeHandler(operand, node));
+
         // Check if the expression is already multiline
         const isMultilineHandler = (node) => node.loc.start.line !== node.loc.end.line;
 
@@ -2154,24 +2240,33 @@ const logicalExpressionMultiline = {
             // Case 1: Simple expression (≤maxOperands) that's multiline → collapse to single line
             if (operands.length <= maxOperands) {
                 if (isMultilineHandler(node)) {
+                    const operandTexts = operands.map((op) => getOperandTextHandler(op, node));
+
                     // Skip if any operand is itself multiline (e.g., JSX elements, function calls)
-                    const hasMultilineOperand = operands.some((op) => op.loc.start.line !== op.loc.end.line);
+                    const hasMultilineOperand = operandTexts.some((text) => text.includes("\n"));
 
                     if (hasMultilineOperand) return;
 
+                    // Rebuilding the expression would drop comments between the operands
+                    const hasComments = sourceCode.getCommentsInside(node).length > 0;
+
                     context.report({
-                        fix(fixer) {
+                        data: {
+                            maxOperands,
+                            operandsCount: operands.length,
+                        },
+                        fix: hasComments ? null : (fixer) => {
                             // Build single line: operand1 op operand2 op operand3
-                            const parts = [sourceCode.getText(operands[0])];
+                            const parts = [operandTexts[0]];
 
                             for (let i = 1; i < operands.length; i++) {
                                 const operator = getOperatorHandler(operands[i - 1], operands[i]);
-                                parts.push(` ${operator} ${sourceCode.getText(operands[i])}`);
+                                parts.push(` ${operator} ${operandTexts[i]}`);
                             }
 
                             return fixer.replaceText(node, parts.join(""));
                         },
-                        message: `Logical expression with ${operands.length} operands should be on a single line (max for multiline: ${maxOperands})`,
+                        messageId: "logicalExpressionOperandsSingle",
                         node,
                     });
                 }
@@ -2195,36 +2290,38 @@ const logicalExpressionMultiline = {
                 if (allOnOwnLines) return;
             }
 
-            // Report and fix
-            context.report({
-                fix(fixer) {
-                    // Build the formatted expression
-                    const firstOperandText = sourceCode.getText(operands[0]);
-
-                    // Get the line containing the first operand
-                    const firstToken = sourceCode.getFirstToken(operands[0]);
-                    const lineStart = sourceCode.text.lastIndexOf("\n", firstToken.range[0]) + 1;
-                    const lineContent = sourceCode.text.slice(lineStart, firstToken.range[0]);
-
-                    // Extract only the whitespace indentation from the line
-                    const indentMatch = lineContent.match(/^(\s*)/);
-                    const baseIndent = indentMatch ? indentMatch[1] : "";
-
-                    // Build each line: first operand, then operator + operand for each subsequent
-                    const lines = [firstOperandText];
-
-                    for (let i = 1; i < operands.length; i++) {
-                        const operator = getOperatorHandler(operands[i - 1], operands[i]);
-                        const operandText = sourceCode.getText(operands[i]);
-                        lines.push(`${baseIndent}    ${operator} ${operandText}`);
-                    }
+            // Build each line: first operand, then operator + operand one level below the line the
+            // expression starts on, with the other lines of a multiline operand shifted along
+            const baseIndent = getLineIndent(sourceCode, node);
+            const operandIndent = baseIndent + "    ";
+            const lines = [getOperandTextHandler(operands[0], node)];
+
+            for (let i = 1; i < operands.length; i++) {
+                const operand = operands[i];
+                const [start, end] = getOperandRangeHandler(operand, node);
+                const shiftedText = getShiftedText(
+                    sourceCode,
+                    operand,
+                    operandIndent.length - getLineIndent(sourceCode, operand).length,
+                );
 
-                    // Get the full range of the expression
-                    const fullText = lines.join("\n");
+                // Parentheses around a shifted operand are kept as written
+                lines.push(shiftedText === null
+                    ? null
+                    : `${operandIndent}${getOperatorHandler(operands[i - 1], operand)} ${sourceCode.text.slice(start, operand.range[0])}${shiftedText}${sourceCode.text.slice(operand.range[1], end)}`);
+            }
+
+            // Comments between the operands and multiline template literals cannot be rebuilt
+            const canRebuild = sourceCode.getCommentsInside(node).length === 0 && !lines.includes(null);
 
-                    return fixer.replaceText(node, fullText);
+            // Report and fix
+            context.report({
+                data: {
+                    maxOperands,
+                    operandsCount: operands.length,
                 },
-                message: `Logical expression with ${operands.length} operands should be on multiple lines (max: ${maxOperands})`,
+                fix: canRebuild ? (fixer) => fixer.replaceText(node, lines.join("\n")) : null,
+                messageId: "logicalExpressionOperandsMultiple",
                 node,
             });
         };
@@ -2236,6 +2333,10 @@ const logicalExpressionMultiline = {
     meta: {
         docs: { description: "Enforce single line for ≤maxOperands, multiline for >maxOperands logical expressions" },
         fixable: "code",
+        messages: {
+            logicalExpressionOperandsMultiple: "Logical expression with {{operandsCount}} operands should be on multiple lines (max: {{maxOperands}})",
+            logicalExpressionOperandsSingle: "Logical expression with {{operandsCount}} operands should be on a single line (max for multiline: {{maxOperands}})",
+        },
         schema: [
             {
                 additionalProperties: false,
@@ -2283,96 +2384,80 @@ const emptyLineAfterBlock = {
     create(context) {
         const sourceCode = context.sourceCode || context.getSourceCode();
 
-        // Check if a node is a block-containing statement
-        const isBlockStatementHandler = (node) => {
-            const blockTypes = [
-                "IfStatement",
-                "ForStatement",
+        // Check if a statement ends with the closing brace of a block (if/else chain, try, loop, switch)
+        const endsWithBlockHandler = (node) => {
+            if (node.type === "BlockStatement" || node.type === "SwitchStatement") return true;
+
+            if (node.type === "IfStatement") return endsWithBlockHandler(node.alternate || node.consequent);
+
+            if (node.type === "TryStatement") return true;
+
+            // A do-while ends with its condition, but its block still closes before it
+            if (node.type === "DoWhileStatement") return node.body.type === "BlockStatement";
+
+            const loopTypes = [
                 "ForInStatement",
                 "ForOfStatement",
+                "ForStatement",
                 "WhileStatement",
-                "DoWhileStatement",
-                "TryStatement",
-                "SwitchStatement",
                 "WithStatement",
             ];
 
-            return blockTypes.includes(node.type);
+            return loopTypes.includes(node.type) && endsWithBlockHandler(node.body);
         };
 
-        // Get the actual end line of a statement (including else, catch, finally)
-        const getStatementEndLineHandler = (node) => {
-            if (node.type === "IfStatement" && node.alternate) {
-                return getStatementEndLineHandler(node.alternate);
-            }
-
-            if (node.type === "TryStatement") {
-                if (node.finalizer) return node.finalizer.loc.end.line;
-
-                if (node.handler) return node.handler.loc.end.line;
-            }
-
-            return node.loc.end.line;
-        };
-
-        return {
-            "BlockStatement:exit"(node) {
-                const parent = node.parent;
-
-                // Only check for block-containing statements
-                if (!parent || !isBlockStatementHandler(parent)) return;
-
-                // Skip if this block is followed by else, catch, or finally
-                if (parent.type === "IfStatement" && parent.consequent === node && parent.alternate) {
-                    return;
-                }
-
-                if (parent.type === "TryStatement" && (parent.block === node || parent.handler?.body === node) && (parent.handler || parent.finalizer)) {
-                    if (parent.block === node && (parent.handler || parent.finalizer)) return;
+        // Check each statement of a body against the statement after it
+        const checkBodyHandler = (node) => {
+            const { body } = node;
 
-                    if (parent.handler?.body === node && parent.finalizer) return;
-                }
+            for (let i = 0; i < body.length - 1; i += 1) {
+                const current = body[i];
+                const nextStmt = body[i + 1];
 
-                // Get the parent's container (the block that contains the parent statement)
-                const grandparent = parent.parent;
+                if (!endsWithBlockHandler(current)) continue;
 
-                if (!grandparent || grandparent.type !== "BlockStatement") return;
+                // Skip consecutive if statements - handled by if-else-spacing rule
+                if (current.type === "IfStatement" && nextStmt.type === "IfStatement") continue;
 
-                // Find the index of the parent statement in the grandparent's body
-                const stmtIndex = grandparent.body.indexOf(parent);
+                const endToken = sourceCode.getLastToken(current);
 
-                if (stmtIndex === -1 || stmtIndex === grandparent.body.length - 1) return;
+                // A comment line between them does not count as the empty line
+                if (hasEmptyLineBetween(sourceCode, endToken.range[1], nextStmt.range[0])) continue;
 
-                // Get the next statement
-                const nextStmt = grandparent.body[stmtIndex + 1];
+                // Insert the empty line after the line the block ends on, so a trailing comment stays there
+                const insertEmptyLineHandler = (fixer) => {
+                    const nextLineStart = sourceCode.getIndexFromLoc({
+                        column: 0,
+                        line: endToken.loc.end.line + 1,
+                    });
 
-                // Skip consecutive if statements - handled by if-else-spacing rule
-                if (parent.type === "IfStatement" && nextStmt.type === "IfStatement") {
-                    return;
-                }
+                    return fixer.insertTextBeforeRange([nextLineStart, nextLineStart], "\n");
+                };
 
-                // Get the actual end of the current statement
-                const currentEndLine = getStatementEndLineHandler(parent);
-                const nextStartLine = nextStmt.loc.start.line;
+                // Code on the same line moves down below an empty line at the statement's indentation
+                const isSameLine = nextStmt.loc.start.line === endToken.loc.end.line;
 
-                // Check if there's an empty line between them
-                if (nextStartLine - currentEndLine < 2) {
-                    context.report({
-                        fix: (fixer) => {
-                            const endToken = sourceCode.getLastToken(parent);
+                context.report({
+                    fix: isSameLine
+                        ? getCollapseFix(sourceCode, endToken.range[1], nextStmt.range[0], "\n\n" + getLineIndent(sourceCode, current))
+                        : insertEmptyLineHandler,
+                    messageId: "expectedEmptyLineAfter",
+                    node: nextStmt,
+                });
+            }
+        };
 
-                            return fixer.insertTextAfter(endToken, "\n");
-                        },
-                        message: "Expected empty line after block statement",
-                        node: nextStmt,
-                    });
-                }
-            },
+        return {
+            BlockStatement: checkBodyHandler,
+            Program: checkBodyHandler,
         };
     },
     meta: {
         docs: { description: "Require empty line between block statement closing brace and next statement" },
         fixable: "whitespace",
+        messages: {
+            expectedEmptyLineAfter: "Expected empty line after block statement",
+        },
         schema: [],
         type: "layout",
     },
@@ -2423,21 +2508,16 @@ const noEmptyLinesInSwitchCases = {
             if (consequent.length > 0) {
                 const firstStatement = consequent[0];
 
-                const tokensBetween = sourceCode.getTokensBetween(
-                    colon,
-                    firstStatement,
-                    { includeComments: true },
-                );
-
-                if (tokensBetween.length === 0 && firstStatement.loc.start.line - colon.loc.end.line > 1) {
+                // Comment lines are not empty lines; empty lines next to a comment are reported without a fix
+                if (hasEmptyLineBetween(sourceCode, colon.range[1], firstStatement.range[0])) {
                     context.report({
-                        fix(fixer) {
-                            return fixer.replaceTextRange(
-                                [colon.range[1], firstStatement.range[0]],
-                                `\n${" ".repeat(firstStatement.loc.start.column)}`,
-                            );
-                        },
-                        message: "Empty line not allowed at the beginning of case logic",
+                        fix: getCollapseFix(
+                            sourceCode,
+                            colon.range[1],
+                            firstStatement.range[0],
+                            `\n${" ".repeat(firstStatement.loc.start.column)}`,
+                        ),
+                        messageId: "emptyLineNotAllowed",
                         node: firstStatement,
                     });
                 }
@@ -2458,21 +2538,15 @@ const noEmptyLinesInSwitchCases = {
                         (t) => t.value === ":",
                     );
 
-                    const tokensBetween = sourceCode.getTokensBetween(
-                        colon,
-                        nextCase,
-                        { includeComments: true },
-                    );
-
-                    if (tokensBetween.length === 0 && nextCase.loc.start.line - colon.loc.end.line > 1) {
+                    if (hasEmptyLineBetween(sourceCode, colon.range[1], nextCase.range[0])) {
                         context.report({
-                            fix(fixer) {
-                                return fixer.replaceTextRange(
-                                    [colon.range[1], nextCase.range[0]],
-                                    `\n${" ".repeat(nextCase.loc.start.column)}`,
-                                );
-                            },
-                            message: "Empty line not allowed between cases",
+                            fix: getCollapseFix(
+                                sourceCode,
+                                colon.range[1],
+                                nextCase.range[0],
+                                `\n${" ".repeat(nextCase.loc.start.column)}`,
+                            ),
+                            messageId: "emptyLineNotAllowedBetween",
                             node: nextCase,
                         });
                     }
@@ -2488,6 +2562,10 @@ const noEmptyLinesInSwitchCases = {
     meta: {
         docs: { description: "Prevent empty lines at the beginning of switch case logic or between cases" },
         fixable: "whitespace",
+        messages: {
+            emptyLineNotAllowed: "Empty line not allowed at the beginning of case logic",
+            emptyLineNotAllowedBetween: "Empty line not allowed between cases",
+        },
         schema: [],
         type: "layout",
     },
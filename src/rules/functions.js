@@ -1,3 +1,6 @@
+import { getCollapseFix } from "../utils/empty-lines.js";
+import { findVariable, getNodeScope, isExportedVariable, renameVariableFixes } from "../utils/naming.js";
+
 /**
  * ───────────────────────────────────────────────────────────────
  * Rule: Function Call Spacing
@@ -33,11 +36,8 @@ const functionCallSpacing = {
 
                     if (/\s/.test(textBeforeAngle)) {
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [calleeLastToken.range[1], openAngle.range[0]],
-                                "",
-                            ),
-                            message: "No space between function name and generic type arguments",
+                            fix: getCollapseFix(sourceCode, calleeLastToken.range[1], openAngle.range[0], ""),
+                            messageId: "noSpaceBetweenFunction",
                             node: openAngle,
                         });
                     }
@@ -52,11 +52,8 @@ const functionCallSpacing = {
 
                     if (/\s/.test(textBetween)) {
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [closeAngle.range[1], openParen.range[0]],
-                                "",
-                            ),
-                            message: "No space between generic type arguments and opening parenthesis",
+                            fix: getCollapseFix(sourceCode, closeAngle.range[1], openParen.range[0], ""),
+                            messageId: "noSpaceBetweenGeneric",
                             node: openParen,
                         });
                     }
@@ -65,21 +62,24 @@ const functionCallSpacing = {
                 return;
             }
 
-            // Get the opening parenthesis
-            const openParen = sourceCode.getTokenAfter(callee);
+            // Get the opening parenthesis, past the closing parentheses of a wrapped callee: (handler) (value)
+            let openParen = sourceCode.getTokenAfter(callee);
 
-            if (!openParen || openParen.value !== "(") return;
+            while (openParen && openParen.value === ")" && openParen.range[1] < node.range[1]) {
+                openParen = sourceCode.getTokenAfter(openParen);
+            }
+
+            if (!openParen || openParen.value !== "(" || openParen.range[0] >= node.range[1]) return;
+
+            const calleeEndToken = sourceCode.getTokenBefore(openParen);
 
             // Check if there's space between callee and opening paren
-            const textBetween = sourceCode.text.slice(calleeLastToken.range[1], openParen.range[0]);
+            const textBetween = sourceCode.text.slice(calleeEndToken.range[1], openParen.range[0]);
 
             if (textBetween.length > 0) {
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
-                        [calleeLastToken.range[1], openParen.range[0]],
-                        "",
-                    ),
-                    message: "No space between function name and opening parenthesis",
+                    fix: getCollapseFix(sourceCode, calleeEndToken.range[1], openParen.range[0], ""),
+                    messageId: "noSpaceBetweenFunctionName",
                     node: openParen,
                 });
             }
@@ -98,6 +98,11 @@ const functionCallSpacing = {
     meta: {
         docs: { description: "Enforce no space between function name and opening parenthesis" },
         fixable: "code",
+        messages: {
+            noSpaceBetweenFunction: "No space between function name and generic type arguments",
+            noSpaceBetweenFunctionName: "No space between function name and opening parenthesis",
+            noSpaceBetweenGeneric: "No space between generic type arguments and opening parenthesis",
+        },
         schema: [],
         type: "layout",
     },
@@ -111,7 +116,9 @@ const functionCallSpacing = {
  * Description:
  *   Enforce function expressions (arrow functions) instead of
  *   function declarations. Auto-fixes by converting to const
- *   arrow function expressions.
+ *   arrow function expressions, except where the arrow would
+ *   behave differently (used before its declaration, own
+ *   this/arguments, overloads). Generators are skipped.
  *
  * ✓ Good:
  *   const getToken = (): string | null => getCookie(tokenKey);
@@ -131,10 +138,31 @@ const functionDeclarationStyle = {
     create(context) {
         const sourceCode = context.sourceCode || context.getSourceCode();
 
+        // Check if the function reads its own this, super or new.target, which an arrow function would take from outside
+        const usesOwnThisHandler = (node) => sourceCode.getTokens(node.body)
+            .filter((token) => (token.type === "Keyword" && (token.value === "this" || token.value === "super"))
+                || (token.type === "Identifier" && token.value === "target"))
+            .some((token) => {
+                let current = sourceCode.getNodeByRangeIndex(token.range[0]);
+
+                if (token.value === "target" && current.parent.type !== "MetaProperty") return false;
+
+                while (current && current !== node) {
+                    if (["FunctionDeclaration", "FunctionExpression", "PropertyDefinition", "StaticBlock"].includes(current.type)) return false;
+
+                    current = current.parent;
+                }
+
+                return true;
+            });
+
         return {
             FunctionDeclaration(node) {
                 if (!node.id) return;
 
+                // Generators have no arrow form
+                if (node.generator) return;
+
                 const name = node.id.name;
 
                 // Build the params text
@@ -148,7 +176,7 @@ const functionDeclarationStyle = {
                 }
 
                 // Build type parameters if present (generics)
-                // For arrow functions in TSX files, use trailing comma to avoid JSX ambiguity: <T,>
+                // For arrow functions in TSX files, use trailing comma to avoid JSX parsing issues: <T,>
                 let typeParams = "";
 
                 if (node.typeParameters) {
@@ -180,19 +208,59 @@ const functionDeclarationStyle = {
                 // Check for export keywords
                 const parentNode = node.parent;
                 const isExported = parentNode && parentNode.type === "ExportNamedDeclaration";
+                const isDefaultExported = parentNode && parentNode.type === "ExportDefaultDeclaration";
 
                 const exportPrefix = isExported ? "export " : "";
+                const fixTarget = isExported || isDefaultExported ? parentNode : node;
 
-                context.report({
-                    fix(fixer) {
-                        const fixTarget = isExported ? parentNode : node;
+                // Keep the params as written (line breaks, comments, trailing comma) between the parentheses
+                const openParenToken = sourceCode.getTokenAfter(node.typeParameters || node.id);
+                const closeParenToken = sourceCode.getTokenBefore(node.returnType || node.body);
+                const paramsSourceText = sourceCode.text.slice(openParenToken.range[1], closeParenToken.range[0]);
 
-                        // For arrow functions with generics: const fn = <T,>(param: T) => ...
-                        const replacement = `${exportPrefix}const ${name} = ${typeParams}${asyncPrefix}(${paramsText})${returnType} => ${bodyText};`;
+                // Comments elsewhere in the header have no place in the arrow function
+                const hasHeaderComments = sourceCode.getAllComments().some((comment) => (comment.range[0] >= fixTarget.range[0] && comment.range[1] <= openParenToken.range[0])
+                    || (comment.range[0] >= closeParenToken.range[1] && comment.range[1] <= (node.returnType || node.body).range[0]));
 
-                        return fixer.replaceText(fixTarget, replacement);
+                // A const is not hoisted: calls above the declaration would throw
+                const variable = sourceCode.getDeclaredVariables(node).find((v) => v.name === name);
+                const isUsedBeforeDeclaration = variable && variable.references.some(({ identifier }) => identifier.range[0] < node.range[0]
+                    && identifier.parent.type !== "ExportSpecifier");
+
+                // TypeScript overload signatures declare the same name again
+                const hasOverloads = variable && variable.defs.length > 1;
+
+                const argumentsVariable = sourceCode.scopeManager.acquire(node).set.get("arguments");
+                const usesArguments = argumentsVariable && argumentsVariable.references.length > 0;
+
+                const canFix = !hasHeaderComments
+                    && !isUsedBeforeDeclaration
+                    && !hasOverloads
+                    && !usesArguments
+                    && !usesOwnThisHandler(node);
+
+                context.report({
+                    data: {
+                        asyncPrefix,
+                        name,
+                        paramsText,
+                        returnType,
+                        typeParams,
                     },
-                    message: `Expected a function expression. Use \`const ${name} = ${typeParams}${asyncPrefix}(${paramsText})${returnType} => ...\` instead.`,
+                    fix: canFix
+                        ? (fixer) => {
+                            // For arrow functions with generics: const fn = <T,>(param: T) => ...
+                            const declaration = `const ${name} = ${typeParams}${asyncPrefix}(${paramsSourceText})${returnType} => ${bodyText};`;
+
+                            // "export default const" is not valid, so the default export follows the declaration
+                            const replacement = isDefaultExported
+                                ? `${declaration}\n\nexport default ${name};`
+                                : `${exportPrefix}${declaration}`;
+
+                            return fixer.replaceText(fixTarget, replacement);
+                        }
+                        : null,
+                    messageId: "expectedFunctionExpressionConst",
                     node: node.id,
                 });
             },
@@ -201,6 +269,9 @@ const functionDeclarationStyle = {
     meta: {
         docs: { description: "Enforce arrow function expressions instead of function declarations" },
         fixable: "code",
+        messages: {
+            expectedFunctionExpressionConst: "Expected a function expression. Use `const {{name}} = {{typeParams}}{{asyncPrefix}}({{paramsText}}){{returnType}} => ...` instead.",
+        },
         schema: [],
         type: "suggestion",
     },
@@ -216,6 +287,19 @@ const functionDeclarationStyle = {
  *   starting with a verb, and ending with "Handler" suffix.
  *   Auto-fixes PascalCase functions to camelCase.
  *   Auto-fixes handleXxx to xxxHandler (avoids "handleClickHandler").
+ *   Exported functions are only renamed through editor suggestions
+ *   (importers in other files would break), and names missing a
+ *   verb get "get/set/fetch" candidates as suggestions.
+ *
+ * Options:
+ *   { verbPrefixes: ["get", "set"] } - Replace the verb list entirely
+ *   { extendVerbPrefixes: ["hydrate"] } - Add verbs to the default list
+ *   { handlerSuffix: "always" } - Where the "Handler" suffix is required:
+ *     "always", "never", or "insideComponents" (functions declared inside
+ *     React components and methods of class components)
+ *   { eventHandlerStyle: "suffix" } - "suffix" renames handleClick to
+ *     clickHandler where the suffix is required; "prefix" keeps handleClick
+ *     and renames xxxHandler functions passed to JSX on* props to handleXxx
  *
  * ✓ Good:
  *   function getUserDataHandler() {}
@@ -228,9 +312,25 @@ const functionDeclarationStyle = {
  *   function handleClick() {}    // → clickHandler (not handleClickHandler)
  *   function getUserData() {}    // → getUserDataHandler
  *   const FetchStatus = () => {} // → fetchStatusHandler
+ *
+ * ✓ Good (with handlerSuffix: "insideComponents", eventHandlerStyle: "prefix"):
+ *   const formatPrice = (price) => price.toFixed(2);
+ *   const Form = () => {
+ *       const handleSubmit = () => {};
+ *       const resetFieldsHandler = () => {};
+ *       return <form onSubmit={handleSubmit} />;
+ *   };
+ *
+ * ✗ Bad (with eventHandlerStyle: "prefix"):
+ *   const submitHandler = () => {};  // → handleSubmit
+ *   <form onSubmit={submitHandler} />
  */
 const functionNamingConvention = {
     create(context) {
+        const options = context.options[0] || {};
+        const handlerSuffix = options.handlerSuffix || "always";
+        const eventHandlerStyle = options.eventHandlerStyle || "suffix";
+
         const componentNameRegex = /^[A-Z][a-zA-Z0-9]*$/;
 
         const handlerRegex = /Handler$/;
@@ -239,7 +339,7 @@ const functionNamingConvention = {
 
         // Comprehensive list of English verbs commonly used in function names
         // Organized by category for maintainability
-        const verbPrefixes = [
+        const defaultVerbPrefixes = [
             // CRUD & Data operations
             "get", "set", "fetch", "load", "save", "create", "update", "delete", "remove", "add",
             "insert", "append", "prepend", "push", "pop", "shift", "unshift", "put", "patch",
@@ -314,6 +414,11 @@ const functionNamingConvention = {
             "join", "combine", "concatenate", "unite", "attach", "detach", "bind", "unbind",
         ];
 
+        const verbPrefixes = options.verbPrefixes || [
+            ...defaultVerbPrefixes,
+            ...(options.extendVerbPrefixes || []),
+        ];
+
         const startsWithVerbHandler = (name) => verbPrefixes.some((verb) => name.startsWith(verb));
 
         // Case-insensitive check for verb prefix (to catch PascalCase like "GetForStatus")
@@ -369,6 +474,105 @@ const functionNamingConvention = {
             return containsJsxHandler(node.body);
         };
 
+        // Verbs offered when a name has no verb prefix (the fix is a guess, so it is only suggested)
+        const preferredVerbs = ["get", "set", "fetch"].filter((verb) => verbPrefixes.includes(verb));
+        const suggestedVerbs = preferredVerbs.length > 0 ? preferredVerbs : verbPrefixes.slice(0, 3);
+
+        // Build "verb + name + Handler" rename suggestions: userData -> getUserDataHandler
+        // (the suffix is kept off where it is not required: userData -> getUserData)
+        const buildVerbSuggestionsHandler = (name, isSuffixRequired, createFixHandler) => {
+            const baseName = isSuffixRequired ? name.replace(handlerRegex, "") : name;
+
+            return suggestedVerbs.map((verb) => {
+                const suggestedName = `${verb}${baseName[0].toUpperCase()}${baseName.slice(1)}${isSuffixRequired ? "Handler" : ""}`;
+
+                return {
+                    data: { suggestedName },
+                    fix: createFixHandler(suggestedName),
+                    messageId: "renameTo",
+                };
+            });
+        };
+
+        // Rename a function at its definition and every reference in the file
+        const createRenameFixHandler = (node, identifierNode, name, newName) => (fixer) => {
+            const variable = findVariable(getNodeScope(context, node), name);
+
+            if (!variable) return fixer.replaceText(identifierNode, newName);
+
+            return renameVariableFixes(fixer, variable, newName);
+        };
+
+        // Exported functions are imported by other files, so their rename is suggested instead of auto-fixed
+        const getRenameFixOrSuggestHandler = (node, identifierNode, name, newName) => {
+            const fix = createRenameFixHandler(node, identifierNode, name, newName);
+
+            if (!isExportedVariable(findVariable(getNodeScope(context, node), name))) return { fix };
+
+            return {
+                suggest: [{
+                    data: { suggestedName: newName },
+                    fix,
+                    messageId: "renameTo",
+                }],
+            };
+        };
+
+        // Name a function is declared under: function x() {}, const x = () => {}, const X = memo(() => {})
+        const getDeclaredNameHandler = (node) => {
+            if (node.type === "FunctionDeclaration") return node.id ? node.id.name : null;
+
+            let current = node.parent;
+
+            while (current && current.type === "CallExpression") current = current.parent;
+
+            return current && current.type === "VariableDeclarator" && current.id.type === "Identifier" ? current.id.name : null;
+        };
+
+        // Check if a node sits inside a React function component or a class component
+        const isInsideComponentHandler = (node) => {
+            for (let current = node.parent; current; current = current.parent) {
+                const isFunction = current.type === "ArrowFunctionExpression"
+                    || current.type === "FunctionDeclaration"
+                    || current.type === "FunctionExpression";
+
+                if (isFunction && isReactComponentHandler(current, getDeclaredNameHandler(current))) return true;
+
+                if ((current.type === "ClassDeclaration" || current.type === "ClassExpression") && current.superClass) {
+                    const { superClass } = current;
+                    const superName = superClass.type === "MemberExpression" ? superClass.property.name : superClass.name;
+
+                    if (superName === "Component" || superName === "PureComponent") return true;
+                }
+            }
+
+            return false;
+        };
+
+        const isSuffixRequiredHandler = (node) => {
+            if (handlerSuffix === "never") return false;
+
+            if (handlerSuffix === "insideComponents") return isInsideComponentHandler(node);
+
+            return true;
+        };
+
+        // Check if a function variable is passed to a JSX event prop: <button onClick={clickHandler} />
+        const isJsxEventHandlerHandler = (node, name) => {
+            const variable = findVariable(getNodeScope(context, node), name);
+
+            if (!variable) return false;
+
+            return variable.references.some(({ identifier }) => {
+                const container = identifier.parent;
+
+                return container.type === "JSXExpressionContainer"
+                    && container.parent.type === "JSXAttribute"
+                    && container.parent.name.type === "JSXIdentifier"
+                    && /^on[A-Z]/.test(container.parent.name.name);
+            });
+        };
+
         const checkFunctionHandler = (node) => {
             let name = null;
             let identifierNode = null;
@@ -416,36 +620,18 @@ const functionNamingConvention = {
             if (/^[A-Z]/.test(name)) {
                 // If starts with a verb (case-insensitive), it should be camelCase
                 if (startsWithVerbCaseInsensitiveHandler(name)) {
-                    const camelCaseName = toCamelCaseHandler(name);
-                    const identifierNode = node.id || node.parent.id;
+                    // Add a missing Handler suffix in the same rename: GetUserData -> getUserDataHandler
+                    const isSuffixMissing = !endsWithHandler(name) && isSuffixRequiredHandler(node);
+                    const camelCaseName = `${toCamelCaseHandler(name)}${isSuffixMissing ? "Handler" : ""}`;
 
                     context.report({
-                        fix(fixer) {
-                            const scope = context.sourceCode
-                                ? context.sourceCode.getScope(node)
-                                : context.getScope();
-
-                            const variable = scope.variables.find((v) => v.name === name)
-                                || (scope.upper && scope.upper.variables.find((v) => v.name === name));
-
-                            if (!variable) return fixer.replaceText(identifierNode, camelCaseName);
-
-                            const fixes = [];
-                            const fixedRanges = new Set();
-
-                            variable.references.forEach((ref) => {
-                                const rangeKey = `${ref.identifier.range[0]}-${ref.identifier.range[1]}`;
-
-                                if (!fixedRanges.has(rangeKey)) {
-                                    fixedRanges.add(rangeKey);
-                                    fixes.push(fixer.replaceText(ref.identifier, camelCaseName));
-                                }
-                            });
-
-                            return fixes;
+                        data: {
+                            camelCaseName,
+                            name,
                         },
-                        message: `Function "${name}" should be camelCase. Use "${camelCaseName}" instead of "${name}"`,
-                        node: node.id || node.parent.id,
+                        ...getRenameFixOrSuggestHandler(node, identifierNode, name, camelCaseName),
+                        messageId: "notCamelCase",
+                        node: identifierNode,
                     });
                 }
 
@@ -456,107 +642,140 @@ const functionNamingConvention = {
             const hasVerbPrefix = startsWithVerbHandler(name);
             const hasHandlerSuffix = endsWithHandler(name);
             const startsWithHandle = /^handle[A-Z]/.test(name);
+            const isSuffixRequired = isSuffixRequiredHandler(node);
+
+            if (eventHandlerStyle === "prefix") {
+                // handleXxx is the event handler name itself
+                if (startsWithHandle) return;
+
+                // xxxHandler passed to a JSX event prop -> handleXxx
+                if (hasHandlerSuffix && name !== "Handler" && isJsxEventHandlerHandler(node, name)) {
+                    const baseName = name.replace(handlerRegex, "");
+                    const newName = `handle${baseName[0].toUpperCase()}${baseName.slice(1)}`;
+
+                    context.report({
+                        data: {
+                            name,
+                            newName,
+                        },
+                        ...getRenameFixOrSuggestHandler(node, identifierNode, name, newName),
+                        messageId: "handlerSuffixToPrefix",
+                        node: identifierNode,
+                    });
+                    return;
+                }
+            }
 
             // Special case: handleXxx -> xxxHandler (to avoid handleClickHandler)
             if (startsWithHandle && !hasHandlerSuffix) {
-                const identifierNode = node.id || node.parent.id;
+                // Where no suffix is required, handleXxx already names an event handler
+                if (!isSuffixRequired) return;
+
                 // Remove "handle" prefix and add "Handler" suffix: handleClick -> clickHandler
                 const baseName = name.slice(6); // Remove "handle"
                 const newName = baseName[0].toLowerCase() + baseName.slice(1) + "Handler";
 
                 context.report({
-                    fix(fixer) {
-                        const scope = context.sourceCode
-                            ? context.sourceCode.getScope(node)
-                            : context.getScope();
-
-                        const variable = scope.variables.find((v) => v.name === name)
-                            || (scope.upper && scope.upper.variables.find((v) => v.name === name));
-
-                        if (!variable) return fixer.replaceText(identifierNode, newName);
-
-                        const fixes = [];
-                        const fixedRanges = new Set();
-
-                        const addFixHandler = (nodeToFix) => {
-                            const rangeKey = `${nodeToFix.range[0]}-${nodeToFix.range[1]}`;
-
-                            if (!fixedRanges.has(rangeKey)) {
-                                fixedRanges.add(rangeKey);
-                                fixes.push(fixer.replaceText(nodeToFix, newName));
-                            }
-                        };
-
-                        variable.defs.forEach((def) => {
-                            addFixHandler(def.name);
-                        });
-
-                        variable.references.forEach((ref) => {
-                            addFixHandler(ref.identifier);
-                        });
-
-                        return fixes;
+                    data: {
+                        name,
+                        newName,
                     },
-                    message: `Function "${name}" should be "${newName}" (handleXxx → xxxHandler to avoid redundant "handleXxxHandler")`,
+                    ...getRenameFixOrSuggestHandler(node, identifierNode, name, newName),
+                    messageId: "handlePrefixToSuffix",
                     node: identifierNode,
                 });
                 return;
             }
 
-            if (!hasVerbPrefix && !hasHandlerSuffix) {
+            if (!hasVerbPrefix && !hasHandlerSuffix && isSuffixRequired) {
                 context.report({
-                    message: `Function "${name}" should start with a verb (get, set, fetch, etc.) AND end with "Handler" (e.g., getDataHandler, clickHandler)`,
+                    data: { name },
+                    messageId: "missingVerbAndHandlerSuffix",
                     node: identifierNode,
+                    suggest: buildVerbSuggestionsHandler(name, isSuffixRequired, (suggestedName) => createRenameFixHandler(node, identifierNode, name, suggestedName)),
                 });
             } else if (!hasVerbPrefix) {
                 context.report({
-                    message: `Function "${name}" should start with a verb (get, set, fetch, handle, click, submit, etc.)`,
+                    data: { name },
+                    messageId: "notVerbPrefixed",
                     node: identifierNode,
+                    suggest: buildVerbSuggestionsHandler(name, isSuffixRequired, (suggestedName) => createRenameFixHandler(node, identifierNode, name, suggestedName)),
                 });
-            } else if (!hasHandlerSuffix) {
+            } else if (!hasHandlerSuffix && isSuffixRequired) {
                 const newName = `${name}Handler`;
 
                 context.report({
-                    fix(fixer) {
-                        const scope = context.sourceCode
-                            ? context.sourceCode.getScope(node)
-                            : context.getScope();
+                    data: {
+                        name,
+                        newName,
+                    },
+                    ...getRenameFixOrSuggestHandler(node, identifierNode, name, newName),
+                    messageId: "missingHandlerSuffix",
+                    node: identifierNode,
+                });
+            }
+        };
 
-                        // Find all references to this variable in the scope
-                        const variable = scope.variables.find((v) => v.name === name)
-                            || (scope.upper && scope.upper.variables.find((v) => v.name === name));
+        // Rename a class method at its definition and its this.method / super.method usages
+        const createMethodRenameFixHandler = (node, name, newName) => (fixer) => {
+            const { key } = node;
 
-                        if (!variable) return fixer.replaceText(identifierNode, newName);
+            // For class methods, we need to find all references manually
+            // This is simpler than functions since class methods are typically accessed via this.methodName
+            const fixes = [fixer.replaceText(key, newName)];
 
-                        const fixes = [];
-                        const fixedRanges = new Set();
+            // Find all references to this method in the class body
+            const classBody = node.parent;
+
+            if (classBody && classBody.type === "ClassBody") {
+                // Find usages like this.methodName or super.methodName
+                const classNode = classBody.parent;
+
+                if (classNode) {
+                    const visited = new Set();
 
-                        // Helper to add fix only if not already fixed (avoid overlapping fixes)
-                        const addFixHandler = (nodeToFix) => {
-                            const rangeKey = `${nodeToFix.range[0]}-${nodeToFix.range[1]}`;
+                    const searchPatternHandler = (n) => {
+                        // Avoid circular references and already visited nodes
+                        if (!n || typeof n !== "object" || visited.has(n)) return;
 
-                            if (!fixedRanges.has(rangeKey)) {
-                                fixedRanges.add(rangeKey);
-                                fixes.push(fixer.replaceText(nodeToFix, newName));
+                        visited.add(n);
+
+                        if (n.type === "MemberExpression" &&
+                            n.property &&
+                            n.property.type === "Identifier" &&
+                            n.property.name === name &&
+                            n.object &&
+                            (n.object.type === "ThisExpression" || n.object.type === "Super")) {
+                            // Don't fix the definition itself
+                            if (n.property !== key) {
+                                fixes.push(fixer.replaceText(n.property, newName));
                             }
-                        };
+                        }
 
-                        // Fix the definition
-                        variable.defs.forEach((def) => {
-                            addFixHandler(def.name);
-                        });
+                        // Recursively search only AST child properties (skip parent, tokens, etc.)
+                        const childKeys = ["body", "declarations", "expression", "left", "right",
+                            "callee", "arguments", "object", "property", "consequent", "alternate",
+                            "test", "init", "update", "params", "elements", "properties", "value",
+                            "key", "argument", "block", "handler", "finalizer", "cases"];
 
-                        // Fix all references
-                        variable.references.forEach((ref) => {
-                            addFixHandler(ref.identifier);
-                        });
+                        for (const childKey of childKeys) {
+                            const child = n[childKey];
 
-                        return fixes;
-                    },
-                    message: `Function "${name}" should end with "Handler" suffix (e.g., ${newName})`,
-                    node: identifierNode,
-                });
+                            if (child) {
+                                if (Array.isArray(child)) {
+                                    child.forEach((item) => searchPatternHandler(item));
+                                } else {
+                                    searchPatternHandler(child);
+                                }
+                            }
+                        }
+                    };
+
+                    searchPatternHandler(classNode);
+                }
             }
+
+            return fixes;
         };
 
         // Check class methods (MethodDefinition)
@@ -590,82 +809,37 @@ const functionNamingConvention = {
             const nextjsReservedExports = ["generateMetadata", "generateStaticParams", "generateViewport", "generateSitemaps", "generateImageMetadata", "GET", "POST", "PUT", "DELETE", "PATCH", "HEAD", "OPTIONS"];
             if (nextjsReservedExports.includes(name)) return;
 
+            // handleXxx methods follow the prefix style
+            if (eventHandlerStyle === "prefix" && /^handle[A-Z]/.test(name)) return;
+
             const hasVerbPrefix = startsWithVerbHandler(name);
             const hasHandlerSuffix = endsWithHandler(name);
+            const isSuffixRequired = isSuffixRequiredHandler(node);
 
-            if (!hasVerbPrefix && !hasHandlerSuffix) {
+            if (!hasVerbPrefix && !hasHandlerSuffix && isSuffixRequired) {
                 context.report({
-                    message: `Method "${name}" should start with a verb (get, set, fetch, handle, etc.) AND end with "Handler" (e.g., getDataHandler, handleClickHandler)`,
+                    data: { name },
+                    messageId: "methodMissingVerbAndHandlerSuffix",
                     node: key,
+                    suggest: buildVerbSuggestionsHandler(name, isSuffixRequired, (suggestedName) => createMethodRenameFixHandler(node, name, suggestedName)),
                 });
             } else if (!hasVerbPrefix) {
                 context.report({
-                    message: `Method "${name}" should start with a verb (get, set, fetch, handle, click, submit, etc.)`,
+                    data: { name },
+                    messageId: "methodNotVerbPrefixed",
                     node: key,
+                    suggest: buildVerbSuggestionsHandler(name, isSuffixRequired, (suggestedName) => createMethodRenameFixHandler(node, name, suggestedName)),
                 });
-            } else if (!hasHandlerSuffix) {
+            } else if (!hasHandlerSuffix && isSuffixRequired) {
                 const newName = `${name}Handler`;
 
                 context.report({
-                    fix(fixer) {
-                        // For class methods, we need to find all references manually
-                        // This is simpler than functions since class methods are typically accessed via this.methodName
-                        const fixes = [fixer.replaceText(key, newName)];
-
-                        // Find all references to this method in the class body
-                        const classBody = node.parent;
-
-                        if (classBody && classBody.type === "ClassBody") {
-                            // Find usages like this.methodName or super.methodName
-                            const classNode = classBody.parent;
-
-                            if (classNode) {
-                                const visited = new Set();
-
-                                const searchPatternHandler = (n) => {
-                                    // Avoid circular references and already visited nodes
-                                    if (!n || typeof n !== "object" || visited.has(n)) return;
-
-                                    visited.add(n);
-
-                                    if (n.type === "MemberExpression" &&
-                                        n.property &&
-                                        n.property.type === "Identifier" &&
-                                        n.property.name === name &&
-                                        n.object &&
-                                        (n.object.type === "ThisExpression" || n.object.type === "Super")) {
-                                        // Don't fix the definition itself
-                                        if (n.property !== key) {
-                                            fixes.push(fixer.replaceText(n.property, newName));
-                                        }
-                                    }
-
-                                    // Recursively search only AST child properties (skip parent, tokens, etc.)
-                                    const childKeys = ["body", "declarations", "expression", "left", "right",
-                                        "callee", "arguments", "object", "property", "consequent", "alternate",
-                                        "test", "init", "update", "params", "elements", "properties", "value",
-                                        "key", "argument", "block", "handler", "finalizer", "cases"];
-
-                                    for (const childKey of childKeys) {
-                                        const child = n[childKey];
-
-                                        if (child) {
-                                            if (Array.isArray(child)) {
-                                                child.forEach((item) => searchPatternHandler(item));
-                                            } else {
-                                                searchPatternHandler(child);
-                                            }
-                                        }
-                                    }
-                                };
-
-                                searchPatternHandler(classNode);
-                            }
-                        }
-
-                        return fixes;
+                    data: {
+                        name,
+                        newName,
                     },
-                    message: `Method "${name}" should end with "Handler" suffix (e.g., ${newName})`,
+                    fix: createMethodRenameFixHandler(node, name, newName),
+                    messageId: "methodMissingHandlerSuffix",
                     node: key,
                 });
             }
@@ -684,6 +858,8 @@ const functionNamingConvention = {
             // Check if it's a hook call (starts with "use")
             if (!callee || callee.type !== "Identifier" || !hookRegex.test(callee.name)) return;
 
+            if (!isSuffixRequiredHandler(node)) return;
+
             // Action verbs that are clearly function names (not noun-like)
             // These are verbs that when used alone as a name, clearly indicate an action/function
             const actionVerbs = [
@@ -740,6 +916,10 @@ const functionNamingConvention = {
                 const suggestedName = localName + "Handler";
 
                 context.report({
+                    data: {
+                        localName,
+                        suggestedName,
+                    },
                     fix(fixer) {
                         const fixes = [];
                         const sourceCode = context.sourceCode || context.getSourceCode();
@@ -792,7 +972,7 @@ const functionNamingConvention = {
 
                         return fixes;
                     },
-                    message: `Function "${localName}" destructured from hook should end with "Handler" suffix. Use "${suggestedName}" instead`,
+                    messageId: "destructuredMissingHandlerSuffix",
                     node: valueNode,
                 });
             });
@@ -809,7 +989,48 @@ const functionNamingConvention = {
     meta: {
         docs: { description: "Enforce function and method names to start with a verb AND end with Handler" },
         fixable: "code",
-        schema: [],
+        hasSuggestions: true,
+        messages: {
+            destructuredMissingHandlerSuffix: "Function \"{{localName}}\" destructured from hook should end with \"Handler\" suffix. Use \"{{suggestedName}}\" instead",
+            handlePrefixToSuffix: "Function \"{{name}}\" should be \"{{newName}}\" (handleXxx → xxxHandler to avoid redundant \"handleXxxHandler\")",
+            handlerSuffixToPrefix: "Event handler \"{{name}}\" should be \"{{newName}}\" (xxxHandler → handleXxx)",
+            methodMissingHandlerSuffix: "Method \"{{name}}\" should end with \"Handler\" suffix (e.g., {{newName}})",
+            methodMissingVerbAndHandlerSuffix: "Method \"{{name}}\" should start with a verb (get, set, fetch, handle, etc.) AND end with \"Handler\" (e.g., getDataHandler, handleClickHandler)",
+            methodNotVerbPrefixed: "Method \"{{name}}\" should start with a verb (get, set, fetch, handle, click, submit, etc.)",
+            missingHandlerSuffix: "Function \"{{name}}\" should end with \"Handler\" suffix (e.g., {{newName}})",
+            missingVerbAndHandlerSuffix: "Function \"{{name}}\" should start with a verb (get, set, fetch, etc.) AND end with \"Handler\" (e.g., getDataHandler, clickHandler)",
+            notCamelCase: "Function \"{{name}}\" should be camelCase. Use \"{{camelCaseName}}\" instead of \"{{name}}\"",
+            notVerbPrefixed: "Function \"{{name}}\" should start with a verb (get, set, fetch, handle, click, submit, etc.)",
+            renameTo: "Rename to \"{{suggestedName}}\"",
+        },
+        schema: [
+            {
+                additionalProperties: false,
+                properties: {
+                    eventHandlerStyle: {
+                        description: "\"suffix\" for xxxHandler event handlers, \"prefix\" for handleXxx",
+                        enum: ["prefix", "suffix"],
+                        type: "string",
+                    },
+                    extendVerbPrefixes: {
+                        description: "Verbs added to the default list",
+                        items: { type: "string" },
+                        type: "array",
+                    },
+                    handlerSuffix: {
+                        description: "Where the \"Handler\" suffix is required",
+                        enum: ["always", "insideComponents", "never"],
+                        type: "string",
+                    },
+                    verbPrefixes: {
+                        description: "Verbs a function name may start with (replaces the default list)",
+                        items: { type: "string" },
+                        type: "array",
+                    },
+                },
+                type: "object",
+            },
+        ],
         type: "suggestion",
     },
 };
@@ -1039,7 +1260,7 @@ const functionParamsPerLine = {
                             [openBrace.range[1], properties[0].range[0]],
                             "\n" + propIndent,
                         ),
-                        message: "First destructured property should be on its own line when complex destructuring",
+                        messageId: "firstDestructuredPropertyOwn",
                         node: properties[0],
                     });
                 }
@@ -1064,7 +1285,7 @@ const functionParamsPerLine = {
                                 ",\n" + braceIndent,
                             );
                         },
-                        message: "Closing brace should be on its own line when complex destructuring",
+                        messageId: "closingBraceOwnLine",
                         node: closeBrace,
                     });
                 }
@@ -1085,7 +1306,7 @@ const functionParamsPerLine = {
                                 [commaToken.range[1], next.range[0]],
                                 "\n" + propIndent,
                             ),
-                            message: "Each destructured property should be on its own line when complex destructuring",
+                            messageId: "eachDestructuredPropertyOwn",
                             node: next,
                         });
                     }
@@ -1118,7 +1339,7 @@ const functionParamsPerLine = {
                             [openBracket.range[1], elements[0].range[0]],
                             "\n" + elemIndent,
                         ),
-                        message: "First destructured element should be on its own line when 2+ elements",
+                        messageId: "firstDestructuredElementOwn",
                         node: elements[0],
                     });
                 }
@@ -1129,7 +1350,7 @@ const functionParamsPerLine = {
                             [elements[elements.length - 1].range[1], closeBracket.range[0]],
                             ",\n" + bracketIndent,
                         ),
-                        message: "Closing bracket should be on its own line when 2+ elements",
+                        messageId: "closingBracketOwnLine",
                         node: closeBracket,
                     });
                 }
@@ -1149,7 +1370,7 @@ const functionParamsPerLine = {
                                 [commaToken.range[1], next.range[0]],
                                 "\n" + elemIndent,
                             ),
-                            message: "Each destructured element should be on its own line when 2+ elements",
+                            messageId: "eachDestructuredElementOwn",
                             node: next,
                         });
                     }
@@ -1212,7 +1433,7 @@ const functionParamsPerLine = {
                             [openParen.range[1], firstParam.range[0]],
                             "\n" + paramIndent,
                         ),
-                        message: "Callback arrow with 2+ params: first param should be on its own line",
+                        messageId: "callbackArrowParamsFirst",
                         node: firstParam,
                     });
                 }
@@ -1224,7 +1445,7 @@ const functionParamsPerLine = {
                             [lastParam.range[1], closeParen.range[0]],
                             ",\n" + parenIndent,
                         ),
-                        message: "Callback arrow with 2+ params: closing paren should be on its own line",
+                        messageId: "callbackArrowParamsClosing",
                         node: closeParen,
                     });
                 }
@@ -1245,7 +1466,7 @@ const functionParamsPerLine = {
                                 [commaToken.range[1], next.range[0]],
                                 "\n" + paramIndent,
                             ),
-                            message: "Callback arrow with 2+ params: each param should be on its own line",
+                            messageId: "callbackArrowParamsEach",
                             node: next,
                         });
                     }
@@ -1274,9 +1495,7 @@ const functionParamsPerLine = {
                             [openParen.range[1], closeParen.range[0]],
                             paramsText,
                         ),
-                        message: isMultiLine
-                            ? "Function parameters should be on same line when 2 or fewer without complex destructuring"
-                            : "Missing space after comma between parameters",
+                        messageId: isMultiLine ? "functionParametersSameLine" : "missingSpaceAfterComma",
                         node,
                     });
                 }
@@ -1297,7 +1516,7 @@ const functionParamsPerLine = {
                         [openParen.range[1], firstParam.range[0]],
                         "\n" + paramIndent,
                     ),
-                    message: "First parameter should be on its own line when more than 2 parameters or has destructuring",
+                    messageId: "firstParameterOwnLine",
                     node: firstParam,
                 });
             }
@@ -1309,7 +1528,7 @@ const functionParamsPerLine = {
                         [lastParam.range[1], closeParen.range[0]],
                         ",\n" + parenIndent,
                     ),
-                    message: "Closing parenthesis should be on its own line when more than 2 parameters or has destructuring",
+                    messageId: "closingParenthesisOwnLine",
                     node: closeParen,
                 });
             }
@@ -1329,7 +1548,7 @@ const functionParamsPerLine = {
                             [commaToken.range[1], next.range[0]],
                             "\n" + paramIndent,
                         ),
-                        message: "Each parameter should be on its own line when more than 2 parameters or has destructuring",
+                        messageId: "eachParameterOwnLine",
                         node: next,
                     });
                 }
@@ -1352,6 +1571,22 @@ const functionParamsPerLine = {
     meta: {
         docs: { description: "Enforce function parameters on separate lines when more than 2" },
         fixable: "whitespace",
+        messages: {
+            callbackArrowParamsClosing: "Callback arrow with 2+ params: closing paren should be on its own line",
+            callbackArrowParamsEach: "Callback arrow with 2+ params: each param should be on its own line",
+            callbackArrowParamsFirst: "Callback arrow with 2+ params: first param should be on its own line",
+            closingBraceOwnLine: "Closing brace should be on its own line when complex destructuring",
+            closingBracketOwnLine: "Closing bracket should be on its own line when 2+ elements",
+            closingParenthesisOwnLine: "Closing parenthesis should be on its own line when more than 2 parameters or has destructuring",
+            eachDestructuredElementOwn: "Each destructured element should be on its own line when 2+ elements",
+            eachDestructuredPropertyOwn: "Each destructured property should be on its own line when complex destructuring",
+            eachParameterOwnLine: "Each parameter should be on its own line when more than 2 parameters or has destructuring",
+            firstDestructuredElementOwn: "First destructured element should be on its own line when 2+ elements",
+            firstDestructuredPropertyOwn: "First destructured property should be on its own line when complex destructuring",
+            firstParameterOwnLine: "First parameter should be on its own line when more than 2 parameters or has destructuring",
+            functionParametersSameLine: "Function parameters should be on same line when 2 or fewer without complex destructuring",
+            missingSpaceAfterComma: "Missing space after comma between parameters",
+        },
         schema: [],
         type: "layout",
     },
@@ -1414,7 +1649,10 @@ const noEmptyLinesInFunctionParams = {
             // Only check open/close paren spacing if params are wrapped in parentheses
             if (hasParenAroundParams) {
                 const openParen = tokenBeforeFirstParam;
-                const closeParen = sourceCode.getTokenAfter(lastParam);
+                // Skip a trailing comma: (a, b,) - the empty line sits between the comma and )
+                const tokenAfterLastParam = sourceCode.getTokenAfter(lastParam);
+                const lastParamEnd = tokenAfterLastParam && tokenAfterLastParam.value === "," ? tokenAfterLastParam : lastParam;
+                const closeParen = sourceCode.getTokenAfter(lastParamEnd);
 
                 // Verify closeParen is actually a ) right after lastParam AND within this function's range
                 if (closeParen && closeParen.value === ")" && closeParen.range[1] <= (node.body ? node.body.range[0] : node.range[1])) {
@@ -1424,18 +1662,18 @@ const noEmptyLinesInFunctionParams = {
                                 [openParen.range[1], firstParam.range[0]],
                                 "\n" + " ".repeat(firstParam.loc.start.column),
                             ),
-                            message: "No empty line after opening parenthesis in function parameters",
+                            messageId: "noEmptyLineAfter",
                             node: firstParam,
                         });
                     }
 
-                    if (closeParen.loc.start.line - lastParam.loc.end.line > 1) {
+                    if (closeParen.loc.start.line - lastParamEnd.loc.end.line > 1) {
                         context.report({
                             fix: (fixer) => fixer.replaceTextRange(
-                                [lastParam.range[1], closeParen.range[0]],
+                                [lastParamEnd.range[1], closeParen.range[0]],
                                 "\n" + " ".repeat(closeParen.loc.start.column),
                             ),
-                            message: "No empty line before closing parenthesis in function parameters",
+                            messageId: "noEmptyLineBefore",
                             node: lastParam,
                         });
                     }
@@ -1457,7 +1695,7 @@ const noEmptyLinesInFunctionParams = {
                             [commaToken.range[1], next.range[0]],
                             "\n" + " ".repeat(next.loc.start.column),
                         ),
-                        message: "No empty line between function parameters",
+                        messageId: "noEmptyLineBetween",
                         node: next,
                     });
                 }
@@ -1480,7 +1718,7 @@ const noEmptyLinesInFunctionParams = {
                                     [openBrace.range[1], firstProp.range[0]],
                                     "\n" + " ".repeat(firstProp.loc.start.column),
                                 ),
-                                message: "No empty line after opening brace in destructuring",
+                                messageId: "noEmptyLineAfterOpening",
                                 node: firstProp,
                             });
                         }
@@ -1497,7 +1735,7 @@ const noEmptyLinesInFunctionParams = {
                                     [lastProp.range[1], closeBrace.range[0]],
                                     "\n" + " ".repeat(closeBrace.loc.start.column),
                                 ),
-                                message: "No empty line before closing brace in destructuring",
+                                messageId: "noEmptyLineBeforeClosing",
                                 node: lastProp,
                             });
                         }
@@ -1517,7 +1755,7 @@ const noEmptyLinesInFunctionParams = {
                                         [commaToken.range[1], next.range[0]],
                                         "\n" + " ".repeat(next.loc.start.column),
                                     ),
-                                    message: "No empty lines between destructured properties",
+                                    messageId: "noEmptyLinesBetween",
                                     node: next,
                                 });
                             }
@@ -1545,7 +1783,7 @@ const noEmptyLinesInFunctionParams = {
                             [openBrace.range[1], firstMember.range[0]],
                             "\n" + " ".repeat(firstMember.loc.start.column),
                         ),
-                        message: "No empty line after opening brace in type definition",
+                        messageId: "noEmptyLineAfterOpeningBrace",
                         node: firstMember,
                     });
                 }
@@ -1562,7 +1800,7 @@ const noEmptyLinesInFunctionParams = {
                             [lastMember.range[1], closeBrace.range[0]],
                             "\n" + " ".repeat(closeBrace.loc.start.column),
                         ),
-                        message: "No empty line before closing brace in type definition",
+                        messageId: "noEmptyLineBeforeClosingBrace",
                         node: lastMember,
                     });
                 }
@@ -1579,7 +1817,7 @@ const noEmptyLinesInFunctionParams = {
                             [current.range[1], next.range[0]],
                             "\n" + " ".repeat(next.loc.start.column),
                         ),
-                        message: "No empty lines between type members",
+                        messageId: "noEmptyLinesBetweenType",
                         node: next,
                     });
                 }
@@ -1596,6 +1834,17 @@ const noEmptyLinesInFunctionParams = {
     meta: {
         docs: { description: "Disallow empty lines in function parameters and type definitions" },
         fixable: "whitespace",
+        messages: {
+            noEmptyLineAfter: "No empty line after opening parenthesis in function parameters",
+            noEmptyLineAfterOpening: "No empty line after opening brace in destructuring",
+            noEmptyLineAfterOpeningBrace: "No empty line after opening brace in type definition",
+            noEmptyLineBefore: "No empty line before closing parenthesis in function parameters",
+            noEmptyLineBeforeClosing: "No empty line before closing brace in destructuring",
+            noEmptyLineBeforeClosingBrace: "No empty line before closing brace in type definition",
+            noEmptyLineBetween: "No empty line between function parameters",
+            noEmptyLinesBetween: "No empty lines between destructured properties",
+            noEmptyLinesBetweenType: "No empty lines between type members",
+        },
         schema: [],
         type: "layout",
     },
@@ -1762,6 +2011,10 @@ const functionObjectDestructure = {
                         }
 
                         context.report({
+                            data: {
+                                propertyName: destructuredProps[0].key,
+                                sourceText,
+                            },
                             fix: scope
                                 ? (fixer) => {
                                     const fixes = [];
@@ -1813,7 +2066,7 @@ const functionObjectDestructure = {
                                     return fixes;
                                 }
                                 : undefined,
-                            message: `Do not destructure module imports. Use dot notation for searchability: "${sourceText}.${destructuredProps[0].key}" instead of destructuring`,
+                            messageId: "doNotDestructureModule",
                             node: decl.id,
                         });
                     }
@@ -2304,6 +2557,10 @@ const functionObjectDestructure = {
                         const canAutoFix = allRefs.length === accesses.length;
 
                         context.report({
+                            data: {
+                                accessedProps: accessedProps.join(", "),
+                                paramName,
+                            },
                             fix: canAutoFix
                                 ? (fixer) => {
                                     const fixes = [];
@@ -2319,7 +2576,7 @@ const functionObjectDestructure = {
                                     return fixes;
                                 }
                                 : undefined,
-                            message: `Parameter "${paramName}" is accessed via dot notation. For arrow functions with direct returns, destructure in the parameter: "({ ${accessedProps.join(", ")} })"`,
+                            messageId: "parameterAccessedViaDot",
                             node: accesses[0].node,
                         });
                     }
@@ -2346,7 +2603,7 @@ const functionObjectDestructure = {
 
                     if (!isArrayCallback) {
                         context.report({
-                            message: "Non-component functions should not destructure parameters in the signature. Use a typed parameter (e.g., \"data: InterfaceType\") and destructure in the function body instead.",
+                            messageId: "nonComponentFunctionsNot",
                             node: firstParam,
                         });
 
@@ -2376,6 +2633,7 @@ const functionObjectDestructure = {
                             && !firstParam.typeAnnotation;
 
                         context.report({
+                            data: { destructuredProps: result.destructuredProps.join(", ") },
                             fix: isSimpleCase
                                 ? (fixer) => {
                                     const fixes = [];
@@ -2394,7 +2652,7 @@ const functionObjectDestructure = {
                                     return fixes;
                                 }
                                 : undefined,
-                            message: `This function only destructures and returns. Convert to expression body with destructured param: "({ ${result.destructuredProps.join(", ")} }) => ..."`,
+                            messageId: "functionOnlyDestructuresReturns",
                             node: body,
                         });
 
@@ -2424,6 +2682,11 @@ const functionObjectDestructure = {
                                 const destructInfo = findDestructuringStatementHandler(body, varName, firstParam.name);
 
                                 context.report({
+                                    data: {
+                                        accessedProps: accessedProps.join(", "),
+                                        originalProp: info.originalProp,
+                                        varName,
+                                    },
                                     fix: destructInfo
                                         ? (fixer) => {
                                             const fixes = [];
@@ -2443,7 +2706,7 @@ const functionObjectDestructure = {
                                             return fixes;
                                         }
                                         : undefined,
-                                    message: `Variable "${varName}" is accessed via dot notation (${accessedProps.join(", ")}). Use nested destructuring instead: "const { ${info.originalProp}: { ${accessedProps.join(", ")} } } = ..."`,
+                                    messageId: "variableAccessedViaDot",
                                     node: accesses[0].node,
                                 });
                             }
@@ -2463,6 +2726,10 @@ const functionObjectDestructure = {
                     const accessedProps = [...new Set(accesses.map((a) => a.property))];
 
                     context.report({
+                        data: {
+                            accessedProps: accessedProps.join(", "),
+                            paramName,
+                        },
                         fix: (fixer) => {
                             const fixes = [];
 
@@ -2488,7 +2755,7 @@ const functionObjectDestructure = {
 
                             return fixes;
                         },
-                        message: `Parameter "${paramName}" is accessed via dot notation. Destructure it at the top of the function body: "const { ${accessedProps.join(", ")} } = ${paramName};"`,
+                        messageId: "parameterAccessedViaDotNotation",
                         node: accesses[0].node,
                     });
                 }
@@ -2513,6 +2780,10 @@ const functionObjectDestructure = {
                             const accessedProps = [...new Set(accesses.map((a) => a.property))];
 
                             context.report({
+                                data: {
+                                    accessedProps: accessedProps.join(", "),
+                                    propName,
+                                },
                                 fix: (fixer) => {
                                     const fixes = [];
 
@@ -2538,7 +2809,7 @@ const functionObjectDestructure = {
 
                                     return fixes;
                                 },
-                                message: `Prop "${propName}" is accessed via dot notation. Destructure it at the top of the component: "const { ${accessedProps.join(", ")} } = ${propName};"`,
+                                messageId: "propAccessedViaDot",
                                 node: accesses[0].node,
                             });
                         }
@@ -2558,6 +2829,15 @@ const functionObjectDestructure = {
     meta: {
         docs: { description: "Enforce object parameters to be destructured in function body, not accessed via dot notation. Also prevent destructuring of data imports." },
         fixable: "code",
+        messages: {
+            doNotDestructureModule: "Do not destructure module imports. Use dot notation for searchability: \"{{sourceText}}.{{propertyName}}\" instead of destructuring",
+            functionOnlyDestructuresReturns: "This function only destructures and returns. Convert to expression body with destructured param: \"({ {{destructuredProps}} }) => ...\"",
+            nonComponentFunctionsNot: "Non-component functions should not destructure parameters in the signature. Use a typed parameter (e.g., \"data: InterfaceType\") and destructure in the function body instead.",
+            parameterAccessedViaDot: "Parameter \"{{paramName}}\" is accessed via dot notation. For arrow functions with direct returns, destructure in the parameter: \"({ {{accessedProps}} })\"",
+            parameterAccessedViaDotNotation: "Parameter \"{{paramName}}\" is accessed via dot notation. Destructure it at the top of the function body: \"const { {{accessedProps}} } = {{paramName}};\"",
+            propAccessedViaDot: "Prop \"{{propName}}\" is accessed via dot notation. Destructure it at the top of the component: \"const { {{accessedProps}} } = {{propName}};\"",
+            variableAccessedViaDot: "Variable \"{{varName}}\" is accessed via dot notation ({{accessedProps}}). Use nested destructuring instead: \"const { {{originalProp}}: { {{accessedProps}} } } = ...\"",
+        },
         schema: [],
         type: "suggestion",
     },
@@ -1,3 +1,8 @@
+import { getCollapseFix } from "../utils/empty-lines.js";
+import { getLineIndent, getShiftedText } from "../utils/indent.js";
+import { findVariable, getNodeScope, renameVariableFixes } from "../utils/naming.js";
+import { getTypeServices, getValueKind } from "../utils/type-aware.js";
+
 /**
  * ───────────────────────────────────────────────────────────────
  * Rule: Hook Callback Format
@@ -46,17 +51,42 @@ const hookCallbackFormat = {
                 if (firstArg.type !== "ArrowFunctionExpression" && firstArg.type !== "FunctionExpression") return;
 
                 const openParen = sourceCode.getTokenAfter(callee);
+                const closeParen = sourceCode.getLastToken(node);
+
+                if (!openParen || openParen.value !== "(" || closeParen.value !== ")") return;
+
+                // Arguments go one level below the line the call starts on, ")" back at that line's indentation
+                const baseIndent = getLineIndent(sourceCode, openParen);
+                const argIndent = baseIndent + "    ";
+                const argTexts = args.map((arg) => getShiftedText(sourceCode, arg, argIndent.length - getLineIndent(sourceCode, arg).length));
+                const canRewriteArgs = !sourceCode.commentsExistBetween(openParen, closeParen) && !argTexts.includes(null);
+
+                // One fix laying out the callback, the dependency array and ")" on their own lines
+                const rewriteArgsHandler = (fixer) => fixer.replaceTextRange(
+                    [openParen.range[0], closeParen.range[1]],
+                    `(\n${argTexts.map((text) => `${argIndent}${text},`).join("\n")}\n${baseIndent})`,
+                );
 
-                if (!openParen || openParen.value !== "(") return;
+                // Without a dependency array only the callback moves down, keeping its shape
+                const moveCallbackHandler = (fixer) => fixer.replaceTextRange(
+                    [openParen.range[1], firstArg.range[1]],
+                    `\n${argIndent}${argTexts[0]}`,
+                );
 
                 // Check 1: Arrow function should start on new line after (
                 if (openParen.loc.end.line === firstArg.loc.start.line) {
+                    let callbackFix = null;
+
+                    if (canRewriteArgs && args.length >= 2) {
+                        callbackFix = rewriteArgsHandler;
+                    } else if (argTexts[0] !== null && !sourceCode.commentsExistBetween(openParen, firstArg)) {
+                        callbackFix = moveCallbackHandler;
+                    }
+
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [openParen.range[1], firstArg.range[0]],
-                            "\n        ",
-                        ),
-                        message: `${callee.name} callback should start on a new line after opening parenthesis`,
+                        data: { name: callee.name },
+                        fix: callbackFix,
+                        messageId: "callbackStartNewLine",
                         node: firstArg,
                     });
                 }
@@ -70,11 +100,11 @@ const hookCallbackFormat = {
                         // Deps array should be on new line after the comma
                         if (commaAfterFirst.loc.end.line === secondArg.loc.start.line) {
                             context.report({
-                                fix: (fixer) => fixer.replaceTextRange(
-                                    [commaAfterFirst.range[1], secondArg.range[0]],
-                                    "\n        ",
-                                ),
-                                message: `${callee.name} dependency array should be on a new line`,
+                                data: { name: callee.name },
+                                fix: canRewriteArgs
+                                    ? rewriteArgsHandler
+                                    : getCollapseFix(sourceCode, commaAfterFirst.range[1], secondArg.range[0], "\n" + argIndent),
+                                messageId: "dependencyArrayNewLine",
                                 node: secondArg,
                             });
                         }
@@ -82,39 +112,27 @@ const hookCallbackFormat = {
 
                     // Check 3: Closing paren should be on its own line after deps array
                     const lastArg = args[args.length - 1];
-                    let closeParen = sourceCode.getTokenAfter(lastArg);
-
-                    // Skip trailing comma
-                    if (closeParen && closeParen.value === ",") {
-                        closeParen = sourceCode.getTokenAfter(closeParen);
-                    }
 
-                    if (closeParen && closeParen.value === ")") {
-                        if (lastArg.loc.end.line === closeParen.loc.start.line) {
-                            // Get the token before closeParen to check for trailing comma
-                            const tokenBeforeClose = sourceCode.getTokenBefore(closeParen);
-                            const hasTrailingComma = tokenBeforeClose && tokenBeforeClose.value === ",";
-
-                            if (!hasTrailingComma) {
-                                context.report({
-                                    fix: (fixer) => fixer.replaceTextRange(
-                                        [lastArg.range[1], closeParen.range[0]],
-                                        ",\n    ",
-                                    ),
-                                    message: `${callee.name} closing parenthesis should be on a new line`,
-                                    node: closeParen,
-                                });
-                            } else {
-                                context.report({
-                                    fix: (fixer) => fixer.replaceTextRange(
-                                        [tokenBeforeClose.range[1], closeParen.range[0]],
-                                        "\n    ",
-                                    ),
-                                    message: `${callee.name} closing parenthesis should be on a new line`,
-                                    node: closeParen,
-                                });
-                            }
+                    if (lastArg.loc.end.line === closeParen.loc.start.line) {
+                        // Get the token before closeParen to check for trailing comma
+                        const tokenBeforeClose = sourceCode.getTokenBefore(closeParen);
+                        const hasTrailingComma = tokenBeforeClose.value === ",";
+                        let closeFix = null;
+
+                        if (canRewriteArgs) {
+                            closeFix = rewriteArgsHandler;
+                        } else if (hasTrailingComma) {
+                            closeFix = getCollapseFix(sourceCode, tokenBeforeClose.range[1], closeParen.range[0], "\n" + baseIndent);
+                        } else {
+                            closeFix = getCollapseFix(sourceCode, lastArg.range[1], closeParen.range[0], ",\n" + baseIndent);
                         }
+
+                        context.report({
+                            data: { name: callee.name },
+                            fix: closeFix,
+                            messageId: "closingParenthesisNewLine",
+                            node: closeParen,
+                        });
                     }
                 }
             },
@@ -123,6 +141,11 @@ const hookCallbackFormat = {
     meta: {
         docs: { description: "Enforce consistent formatting for React hooks (useEffect, useCallback, etc.)" },
         fixable: "whitespace",
+        messages: {
+            callbackStartNewLine: "{{name}} callback should start on a new line after opening parenthesis",
+            closingParenthesisNewLine: "{{name}} closing parenthesis should be on a new line",
+            dependencyArrayNewLine: "{{name}} dependency array should be on a new line",
+        },
         schema: [],
         type: "layout",
     },
@@ -188,6 +211,10 @@ const hookDepsPerLine = {
             const firstElement = elements[0];
             const lastElement = elements[elements.length - 1];
 
+            // Dependencies are rebuilt in one fix unless comments or holes would be lost
+            const canRebuild = !sourceCode.commentsExistBetween(openBracket, closeBracket)
+                && elements.length === depsArg.elements.length;
+
             // If maxDeps or fewer dependencies, they should be on the same line
             if (elements.length <= maxDeps) {
                 const isMultiLine = openBracket.loc.end.line !== closeBracket.loc.start.line;
@@ -196,11 +223,14 @@ const hookDepsPerLine = {
                     const elementsText = elements.map((el) => sourceCode.getText(el)).join(", ");
 
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [openBracket.range[1], closeBracket.range[0]],
-                            elementsText,
-                        ),
-                        message: `Hook dependencies with ≤${maxDeps} items should be single line: [dep1, dep2]. Multi-line only for >${maxDeps} dependencies`,
+                        data: { maxDeps },
+                        fix: canRebuild && !elementsText.includes("\n")
+                            ? (fixer) => fixer.replaceTextRange(
+                                [openBracket.range[1], closeBracket.range[0]],
+                                elementsText,
+                            )
+                            : null,
+                        messageId: "hookDependenciesItemsSingle",
                         node: depsArg,
                     });
                 }
@@ -208,28 +238,45 @@ const hookDepsPerLine = {
                 return;
             }
 
-            // More than maxDeps dependencies - each on its own line
-            const elementIndent = " ".repeat(openBracket.loc.start.column + 4);
-            const bracketIndent = " ".repeat(openBracket.loc.start.column);
+            // More than maxDeps dependencies - each on its own line, one level below the line
+            // the array opens on, with "]" back at that line's indentation
+            const bracketIndent = getLineIndent(sourceCode, openBracket);
+            const elementIndent = bracketIndent + "    ";
+            const elementTexts = elements.map((el) => getShiftedText(sourceCode, el, elementIndent.length - getLineIndent(sourceCode, el).length));
+            const canRewrite = canRebuild && !elementTexts.includes(null);
+
+            const rewriteElementsHandler = (fixer) => fixer.replaceTextRange(
+                [openBracket.range[0], closeBracket.range[1]],
+                `[\n${elementTexts.map((text) => `${elementIndent}${text},`).join("\n")}\n${bracketIndent}]`,
+            );
 
             if (openBracket.loc.end.line === firstElement.loc.start.line) {
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
-                        [openBracket.range[1], firstElement.range[0]],
-                        "\n" + elementIndent,
-                    ),
-                    message: `First dependency should be on its own line when more than ${maxDeps}`,
+                    data: { maxDeps },
+                    fix: canRewrite
+                        ? rewriteElementsHandler
+                        : getCollapseFix(sourceCode, openBracket.range[1], firstElement.range[0], "\n" + elementIndent),
+                    messageId: "firstDependencyOwnLine",
                     node: firstElement,
                 });
             }
 
             if (closeBracket.loc.start.line === lastElement.loc.end.line) {
+                const tokenBeforeClose = sourceCode.getTokenBefore(closeBracket);
+                let closeFix = null;
+
+                if (canRewrite) {
+                    closeFix = rewriteElementsHandler;
+                } else if (tokenBeforeClose.value === ",") {
+                    closeFix = getCollapseFix(sourceCode, tokenBeforeClose.range[1], closeBracket.range[0], "\n" + bracketIndent);
+                } else {
+                    closeFix = getCollapseFix(sourceCode, lastElement.range[1], closeBracket.range[0], ",\n" + bracketIndent);
+                }
+
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
-                        [lastElement.range[1], closeBracket.range[0]],
-                        ",\n" + bracketIndent,
-                    ),
-                    message: `Closing bracket should be on its own line when more than ${maxDeps} dependencies`,
+                    data: { maxDeps },
+                    fix: closeFix,
+                    messageId: "closingBracketOwnLine",
                     node: closeBracket,
                 });
             }
@@ -242,11 +289,11 @@ const hookDepsPerLine = {
                     const commaToken = sourceCode.getTokenAfter(current);
 
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [commaToken.range[1], next.range[0]],
-                            "\n" + elementIndent,
-                        ),
-                        message: `Each dependency should be on its own line when more than ${maxDeps}`,
+                        data: { maxDeps },
+                        fix: canRewrite
+                            ? rewriteElementsHandler
+                            : getCollapseFix(sourceCode, commaToken.range[1], next.range[0], "\n" + elementIndent),
+                        messageId: "eachDependencyOwnLine",
                         node: next,
                     });
                 }
@@ -258,6 +305,12 @@ const hookDepsPerLine = {
     meta: {
         docs: { description: "Enforce each hook dependency on its own line when exceeding threshold (default: >2)" },
         fixable: "whitespace",
+        messages: {
+            closingBracketOwnLine: "Closing bracket should be on its own line when more than {{maxDeps}} dependencies",
+            eachDependencyOwnLine: "Each dependency should be on its own line when more than {{maxDeps}}",
+            firstDependencyOwnLine: "First dependency should be on its own line when more than {{maxDeps}}",
+            hookDependenciesItemsSingle: "Hook dependencies with ≤{{maxDeps}} items should be single line: [dep1, dep2]. Multi-line only for >{{maxDeps}} dependencies",
+        },
         schema: [
             {
                 additionalProperties: false,
@@ -284,6 +337,16 @@ const hookDepsPerLine = {
  * Description:
  *   When useState holds a boolean value, the state variable name
  *   should start with a valid boolean prefix (is, has, with, without).
+ *   Auto-fixes to the inferred prefix; every configured prefix is also
+ *   offered as an editor suggestion (isLoading, hasLoading, ...).
+ *
+ * Options:
+ *   { typeAware: false } - Also detect boolean state by its resolved TypeScript type
+ *
+ * Type-aware mode:
+ *   With type information from @typescript-eslint/parser, state whose
+ *   resolved type is boolean is checked too: useState(() => checkAuth()),
+ *   useState(isMobile()), useState<Maybe<boolean>>(null).
  *
  * ✓ Good:
  *   const [isLoading, setIsLoading] = useState(false);
@@ -308,6 +371,7 @@ const useStateNamingConvention = {
 
         const allowPastVerbBoolean = options.allowPastVerbBoolean || false;
         const allowContinuousVerbBoolean = options.allowContinuousVerbBoolean || false;
+        const typeServices = options.typeAware ? getTypeServices(context) : null;
 
         // Pattern to check if name starts with valid boolean prefix followed by capital letter
         const booleanPrefixPattern = new RegExp(`^(${booleanPrefixes.join("|")})[A-Z]`);
@@ -335,6 +399,41 @@ const useStateNamingConvention = {
         // Convert setter name based on new state name
         const toSetterNameHandler = (stateName) => "set" + stateName[0].toUpperCase() + stateName.slice(1);
 
+        // Every configured prefix is a candidate name, the inferred one first: loading -> isLoading, hasLoading, ...
+        const getBooleanNameCandidatesHandler = (name) => {
+            const capitalizedName = name[0].toUpperCase() + name.slice(1);
+
+            return [...new Set([toBooleanNameHandler(name), ...booleanPrefixes.map((prefix) => prefix + capitalizedName)])];
+        };
+
+        // Rename the state variable and its setter (definitions and all usages)
+        const createRenameStateFixHandler = (node, newStateName) => (fixer) => {
+            const [stateElement, setterElement] = node.parent.id.elements;
+            const scope = getNodeScope(context, node);
+
+            // Rename a destructured element with its usages (only the element when it is not in scope)
+            const renameElementHandler = (element, newName) => {
+                const variable = findVariable(scope, element.name);
+
+                return variable ? renameVariableFixes(fixer, variable, newName) : [fixer.replaceText(element, newName)];
+            };
+
+            const fixes = renameElementHandler(stateElement, newStateName);
+
+            if (setterElement && setterElement.type === "Identifier") {
+                fixes.push(...renameElementHandler(setterElement, toSetterNameHandler(newStateName)));
+            }
+
+            return fixes;
+        };
+
+        // A new name already declared in reach of the hook call would collide with (or shadow) that declaration
+        const isNameTakenHandler = (node, newStateName) => {
+            const scope = getNodeScope(context, node);
+
+            return findVariable(scope, newStateName) !== null || findVariable(scope, toSetterNameHandler(newStateName)) !== null;
+        };
+
         // Check if name is a valid boolean state name
         const isValidBooleanNameHandler = (name) => {
             // Starts with valid prefix
@@ -393,7 +492,6 @@ const useStateNamingConvention = {
                 if (!arrayPattern.elements || arrayPattern.elements.length < 1) return;
 
                 const stateElement = arrayPattern.elements[0];
-                const setterElement = arrayPattern.elements[1];
 
                 if (!stateElement || stateElement.type !== "Identifier") return;
 
@@ -401,7 +499,8 @@ const useStateNamingConvention = {
 
                 // Check if this is a boolean useState
                 const isBooleanState = (node.arguments && node.arguments.length > 0 && isBooleanValueHandler(node.arguments[0]))
-                    || hasBooleanTypeAnnotationHandler(node);
+                    || hasBooleanTypeAnnotationHandler(node)
+                    || (typeServices !== null && getValueKind(typeServices, stateElement) === "boolean");
 
                 if (!isBooleanState) return;
 
@@ -409,76 +508,21 @@ const useStateNamingConvention = {
                 if (isValidBooleanNameHandler(stateName)) return;
 
                 const suggestedStateName = toBooleanNameHandler(stateName);
-                const suggestedSetterName = toSetterNameHandler(suggestedStateName);
 
                 context.report({
-                    fix(fixer) {
-                        const fixes = [];
-                        const scope = context.sourceCode
-                            ? context.sourceCode.getScope(node)
-                            : context.getScope();
-
-                        // Helper to find variable in scope
-                        const findVariableHandler = (s, name) => {
-                            const v = s.variables.find((variable) => variable.name === name);
-
-                            if (v) return v;
-                            if (s.upper) return findVariableHandler(s.upper, name);
-
-                            return null;
-                        };
-
-                        // Fix state variable
-                        const stateVar = findVariableHandler(scope, stateName);
-                        const stateFixedRanges = new Set();
-
-                        // Fix definition first
-                        const stateDefRangeKey = `${stateElement.range[0]}-${stateElement.range[1]}`;
-
-                        stateFixedRanges.add(stateDefRangeKey);
-                        fixes.push(fixer.replaceText(stateElement, suggestedStateName));
-
-                        // Fix all usages
-                        if (stateVar) {
-                            stateVar.references.forEach((ref) => {
-                                const rangeKey = `${ref.identifier.range[0]}-${ref.identifier.range[1]}`;
-
-                                if (!stateFixedRanges.has(rangeKey)) {
-                                    stateFixedRanges.add(rangeKey);
-                                    fixes.push(fixer.replaceText(ref.identifier, suggestedStateName));
-                                }
-                            });
-                        }
-
-                        // Fix setter if exists
-                        if (setterElement && setterElement.type === "Identifier") {
-                            const setterName = setterElement.name;
-                            const setterVar = findVariableHandler(scope, setterName);
-                            const setterFixedRanges = new Set();
-
-                            // Fix definition first
-                            const setterDefRangeKey = `${setterElement.range[0]}-${setterElement.range[1]}`;
-
-                            setterFixedRanges.add(setterDefRangeKey);
-                            fixes.push(fixer.replaceText(setterElement, suggestedSetterName));
-
-                            // Fix all usages
-                            if (setterVar) {
-                                setterVar.references.forEach((ref) => {
-                                    const rangeKey = `${ref.identifier.range[0]}-${ref.identifier.range[1]}`;
-
-                                    if (!setterFixedRanges.has(rangeKey)) {
-                                        setterFixedRanges.add(rangeKey);
-                                        fixes.push(fixer.replaceText(ref.identifier, suggestedSetterName));
-                                    }
-                                });
-                            }
-                        }
-
-                        return fixes;
+                    data: {
+                        booleanPrefixes: booleanPrefixes.join(", "),
+                        stateName,
+                        suggestedStateName,
                     },
-                    message: `Boolean state "${stateName}" should start with a valid prefix (${booleanPrefixes.join(", ")}). Use "${suggestedStateName}" instead.`,
+                    fix: isNameTakenHandler(node, suggestedStateName) ? null : createRenameStateFixHandler(node, suggestedStateName),
+                    messageId: "booleanStateStartValid",
                     node: stateElement,
+                    suggest: getBooleanNameCandidatesHandler(stateName).filter((candidateName) => !isNameTakenHandler(node, candidateName)).map((candidateName) => ({
+                        data: { suggestedName: candidateName },
+                        fix: createRenameStateFixHandler(node, candidateName),
+                        messageId: "renameTo",
+                    })),
                 });
             },
         };
@@ -486,6 +530,11 @@ const useStateNamingConvention = {
     meta: {
         docs: { description: "Enforce boolean useState variables to start with is/has/with/without prefix" },
         fixable: "code",
+        hasSuggestions: true,
+        messages: {
+            booleanStateStartValid: "Boolean state \"{{stateName}}\" should start with a valid prefix ({{booleanPrefixes}}). Use \"{{suggestedStateName}}\" instead.",
+            renameTo: "Rename to \"{{suggestedName}}\" (and its setter)",
+        },
         schema: [
             {
                 additionalProperties: false,
@@ -511,6 +560,11 @@ const useStateNamingConvention = {
                         items: { type: "string" },
                         type: "array",
                     },
+                    typeAware: {
+                        default: false,
+                        description: "Also detect boolean state by its resolved TypeScript type (needs type information)",
+                        type: "boolean",
+                    },
                 },
                 type: "object",
             },
@@ -595,7 +649,7 @@ const hookFileNamingConvention = {
         const isList = baseName.endsWith("-list");
 
         let expectedPattern;
-        let message;
+        let report;
 
         if (isList) {
             // List hooks: use-{chain}-{module-plural}-list
@@ -604,7 +658,7 @@ const hookFileNamingConvention = {
                 : `use-${modulePlural}-list`;
 
             if (baseName !== expectedPattern) {
-                message = `List hook file "${baseName}" should be named "${expectedPattern}". List hooks must follow the pattern: use-{chain}-{module-plural}-list.`;
+                report = { data: { baseName, expectedPattern }, messageId: "invalidListHookName" };
             }
         } else {
             // Verb hooks: use-{verb}-{chain}-{module-singular}
@@ -617,34 +671,46 @@ const hookFileNamingConvention = {
                     ? `use-{verb}-${chain}-${moduleSingular}`
                     : `use-{verb}-${moduleSingular}`;
 
-                message = `Hook file "${baseName}" should end with "${expectedSuffix}". Verb hooks must follow the pattern: ${exampleName}.`;
+                report = {
+                    data: {
+                        baseName,
+                        exampleName,
+                        expectedSuffix,
+                    },
+                    messageId: "invalidVerbHookSuffix",
+                };
             } else {
                 // Verify there's a verb word between "use-" and the suffix
                 const afterUse = baseName.slice(4); // Remove "use-"
                 const suffixWithoutDash = expectedSuffix.slice(1); // Remove leading "-"
-                const verbPart = afterUse.slice(0, afterUse.length - suffixWithoutDash.length - 1); // Remove suffix and its preceding dash
+                const verbPart = afterUse.slice(0, Math.max(0, afterUse.length - suffixWithoutDash.length - 1)); // Remove suffix and its preceding dash
 
                 if (!verbPart || verbPart.length === 0) {
                     const exampleName = chain
                         ? `use-{verb}-${chain}-${moduleSingular}`
                         : `use-{verb}-${moduleSingular}`;
 
-                    message = `Hook file "${baseName}" is missing a verb. Verb hooks must follow the pattern: ${exampleName}.`;
+                    report = { data: { baseName, exampleName }, messageId: "missingVerb" };
                 }
             }
         }
 
-        if (!message) return {};
+        if (!report) return {};
 
         return {
             Program(node) {
-                context.report({ message, node });
+                context.report({ ...report, node });
             },
         };
     },
     meta: {
         docs: { description: "Enforce naming conventions for hook files inside hooks/ module subfolders" },
         fixable: null,
+        messages: {
+            invalidListHookName: "List hook file \"{{baseName}}\" should be named \"{{expectedPattern}}\". List hooks must follow the pattern: use-{chain}-{module-plural}-list.",
+            invalidVerbHookSuffix: "Hook file \"{{baseName}}\" should end with \"{{expectedSuffix}}\". Verb hooks must follow the pattern: {{exampleName}}.",
+            missingVerb: "Hook file \"{{baseName}}\" is missing a verb. Verb hooks must follow the pattern: {{exampleName}}.",
+        },
         schema: [],
         type: "suggestion",
     },
@@ -688,47 +754,20 @@ const hookFunctionNamingConvention = {
         // Convert kebab-case file name to camelCase: use-create-super-admin → useCreateSuperAdmin
         const expectedName = baseName.split("-").map((segment, i) => (i === 0 ? segment : segment.charAt(0).toUpperCase() + segment.slice(1))).join("");
 
-        // Shared fix logic for renaming identifier and all references
-        const createRenameFixer = (node, name, identifierNode) => (fixer) => {
-            const scope = context.sourceCode
-                ? context.sourceCode.getScope(node)
-                : context.getScope();
-
-            const findVariableHandler = (s, varName) => {
-                const v = s.variables.find((variable) => variable.name === varName);
-
-                if (v) return v;
-                if (s.upper) return findVariableHandler(s.upper, varName);
-
-                return null;
-            };
-
-            const variable = findVariableHandler(scope, name);
+        // Rename the hook and every reference in the file; shorthand properties keep their key and
+        // "export { useName }" is renamed too. No fix when the new name is already taken where the
+        // hook or one of its references sits.
+        const createRenameFixer = (node, name, identifierNode) => {
+            const variable = findVariable(getNodeScope(context, node), name);
 
-            if (!variable) return fixer.replaceText(identifierNode, expectedName);
+            if (!variable) return (fixer) => fixer.replaceText(identifierNode, expectedName);
 
-            const fixes = [];
-            const fixedRanges = new Set();
+            const isTaken = findVariable(variable.scope, expectedName)
+                || variable.references.some((ref) => findVariable(ref.from, expectedName));
 
-            variable.defs.forEach((def) => {
-                const rangeKey = `${def.name.range[0]}-${def.name.range[1]}`;
+            if (isTaken) return null;
 
-                if (!fixedRanges.has(rangeKey)) {
-                    fixedRanges.add(rangeKey);
-                    fixes.push(fixer.replaceText(def.name, expectedName));
-                }
-            });
-
-            variable.references.forEach((ref) => {
-                const rangeKey = `${ref.identifier.range[0]}-${ref.identifier.range[1]}`;
-
-                if (!fixedRanges.has(rangeKey)) {
-                    fixedRanges.add(rangeKey);
-                    fixes.push(fixer.replaceText(ref.identifier, expectedName));
-                }
-            });
-
-            return fixes;
+            return (fixer) => renameVariableFixes(fixer, variable, expectedName, { keepExportedName: false });
         };
 
         // Check if name starts with "use" followed by uppercase letter (hook pattern)
@@ -766,8 +805,13 @@ const hookFunctionNamingConvention = {
 
             if (name !== expectedName) {
                 context.report({
+                    data: {
+                        baseName,
+                        expectedName,
+                        name,
+                    },
                     fix: createRenameFixer(node, name, identifierNode),
-                    message: `Hook function "${name}" should be named "${expectedName}" to match file name "${baseName}".`,
+                    messageId: "hookFunctionNamedMatch",
                     node: identifierNode,
                 });
             }
@@ -782,6 +826,9 @@ const hookFunctionNamingConvention = {
     meta: {
         docs: { description: "Enforce that exported hook function names match the camelCase of the file name" },
         fixable: "code",
+        messages: {
+            hookFunctionNamedMatch: "Hook function \"{{name}}\" should be named \"{{expectedName}}\" to match file name \"{{baseName}}\".",
+        },
         schema: [],
         type: "suggestion",
     },
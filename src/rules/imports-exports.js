@@ -1,5 +1,8 @@
-import fs from "fs";
 import nodePath from "path";
+import { getCollapseFix, hasEmptyLineBetween } from "../utils/empty-lines.js";
+import { pathExists, readDirectory } from "../utils/fs-cache.js";
+import { getLineIndent } from "../utils/indent.js";
+import { escapeRegExp, getFrameworkConventions, getSharedSettings } from "../utils/settings.js";
 
 /**
  * ───────────────────────────────────────────────────────────────
@@ -16,14 +19,17 @@ import nodePath from "path";
  *   through the index file.
  *
  * Options:
- *   - aliasPrefix: string (default: "@/") - Change path alias prefix if your project uses something other than @/ (e.g., ~/, src/)
+ *   - aliasPrefix: string (default: settings["code-style"].aliasPrefix or "@/") - Change path alias prefix if your project uses something other than @/ (e.g., ~/, src/)
  *   - extraAllowedFolders: string[] - Add custom folders that can be imported with @/folder. Extends defaults without replacing them
  *   - extraReduxSubfolders: string[] - Add Redux subfolders importable directly (@/selectors) or nested (@/redux/selectors). Default: actions, reducers, store, thunks, types
  *   - extraDeepImportFolders: string[] - Add folders where direct file imports are allowed (@/assets/images/logo.svg). Use for folders without index files. Default: assets
- *   - allowedFolders: string[] - Completely replace the default allowed folders list. Use only if you need full control
+ *   - allowedFolders: string[] - Completely replace the default allowed folders list (settings["code-style"].moduleFolders replaces the defaults too). Use only if you need full control
  *   - reduxSubfolders: string[] - Completely replace the default Redux subfolders list
  *   - deepImportFolders: string[] - Completely replace the default deep import folders list
  *
+ * Shared Settings (settings["code-style"], overridden by the options above):
+ *   - aliasPrefix, moduleFolders
+ *
  * ✓ Good:
  *   import { Button } from "@/components";
  *   import { useAuth } from "@/hooks";
@@ -45,9 +51,10 @@ import nodePath from "path";
 const absoluteImportsOnly = {
     create(context) {
         const options = context.options[0] || {};
+        const sharedSettings = getSharedSettings(context);
 
-        // Get the alias prefix from options or default to "@/"
-        const aliasPrefix = options.aliasPrefix || "@/";
+        // Get the alias prefix from options, then shared settings, then default to "@/"
+        const aliasPrefix = options.aliasPrefix || sharedSettings.aliasPrefix;
 
         // Default redux subfolders
         const defaultReduxSubfolders = ["actions", "reducers", "store", "thunks", "types"];
@@ -99,10 +106,10 @@ const absoluteImportsOnly = {
             "views",
         ];
 
-        // List of allowed top-level folders (can be configured via options)
+        // List of allowed top-level folders (can be configured via options or shared settings)
         // Use allowedFolders to replace entirely, or extraAllowedFolders to extend defaults
         const allowedFolders = options.allowedFolders
-            || [...defaultAllowedFolders, ...(options.extraAllowedFolders || [])];
+            || [...(sharedSettings.moduleFolders || defaultAllowedFolders), ...(options.extraAllowedFolders || [])];
 
         // Default folders that allow deep imports
         const defaultDeepImportFolders = ["assets"];
@@ -135,7 +142,7 @@ const absoluteImportsOnly = {
                 // e.g., data/app.js, data/auth/login/guest.tsx are both inside "data"
                 const getParentModuleFolderHandler = () => {
                     for (const folder of allowedFolders) {
-                        const pattern = new RegExp(`/(${folder})/`);
+                        const pattern = new RegExp(`/(${escapeRegExp(folder)})/`);
 
                         if (pattern.test(normalizedFilename)) return folder;
                     }
@@ -156,26 +163,21 @@ const absoluteImportsOnly = {
                     if (parentModuleFolder) return;
 
                     context.report({
-                        message: `Relative imports are not allowed. Use absolute imports with "${aliasPrefix}" prefix instead.`,
+                        data: { aliasPrefix },
+                        messageId: "relativeImportsNotAllowed",
                         node: node.source,
                     });
 
                     return;
                 }
 
-                // 2. Skip node_modules packages (bare imports without @ or starting with @scope/ but not @/)
-                // Examples: "react", "react-dom", "lodash"
-                if (!importPath.startsWith("@") && !importPath.startsWith(".")) {
-                    return; // Node modules package
-                }
-
-                // 3. Skip scoped packages from node_modules (e.g., @mui/material, @reduxjs/toolkit)
-                // These start with @ but NOT with the local alias prefix
-                if (importPath.startsWith("@") && !importPath.startsWith(aliasPrefix)) {
-                    return; // Scoped npm package
+                // 2. Skip node_modules packages — anything that is not the local alias
+                // Examples: "react", "lodash", "@mui/material", "@reduxjs/toolkit"
+                if (!importPath.startsWith(aliasPrefix)) {
+                    return; // Bare or scoped npm package
                 }
 
-                // 4. Check local alias imports (e.g., @/atoms, @/components)
+                // 3. Check local alias imports (e.g., @/atoms, @/components)
                 if (importPath.startsWith(aliasPrefix)) {
                     // Remove the alias prefix to get the path
                     const pathAfterAlias = importPath.slice(aliasPrefix.length);
@@ -186,7 +188,8 @@ const absoluteImportsOnly = {
                     // Must have at least one segment
                     if (segments.length === 0) {
                         context.report({
-                            message: `Invalid import path "${importPath}". Specify a folder to import from.`,
+                            data: { importPath },
+                            messageId: "invalidImportPathSpecify",
                             node: node.source,
                         });
 
@@ -199,7 +202,11 @@ const absoluteImportsOnly = {
                     // Check if it's an allowed folder
                     if (!allowedFolders.includes(folderName)) {
                         context.report({
-                            message: `Unknown folder "${folderName}" in import path. Allowed folders: ${allowedFolders.join(", ")}`,
+                            data: {
+                                allowedFolders: allowedFolders.join(", "),
+                                folderName,
+                            },
+                            messageId: "unknownFolderImportPath",
                             node: node.source,
                         });
 
@@ -222,7 +229,12 @@ const absoluteImportsOnly = {
                             if (!relativePath.startsWith(".")) relativePath = `./${relativePath}`;
 
                             context.report({
-                                message: `Files within "${parentModuleFolder}/" should use relative imports (e.g., "${relativePath}") instead of "${importPath}" to avoid circular dependencies.`,
+                                data: {
+                                    importPath,
+                                    parentModuleFolder,
+                                    relativePath,
+                                },
+                                messageId: "filesWithinRelativeImports",
                                 node: node.source,
                                 fix: (fixer) => fixer.replaceText(node.source, `"${relativePath}"`),
                             });
@@ -232,7 +244,11 @@ const absoluteImportsOnly = {
 
                         // Barrel import to own module (e.g., @/data from inside data/) — report only
                         context.report({
-                            message: `Files within "${parentModuleFolder}/" should use relative imports instead of "${importPath}" to avoid circular dependencies through the index file.`,
+                            data: {
+                                importPath,
+                                parentModuleFolder,
+                            },
+                            messageId: "filesWithinRelativeImportsAvoid",
                             node: node.source,
                         });
 
@@ -259,7 +275,11 @@ const absoluteImportsOnly = {
                             const suggestedImport = `${aliasPrefix}redux/${segments[1]}`;
 
                             context.report({
-                                message: `Deep imports are not allowed. Import from "${suggestedImport}" instead of "${importPath}". Export the module from the folder's index file.`,
+                                data: {
+                                    importPath,
+                                    suggestedImport,
+                                },
+                                messageId: "deepImportsNotAllowed",
                                 node: node.source,
                             });
 
@@ -275,8 +295,12 @@ const absoluteImportsOnly = {
                         const suggestedImport = `${aliasPrefix}${folderName}`;
 
                         context.report({
+                            data: {
+                                importPath,
+                                suggestedImport,
+                            },
                             fix: (fixer) => fixer.replaceText(node.source, `"${suggestedImport}"`),
-                            message: `Deep imports are not allowed. Import from "${suggestedImport}" instead of "${importPath}". Export the module from the folder's index file.`,
+                            messageId: "deepImportsNotAllowed",
                             node: node.source,
                         });
                     }
@@ -287,6 +311,14 @@ const absoluteImportsOnly = {
     meta: {
         docs: { description: "Enforce absolute imports from index files only for local paths, with relative imports required for files within the same module folder" },
         fixable: "code",
+        messages: {
+            deepImportsNotAllowed: "Deep imports are not allowed. Import from \"{{suggestedImport}}\" instead of \"{{importPath}}\". Export the module from the folder's index file.",
+            filesWithinRelativeImports: "Files within \"{{parentModuleFolder}}/\" should use relative imports (e.g., \"{{relativePath}}\") instead of \"{{importPath}}\" to avoid circular dependencies.",
+            filesWithinRelativeImportsAvoid: "Files within \"{{parentModuleFolder}}/\" should use relative imports instead of \"{{importPath}}\" to avoid circular dependencies through the index file.",
+            invalidImportPathSpecify: "Invalid import path \"{{importPath}}\". Specify a folder to import from.",
+            relativeImportsNotAllowed: "Relative imports are not allowed. Use absolute imports with \"{{aliasPrefix}}\" prefix instead.",
+            unknownFolderImportPath: "Unknown folder \"{{folderName}}\" in import path. Allowed folders: {{allowedFolders}}",
+        },
         schema: [
             {
                 additionalProperties: false,
@@ -372,11 +404,8 @@ const exportFormat = {
 
                 if (declarationFirstToken && exportToken.loc.end.line !== declarationFirstToken.loc.start.line) {
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [exportToken.range[1], declarationFirstToken.range[0]],
-                            " ",
-                        ),
-                        message: "Declaration keyword must be on the same line as 'export'",
+                        fix: getCollapseFix(sourceCode, exportToken.range[1], declarationFirstToken.range[0], " "),
+                        messageId: "declarationKeywordSameLine",
                         node: declarationFirstToken,
                     });
                 }
@@ -393,14 +422,13 @@ const exportFormat = {
 
             if (!openBrace || !closeBrace) return;
 
-            // Check if "export" and "{" are on different lines
+            // Check if "export" and "{" are on different lines ("export type {" keeps its keyword)
             if (exportToken.loc.end.line !== openBrace.loc.start.line) {
+                const tokenBeforeBrace = sourceCode.getTokenBefore(openBrace);
+
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
-                        [exportToken.range[1], openBrace.range[0]],
-                        " ",
-                    ),
-                    message: "Opening brace should be on the same line as 'export'",
+                    fix: getCollapseFix(sourceCode, tokenBeforeBrace.range[1], openBrace.range[0], " "),
+                    messageId: "openingBraceSameLine",
                     node: openBrace,
                 });
             }
@@ -409,37 +437,43 @@ const exportFormat = {
             const firstSpecifier = specifiers[0];
             const lastSpecifier = specifiers[specifiers.length - 1];
 
+            // Specifiers are rebuilt from their own text, keeping "type" modifiers, aliases and string names;
+            // comments between them would be lost, so those lists are reported without a fix
+            const specifierTexts = specifiers.map((specifier) => sourceCode.getText(specifier));
+            const canRebuild = !sourceCode.commentsExistBetween(openBrace, closeBrace);
+
             // Collapse to single line if specifiers <= maxSpecifiers
             if (specifiers.length <= maxSpecifiers) {
                 if (isMultiLine) {
-                    const specifiersText = specifiers.map((s) => {
-                        if (s.exported.name === s.local.name) return s.local.name;
-
-                        return `${s.local.name} as ${s.exported.name}`;
-                    }).join(", ");
-
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [openBrace.range[0], closeBrace.range[1]],
-                            `{ ${specifiersText} }`,
-                        ),
-                        message: `Exports with ≤${maxSpecifiers} specifiers should be single line: export { a, b, c }`,
+                        data: { maxSpecifiers },
+                        fix: canRebuild
+                            ? (fixer) => fixer.replaceTextRange(
+                                [openBrace.range[0], closeBrace.range[1]],
+                                `{ ${specifierTexts.join(", ")} }`,
+                            )
+                            : null,
+                        messageId: "exportsSpecifiersSingleLine",
                         node,
                     });
                 }
             } else {
-                // Expand to multiline if specifiers > maxSpecifiers
-                const baseIndent = " ".repeat(exportToken.loc.start.column);
+                // Expand to multiline if specifiers > maxSpecifiers, one level below the line of "export"
+                const baseIndent = getLineIndent(sourceCode, exportToken);
                 const specifierIndent = baseIndent + "    ";
 
+                // One fix laying out every specifier on its own line, followed by a comma
+                const rewriteSpecifiersHandler = (fixer) => fixer.replaceTextRange(
+                    [openBrace.range[0], closeBrace.range[1]],
+                    `{\n${specifierTexts.map((text) => `${specifierIndent}${text},`).join("\n")}\n${baseIndent}}`,
+                );
+
                 // Check if first specifier is on same line as opening brace
                 if (openBrace.loc.end.line === firstSpecifier.loc.start.line) {
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [openBrace.range[1], firstSpecifier.range[0]],
-                            "\n" + specifierIndent,
-                        ),
-                        message: `Exports with more than ${maxSpecifiers} specifiers should have first specifier on its own line`,
+                        data: { maxSpecifiers },
+                        fix: canRebuild ? rewriteSpecifiersHandler : null,
+                        messageId: "exportsMoreSpecifiersFirst",
                         node: firstSpecifier,
                     });
                 }
@@ -447,11 +481,9 @@ const exportFormat = {
                 // Check if closing brace is on same line as last specifier
                 if (closeBrace.loc.start.line === lastSpecifier.loc.end.line) {
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [lastSpecifier.range[1], closeBrace.range[0]],
-                            ",\n" + baseIndent,
-                        ),
-                        message: `Exports with more than ${maxSpecifiers} specifiers should have closing brace on its own line`,
+                        data: { maxSpecifiers },
+                        fix: canRebuild ? rewriteSpecifiersHandler : null,
+                        messageId: "exportsMoreSpecifiersClosing",
                         node: closeBrace,
                     });
                 }
@@ -462,14 +494,10 @@ const exportFormat = {
                     const next = specifiers[i + 1];
 
                     if (current.loc.end.line === next.loc.start.line) {
-                        const commaToken = sourceCode.getTokenAfter(current, (t) => t.value === ",");
-
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [commaToken.range[1], next.range[0]],
-                                "\n" + specifierIndent,
-                            ),
-                            message: `Each export specifier should be on its own line when more than ${maxSpecifiers} specifiers`,
+                            data: { maxSpecifiers },
+                            fix: canRebuild ? rewriteSpecifiersHandler : null,
+                            messageId: "eachExportSpecifierOwn",
                             node: next,
                         });
                     }
@@ -482,6 +510,14 @@ const exportFormat = {
     meta: {
         docs: { description: "Format exports: export { on same line, collapse/expand specifiers based on count threshold" },
         fixable: "code",
+        messages: {
+            declarationKeywordSameLine: "Declaration keyword must be on the same line as 'export'",
+            eachExportSpecifierOwn: "Each export specifier should be on its own line when more than {{maxSpecifiers}} specifiers",
+            exportsMoreSpecifiersClosing: "Exports with more than {{maxSpecifiers}} specifiers should have closing brace on its own line",
+            exportsMoreSpecifiersFirst: "Exports with more than {{maxSpecifiers}} specifiers should have first specifier on its own line",
+            exportsSpecifiersSingleLine: "Exports with ≤{{maxSpecifiers}} specifiers should be single line: export { a, b, c }",
+            openingBraceSameLine: "Opening brace should be on the same line as 'export'",
+        },
         schema: [
             {
                 additionalProperties: false,
@@ -550,15 +586,14 @@ const importFormat = {
                 const fromToken = sourceCode.getTokenBefore(node.source, (t) => t.value === "from");
 
                 if (fromToken && importToken.loc.start.line !== node.source.loc.end.line) {
-                    const defaultName = defaultSpecifier.local.name;
-                    const sourcePath = node.source.raw;
+                    // Lines are joined as written, so "import type" and import attributes are kept
+                    const joinedText = sourceCode.getText(node).replace(/\s*\n\s*/g, " ");
 
                     context.report({
-                        fix: (fixer) => fixer.replaceText(
-                            node,
-                            `import ${defaultName} from ${sourcePath};`,
-                        ),
-                        message: "Default import should be on a single line",
+                        fix: sourceCode.getCommentsInside(node).length > 0
+                            ? null
+                            : (fixer) => fixer.replaceText(node, joinedText),
+                        messageId: "defaultImportSingleLine",
                         node,
                     });
                 }
@@ -575,14 +610,13 @@ const importFormat = {
 
             if (!openBrace || !closeBrace || !fromToken) return;
 
-            // Check if "import" and "{" are on different lines
+            // Check if "import" and "{" are on different lines ("import type {" keeps its keyword)
             if (importToken.loc.end.line !== openBrace.loc.start.line) {
+                const tokenBeforeBrace = sourceCode.getTokenBefore(openBrace);
+
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
-                        [importToken.range[1], openBrace.range[0]],
-                        " ",
-                    ),
-                    message: "Opening brace should be on the same line as 'import'",
+                    fix: getCollapseFix(sourceCode, tokenBeforeBrace.range[1], openBrace.range[0], " "),
+                    messageId: "openingBraceSameLine",
                     node: openBrace,
                 });
             }
@@ -590,11 +624,8 @@ const importFormat = {
             // Check if "}" and "from" are on different lines
             if (closeBrace.loc.end.line !== fromToken.loc.start.line) {
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
-                        [closeBrace.range[1], fromToken.range[0]],
-                        " ",
-                    ),
-                    message: "Closing brace should be on the same line as 'from'",
+                    fix: getCollapseFix(sourceCode, closeBrace.range[1], fromToken.range[0], " "),
+                    messageId: "closingBraceSameLine",
                     node: fromToken,
                 });
             }
@@ -603,37 +634,43 @@ const importFormat = {
             const firstSpecifier = namedSpecifiers[0];
             const lastSpecifier = namedSpecifiers[namedSpecifiers.length - 1];
 
+            // Specifiers are rebuilt from their own text, keeping "type" modifiers, aliases and string names;
+            // comments between them would be lost, so those lists are reported without a fix
+            const specifierTexts = namedSpecifiers.map((specifier) => sourceCode.getText(specifier));
+            const canRebuild = !sourceCode.commentsExistBetween(openBrace, closeBrace);
+
             // Collapse to single line if specifiers <= maxSpecifiers
             if (namedSpecifiers.length <= maxSpecifiers) {
                 if (isMultiLine) {
-                    const specifiersText = namedSpecifiers.map((s) => {
-                        if (s.imported.name === s.local.name) return s.local.name;
-
-                        return `${s.imported.name} as ${s.local.name}`;
-                    }).join(", ");
-
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [openBrace.range[0], closeBrace.range[1]],
-                            `{ ${specifiersText} }`,
-                        ),
-                        message: `Imports with ≤${maxSpecifiers} specifiers should be single line: import { a, b, c } from "module"`,
+                        data: { maxSpecifiers },
+                        fix: canRebuild
+                            ? (fixer) => fixer.replaceTextRange(
+                                [openBrace.range[0], closeBrace.range[1]],
+                                `{ ${specifierTexts.join(", ")} }`,
+                            )
+                            : null,
+                        messageId: "importsSpecifiersSingleLine",
                         node,
                     });
                 }
             } else {
-                // Expand to multiline if specifiers > maxSpecifiers
-                const baseIndent = " ".repeat(importToken.loc.start.column);
+                // Expand to multiline if specifiers > maxSpecifiers, one level below the line of "import"
+                const baseIndent = getLineIndent(sourceCode, importToken);
                 const specifierIndent = baseIndent + "    ";
 
+                // One fix laying out every specifier on its own line, followed by a comma
+                const rewriteSpecifiersHandler = (fixer) => fixer.replaceTextRange(
+                    [openBrace.range[0], closeBrace.range[1]],
+                    `{\n${specifierTexts.map((text) => `${specifierIndent}${text},`).join("\n")}\n${baseIndent}}`,
+                );
+
                 // Check if first specifier is on same line as opening brace
                 if (openBrace.loc.end.line === firstSpecifier.loc.start.line) {
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [openBrace.range[1], firstSpecifier.range[0]],
-                            "\n" + specifierIndent,
-                        ),
-                        message: `Imports with more than ${maxSpecifiers} specifiers should have first specifier on its own line`,
+                        data: { maxSpecifiers },
+                        fix: canRebuild ? rewriteSpecifiersHandler : null,
+                        messageId: "importsMoreSpecifiersFirst",
                         node: firstSpecifier,
                     });
                 }
@@ -641,11 +678,9 @@ const importFormat = {
                 // Check if closing brace is on same line as last specifier
                 if (closeBrace.loc.start.line === lastSpecifier.loc.end.line) {
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [lastSpecifier.range[1], closeBrace.range[0]],
-                            ",\n" + baseIndent,
-                        ),
-                        message: `Imports with more than ${maxSpecifiers} specifiers should have closing brace on its own line`,
+                        data: { maxSpecifiers },
+                        fix: canRebuild ? rewriteSpecifiersHandler : null,
+                        messageId: "importsMoreSpecifiersClosing",
                         node: closeBrace,
                     });
                 }
@@ -656,14 +691,10 @@ const importFormat = {
                     const next = namedSpecifiers[i + 1];
 
                     if (current.loc.end.line === next.loc.start.line) {
-                        const commaToken = sourceCode.getTokenAfter(current, (t) => t.value === ",");
-
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [commaToken.range[1], next.range[0]],
-                                "\n" + specifierIndent,
-                            ),
-                            message: `Each import specifier should be on its own line when more than ${maxSpecifiers} specifiers`,
+                            data: { maxSpecifiers },
+                            fix: canRebuild ? rewriteSpecifiersHandler : null,
+                            messageId: "eachImportSpecifierOwn",
                             node: next,
                         });
                     }
@@ -676,6 +707,15 @@ const importFormat = {
     meta: {
         docs: { description: "Format imports: import { on same line, } from on same line, collapse/expand specifiers based on count threshold" },
         fixable: "code",
+        messages: {
+            closingBraceSameLine: "Closing brace should be on the same line as 'from'",
+            defaultImportSingleLine: "Default import should be on a single line",
+            eachImportSpecifierOwn: "Each import specifier should be on its own line when more than {{maxSpecifiers}} specifiers",
+            importsMoreSpecifiersClosing: "Imports with more than {{maxSpecifiers}} specifiers should have closing brace on its own line",
+            importsMoreSpecifiersFirst: "Imports with more than {{maxSpecifiers}} specifiers should have first specifier on its own line",
+            importsSpecifiersSingleLine: "Imports with ≤{{maxSpecifiers}} specifiers should be single line: import { a, b, c } from \"module\"",
+            openingBraceSameLine: "Opening brace should be on the same line as 'import'",
+        },
         schema: [
             {
                 additionalProperties: false,
@@ -701,38 +741,53 @@ const importFormat = {
  *
  * Description:
  *   No spaces inside import path quotes. The module path should
- *   not have leading or trailing whitespace.
+ *   not have leading or trailing whitespace. Re-export sources and
+ *   dynamic import() paths are checked too.
  *
  * ✓ Good:
  *   import { Button } from "@mui/material";
+ *   export * from "./button";
  *
  * ✗ Bad:
  *   import { Button } from " @mui/material ";
+ *   const Page = lazy(() => import(" ./page "));
  */
 const importSourceSpacing = {
     create(context) {
-        return {
-            ImportDeclaration(node) {
-                const { source } = node;
+        const checkSourceHandler = (node) => {
+            const { source } = node;
 
-                if (source.type !== "Literal" || typeof source.value !== "string") return;
+            if (!source || source.type !== "Literal" || typeof source.value !== "string") return;
 
-                const sourceValue = source.value;
-                const trimmed = sourceValue.trim();
+            const sourceValue = source.value;
+            const trimmed = sourceValue.trim();
 
-                if (sourceValue !== trimmed && trimmed.length > 0) {
-                    context.report({
-                        fix: (fixer) => fixer.replaceText(source, `"${trimmed}"`),
-                        message: `Import path should not have extra spaces inside quotes: "${trimmed}" not "${sourceValue}"`,
-                        node: source,
-                    });
-                }
-            },
+            if (sourceValue !== trimmed && trimmed.length > 0) {
+                context.report({
+                    data: {
+                        sourceValue,
+                        trimmed,
+                    },
+                    fix: (fixer) => fixer.replaceText(source, `${source.raw[0]}${trimmed}${source.raw[0]}`),
+                    messageId: "importPathNotExtra",
+                    node: source,
+                });
+            }
+        };
+
+        return {
+            ExportAllDeclaration: checkSourceHandler,
+            ExportNamedDeclaration: checkSourceHandler,
+            ImportDeclaration: checkSourceHandler,
+            ImportExpression: checkSourceHandler,
         };
     },
     meta: {
         docs: { description: "Enforce no extra spaces inside import path quotes" },
         fixable: "code",
+        messages: {
+            importPathNotExtra: "Import path should not have extra spaces inside quotes: \"{{trimmed}}\" not \"{{sourceValue}}\"",
+        },
         schema: [],
         type: "layout",
     },
@@ -752,10 +807,13 @@ const importSourceSpacing = {
  *   - extraModuleFolders: string[] - Add folders that should have an index.js re-exporting all public files. Use for project-specific folders like features/, modules/
  *   - extraLazyLoadFolders: string[] - Add folders exempt from index file requirements. Use for route/page components loaded via dynamic import(). Default: pages, views
  *   - extraIgnorePatterns: string[] - Add file patterns to skip when checking for index exports. Supports wildcards like *.stories.js, *.mock.js
- *   - moduleFolders: string[] - Completely replace the default module folders list. Use only if you need full control
+ *   - moduleFolders: string[] - Completely replace the default module folders list (settings["code-style"].moduleFolders replaces the defaults too). Use only if you need full control
  *   - lazyLoadFolders: string[] - Completely replace the default lazy load folders list
  *   - ignorePatterns: string[] - Completely replace the default ignore patterns list
  *
+ * Shared Settings (settings["code-style"], overridden by the options above):
+ *   - srcRoot, moduleFolders, framework (reserved route files are skipped)
+ *
  * ✓ Good:
  *   // index.js
  *   export { Button } from "./Button";
@@ -776,12 +834,12 @@ const moduleIndexExports = {
         const filename = context.filename || context.getFilename();
         const normalizedFilename = filename.replace(/\\/g, "/");
 
-        // Skip Next.js reserved filenames — these are NOT module index files
-        const nextjsReservedFiles = ["page", "layout", "loading", "error", "not-found", "template", "default", "route", "middleware", "global-error", "instrumentation"];
-        const fileBaseName = normalizedFilename.split("/").pop().replace(/\.(jsx?|tsx?)$/, "");
-        if (nextjsReservedFiles.includes(fileBaseName)) return {};
+        const sharedSettings = getSharedSettings(context);
 
-        const srcPath = nodePath.resolve(filename, "../../..").replace(/\\/g, "/");
+        // Skip framework reserved filenames (Next.js page/layout, Remix root, ...) — these are NOT module index files
+        const { reservedFiles } = getFrameworkConventions(sharedSettings.framework);
+        const fileBaseName = normalizedFilename.split("/").pop().replace(/\.(jsx?|tsx?)$/, "");
+        if (reservedFiles.includes(fileBaseName)) return {};
 
         // Get options or use defaults
         const options = context.options[0] || {};
@@ -827,10 +885,13 @@ const moduleIndexExports = {
             "views",
         ];
 
-        // List of module folders (can be configured via options)
+        // List of module folders (can be configured via options or shared settings)
         // Use moduleFolders to replace entirely, or extraModuleFolders to extend defaults
         const moduleFolders = options.moduleFolders
-            || [...defaultModuleFolders, ...(options.extraModuleFolders || [])];
+            || [...(sharedSettings.moduleFolders || defaultModuleFolders), ...(options.extraModuleFolders || [])];
+
+        // Source root the module folders live in (e.g., src/components)
+        const srcRootPattern = escapeRegExp(sharedSettings.srcRoot);
 
         // Default lazy load folders
         const defaultLazyLoadFolders = ["pages", "views"];
@@ -938,33 +999,14 @@ const moduleIndexExports = {
         };
 
         const checkIndexFileExportsHandler = (programNode, dirPath, folderName) => {
-            // Get all items in the directory
-            let items;
-
-            try {
-                items = fs.readdirSync(dirPath);
-            } catch {
-                return;
-            }
+            // Get all items in the directory (cached across linted files)
+            const entries = readDirectory(dirPath);
 
-            // Filter out ignored items
-            const moduleItems = items.filter((item) => {
-                if (shouldIgnoreHandler(item)) return false;
+            if (!entries) return;
 
-                const itemPath = nodePath.join(dirPath, item);
-
-                try {
-                    const stat = fs.statSync(itemPath);
-
-                    // Include directories and JS/JSX files
-                    if (stat.isDirectory()) return true;
-                    if (/\.(js|jsx|ts|tsx)$/.test(item)) return true;
-                } catch {
-                    return false;
-                }
-
-                return false;
-            });
+            // Filter out ignored items, keep directories and JS/JSX files
+            const moduleItems = entries.filter((entry) => !shouldIgnoreHandler(entry.name)
+                && (entry.isDirectory || (entry.isFile && /\.(js|jsx|ts|tsx)$/.test(entry.name))));
 
             if (moduleItems.length === 0) return;
 
@@ -972,10 +1014,8 @@ const moduleIndexExports = {
             const exportedSources = getExportedSourcesHandler(programNode);
 
             // Check each module item
-            moduleItems.forEach((item) => {
+            moduleItems.forEach(({ isDirectory, name: item }) => {
                 const itemName = normalizeModuleNameHandler(item);
-                const itemPath = nodePath.join(dirPath, item);
-                const isDirectory = fs.statSync(itemPath).isDirectory();
 
                 // Check if this item or any deep path from it is exported
                 const isExported = Array.from(exportedSources).some((source) => {
@@ -1005,7 +1045,12 @@ const moduleIndexExports = {
 
                 if (!isExported) {
                     context.report({
-                        message: `Module "${item}" in "${folderName}" folder is not exported from index file. Add: export * from "./${itemName}"; or export { ... } from "./${itemName}";`,
+                        data: {
+                            folderName,
+                            item,
+                            itemName,
+                        },
+                        messageId: "moduleFolderNotExported",
                         node: programNode,
                     });
                 }
@@ -1018,7 +1063,7 @@ const moduleIndexExports = {
                 const normalizedFilename = filename.replace(/\\/g, "/");
 
                 // Check if this is an index file in a module folder
-                const indexMatch = normalizedFilename.match(/\/src\/([^/]+)\/index\.(js|jsx|ts|tsx)$/);
+                const indexMatch = normalizedFilename.match(new RegExp(`/${srcRootPattern}/([^/]+)/index\\.(js|jsx|ts|tsx)$`));
 
                 if (indexMatch) {
                     const folderName = indexMatch[1];
@@ -1039,7 +1084,7 @@ const moduleIndexExports = {
 
                 // Check if this file is in a module folder but NOT the index file
                 // to ensure the module folder HAS an index file
-                const moduleMatch = normalizedFilename.match(/\/src\/([^/]+)\/([^/]+)\.(js|jsx|ts|tsx)$/);
+                const moduleMatch = normalizedFilename.match(new RegExp(`/${srcRootPattern}/([^/]+)/([^/]+)\\.(js|jsx|ts|tsx)$`));
 
                 if (moduleMatch) {
                     const folderName = moduleMatch[1];
@@ -1047,19 +1092,14 @@ const moduleIndexExports = {
 
                     if (moduleFolders.includes(folderName) && fileName !== "index") {
                         const dirPath = nodePath.dirname(filename);
-                        const indexPathJs = nodePath.join(dirPath, "index.js");
-                        const indexPathJsx = nodePath.join(dirPath, "index.jsx");
-                        const indexPathTs = nodePath.join(dirPath, "index.ts");
-                        const indexPathTsx = nodePath.join(dirPath, "index.tsx");
 
-                        const hasIndexFile = fs.existsSync(indexPathJs)
-                            || fs.existsSync(indexPathJsx)
-                            || fs.existsSync(indexPathTs)
-                            || fs.existsSync(indexPathTsx);
+                        const hasIndexFile = ["index.js", "index.jsx", "index.ts", "index.tsx"]
+                            .some((indexFile) => pathExists(nodePath.join(dirPath, indexFile)));
 
                         if (!hasIndexFile) {
                             context.report({
-                                message: `Module folder "${folderName}" is missing an index file. Create an index file to export all modules.`,
+                                data: { folderName },
+                                messageId: "moduleFolderMissingIndex",
                                 node,
                             });
                         }
@@ -1067,7 +1107,7 @@ const moduleIndexExports = {
                 }
 
                 // Check for subfolder index files
-                const subfolderMatch = normalizedFilename.match(/\/src\/([^/]+)\/([^/]+)\/index\.(js|jsx|ts|tsx)$/);
+                const subfolderMatch = normalizedFilename.match(new RegExp(`/${srcRootPattern}/([^/]+)/([^/]+)/index\\.(js|jsx|ts|tsx)$`));
 
                 if (subfolderMatch) {
                     const parentFolder = subfolderMatch[1];
@@ -1091,6 +1131,10 @@ const moduleIndexExports = {
     },
     meta: {
         docs: { description: "Ensure module folders have index files that export all contents" },
+        messages: {
+            moduleFolderMissingIndex: "Module folder \"{{folderName}}\" is missing an index file. Create an index file to export all modules.",
+            moduleFolderNotExported: "Module \"{{item}}\" in \"{{folderName}}\" folder is not exported from index file. Add: export * from \"./{{itemName}}\"; or export { ... } from \"./{{itemName}}\";",
+        },
         schema: [
             {
                 additionalProperties: false,
@@ -1195,18 +1239,26 @@ const indexExportStyle = {
                     for (let i = 0; i < exports.length - 1; i += 1) {
                         const currentExport = exports[i];
                         const nextExport = exports[i + 1];
-                        const currentEndLine = currentExport.loc.end.line;
-                        const nextStartLine = nextExport.loc.start.line;
 
-                        if (nextStartLine - currentEndLine < 2) {
+                        // A comment line (such as the next export's JSDoc) does not count as the blank line
+                        if (!hasEmptyLineBetween(sourceCode, currentExport.range[1], nextExport.range[0])) {
+                            const isSameLine = currentExport.loc.end.line === nextExport.loc.start.line;
+
+                            // Insert the blank line after the line the export ends on, so a trailing comment stays there
+                            const insertBlankLineHandler = (fixer) => {
+                                const nextLineStart = sourceCode.getIndexFromLoc({
+                                    column: 0,
+                                    line: currentExport.loc.end.line + 1,
+                                });
+
+                                return fixer.insertTextBeforeRange([nextLineStart, nextLineStart], "\n");
+                            };
+
                             context.report({
-                                fix(fixer) {
-                                    return fixer.replaceTextRange(
-                                        [currentExport.range[1], nextExport.range[0]],
-                                        "\n\n",
-                                    );
-                                },
-                                message: "Require blank line between exports.",
+                                fix: isSameLine
+                                    ? getCollapseFix(sourceCode, currentExport.range[1], nextExport.range[0], "\n\n")
+                                    : insertBlankLineHandler,
+                                messageId: "requireBlankLineBetween",
                                 node: nextExport,
                             });
                         }
@@ -1217,6 +1269,16 @@ const indexExportStyle = {
 
         // For index files: enforce style and no blank lines
 
+        // Remove a statement together with the line break after it
+        const removeStatementHandler = (fixer, statement) => {
+            const hasLineBreakAfter = sourceCode.text[statement.range[1]] === "\n";
+
+            return fixer.removeRange([statement.range[0], statement.range[1] + (hasLineBreakAfter ? 1 : 0)]);
+        };
+
+        // Name as written in an import or export specifier (identifier or string literal)
+        const getSpecifierNameHandler = (nameNode) => sourceCode.getText(nameNode);
+
         return {
             Program(node) {
                 const imports = [];
@@ -1229,14 +1291,21 @@ const indexExportStyle = {
                     if (statement.type === "ImportDeclaration" && statement.source) {
                         imports.push(statement);
 
-                        // Map imported names to their source
+                        // Map local names to their source and the name they are imported under
+                        // ("default" for default imports, null for namespace imports)
                         statement.specifiers.forEach((spec) => {
-                            if (spec.local && spec.local.name) {
-                                importSourceMap.set(spec.local.name, {
-                                    source: statement.source.value,
-                                    statement,
-                                });
-                            }
+                            let importedName = null;
+
+                            if (spec.type === "ImportDefaultSpecifier") importedName = "default";
+
+                            if (spec.type === "ImportSpecifier") importedName = getSpecifierNameHandler(spec.imported);
+
+                            importSourceMap.set(spec.local.name, {
+                                importedName,
+                                isType: statement.importKind === "type" || spec.importKind === "type",
+                                source: statement.source.raw,
+                                statement,
+                            });
                         });
                     }
 
@@ -1260,7 +1329,8 @@ const indexExportStyle = {
 
                 if (hasShorthand && hasImportExport) {
                     context.report({
-                        message: `Mixed export styles detected. Use consistent "${preferredStyle}" style throughout the index file.`,
+                        data: { preferredStyle },
+                        messageId: "mixedExportStylesDetected",
                         node,
                     });
 
@@ -1275,58 +1345,69 @@ const indexExportStyle = {
 
                         standaloneExports.forEach((exportStmt) => {
                             exportStmt.specifiers.forEach((spec) => {
-                                const exportedName = spec.local ? spec.local.name : spec.exported.name;
-                                const importInfo = importSourceMap.get(exportedName);
+                                const importInfo = importSourceMap.get(spec.local.name);
 
                                 if (importInfo) {
                                     allSpecifiersToConvert.push({
-                                        exportStmt,
-                                        exportedName,
+                                        exportedName: getSpecifierNameHandler(spec.exported),
                                         importInfo,
-                                        localName: spec.local ? spec.local.name : exportedName,
-                                        spec,
+                                        isType: importInfo.isType || exportStmt.exportKind === "type" || spec.exportKind === "type",
                                     });
                                 }
                             });
                         });
 
+                        // The fix removes every import and standalone export, so it is only offered when each
+                        // export comes from an import and each import (no side-effect ones) is re-exported
+                        const exportedLocalNames = new Set(standaloneExports.flatMap((exportStmt) => exportStmt.specifiers.map((spec) => spec.local.name)));
+                        const canConvert = standaloneExports.every((exportStmt) => exportStmt.specifiers.every((spec) => importSourceMap.has(spec.local.name)))
+                            && imports.every((importStmt) => importStmt.specifiers.length > 0
+                                && importStmt.specifiers.every((spec) => exportedLocalNames.has(spec.local.name)));
+
                         if (allSpecifiersToConvert.length > 0) {
                             context.report({
-                                fix(fixer) {
+                                fix: canConvert ? (fixer) => {
                                     const fixes = [];
 
-                                    // Group specifiers by source
+                                    // Group specifiers by source; namespace imports become "export * as name"
                                     const bySource = new Map();
+                                    const namespaceExports = [];
 
-                                    allSpecifiersToConvert.forEach(({ exportedName, importInfo, localName }) => {
-                                        const source = importInfo.source;
+                                    allSpecifiersToConvert.forEach(({ exportedName, importInfo, isType }) => {
+                                        const { importedName, source } = importInfo;
+
+                                        if (importedName === null) {
+                                            namespaceExports.push(`export ${isType ? "type " : ""}* as ${exportedName} from ${source};`);
+
+                                            return;
+                                        }
 
                                         if (!bySource.has(source)) {
                                             bySource.set(source, []);
                                         }
 
-                                        if (exportedName === localName) {
-                                            bySource.get(source).push(exportedName);
-                                        } else {
-                                            bySource.get(source).push(`${localName} as ${exportedName}`);
-                                        }
+                                        const specifierText = importedName === exportedName ? exportedName : `${importedName} as ${exportedName}`;
+
+                                        bySource.get(source).push(`${isType ? "type " : ""}${specifierText}`);
                                     });
 
                                     // Create shorthand exports (no empty lines between them)
                                     const newExports = [];
 
                                     bySource.forEach((specifiers, source) => {
-                                        newExports.push(`export { ${specifiers.join(", ")} } from "${source}";`);
+                                        newExports.push(`export { ${specifiers.join(", ")} } from ${source};`);
                                     });
 
+                                    newExports.push(...namespaceExports);
+
                                     // Remove all standalone exports
                                     standaloneExports.forEach((exportStmt) => {
-                                        fixes.push(fixer.remove(exportStmt));
+                                        fixes.push(removeStatementHandler(fixer, exportStmt));
                                     });
 
                                     // Remove all imports
                                     imports.forEach((importStmt) => {
-                                        fixes.push(fixer.remove(importStmt));
+                                        fixes.push(removeStatementHandler(fixer, importStmt));
                                     });
 
                                     // Insert new shorthand exports at the beginning
@@ -1337,8 +1418,8 @@ const indexExportStyle = {
                                     }
 
                                     return fixes;
-                                },
-                                message: `Use shorthand export style: export { ... } from "source" instead of import then export.`,
+                                } : null,
+                                messageId: "shorthandExportStyleExport",
                                 node,
                             });
                         }
@@ -1348,24 +1429,11 @@ const indexExportStyle = {
                     for (let i = 0; i < shorthandExports.length - 1; i += 1) {
                         const currentExport = shorthandExports[i];
                         const nextExport = shorthandExports[i + 1];
-                        const currentEndLine = currentExport.loc.end.line;
-                        const nextStartLine = nextExport.loc.start.line;
 
-                        if (nextStartLine - currentEndLine > 1) {
+                        if (hasEmptyLineBetween(sourceCode, currentExport.range[1], nextExport.range[0])) {
                             context.report({
-                                fix(fixer) {
-                                    const textBetween = sourceCode.getText().slice(
-                                        currentExport.range[1],
-                                        nextExport.range[0],
-                                    );
-
-                                    // Replace multiple newlines with single newline
-                                    return fixer.replaceTextRange(
-                                        [currentExport.range[1], nextExport.range[0]],
-                                        "\n",
-                                    );
-                                },
-                                message: "No empty lines between shorthand exports in index files.",
+                                fix: getCollapseFix(sourceCode, currentExport.range[1], nextExport.range[0], "\n"),
+                                messageId: "noEmptyLinesBetween",
                                 node: nextExport,
                             });
                         }
@@ -1373,29 +1441,35 @@ const indexExportStyle = {
                 } else if (preferredStyle === "import-export") {
                     // Check if using shorthand when import-export is preferred
                     if (shorthandExports.length > 0) {
-                        // Convert all shorthand exports to import-then-export with single export statement
+                        // Convert all shorthand exports to import-then-export with single export statement;
+                        // "default" and string export names have no local binding to import, so those are not fixed
+                        const canConvert = shorthandExports.every((exportStmt) => exportStmt.specifiers.every((spec) => spec.exported.type === "Identifier"
+                            && spec.exported.name !== "default"));
+
                         context.report({
-                            fix(fixer) {
+                            fix: canConvert ? (fixer) => {
                                 const fixes = [];
                                 const allImports = [];
                                 const allExportNames = [];
 
                                 shorthandExports.forEach((exportStmt) => {
-                                    const source = exportStmt.source.value;
                                     const importSpecifiers = [];
 
                                     exportStmt.specifiers.forEach((spec) => {
-                                        const imported = spec.local ? spec.local.name : spec.exported.name;
+                                        const imported = getSpecifierNameHandler(spec.local);
                                         const exported = spec.exported.name;
+                                        const typePrefix = spec.exportKind === "type" ? "type " : "";
 
-                                        importSpecifiers.push(imported);
+                                        importSpecifiers.push(`${typePrefix}${imported === exported ? imported : `${imported} as ${exported}`}`);
                                         allExportNames.push(exported);
                                     });
 
-                                    allImports.push(`import { ${importSpecifiers.join(", ")} } from "${source}";`);
+                                    const importKeyword = exportStmt.exportKind === "type" ? "import type" : "import";
+
+                                    allImports.push(`${importKeyword} { ${importSpecifiers.join(", ")} } from ${exportStmt.source.raw};`);
 
                                     // Remove the shorthand export
-                                    fixes.push(fixer.remove(exportStmt));
+                                    fixes.push(removeStatementHandler(fixer, exportStmt));
                                 });
 
                                 // Sort export names alphabetically
@@ -1420,8 +1494,8 @@ const indexExportStyle = {
                                 }
 
                                 return fixes;
-                            },
-                            message: `Use import-then-export style with a single export statement.`,
+                            } : null,
+                            messageId: "importThenExportStyle",
                             node,
                         });
                     }
@@ -1431,41 +1505,33 @@ const indexExportStyle = {
                         context.report({
                             fix(fixer) {
                                 const fixes = [];
-                                const allExportNames = [];
+                                const lastExport = standaloneExports[standaloneExports.length - 1];
 
-                                standaloneExports.forEach((exportStmt) => {
-                                    exportStmt.specifiers.forEach((spec) => {
-                                        const exported = spec.exported.name;
-
-                                        allExportNames.push(exported);
-                                    });
-
-                                    // Remove all but the last export
-                                    fixes.push(fixer.remove(exportStmt));
-                                });
-
-                                // Sort export names alphabetically
-                                allExportNames.sort((a, b) => a.localeCompare(b));
+                                // Specifiers keep their own text ("a as b", "type A"), sorted by exported name
+                                const allSpecifiers = standaloneExports
+                                    .flatMap((exportStmt) => exportStmt.specifiers)
+                                    .sort((a, b) => getSpecifierNameHandler(a.exported).localeCompare(getSpecifierNameHandler(b.exported)))
+                                    .map((spec) => sourceCode.getText(spec));
 
                                 // Create single export statement
                                 let exportStatement;
 
-                                if (allExportNames.length <= 3) {
-                                    exportStatement = `export { ${allExportNames.join(", ")} };`;
+                                if (allSpecifiers.length <= 3) {
+                                    exportStatement = `export { ${allSpecifiers.join(", ")} };`;
                                 } else {
-                                    exportStatement = `export {\n    ${allExportNames.join(",\n    ")},\n};`;
+                                    exportStatement = `export {\n    ${allSpecifiers.join(",\n    ")},\n};`;
                                 }
 
-                                // Find last import to insert after
-                                const lastImport = imports[imports.length - 1];
+                                // The combined statement replaces the last export, the others are removed
+                                standaloneExports.slice(0, -1).forEach((exportStmt) => {
+                                    fixes.push(removeStatementHandler(fixer, exportStmt));
+                                });
 
-                                if (lastImport) {
-                                    fixes.push(fixer.insertTextAfter(lastImport, "\n\n" + exportStatement));
-                                }
+                                fixes.push(fixer.replaceText(lastExport, exportStatement));
 
                                 return fixes;
                             },
-                            message: `Combine multiple export statements into a single export statement.`,
+                            messageId: "combineMultipleExportStatements",
                             node,
                         });
                     }
@@ -1474,18 +1540,11 @@ const indexExportStyle = {
                     for (let i = 0; i < imports.length - 1; i += 1) {
                         const currentImport = imports[i];
                         const nextImport = imports[i + 1];
-                        const currentEndLine = currentImport.loc.end.line;
-                        const nextStartLine = nextImport.loc.start.line;
 
-                        if (nextStartLine - currentEndLine > 1) {
+                        if (hasEmptyLineBetween(sourceCode, currentImport.range[1], nextImport.range[0])) {
                             context.report({
-                                fix(fixer) {
-                                    return fixer.replaceTextRange(
-                                        [currentImport.range[1], nextImport.range[0]],
-                                        "\n",
-                                    );
-                                },
-                                message: "No empty lines between imports in index files.",
+                                fix: getCollapseFix(sourceCode, currentImport.range[1], nextImport.range[0], "\n"),
+                                messageId: "noEmptyLinesBetweenImports",
                                 node: nextImport,
                             });
                         }
@@ -1497,6 +1556,15 @@ const indexExportStyle = {
     meta: {
         docs: { description: "Enforce export formatting: blank lines in regular files, no blank lines in index files with consistent style: shorthand (default) or import-export" },
         fixable: "code",
+        messages: {
+            combineMultipleExportStatements: "Combine multiple export statements into a single export statement.",
+            importThenExportStyle: "Use import-then-export style with a single export statement.",
+            mixedExportStylesDetected: "Mixed export styles detected. Use consistent \"{{preferredStyle}}\" style throughout the index file.",
+            noEmptyLinesBetween: "No empty lines between shorthand exports in index files.",
+            noEmptyLinesBetweenImports: "No empty lines between imports in index files.",
+            requireBlankLineBetween: "Require blank line between exports.",
+            shorthandExportStyleExport: "Use shorthand export style: export { ... } from \"source\" instead of import then export.",
+        },
         schema: [
             {
                 additionalProperties: false,
@@ -1524,6 +1592,9 @@ const indexExportStyle = {
  *   All definitions (types, interfaces, functions, variables, classes)
  *   should be moved to separate files.
  *
+ * Shared Settings (settings["code-style"]):
+ *   - moduleFolders - Decides whether an index file is a module barrel or a subfolder index
+ *
  * ✓ Good:
  *   // index.ts
  *   export { Button } from "./Button";
@@ -1550,7 +1621,7 @@ const indexExportsOnly = {
         // Determine if this is a subfolder index inside a module folder
         // e.g., views/assessment/index.tsx (depth >= 2 from module folder) = subfolder index
         // vs views/index.ts (depth == 1 from module folder) = root barrel
-        const moduleFolders = [
+        const moduleFolders = getSharedSettings(context).moduleFolders || [
             "actions", "apis", "assets", "atoms", "components", "config", "configs",
             "constants", "contexts", "data", "enums", "helpers", "hooks", "interfaces",
             "layouts", "lib", "middlewares", "pages", "providers", "reducers", "redux",
@@ -1583,6 +1654,9 @@ const indexExportsOnly = {
 
             if (type === "ExportAllDeclaration") return true;
 
+            // Directives such as "use client" belong at the top of a barrel too
+            if (type === "ExpressionStatement" && node.directive) return true;
+
             return false;
         };
 
@@ -1639,7 +1713,8 @@ const indexExportsOnly = {
                         const subfolder = parts[indexPos - 1];
 
                         context.report({
-                            message: `Subfolder index file "${subfolder}/index" should contain component code, not just re-exports. Only the module root index file should be a barrel for imports and re-exports.`,
+                            data: { subfolder },
+                            messageId: "subfolderIndexFileIndex",
                             node: programNode,
                         });
                     }
@@ -1654,7 +1729,8 @@ const indexExportsOnly = {
                         const description = getNodeDescriptionHandler(node);
 
                         context.report({
-                            message: `${description} should not be in index files. Index files should only contain imports and re-exports. Move this to a separate file.`,
+                            data: { description },
+                            messageId: "notIndexFilesIndex",
                             node,
                         });
                     }
@@ -1664,6 +1740,10 @@ const indexExportsOnly = {
     },
     meta: {
         docs: { description: "Enforce index files as barrels (re-exports only) at module root, and as component entry points (with code) in subfolders" },
+        messages: {
+            notIndexFilesIndex: "{{description}} should not be in index files. Index files should only contain imports and re-exports. Move this to a separate file.",
+            subfolderIndexFileIndex: "Subfolder index file \"{{subfolder}}/index\" should contain component code, not just re-exports. Only the module root index file should be a barrel for imports and re-exports.",
+        },
         schema: [],
         type: "suggestion",
     },
@@ -1698,7 +1778,8 @@ const indexExportsOnly = {
  *   export { foo, bar };
  *
  * Auto-fixable: Yes — adds "export" to each declaration and removes
- * the grouped export statement.
+ * the grouped export statement. Not offered when a declaration also
+ * declares names that are not exported (const a = 1, b = 2; export { a };).
  */
 const inlineExportDeclaration = {
     create(context) {
@@ -1739,6 +1820,8 @@ const inlineExportDeclaration = {
                         declarationMap.set(node.id.name, { declarationNode: node, kind: "function" });
                     } else if (node.type === "ClassDeclaration" && node.id) {
                         declarationMap.set(node.id.name, { declarationNode: node, kind: "class" });
+                    } else if (["TSEnumDeclaration", "TSInterfaceDeclaration", "TSTypeAliasDeclaration"].includes(node.type)) {
+                        declarationMap.set(node.id.name, { declarationNode: node, kind: "type" });
                     }
                 });
 
@@ -1774,15 +1857,21 @@ const inlineExportDeclaration = {
 
                     if (anyAlreadyExported) return;
 
+                    // One declaration can hold several exported names (const a = 1, b = 2;)
+                    const exportedNames = new Set(exportNode.specifiers.map((spec) => spec.local.name));
+                    const declarationNodes = [...new Set(exportNode.specifiers.map((spec) => declarationMap.get(spec.local.name).declarationNode))];
+
+                    // Exporting a declaration inline exports all its declarators, so the fix is not offered
+                    // when some of them were private
+                    const exportsExtraNames = declarationNodes.some((declNode) => declNode.type === "VariableDeclaration"
+                        && declNode.declarations.some((decl) => decl.id.type !== "Identifier" || !exportedNames.has(decl.id.name)));
+
                     context.report({
-                        fix(fixer) {
+                        fix: exportsExtraNames ? null : (fixer) => {
                             const fixes = [];
 
                             // Add "export " before each declaration
-                            exportNode.specifiers.forEach((spec) => {
-                                const info = declarationMap.get(spec.local.name);
-                                const declNode = info.declarationNode;
-
+                            declarationNodes.forEach((declNode) => {
                                 fixes.push(fixer.insertTextBefore(declNode, "export "));
                             });
 
@@ -1797,7 +1886,7 @@ const inlineExportDeclaration = {
 
                             return fixes;
                         },
-                        message: "Use inline export declarations (export const x = ...) instead of grouped export statements (export { x }).",
+                        messageId: "inlineExportDeclarationsExport",
                         node: exportNode,
                     });
                 });
@@ -1807,6 +1896,9 @@ const inlineExportDeclaration = {
     meta: {
         docs: { description: "Enforce inline export declarations instead of grouped export statements in non-index files" },
         fixable: "code",
+        messages: {
+            inlineExportDeclarationsExport: "Use inline export declarations (export const x = ...) instead of grouped export statements (export { x }).",
+        },
         schema: [],
         type: "layout",
     },
@@ -1,13 +1,257 @@
+import { getCollapseFix, hasEmptyLineBetween } from "../utils/empty-lines.js";
+import { getLineIndent, getShiftedText } from "../utils/indent.js";
+import { getTailwindTheme } from "../utils/tailwind-config.js";
 import {
     DEFAULT_MAX_CLASS_COUNT,
     DEFAULT_MAX_CLASS_LENGTH,
-    getClassOrder,
+    VARIANT_GROUPS,
+    compareTailwindClasses,
+    getClassConflicts,
+    getShorthandMerges,
     isClassRelated,
+    looksLikeClassName,
     looksLikeTailwindClasses,
     needsReordering,
+    orderVariantStacks,
     sortTailwindClasses,
 } from "../utils/tailwind.js";
 
+// Class-merging helpers whose arguments hold class strings (default `callees` of every className rule)
+const DEFAULT_CLASS_CALLEES = ["classnames", "clsx", "cn", "cva", "cx", "tv", "twJoin", "twMerge"];
+
+// Keys that mark a cva/tv config object (other objects passed to class helpers map classes to conditions)
+const CLASS_CONFIG_KEYS = ["base", "compoundSlots", "compoundVariants", "slots", "variants"];
+
+// Schema of the `callees` option shared by the className rules
+const CALLEES_SCHEMA = {
+    default: DEFAULT_CLASS_CALLEES,
+    items: { type: "string" },
+    type: "array",
+    uniqueItems: true,
+};
+
+/**
+ * Get the name of a called function (`cn(...)` → cn, `utils.cn(...)` → cn)
+ * @param {Object} node - CallExpression node
+ * @returns {string|null} - Callee name
+ */
+const getCalleeName = (node) => {
+    const { callee } = node;
+
+    if (callee.type === "Identifier") return callee.name;
+
+    if (callee.type === "MemberExpression" && !callee.computed && callee.property.type === "Identifier") return callee.property.name;
+
+    return null;
+};
+
+/**
+ * Get the static name of an object property key (`base`, `"base"`)
+ * @param {Object} prop - Property node
+ * @returns {string|null} - Key name
+ */
+const getPropertyKeyName = (prop) => {
+    if (prop.computed) return null;
+
+    if (prop.key.type === "Identifier") return prop.key.name;
+
+    return prop.key.type === "Literal" ? String(prop.key.value) : null;
+};
+
+/**
+ * Get the static parts of a class string: the text of a string literal or the quasis of a template literal
+ * @param {Object} node - Literal or TemplateLiteral node
+ * @param {Object} sourceCode - ESLint source code
+ * @returns {string[]} - Raw static parts
+ */
+const getClassStringParts = (node, sourceCode) => (node.type === "TemplateLiteral"
+    ? node.quasis.map((quasi) => quasi.value.raw)
+    : [sourceCode.getText(node).slice(1, -1)]);
+
+/**
+ * Collect the classes of each static part with their position
+ * Classes touching a ${} expression are partial and skipped.
+ * @param {string[]} parts - Raw static parts
+ * @returns {Array<{cls: string, end: number, partIndex: number, start: number}>} - Classes in source order
+ */
+const getClassTokens = (parts) => parts.flatMap((raw, partIndex) => [...raw.matchAll(/\S+/g)]
+    .filter((match) => (match.index > 0 || partIndex === 0)
+        && (match.index + match[0].length < raw.length || partIndex === parts.length - 1))
+    .map((match) => ({ cls: match[0], end: match.index + match[0].length, partIndex, start: match.index })));
+
+/**
+ * Edit classes of a static part: tokens with a `replacement` are rewritten,
+ * the others are removed with the whitespace that separated them
+ * @param {string} raw - Raw static part
+ * @param {Object[]} tokens - Tokens of this part from getClassTokens
+ * @returns {string} - Edited part
+ */
+const editClassTokens = (raw, tokens) => [...tokens]
+    .sort((a, b) => b.start - a.start)
+    .reduce((text, { end, replacement, start }) => {
+        const before = text.slice(0, start);
+        const after = text.slice(end);
+
+        if (replacement) return `${before}${replacement}${after}`;
+
+        // Leading class: drop the whitespace after it so the string keeps its start
+        if (before.trim() === "") return `${before}${after.replace(/^\s+/, "")}`;
+
+        return `${before.replace(/\s+$/, "")}${after}`;
+    }, raw);
+
+/**
+ * Rebuild the source of a class string after editing some of its classes
+ * @param {Object} node - Literal or TemplateLiteral node
+ * @param {string[]} parts - Raw static parts from getClassStringParts
+ * @param {Object[]} edits - Tokens to remove or replace (see editClassTokens)
+ * @param {Object} sourceCode - ESLint source code
+ * @returns {string} - New source text of the node
+ */
+const buildEditedClassString = (node, parts, edits, sourceCode) => {
+    const editedParts = parts.map((raw, partIndex) => editClassTokens(raw, edits.filter((token) => token.partIndex === partIndex)));
+
+    if (node.type !== "TemplateLiteral") {
+        const quote = sourceCode.getText(node)[0];
+
+        return `${quote}${editedParts[0]}${quote}`;
+    }
+
+    const text = editedParts.map((raw, i) => raw + (i < node.expressions.length
+        ? `\${${sourceCode.getText(node.expressions[i])}}`
+        : "")).join("");
+
+    return `\`${text}\``;
+};
+
+/**
+ * Collect the class strings passed to a class-merging helper: string and template arguments,
+ * array items, the class branches of `cond && "..."` and `cond ? "..." : "..."`, conditional
+ * object keys (`clsx({ "p-4": isLarge })`) and the base, slot, variant and compound values of
+ * `cva` / `tv` configs
+ * @param {Object} node - CallExpression node
+ * @returns {Object[]} - Literal and TemplateLiteral nodes holding class strings
+ */
+const getCallClassStrings = (node) => {
+    const classStrings = [];
+
+    const collectValue = (value) => {
+        if (!value) return;
+
+        if ((value.type === "Literal" && typeof value.value === "string") || value.type === "TemplateLiteral") {
+            classStrings.push(value);
+        } else if (value.type === "ArrayExpression") {
+            value.elements.forEach(collectValue);
+        } else if (value.type === "LogicalExpression") {
+            collectValue(value.right);
+        } else if (value.type === "ConditionalExpression") {
+            collectValue(value.consequent);
+            collectValue(value.alternate);
+        } else if (value.type === "ObjectExpression") {
+            collectObject(value);
+        }
+    };
+
+    // Slot maps (`{ base: "...", title: "..." }`) hold a class string per slot
+    const collectPropertyValues = (object) => object.properties.forEach((prop) => {
+        if (prop.type === "Property") collectValue(prop.value);
+    });
+
+    const collectObject = (object) => {
+        const properties = object.properties.filter((prop) => prop.type === "Property");
+
+        if (!properties.some((prop) => CLASS_CONFIG_KEYS.includes(getPropertyKeyName(prop)))) {
+            // Conditional classes: the string keys are class strings
+            properties.forEach((prop) => {
+                if (!prop.computed && prop.key.type === "Literal" && typeof prop.key.value === "string") classStrings.push(prop.key);
+            });
+
+            return;
+        }
+
+        properties.forEach((prop) => {
+            const keyName = getPropertyKeyName(prop);
+
+            if (keyName === "base") collectValue(prop.value);
+
+            if (keyName === "slots" && prop.value.type === "ObjectExpression") collectPropertyValues(prop.value);
+
+            if (keyName === "variants" && prop.value.type === "ObjectExpression") {
+                prop.value.properties.forEach((category) => {
+                    if (category.type !== "Property" || category.value.type !== "ObjectExpression") return;
+
+                    category.value.properties.forEach((variant) => {
+                        if (variant.type !== "Property") return;
+
+                        if (variant.value.type === "ObjectExpression") collectPropertyValues(variant.value);
+                        else collectValue(variant.value);
+                    });
+                });
+            }
+
+            if ((keyName === "compoundVariants" || keyName === "compoundSlots") && prop.value.type === "ArrayExpression") {
+                prop.value.elements.forEach((compound) => {
+                    if (!compound || compound.type !== "ObjectExpression") return;
+
+                    compound.properties.forEach((compoundProp) => {
+                        if (compoundProp.type === "Property" && ["class", "className"].includes(getPropertyKeyName(compoundProp))) {
+                            collectValue(compoundProp.value);
+                        }
+                    });
+                });
+            }
+        });
+    };
+
+    node.arguments.forEach(collectValue);
+
+    return classStrings;
+};
+
+
+/**
+ * Fix that moves parenthesized JSX onto its own line after "(", one level below baseIndent, with
+ * its other lines shifted along with it and the ")" that follows it on its own line at baseIndent
+ * @param {Object} fixer - ESLint fixer
+ * @param {Object} sourceCode - ESLint SourceCode
+ * @param {Object} openParen - "(" token before the JSX
+ * @param {Object} jsxNode - JSXElement or JSXFragment
+ * @param {string} baseIndent - Indentation of the line that holds "("
+ * @returns {Object|null} - Fix, or null when a comment sits between "(" and the JSX
+ */
+const moveJsxToNewLine = (fixer, sourceCode, openParen, jsxNode, baseIndent) => {
+    if (sourceCode.commentsExistBetween(openParen, jsxNode)) return null;
+
+    const contentIndent = baseIndent + "    ";
+    const jsxText = getShiftedText(sourceCode, jsxNode, contentIndent.length - getLineIndent(sourceCode, jsxNode).length);
+    const closeParen = sourceCode.getTokenAfter(jsxNode, { includeComments: true });
+
+    if (jsxText === null) return fixer.replaceTextRange([openParen.range[1], jsxNode.range[0]], "\n" + contentIndent);
+
+    if (closeParen && closeParen.value === ")") {
+        return fixer.replaceTextRange([openParen.range[1], closeParen.range[0]], `\n${contentIndent}${jsxText}\n${baseIndent}`);
+    }
+
+    return fixer.replaceTextRange([openParen.range[1], jsxNode.range[1]], `\n${contentIndent}${jsxText}`);
+};
+/**
+ * Fix that moves a JSX child onto its own line; a multiline child keeps its shape (its other lines
+ * shift along with it), and a closing tag left on the child's last line moves to its own line as well
+ * @param {Object} fixer - ESLint fixer
+ * @param {Object} sourceCode - ESLint SourceCode
+ * @param {{child: Object, childIndent: string, closingIndent: string, closingTag: Object|null, start: number}} options - Child, its new indentation, where the replaced whitespace starts and the closing tag to move along (or null)
+ * @returns {Object} - Fix
+ */
+const moveJsxChildToNewLine = (fixer, sourceCode, { child, childIndent, closingIndent, closingTag, start }) => {
+    const childText = child.type === "JSXText" ? null : getShiftedText(sourceCode, child, childIndent.length - getLineIndent(sourceCode, child).length);
+
+    if (childText === null) return fixer.replaceTextRange([start, child.range[0]], "\n" + childIndent);
+
+    if (closingTag) return fixer.replaceTextRange([start, closingTag.range[0]], `\n${childIndent}${childText}\n${closingIndent}`);
+
+    return fixer.replaceTextRange([start, child.range[1]], `\n${childIndent}${childText}`);
+};
+
 /**
  * ───────────────────────────────────────────────────────────────
  * Rule: JSX Children On New Line
@@ -172,41 +416,37 @@ const jsxChildrenOnNewLine = {
 
             const firstChild = significantChildren[0];
             const lastChild = significantChildren[significantChildren.length - 1];
-            const childIndent = " ".repeat(openingTag.loc.start.column + 4);
-            const closingIndent = " ".repeat(openingTag.loc.start.column);
+            const closingIndent = getLineIndent(sourceCode, openingTag);
+            const childIndent = closingIndent + "    ";
+
+            // Check if closing tag is on same line as last child
+            // For JSXText, check if the actual content (trimmed) ends on same line
+            // (a newline in its trimmed-off whitespace already puts the closing tag on its own line)
+            const isClosingTagOnChildLine = closingTag.loc.start.line === lastChild.loc.end.line
+                && !(lastChild.type === "JSXText" && lastChild.value.slice(lastChild.value.trimEnd().length).includes("\n"));
 
             // Check if first child is on same line as opening tag
             if (openingTag.loc.end.line === firstChild.loc.start.line) {
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
-                        [openingTag.range[1], firstChild.range[0]],
-                        "\n" + childIndent,
-                    ),
-                    message: "JSX child should be on its own line",
+                    fix: (fixer) => moveJsxChildToNewLine(fixer, sourceCode, {
+                        child: firstChild,
+                        childIndent,
+                        closingIndent,
+                        closingTag: firstChild === lastChild && isClosingTagOnChildLine ? closingTag : null,
+                        start: openingTag.range[1],
+                    }),
+                    messageId: "jsxChildOwnLine",
                     node: firstChild,
                 });
             }
 
-            // Check if closing tag is on same line as last child
-            // For JSXText, check if the actual content (trimmed) ends on same line
-            if (closingTag.loc.start.line === lastChild.loc.end.line) {
-                // If last child is text with only whitespace at the end, check the content line
-                if (lastChild.type === "JSXText") {
-                    const textContent = lastChild.value;
-                    const trimmedEnd = textContent.trimEnd();
-
-                    // If there's a newline in the trimmed-off part, closing tag is already on own line
-                    if (textContent.slice(trimmedEnd.length).includes("\n")) {
-                        return;
-                    }
-                }
-
+            if (isClosingTagOnChildLine) {
                 context.report({
                     fix: (fixer) => fixer.replaceTextRange(
                         [lastChild.range[1], closingTag.range[0]],
                         "\n" + closingIndent,
                     ),
-                    message: "Closing tag should be on its own line",
+                    messageId: "closingTagOwnLine",
                     node: closingTag,
                 });
             }
@@ -228,6 +468,10 @@ const jsxChildrenOnNewLine = {
     meta: {
         docs: { description: "Enforce JSX children on separate lines from parent tags" },
         fixable: "whitespace",
+        messages: {
+            closingTagOwnLine: "Closing tag should be on its own line",
+            jsxChildOwnLine: "JSX child should be on its own line",
+        },
         schema: [],
         type: "layout",
     },
@@ -239,7 +483,7 @@ const jsxChildrenOnNewLine = {
  * ───────────────────────────────────────────────────────────────
  *
  * Description:
- *   No space before > or /> in JSX tags. The closing bracket
+ *   No space before > or /> in JSX tags and fragments. The closing bracket
  *   should be directly after the last attribute or tag name.
  *
  * ✓ Good:
@@ -277,8 +521,9 @@ const jsxClosingBracketSpacing = {
 
                     if (/^\s+$/.test(textBetween)) {
                         context.report({
+                            data: { value: lastToken.value },
                             fix: (fixer) => fixer.removeRange([tokenBefore.range[1], lastToken.range[0]]),
-                            message: `No space allowed before '${lastToken.value}' in JSX tag`,
+                            messageId: "noSpaceAllowedBefore",
                             node: lastToken,
                         });
                     }
@@ -287,13 +532,18 @@ const jsxClosingBracketSpacing = {
         };
 
         return {
-            JSXOpeningElement: checkOpeningElementHandler,
             JSXClosingElement: checkOpeningElementHandler,
+            JSXClosingFragment: checkOpeningElementHandler,
+            JSXOpeningElement: checkOpeningElementHandler,
+            JSXOpeningFragment: checkOpeningElementHandler,
         };
     },
     meta: {
         docs: { description: "No space before > or /> in JSX tags" },
         fixable: "whitespace",
+        messages: {
+            noSpaceAllowedBefore: "No space allowed before '{{value}}' in JSX tag",
+        },
         schema: [],
         type: "layout",
     },
@@ -433,33 +683,41 @@ const jsxElementChildNewLine = {
                 if (jsxChildren.length === 0) return;
 
                 // Get the indent for children
-                const childIndent = " ".repeat(openingTag.loc.start.column + 4);
-                const closingIndent = " ".repeat(openingTag.loc.start.column);
+                const closingIndent = getLineIndent(sourceCode, openingTag);
+                const childIndent = closingIndent + "    ";
+
+                // Check if closing tag is on same line as last JSX child
+                const lastJsxChild = jsxChildren[jsxChildren.length - 1];
+                const isClosingTagOnChildLine = closingTag.loc.start.line === lastJsxChild.loc.end.line;
 
                 jsxChildren.forEach((child) => {
                     // Check if JSX child is on same line as opening tag
                     if (openingTag.loc.end.line === child.loc.start.line) {
+                        // Only the whitespace right before the child is replaced, so comments and
+                        // siblings between the opening tag and the child stay in place
+                        const textBefore = sourceCode.text.slice(openingTag.range[1], child.range[0]);
+
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [openingTag.range[1], child.range[0]],
-                                "\n" + childIndent,
-                            ),
-                            message: "JSX element child should be on its own line",
+                            fix: (fixer) => moveJsxChildToNewLine(fixer, sourceCode, {
+                                child,
+                                childIndent,
+                                closingIndent,
+                                closingTag: child === lastJsxChild && isClosingTagOnChildLine ? closingTag : null,
+                                start: child.range[0] - (textBefore.length - textBefore.trimEnd().length),
+                            }),
+                            messageId: "jsxElementChildOwn",
                             node: child,
                         });
                     }
                 });
 
-                // Check if closing tag is on same line as last JSX child
-                const lastJsxChild = jsxChildren[jsxChildren.length - 1];
-
-                if (lastJsxChild && closingTag.loc.start.line === lastJsxChild.loc.end.line) {
+                if (isClosingTagOnChildLine) {
                     context.report({
                         fix: (fixer) => fixer.replaceTextRange(
                             [lastJsxChild.range[1], closingTag.range[0]],
                             "\n" + closingIndent,
                         ),
-                        message: "Closing tag should be on its own line after JSX children",
+                        messageId: "closingTagOwnLine",
                         node: closingTag,
                     });
                 }
@@ -469,6 +727,10 @@ const jsxElementChildNewLine = {
     meta: {
         docs: { description: "JSX children that are JSX elements must be on new lines" },
         fixable: "whitespace",
+        messages: {
+            closingTagOwnLine: "Closing tag should be on its own line after JSX children",
+            jsxElementChildOwn: "JSX element child should be on its own line",
+        },
         schema: [],
         type: "layout",
     },
@@ -539,12 +801,15 @@ const jsxLogicalExpressionSimplify = {
             // Case 1: Both simple - entire expression on one line
             if (rightIsSimple && left.loc.start.line === left.loc.end.line) {
                 if (node.loc.start.line !== node.loc.end.line) {
+                    // Rebuilding the expression from its sides would drop comments between them
+                    const hasComments = sourceCode.getCommentsInside(node).length > 0;
+
                     context.report({
-                        fix: (fixer) => fixer.replaceText(
+                        fix: hasComments ? null : (fixer) => fixer.replaceText(
                             node,
                             `${leftText} && ${rightText}`,
                         ),
-                        message: "Simple logical expression with single-line JSX should be on one line",
+                        messageId: "simpleLogicalExpressionSingle",
                         node,
                     });
                 }
@@ -577,7 +842,7 @@ const jsxLogicalExpressionSimplify = {
                                 [tokenAfterAnd.range[1], jsxStart.range[0]],
                                 "\n" + contentIndent,
                             ),
-                            message: "No empty lines after '(' in logical expression",
+                            messageId: "noEmptyLinesAfter",
                             node: jsxStart,
                         });
                     }
@@ -592,7 +857,7 @@ const jsxLogicalExpressionSimplify = {
                                     [right.range[1], closeParen.range[0]],
                                     "\n" + baseIndent,
                                 ),
-                                message: "No empty lines before ')' in logical expression",
+                                messageId: "noEmptyLinesBefore",
                                 node: closeParen,
                             });
                         }
@@ -606,6 +871,11 @@ const jsxLogicalExpressionSimplify = {
     meta: {
         docs: { description: "Simplify logical expressions in JSX when right side is single-line, and check formatting for complex JSX" },
         fixable: "code",
+        messages: {
+            noEmptyLinesAfter: "No empty lines after '(' in logical expression",
+            noEmptyLinesBefore: "No empty lines before ')' in logical expression",
+            simpleLogicalExpressionSingle: "Simple logical expression with single-line JSX should be on one line",
+        },
         schema: [],
         type: "layout",
     },
@@ -655,28 +925,28 @@ const jsxParenthesesPosition = {
 
             const openParen = tokenAfterArrow;
 
-            // Check if arrow and ( are on same line
+            // Check if arrow and ( are on same line; the JSX and ")" move back along with "("
             if (arrowToken.loc.end.line !== openParen.loc.start.line) {
+                const hasComments = sourceCode.commentsExistBetween(arrowToken, openParen);
+
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
-                        [arrowToken.range[1], openParen.range[1]],
-                        " (",
-                    ),
-                    message: "Opening parenthesis should be on the same line as arrow",
+                    fix: hasComments ? null : (fixer) => [
+                        fixer.replaceTextRange(
+                            [arrowToken.range[1], openParen.range[1]],
+                            " (",
+                        ),
+                        moveJsxToNewLine(fixer, sourceCode, openParen, jsxElement, getLineIndent(sourceCode, arrowToken)),
+                    ].filter(Boolean),
+                    messageId: "openingParenthesisSameLine",
                     node: openParen,
                 });
             }
 
             // Check if JSX starts on same line as ( (should be on new line)
             if (openParen.loc.end.line === jsxElement.loc.start.line) {
-                const jsxIndent = " ".repeat(openParen.loc.start.column + 4);
-
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
-                        [openParen.range[1], jsxElement.range[0]],
-                        "\n" + jsxIndent,
-                    ),
-                    message: "JSX should start on a new line after opening parenthesis",
+                    fix: (fixer) => moveJsxToNewLine(fixer, sourceCode, openParen, jsxElement, getLineIndent(sourceCode, openParen)),
+                    messageId: "jsxStartNewLine",
                     node: jsxElement,
                 });
             } else if (jsxElement.loc.start.line - openParen.loc.end.line > 1) {
@@ -684,11 +954,11 @@ const jsxParenthesesPosition = {
                 const jsxIndent = " ".repeat(jsxElement.loc.start.column);
 
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
+                    fix: sourceCode.commentsExistBetween(openParen, jsxElement) ? null : (fixer) => fixer.replaceTextRange(
                         [openParen.range[1], jsxElement.range[0]],
                         "\n" + jsxIndent,
                     ),
-                    message: "No empty line after opening parenthesis",
+                    messageId: "noEmptyLineAfter",
                     node: jsxElement,
                 });
             }
@@ -701,11 +971,11 @@ const jsxParenthesesPosition = {
                     const closeIndent = " ".repeat(closeParen.loc.start.column);
 
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
+                        fix: sourceCode.commentsExistBetween(jsxElement, closeParen) ? null : (fixer) => fixer.replaceTextRange(
                             [jsxElement.range[1], closeParen.range[0]],
                             "\n" + closeIndent,
                         ),
-                        message: "No empty line before closing parenthesis",
+                        messageId: "noEmptyLineBefore",
                         node: closeParen,
                     });
                 }
@@ -721,11 +991,11 @@ const jsxParenthesesPosition = {
 
                     if (textBetween.includes("\n") || textBetween.includes(" ")) {
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
+                            fix: sourceCode.commentsExistBetween(closeParen, closeBrace) ? null : (fixer) => fixer.replaceTextRange(
                                 [closeParen.range[1], closeBrace.range[0]],
                                 "",
                             ),
-                            message: "Closing parenthesis and brace should be together",
+                            messageId: "closingParenthesisBraceTogether",
                             node: closeBrace,
                         });
                     }
@@ -746,39 +1016,39 @@ const jsxParenthesesPosition = {
             const openParen = tokenAfterColon;
             const jsxElement = node.value;
 
-            // Check if colon and ( are on same line
+            // Check if colon and ( are on same line; the JSX and ")" move back along with "("
             if (colonToken.loc.end.line !== openParen.loc.start.line) {
+                const hasComments = sourceCode.commentsExistBetween(colonToken, openParen);
+
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
-                        [colonToken.range[1], openParen.range[1]],
-                        " (",
-                    ),
-                    message: "Opening parenthesis should be on the same line as colon with a space",
+                    fix: hasComments ? null : (fixer) => [
+                        fixer.replaceTextRange(
+                            [colonToken.range[1], openParen.range[1]],
+                            " (",
+                        ),
+                        moveJsxToNewLine(fixer, sourceCode, openParen, jsxElement, getLineIndent(sourceCode, colonToken)),
+                    ].filter(Boolean),
+                    messageId: "openingParenthesisSameLineColon",
                     node: openParen,
                 });
             }
 
             // Check if JSX starts on same line as (
             if (openParen.loc.end.line === jsxElement.loc.start.line) {
-                const jsxIndent = " ".repeat(node.key.loc.start.column + 4);
-
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
-                        [openParen.range[1], jsxElement.range[0]],
-                        "\n" + jsxIndent,
-                    ),
-                    message: "JSX should start on a new line after opening parenthesis",
+                    fix: (fixer) => moveJsxToNewLine(fixer, sourceCode, openParen, jsxElement, getLineIndent(sourceCode, openParen)),
+                    messageId: "jsxStartNewLine",
                     node: jsxElement,
                 });
             } else if (jsxElement.loc.start.line - openParen.loc.end.line > 1) {
                 const jsxIndent = " ".repeat(jsxElement.loc.start.column);
 
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
+                    fix: sourceCode.commentsExistBetween(openParen, jsxElement) ? null : (fixer) => fixer.replaceTextRange(
                         [openParen.range[1], jsxElement.range[0]],
                         "\n" + jsxIndent,
                     ),
-                    message: "No empty line after opening parenthesis",
+                    messageId: "noEmptyLineAfter",
                     node: jsxElement,
                 });
             }
@@ -790,11 +1060,11 @@ const jsxParenthesesPosition = {
                     const closeIndent = " ".repeat(closeParen.loc.start.column);
 
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
+                        fix: sourceCode.commentsExistBetween(jsxElement, closeParen) ? null : (fixer) => fixer.replaceTextRange(
                             [jsxElement.range[1], closeParen.range[0]],
                             "\n" + closeIndent,
                         ),
-                        message: "No empty line before closing parenthesis",
+                        messageId: "noEmptyLineBefore",
                         node: closeParen,
                     });
                 }
@@ -809,6 +1079,14 @@ const jsxParenthesesPosition = {
     meta: {
         docs: { description: "Enforce opening parenthesis position for JSX in arrow functions and object properties" },
         fixable: "code",
+        messages: {
+            closingParenthesisBraceTogether: "Closing parenthesis and brace should be together",
+            jsxStartNewLine: "JSX should start on a new line after opening parenthesis",
+            noEmptyLineAfter: "No empty line after opening parenthesis",
+            noEmptyLineBefore: "No empty line before closing parenthesis",
+            openingParenthesisSameLine: "Opening parenthesis should be on the same line as arrow",
+            openingParenthesisSameLineColon: "Opening parenthesis should be on the same line as colon with a space",
+        },
         schema: [],
         type: "layout",
     },
@@ -890,7 +1168,8 @@ const jsxPropNamingConvention = {
                 // Check if prop name is camelCase
                 if (!camelCaseRegex.test(propName)) {
                     context.report({
-                        message: `JSX prop "${propName}" should be camelCase`,
+                        data: { propName },
+                        messageId: "jsxPropCamelCase",
                         node: node.name,
                     });
                 }
@@ -899,6 +1178,9 @@ const jsxPropNamingConvention = {
     },
     meta: {
         docs: { description: "Enforce camelCase naming for JSX props, with exceptions for component references" },
+        messages: {
+            jsxPropCamelCase: "JSX prop \"{{propName}}\" should be camelCase",
+        },
         schema: [],
         type: "suggestion",
     },
@@ -1020,12 +1302,15 @@ const jsxSimpleElementOneLine = {
                 const childText = child.type === "JSXText" ? child.value.trim() : sourceCode.getText(child);
                 const closingText = sourceCode.getText(closingTag);
 
+                // A child spanning several lines (wrapped text, a line comment) cannot join one line
+                if (childText.includes("\n")) return;
+
                 context.report({
                     fix: (fixer) => fixer.replaceText(
                         node,
                         `${openingText}${childText}${closingText}`,
                     ),
-                    message: "Simple JSX element with single text/expression child should be on one line",
+                    messageId: "simpleJsxElementSingle",
                     node,
                 });
             },
@@ -1034,6 +1319,9 @@ const jsxSimpleElementOneLine = {
     meta: {
         docs: { description: "Simple JSX elements with only text/expression children should be on one line" },
         fixable: "whitespace",
+        messages: {
+            simpleJsxElementSingle: "Simple JSX element with single text/expression child should be on one line",
+        },
         schema: [],
         type: "layout",
     },
@@ -1050,6 +1338,10 @@ const jsxSimpleElementOneLine = {
  *   Uses smart detection: triggers for className attributes, variables
  *   with "class" in name, or any string that looks like Tailwind classes.
  *
+ * Options:
+ *   - callees: Class-merging helpers whose template arguments are
+ *     checked too (default: classnames, clsx, cn, cva, cx, tv, twJoin, twMerge)
+ *
  * ✓ Good:
  *   className={`flex items-center ${className}`}
  *   const buttonClasses = `flex items-center ${className}`;
@@ -1061,6 +1353,9 @@ const jsxSimpleElementOneLine = {
 const classNameDynamicAtEnd = {
     create(context) {
         const sourceCode = context.sourceCode || context.getSourceCode();
+        const tailwindTheme = getTailwindTheme(context);
+        const options = context.options[0] || {};
+        const callees = options.callees || DEFAULT_CLASS_CALLEES;
 
         // Get static content from template literal for detection
         const getStaticContent = (templateLiteral) => templateLiteral.quasis
@@ -1077,7 +1372,7 @@ const classNameDynamicAtEnd = {
             // Smart detection: check if this looks like class content
             const staticContent = getStaticContent(templateLiteral);
 
-            if (!isClassRelated(varName, staticContent)) return;
+            if (!isClassRelated(varName, staticContent, tailwindTheme)) return;
 
             // Check if there are static classes after any expression
             for (let i = 0; i < expressions.length; i += 1) {
@@ -1087,8 +1382,11 @@ const classNameDynamicAtEnd = {
                     const textAfter = quasiAfter.value.raw.trim();
 
                     if (textAfter.length > 0) {
+                        // Comments inside ${...} would be lost when the expressions are rebuilt
+                        const hasComments = sourceCode.getCommentsInside(templateLiteral).length > 0;
+
                         context.report({
-                            fix: (fixer) => {
+                            fix: hasComments ? null : (fixer) => {
                                 const staticClasses = [];
                                 const dynamicExprs = [];
 
@@ -1103,7 +1401,7 @@ const classNameDynamicAtEnd = {
                                 });
 
                                 // Sort static classes using Tailwind order
-                                const sortedStatic = sortTailwindClasses(staticClasses.join(" "));
+                                const sortedStatic = sortTailwindClasses(staticClasses.join(" "), tailwindTheme);
                                 const dynamicPart = dynamicExprs.map((expr) => `\${${expr}}`).join(" ");
                                 const newValue = sortedStatic
                                     ? `\`${sortedStatic} ${dynamicPart}\``
@@ -1111,7 +1409,7 @@ const classNameDynamicAtEnd = {
 
                                 return fixer.replaceText(templateLiteral, newValue);
                             },
-                            message: "Dynamic expressions (${...}) must be at the end of class strings. Use: `static-class ${dynamic}` not `${dynamic} static-class`",
+                            messageId: "dynamicExpressionsEndClass",
                             node: reportNode || expressions[i],
                         });
 
@@ -1122,6 +1420,15 @@ const classNameDynamicAtEnd = {
         };
 
         return {
+            // Check template literals passed to class-merging helpers (callees option)
+            CallExpression(node) {
+                if (!callees.includes(getCalleeName(node))) return;
+
+                getCallClassStrings(node).forEach((classString) => {
+                    if (classString.type === "TemplateLiteral") checkTemplateLiteralHandler(classString, null, "className");
+                });
+            },
+
             // Check className JSX attribute
             JSXAttribute(node) {
                 if (!node.name || node.name.name !== "className") return;
@@ -1146,11 +1453,146 @@ const classNameDynamicAtEnd = {
     meta: {
         docs: { description: "Enforce dynamic expressions in className are placed at the end" },
         fixable: "code",
-        schema: [],
+        messages: {
+            dynamicExpressionsEndClass: "Dynamic expressions (${...}) must be at the end of class strings. Use: `static-class ${dynamic}` not `${dynamic} static-class`",
+        },
+        schema: [
+            {
+                additionalProperties: false,
+                properties: { callees: CALLEES_SCHEMA },
+                type: "object",
+            },
+        ],
         type: "layout",
     },
 };
 
+/**
+ * ───────────────────────────────────────────────────────────────
+ * Rule: className No Conflicts
+ * ───────────────────────────────────────────────────────────────
+ *
+ * Description:
+ *   Disallow Tailwind classes that set the same CSS property under
+ *   the same variants in one class string, since only one of them
+ *   can apply. The fix keeps the last class, like tailwind-merge.
+ *   Checks className attributes, class utility calls (cn, clsx,
+ *   twMerge...) and class-related variables.
+ *
+ * Options:
+ *   - callees: Class-merging helpers whose class strings are checked
+ *     (default: classnames, clsx, cn, cva, cx, tv, twJoin, twMerge)
+ *
+ * ✓ Good:
+ *   className="flex p-4 md:hidden"
+ *   const buttonClasses = cn("text-sm font-bold", className);
+ *
+ * ✗ Bad:
+ *   className="flex hidden p-2 p-4"
+ *   const buttonClasses = cn("text-sm text-lg font-bold", className);
+ */
+const classNameNoConflicts = {
+    create(context) {
+        const sourceCode = context.sourceCode || context.getSourceCode();
+        const tailwindTheme = getTailwindTheme(context);
+        const options = context.options[0] || {};
+        const callees = options.callees || DEFAULT_CLASS_CALLEES;
+
+        // Report classes overridden later in the same class string
+        const checkClassStringHandler = (node) => {
+            const parts = getClassStringParts(node, sourceCode);
+            const tokens = getClassTokens(parts);
+            const conflicts = getClassConflicts(tokens.map(({ cls }) => cls), tailwindTheme);
+
+            if (conflicts.length === 0) return;
+
+            const overriddenTokens = conflicts.map(({ overridden }) => tokens[overridden]);
+            const fixHandler = (fixer) => fixer.replaceText(node, buildEditedClassString(node, parts, overriddenTokens, sourceCode));
+
+            conflicts.forEach(({ overridden, winner }) => {
+                context.report({
+                    data: {
+                        overridden: tokens[overridden].cls,
+                        winner: tokens[winner].cls,
+                    },
+                    fix: fixHandler,
+                    messageId: "classOverridden",
+                    node,
+                });
+            });
+        };
+
+        // Check a string or template literal when it holds class names
+        const checkValueHandler = (node, varName) => {
+            if (node.type === "Literal" && typeof node.value === "string") {
+                if (isClassRelated(varName, node.value, tailwindTheme)) checkClassStringHandler(node);
+
+                return;
+            }
+
+            if (node.type === "TemplateLiteral") {
+                const staticContent = node.quasis.map((q) => q.value.raw).join(" ").trim();
+
+                if (isClassRelated(varName, staticContent, tailwindTheme)) checkClassStringHandler(node);
+            }
+        };
+
+        return {
+            // Check class strings passed to class-merging helpers (callees option)
+            CallExpression(node) {
+                if (!callees.includes(getCalleeName(node))) return;
+
+                getCallClassStrings(node).forEach((classString) => checkValueHandler(classString, "className"));
+            },
+
+            // Check className JSX attribute
+            JSXAttribute(node) {
+                if (!node.name || node.name.name !== "className" || !node.value) return;
+
+                if (node.value.type === "JSXExpressionContainer") {
+                    checkValueHandler(node.value.expression, "className");
+
+                    return;
+                }
+
+                checkValueHandler(node.value, "className");
+            },
+
+            // Check class-related variables and their object values
+            VariableDeclarator(node) {
+                if (!node.id || node.id.type !== "Identifier" || !node.init) return;
+
+                const varName = node.id.name;
+
+                if (node.init.type === "ObjectExpression") {
+                    node.init.properties.forEach((prop) => {
+                        if (prop.type === "Property" && prop.value) checkValueHandler(prop.value, varName);
+                    });
+
+                    return;
+                }
+
+                checkValueHandler(node.init, varName);
+            },
+        };
+    },
+    meta: {
+        docs: { description: "Disallow Tailwind classes that set the same CSS property under the same variants in one class string; auto-fix keeps the last one" },
+        fixable: "code",
+        messages: {
+            classOverridden: "Class \"{{overridden}}\" is overridden by \"{{winner}}\" later in the same class string",
+        },
+        schema: [
+            {
+                additionalProperties: false,
+                properties: { callees: CALLEES_SCHEMA },
+                type: "object",
+            },
+        ],
+        type: "problem",
+    },
+};
+
 /**
  * ───────────────────────────────────────────────────────────────
  * Rule: className No Extra Spaces
@@ -1161,6 +1603,10 @@ const classNameDynamicAtEnd = {
  *   in className values. Uses smart detection: checks objects/returns
  *   if variable name contains "class" OR if values look like Tailwind.
  *
+ * Options:
+ *   - callees: Class-merging helpers whose class strings are checked
+ *     too (default: classnames, clsx, cn, cva, cx, tv, twJoin, twMerge)
+ *
  * ✓ Good:
  *   className="flex items-center gap-4"
  *   const variants = { primary: "bg-blue-500 text-white" };
@@ -1174,6 +1620,8 @@ const classNameDynamicAtEnd = {
 const classNameNoExtraSpaces = {
     create(context) {
         const sourceCode = context.sourceCode || context.getSourceCode();
+        const options = context.options[0] || {};
+        const callees = options.callees || DEFAULT_CLASS_CALLEES;
 
         // Check and fix string literal
         const checkStringLiteralHandler = (node, value, varName) => {
@@ -1190,7 +1638,47 @@ const classNameNoExtraSpaces = {
 
                 context.report({
                     fix: (fixer) => fixer.replaceText(node, `${quote}${fixed}${quote}`),
-                    message: "Class string should not have multiple consecutive spaces",
+                    messageId: "classStringNotMultiple",
+                    node,
+                });
+            }
+        };
+
+        // Check and fix leading, trailing and multiple spaces of a class string value
+        const checkValueWhitespaceHandler = (node, value) => {
+            const raw = sourceCode.getText(node);
+            const quote = raw[0];
+
+            // Each fix removes every spacing problem, so one fix pass is enough
+            const fixed = value.trim().replace(/  +/g, " ");
+
+            // Check for leading whitespace
+            if (/^\s+/.test(value)) {
+                context.report({
+                    fix: (fixer) => fixer.replaceText(node, `${quote}${fixed}${quote}`),
+                    messageId: "classStringNotLeadingWhitespace",
+                    node,
+                });
+
+                return;
+            }
+
+            // Check for trailing whitespace
+            if (/\s+$/.test(value)) {
+                context.report({
+                    fix: (fixer) => fixer.replaceText(node, `${quote}${fixed}${quote}`),
+                    messageId: "classStringNotTrailingWhitespace",
+                    node,
+                });
+
+                return;
+            }
+
+            // Check for multiple consecutive spaces
+            if (/  +/.test(value)) {
+                context.report({
+                    fix: (fixer) => fixer.replaceText(node, `${quote}${fixed}${quote}`),
+                    messageId: "classStringNotMultiple",
                     node,
                 });
             }
@@ -1211,15 +1699,16 @@ const classNameNoExtraSpaces = {
             // Skip multiline format (newline after backtick = intentional multiline)
             const isMultilineFormat = firstQuasi && /^\n/.test(firstQuasi.value.raw);
 
+            // Each fix removes every spacing problem, so one fix pass is enough
+            const fixSpacingHandler = (fixer) => fixer.replaceText(templateLiteral, sourceCode.getText(templateLiteral)
+                .replace(/^`\s+/, "`")
+                .replace(/\s+`$/, "`")
+                .replace(/  +/g, " "));
+
             if (!isMultilineFormat && firstQuasi && /^\s+/.test(firstQuasi.value.raw)) {
                 context.report({
-                    fix: (fixer) => {
-                        const fullText = sourceCode.getText(templateLiteral);
-                        const fixedText = fullText.replace(/^`\s+/, "`");
-
-                        return fixer.replaceText(templateLiteral, fixedText);
-                    },
-                    message: "Class string should not have leading whitespace in template literal",
+                    fix: fixSpacingHandler,
+                    messageId: "classStringNotLeading",
                     node: firstQuasi,
                 });
 
@@ -1231,13 +1720,8 @@ const classNameNoExtraSpaces = {
 
             if (!isMultilineFormat && lastQuasi && /\s+$/.test(lastQuasi.value.raw)) {
                 context.report({
-                    fix: (fixer) => {
-                        const fullText = sourceCode.getText(templateLiteral);
-                        const fixedText = fullText.replace(/\s+`$/, "`");
-
-                        return fixer.replaceText(templateLiteral, fixedText);
-                    },
-                    message: "Class string should not have trailing whitespace in template literal",
+                    fix: fixSpacingHandler,
+                    messageId: "classStringNotTrailing",
                     node: lastQuasi,
                 });
 
@@ -1251,13 +1735,8 @@ const classNameNoExtraSpaces = {
 
                     if (/  +/.test(value)) {
                         context.report({
-                            fix: (fixer) => {
-                                const fullText = sourceCode.getText(templateLiteral);
-                                const fixedText = fullText.replace(/  +/g, " ");
-
-                                return fixer.replaceText(templateLiteral, fixedText);
-                            },
-                            message: "Class string should not have multiple consecutive spaces",
+                            fix: fixSpacingHandler,
+                            messageId: "classStringNotMultiple",
                             node: quasi,
                         });
                     }
@@ -1266,6 +1745,22 @@ const classNameNoExtraSpaces = {
         };
 
         return {
+            // Check class strings passed to class-merging helpers (callees option)
+            CallExpression(node) {
+                if (!callees.includes(getCalleeName(node))) return;
+
+                getCallClassStrings(node).forEach((classString) => {
+                    if (classString.type === "TemplateLiteral") {
+                        checkTemplateLiteralHandler(classString, "className");
+
+                        return;
+                    }
+
+                    // Skip multiline format (newline at start = intentional multiline)
+                    if (!/^\n/.test(classString.value)) checkValueWhitespaceHandler(classString, classString.value);
+                });
+            },
+
             // Check className JSX attribute
             JSXAttribute(node) {
                 if (!node.name || node.name.name !== "className") return;
@@ -1303,50 +1798,10 @@ const classNameNoExtraSpaces = {
                         if (prop.type !== "Property") return;
 
                         if (prop.value && prop.value.type === "Literal" && typeof prop.value.value === "string") {
-                            const value = prop.value.value;
-
                             // Check if variable name suggests classes OR value looks like Tailwind
-                            if (!isClassRelated(varName, value)) return;
-
-                            const raw = sourceCode.getText(prop.value);
-                            const quote = raw[0];
-
-                            // Check for leading whitespace
-                            if (/^\s+/.test(value)) {
-                                const fixed = value.trimStart();
-
-                                context.report({
-                                    fix: (fixer) => fixer.replaceText(prop.value, `${quote}${fixed}${quote}`),
-                                    message: "Class string should not have leading whitespace",
-                                    node: prop.value,
-                                });
-
-                                return;
-                            }
-
-                            // Check for trailing whitespace
-                            if (/\s+$/.test(value)) {
-                                const fixed = value.trimEnd();
-
-                                context.report({
-                                    fix: (fixer) => fixer.replaceText(prop.value, `${quote}${fixed}${quote}`),
-                                    message: "Class string should not have trailing whitespace",
-                                    node: prop.value,
-                                });
-
-                                return;
-                            }
+                            if (!isClassRelated(varName, prop.value.value)) return;
 
-                            // Check for multiple consecutive spaces
-                            if (/  +/.test(value)) {
-                                const fixed = value.replace(/  +/g, " ");
-
-                                context.report({
-                                    fix: (fixer) => fixer.replaceText(prop.value, `${quote}${fixed}${quote}`),
-                                    message: "Class string should not have multiple consecutive spaces",
-                                    node: prop.value,
-                                });
-                            }
+                            checkValueWhitespaceHandler(prop.value, prop.value.value);
                         }
 
                         if (prop.value && prop.value.type === "TemplateLiteral") {
@@ -1378,7 +1833,20 @@ const classNameNoExtraSpaces = {
     meta: {
         docs: { description: "Disallow extra/leading/trailing spaces in className values; smart detection for objects with Tailwind values and return statements" },
         fixable: "code",
-        schema: [],
+        messages: {
+            classStringNotLeading: "Class string should not have leading whitespace in template literal",
+            classStringNotLeadingWhitespace: "Class string should not have leading whitespace",
+            classStringNotMultiple: "Class string should not have multiple consecutive spaces",
+            classStringNotTrailing: "Class string should not have trailing whitespace in template literal",
+            classStringNotTrailingWhitespace: "Class string should not have trailing whitespace",
+        },
+        schema: [
+            {
+                additionalProperties: false,
+                properties: { callees: CALLEES_SCHEMA },
+                type: "object",
+            },
+        ],
         type: "layout",
     },
 };
@@ -1401,6 +1869,16 @@ const classNameNoExtraSpaces = {
  *
  * Both rules should be enabled together for complete coverage.
  *
+ * Stacked variants (md:hover:bg-x) sort after their single-variant
+ * counterparts, grouped by responsive → state → dark.
+ *
+ * Options:
+ *   - callees: Class-merging helpers whose class strings are checked
+ *     too (default: classnames, clsx, cn, cva, cx, tv, twJoin, twMerge);
+ *     a string is only sorted when every token looks like a class
+ *   - variantStackOrder: Order of variant groups inside a stack,
+ *     e.g. ["responsive", "state", "dark"] (default: not enforced)
+ *
  * ✓ Good:
  *   const variants = { primary: "bg-blue-500 hover:bg-blue-600" };
  *   return "border-error text-error focus:border-error";
@@ -1412,23 +1890,63 @@ const classNameNoExtraSpaces = {
 const classNameOrder = {
     create(context) {
         const sourceCode = context.sourceCode || context.getSourceCode();
+        const tailwindTheme = getTailwindTheme(context);
+        const options = context.options[0] || {};
+        const callees = options.callees || DEFAULT_CLASS_CALLEES;
+        const variantStackOrder = options.variantStackOrder || null;
+
+        // Put variant stacks in the configured order (md:hover: instead of hover:md:)
+        const orderStacksHandler = (value) => (variantStackOrder ? orderVariantStacks(value, variantStackOrder) : value);
+
+        // Find the first class whose variant stack is out of the configured order
+        const getStackViolationHandler = (value) => {
+            if (!variantStackOrder) return null;
+
+            const classes = value.trim().split(/\s+/).filter(Boolean);
+            const ordered = orderStacksHandler(classes.join(" ")).split(" ");
+            const index = classes.findIndex((cls, i) => cls !== ordered[i]);
+
+            if (index === -1) return null;
+
+            return { actual: classes[index], expected: ordered[index], order: variantStackOrder.join(" → ") };
+        };
+
+        // Check if a class string has classes or variant stacks out of order
+        const needsFixHandler = (value) => getStackViolationHandler(value) !== null
+            || needsReordering(value, tailwindTheme);
+
+        // Sort a class string after putting its variant stacks in order
+        const sortClassesHandler = (value) => sortTailwindClasses(orderStacksHandler(value), tailwindTheme);
+
+        // Report a class string with the message of its violation
+        const reportHandler = (node, value, fix) => {
+            const stackViolation = getStackViolationHandler(value);
+
+            context.report({
+                data: stackViolation || {},
+                fix,
+                messageId: stackViolation ? "variantStackOrder" : "tailwindClassesFollowRecommended",
+                node,
+            });
+        };
+
+        // Strings passed to class helpers are only sorted when every token looks like a class,
+        // so text arguments (clsx("Submit the form now")) are left alone
+        const isClassStringHandler = (value) => value.trim().split(/\s+/).filter(Boolean)
+            .every((token) => looksLikeClassName(token, tailwindTheme));
 
         // Check and fix string literal ordering
         const checkStringOrderHandler = (node, value, varName) => {
             // Smart detection
-            if (!isClassRelated(varName, value)) return;
+            if (!isClassRelated(varName, value, tailwindTheme)) return;
 
-            if (!needsReordering(value)) return;
+            if (!needsFixHandler(value)) return;
 
-            const sorted = sortTailwindClasses(value);
+            const sorted = sortClassesHandler(value);
             const raw = sourceCode.getText(node);
             const quote = raw[0];
 
-            context.report({
-                fix: (fixer) => fixer.replaceText(node, `${quote}${sorted}${quote}`),
-                message: "Tailwind classes should follow recommended order: layout (flex, grid) → sizing (w, h) → spacing (p, m) → typography (text, font) → colors (bg, text) → effects (shadow, opacity) → states (hover, focus)",
-                node,
-            });
+            reportHandler(node, value, (fixer) => fixer.replaceText(node, `${quote}${sorted}${quote}`));
         };
 
         // Check template literal ordering (only static parts)
@@ -1438,7 +1956,7 @@ const classNameOrder = {
             // Get static content for detection
             const staticContent = quasis.map((q) => q.value.raw).join(" ").trim();
 
-            if (!isClassRelated(varName, staticContent)) return;
+            if (!isClassRelated(varName, staticContent, tailwindTheme)) return;
 
             // Check if any quasi needs reordering
             let needsFix = false;
@@ -1446,7 +1964,7 @@ const classNameOrder = {
             for (const quasi of quasis) {
                 const value = quasi.value.raw.trim();
 
-                if (value && needsReordering(value)) {
+                if (value && needsFixHandler(value)) {
                     needsFix = true;
                     break;
                 }
@@ -1454,62 +1972,51 @@ const classNameOrder = {
 
             if (!needsFix) return;
 
-            context.report({
-                fix: (fixer) => {
-                    // Rebuild the template literal with sorted classes
-                    let result = "`";
-
-                    for (let i = 0; i < quasis.length; i += 1) {
-                        const quasi = quasis[i];
-                        const raw = quasi.value.raw;
-
-                        // Sort the static part while preserving leading/trailing whitespace
-                        const leadingSpace = raw.match(/^\s*/)[0];
-                        const trailingSpace = raw.match(/\s*$/)[0];
-                        const trimmed = raw.trim();
-                        const isMultilineQuasi = /\n/.test(trimmed);
-                        let sorted;
-
-                        if (isMultilineQuasi && trimmed) {
-                            // Preserve multiline format: sort classes, rejoin without empty lines
-                            const lines = raw.split("\n");
-                            const classesFromLines = lines.map((l) => l.trim()).filter(Boolean);
-                            const sortedClasses = [...classesFromLines].sort((a, b) => {
-                                const orderA = getClassOrder(a);
-                                const orderB = getClassOrder(b);
-
-                                if (orderA !== orderB) return orderA - orderB;
-
-                                return a.localeCompare(b);
-                            });
-
-                            // Detect indent from first non-empty line
-                            const indentLine = lines.find((l) => l.trim().length > 0);
-                            const lineIndent = indentLine ? indentLine.match(/^\s*/)[0] : "";
-
-                            // Rebuild: newline + sorted classes + trailing newline with base indent only
-                            const lastLine = lines[lines.length - 1];
-                            const baseIndentMatch = lastLine.match(/^\s*/);
-                            const trailingIndent = baseIndentMatch ? baseIndentMatch[0] : "";
-
-                            result += "\n" + sortedClasses.map((cls) => lineIndent + cls).join("\n") + "\n" + trailingIndent;
-                        } else {
-                            sorted = trimmed ? sortTailwindClasses(trimmed) : "";
-                            result += leadingSpace + sorted + trailingSpace;
-                        }
+            reportHandler(templateLiteral, staticContent, (fixer) => {
+                // Rebuild the template literal with sorted classes
+                let result = "`";
+
+                for (let i = 0; i < quasis.length; i += 1) {
+                    const quasi = quasis[i];
+                    const raw = quasi.value.raw;
+
+                    // Sort the static part while preserving leading/trailing whitespace
+                    const leadingSpace = raw.match(/^\s*/)[0];
+                    const trailingSpace = raw.match(/\s*$/)[0];
+                    const trimmed = raw.trim();
+                    const isMultilineQuasi = /\n/.test(trimmed);
+                    let sorted;
+
+                    if (isMultilineQuasi && trimmed) {
+                        // Preserve multiline format: sort classes, rejoin without empty lines
+                        const lines = raw.split("\n");
+                        const classesFromLines = lines.map((l) => orderStacksHandler(l.trim())).filter(Boolean);
+                        const sortedClasses = [...classesFromLines].sort((a, b) => compareTailwindClasses(a, b, tailwindTheme));
+
+                        // Detect indent from first non-empty line
+                        const indentLine = lines.find((l) => l.trim().length > 0);
+                        const lineIndent = indentLine ? indentLine.match(/^\s*/)[0] : "";
+
+                        // Rebuild: newline + sorted classes + trailing newline with base indent only
+                        const lastLine = lines[lines.length - 1];
+                        const baseIndentMatch = lastLine.match(/^\s*/);
+                        const trailingIndent = baseIndentMatch ? baseIndentMatch[0] : "";
+
+                        result += "\n" + sortedClasses.map((cls) => lineIndent + cls).join("\n") + "\n" + trailingIndent;
+                    } else {
+                        sorted = trimmed ? sortClassesHandler(trimmed) : "";
+                        result += leadingSpace + sorted + trailingSpace;
+                    }
 
-                        // Add expression if not the last quasi
-                        if (i < expressions.length) {
-                            result += "${" + sourceCode.getText(expressions[i]) + "}";
-                        }
+                    // Add expression if not the last quasi
+                    if (i < expressions.length) {
+                        result += "${" + sourceCode.getText(expressions[i]) + "}";
                     }
+                }
 
-                    result += "`";
+                result += "`";
 
-                    return fixer.replaceText(templateLiteral, result);
-                },
-                message: "Tailwind classes should follow recommended order: layout (flex, grid) → sizing (w, h) → spacing (p, m) → typography (text, font) → colors (bg, text) → effects (shadow, opacity) → states (hover, focus)",
-                node: templateLiteral,
+                return fixer.replaceText(templateLiteral, result);
             });
         };
 
@@ -1517,6 +2024,19 @@ const classNameOrder = {
             // Note: JSX className attributes are NOT checked here
             // They should be handled by tailwindcss/classnames-order
 
+            // Check class strings passed to class-merging helpers (callees option)
+            CallExpression(node) {
+                if (!callees.includes(getCalleeName(node))) return;
+
+                getCallClassStrings(node).forEach((classString) => {
+                    if (classString.type === "TemplateLiteral") {
+                        if (isClassStringHandler(classString.quasis.map((quasi) => quasi.value.raw).join(" "))) checkTemplateLiteralOrderHandler(classString, "className");
+                    } else if (isClassStringHandler(classString.value)) {
+                        checkStringOrderHandler(classString, classString.value, "className");
+                    }
+                });
+            },
+
             // Check variable declarations
             VariableDeclarator(node) {
                 if (!node.id || node.id.type !== "Identifier") return;
@@ -1542,18 +2062,14 @@ const classNameOrder = {
                             const value = prop.value.value;
 
                             // Check if variable name suggests classes OR value looks like Tailwind
-                            if (!isClassRelated(varName, value)) return;
+                            if (!isClassRelated(varName, value, tailwindTheme)) return;
 
-                            if (needsReordering(value)) {
-                                const sorted = sortTailwindClasses(value);
+                            if (needsFixHandler(value)) {
+                                const sorted = sortClassesHandler(value);
                                 const raw = sourceCode.getText(prop.value);
                                 const quote = raw[0];
 
-                                context.report({
-                                    fix: (fixer) => fixer.replaceText(prop.value, `${quote}${sorted}${quote}`),
-                                    message: "Tailwind classes should follow recommended order: layout (flex, grid) → sizing (w, h) → spacing (p, m) → typography (text, font) → colors (bg, text) → effects (shadow, opacity) → states (hover, focus)",
-                                    node: prop.value,
-                                });
+                                reportHandler(prop.value, value, (fixer) => fixer.replaceText(prop.value, `${quote}${sorted}${quote}`));
                             }
                         }
 
@@ -1561,7 +2077,7 @@ const classNameOrder = {
                             // For template literals, extract static content to check for Tailwind classes
                             const staticContent = prop.value.quasis.map((q) => q.value.raw).join(" ").trim();
 
-                            if (isClassRelated(varName, staticContent)) {
+                            if (isClassRelated(varName, staticContent, tailwindTheme)) {
                                 checkTemplateLiteralOrderHandler(prop.value, varName);
                             }
                         }
@@ -1576,16 +2092,12 @@ const classNameOrder = {
                 if (node.argument.type === "Literal" && typeof node.argument.value === "string") {
                     const value = node.argument.value;
 
-                    if (looksLikeTailwindClasses(value) && needsReordering(value)) {
-                        const sorted = sortTailwindClasses(value);
+                    if (looksLikeTailwindClasses(value, tailwindTheme) && needsFixHandler(value)) {
+                        const sorted = sortClassesHandler(value);
                         const raw = sourceCode.getText(node.argument);
                         const quote = raw[0];
 
-                        context.report({
-                            fix: (fixer) => fixer.replaceText(node.argument, `${quote}${sorted}${quote}`),
-                            message: "Tailwind classes should follow recommended order: layout (flex, grid) → sizing (w, h) → spacing (p, m) → typography (text, font) → colors (bg, text) → effects (shadow, opacity) → states (hover, focus)",
-                            node: node.argument,
-                        });
+                        reportHandler(node.argument, value, (fixer) => fixer.replaceText(node.argument, `${quote}${sorted}${quote}`));
                     }
                 }
 
@@ -1598,11 +2110,160 @@ const classNameOrder = {
     meta: {
         docs: { description: "Enforce Tailwind CSS class ordering in class strings; smart detection for objects with Tailwind values and return statements" },
         fixable: "code",
-        schema: [],
+        messages: {
+            tailwindClassesFollowRecommended: "Tailwind classes should follow recommended order: layout (flex, grid) → sizing (w, h) → spacing (p, m) → typography (text, font) → colors (bg, text) → effects (shadow, opacity) → states (hover, focus)",
+            variantStackOrder: "Variants should be stacked in the order {{order}}: \"{{expected}}\" instead of \"{{actual}}\"",
+        },
+        schema: [
+            {
+                additionalProperties: false,
+                properties: {
+                    callees: CALLEES_SCHEMA,
+                    variantStackOrder: {
+                        items: { enum: VARIANT_GROUPS, type: "string" },
+                        minItems: 1,
+                        type: "array",
+                        uniqueItems: true,
+                    },
+                },
+                type: "object",
+            },
+        ],
         type: "layout",
     },
 };
 
+/**
+ * ───────────────────────────────────────────────────────────────
+ * Rule: className Shorthand
+ * ───────────────────────────────────────────────────────────────
+ *
+ * Description:
+ *   Collapse Tailwind utility pairs that share a value and variant
+ *   stack into their shorthand (px-4 py-4 → p-4, w-8 h-8 → size-8,
+ *   mt-2 mb-2 → my-2). Pairs are not merged when another class in
+ *   the same variant stack sets one of the sides, since the merge
+ *   would change which class wins. Checks className attributes,
+ *   class utility calls (cn, clsx, twMerge...) and class-related
+ *   variables.
+ *
+ * Options:
+ *   - callees: Class-merging helpers whose class strings are checked
+ *     (default: classnames, clsx, cn, cva, cx, tv, twJoin, twMerge)
+ *
+ * ✓ Good:
+ *   className="p-4 md:size-8"
+ *   className="px-4 py-2"
+ *
+ * ✗ Bad:
+ *   className="px-4 py-4 md:w-8 md:h-8"
+ *   const cardClasses = cn("mt-2 mb-2 ml-2 mr-2", className);
+ */
+const classNameShorthand = {
+    create(context) {
+        const sourceCode = context.sourceCode || context.getSourceCode();
+        const tailwindTheme = getTailwindTheme(context);
+        const options = context.options[0] || {};
+        const callees = options.callees || DEFAULT_CLASS_CALLEES;
+
+        // Report utility pairs that collapse into a shorthand
+        const checkClassStringHandler = (node) => {
+            const parts = getClassStringParts(node, sourceCode);
+            const tokens = getClassTokens(parts);
+            const merges = getShorthandMerges(tokens.map(({ cls }) => cls));
+
+            if (merges.length === 0) return;
+
+            // The first class of each merge takes the shorthand, the others are removed
+            const edits = merges.flatMap(({ indexes, shorthand }) => indexes.map((index, i) => (i === 0
+                ? { ...tokens[index], replacement: shorthand }
+                : tokens[index])));
+            const fixHandler = (fixer) => fixer.replaceText(node, buildEditedClassString(node, parts, edits, sourceCode));
+
+            merges.forEach(({ indexes, shorthand }) => {
+                context.report({
+                    data: {
+                        classes: indexes.map((index) => tokens[index].cls).join(" "),
+                        shorthand,
+                    },
+                    fix: fixHandler,
+                    messageId: "useShorthand",
+                    node,
+                });
+            });
+        };
+
+        // Check a string or template literal when it holds class names
+        const checkValueHandler = (node, varName) => {
+            if (node.type === "Literal" && typeof node.value === "string") {
+                if (isClassRelated(varName, node.value, tailwindTheme)) checkClassStringHandler(node);
+
+                return;
+            }
+
+            if (node.type === "TemplateLiteral") {
+                const staticContent = node.quasis.map((q) => q.value.raw).join(" ").trim();
+
+                if (isClassRelated(varName, staticContent, tailwindTheme)) checkClassStringHandler(node);
+            }
+        };
+
+        return {
+            // Check class strings passed to class-merging helpers (callees option)
+            CallExpression(node) {
+                if (!callees.includes(getCalleeName(node))) return;
+
+                getCallClassStrings(node).forEach((classString) => checkValueHandler(classString, "className"));
+            },
+
+            // Check className JSX attribute
+            JSXAttribute(node) {
+                if (!node.name || node.name.name !== "className" || !node.value) return;
+
+                if (node.value.type === "JSXExpressionContainer") {
+                    checkValueHandler(node.value.expression, "className");
+
+                    return;
+                }
+
+                checkValueHandler(node.value, "className");
+            },
+
+            // Check class-related variables and their object values
+            VariableDeclarator(node) {
+                if (!node.id || node.id.type !== "Identifier" || !node.init) return;
+
+                const varName = node.id.name;
+
+                if (node.init.type === "ObjectExpression") {
+                    node.init.properties.forEach((prop) => {
+                        if (prop.type === "Property" && prop.value) checkValueHandler(prop.value, varName);
+                    });
+
+                    return;
+                }
+
+                checkValueHandler(node.init, varName);
+            },
+        };
+    },
+    meta: {
+        docs: { description: "Enforce Tailwind shorthand utilities when a pair of classes shares a value and variant stack (px-4 py-4 → p-4); auto-fixable" },
+        fixable: "code",
+        messages: {
+            useShorthand: "Use \"{{shorthand}}\" instead of \"{{classes}}\"",
+        },
+        schema: [
+            {
+                additionalProperties: false,
+                properties: { callees: CALLEES_SCHEMA },
+                type: "object",
+            },
+        ],
+        type: "suggestion",
+    },
+};
+
 /**
  * ───────────────────────────────────────────────────────────────
  * Rule: className Multiline
@@ -1615,6 +2276,12 @@ const classNameOrder = {
  *   Uses smart detection: checks objects/returns if values look
  *   like Tailwind classes.
  *
+ * Options:
+ *   - callees: Class-merging helpers whose class strings are checked
+ *     (default: classnames, clsx, cn, cva, cx, tv, twJoin, twMerge)
+ *   - maxClassCount: Maximum classes on a single line (default: 3)
+ *   - maxLength: Maximum class string length on a single line (default: 80)
+ *
  * ✓ Good:
  *   const variants = {
  *       primary: `
@@ -1636,9 +2303,11 @@ const classNameOrder = {
 const classNameMultiline = {
     create(context) {
         const sourceCode = context.sourceCode || context.getSourceCode();
+        const tailwindTheme = getTailwindTheme(context);
         const options = context.options[0] || {};
         const maxClassCount = options.maxClassCount ?? DEFAULT_MAX_CLASS_COUNT;
         const maxLength = options.maxLength ?? DEFAULT_MAX_CLASS_LENGTH;
+        const callees = options.callees || DEFAULT_CLASS_CALLEES;
 
         // Get the leading whitespace of the line where a node starts
         const getLineIndent = (node) => {
@@ -1741,7 +2410,7 @@ const classNameMultiline = {
 
         // Handle string literal className
         const checkStringLiteralHandler = (node, value, varName) => {
-            if (!isClassRelated(varName, value)) return;
+            if (!isClassRelated(varName, value, tailwindTheme)) return;
 
             const classes = value.trim().split(/\s+/).filter(Boolean);
             const classesOnly = classes.join(" ");
@@ -1755,7 +2424,7 @@ const classNameMultiline = {
 
                     context.report({
                         fix: (fixer) => fixer.replaceText(node, `${quote}${classesOnly}${quote}`),
-                        message: "Class string under threshold should be on a single line",
+                        messageId: "classStringUnderThreshold",
                         node,
                     });
                 }
@@ -1769,6 +2438,10 @@ const classNameMultiline = {
             if (isCorrectlyMultiline(value, baseIndent)) return;
 
             context.report({
+                data: {
+                    maxClassCount,
+                    maxLength,
+                },
                 fix: (fixer) => {
                     const parent = node.parent;
 
@@ -1779,7 +2452,7 @@ const classNameMultiline = {
                     // Variables/objects: multiline "..." is invalid JS, use template literal
                     return fixer.replaceText(node, buildMultilineTemplate(classes, [], baseIndent));
                 },
-                message: `Class strings with >${maxClassCount} classes or >${maxLength} chars should be multiline with one class per line. Example: className="\\n    flex\\n    items-center\\n"`,
+                messageId: "classStringsClassesChars",
                 node,
             });
         };
@@ -1789,7 +2462,7 @@ const classNameMultiline = {
             const { expressions, quasis } = templateLiteral;
             const staticContent = quasis.map((q) => q.value.raw).join(" ").trim();
 
-            if (!isClassRelated(varName, staticContent)) return;
+            if (!isClassRelated(varName, staticContent, tailwindTheme)) return;
 
             const allClasses = staticContent.split(/\s+/).filter(Boolean);
             const dynamicExprs = expressions.map((expr) => sourceCode.getText(expr));
@@ -1815,14 +2488,14 @@ const classNameMultiline = {
                         // JSX no expressions → use "..."
                         context.report({
                             fix: (fixer) => fixer.replaceText(jsxContainer, `"${collapsed}"`),
-                            message: "Class string under threshold should be on a single line",
+                            messageId: "classStringUnderThreshold",
                             node: templateLiteral,
                         });
                     } else if (dynamicExprs.length === 0) {
                         // Variable no expressions → use `...` single line
                         context.report({
                             fix: (fixer) => fixer.replaceText(templateLiteral, `\`${collapsed}\``),
-                            message: "Class string under threshold should be on a single line",
+                            messageId: "classStringUnderThreshold",
                             node: templateLiteral,
                         });
                     } else {
@@ -1830,7 +2503,7 @@ const classNameMultiline = {
 
                         context.report({
                             fix: (fixer) => fixer.replaceText(templateLiteral, `\`${parts.join(" ")}\``),
-                            message: "Class string under threshold should be on a single line",
+                            messageId: "classStringUnderThreshold",
                             node: templateLiteral,
                         });
                     }
@@ -1847,7 +2520,7 @@ const classNameMultiline = {
 
                 context.report({
                     fix: (fixer) => fixer.replaceText(jsxContainer, multiline),
-                    message: "Use string literal instead of template literal for className with no dynamic expressions",
+                    messageId: "stringLiteralTemplateLiteral",
                     node: templateLiteral,
                 });
 
@@ -1864,8 +2537,12 @@ const classNameMultiline = {
             const multiline = buildMultilineTemplate(allClasses, dynamicExprs, baseIndent);
 
             context.report({
+                data: {
+                    maxClassCount,
+                    maxLength,
+                },
                 fix: (fixer) => fixer.replaceText(templateLiteral, multiline),
-                message: `Class strings with >${maxClassCount} classes or >${maxLength} chars should be multiline with one class per line. Example: className="\\n    flex\\n    items-center\\n"`,
+                messageId: "classStringsClassesChars",
                 node: templateLiteral,
             });
         };
@@ -1907,7 +2584,7 @@ const classNameMultiline = {
 
                         if (prop.value && prop.value.type === "Literal" && typeof prop.value.value === "string") {
                             // Check if variable name suggests classes OR if the value looks like Tailwind classes
-                            if (isClassRelated(varName, prop.value.value)) {
+                            if (isClassRelated(varName, prop.value.value, tailwindTheme)) {
                                 checkStringLiteralHandler(prop.value, prop.value.value, varName);
                             }
                         }
@@ -1916,7 +2593,7 @@ const classNameMultiline = {
                             // For template literals, extract static content to check for Tailwind classes
                             const staticContent = prop.value.quasis.map((q) => q.value.raw).join(" ").trim();
 
-                            if (isClassRelated(varName, staticContent)) {
+                            if (isClassRelated(varName, staticContent, tailwindTheme)) {
                                 checkTemplateLiteralHandler(prop.value, varName);
                             }
                         }
@@ -1924,53 +2601,16 @@ const classNameMultiline = {
                 }
             },
 
-            // Check class utility function calls: cn(), cva(), clsx(), twMerge(), etc.
+            // Check class strings passed to class-merging helpers: cn(), cva(), clsx(), twMerge(), etc.
             CallExpression(node) {
-                if (!node.callee) return;
-
-                const calleeName = node.callee.name
-                    || (node.callee.property && node.callee.property.name);
-
-                const classUtilFunctions = new Set([
-                    "cn", "cva", "clsx", "twMerge", "classnames", "cx", "tv", "twJoin",
-                ]);
-
-                if (!calleeName || !classUtilFunctions.has(calleeName)) return;
+                if (!callees.includes(getCalleeName(node))) return;
 
-                // Check each string/template argument
-                node.arguments.forEach((arg) => {
-                    if (arg.type === "Literal" && typeof arg.value === "string") {
-                        checkStringLiteralHandler(arg, arg.value, "className");
-                    }
-
-                    if (arg.type === "TemplateLiteral") {
-                        checkTemplateLiteralHandler(arg, "className");
-                    }
-
-                    // For cva/tv: check variant object values
-                    if (arg.type === "ObjectExpression") {
-                        const variantsProp = arg.properties.find(
-                            (p) => p.type === "Property" && p.key && (p.key.name === "variants" || p.key.value === "variants"),
-                        );
+                getCallClassStrings(node).forEach((classString) => {
+                    // Conditional object keys cannot become template literals
+                    if (classString.parent.type === "Property" && classString.parent.key === classString) return;
 
-                        if (variantsProp && variantsProp.value && variantsProp.value.type === "ObjectExpression") {
-                            variantsProp.value.properties.forEach((category) => {
-                                if (category.type !== "Property" || !category.value || category.value.type !== "ObjectExpression") return;
-
-                                category.value.properties.forEach((variant) => {
-                                    if (variant.type !== "Property") return;
-
-                                    if (variant.value && variant.value.type === "Literal" && typeof variant.value.value === "string") {
-                                        checkStringLiteralHandler(variant.value, variant.value.value, "className");
-                                    }
-
-                                    if (variant.value && variant.value.type === "TemplateLiteral") {
-                                        checkTemplateLiteralHandler(variant.value, "className");
-                                    }
-                                });
-                            });
-                        }
-                    }
+                    if (classString.type === "TemplateLiteral") checkTemplateLiteralHandler(classString, "className");
+                    else checkStringLiteralHandler(classString, classString.value, "className");
                 });
             },
 
@@ -1981,7 +2621,7 @@ const classNameMultiline = {
                 if (node.argument.type === "Literal" && typeof node.argument.value === "string") {
                     const value = node.argument.value;
 
-                    if (looksLikeTailwindClasses(value)) {
+                    if (looksLikeTailwindClasses(value, tailwindTheme)) {
                         checkStringLiteralHandler(node.argument, value, "return");
                     }
                 }
@@ -1989,7 +2629,7 @@ const classNameMultiline = {
                 if (node.argument.type === "TemplateLiteral") {
                     const staticContent = node.argument.quasis.map((q) => q.value.raw).join(" ").trim();
 
-                    if (looksLikeTailwindClasses(staticContent)) {
+                    if (looksLikeTailwindClasses(staticContent, tailwindTheme)) {
                         checkTemplateLiteralHandler(node.argument, "return");
                     }
                 }
@@ -1999,10 +2639,16 @@ const classNameMultiline = {
     meta: {
         docs: { description: "Enforce multiline formatting for long className strings; smart detection for objects with Tailwind values, return statements, and class utility calls (cn, cva, clsx)" },
         fixable: "code",
+        messages: {
+            classStringUnderThreshold: "Class string under threshold should be on a single line",
+            classStringsClassesChars: "Class strings with >{{maxClassCount}} classes or >{{maxLength}} chars should be multiline with one class per line. Example: className=\"\\n    flex\\n    items-center\\n\"",
+            stringLiteralTemplateLiteral: "Use string literal instead of template literal for className with no dynamic expressions",
+        },
         schema: [
             {
                 additionalProperties: false,
                 properties: {
+                    callees: CALLEES_SCHEMA,
                     maxClassCount: { default: 3, minimum: 1, type: "integer" },
                     maxLength: { default: 80, minimum: 1, type: "integer" },
                 },
@@ -2053,7 +2699,7 @@ const jsxStringValueTrim = {
                         node.value,
                         `${quote}${trimmed}${quote}`,
                     ),
-                    message: "JSX string value should not have leading or trailing whitespace",
+                    messageId: "jsxStringValueNot",
                     node: node.value,
                 });
             }
@@ -2064,6 +2710,9 @@ const jsxStringValueTrim = {
     meta: {
         docs: { description: "Disallow leading/trailing whitespace in JSX string values" },
         fixable: "code",
+        messages: {
+            jsxStringValueNot: "JSX string value should not have leading or trailing whitespace",
+        },
         schema: [],
         type: "layout",
     },
@@ -2182,9 +2831,12 @@ const jsxTernaryFormat = {
                 if (hasConditionBrokenAcrossLinesHandler(node.test)) {
                     const collapsedCondition = getCollapsedConditionTextHandler(node.test);
 
+                    // A line comment would swallow the rest of the collapsed condition
+                    const hasLineComment = sourceCode.getCommentsInside(node.test).some((comment) => comment.type === "Line");
+
                     context.report({
-                        fix: (fixer) => fixer.replaceText(node.test, collapsedCondition),
-                        message: "Ternary condition should not be broken across multiple lines",
+                        fix: hasLineComment ? null : (fixer) => fixer.replaceText(node.test, collapsedCondition),
+                        messageId: "ternaryConditionNotBroken",
                         node: node.test,
                     });
                 }
@@ -2200,7 +2852,7 @@ const jsxTernaryFormat = {
                                     [openBrace.range[1], node.test.range[0]],
                                     "",
                                 ),
-                                message: "Ternary condition should be on same line as opening '{'",
+                                messageId: "ternaryConditionSameLine",
                                 node: node.test,
                             });
                         }
@@ -2236,7 +2888,7 @@ const jsxTernaryFormat = {
                             fixer.remove(openParen),
                             fixer.remove(closeParen),
                         ],
-                        message: "Unnecessary parentheses around simple JSX element",
+                        messageId: "unnecessaryParenthesesAroundSimple",
                         node: consequent,
                     });
                 }
@@ -2250,7 +2902,7 @@ const jsxTernaryFormat = {
                             fixer.remove(openParen),
                             fixer.remove(closeParen),
                         ],
-                        message: "Unnecessary parentheses around simple JSX element",
+                        messageId: "unnecessaryParenthesesAroundSimple",
                         node: alternate,
                     });
                 }
@@ -2263,12 +2915,15 @@ const jsxTernaryFormat = {
                         const consequentText = sourceCode.getText(consequent);
                         const alternateText = sourceCode.getText(alternate);
 
+                        // Rebuilding the ternary from its parts would drop comments between them
+                        const hasComments = sourceCode.getCommentsInside(node).length > 0;
+
                         context.report({
-                            fix: (fixer) => fixer.replaceText(
+                            fix: hasComments ? null : (fixer) => fixer.replaceText(
                                 node,
                                 `${testText} ? ${consequentText} : ${alternateText}`,
                             ),
-                            message: "Simple ternary with single-line JSX should be on one line",
+                            messageId: "simpleTernarySingleLine",
                             node,
                         });
                     }
@@ -2291,7 +2946,7 @@ const jsxTernaryFormat = {
                                 [node.test.range[1], questionToken.range[0]],
                                 " ",
                             ),
-                            message: "'?' should be on same line as condition",
+                            messageId: "questionSameLineAsCondition",
                             node: questionToken,
                         });
                     }
@@ -2303,7 +2958,7 @@ const jsxTernaryFormat = {
                                 [questionToken.range[1], consequent.range[0]],
                                 " ",
                             ),
-                            message: "Simple JSX should be on same line as '?'",
+                            messageId: "simpleJsxSameLineAsQuestion",
                             node: consequent,
                         });
                     }
@@ -2315,7 +2970,7 @@ const jsxTernaryFormat = {
                                 [consequent.range[1], colonToken.range[0]],
                                 " ",
                             ),
-                            message: "':' should be on same line as simple JSX",
+                            messageId: "colonSameLineAsSimpleJsx",
                             node: colonToken,
                         });
                     }
@@ -2327,7 +2982,7 @@ const jsxTernaryFormat = {
                                 [colonToken.range[1], alternate.range[0]],
                                 " ",
                             ),
-                            message: "Expression should start on same line as ':'",
+                            messageId: "expressionStartSameLine",
                             node: alternate,
                         });
                     }
@@ -2348,7 +3003,7 @@ const jsxTernaryFormat = {
                                 [node.test.range[1], questionToken.range[0]],
                                 " ",
                             ),
-                            message: "'?' should be on same line as condition",
+                            messageId: "questionSameLineAsCondition",
                             node: questionToken,
                         });
                     }
@@ -2360,7 +3015,7 @@ const jsxTernaryFormat = {
                                 [questionToken.range[1], consequent.range[0]],
                                 " ",
                             ),
-                            message: "Simple JSX should be on same line as '?'",
+                            messageId: "simpleJsxSameLineAsQuestion",
                             node: consequent,
                         });
                     }
@@ -2372,7 +3027,7 @@ const jsxTernaryFormat = {
                                 [consequent.range[1], colonToken.range[0]],
                                 " ",
                             ),
-                            message: "':' should be on same line as simple JSX",
+                            messageId: "colonSameLineAsSimpleJsx",
                             node: colonToken,
                         });
                     }
@@ -2388,7 +3043,7 @@ const jsxTernaryFormat = {
                                     [colonToken.range[1], tokenAfterColon.range[0]],
                                     " ",
                                 ),
-                                message: "'(' should be on same line as ':'",
+                                messageId: "openParenSameLineAsColon",
                                 node: tokenAfterColon,
                             });
                         }
@@ -2398,11 +3053,8 @@ const jsxTernaryFormat = {
 
                         if (alternateStart && tokenAfterColon.loc.end.line === alternateStart.loc.start.line) {
                             context.report({
-                                fix: (fixer) => fixer.replaceTextRange(
-                                    [tokenAfterColon.range[1], alternateStart.range[0]],
-                                    "\n" + contentIndent,
-                                ),
-                                message: "Complex JSX should start on new line after '('",
+                                fix: (fixer) => moveJsxToNewLine(fixer, sourceCode, tokenAfterColon, alternate, baseIndent),
+                                messageId: "complexJsxStartNew",
                                 node: alternate,
                             });
                         }
@@ -2420,7 +3072,7 @@ const jsxTernaryFormat = {
                                     [tokenBeforeLast.range[1], lastToken.range[0]],
                                     "\n" + baseIndent,
                                 ),
-                                message: "Closing ')' should be on new line",
+                                messageId: "closeParenNewLine",
                                 node: lastToken,
                             });
                         }
@@ -2432,7 +3084,7 @@ const jsxTernaryFormat = {
                                     [lastToken.range[1], closeBrace.range[0]],
                                     "",
                                 ),
-                                message: "Closing ')}' should be together",
+                                messageId: "closeParenBraceTogether",
                                 node: closeBrace,
                             });
                         }
@@ -2457,7 +3109,7 @@ const jsxTernaryFormat = {
                                     [node.test.range[1], questionToken.range[0]],
                                     " ",
                                 ),
-                                message: "'?' should be on same line as condition",
+                                messageId: "questionSameLineAsCondition",
                                 node: questionToken,
                             });
                         }
@@ -2468,7 +3120,7 @@ const jsxTernaryFormat = {
                                     [questionToken.range[1], tokenAfterQuestion.range[0]],
                                     " ",
                                 ),
-                                message: "'(' should be on same line as '?'",
+                                messageId: "openParenSameLineAsQuestion",
                                 node: tokenAfterQuestion,
                             });
                         }
@@ -2478,11 +3130,8 @@ const jsxTernaryFormat = {
 
                         if (jsxStart && tokenAfterQuestion.loc.end.line === jsxStart.loc.start.line) {
                             context.report({
-                                fix: (fixer) => fixer.replaceTextRange(
-                                    [tokenAfterQuestion.range[1], jsxStart.range[0]],
-                                    "\n" + contentIndent,
-                                ),
-                                message: "Complex JSX should start on new line after '('",
+                                fix: (fixer) => moveJsxToNewLine(fixer, sourceCode, tokenAfterQuestion, consequent, baseIndent),
+                                messageId: "complexJsxStartNew",
                                 node: consequent,
                             });
                         }
@@ -2500,7 +3149,7 @@ const jsxTernaryFormat = {
                                     [jsxEnd.range[1], tokenBeforeColon.range[0]],
                                     "\n" + baseIndent,
                                 ),
-                                message: "Closing ')' should be on new line after complex JSX",
+                                messageId: "closeParenNewLineAfterComplexJsx",
                                 node: tokenBeforeColon,
                             });
                         }
@@ -2512,7 +3161,7 @@ const jsxTernaryFormat = {
                                     [tokenBeforeColon.range[1], colonToken.range[0]],
                                     " ",
                                 ),
-                                message: "':' should be on same line as ')'",
+                                messageId: "colonSameLineAsCloseParen",
                                 node: colonToken,
                             });
                         }
@@ -2534,7 +3183,7 @@ const jsxTernaryFormat = {
                                     [colonToken.range[1], closingParen.range[1]],
                                     ` ${alternateText}`,
                                 ),
-                                message: "Simple JSX should not be wrapped in parentheses; put on same line as ':'",
+                                messageId: "simpleJsxNotWrapped",
                                 node: alternate,
                             });
 
@@ -2549,7 +3198,7 @@ const jsxTernaryFormat = {
                                 [colonToken.range[1], alternate.range[0]],
                                 " ",
                             ),
-                            message: "Simple JSX should be on same line as ':'",
+                            messageId: "simpleJsxSameLineAsColon",
                             node: alternate,
                         });
                     }
@@ -2561,7 +3210,7 @@ const jsxTernaryFormat = {
                                 [alternate.range[1], closeBrace.range[0]],
                                 "",
                             ),
-                            message: "'}' should be on same line as simple JSX",
+                            messageId: "closeBraceSameLineAsSimpleJsx",
                             node: closeBrace,
                         });
                     }
@@ -2590,7 +3239,7 @@ const jsxTernaryFormat = {
                                     [node.test.range[1], questionToken.range[0]],
                                     " ",
                                 ),
-                                message: "'?' should be on same line as condition",
+                                messageId: "questionSameLineAsCondition",
                                 node: questionToken,
                             });
                         }
@@ -2601,7 +3250,7 @@ const jsxTernaryFormat = {
                                     [questionToken.range[1], tokenAfterQuestion.range[0]],
                                     " ",
                                 ),
-                                message: "'(' should be on same line as '?'",
+                                messageId: "openParenSameLineAsQuestion",
                                 node: tokenAfterQuestion,
                             });
                         }
@@ -2611,11 +3260,8 @@ const jsxTernaryFormat = {
 
                         if (jsxStart && tokenAfterQuestion.loc.end.line === jsxStart.loc.start.line) {
                             context.report({
-                                fix: (fixer) => fixer.replaceTextRange(
-                                    [tokenAfterQuestion.range[1], jsxStart.range[0]],
-                                    "\n" + contentIndent,
-                                ),
-                                message: "Complex JSX should start on new line after '('",
+                                fix: (fixer) => moveJsxToNewLine(fixer, sourceCode, tokenAfterQuestion, consequent, baseIndent),
+                                messageId: "complexJsxStartNew",
                                 node: consequent,
                             });
                         } else if (jsxStart && jsxStart.loc.start.line - tokenAfterQuestion.loc.end.line > 1) {
@@ -2625,7 +3271,7 @@ const jsxTernaryFormat = {
                                     [tokenAfterQuestion.range[1], jsxStart.range[0]],
                                     "\n" + contentIndent,
                                 ),
-                                message: "No empty lines after '(' in ternary",
+                                messageId: "noEmptyLinesAfter",
                                 node: jsxStart,
                             });
                         }
@@ -2643,7 +3289,7 @@ const jsxTernaryFormat = {
                                     [jsxEnd.range[1], tokenBeforeColon.range[0]],
                                     "\n" + baseIndent,
                                 ),
-                                message: "Closing ')' should be on new line after complex JSX",
+                                messageId: "closeParenNewLineAfterComplexJsx",
                                 node: tokenBeforeColon,
                             });
                         } else if (tokenBeforeColon.loc.start.line - jsxEnd.loc.end.line > 1) {
@@ -2653,7 +3299,7 @@ const jsxTernaryFormat = {
                                     [jsxEnd.range[1], tokenBeforeColon.range[0]],
                                     "\n" + baseIndent,
                                 ),
-                                message: "No empty lines before ')' in ternary",
+                                messageId: "noEmptyLinesBefore",
                                 node: tokenBeforeColon,
                             });
                         }
@@ -2665,7 +3311,7 @@ const jsxTernaryFormat = {
                                     [tokenBeforeColon.range[1], colonToken.range[0]],
                                     " ",
                                 ),
-                                message: "':' should be on same line as ')'",
+                                messageId: "colonSameLineAsCloseParen",
                                 node: colonToken,
                             });
                         }
@@ -2678,7 +3324,7 @@ const jsxTernaryFormat = {
                                 [colonToken.range[1], alternate.range[0]],
                                 " ",
                             ),
-                            message: "Simple expression should be on same line as ':'",
+                            messageId: "simpleExpressionSameLine",
                             node: alternate,
                         });
                     }
@@ -2705,7 +3351,7 @@ const jsxTernaryFormat = {
                                 [node.test.range[1], questionToken.range[0]],
                                 " ",
                             ),
-                            message: "'?' should be on same line as condition",
+                            messageId: "questionSameLineAsCondition",
                             node: questionToken,
                         });
                     }
@@ -2717,7 +3363,7 @@ const jsxTernaryFormat = {
                                 [questionToken.range[1], tokenAfterQuestion.range[0]],
                                 " ",
                             ),
-                            message: "'(' should be on same line as '?'",
+                            messageId: "openParenSameLineAsQuestion",
                             node: tokenAfterQuestion,
                         });
                     }
@@ -2727,11 +3373,8 @@ const jsxTernaryFormat = {
 
                     if (jsxStart && tokenAfterQuestion.loc.end.line === jsxStart.loc.start.line) {
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [tokenAfterQuestion.range[1], jsxStart.range[0]],
-                                "\n" + contentIndent,
-                            ),
-                            message: "Complex JSX should start on new line after '('",
+                            fix: (fixer) => moveJsxToNewLine(fixer, sourceCode, tokenAfterQuestion, consequent, baseIndent),
+                            messageId: "complexJsxStartNew",
                             node: consequent,
                         });
                     } else if (jsxStart && jsxStart.loc.start.line - tokenAfterQuestion.loc.end.line > 1) {
@@ -2741,7 +3384,7 @@ const jsxTernaryFormat = {
                                 [tokenAfterQuestion.range[1], jsxStart.range[0]],
                                 "\n" + contentIndent,
                             ),
-                            message: "No empty lines after '(' in ternary",
+                            messageId: "noEmptyLinesAfter",
                             node: jsxStart,
                         });
                     }
@@ -2761,7 +3404,7 @@ const jsxTernaryFormat = {
                                 [jsxEnd.range[1], tokenBeforeColon.range[0]],
                                 "\n" + baseIndent,
                             ),
-                            message: "Closing ')' should be on new line after complex JSX",
+                            messageId: "closeParenNewLineAfterComplexJsx",
                             node: tokenBeforeColon,
                         });
                     } else if (jsxEnd && tokenBeforeColon.loc.start.line - jsxEnd.loc.end.line > 1) {
@@ -2771,7 +3414,7 @@ const jsxTernaryFormat = {
                                 [jsxEnd.range[1], tokenBeforeColon.range[0]],
                                 "\n" + baseIndent,
                             ),
-                            message: "No empty lines before ')' in ternary",
+                            messageId: "noEmptyLinesBefore",
                             node: tokenBeforeColon,
                         });
                     }
@@ -2783,7 +3426,7 @@ const jsxTernaryFormat = {
                                 [tokenBeforeColon.range[1], colonToken.range[0]],
                                 " ",
                             ),
-                            message: "':' should be on same line as ')'",
+                            messageId: "colonSameLineAsCloseParen",
                             node: colonToken,
                         });
                     }
@@ -2797,7 +3440,7 @@ const jsxTernaryFormat = {
                                 [colonToken.range[1], tokenAfterColon.range[0]],
                                 " ",
                             ),
-                            message: "'(' should be on same line as ':'",
+                            messageId: "openParenSameLineAsColon",
                             node: tokenAfterColon,
                         });
                     }
@@ -2807,11 +3450,8 @@ const jsxTernaryFormat = {
 
                     if (alternateStart && tokenAfterColon.loc.end.line === alternateStart.loc.start.line) {
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [tokenAfterColon.range[1], alternateStart.range[0]],
-                                "\n" + contentIndent,
-                            ),
-                            message: "Complex JSX should start on new line after '('",
+                            fix: (fixer) => moveJsxToNewLine(fixer, sourceCode, tokenAfterColon, alternate, baseIndent),
+                            messageId: "complexJsxStartNew",
                             node: alternate,
                         });
                     } else if (alternateStart && alternateStart.loc.start.line - tokenAfterColon.loc.end.line > 1) {
@@ -2821,7 +3461,7 @@ const jsxTernaryFormat = {
                                 [tokenAfterColon.range[1], alternateStart.range[0]],
                                 "\n" + contentIndent,
                             ),
-                            message: "No empty lines after '(' in ternary",
+                            messageId: "noEmptyLinesAfter",
                             node: alternateStart,
                         });
                     }
@@ -2839,7 +3479,7 @@ const jsxTernaryFormat = {
                                 [tokenBeforeLast.range[1], lastToken.range[0]],
                                 "\n" + baseIndent,
                             ),
-                            message: "Closing ')' should be on new line",
+                            messageId: "closeParenNewLine",
                             node: lastToken,
                         });
                     } else if (tokenBeforeLast && tokenBeforeLast.value !== "(" && lastToken.loc.start.line - tokenBeforeLast.loc.end.line > 1) {
@@ -2849,7 +3489,7 @@ const jsxTernaryFormat = {
                                 [tokenBeforeLast.range[1], lastToken.range[0]],
                                 "\n" + baseIndent,
                             ),
-                            message: "No empty lines before ')' in ternary",
+                            messageId: "noEmptyLinesBefore",
                             node: lastToken,
                         });
                     }
@@ -2861,7 +3501,7 @@ const jsxTernaryFormat = {
                                 [lastToken.range[1], closeBrace.range[0]],
                                 "",
                             ),
-                            message: "Closing ')}' should be together on same line",
+                            messageId: "closeParenBraceSameLine",
                             node: closeBrace,
                         });
                     }
@@ -2872,6 +3512,30 @@ const jsxTernaryFormat = {
     meta: {
         docs: { description: "Enforce consistent formatting for JSX ternary expressions" },
         fixable: "whitespace",
+        messages: {
+            closeBraceSameLineAsSimpleJsx: "'}' should be on same line as simple JSX",
+            closeParenBraceSameLine: "Closing ')}' should be together on same line",
+            closeParenBraceTogether: "Closing ')}' should be together",
+            closeParenNewLine: "Closing ')' should be on new line",
+            closeParenNewLineAfterComplexJsx: "Closing ')' should be on new line after complex JSX",
+            colonSameLineAsCloseParen: "':' should be on same line as ')'",
+            colonSameLineAsSimpleJsx: "':' should be on same line as simple JSX",
+            complexJsxStartNew: "Complex JSX should start on new line after '('",
+            expressionStartSameLine: "Expression should start on same line as ':'",
+            noEmptyLinesAfter: "No empty lines after '(' in ternary",
+            noEmptyLinesBefore: "No empty lines before ')' in ternary",
+            openParenSameLineAsColon: "'(' should be on same line as ':'",
+            openParenSameLineAsQuestion: "'(' should be on same line as '?'",
+            questionSameLineAsCondition: "'?' should be on same line as condition",
+            simpleExpressionSameLine: "Simple expression should be on same line as ':'",
+            simpleJsxNotWrapped: "Simple JSX should not be wrapped in parentheses; put on same line as ':'",
+            simpleJsxSameLineAsColon: "Simple JSX should be on same line as ':'",
+            simpleJsxSameLineAsQuestion: "Simple JSX should be on same line as '?'",
+            simpleTernarySingleLine: "Simple ternary with single-line JSX should be on one line",
+            ternaryConditionNotBroken: "Ternary condition should not be broken across multiple lines",
+            ternaryConditionSameLine: "Ternary condition should be on same line as opening '{'",
+            unnecessaryParenthesesAroundSimple: "Unnecessary parentheses around simple JSX element",
+        },
         schema: [],
         type: "layout",
     },
@@ -2925,11 +3589,8 @@ const noEmptyLinesInJsx = {
             // Check for empty line after opening tag
             if (firstChild.loc.start.line - openingElement.loc.end.line > 1) {
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
-                        [openingElement.range[1], firstChild.range[0]],
-                        "\n" + " ".repeat(firstChild.loc.start.column),
-                    ),
-                    message: "No empty line after opening JSX tag",
+                    fix: getCollapseFix(sourceCode, openingElement.range[1], firstChild.range[0], "\n" + " ".repeat(firstChild.loc.start.column)),
+                    messageId: "noEmptyLineAfter",
                     node: firstChild,
                 });
             }
@@ -2937,11 +3598,8 @@ const noEmptyLinesInJsx = {
             // Check for empty line before closing tag
             if (closingElement.loc.start.line - lastChild.loc.end.line > 1) {
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
-                        [lastChild.range[1], closingElement.range[0]],
-                        "\n" + " ".repeat(closingElement.loc.start.column),
-                    ),
-                    message: "No empty line before closing JSX tag",
+                    fix: getCollapseFix(sourceCode, lastChild.range[1], closingElement.range[0], "\n" + " ".repeat(closingElement.loc.start.column)),
+                    messageId: "noEmptyLineBefore",
                     node: closingElement,
                 });
             }
@@ -2981,7 +3639,7 @@ const noEmptyLinesInJsx = {
                                 [tokenBeforeClosing.range[1], closingBracket.range[0]],
                                 "",
                             ),
-                            message: "No space before closing bracket in non-self-closing JSX element",
+                            messageId: "noSpaceBeforeClosing",
                             node: closingBracket,
                         });
                     }
@@ -3001,12 +3659,14 @@ const noEmptyLinesInJsx = {
                         closingText = " /";
                     }
 
+                    const hasComments = sourceCode.commentsExistBetween(elementName, closingBracket);
+
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
+                        fix: hasComments ? null : (fixer) => fixer.replaceTextRange(
                             [elementName.range[1], endRange],
                             ` ${attrText}${closingText}`,
                         ),
-                        message: "Single simple JSX prop should be on the same line as element",
+                        messageId: "singleSimpleJsxProp",
                         node: firstAttr,
                     });
 
@@ -3014,13 +3674,10 @@ const noEmptyLinesInJsx = {
                 }
             }
 
-            if (firstAttr.loc.start.line - elementName.loc.end.line > 1) {
+            if (hasEmptyLineBetween(sourceCode, elementName.range[1], firstAttr.range[0])) {
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
-                        [elementName.range[1], firstAttr.range[0]],
-                        "\n" + " ".repeat(firstAttr.loc.start.column),
-                    ),
-                    message: "No empty line after JSX element name",
+                    fix: getCollapseFix(sourceCode, elementName.range[1], firstAttr.range[0], "\n" + " ".repeat(firstAttr.loc.start.column)),
+                    messageId: "noEmptyLineAfterJsx",
                     node: firstAttr,
                 });
             }
@@ -3039,13 +3696,10 @@ const noEmptyLinesInJsx = {
                 }
             }
 
-            if (closingBracket.loc.start.line - lastAttr.loc.end.line > 1) {
+            if (hasEmptyLineBetween(sourceCode, lastAttr.range[1], closingTokenStart)) {
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
-                        [lastAttr.range[1], closingTokenStart],
-                        "\n" + " ".repeat(closingIndent),
-                    ),
-                    message: "No empty line before closing bracket",
+                    fix: getCollapseFix(sourceCode, lastAttr.range[1], closingTokenStart, "\n" + " ".repeat(closingIndent)),
+                    messageId: "noEmptyLineBeforeClosing",
                     node: lastAttr,
                 });
             }
@@ -3055,13 +3709,10 @@ const noEmptyLinesInJsx = {
 
                 const next = attributes[i + 1];
 
-                if (next.loc.start.line - current.loc.end.line > 1) {
+                if (hasEmptyLineBetween(sourceCode, current.range[1], next.range[0])) {
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [current.range[1], next.range[0]],
-                            "\n" + " ".repeat(next.loc.start.column),
-                        ),
-                        message: "No empty line between JSX props",
+                        fix: getCollapseFix(sourceCode, current.range[1], next.range[0], "\n" + " ".repeat(next.loc.start.column)),
+                        messageId: "noEmptyLineBetween",
                         node: next,
                     });
                 }
@@ -3083,19 +3734,12 @@ const noEmptyLinesInJsx = {
 
             const openParenPos = textBefore.indexOf("(");
 
-            if (openParenPos !== -1) {
-                const afterParen = textBefore.slice(openParenPos + 1);
-
-                if (afterParen.split("\n").length > 2) {
-                    context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [node.range[0] + openParenPos + 1, arg.range[0]],
-                            "\n" + " ".repeat(arg.loc.start.column),
-                        ),
-                        message: "No empty line allowed after opening parenthesis in return",
-                        node: arg,
-                    });
-                }
+            if (openParenPos !== -1 && hasEmptyLineBetween(sourceCode, node.range[0] + openParenPos + 1, arg.range[0])) {
+                context.report({
+                    fix: getCollapseFix(sourceCode, node.range[0] + openParenPos + 1, arg.range[0], "\n" + " ".repeat(arg.loc.start.column)),
+                    messageId: "noEmptyLineAllowed",
+                    node: arg,
+                });
             }
 
             // Check for empty line before closing parenthesis
@@ -3107,22 +3751,17 @@ const noEmptyLinesInJsx = {
             const closeParenPos = textAfter.lastIndexOf(")");
 
             if (closeParenPos !== -1) {
-                const beforeParen = textAfter.slice(0, closeParenPos);
-
-                if (beforeParen.split("\n").length > 2) {
-                    const closeParenIndex = arg.range[1] + closeParenPos;
+                const closeParenIndex = arg.range[1] + closeParenPos;
 
+                if (hasEmptyLineBetween(sourceCode, arg.range[1], closeParenIndex)) {
                     const indent = sourceText.slice(
                         0,
                         closeParenIndex,
                     ).split("\n").pop().match(/^\s*/)[0];
 
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [arg.range[1], closeParenIndex],
-                            "\n" + indent,
-                        ),
-                        message: "No empty line allowed before closing parenthesis in return",
+                        fix: getCollapseFix(sourceCode, arg.range[1], closeParenIndex, "\n" + indent),
+                        messageId: "noEmptyLineAllowedBefore",
                         node,
                     });
                 }
@@ -3142,13 +3781,10 @@ const noEmptyLinesInJsx = {
             // Check for opening parenthesis after arrow
             if (tokenAfterArrow && tokenAfterArrow.value === "(") {
                 // Check for empty line after (
-                if (body.loc.start.line - tokenAfterArrow.loc.end.line > 1) {
+                if (hasEmptyLineBetween(sourceCode, tokenAfterArrow.range[1], body.range[0])) {
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [tokenAfterArrow.range[1], body.range[0]],
-                            "\n" + " ".repeat(body.loc.start.column),
-                        ),
-                        message: "No empty line allowed after opening parenthesis in arrow function",
+                        fix: getCollapseFix(sourceCode, tokenAfterArrow.range[1], body.range[0], "\n" + " ".repeat(body.loc.start.column)),
+                        messageId: "noEmptyLineAllowedAfter",
                         node: body,
                     });
                 }
@@ -3156,13 +3792,10 @@ const noEmptyLinesInJsx = {
 
             const tokenAfter = sourceCode.getTokenAfter(body);
 
-            if (tokenAfter && tokenAfter.value === ")" && tokenAfter.loc.start.line - body.loc.end.line > 1) {
+            if (tokenAfter && tokenAfter.value === ")" && hasEmptyLineBetween(sourceCode, body.range[1], tokenAfter.range[0])) {
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
-                        [body.range[1], tokenAfter.range[0]],
-                        "\n" + " ".repeat(tokenAfter.loc.start.column),
-                    ),
-                    message: "No empty line allowed before closing parenthesis in arrow function",
+                    fix: getCollapseFix(sourceCode, body.range[1], tokenAfter.range[0], "\n" + " ".repeat(tokenAfter.loc.start.column)),
+                    messageId: "noEmptyLineAllowedBeforeClosing",
                     node: body,
                 });
             }
@@ -3178,6 +3811,19 @@ const noEmptyLinesInJsx = {
     meta: {
         docs: { description: "Disallow empty lines in JSX" },
         fixable: "whitespace",
+        messages: {
+            noEmptyLineAfter: "No empty line after opening JSX tag",
+            noEmptyLineAfterJsx: "No empty line after JSX element name",
+            noEmptyLineAllowed: "No empty line allowed after opening parenthesis in return",
+            noEmptyLineAllowedAfter: "No empty line allowed after opening parenthesis in arrow function",
+            noEmptyLineAllowedBefore: "No empty line allowed before closing parenthesis in return",
+            noEmptyLineAllowedBeforeClosing: "No empty line allowed before closing parenthesis in arrow function",
+            noEmptyLineBefore: "No empty line before closing JSX tag",
+            noEmptyLineBeforeClosing: "No empty line before closing bracket",
+            noEmptyLineBetween: "No empty line between JSX props",
+            noSpaceBeforeClosing: "No space before closing bracket in non-self-closing JSX element",
+            singleSimpleJsxProp: "Single simple JSX prop should be on the same line as element",
+        },
         schema: [],
         type: "layout",
     },
@@ -3192,8 +3838,10 @@ export {
     jsxPropNamingConvention,
     jsxSimpleElementOneLine,
     classNameDynamicAtEnd,
+    classNameNoConflicts,
     classNameNoExtraSpaces,
     classNameOrder,
+    classNameShorthand,
     classNameMultiline,
     jsxStringValueTrim,
     jsxTernaryFormat,
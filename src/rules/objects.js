@@ -1,3 +1,25 @@
+import { getCollapseFix, hasEmptyLineBetween } from "../utils/empty-lines.js";
+import { getLineIndent, getShiftedText, hasMultilineTemplate } from "../utils/indent.js";
+
+/**
+ * Get a fix moving a property value up after its colon, with the value's other lines
+ * re-indented to match the line of the key
+ * @param {Object} sourceCode - ESLint SourceCode
+ * @param {Object} colonToken - ":" token of the property
+ * @param {Object} valueNode - Property value
+ * @returns {Function|null} - Fix function, or null when a comment sits between the colon and the value
+ */
+const moveValueToColonFix = (sourceCode, colonToken, valueNode) => {
+    if (sourceCode.commentsExistBetween(colonToken, valueNode)) return null;
+
+    const shift = getLineIndent(sourceCode, colonToken).length - getLineIndent(sourceCode, valueNode).length;
+    const valueText = getShiftedText(sourceCode, valueNode, shift);
+
+    if (valueText === null) return (fixer) => fixer.replaceTextRange([colonToken.range[1], valueNode.range[0]], " ");
+
+    return (fixer) => fixer.replaceTextRange([colonToken.range[1], valueNode.range[1]], ` ${valueText}`);
+};
+
 /**
  * ───────────────────────────────────────────────────────────────
  * Rule: No Empty Lines In Objects
@@ -39,25 +61,23 @@ const noEmptyLinesInObjects = {
             const lastProp = properties[properties.length - 1];
 
             // Check for empty line after opening brace
-            if (firstProp.loc.start.line - openBrace.loc.end.line > 1) {
+            if (hasEmptyLineBetween(sourceCode, openBrace.range[1], firstProp.range[0])) {
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
-                        [openBrace.range[1], firstProp.range[0]],
-                        "\n" + " ".repeat(firstProp.loc.start.column),
-                    ),
-                    message: "No empty line after opening brace",
+                    fix: getCollapseFix(sourceCode, openBrace.range[1], firstProp.range[0], "\n" + " ".repeat(firstProp.loc.start.column)),
+                    messageId: "noEmptyLineAfter",
                     node: firstProp,
                 });
             }
 
+            // Skip a trailing comma: { a, b, } - the empty line sits between the comma and }
+            const tokenAfterLastProp = sourceCode.getTokenAfter(lastProp);
+            const lastPropEnd = tokenAfterLastProp.value === "," ? tokenAfterLastProp : lastProp;
+
             // Check for empty line before closing brace
-            if (closeBrace.loc.start.line - lastProp.loc.end.line > 1) {
+            if (hasEmptyLineBetween(sourceCode, lastPropEnd.range[1], closeBrace.range[0])) {
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
-                        [lastProp.range[1], closeBrace.range[0]],
-                        "\n" + " ".repeat(closeBrace.loc.start.column),
-                    ),
-                    message: "No empty line before closing brace",
+                    fix: getCollapseFix(sourceCode, lastPropEnd.range[1], closeBrace.range[0], "\n" + " ".repeat(closeBrace.loc.start.column)),
+                    messageId: "noEmptyLineBefore",
                     node: lastProp,
                 });
             }
@@ -67,7 +87,7 @@ const noEmptyLinesInObjects = {
                 const current = properties[i];
                 const next = properties[i + 1];
 
-                if (next.loc.start.line - current.loc.end.line > 1) {
+                if (hasEmptyLineBetween(sourceCode, current.range[1], next.range[0])) {
                     let commaToken = sourceCode.getTokenAfter(current);
 
                     while (commaToken && commaToken.value !== "," && commaToken.range[0] < next.range[0]) {
@@ -78,25 +98,19 @@ const noEmptyLinesInObjects = {
                     // If so, move the comma to be directly after the property value
                     const commaOnDifferentLine = commaToken && commaToken.value === "," &&
                         commaToken.loc.start.line !== current.loc.end.line;
+                    const nextIndent = " ".repeat(next.loc.start.column);
 
                     context.report({
-                        fix: (fixer) => {
-                            if (commaOnDifferentLine) {
-                                // Replace from end of property value to start of next property
-                                // This moves the comma to be right after the value
-                                return fixer.replaceTextRange(
-                                    [current.range[1], next.range[0]],
-                                    ",\n" + " ".repeat(next.loc.start.column),
-                                );
-                            }
-
-                            // Normal case: comma is on same line, just remove empty line after
-                            return fixer.replaceTextRange(
-                                [commaToken && commaToken.value === "," ? commaToken.range[1] : current.range[1], next.range[0]],
-                                "\n" + " ".repeat(next.loc.start.column),
-                            );
-                        },
-                        message: "No empty line between object properties",
+                        fix: commaOnDifferentLine
+                            // Replacing from the end of the value moves the comma right after it
+                            ? getCollapseFix(sourceCode, current.range[1], next.range[0], ",\n" + nextIndent)
+                            : getCollapseFix(
+                                sourceCode,
+                                commaToken && commaToken.value === "," ? commaToken.range[1] : current.range[1],
+                                next.range[0],
+                                "\n" + nextIndent,
+                            ),
+                        messageId: "noEmptyLineBetween",
                         node: next,
                     });
                 }
@@ -111,6 +125,11 @@ const noEmptyLinesInObjects = {
     meta: {
         docs: { description: "Disallow empty lines in objects" },
         fixable: "whitespace",
+        messages: {
+            noEmptyLineAfter: "No empty line after opening brace",
+            noEmptyLineBefore: "No empty line before closing brace",
+            noEmptyLineBetween: "No empty line between object properties",
+        },
         schema: [],
         type: "layout",
     },
@@ -231,9 +250,12 @@ const objectPropertyPerLine = {
         const getCollapsedText = (valueNode) => {
             if (!valueNode) return "";
 
-            // Arrays: use source text since it's already formatted by array-items-per-line
-            if (valueNode.type === "ArrayExpression") {
-                return sourceCode.getText(valueNode).replace(/\s+/g, " ").trim();
+            // Arrays only collapse when already on one line, so their text is kept as is (including spaces in strings)
+            if (valueNode.type === "ArrayExpression") return sourceCode.getText(valueNode);
+
+            // Short ternaries and logical or binary expressions are joined onto one line
+            if (["BinaryExpression", "ConditionalExpression", "LogicalExpression"].includes(valueNode.type)) {
+                return sourceCode.getText(valueNode).replace(/\s*\n\s*/g, " ").trim();
             }
 
             if (valueNode.type === "ObjectExpression") {
@@ -259,6 +281,31 @@ const objectPropertyPerLine = {
             return sourceCode.getText(valueNode).trim();
         };
 
+        // Fix laying out every property on its own line one level below objectIndent, each followed
+        // by a comma (except a rest element) and with its other lines re-indented, so one pass settles
+        // the object; not offered when comments or multiline template literals are inside
+        const rewritePropertiesFix = (node, objectIndent) => {
+            const propertyIndent = objectIndent + "    ";
+            const propertyTexts = node.properties.map((property) => getShiftedText(
+                sourceCode,
+                property,
+                propertyIndent.length - getLineIndent(sourceCode, property).length,
+            ));
+
+            if (sourceCode.getCommentsInside(node).length > 0 || propertyTexts.includes(null)) return null;
+
+            const lines = node.properties.map((property, index) => {
+                const comma = property.type === "RestElement" ? "" : ",";
+
+                return `${propertyIndent}${propertyTexts[index]}${comma}`;
+            });
+
+            return (fixer) => fixer.replaceTextRange(
+                [sourceCode.getFirstToken(node).range[0], sourceCode.getLastToken(node).range[1]],
+                `{\n${lines.join("\n")}\n${objectIndent}}`,
+            );
+        };
+
         const checkObjectHandler = (node) => {
             const { properties } = node;
 
@@ -361,12 +408,16 @@ const objectPropertyPerLine = {
                         return prop.shorthand ? keyText : `${keyText}: ${valueText}`;
                     }).join(", ");
 
+                    // Comments and multiline template literals cannot be joined onto one line
+                    const canJoin = sourceCode.getCommentsInside(node).length === 0 && !hasMultilineTemplate(sourceCode, node);
+
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
+                        data: { minProperties },
+                        fix: canJoin ? (fixer) => fixer.replaceTextRange(
                             [openBrace.range[0], closeBrace.range[1]],
                             `{ ${propertiesText} }`,
-                        ),
-                        message: `Objects with <${minProperties} properties should be single line: { key: value }. Multi-line only for ${minProperties}+ properties`,
+                        ) : null,
+                        messageId: "objectsPropertiesSingleLine",
                         node,
                     });
 
@@ -377,17 +428,14 @@ const objectPropertyPerLine = {
                 if (!allCanCollapse && isMultiline) {
                     // Object has complex nested value that can't collapse
                     // Just ensure proper multiline formatting
-                    const objectIndent = " ".repeat(openBrace.loc.start.column);
+                    const objectIndent = getLineIndent(sourceCode, openBrace);
                     const propertyIndent = objectIndent + "    ";
 
                     // First property should be on new line
                     if (openBrace.loc.end.line === firstProperty.loc.start.line) {
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [openBrace.range[1], firstProperty.range[0]],
-                                "\n" + propertyIndent,
-                            ),
-                            message: "Property with complex value should be on its own line",
+                            fix: rewritePropertiesFix(node, objectIndent),
+                            messageId: "propertyComplexValueOwn",
                             node: firstProperty,
                         });
                     }
@@ -395,23 +443,8 @@ const objectPropertyPerLine = {
                     // Closing brace should be on new line
                     if (closeBrace.loc.start.line === lastProperty.loc.end.line) {
                         context.report({
-                            fix: (fixer) => {
-                                const afterLastToken = sourceCode.getTokenAfter(lastProperty);
-                                const hasTrailingComma = afterLastToken && afterLastToken.value === ",";
-
-                                if (hasTrailingComma) {
-                                    return fixer.replaceTextRange(
-                                        [afterLastToken.range[1], closeBrace.range[0]],
-                                        "\n" + objectIndent,
-                                    );
-                                }
-
-                                return fixer.replaceTextRange(
-                                    [lastProperty.range[1], closeBrace.range[0]],
-                                    ",\n" + objectIndent,
-                                );
-                            },
-                            message: "Closing brace should be on its own line for object with complex value",
+                            fix: rewritePropertiesFix(node, objectIndent),
+                            messageId: "closingBraceOwnLine",
                             node: closeBrace,
                         });
                     }
@@ -421,18 +454,16 @@ const objectPropertyPerLine = {
             }
 
             // EXPAND: Objects with minProperties or more should be multiline
-            // Calculate proper indentation based on the object's position
-            const objectIndent = " ".repeat(openBrace.loc.start.column);
-            const propertyIndent = objectIndent + "    ";
+            // Indentation follows the line the object starts on
+            const objectIndent = getLineIndent(sourceCode, openBrace);
+            const expandFix = rewritePropertiesFix(node, objectIndent);
 
             // Check if first property is on same line as opening brace
             if (openBrace.loc.end.line === firstProperty.loc.start.line) {
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
-                        [openBrace.range[1], firstProperty.range[0]],
-                        "\n" + propertyIndent,
-                    ),
-                    message: `Objects with ${minProperties}+ properties should have first property on its own line`,
+                    data: { minProperties },
+                    fix: expandFix,
+                    messageId: "objectsPropertiesFirstProperty",
                     node: firstProperty,
                 });
             }
@@ -440,24 +471,9 @@ const objectPropertyPerLine = {
             // Check if closing brace is on same line as last property
             if (closeBrace.loc.start.line === lastProperty.loc.end.line) {
                 context.report({
-                    fix: (fixer) => {
-                        const lastToken = sourceCode.getLastToken(lastProperty);
-                        const afterLastToken = sourceCode.getTokenAfter(lastProperty);
-                        const hasTrailingComma = afterLastToken && afterLastToken.value === ",";
-
-                        if (hasTrailingComma) {
-                            return fixer.replaceTextRange(
-                                [afterLastToken.range[1], closeBrace.range[0]],
-                                "\n" + objectIndent,
-                            );
-                        }
-
-                        return fixer.replaceTextRange(
-                            [lastToken.range[1], closeBrace.range[0]],
-                            ",\n" + objectIndent,
-                        );
-                    },
-                    message: `Objects with ${minProperties}+ properties should have closing brace on its own line`,
+                    data: { minProperties },
+                    fix: expandFix,
+                    messageId: "objectsPropertiesClosingBrace",
                     node: closeBrace,
                 });
             }
@@ -468,14 +484,9 @@ const objectPropertyPerLine = {
                 const next = properties[i + 1];
 
                 if (current.loc.end.line === next.loc.start.line) {
-                    const commaToken = sourceCode.getTokenAfter(current, (t) => t.value === ",");
-
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [commaToken.range[1], next.range[0]],
-                            "\n" + propertyIndent,
-                        ),
-                        message: "Each property should be on its own line",
+                        fix: expandFix,
+                        messageId: "eachPropertyOwnLine",
                         node: next,
                     });
                 }
@@ -510,7 +521,7 @@ const objectPropertyPerLine = {
 
                                 context.report({
                                     fix: (fixer) => fixer.replaceText(prop, spreadText),
-                                    message: "Spread element with logical expression should be on a single line",
+                                    messageId: "spreadElementLogicalExpression",
                                     node: prop,
                                 });
                             }
@@ -523,7 +534,7 @@ const objectPropertyPerLine = {
 
                             context.report({
                                 fix: (fixer) => fixer.replaceText(prop, spreadText),
-                                message: "Spread operator should be on the same line as its argument",
+                                messageId: "spreadOperatorSameLine",
                                 node: prop,
                             });
                         }
@@ -540,6 +551,16 @@ const objectPropertyPerLine = {
     meta: {
         docs: { description: "Enforce object formatting: collapse to single line when < minProperties (including nested objects/arrays), expand to multiline when >= minProperties" },
         fixable: "whitespace",
+        messages: {
+            closingBraceOwnLine: "Closing brace should be on its own line for object with complex value",
+            eachPropertyOwnLine: "Each property should be on its own line",
+            objectsPropertiesClosingBrace: "Objects with {{minProperties}}+ properties should have closing brace on its own line",
+            objectsPropertiesFirstProperty: "Objects with {{minProperties}}+ properties should have first property on its own line",
+            objectsPropertiesSingleLine: "Objects with <{{minProperties}} properties should be single line: { key: value }. Multi-line only for {{minProperties}}+ properties",
+            propertyComplexValueOwn: "Property with complex value should be on its own line",
+            spreadElementLogicalExpression: "Spread element with logical expression should be on a single line",
+            spreadOperatorSameLine: "Spread operator should be on the same line as its argument",
+        },
         schema: [
             {
                 additionalProperties: false,
@@ -595,14 +616,11 @@ const objectPropertyValueBrace = {
 
                 if (!openBrace || openBrace.value !== "{") return;
 
-                // Check if colon and { are on different lines
+                // Check if colon and { are on different lines; the object moves up with its lines re-indented
                 if (colonToken.loc.end.line !== openBrace.loc.start.line) {
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [colonToken.range[1], openBrace.range[0]],
-                            " ",
-                        ),
-                        message: "Opening brace should be on the same line as colon for object property values",
+                        fix: moveValueToColonFix(sourceCode, colonToken, value),
+                        messageId: "openingBraceSameLine",
                         node: openBrace,
                     });
                 }
@@ -612,6 +630,9 @@ const objectPropertyValueBrace = {
     meta: {
         docs: { description: "Enforce opening brace on same line as colon for object property values" },
         fixable: "code",
+        messages: {
+            openingBraceSameLine: "Opening brace should be on the same line as colon for object property values",
+        },
         schema: [],
         type: "layout",
     },
@@ -663,7 +684,7 @@ const objectPropertyValueFormat = {
             if (textAfterColon !== " " && textAfterColon !== "\n") {
                 context.report({
                     fix: (fixer) => fixer.insertTextAfter(colonToken, " "),
-                    message: "Missing space after colon in object property",
+                    messageId: "missingSpaceAfterColon",
                     node: colonToken,
                 });
 
@@ -674,11 +695,8 @@ const objectPropertyValueFormat = {
             if (valueNode.type === "ArrowFunctionExpression" || valueNode.type === "FunctionExpression") {
                 if (valueNode.loc.start.line > colonToken.loc.end.line) {
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [colonToken.range[1], valueNode.range[0]],
-                            " ",
-                        ),
-                        message: "Arrow function should start on the same line as the colon",
+                        fix: moveValueToColonFix(sourceCode, colonToken, valueNode),
+                        messageId: "arrowFunctionStartSame",
                         node: valueNode,
                     });
                 }
@@ -764,11 +782,8 @@ const objectPropertyValueFormat = {
                             : closeParen ? closeParen.range[1] : valueNode.range[1];
 
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [colonToken.range[1], endRange],
-                                ` ${collapsedJsx}${hasCommaAfter ? "," : ""}`,
-                            ),
-                            message: "Simple JSX should be inline with property",
+                            fix: getCollapseFix(sourceCode, colonToken.range[1], endRange, ` ${collapsedJsx}${hasCommaAfter ? "," : ""}`),
+                            messageId: "simpleJsxInlineProperty",
                             node: valueNode,
                         });
                     }
@@ -780,8 +795,8 @@ const objectPropertyValueFormat = {
                 const jsxSpansMultipleLines = valueNode.loc.start.line !== valueNode.loc.end.line;
 
                 if (jsxSpansMultipleLines && !isWrappedInParens) {
-                    const jsxText = sourceCode.getText(valueNode);
-                    const indent = " ".repeat(colonToken.loc.start.column);
+                    const indent = getLineIndent(sourceCode, colonToken);
+                    const jsxText = getShiftedText(sourceCode, valueNode, indent.length + 4 - getLineIndent(sourceCode, valueNode).length);
 
                     // Check if there's a comma after the JSX
                     const tokenAfterValue = sourceCode.getTokenAfter(valueNode);
@@ -790,11 +805,13 @@ const objectPropertyValueFormat = {
                     const commaStr = hasCommaAfter ? "," : "";
 
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [colonToken.range[1], endRange],
-                            ` (\n${indent}    ${jsxText.split("\n").join("\n" + indent + "    ")}\n${indent})${commaStr}`,
+                        fix: jsxText === null ? null : getCollapseFix(
+                            sourceCode,
+                            colonToken.range[1],
+                            endRange,
+                            ` (\n${indent}    ${jsxText}\n${indent})${commaStr}`,
                         ),
-                        message: "Multi-line JSX in object property must be wrapped in parentheses",
+                        messageId: "multiLineJsxObject",
                         node: valueNode,
                     });
                 }
@@ -804,15 +821,22 @@ const objectPropertyValueFormat = {
 
             // Handle ternary expressions - short ones should be on single line
             if (valueNode.type === "ConditionalExpression") {
+                // A template literal spanning lines keeps the ternary on several lines
+                if (hasMultilineTemplate(sourceCode, valueNode)) return;
+
                 const ternaryText = sourceCode.getText(valueNode);
                 const collapsedText = ternaryText.replace(/\s*\n\s*/g, " ").trim();
                 const isMultiLine = valueNode.loc.start.line !== valueNode.loc.end.line;
 
+                // Joining the lines would comment out the code after a line comment
+                const hasComments = sourceCode.getCommentsInside(valueNode).length > 0;
+                const collapseFix = hasComments ? null : (fixer) => fixer.replaceText(valueNode, collapsedText);
+
                 // If it's short enough (under 80 chars) and multiline, collapse it
                 if (isMultiLine && collapsedText.length <= 80) {
                     context.report({
-                        fix: (fixer) => fixer.replaceText(valueNode, collapsedText),
-                        message: "Short ternary expression should be on a single line",
+                        fix: collapseFix,
+                        messageId: "shortTernaryExpressionSingle",
                         node: valueNode,
                     });
 
@@ -836,8 +860,8 @@ const objectPropertyValueFormat = {
                         // ? is at end of line, but only report if it's short enough to fit
                         if (collapsedText.length <= 80) {
                             context.report({
-                                fix: (fixer) => fixer.replaceText(valueNode, collapsedText),
-                                message: "Ternary operator '?' should not be at end of line",
+                                fix: collapseFix,
+                                messageId: "ternaryOperatorNotEnd",
                                 node: questionToken,
                             });
 
@@ -853,8 +877,8 @@ const objectPropertyValueFormat = {
                         // : is at end of line, but only report if it's short enough to fit
                         if (collapsedText.length <= 80) {
                             context.report({
-                                fix: (fixer) => fixer.replaceText(valueNode, collapsedText),
-                                message: "Ternary operator ':' should not be at end of line",
+                                fix: collapseFix,
+                                messageId: "ternaryOperatorNotEndLine",
                                 node: colonTernaryToken,
                             });
 
@@ -879,11 +903,8 @@ const objectPropertyValueFormat = {
                 if (tokenAfterColon && tokenAfterColon.value === "(") return;
 
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
-                        [colonToken.range[1], valueNode.range[0]],
-                        " ",
-                    ),
-                    message: "Property value should be on the same line as the colon",
+                    fix: moveValueToColonFix(sourceCode, colonToken, valueNode),
+                    messageId: "propertyValueSameLine",
                     node: valueNode,
                 });
             }
@@ -894,6 +915,16 @@ const objectPropertyValueFormat = {
     meta: {
         docs: { description: "Enforce property value on same line as colon with proper spacing" },
         fixable: "whitespace",
+        messages: {
+            arrowFunctionStartSame: "Arrow function should start on the same line as the colon",
+            missingSpaceAfterColon: "Missing space after colon in object property",
+            multiLineJsxObject: "Multi-line JSX in object property must be wrapped in parentheses",
+            propertyValueSameLine: "Property value should be on the same line as the colon",
+            shortTernaryExpressionSingle: "Short ternary expression should be on a single line",
+            simpleJsxInlineProperty: "Simple JSX should be inline with property",
+            ternaryOperatorNotEnd: "Ternary operator '?' should not be at end of line",
+            ternaryOperatorNotEndLine: "Ternary operator ':' should not be at end of line",
+        },
         schema: [],
         type: "layout",
     },
@@ -933,9 +964,22 @@ const stringPropertySpacing = {
                 const trimmed = keyValue.trim();
 
                 if (keyValue !== trimmed && trimmed.length > 0) {
+                    // Trim the raw text so the quote style and escapes are kept
+                    const raw = sourceCode.getText(key);
+                    const quote = raw[0];
+                    const rawContent = raw.slice(1, -1);
+                    const trimmedContent = rawContent.trim();
+
                     context.report({
-                        fix: (fixer) => fixer.replaceText(key, `"${trimmed}"`),
-                        message: `String property key should not have extra spaces inside quotes: "${trimmed}" not "${keyValue}"`,
+                        data: {
+                            keyValue,
+                            trimmed,
+                        },
+                        // Whitespace written as escapes (e.g. "\t") is left for a manual fix
+                        fix: rawContent === trimmedContent
+                            ? null
+                            : (fixer) => fixer.replaceText(key, `${quote}${trimmedContent}${quote}`),
+                        messageId: "stringPropertyKeyNot",
                         node: key,
                     });
                 }
@@ -945,6 +989,9 @@ const stringPropertySpacing = {
     meta: {
         docs: { description: "Enforce no extra spaces inside string property keys" },
         fixable: "code",
+        messages: {
+            stringPropertyKeyNot: "String property key should not have extra spaces inside quotes: \"{{trimmed}}\" not \"{{keyValue}}\"",
+        },
         schema: [],
         type: "layout",
     },
@@ -1,3 +1,41 @@
+// Built-in order groups, top to bottom (default value of the `order` option)
+const DEFAULT_ORDER = [
+    "props",
+    "props-destructure",
+    "refs",
+    "state",
+    "reducers",
+    "redux",
+    "router",
+    "context",
+    "custom-hooks",
+    "derived",
+    "memos",
+    "callbacks",
+    "handlers",
+    "effects",
+    "return",
+];
+
+// Built-in group labels used in messages
+const GROUP_LABELS = {
+    "callbacks": "useCallback",
+    "context": "context hooks",
+    "custom-hooks": "custom hooks",
+    "derived": "derived state/computed variables",
+    "effects": "useEffect/useLayoutEffect",
+    "handlers": "handler functions",
+    "memos": "useMemo",
+    "props": "props destructure",
+    "props-destructure": "destructured variables from props",
+    "reducers": "useReducer",
+    "redux": "useSelector/useDispatch",
+    "refs": "useRef",
+    "return": "return statement",
+    "router": "router hooks",
+    "state": "useState",
+};
+
 /**
  * ───────────────────────────────────────────────────────────────
  * Rule: React Code Order
@@ -25,6 +63,18 @@
  *   14. useEffect / useLayoutEffect
  *   15. Return statement
  *
+ * Options:
+ *   { order: [...] } - Groups from top to bottom. Built-in groups are referenced
+ *   by name ("refs", "state", "effects", ...). A group object { name, hooks,
+ *   pattern, importSources } matches hook calls by name, regex or import source;
+ *   its name is either a built-in group (extends it) or a custom group.
+ *   Statements of groups missing from the list are not checked.
+ *
+ *   order: ["props", "props-destructure", "refs", "state",
+ *       { name: "queries", importSources: ["@tanstack/react-query"] },
+ *       { name: "stores", pattern: "^use[A-Z]\\w*Store$" },
+ *       "custom-hooks", "derived", "memos", "callbacks", "effects", "handlers", "return"]
+ *
  * ✓ Good (Component):
  *   const MyComponent = ({ name }) => {
  *       const inputRef = useRef(null);
@@ -60,43 +110,85 @@
  */
 const reactCodeOrder = {
     create(context) {
+        const sourceCode = context.sourceCode || context.getSourceCode();
+        const options = context.options[0] || {};
+        const orderGroups = options.order || DEFAULT_ORDER;
+        const groupNames = orderGroups.map((group) => (typeof group === "string" ? group : group.name));
+
+        // Statements whose group is not in the configured order are not checked
+        const UNKNOWN_ORDER = Infinity;
+
+        // Position of a group in the configured order (1-based)
+        const getGroupOrderHandler = (groupName) => {
+            const index = groupNames.indexOf(groupName);
+
+            return index === -1 ? UNKNOWN_ORDER : index + 1;
+        };
+
         // Define the order categories
         const ORDER = {
-            CALLBACK: 12,
-            CONTEXT_HOOK: 8,
-            CUSTOM_HOOK: 9,
-            DERIVED_STATE: 10,
-            EFFECT: 14,
-            HANDLER_FUNCTION: 13,
-            MEMO: 11,
-            PROPS_DESTRUCTURE: 1,
-            PROPS_DESTRUCTURE_BODY: 2,
-            REDUCER: 5,
-            REF: 3,
-            RETURN: 15,
-            ROUTER_HOOK: 7,
-            SELECTOR_DISPATCH: 6,
-            STATE: 4,
-            UNKNOWN: 99,
+            CALLBACK: getGroupOrderHandler("callbacks"),
+            CONTEXT_HOOK: getGroupOrderHandler("context"),
+            CUSTOM_HOOK: getGroupOrderHandler("custom-hooks"),
+            DERIVED_STATE: getGroupOrderHandler("derived"),
+            EFFECT: getGroupOrderHandler("effects"),
+            HANDLER_FUNCTION: getGroupOrderHandler("handlers"),
+            MEMO: getGroupOrderHandler("memos"),
+            PROPS_DESTRUCTURE: getGroupOrderHandler("props"),
+            PROPS_DESTRUCTURE_BODY: getGroupOrderHandler("props-destructure"),
+            REDUCER: getGroupOrderHandler("reducers"),
+            REF: getGroupOrderHandler("refs"),
+            RETURN: getGroupOrderHandler("return"),
+            ROUTER_HOOK: getGroupOrderHandler("router"),
+            SELECTOR_DISPATCH: getGroupOrderHandler("redux"),
+            STATE: getGroupOrderHandler("state"),
+            UNKNOWN: UNKNOWN_ORDER,
+        };
+
+        const getGroupLabelHandler = (order) => {
+            const groupName = groupNames[order - 1];
+
+            return GROUP_LABELS[groupName] || groupName;
+        };
+
+        // Hook matchers of configured group objects, checked before the built-in hook lists
+        const groupMatchers = orderGroups
+            .filter((group) => typeof group === "object")
+            .map((group) => ({
+                hooks: new Set(group.hooks || []),
+                importSources: group.importSources || [],
+                order: getGroupOrderHandler(group.name),
+                pattern: group.pattern ? new RegExp(group.pattern) : null,
+            }));
+
+        // Local name -> import source (import { useQuery } from "...", import * as Query from "...")
+        let importSourcesByName = null;
+
+        const getImportSourceHandler = (localName) => {
+            if (!importSourcesByName) {
+                importSourcesByName = new Map();
+
+                sourceCode.ast.body
+                    .filter((statement) => statement.type === "ImportDeclaration")
+                    .forEach((statement) => statement.specifiers.forEach((specifier) => {
+                        importSourcesByName.set(specifier.local.name, statement.source.value);
+                    }));
+            }
+
+            return importSourcesByName.get(localName) || null;
         };
 
-        const ORDER_NAMES = {
-            1: "props destructure",
-            2: "destructured variables from props",
-            3: "useRef",
-            4: "useState",
-            5: "useReducer",
-            6: "useSelector/useDispatch",
-            7: "router hooks",
-            8: "context hooks",
-            9: "custom hooks",
-            10: "derived state/computed variables",
-            11: "useMemo",
-            12: "useCallback",
-            13: "handler functions",
-            14: "useEffect/useLayoutEffect",
-            15: "return statement",
-            99: "unknown",
+        // Import source of a hook call's callee (useQuery() or Query.useQuery())
+        const getCalleeSourceHandler = (callNode) => {
+            const { callee } = callNode;
+
+            if (callee.type === "Identifier") return getImportSourceHandler(callee.name);
+
+            if (callee.type === "MemberExpression" && callee.object.type === "Identifier") {
+                return getImportSourceHandler(callee.object.name);
+            }
+
+            return null;
         };
 
         // Built-in React hooks
@@ -244,6 +336,21 @@ const reactCodeOrder = {
             return name && /^use[A-Z]/.test(name);
         };
 
+        // Order of the configured group matching a hook call (by name, regex or import source), or null
+        const getMatchedGroupOrderHandler = (callNode, hookName) => {
+            if (groupMatchers.length === 0) return null;
+
+            const isHook = isHookCallHandler(callNode);
+            const source = isHook ? getCalleeSourceHandler(callNode) : null;
+
+            const matcher = groupMatchers.find(({ hooks, importSources, pattern }) => hooks.has(hookName)
+                || (pattern && pattern.test(hookName))
+                || (source && importSources.some((importSource) => source === importSource
+                    || source.startsWith(`${importSource}/`))));
+
+            return matcher ? matcher.order : null;
+        };
+
         // Check if expression is a function (arrow or regular)
         const isFunctionExpressionHandler = (node) => node
             && (node.type === "ArrowFunctionExpression"
@@ -283,6 +390,10 @@ const reactCodeOrder = {
                 const hookName = getHookNameHandler(statement.expression);
 
                 if (hookName) {
+                    const matchedOrder = getMatchedGroupOrderHandler(statement.expression, hookName);
+
+                    if (matchedOrder !== null) return matchedOrder;
+
                     if (EFFECT_HOOKS.has(hookName)) return ORDER.EFFECT;
 
                     // Other standalone hook calls (rare but possible)
@@ -305,6 +416,10 @@ const reactCodeOrder = {
                         const hookName = getHookNameHandler(decl.init);
 
                         if (hookName) {
+                            const matchedOrder = getMatchedGroupOrderHandler(decl.init, hookName);
+
+                            if (matchedOrder !== null) return matchedOrder;
+
                             if (STATE_HOOKS.has(hookName)) return ORDER.STATE;
                             if (REF_HOOKS.has(hookName)) return ORDER.REF;
                             if (REDUCER_HOOKS.has(hookName)) return ORDER.REDUCER;
@@ -380,7 +495,6 @@ const reactCodeOrder = {
 
         const checkCodeOrderHandler = (node, isHook) => {
             const body = node.body;
-            const sourceCode = context.sourceCode || context.getSourceCode();
 
             // Only check block statements (not implicit returns)
             if (body.type !== "BlockStatement") return;
@@ -696,6 +810,9 @@ const reactCodeOrder = {
                             depCategory = ORDER.DERIVED_STATE; // Assume derived for unknown
                         }
 
+                        // Derived state is not in the configured order either
+                        if (depCategory === ORDER.UNKNOWN) continue;
+
                         if (depCategory > maxDepCategory) {
                             maxDepCategory = depCategory;
                         }
@@ -767,10 +884,76 @@ const reactCodeOrder = {
 
             if (!orderChanged) return;
 
+            // Statements each statement references, found through scope analysis so references
+            // inside callbacks, effects and nested functions count too
+            const getReferencedStatementsHandler = () => {
+                const scope = sourceCode.getScope ? sourceCode.getScope(node) : context.getScope();
+                const referencedStatements = statements.map(() => new Set());
+
+                const getStatementIndexHandler = (position) => statements.findIndex(
+                    (stmt) => stmt.range[0] <= position && position < stmt.range[1],
+                );
+
+                for (const variable of scope.variables) {
+                    if (variable.defs.length === 0) continue;
+
+                    const declaringIndex = getStatementIndexHandler(variable.defs[0].name.range[0]);
+
+                    // Parameters and implicit variables are declared outside the body
+                    if (declaringIndex === -1) continue;
+
+                    for (const reference of variable.references) {
+                        const referencingIndex = getStatementIndexHandler(reference.identifier.range[0]);
+
+                        if (referencingIndex !== -1 && referencingIndex !== declaringIndex) {
+                            referencedStatements[referencingIndex].add(declaringIndex);
+                        }
+                    }
+                }
+
+                return referencedStatements;
+            };
+
+            // The new order is safe when no statement moves above a declaration it references
+            // and uncategorized statements (conditions, loops, plain calls) keep their position
+            const isSafeOrderHandler = () => {
+                const newPositions = new Map(sortedIndices.map((stmtIndex, position) => [stmtIndex, position]));
+                const isBeforeHandler = (a, b) => newPositions.get(a) < newPositions.get(b);
+                const referencedStatements = getReferencedStatementsHandler();
+
+                const movesAboveDeclaration = referencedStatements.some((referenced, index) => [...referenced].some(
+                    (declaringIndex) => declaringIndex < index && !isBeforeHandler(declaringIndex, index),
+                ));
+
+                if (movesAboveDeclaration) return false;
+
+                return statements.every((_, barrierIndex) => stmtInfo.get(barrierIndex).category !== ORDER.UNKNOWN
+                    || statements.every((__, index) => index === barrierIndex
+                        || (index < barrierIndex) === isBeforeHandler(index, barrierIndex)));
+            };
+
+            // Range of a statement with its own comments: the lines above it (up to the previous
+            // statement or the opening brace) and the comments after it on its last line
+            const getStatementChunkRangeHandler = (stmt, index) => {
+                const previousLine = index > 0 ? statements[index - 1].loc.end.line : body.loc.start.line;
+
+                const leadingComments = sourceCode.getCommentsBefore(stmt)
+                    .filter((comment) => comment.loc.start.line > previousLine);
+
+                const trailingComments = sourceCode.getCommentsAfter(stmt)
+                    .filter((comment) => comment.loc.start.line === stmt.loc.end.line);
+
+                return [
+                    leadingComments.length > 0 ? leadingComments[0].range[0] : stmt.range[0],
+                    trailingComments.length > 0 ? trailingComments[trailingComments.length - 1].range[1] : stmt.range[1],
+                ];
+            };
+
             // Build the fix
             const fixHandler = (fixer) => {
-                const firstStatementLine = sourceCode.lines[statements[0].loc.start.line - 1];
-                const baseIndent = firstStatementLine.match(/^\s*/)[0];
+                const chunkRanges = statements.map(getStatementChunkRangeHandler);
+                const firstChunkLine = sourceCode.lines[sourceCode.getLocFromIndex(chunkRanges[0][0]).line - 1];
+                const baseIndent = firstChunkLine.match(/^\s*/)[0];
 
                 let newBodyContent = "";
                 let lastCategory = null;
@@ -780,26 +963,29 @@ const reactCodeOrder = {
                     const info = stmtInfo.get(stmtIndex);
                     const category = info.category !== ORDER.UNKNOWN ? info.category : null;
 
-                    // Add blank line between different categories
-                    if (lastCategory !== null && category !== null && category !== lastCategory) {
-                        newBodyContent += "\n";
-                    }
+                    // The replaced range starts after the indentation of the first chunk
+                    if (i > 0) {
+                        // Add blank line between different categories
+                        if (lastCategory !== null && category !== null && category !== lastCategory) {
+                            newBodyContent += "\n";
+                        }
 
-                    const stmtText = sourceCode.getText(info.statement);
+                        newBodyContent += "\n" + baseIndent;
+                    }
 
-                    newBodyContent += baseIndent + stmtText.trim() + "\n";
+                    newBodyContent += sourceCode.text.slice(...chunkRanges[stmtIndex]);
 
                     if (category !== null) {
                         lastCategory = category;
                     }
                 }
 
-                const firstStmt = statements[0];
-                const lastStmt = statements[statements.length - 1];
-
-                return fixer.replaceTextRange([firstStmt.range[0], lastStmt.range[1]], newBodyContent.trimEnd());
+                return fixer.replaceTextRange([chunkRanges[0][0], chunkRanges[chunkRanges.length - 1][1]], newBodyContent);
             };
 
+            // Reordering that would break a reference is only reported
+            const canAutoFix = isSafeOrderHandler();
+
             // Report the appropriate violation
             if (hasDependencyViolation && dependencyViolationStmt) {
                 context.report({
@@ -807,19 +993,20 @@ const reactCodeOrder = {
                         type: isHook ? "hook" : "component",
                         varName: dependencyViolationVar || "variable",
                     },
-                    fix: fixHandler,
-                    message: "\"{{varName}}\" is used before it is declared. Reorder statements so dependencies are declared first in {{type}}",
+                    fix: canAutoFix ? fixHandler : undefined,
+                    messageId: "usedBeforeDeclared",
                     node: dependencyViolationStmt,
                 });
             } else if (hasOrderViolation && violatingStatement) {
                 context.report({
                     data: {
-                        current: ORDER_NAMES[violatingCategory],
-                        previous: ORDER_NAMES[previousCategory],
+                        current: getGroupLabelHandler(violatingCategory),
+                        order: groupNames.join(" → "),
+                        previous: getGroupLabelHandler(previousCategory),
                         type: isHook ? "hook" : "component",
                     },
-                    fix: fixHandler,
-                    message: "\"{{current}}\" should come before \"{{previous}}\" in {{type}}. Order: refs → state → redux → router → context → custom hooks → derived → useMemo → useCallback → handlers → useEffect → return",
+                    fix: canAutoFix ? fixHandler : undefined,
+                    messageId: "wrongOrder",
                     node: violatingStatement,
                 });
             }
@@ -827,8 +1014,6 @@ const reactCodeOrder = {
 
         // Check for module-level constants that should be inside the component
         const checkModuleLevelConstantsHandler = (node, isHook) => {
-            const sourceCode = context.sourceCode || context.getSourceCode();
-
             // Get the program (root) node to find module-level declarations
             let programNode = node;
 
@@ -989,7 +1174,7 @@ const reactCodeOrder = {
                                 type: isHook ? "hook" : "component",
                             },
                             fix: fixHandler,
-                            message: "Constant \"{{name}}\" should be declared inside the {{type}} as derived state, not at module level",
+                            messageId: "moveConstantInside",
                             node: decl.id,
                         });
                     }
@@ -1022,7 +1207,55 @@ const reactCodeOrder = {
     meta: {
         docs: { description: "Enforce consistent ordering of code blocks in React components and custom hooks" },
         fixable: "code",
-        schema: [],
+        messages: {
+            moveConstantInside: "Constant \"{{name}}\" should be declared inside the {{type}} as derived state, not at module level",
+            usedBeforeDeclared: "\"{{varName}}\" is used before it is declared. Reorder statements so dependencies are declared first in {{type}}",
+            wrongOrder: "\"{{current}}\" should come before \"{{previous}}\" in {{type}}. Order: {{order}}",
+        },
+        schema: [
+            {
+                additionalProperties: false,
+                properties: {
+                    order: {
+                        description: "Groups from top to bottom: built-in group names or { name, hooks, pattern, importSources } group objects",
+                        items: {
+                            anyOf: [
+                                { enum: DEFAULT_ORDER },
+                                {
+                                    additionalProperties: false,
+                                    properties: {
+                                        hooks: {
+                                            description: "Hook names that belong to this group (e.g., useAtom)",
+                                            items: { type: "string" },
+                                            type: "array",
+                                        },
+                                        importSources: {
+                                            description: "Hooks imported from these modules belong to this group (e.g., @tanstack/react-query)",
+                                            items: { type: "string" },
+                                            type: "array",
+                                        },
+                                        name: {
+                                            description: "Built-in group to extend or name of a custom group",
+                                            type: "string",
+                                        },
+                                        pattern: {
+                                            description: "Regex tested against the hook name (e.g., ^use[A-Z]\\w*Store$)",
+                                            format: "regex",
+                                            type: "string",
+                                        },
+                                    },
+                                    required: ["name"],
+                                    type: "object",
+                                },
+                            ],
+                        },
+                        minItems: 1,
+                        type: "array",
+                    },
+                },
+                type: "object",
+            },
+        ],
         type: "suggestion",
     },
 };
@@ -1,3 +1,6 @@
+import { getCollapseFix } from "../utils/empty-lines.js";
+import { getLineIndent, getShiftedText } from "../utils/indent.js";
+
 /**
  * ───────────────────────────────────────────────────────────────
  * Rule: Assignment Value Same Line
@@ -42,11 +45,8 @@ const assignmentValueSameLine = {
                     if (id.type === "Identifier") {
                         if (kindToken.loc.end.line !== id.loc.start.line) {
                             context.report({
-                                fix: (fixer) => fixer.replaceTextRange(
-                                    [kindToken.range[1], id.range[0]],
-                                    " ",
-                                ),
-                                message: "Variable name should be on the same line as declaration keyword",
+                                fix: getCollapseFix(sourceCode, kindToken.range[1], id.range[0], " "),
+                                messageId: "variableNameSameLine",
                                 node: id,
                             });
 
@@ -59,12 +59,14 @@ const assignmentValueSameLine = {
                         const openBracket = sourceCode.getFirstToken(id);
 
                         if (kindToken.loc.end.line !== openBracket.loc.start.line) {
+                            // The pattern's other lines move back by the indentation it had on its own line
+                            const shiftedPatternText = getShiftedText(sourceCode, id, getLineIndent(sourceCode, node).length - getLineIndent(sourceCode, id).length);
+
                             context.report({
-                                fix: (fixer) => fixer.replaceTextRange(
-                                    [kindToken.range[1], openBracket.range[0]],
-                                    " ",
-                                ),
-                                message: "Destructuring pattern should be on the same line as declaration keyword",
+                                fix: sourceCode.commentsExistBetween(kindToken, openBracket) ? null : (fixer) => (shiftedPatternText === null
+                                    ? fixer.replaceTextRange([kindToken.range[1], openBracket.range[0]], " ")
+                                    : fixer.replaceTextRange([kindToken.range[1], id.range[1]], ` ${shiftedPatternText}`)),
+                                messageId: "destructuringPatternSameLine",
                                 node: openBracket,
                             });
 
@@ -85,11 +87,8 @@ const assignmentValueSameLine = {
                 // Check 2: Variable/pattern and = should be on same line
                 if (id.loc.end.line !== equalToken.loc.start.line) {
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [id.range[1], equalToken.range[0]],
-                            " ",
-                        ),
-                        message: "Assignment operator should be on the same line as variable",
+                        fix: getCollapseFix(sourceCode, id.range[1], equalToken.range[0], " "),
+                        messageId: "assignmentOperatorSameLine",
                         node: equalToken,
                     });
 
@@ -97,13 +96,22 @@ const assignmentValueSameLine = {
                 }
 
                 // Check 3: = and init value should be on same line
-                if (init.loc.start.line > equalToken.loc.end.line) {
+                // The value may start with parentheses wrapping the init node: const total =\n    (a + b);
+                const valueFirstToken = sourceCode.getTokenAfter(equalToken);
+
+                if (valueFirstToken.loc.start.line > equalToken.loc.end.line) {
+                    // A value moved up has its other lines shifted back by the indentation it had on its own line;
+                    // parenthesized values only have the gap closed
+                    const isParenthesized = valueFirstToken !== sourceCode.getFirstToken(init);
+                    const shiftedValueText = isParenthesized
+                        ? null
+                        : getShiftedText(sourceCode, init, getLineIndent(sourceCode, node).length - getLineIndent(sourceCode, init).length);
+
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [equalToken.range[1], init.range[0]],
-                            " ",
-                        ),
-                        message: "Value should be on the same line as the assignment operator",
+                        fix: sourceCode.commentsExistBetween(equalToken, valueFirstToken) ? null : (fixer) => (shiftedValueText === null
+                            ? fixer.replaceTextRange([equalToken.range[1], valueFirstToken.range[0]], " ")
+                            : fixer.replaceTextRange([equalToken.range[1], init.range[1]], ` ${shiftedValueText}`)),
+                        messageId: "valueSameLineAssignment",
                         node: init,
                     });
                 }
@@ -115,6 +123,12 @@ const assignmentValueSameLine = {
     meta: {
         docs: { description: "Enforce assignment value on same line as equals sign" },
         fixable: "whitespace",
+        messages: {
+            assignmentOperatorSameLine: "Assignment operator should be on the same line as variable",
+            destructuringPatternSameLine: "Destructuring pattern should be on the same line as declaration keyword",
+            valueSameLineAssignment: "Value should be on the same line as the assignment operator",
+            variableNameSameLine: "Variable name should be on the same line as declaration keyword",
+        },
         schema: [],
         type: "layout",
     },
@@ -142,54 +156,49 @@ const memberExpressionBracketSpacing = {
         const sourceCode = context.sourceCode || context.getSourceCode();
 
         const checkBracketSpacingHandler = (node, objectPart, indexPart) => {
-            const openBracket = sourceCode.getTokenBefore(indexPart);
-            const closeBracket = sourceCode.getTokenAfter(indexPart);
+            // Brackets are found around the parentheses a wrapped object or index may have: (list)[ (index) ]
+            const openBracket = sourceCode.getTokenAfter(objectPart, (token) => token.value === "[");
+            const closeBracket = sourceCode.getLastToken(node);
 
-            if (!openBracket || openBracket.value !== "[") return;
+            if (!openBracket || openBracket.range[1] > indexPart.range[0]) return;
             if (!closeBracket || closeBracket.value !== "]") return;
 
-            // Check for space before [ (between object and bracket)
-            const objectLastToken = sourceCode.getLastToken(objectPart);
+            const indexFirstToken = sourceCode.getTokenAfter(openBracket);
+            const indexLastToken = sourceCode.getTokenBefore(closeBracket);
+
+            // Check for space before [ (between object, or the ?. after it, and bracket)
+            const tokenBeforeOpen = sourceCode.getTokenBefore(openBracket);
 
-            if (objectLastToken) {
-                const textBeforeOpen = sourceCode.text.slice(objectLastToken.range[1], openBracket.range[0]);
+            if (tokenBeforeOpen) {
+                const textBeforeOpen = sourceCode.text.slice(tokenBeforeOpen.range[1], openBracket.range[0]);
 
                 if (/\s/.test(textBeforeOpen)) {
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [objectLastToken.range[1], openBracket.range[0]],
-                            "",
-                        ),
-                        message: "No space before opening bracket in member expression",
+                        fix: getCollapseFix(sourceCode, tokenBeforeOpen.range[1], openBracket.range[0], ""),
+                        messageId: "noSpaceBeforeOpening",
                         node: openBracket,
                     });
                 }
             }
 
             // Check for space after [
-            const textAfterOpen = sourceCode.text.slice(openBracket.range[1], indexPart.range[0]);
+            const textAfterOpen = sourceCode.text.slice(openBracket.range[1], indexFirstToken.range[0]);
 
-            if (textAfterOpen.includes(" ") || textAfterOpen.includes("\n")) {
+            if (/\s/.test(textAfterOpen)) {
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
-                        [openBracket.range[1], indexPart.range[0]],
-                        "",
-                    ),
-                    message: "No space after opening bracket in member expression",
+                    fix: getCollapseFix(sourceCode, openBracket.range[1], indexFirstToken.range[0], ""),
+                    messageId: "noSpaceAfterOpening",
                     node: openBracket,
                 });
             }
 
             // Check for space before ]
-            const textBeforeClose = sourceCode.text.slice(indexPart.range[1], closeBracket.range[0]);
+            const textBeforeClose = sourceCode.text.slice(indexLastToken.range[1], closeBracket.range[0]);
 
-            if (textBeforeClose.includes(" ") || textBeforeClose.includes("\n")) {
+            if (/\s/.test(textBeforeClose)) {
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
-                        [indexPart.range[1], closeBracket.range[0]],
-                        "",
-                    ),
-                    message: "No space before closing bracket in member expression",
+                    fix: getCollapseFix(sourceCode, indexLastToken.range[1], closeBracket.range[0], ""),
+                    messageId: "noSpaceBeforeClosing",
                     node: closeBracket,
                 });
             }
@@ -212,6 +221,11 @@ const memberExpressionBracketSpacing = {
     meta: {
         docs: { description: "Enforce no spaces inside brackets for member expressions" },
         fixable: "code",
+        messages: {
+            noSpaceAfterOpening: "No space after opening bracket in member expression",
+            noSpaceBeforeClosing: "No space before closing bracket in member expression",
+            noSpaceBeforeOpening: "No space before opening bracket in member expression",
+        },
         schema: [],
         type: "layout",
     },
@@ -1,3 +1,10 @@
+import { addNamedImportFix } from "../utils/imports.js";
+import { getLocaleCatalog, getMissingLocales } from "../utils/locales.js";
+import { readModuleConstants, resolveAliasedModule } from "../utils/module-constants.js";
+import { findVariable, getNodeScope, toConstantName } from "../utils/naming.js";
+import { getSharedSettings } from "../utils/settings.js";
+import { BUILT_IN_STRING_CATEGORIES, getStringCategory, resolveStringCategories } from "../utils/string-categories.js";
+
 /**
  * ───────────────────────────────────────────────────────────────
  * Rule: No Hardcoded Strings
@@ -9,8 +16,8 @@
  *   This promotes maintainability, consistency, and enables
  *   easier internationalization.
  *
- *   The rule also detects special strings that should be enums:
- *   - HTTP status codes (2xx, 4xx, 5xx like "200", "404", "500")
+ *   The rule also detects special strings that should be enums
+ *   (built-in categories, see utils/string-categories.js):
  *   - HTTP methods ("GET", "POST", "PUT", "DELETE", etc.)
  *   - Role/permission names ("admin", "user", "moderator", etc.)
  *   - Environment names ("production", "development", "staging", etc.)
@@ -33,6 +40,33 @@
  *   { ignoreAttributes: ["className", "id", ...] } - JSX attributes to ignore (replaces defaults)
  *   { extraIgnoreAttributes: ["tooltip", ...] } - Additional JSX attributes to ignore (extends defaults)
  *   { ignorePatterns: [/^[A-Z_]+$/, ...] } - Regex patterns for strings to ignore
+ *   { mode: "i18n" } - Translation calls and components are trusted sinks (default: "constants")
+ *   { translationFunctions: ["t", "formatMessage"] } - Translation functions in i18n mode
+ *   { translationComponents: ["FormattedMessage", "Trans"] } - Translation components in i18n mode
+ *   { localesDir: "public/locales" } - Locale catalog (JSON/YAML) that translation keys are checked against
+ *   { stringsModule: "@/strings" } - Module that extract suggestions import UI strings from (default: aliasPrefix + "strings")
+ *   { enumsModule: "@/enums" } - Module that extract suggestions import enum-like values from (default: aliasPrefix + "enums")
+ *   { categories: [{ name, values, importSource }] } - Extra enum-like categories with their import source
+ *   { disabledCategories: ["role"] } - Built-in categories whose values are no longer reported
+ *
+ * Suggestions:
+ *   Each report suggests replacing the string with a constant imported from
+ *   stringsModule/enumsModule (the import is added or extended). A constant
+ *   already exported with the same value is reused; otherwise a name is
+ *   generated from the text and the suggestion shows the export to add
+ *   (`code-style extract-strings --write` applies it and adds the export).
+ *
+ * Categories:
+ *   Values of a category are reported as enum-like even when they look
+ *   technical ("in_transit"), and a category with an importSource names that
+ *   module in the message and suggestion:
+ *   { categories: [{ importSource: "@/enums/shipment", name: "shipment", values: ["in_transit", "delivered"] }] }
+ *
+ * i18n mode (react-i18next, react-intl):
+ *   Text inside t(), formatMessage(), <Trans> and <FormattedMessage> is trusted,
+ *   text anywhere else is reported. With localesDir, literal keys passed to
+ *   them must exist in every locale: one file per locale (en.json, fr.yaml)
+ *   or one folder per locale with namespace files (en/common.json).
  *
  * ✓ Good:
  *   import { BUTTON_LABEL, ERROR_MESSAGE } from "@/constants";
@@ -52,10 +86,29 @@
  *   return "User not found";
  *   if (status === "404") { ... }      // HTTP status code
  *   if (role === "admin") { ... }      // Role name
+ *
+ * ✓ Good (i18n mode):
+ *   <button>{t("form.submit")}</button>
+ *   <FormattedMessage id="home.title" defaultMessage="Welcome" />
+ *
+ * ✗ Bad (i18n mode):
+ *   <button>Submit</button>
+ *   t("form.sumbit")                   // Key missing from the locale catalog
  */
 const noHardcodedStrings = {
     create(context) {
         const options = context.options[0] || {};
+        const sourceCode = context.sourceCode || context.getSourceCode();
+        const { aliasPrefix } = getSharedSettings(context);
+        const stringsModule = options.stringsModule || `${aliasPrefix}strings`;
+        const enumsModule = options.enumsModule || `${aliasPrefix}enums`;
+        const stringCategories = resolveStringCategories(options);
+        const isI18nMode = options.mode === "i18n";
+        const translationFunctions = options.translationFunctions || ["t", "formatMessage"];
+        const translationComponents = options.translationComponents || ["FormattedMessage", "Trans"];
+        const localeCatalog = isI18nMode && options.localesDir
+            ? getLocaleCatalog(options.localesDir, context.cwd || process.cwd())
+            : null;
 
         // JSX attributes that commonly contain non-translatable values
         const defaultIgnoreAttributes = [
@@ -646,10 +699,87 @@ const noHardcodedStrings = {
             return false;
         };
 
-        // Get descriptive error message based on string type
-        const getErrorMessageHandler = (str, context = "") => {
-            const truncatedStr = str.length > 30 ? `${str.substring(0, 30)}...` : str;
-            const contextPart = context ? ` in ${context}` : "";
+        const isImportedFromHandler = (variable, importSource) => variable.defs.some((def) => def.type === "ImportBinding"
+            && def.parent.source.value === importSource);
+
+        // Suggest replacing a hardcoded string with a constant imported from the strings/enums module
+        // ESLint fixes only edit the linted file: an existing constant with the same value is reused,
+        // otherwise the suggestion names the export to add to the module.
+        const getExtractSuggestionsHandler = (node, str, isEnumLike, importSource = isEnumLike ? enumsModule : stringsModule) => {
+            if (node.type !== "Literal" && node.type !== "JSXText") return [];
+
+            const modulePath = resolveAliasedModule(importSource, context);
+            const constants = modulePath ? readModuleConstants(modulePath, context) : [];
+
+            const isNameAvailableHandler = (name) => {
+                const variable = findVariable(getNodeScope(context, node), name);
+
+                return !variable || isImportedFromHandler(variable, importSource);
+            };
+
+            const existing = constants.find(({ name, value }) => value === str && isNameAvailableHandler(name.split(".")[0]));
+            let reference = existing && existing.name;
+
+            if (!existing) {
+                const baseName = toConstantName(str, isEnumLike);
+
+                if (!baseName) return [];
+
+                const takenNames = new Set(constants.map(({ name }) => name.split(".")[0]));
+                let suffix = 2;
+
+                reference = baseName;
+
+                while (takenNames.has(reference) || !isNameAvailableHandler(reference)) {
+                    reference = `${baseName}${suffix}`;
+                    suffix += 1;
+                }
+            }
+
+            const importName = reference.split(".")[0];
+            const importedVariable = findVariable(getNodeScope(context, node), importName);
+
+            const fixHandler = (fixer) => {
+                const fixes = [];
+
+                if (node.type === "JSXText") {
+                    const raw = sourceCode.getText(node);
+                    const start = node.range[0] + raw.length - raw.trimStart().length;
+                    const end = node.range[1] - (raw.length - raw.trimEnd().length);
+
+                    fixes.push(fixer.replaceTextRange([start, end], `{${reference}}`));
+                } else if (node.parent.type === "JSXAttribute") {
+                    fixes.push(fixer.replaceText(node, `{${reference}}`));
+                } else {
+                    fixes.push(fixer.replaceText(node, reference));
+                }
+
+                if (!importedVariable) fixes.push(addNamedImportFix(fixer, sourceCode, importName, importSource));
+
+                return fixes;
+            };
+
+            if (existing) {
+                return [{
+                    data: { name: reference, source: importSource },
+                    fix: fixHandler,
+                    messageId: "useExistingConstant",
+                }];
+            }
+
+            return [{
+                data: { name: reference, source: importSource, value: JSON.stringify(str) },
+                fix: fixHandler,
+                messageId: "extractToConstant",
+            }];
+        };
+
+        // Get the report descriptor (messageId + data + suggestions) based on string type
+        const getReportDescriptorHandler = (str, location = "", node = null) => {
+            const data = {
+                location: location ? ` in ${location}` : "",
+                value: str.length > 30 ? `${str.substring(0, 30)}...` : str,
+            };
 
             // Single word detection:
             // - All lowercase (e.g., "loading", "submit") → keyword/enum/data
@@ -659,18 +789,36 @@ const noHardcodedStrings = {
             const isAllLowercase = /^[a-z_]+$/.test(str);
 
             // For JSX attributes (type, variant, etc.), prefer enums to prevent typos
-            const isJsxAttribute = context.includes("attribute");
+            const isJsxAttribute = location.includes("attribute");
 
-            if (isSingleWord && isAllLowercase) {
-                if (isJsxAttribute) {
-                    return `Hardcoded "${truncatedStr}"${contextPart} should be imported from @/enums (preferred) or @/data to prevent typos (e.g., import { InputTypeEnum } from "@/enums")`;
-                }
+            // Values of a category (role, status, project vocabularies) are enum-like in any casing
+            const category = getStringCategory(str, stringCategories.enabled);
+
+            if (category && category.importSource) {
+                return {
+                    data: { ...data, category: category.name, source: category.importSource },
+                    messageId: "categoryString",
+                    suggest: node ? getExtractSuggestionsHandler(node, str, true, category.importSource) : [],
+                };
+            }
 
-                return `Hardcoded "${truncatedStr}"${contextPart} should be imported from @/enums (preferred) or @/data (e.g., import { StatusEnum } from "@/enums")`;
+            if (category || (isSingleWord && isAllLowercase)) {
+                return {
+                    data,
+                    messageId: isJsxAttribute ? "enumLikeAttribute" : "enumLikeString",
+                    suggest: node ? getExtractSuggestionsHandler(node, str, true) : [],
+                };
             }
 
             // UI string: starts with capital, has spaces, or multiple words
-            return `Hardcoded UI string "${truncatedStr}"${contextPart} should be imported from @/strings or @/constants (e.g., import { strings } from "@/strings")`;
+            // (translated rather than extracted in i18n mode)
+            if (isI18nMode) return { data, messageId: "untranslatedString" };
+
+            return {
+                data,
+                messageId: "uiString",
+                suggest: node ? getExtractSuggestionsHandler(node, str, false) : [],
+            };
         };
 
         // Known CSS utility function names (class string builders)
@@ -707,17 +855,70 @@ const noHardcodedStrings = {
             return false;
         };
 
+        // Get the name of a called function (t, i18n.t) or JSX element (Trans, Intl.FormattedMessage)
+        const getNameHandler = (node) => {
+            if (node.type === "Identifier" || node.type === "JSXIdentifier") return node.name;
+
+            if (node.type === "MemberExpression" || node.type === "JSXMemberExpression") return node.property.name;
+
+            return null;
+        };
+
+        const isTranslationCallHandler = (node) => node.type === "CallExpression"
+            && translationFunctions.includes(getNameHandler(node.callee));
+
+        const isTranslationElementHandler = (node) => node.type === "JSXElement"
+            && translationComponents.includes(getNameHandler(node.openingElement.name));
+
+        // Check if a node is inside a translation call or component (i18n mode sinks)
+        const isInsideTranslationSinkHandler = (node) => {
+            let current = node.parent;
+
+            while (current) {
+                if (isTranslationCallHandler(current) || isTranslationElementHandler(current)) return true;
+
+                current = current.parent;
+            }
+
+            return false;
+        };
+
         // Check if a string matches any ignore pattern
         const shouldIgnoreStringHandler = (str, node) => {
             // Skip strings inside class utility function calls (cn, cva, clsx, etc.)
             if (node && isInsideClassUtilityCallHandler(node)) return true;
 
+            // Skip translated text (t("key"), <Trans>, <FormattedMessage defaultMessage>)
+            if (isI18nMode && node && isInsideTranslationSinkHandler(node)) return true;
+
+            // Category values are reported even when they look technical ("in_transit"),
+            // unless the user's own ignorePatterns match them
+            if (getStringCategory(str, stringCategories.enabled)) {
+                return extraIgnorePatterns.some((pattern) => pattern.test(str));
+            }
+
+            // Skip values of disabled built-in categories
+            if (getStringCategory(str, stringCategories.disabled)) return true;
+
             // Skip Tailwind/CSS class strings
             if (isTailwindClassStringHandler(str)) return true;
 
             return allIgnorePatterns.some((pattern) => pattern.test(str));
         };
 
+        // Check if a string is worth reporting: text with letters, or a category value written without
+        // any ("404" is an HTTP status) where it is compared, so values like fontWeight: "500" are left alone
+        const looksLikeTextHandler = (str, node) => {
+            if (/[a-zA-Z]/.test(str)) return true;
+
+            if (!getStringCategory(str, stringCategories.enabled)) return false;
+
+            const { parent } = node;
+
+            return (parent.type === "BinaryExpression" && ["!=", "!==", "==", "==="].includes(parent.operator))
+                || (parent.type === "SwitchCase" && parent.test === node);
+        };
+
         // Check if we're inside a constants/strings/data/enums file
         const isConstantsFileHandler = () => {
             const filename = context.filename || context.getFilename();
@@ -883,12 +1084,71 @@ const noHardcodedStrings = {
             return false;
         };
 
+        // Get the static value of a translation key (string literal or template without expressions)
+        const getStaticKeyHandler = (node) => {
+            if (!node) return null;
+
+            if (node.type === "Literal" && typeof node.value === "string") return node.value;
+
+            if (node.type === "TemplateLiteral" && node.expressions.length === 0) return node.quasis[0].value.cooked;
+
+            if (node.type === "JSXExpressionContainer") return getStaticKeyHandler(node.expression);
+
+            return null;
+        };
+
+        // Report a translation key missing from all or some locales of the catalog
+        const checkTranslationKeyHandler = (keyNode) => {
+            const key = getStaticKeyHandler(keyNode);
+
+            if (!key) return;
+
+            const missingLocales = getMissingLocales(localeCatalog, key);
+
+            if (missingLocales.length === 0) return;
+
+            if (missingLocales.length === localeCatalog.size) {
+                context.report({
+                    data: { key },
+                    messageId: "missingTranslationKey",
+                    node: keyNode,
+                });
+
+                return;
+            }
+
+            context.report({
+                data: { key, locales: missingLocales.join(", ") },
+                messageId: "incompleteTranslationKey",
+                node: keyNode,
+            });
+        };
+
         // Skip if we're in a constants file
         if (isConstantsFileHandler()) {
             return {};
         }
 
         return {
+            // Check keys passed to translation functions: t("key"), formatMessage({ id: "key" })
+            CallExpression(node) {
+                if (!localeCatalog || !isTranslationCallHandler(node)) return;
+
+                const [firstArg] = node.arguments;
+
+                if (firstArg && firstArg.type === "ObjectExpression") {
+                    const idProp = firstArg.properties.find((prop) => prop.type === "Property"
+                        && !prop.computed
+                        && (prop.key.name === "id" || prop.key.value === "id"));
+
+                    if (idProp) checkTranslationKeyHandler(idProp.value);
+
+                    return;
+                }
+
+                checkTranslationKeyHandler(firstArg);
+            },
+
             ImportDeclaration: trackImportsHandler,
 
             // Check JSX text content
@@ -903,7 +1163,7 @@ const noHardcodedStrings = {
                 if (!/[a-zA-Z]/.test(text)) return;
 
                 context.report({
-                    message: getErrorMessageHandler(text, "JSX"),
+                    ...getReportDescriptorHandler(text, "JSX", node),
                     node,
                 });
             },
@@ -934,10 +1194,10 @@ const noHardcodedStrings = {
                     if (shouldIgnoreStringHandler(str, expression)) return;
 
                     // Check if it looks like user-facing text
-                    if (!/[a-zA-Z]/.test(str)) return;
+                    if (!looksLikeTextHandler(str, expression)) return;
 
                     context.report({
-                        message: getErrorMessageHandler(str, "JSX expression"),
+                        ...getReportDescriptorHandler(str, "JSX expression", expression),
                         node: expression,
                     });
                 }
@@ -956,13 +1216,24 @@ const noHardcodedStrings = {
                         if (/^[/.]|https?:\/\//.test(str)) return;
 
                         context.report({
-                            message: getErrorMessageHandler(str, "template literal"),
+                            ...getReportDescriptorHandler(str, "template literal"),
                             node: quasi,
                         });
                     });
                 }
             },
 
+            // Check keys of translation components: <Trans i18nKey="key">, <FormattedMessage id="key">
+            JSXOpeningElement(node) {
+                if (!localeCatalog || !translationComponents.includes(getNameHandler(node.name))) return;
+
+                const keyAttribute = node.attributes.find((attr) => attr.type === "JSXAttribute"
+                    && attr.name
+                    && (attr.name.name === "i18nKey" || attr.name.name === "id"));
+
+                if (keyAttribute) checkTranslationKeyHandler(keyAttribute.value);
+            },
+
             // Check JSX attributes
             JSXAttribute(node) {
                 if (!node.value) return;
@@ -986,10 +1257,10 @@ const noHardcodedStrings = {
                     if (shouldIgnoreStringHandler(str, node.value)) return;
 
                     // Check if it looks like user-facing text
-                    if (!/[a-zA-Z]/.test(str)) return;
+                    if (!looksLikeTextHandler(str, node.value)) return;
 
                     context.report({
-                        message: getErrorMessageHandler(str, `attribute "${attrName}"`),
+                        ...getReportDescriptorHandler(str, `attribute "${attrName}"`, node.value),
                         node: node.value,
                     });
                 }
@@ -1006,10 +1277,10 @@ const noHardcodedStrings = {
 
                         if (shouldIgnoreStringHandler(str, expression)) return;
 
-                        if (!/[a-zA-Z]/.test(str)) return;
+                        if (!looksLikeTextHandler(str, expression)) return;
 
                         context.report({
-                            message: getErrorMessageHandler(str, `attribute "${attrName}"`),
+                            ...getReportDescriptorHandler(str, `attribute "${attrName}"`, expression),
                             node: expression,
                         });
                     }
@@ -1026,15 +1297,18 @@ const noHardcodedStrings = {
                 // Skip if inside a style object (style={{ transform: "..." }})
                 if (isInsideStyleObjectHandler(node)) return;
 
+                // Skip translation keys and default messages in i18n mode
+                if (isI18nMode && isInsideTranslationSinkHandler(node)) return;
+
                 // Check for exported hardcoded strings (e.g., export const tokenKey = "auth_token")
                 // These should be flagged even at module level, regardless of whether the value
                 // looks "technical" - the point is exposing hardcoded strings in exports
                 if (isExportedHardcodedStringHandler(node)) {
                     // Skip if it doesn't look like user-facing text
-                    if (!/[a-zA-Z]/.test(str)) return;
+                    if (!looksLikeTextHandler(str, node)) return;
 
                     context.report({
-                        message: getErrorMessageHandler(str, "exported constant"),
+                        ...getReportDescriptorHandler(str, "exported constant", node),
                         node,
                     });
 
@@ -1060,10 +1334,10 @@ const noHardcodedStrings = {
                 if (node.parent.type === "Property" && node.parent.key === node) return;
 
                 // Skip if it doesn't look like user-facing text
-                if (!/[a-zA-Z]/.test(str)) return;
+                if (!looksLikeTextHandler(str, node)) return;
 
                 context.report({
-                    message: getErrorMessageHandler(str),
+                    ...getReportDescriptorHandler(str, "", node),
                     node,
                 });
             },
@@ -1107,7 +1381,7 @@ const noHardcodedStrings = {
                     if (node.expressions.length > node.quasis.length) return;
 
                     context.report({
-                        message: getErrorMessageHandler(str, "template literal"),
+                        ...getReportDescriptorHandler(str, "template literal"),
                         node: quasi,
                     });
                 });
@@ -1118,10 +1392,52 @@ const noHardcodedStrings = {
         docs: {
             description: "Enforce importing strings from constants/strings modules instead of hardcoding them",
         },
+        hasSuggestions: true,
+        messages: {
+            categoryString: "Hardcoded {{category}} value \"{{value}}\"{{location}} should be imported from {{source}}",
+            enumLikeAttribute: "Hardcoded \"{{value}}\"{{location}} should be imported from @/enums (preferred) or @/data to prevent typos (e.g., import { InputTypeEnum } from \"@/enums\")",
+            enumLikeString: "Hardcoded \"{{value}}\"{{location}} should be imported from @/enums (preferred) or @/data (e.g., import { StatusEnum } from \"@/enums\")",
+            extractToConstant: "Replace with {{name}} from {{source}} (add `export const {{name}} = {{value}};` to {{source}})",
+            incompleteTranslationKey: "Translation key \"{{key}}\" is missing from locale(s): {{locales}}",
+            missingTranslationKey: "Translation key \"{{key}}\" is not defined in the locale catalog",
+            uiString: "Hardcoded UI string \"{{value}}\"{{location}} should be imported from @/strings or @/constants (e.g., import { strings } from \"@/strings\")",
+            useExistingConstant: "Replace with {{name}} from {{source}}",
+            untranslatedString: "Hardcoded UI string \"{{value}}\"{{location}} should be translated (e.g., t(\"key\") or <Trans>)",
+        },
         schema: [
             {
                 additionalProperties: false,
                 properties: {
+                    categories: {
+                        description: "Extra enum-like categories, matched before the built-in ones",
+                        items: {
+                            additionalProperties: false,
+                            properties: {
+                                importSource: {
+                                    description: "Module the values are imported from (default: enumsModule)",
+                                    type: "string",
+                                },
+                                name: { type: "string" },
+                                values: {
+                                    items: { type: "string" },
+                                    minItems: 1,
+                                    type: "array",
+                                },
+                            },
+                            required: ["name", "values"],
+                            type: "object",
+                        },
+                        type: "array",
+                    },
+                    disabledCategories: {
+                        description: "Built-in categories whose values are no longer reported",
+                        items: { enum: BUILT_IN_STRING_CATEGORIES.map(({ name }) => name), type: "string" },
+                        type: "array",
+                    },
+                    enumsModule: {
+                        description: "Module that extract suggestions import enum-like values from",
+                        type: "string",
+                    },
                     extraIgnoreAttributes: {
                         description: "Additional JSX attributes to ignore (extends defaults)",
                         items: { type: "string" },
@@ -1134,6 +1450,29 @@ const noHardcodedStrings = {
                     },
                     ignorePatterns: {
                         description: "Regex patterns for strings to ignore",
+                        items: { format: "regex", type: "string" },
+                        type: "array",
+                    },
+                    localesDir: {
+                        description: "Directory of JSON/YAML locale catalogs that translation keys are checked against (i18n mode)",
+                        type: "string",
+                    },
+                    mode: {
+                        description: "\"constants\" requires imported strings, \"i18n\" requires translated strings",
+                        enum: ["constants", "i18n"],
+                        type: "string",
+                    },
+                    stringsModule: {
+                        description: "Module that extract suggestions import UI strings from",
+                        type: "string",
+                    },
+                    translationComponents: {
+                        description: "Components whose text and attributes are translated (i18n mode)",
+                        items: { type: "string" },
+                        type: "array",
+                    },
+                    translationFunctions: {
+                        description: "Functions whose arguments are translated (i18n mode)",
                         items: { type: "string" },
                         type: "array",
                     },
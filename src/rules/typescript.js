@@ -1,3 +1,52 @@
+import nodePath from "path";
+
+import { getCollapseFix, hasEmptyLineBetween } from "../utils/empty-lines.js";
+import { addNamedImportFix, getModuleSpecifier } from "../utils/imports.js";
+import { getLineIndent, getShiftedText } from "../utils/indent.js";
+import { findVariable, getNodeScope, renameVariableFixes } from "../utils/naming.js";
+import { escapeRegExp, globToRegExp } from "../utils/settings.js";
+import { getTypeServices, getValueKind, resolveAliasedSymbol } from "../utils/type-aware.js";
+
+// Enums declared in a program's source files, by name (null when the name is ambiguous)
+const programEnumsCache = new WeakMap();
+
+/**
+ * Get a fix renaming an enum or interface declaration together with its references in the file
+ * "export { Name }" keeps the exported name ("export { NewName as Name }").
+ * @param {Object} context - ESLint rule context
+ * @param {Object} node - TSEnumDeclaration or TSInterfaceDeclaration
+ * @param {string} newName - New declaration name
+ * @returns {Function|null} - Fix function, or null when the new name is already declared
+ */
+const getDeclarationRenameFix = (context, node, newName) => {
+    const scope = getNodeScope(context, node);
+
+    if (findVariable(scope, newName)) return null;
+
+    const variable = findVariable(scope, node.id.name);
+
+    return (fixer) => (variable ? renameVariableFixes(fixer, variable, newName) : fixer.replaceText(node.id, newName));
+};
+
+/**
+ * Get a fix moving a closing brace onto its own line, optionally adding or replacing the
+ * separator after the last member; comments after the last member stay on its line
+ * @param {Object} sourceCode - ESLint SourceCode
+ * @param {Object} lastMember - Last enum member or interface property
+ * @param {Object} closeBraceToken - Closing brace token
+ * @param {string} baseIndent - Indentation of the closing brace
+ * @param {Object} [separator] - { range, text } of the separator to write (omit to keep it)
+ * @returns {Function} - Fix function
+ */
+const getClosingBraceFix = (sourceCode, lastMember, closeBraceToken, baseIndent, separator) => (fixer) => {
+    const lastContentToken = sourceCode.getTokenBefore(closeBraceToken, { includeComments: true });
+    const fixes = [fixer.replaceTextRange([lastContentToken.range[1], closeBraceToken.range[0]], "\n" + baseIndent)];
+
+    if (separator) fixes.push(fixer.replaceTextRange(separator.range, separator.text));
+
+    return fixes;
+};
+
 /**
  * ───────────────────────────────────────────────────────────────
  * Rule: Enum Type Enforcement
@@ -13,6 +62,18 @@
  *   - Comparisons: `variant === "ghost"` → `variant === ButtonVariantEnum.GHOST`
  *   - Object property values matching the type
  *
+ * Options:
+ *   { typeAware: true } - Resolve enums with the TypeScript type checker (default: false)
+ *
+ * Type-aware mode:
+ *   Requires @typescript-eslint/parser with type information (projectService
+ *   or project); files without it keep the name-based checks. The enum is
+ *   resolved from the real declarations: an enum-typed value, a union alias
+ *   built from the enum (type ButtonVariantType = `${ButtonVariantEnum}`) or
+ *   an alias named after it (ButtonSizeType → ButtonSizeEnum). Only literals
+ *   matching a member value are reported ("lg" → ButtonSizeEnum.LARGE), and
+ *   the fix adds the enum import when it is missing.
+ *
  * ✓ Good:
  *   const Button = ({ variant = ButtonVariantEnum.PRIMARY }: { variant?: ButtonVariantType }) => ...
  *   if (variant === ButtonVariantEnum.GHOST) { ... }
@@ -24,6 +85,8 @@
 const enumTypeEnforcement = {
     create(context) {
         const sourceCode = context.sourceCode || context.getSourceCode();
+        const options = context.options[0] || {};
+        const typeServices = options.typeAware ? getTypeServices(context) : null;
 
         // Map to track variables with Type annotations and their corresponding Enum
         // e.g., "variant" -> { typeName: "ButtonVariantType", enumName: "ButtonVariantEnum" }
@@ -125,6 +188,205 @@ const enumTypeEnforcement = {
             return false;
         };
 
+        // Type-aware mode: find the enums declared in the program by name (source files only)
+        const getProgramEnumHandler = (enumName) => {
+            const { checker, program, ts } = typeServices;
+
+            if (!programEnumsCache.has(program)) {
+                const enums = new Map();
+
+                program.getSourceFiles()
+                    .filter((file) => !file.isDeclarationFile && !file.fileName.includes("/node_modules/"))
+                    .forEach((file) => file.statements.filter(ts.isEnumDeclaration).forEach((declaration) => {
+                        const name = declaration.name.text;
+                        const symbol = checker.getSymbolAtLocation(declaration.name);
+
+                        enums.set(name, enums.has(name) && enums.get(name) !== symbol ? null : symbol);
+                    }));
+
+                programEnumsCache.set(program, enums);
+            }
+
+            return programEnumsCache.get(program).get(enumName) || null;
+        };
+
+        // Type-aware mode: get the type annotation a value is declared with
+        // (parameters, variables, properties, and destructured properties through the pattern's type)
+        const getDeclaredTypeNodeHandler = (tsNode) => {
+            const { checker, ts } = typeServices;
+            const symbol = checker.getSymbolAtLocation(tsNode);
+            const declaration = symbol && symbol.valueDeclaration;
+
+            if (!declaration) return null;
+
+            if (ts.isBindingElement(declaration) && ts.isObjectBindingPattern(declaration.parent)) {
+                const propertyName = declaration.propertyName || declaration.name;
+                const property = ts.isIdentifier(propertyName)
+                    && checker.getTypeAtLocation(declaration.parent).getProperty(propertyName.text);
+
+                return (property && property.valueDeclaration && property.valueDeclaration.type) || null;
+            }
+
+            return declaration.type || null;
+        };
+
+        // Type-aware mode: find the enums a type annotation is built from, following type aliases
+        // (`${ButtonVariantEnum}`, ButtonVariantEnum | "custom", Exclude<ButtonVariantEnum, ...>)
+        const getReferencedEnumsHandler = (typeNode) => {
+            const { checker, ts } = typeServices;
+            const referencedEnums = new Set();
+            const visitedAliases = new Set();
+
+            const collectEnumsHandler = (node) => {
+                if (ts.isTypeReferenceNode(node)) {
+                    let symbol = resolveAliasedSymbol(checker, ts, checker.getSymbolAtLocation(node.typeName));
+
+                    if (symbol && symbol.flags & ts.SymbolFlags.EnumMember) {
+                        symbol = checker.getSymbolAtLocation(symbol.valueDeclaration.parent.name);
+                    }
+
+                    if (symbol && symbol.flags & ts.SymbolFlags.Enum) referencedEnums.add(symbol);
+
+                    if (symbol && symbol.flags & ts.SymbolFlags.TypeAlias && !visitedAliases.has(symbol)) {
+                        visitedAliases.add(symbol);
+                        symbol.declarations.filter(ts.isTypeAliasDeclaration).forEach((alias) => collectEnumsHandler(alias.type));
+                    }
+                }
+
+                node.forEachChild(collectEnumsHandler);
+            };
+
+            collectEnumsHandler(typeNode);
+
+            return [...referencedEnums];
+        };
+
+        // Type-aware mode: find the enum the value of a node is drawn from
+        // - Enum-typed values: the members' enum (variant: ButtonVariantEnum)
+        // - String unions built from one enum: type ButtonVariantType = `${ButtonVariantEnum}`
+        // - String unions named after an enum: ButtonSizeType → ButtonSizeEnum
+        const getEnumOfNodeHandler = (node) => {
+            const { checker, esTreeNodeToTSNodeMap, ts } = typeServices;
+            const tsNode = esTreeNodeToTSNodeMap.get(node);
+            const type = checker.getNonNullableType(checker.getTypeAtLocation(tsNode));
+            const parts = type.isUnion() ? type.types : [type];
+
+            if (type.symbol && type.symbol.flags & ts.SymbolFlags.Enum) return type.symbol;
+
+            const memberDeclaration = parts
+                .map((part) => part.symbol && part.symbol.valueDeclaration)
+                .find((declaration) => declaration && ts.isEnumMember(declaration));
+
+            if (memberDeclaration) return checker.getSymbolAtLocation(memberDeclaration.parent.name);
+
+            if (!parts.every((part) => part.isStringLiteral())) return null;
+
+            const aliasDeclaration = type.aliasSymbol && type.aliasSymbol.declarations.find(ts.isTypeAliasDeclaration);
+            const typeNode = getDeclaredTypeNodeHandler(tsNode) || aliasDeclaration;
+
+            if (!typeNode) return null;
+
+            const referencedEnums = getReferencedEnumsHandler(ts.isTypeAliasDeclaration(typeNode) ? typeNode.type : typeNode);
+
+            if (referencedEnums.length > 0) return referencedEnums.length === 1 ? referencedEnums[0] : null;
+
+            const typeName = ts.isTypeAliasDeclaration(typeNode) ? typeNode.name
+                : ts.isTypeReferenceNode(typeNode) && typeNode.typeName;
+            const enumName = typeName && ts.isIdentifier(typeName) ? getEnumNameFromTypeHandler(typeName.text) : null;
+
+            return enumName ? getProgramEnumHandler(enumName) : null;
+        };
+
+        // Type-aware mode: get the name of the enum member holding a value
+        const getEnumMemberNameHandler = (enumSymbol, value) => {
+            const { checker, ts } = typeServices;
+            const member = enumSymbol.declarations
+                .filter(ts.isEnumDeclaration)
+                .flatMap((declaration) => [...declaration.members])
+                .find((enumMember) => checker.getConstantValue(enumMember) === value);
+
+            return member ? member.name.text : null;
+        };
+
+        // Type-aware mode: get how the enum is reached from a node
+        // "" when it is in scope, a module specifier when it must be imported,
+        // null when it cannot be referenced (name taken by another binding, enum not exported)
+        const getEnumImportSourceHandler = (enumSymbol, node) => {
+            const { checker, esTreeNodeToTSNodeMap, ts } = typeServices;
+            const variable = findVariable(getNodeScope(context, node), enumSymbol.name);
+
+            if (variable) {
+                const identifier = variable.identifiers[0];
+                const symbol = identifier
+                    && resolveAliasedSymbol(checker, ts, checker.getSymbolAtLocation(esTreeNodeToTSNodeMap.get(identifier)));
+
+                return symbol === enumSymbol ? "" : null;
+            }
+
+            const declarationFile = enumSymbol.declarations[0].getSourceFile();
+            const moduleSymbol = checker.getSymbolAtLocation(declarationFile);
+            const isExported = Boolean(moduleSymbol) && checker.getExportsOfModule(moduleSymbol)
+                .some((exported) => exported.name === enumSymbol.name
+                    && resolveAliasedSymbol(checker, ts, exported) === enumSymbol);
+
+            return isExported ? getModuleSpecifier(context, declarationFile.fileName) : null;
+        };
+
+        // Type-aware mode: report a string literal whose expected type maps it to an enum member
+        const checkTypedLiteralHandler = (literalNode, typedNode) => {
+            const enumSymbol = getEnumOfNodeHandler(typedNode);
+
+            if (!enumSymbol) return;
+
+            const memberName = getEnumMemberNameHandler(enumSymbol, literalNode.value);
+
+            if (!memberName) return;
+
+            const replacement = /^[A-Za-z_$][\w$]*$/.test(memberName)
+                ? `${enumSymbol.name}.${memberName}`
+                : `${enumSymbol.name}[${JSON.stringify(memberName)}]`;
+            const importSource = getEnumImportSourceHandler(enumSymbol, literalNode);
+
+            context.report({
+                data: {
+                    replacement,
+                    stringValue: literalNode.value,
+                },
+                fix: importSource === null
+                    ? undefined
+                    : (fixer) => [
+                        fixer.replaceText(literalNode, replacement),
+                        ...(importSource ? [addNamedImportFix(fixer, sourceCode, enumSymbol.name, importSource)] : []),
+                    ],
+                messageId: "useEnumValue",
+                node: literalNode,
+            });
+        };
+
+        const isStringLiteralHandler = (node) => node.type === "Literal" && typeof node.value === "string";
+
+        if (typeServices) {
+            return {
+                // Default values: variant = "primary"
+                AssignmentPattern(node) {
+                    if (node.left.type === "Identifier" && isStringLiteralHandler(node.right)) {
+                        checkTypedLiteralHandler(node.right, node.left);
+                    }
+                },
+
+                // Comparisons: variant === "ghost", props.size !== "lg"
+                BinaryExpression(node) {
+                    if (node.operator !== "===" && node.operator !== "!==") return;
+
+                    if (isStringLiteralHandler(node.right) && !isStringLiteralHandler(node.left)) {
+                        checkTypedLiteralHandler(node.right, node.left);
+                    } else if (isStringLiteralHandler(node.left) && !isStringLiteralHandler(node.right)) {
+                        checkTypedLiteralHandler(node.left, node.right);
+                    }
+                },
+            };
+        }
+
         return {
             // Track function parameters
             "ArrowFunctionExpression, FunctionDeclaration, FunctionExpression"(node) {
@@ -149,10 +411,14 @@ const enumTypeEnforcement = {
                     const enumExists = isEnumInScopeHandler(typeInfo.enumName, node);
 
                     context.report({
+                        data: {
+                            replacement,
+                            stringValue,
+                        },
                         fix: enumExists
                             ? (fixer) => fixer.replaceText(node.right, replacement)
                             : undefined,
-                        message: `Use "${replacement}" instead of string literal "${stringValue}"`,
+                        messageId: "useEnumValue",
                         node: node.right,
                     });
                 }
@@ -187,10 +453,14 @@ const enumTypeEnforcement = {
                 const enumExists = isEnumInScopeHandler(typeInfo.enumName, node);
 
                 context.report({
+                    data: {
+                        replacement,
+                        stringValue,
+                    },
                     fix: enumExists
                         ? (fixer) => fixer.replaceText(literalNode, replacement)
                         : undefined,
-                    message: `Use "${replacement}" instead of string literal "${stringValue}"`,
+                    messageId: "useEnumValue",
                     node: literalNode,
                 });
             },
@@ -212,7 +482,21 @@ const enumTypeEnforcement = {
     meta: {
         docs: { description: "Enforce using enum values instead of string literals for typed variables" },
         fixable: "code",
-        schema: [],
+        messages: {
+            useEnumValue: "Use \"{{replacement}}\" instead of string literal \"{{stringValue}}\"",
+        },
+        schema: [
+            {
+                additionalProperties: false,
+                properties: {
+                    typeAware: {
+                        description: "Resolve enums and their members with the TypeScript type checker (needs type information)",
+                        type: "boolean",
+                    },
+                },
+                type: "object",
+            },
+        ],
         type: "suggestion",
     },
 };
@@ -230,6 +514,10 @@ const enumTypeEnforcement = {
  *   Applies to: interfaces, type aliases, inline types, and nested object types
  *   at any nesting level. Does NOT apply to JSX element attributes.
  *
+ *   Props are passed by callers in other files, so renames are never
+ *   auto-fixed: candidate names are offered as editor suggestions
+ *   (e.g., isLoading / hasLoading for loading).
+ *
  * Options:
  *   { booleanPrefixes: ["is", "has"] } - Replace default prefixes entirely
  *   { extendBooleanPrefixes: ["should", "can"] } - Add to default prefixes
@@ -237,6 +525,14 @@ const enumTypeEnforcement = {
  *   { allowContinuousVerbBoolean: false } - Allow continuous verb booleans (loading, saving, closing, etc.)
  *   { callbackPrefix: "on" } - Required prefix for callbacks
  *   { allowActionSuffix: false } - Allow "xxxAction" pattern for callbacks
+ *   { typeAware: false } - Classify props by their resolved TypeScript type
+ *
+ * Type-aware mode:
+ *   With type information from @typescript-eslint/parser, booleans and
+ *   callbacks are found through their resolved type as well: Maybe<boolean>,
+ *   aliases like IsEnabledType, and function type aliases. Destructured
+ *   props of components without a type annotation are checked by the type
+ *   inferred from their default ({ open = false } → isOpen).
  *
  * ✓ Good:
  *   interface PropsInterface {
@@ -291,6 +587,7 @@ const propNamingConvention = {
         const allowContinuousVerbBoolean = options.allowContinuousVerbBoolean || false;
         const callbackPrefix = options.callbackPrefix || "on";
         const allowActionSuffix = options.allowActionSuffix || false;
+        const typeServices = options.typeAware ? getTypeServices(context) : null;
 
         // Pattern to check if name starts with valid boolean prefix followed by capital letter
         const booleanPrefixPattern = new RegExp(`^(${booleanPrefixes.join("|")})[A-Z]`);
@@ -318,6 +615,13 @@ const propNamingConvention = {
             return prefix + name[0].toUpperCase() + name.slice(1);
         };
 
+        // Every configured prefix is a candidate name, the inferred one first: loading -> isLoading, hasLoading, ...
+        const getBooleanNameCandidatesHandler = (name) => {
+            const capitalizedName = name[0].toUpperCase() + name.slice(1);
+
+            return [...new Set([toBooleanNameHandler(name), ...booleanPrefixes.map((prefix) => prefix + capitalizedName)])];
+        };
+
         // Convert name to callback format (add "on" prefix)
         const toCallbackNameHandler = (name) => {
             // Handle "handleXxx" pattern -> "onXxx"
@@ -542,6 +846,68 @@ const propNamingConvention = {
             return fixes;
         };
 
+        // Build one rename suggestion per candidate name
+        const buildRenameSuggestionsHandler = (member, propName, candidateNames) => candidateNames.map((suggestedName) => ({
+            data: { suggestedName },
+            fix: (fixer) => createRenamingFixHandler(fixer, member, propName, suggestedName),
+            messageId: "renameTo",
+        }));
+
+        // Rename a destructured prop: shorthand props ({ open = false }) get the new key and
+        // binding, renamed props ({ open: isOpenLocal }) only the new key
+        const createPatternRenamingFixHandler = (fixer, property, suggestedName) => {
+            const local = property.value.type === "AssignmentPattern" ? property.value.left : property.value;
+
+            if (!property.shorthand) return [fixer.replaceText(property.key, suggestedName)];
+
+            const variable = findVariable(getNodeScope(context, local), local.name);
+
+            if (!variable) return [fixer.replaceText(local, suggestedName)];
+
+            return renameVariableFixes(fixer, variable, suggestedName)
+                .map((fix) => (fix.range[0] === local.range[0] ? fixer.replaceText(local, suggestedName) : fix));
+        };
+
+        // Report a prop whose name does not match its kind ("boolean" or "callback")
+        const reportPropNameHandler = (keyNode, propName, kind, buildSuggestions) => {
+            if (kind === "boolean" && !isValidBooleanNameHandler(propName)) {
+                context.report({
+                    data: {
+                        booleanPrefixes: booleanPrefixes.join(", "),
+                        propName,
+                        suggestedName: toBooleanNameHandler(propName),
+                    },
+                    messageId: "booleanPropStartValid",
+                    node: keyNode,
+                    suggest: buildSuggestions(getBooleanNameCandidatesHandler(propName)),
+                });
+            }
+
+            if (kind === "callback" && !isValidCallbackNameHandler(propName)) {
+                const suggestedName = toCallbackNameHandler(propName);
+
+                context.report({
+                    data: {
+                        callbackPrefix,
+                        propName,
+                        suggestedName,
+                    },
+                    messageId: "callbackPropStartPrefix",
+                    node: keyNode,
+                    suggest: buildSuggestions([suggestedName]),
+                });
+            }
+        };
+
+        // Get the kind of a prop from its annotation, or from its resolved type in type-aware mode
+        const getPropKindHandler = (member) => {
+            if (isBooleanTypeHandler(member.typeAnnotation)) return "boolean";
+
+            if (isCallbackTypeHandler(member.typeAnnotation)) return "callback";
+
+            return typeServices ? getValueKind(typeServices, member.key) : null;
+        };
+
         // Check a property signature (interface/type member) - recursive for nested types
         const checkPropertySignatureHandler = (member) => {
             if (member.type !== "TSPropertySignature") return;
@@ -563,33 +929,12 @@ const propNamingConvention = {
                 return;
             }
 
-            // Check boolean props
-            if (isBooleanTypeHandler(member.typeAnnotation)) {
-                if (!isValidBooleanNameHandler(propName)) {
-                    const suggestedName = toBooleanNameHandler(propName);
-
-                    context.report({
-                        fix: (fixer) => createRenamingFixHandler(fixer, member, propName, suggestedName),
-                        message: `Boolean prop "${propName}" should start with a valid prefix (${booleanPrefixes.join(", ")}). Use "${suggestedName}" instead.`,
-                        node: member.key,
-                    });
-                }
-
-                return;
-            }
-
-            // Check callback props
-            if (isCallbackTypeHandler(member.typeAnnotation)) {
-                if (!isValidCallbackNameHandler(propName)) {
-                    const suggestedName = toCallbackNameHandler(propName);
-
-                    context.report({
-                        fix: (fixer) => createRenamingFixHandler(fixer, member, propName, suggestedName),
-                        message: `Callback prop "${propName}" should start with "${callbackPrefix}" prefix. Use "${suggestedName}" instead.`,
-                        node: member.key,
-                    });
-                }
-            }
+            reportPropNameHandler(
+                member.key,
+                propName,
+                getPropKindHandler(member),
+                (candidateNames) => buildRenameSuggestionsHandler(member, propName, candidateNames),
+            );
         };
 
         // Check members of a type literal (inline types, type aliases)
@@ -598,7 +943,41 @@ const propNamingConvention = {
             node.members.forEach(checkPropertySignatureHandler);
         };
 
+        // Type-aware mode: check destructured props of a component without a type annotation,
+        // by the type inferred from their defaults (({ open = false }) => ...)
+        const checkUntypedComponentPropsHandler = (node) => {
+            const [propsParam] = node.params;
+            const nameNode = node.id || (node.parent.type === "VariableDeclarator" ? node.parent.id : null);
+
+            if (!propsParam || propsParam.type !== "ObjectPattern" || propsParam.typeAnnotation) return;
+
+            if (!nameNode || nameNode.type !== "Identifier" || !/^[A-Z]/.test(nameNode.name)) return;
+
+            propsParam.properties.forEach((property) => {
+                if (property.type !== "Property" || property.computed || property.key.type !== "Identifier") return;
+
+                const local = property.value.type === "AssignmentPattern" ? property.value.left : property.value;
+
+                if (local.type !== "Identifier" || property.key.name.startsWith("_")) return;
+
+                reportPropNameHandler(
+                    property.key,
+                    property.key.name,
+                    getValueKind(typeServices, local),
+                    (candidateNames) => candidateNames.map((suggestedName) => ({
+                        data: { suggestedName },
+                        fix: (fixer) => createPatternRenamingFixHandler(fixer, property, suggestedName),
+                        messageId: "renameTo",
+                    })),
+                );
+            });
+        };
+
         return {
+            ...(typeServices && {
+                "ArrowFunctionExpression, FunctionDeclaration, FunctionExpression": checkUntypedComponentPropsHandler,
+            }),
+
             // Interface declarations
             TSInterfaceDeclaration(node) {
                 if (!node.body || !node.body.body) return;
@@ -616,13 +995,26 @@ const propNamingConvention = {
             TSTypeLiteral(node) {
                 // Skip if already handled by TSTypeAliasDeclaration
                 if (node.parent?.type === "TSTypeAliasDeclaration") return;
+                // Skip if already handled as nested type inside checkPropertySignatureHandler
+                const propertySignature = node.parent?.parent;
+
+                if (node.parent?.type === "TSTypeAnnotation"
+                    && propertySignature?.type === "TSPropertySignature"
+                    && propertySignature.key?.type === "Identifier"
+                    && !propertySignature.key.name.startsWith("_")) return;
+
                 checkTypeLiteralHandler(node);
             },
         };
     },
     meta: {
         docs: { description: "Enforce naming conventions: boolean props must start with is/has/with/without, callback props must start with on" },
-        fixable: "code",
+        hasSuggestions: true,
+        messages: {
+            booleanPropStartValid: "Boolean prop \"{{propName}}\" should start with a valid prefix ({{booleanPrefixes}}). Use \"{{suggestedName}}\" instead.",
+            callbackPropStartPrefix: "Callback prop \"{{propName}}\" should start with \"{{callbackPrefix}}\" prefix. Use \"{{suggestedName}}\" instead.",
+            renameTo: "Rename to \"{{suggestedName}}\"",
+        },
         schema: [
             {
                 additionalProperties: false,
@@ -658,6 +1050,11 @@ const propNamingConvention = {
                         items: { type: "string" },
                         type: "array",
                     },
+                    typeAware: {
+                        default: false,
+                        description: "Classify booleans and callbacks by their resolved TypeScript type (needs type information)",
+                        type: "boolean",
+                    },
                 },
                 type: "object",
             },
@@ -792,11 +1189,12 @@ const noInlineTypeDefinitions = {
                 if (isBuiltInUnionHandler(typeNode)) return;
 
                 const memberCount = countUnionMembersHandler(typeNode);
-                const typeText = sourceCode.getText(typeNode);
+                const typeText = sourceCode.getText(typeNode).replace(/\s*\n\s*/g, " ");
 
                 if (memberCount >= maxUnionMembers || typeText.length > maxLength) {
                     context.report({
-                        message: `Inline union type with ${memberCount} members is too complex. Extract to a named type in a types file.`,
+                        data: { memberCount },
+                        messageId: "inlineUnionTypeMembers",
                         node: typeNode,
                     });
                 }
@@ -813,20 +1211,35 @@ const noInlineTypeDefinitions = {
                 return;
             }
 
-            // Handle object types with union properties
+            // Handle array types (e.g., ("a" | "b" | "c")[])
+            if (typeNode.type === "TSArrayType") {
+                checkTypeAnnotationHandler(typeNode.elementType, paramName);
+
+                return;
+            }
+
+            // Handle object types with union properties, including nested object and array properties
             if (typeNode.type === "TSTypeLiteral") {
                 for (const member of typeNode.members) {
                     if (member.type === "TSPropertySignature" && member.typeAnnotation) {
-                        const propType = member.typeAnnotation.typeAnnotation;
-                        const propName = member.key && member.key.name ? member.key.name : "unknown";
+                        let propType = member.typeAnnotation.typeAnnotation;
+                        const propName = (member.key && (member.key.name || member.key.value)) || "unknown";
 
-                        if (propType && propType.type === "TSUnionType") {
+                        if (propType && propType.type === "TSArrayType") propType = propType.elementType;
+
+                        if (propType && propType.type === "TSTypeLiteral") {
+                            checkTypeAnnotationHandler(propType, paramName);
+                        } else if (propType && propType.type === "TSUnionType") {
                             const memberCount = countUnionMembersHandler(propType);
-                            const typeText = sourceCode.getText(propType);
+                            const typeText = sourceCode.getText(propType).replace(/\s*\n\s*/g, " ");
 
                             if (memberCount >= maxUnionMembers || typeText.length > maxLength) {
                                 context.report({
-                                    message: `Property "${propName}" has inline union type with ${memberCount} members. Extract to a named type in a types file.`,
+                                    data: {
+                                        memberCount,
+                                        propName,
+                                    },
+                                    messageId: "propertyInlineUnionType",
                                     node: propType,
                                 });
                             }
@@ -836,39 +1249,36 @@ const noInlineTypeDefinitions = {
             }
         };
 
-        return {
-            // Check function parameters
-            ArrowFunctionExpression(node) {
-                for (const param of node.params) {
-                    if (param.typeAnnotation && param.typeAnnotation.typeAnnotation) {
-                        const paramName = param.type === "Identifier" ? param.name : "param";
+        // Check the type annotations of function params (defaults, rest params and constructor parameter properties included)
+        const checkParamsHandler = (node) => {
+            for (const param of node.params) {
+                let typedParam = param;
 
-                        checkTypeAnnotationHandler(param.typeAnnotation.typeAnnotation, paramName);
-                    }
-                }
-            },
-            FunctionDeclaration(node) {
-                for (const param of node.params) {
-                    if (param.typeAnnotation && param.typeAnnotation.typeAnnotation) {
-                        const paramName = param.type === "Identifier" ? param.name : "param";
+                if (typedParam.type === "TSParameterProperty") typedParam = typedParam.parameter;
 
-                        checkTypeAnnotationHandler(param.typeAnnotation.typeAnnotation, paramName);
-                    }
-                }
-            },
-            FunctionExpression(node) {
-                for (const param of node.params) {
-                    if (param.typeAnnotation && param.typeAnnotation.typeAnnotation) {
-                        const paramName = param.type === "Identifier" ? param.name : "param";
+                if (typedParam.type === "AssignmentPattern") typedParam = typedParam.left;
 
-                        checkTypeAnnotationHandler(param.typeAnnotation.typeAnnotation, paramName);
-                    }
+                if (typedParam.typeAnnotation && typedParam.typeAnnotation.typeAnnotation) {
+                    const paramName = typedParam.type === "Identifier" ? typedParam.name : "param";
+
+                    checkTypeAnnotationHandler(typedParam.typeAnnotation.typeAnnotation, paramName);
                 }
-            },
+            }
+        };
+
+        return {
+            // Check function parameters
+            ArrowFunctionExpression: checkParamsHandler,
+            FunctionDeclaration: checkParamsHandler,
+            FunctionExpression: checkParamsHandler,
         };
     },
     meta: {
         docs: { description: "Enforce extracting inline union types to named types in type files" },
+        messages: {
+            inlineUnionTypeMembers: "Inline union type with {{memberCount}} members is too complex. Extract to a named type in a types file.",
+            propertyInlineUnionType: "Property \"{{propName}}\" has inline union type with {{memberCount}} members. Extract to a named type in a types file.",
+        },
         schema: [
             {
                 additionalProperties: false,
@@ -956,42 +1366,53 @@ const typeFormat = {
             const openBraceToken = sourceCode.getFirstToken(typeLiteralNode);
             const closeBraceToken = sourceCode.getLastToken(typeLiteralNode);
 
-            // Check for empty line after opening brace
+            // Check for empty line after opening brace (a comment line is not empty)
             const firstMember = members[0];
+            const firstContentToken = sourceCode.getTokenAfter(openBraceToken, { includeComments: true });
 
-            if (firstMember.loc.start.line - openBraceToken.loc.end.line > 1) {
+            if (firstContentToken.loc.start.line - openBraceToken.loc.end.line > 1) {
                 context.report({
                     fix: (fixer) => fixer.replaceTextRange(
-                        [openBraceToken.range[1], firstMember.range[0]],
+                        [openBraceToken.range[1], firstContentToken.range[0]],
                         "\n" + propIndent,
                     ),
-                    message: "No empty line after opening brace in type",
+                    messageId: "noEmptyLineAfter",
                     node: firstMember,
                 });
             }
 
             // Check for empty line before closing brace
             const lastMember = members[members.length - 1];
+            const lastContentToken = sourceCode.getTokenBefore(closeBraceToken, { includeComments: true });
 
-            if (closeBraceToken.loc.start.line - lastMember.loc.end.line > 1) {
+            if (closeBraceToken.loc.start.line - lastContentToken.loc.end.line > 1) {
                 context.report({
                     fix: (fixer) => fixer.replaceTextRange(
-                        [lastMember.range[1], closeBraceToken.range[0]],
+                        [lastContentToken.range[1], closeBraceToken.range[0]],
                         "\n" + baseIndent,
                     ),
-                    message: "No empty line before closing brace in type",
+                    messageId: "noEmptyLineBefore",
                     node: lastMember,
                 });
             }
 
+            // Lay out every member on its own line ending with a comma, so one fix pass settles the
+            // whole type; with comments inside, only the reported gap is fixed so none is lost
+            const canRewriteMembers = members.length > 1 && !sourceCode.commentsExistBetween(openBraceToken, closeBraceToken);
+
+            const rewriteMembersHandler = (fixer) => fixer.replaceTextRange(
+                [openBraceToken.range[0], closeBraceToken.range[1]],
+                `{\n${members.map((member) => `${propIndent}${sourceCode.getText(member).replace(/[,;]\s*$/, "")},`).join("\n")}\n${baseIndent}}`,
+            );
+
             // For multiple members, closing brace must be on its own line
             if (members.length >= 2 && closeBraceToken.loc.start.line === lastMember.loc.end.line) {
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
+                    fix: canRewriteMembers ? rewriteMembersHandler : (fixer) => fixer.replaceTextRange(
                         [lastMember.range[1], closeBraceToken.range[0]],
                         "\n" + baseIndent,
                     ),
-                    message: "Closing brace should be on its own line in multiline type literal",
+                    messageId: "closingBraceOwnLine",
                     node: closeBraceToken,
                 });
             }
@@ -999,11 +1420,11 @@ const typeFormat = {
             // For multiple members, first member should be on new line after opening brace
             if (members.length > 1 && firstMember.loc.start.line === openBraceToken.loc.end.line) {
                 context.report({
-                    fix: (fixer) => fixer.replaceTextRange(
+                    fix: canRewriteMembers ? rewriteMembersHandler : (fixer) => fixer.replaceTextRange(
                         [openBraceToken.range[1], firstMember.range[0]],
                         "\n" + propIndent,
                     ),
-                    message: "First type property must be on a new line when there are multiple properties",
+                    messageId: "firstTypePropertyNew",
                     node: firstMember,
                 });
             }
@@ -1017,8 +1438,12 @@ const typeFormat = {
                         const fixedName = toCamelCaseHandler(propName);
 
                         context.report({
+                            data: {
+                                fixedName,
+                                propName,
+                            },
                             fix: (fixer) => fixer.replaceText(member.key, fixedName),
-                            message: `Type property "${propName}" must be camelCase. Use "${fixedName}" instead.`,
+                            messageId: "typePropertyCamelCase",
                             node: member.key,
                         });
                     }
@@ -1046,7 +1471,7 @@ const typeFormat = {
                         const nestedCloseBrace = sourceCode.getLastToken(nestedType);
                         const isNestedMultiLine = nestedOpenBrace.loc.end.line !== nestedCloseBrace.loc.start.line;
 
-                        if (isNestedMultiLine) {
+                        if (isNestedMultiLine && !sourceCode.commentsExistBetween(nestedOpenBrace, nestedCloseBrace)) {
                             const nestedMember = nestedType.members[0];
                             let nestedMemberText = sourceCode.getText(nestedMember).trim();
 
@@ -1060,7 +1485,7 @@ const typeFormat = {
                                     [nestedOpenBrace.range[0], nestedCloseBrace.range[1]],
                                     `{ ${nestedMemberText} }`,
                                 ),
-                                message: "Single property nested object type should be on one line",
+                                messageId: "singlePropertyNestedObject",
                                 node: nestedType,
                             });
                         }
@@ -1084,7 +1509,7 @@ const typeFormat = {
                                     [keyToken.range[1], questionToken.range[0]],
                                     "",
                                 ),
-                                message: "No space allowed before \"?\" in optional property",
+                                messageId: "noSpaceAllowedBefore",
                                 node: member,
                             });
                         }
@@ -1102,7 +1527,7 @@ const typeFormat = {
 
                             return fixer.replaceTextRange([absolutePos, absolutePos + 1], ",");
                         },
-                        message: "Type properties must end with comma (,) not semicolon (;)",
+                        messageId: "typePropertiesEndComma",
                         node: member,
                     });
                 }
@@ -1114,7 +1539,7 @@ const typeFormat = {
                     if (!trimmedText.endsWith(",") && !trimmedText.endsWith(";")) {
                         context.report({
                             fix: (fixer) => fixer.insertTextAfter(member, ","),
-                            message: "Last type property must have trailing comma",
+                            messageId: "lastTypePropertyTrailing",
                             node: member,
                         });
                     }
@@ -1127,7 +1552,7 @@ const typeFormat = {
                     // Check each is on its own line - with auto-fix
                     if (member.loc.start.line === prevMember.loc.end.line) {
                         context.report({
-                            fix: (fixer) => {
+                            fix: canRewriteMembers ? rewriteMembersHandler : (fixer) => {
                                 let commaToken = sourceCode.getTokenAfter(prevMember);
 
                                 while (commaToken && commaToken.value !== "," && commaToken.range[0] < member.range[0]) {
@@ -1141,7 +1566,7 @@ const typeFormat = {
                                     "\n" + propIndent,
                                 );
                             },
-                            message: "Each type property must be on its own line when there are multiple properties",
+                            messageId: "eachTypePropertyOwn",
                             node: member,
                         });
                     }
@@ -1161,7 +1586,7 @@ const typeFormat = {
                                     newText,
                                 );
                             },
-                            message: "No empty lines allowed between type properties",
+                            messageId: "noEmptyLinesAllowed",
                             node: member,
                         });
                     }
@@ -1198,7 +1623,7 @@ const typeFormat = {
 
                             return null;
                         },
-                        message: "Single property inline type should not have trailing comma",
+                        messageId: "singlePropertyInlineType",
                         node: member,
                     });
 
@@ -1211,7 +1636,7 @@ const typeFormat = {
 
                     context.report({
                         fix: (fixer) => fixer.replaceText(typeLiteral, typeText),
-                        message: "Single property inline type should be on one line",
+                        messageId: "singlePropertyInlineTypeOne",
                         node: typeLiteral,
                     });
                 }
@@ -1245,7 +1670,7 @@ const typeFormat = {
 
                 context.report({
                     fix: (fixer) => fixer.replaceText(typeLiteral, newText),
-                    message: "Inline type with 2+ properties should be multiline with trailing commas",
+                    messageId: "inlineTypePropertiesMultiline",
                     node: typeLiteral,
                 });
 
@@ -1265,14 +1690,14 @@ const typeFormat = {
                             [member.range[0] + semicolonIndex, member.range[0] + semicolonIndex + 1],
                             ",",
                         ),
-                        message: "Type properties must end with comma (,) not semicolon (;)",
+                        messageId: "typePropertiesEndComma",
                         node: member,
                     });
                 } else if (index === members.length - 1 && !memberText.trimEnd().endsWith(",")) {
                     // Last member needs trailing comma
                     context.report({
                         fix: (fixer) => fixer.insertTextAfter(member, ","),
-                        message: "Last property in multiline inline type should have trailing comma",
+                        messageId: "lastPropertyMultilineInline",
                         node: member,
                     });
                 }
@@ -1287,7 +1712,7 @@ const typeFormat = {
                                 [member.range[1], nextMember.range[0]],
                                 "\n" + " ".repeat(nextMember.loc.start.column),
                             ),
-                            message: "No empty lines between type properties",
+                            messageId: "noEmptyLinesBetween",
                             node: nextMember,
                         });
                     }
@@ -1303,7 +1728,7 @@ const typeFormat = {
                         [openBrace.range[1], firstMember.range[0]],
                         "\n" + " ".repeat(firstMember.loc.start.column),
                     ),
-                    message: "No empty line after opening brace in inline type",
+                    messageId: "noEmptyLineAfterOpening",
                     node: firstMember,
                 });
             }
@@ -1319,7 +1744,7 @@ const typeFormat = {
                         [openBrace.range[1], firstMember.range[0]],
                         "\n" + propIndent,
                     ),
-                    message: "First property of multiline inline type should be on its own line",
+                    messageId: "firstPropertyMultilineInline",
                     node: firstMember,
                 });
             }
@@ -1335,7 +1760,7 @@ const typeFormat = {
                         [lastMember.range[1], closeBrace.range[0]],
                         "\n" + indent,
                     ),
-                    message: "No empty line before closing brace in inline type",
+                    messageId: "noEmptyLineBeforeClosing",
                     node: closeBrace,
                 });
             }
@@ -1355,7 +1780,7 @@ const typeFormat = {
                             [lastMember.range[1], closeBrace.range[0]],
                             "\n" + baseIndent + "    ",
                         ),
-                        message: "Closing brace should be on its own line in multiline type literal",
+                        messageId: "closingBraceOwnLine",
                         node: closeBrace,
                     });
                 }
@@ -1381,7 +1806,7 @@ const typeFormat = {
                         if (textAfterAs !== " ") {
                             context.report({
                                 fix: (fixer) => fixer.replaceTextRange([asToken.range[1], firstTypeToken.range[0]], " "),
-                                message: "Type assertion should have exactly one space after 'as' and opening brace on same line",
+                                messageId: "typeAssertionExactlyOne",
                                 node: firstTypeToken,
                             });
                         }
@@ -1389,7 +1814,7 @@ const typeFormat = {
                         // For other types, ensure same line
                         context.report({
                             fix: (fixer) => fixer.replaceTextRange([asToken.range[1], firstTypeToken.range[0]], " "),
-                            message: "Type should be on same line as 'as' keyword",
+                            messageId: "typeSameLineKeyword",
                             node: firstTypeToken,
                         });
                     }
@@ -1405,15 +1830,17 @@ const typeFormat = {
                 // Check type name is PascalCase and ends with Type
                 if (!pascalCaseRegex.test(typeName)) {
                     context.report({
-                        message: `Type name "${typeName}" must be PascalCase`,
+                        data: { typeName },
+                        messageId: "typeNamePascalCase",
                         node: node.id,
                     });
                 } else if (!typeName.endsWith("Type")) {
                     context.report({
+                        data: { typeName },
                         fix(fixer) {
                             return fixer.replaceText(node.id, `${typeName}Type`);
                         },
-                        message: `Type name "${typeName}" must end with "Type" suffix. Use "${typeName}Type" instead of "${typeName}"`,
+                        messageId: "typeNameEndType",
                         node: node.id,
                     });
                 }
@@ -1437,12 +1864,15 @@ const typeFormat = {
                         if (isMultiLine) {
                             const equalToken = sourceCode.getTokenAfter(node.id);
 
+                            // Collapsing keeps only the member text, so comments around it would be lost
+                            const hasComments = sourceCode.commentsExistBetween(openBrace, closeBrace);
+
                             context.report({
-                                fix: (fixer) => fixer.replaceTextRange(
+                                fix: hasComments ? null : (fixer) => fixer.replaceTextRange(
                                     [equalToken.range[0], closeBrace.range[1]],
                                     `= { ${memberText} }`,
                                 ),
-                                message: "Single property type should be on one line",
+                                messageId: "singlePropertyTypeOne",
                                 node: node.typeAnnotation,
                             });
                         } else {
@@ -1457,7 +1887,7 @@ const typeFormat = {
                                         member.range[0] + commaIndex,
                                         member.range[0] + commaIndex + 1,
                                     ]),
-                                    message: "Single property inline type should not have trailing comma",
+                                    messageId: "singlePropertyInlineType",
                                     node: member,
                                 });
                             } else if (rawMemberText.trimEnd().endsWith(";")) {
@@ -1468,7 +1898,7 @@ const typeFormat = {
                                         member.range[0] + semiIndex,
                                         member.range[0] + semiIndex + 1,
                                     ], ","),
-                                    message: "Type properties must end with comma (,) not semicolon (;)",
+                                    messageId: "typePropertiesEndComma",
                                     node: member,
                                 });
                             }
@@ -1488,7 +1918,7 @@ const typeFormat = {
                                         " ",
                                     );
                                 },
-                                message: "Opening brace must be on the same line as type name",
+                                messageId: "openingBraceSameLine",
                                 node: openBraceToken,
                             });
                         }
@@ -1529,7 +1959,7 @@ const typeFormat = {
                                         [openBrace.range[0], closeBrace.range[1]],
                                         `{ ${memberText} }`,
                                     ),
-                                    message: "Single property type in intersection should be inline",
+                                    messageId: "singlePropertyTypeIntersection",
                                     node: type,
                                 });
                             } else {
@@ -1544,7 +1974,7 @@ const typeFormat = {
                                             member.range[0] + commaIndex,
                                             member.range[0] + commaIndex + 1,
                                         ]),
-                                        message: "Single property inline type should not have trailing comma",
+                                        messageId: "singlePropertyInlineType",
                                         node: member,
                                     });
                                 } else if (memberText.trimEnd().endsWith(";")) {
@@ -1555,7 +1985,7 @@ const typeFormat = {
                                             member.range[0] + semiIndex,
                                             member.range[0] + semiIndex + 1,
                                         ], ","),
-                                        message: "Type properties must end with comma (,) not semicolon (;)",
+                                        messageId: "typePropertiesEndComma",
                                         node: member,
                                     });
                                 }
@@ -1574,7 +2004,7 @@ const typeFormat = {
                                 [equalToken.range[1], types[0].range[0]],
                                 " ",
                             ),
-                            message: "First intersection member should be on same line as '='",
+                            messageId: "firstIntersectionMemberSame",
                             node: types[0],
                         });
                     }
@@ -1594,7 +2024,7 @@ const typeFormat = {
                                     [prevType.range[1], ampToken.range[0]],
                                     " ",
                                 ),
-                                message: "'&' should be on same line as previous intersection member",
+                                messageId: "sameLinePreviousIntersection",
                                 node: ampToken,
                             });
                         }
@@ -1606,7 +2036,7 @@ const typeFormat = {
                                     [ampToken.range[1], currentType.range[0]],
                                     " ",
                                 ),
-                                message: "Intersection member should be on same line as '&'",
+                                messageId: "intersectionMemberSameLine",
                                 node: currentType,
                             });
                         }
@@ -1636,6 +2066,9 @@ const typeFormat = {
                     // Check if currently properly multiline (= on its own conceptually, first type on new line)
                     const isFirstTypeOnNewLine = firstType.loc.start.line > equalToken.loc.end.line;
 
+                    // Union fixes rebuild the type from its members, which would drop comments between them
+                    const hasComments = sourceCode.commentsExistBetween(equalToken, lastType);
+
                     if (types.length >= minMembersForMultiline) {
                         // Should be multiline format
                         // Check if needs reformatting
@@ -1683,14 +2116,15 @@ const typeFormat = {
                                 return memberIndent + "| " + typeText;
                             }).join("\n");
 
-                            const newTypeText = `= \n${formattedTypes}`;
+                            const newTypeText = `=\n${formattedTypes}`;
 
                             context.report({
-                                fix: (fixer) => fixer.replaceTextRange(
+                                data: { typesCount: types.length },
+                                fix: hasComments ? null : (fixer) => fixer.replaceTextRange(
                                     [equalToken.range[0], lastType.range[1]],
                                     newTypeText,
                                 ),
-                                message: `Union type with ${types.length} members should be multiline with each member on its own line`,
+                                messageId: "unionTypeMembersMultiline",
                                 node: unionType,
                             });
                         }
@@ -1707,11 +2141,12 @@ const typeFormat = {
                             const singleLineText = `= ${typeTexts.join(" | ")}`;
 
                             context.report({
-                                fix: (fixer) => fixer.replaceTextRange(
+                                data: { typesCount: types.length },
+                                fix: hasComments ? null : (fixer) => fixer.replaceTextRange(
                                     [equalToken.range[0], lastType.range[1]],
                                     singleLineText,
                                 ),
-                                message: `Union type with ${types.length} members should be on a single line`,
+                                messageId: "unionTypeMembersSingle",
                                 node: unionType,
                             });
                         }
@@ -1748,6 +2183,39 @@ const typeFormat = {
     meta: {
         docs: { description: "Enforce type naming (PascalCase + Type suffix), camelCase properties, proper formatting, union type formatting, and trailing commas" },
         fixable: "code",
+        messages: {
+            closingBraceOwnLine: "Closing brace should be on its own line in multiline type literal",
+            eachTypePropertyOwn: "Each type property must be on its own line when there are multiple properties",
+            firstIntersectionMemberSame: "First intersection member should be on same line as '='",
+            firstPropertyMultilineInline: "First property of multiline inline type should be on its own line",
+            firstTypePropertyNew: "First type property must be on a new line when there are multiple properties",
+            inlineTypePropertiesMultiline: "Inline type with 2+ properties should be multiline with trailing commas",
+            intersectionMemberSameLine: "Intersection member should be on same line as '&'",
+            lastPropertyMultilineInline: "Last property in multiline inline type should have trailing comma",
+            lastTypePropertyTrailing: "Last type property must have trailing comma",
+            noEmptyLineAfter: "No empty line after opening brace in type",
+            noEmptyLineAfterOpening: "No empty line after opening brace in inline type",
+            noEmptyLineBefore: "No empty line before closing brace in type",
+            noEmptyLineBeforeClosing: "No empty line before closing brace in inline type",
+            noEmptyLinesAllowed: "No empty lines allowed between type properties",
+            noEmptyLinesBetween: "No empty lines between type properties",
+            noSpaceAllowedBefore: "No space allowed before \"?\" in optional property",
+            openingBraceSameLine: "Opening brace must be on the same line as type name",
+            sameLinePreviousIntersection: "'&' should be on same line as previous intersection member",
+            singlePropertyInlineType: "Single property inline type should not have trailing comma",
+            singlePropertyInlineTypeOne: "Single property inline type should be on one line",
+            singlePropertyNestedObject: "Single property nested object type should be on one line",
+            singlePropertyTypeIntersection: "Single property type in intersection should be inline",
+            singlePropertyTypeOne: "Single property type should be on one line",
+            typeAssertionExactlyOne: "Type assertion should have exactly one space after 'as' and opening brace on same line",
+            typeNameEndType: "Type name \"{{typeName}}\" must end with \"Type\" suffix. Use \"{{typeName}}Type\" instead of \"{{typeName}}\"",
+            typeNamePascalCase: "Type name \"{{typeName}}\" must be PascalCase",
+            typePropertiesEndComma: "Type properties must end with comma (,) not semicolon (;)",
+            typePropertyCamelCase: "Type property \"{{propName}}\" must be camelCase. Use \"{{fixedName}}\" instead.",
+            typeSameLineKeyword: "Type should be on same line as 'as' keyword",
+            unionTypeMembersMultiline: "Union type with {{typesCount}} members should be multiline with each member on its own line",
+            unionTypeMembersSingle: "Union type with {{typesCount}} members should be on a single line",
+        },
         schema: [
             {
                 additionalProperties: false,
@@ -1805,14 +2273,14 @@ const typeAnnotationSpacing = {
                         if (textBetween === "") {
                             context.report({
                                 fix: (fixer) => fixer.insertTextAfter(asyncToken, " "),
-                                message: "Missing space after async keyword",
+                                messageId: "missingSpaceAfterAsync",
                                 node: asyncToken,
                             });
                         } else if (textBetween !== " " && !textBetween.includes("\n")) {
                             // Has extra spaces but not newline
                             context.report({
-                                fix: (fixer) => fixer.replaceTextRange([asyncToken.range[1], openParen.range[0]], " "),
-                                message: "Should have exactly one space after async keyword",
+                                fix: getCollapseFix(sourceCode, asyncToken.range[1], openParen.range[0], " "),
+                                messageId: "exactlyOneSpaceAfter",
                                 node: asyncToken,
                             });
                         }
@@ -1835,7 +2303,7 @@ const typeAnnotationSpacing = {
                             if (textBetween === "") {
                                 context.report({
                                     fix: (fixer) => fixer.insertTextAfter(functionToken, " "),
-                                    message: "Missing space after function keyword",
+                                    messageId: "missingSpaceAfterFunction",
                                     node: functionToken,
                                 });
                             }
@@ -1844,17 +2312,17 @@ const typeAnnotationSpacing = {
                 }
             },
             TSArrayType(node) {
-                // Check for space before [] like: Type []
-                const elementType = node.elementType;
-                const openBracket = sourceCode.getTokenAfter(elementType, (t) => t.value === "[");
+                // Check for space before [] like: Type [] (the element type may end before a ")" as in (A | B)[])
+                const openBracket = sourceCode.getTokenAfter(node.elementType, (t) => t.value === "[");
 
                 if (openBracket) {
-                    const textBetween = sourceCode.text.slice(elementType.range[1], openBracket.range[0]);
+                    const tokenBefore = sourceCode.getTokenBefore(openBracket);
+                    const textBetween = sourceCode.text.slice(tokenBefore.range[1], openBracket.range[0]);
 
                     if (textBetween !== "") {
                         context.report({
-                            fix: (fixer) => fixer.removeRange([elementType.range[1], openBracket.range[0]]),
-                            message: "No space allowed before [] in array type",
+                            fix: getCollapseFix(sourceCode, tokenBefore.range[1], openBracket.range[0], ""),
+                            messageId: "noSpaceAllowedBefore",
                             node: openBracket,
                         });
                     }
@@ -1874,8 +2342,8 @@ const typeAnnotationSpacing = {
 
                             if (textBetween !== "") {
                                 context.report({
-                                    fix: (fixer) => fixer.removeRange([tokenBefore.range[1], openAngle.range[0]]),
-                                    message: "No space allowed before < in generic type",
+                                    fix: getCollapseFix(sourceCode, tokenBefore.range[1], openAngle.range[0], ""),
+                                    messageId: "noSpaceAllowedBeforeGeneric",
                                     node: openAngle,
                                 });
                             }
@@ -1899,8 +2367,8 @@ const typeAnnotationSpacing = {
 
                     if (textBetween !== "") {
                         context.report({
-                            fix: (fixer) => fixer.removeRange([tokenBeforeColon.range[1], colonToken.range[0]]),
-                            message: "No space allowed before colon in type annotation",
+                            fix: getCollapseFix(sourceCode, tokenBeforeColon.range[1], colonToken.range[0], ""),
+                            messageId: "noSpaceAllowedBeforeColon",
                             node: colonToken,
                         });
 
@@ -1918,7 +2386,7 @@ const typeAnnotationSpacing = {
                     if (textAfterColon === "") {
                         context.report({
                             fix: (fixer) => fixer.insertTextAfter(colonToken, " "),
-                            message: "Missing space after colon in type annotation",
+                            messageId: "missingSpaceAfterColon",
                             node: colonToken,
                         });
 
@@ -1929,11 +2397,8 @@ const typeAnnotationSpacing = {
                 // Check if type is on same line as colon
                 if (typeNode && colonToken.loc.end.line !== typeNode.loc.start.line) {
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [colonToken.range[1], typeNode.range[0]],
-                            " ",
-                        ),
-                        message: "Type should be on the same line as colon in type annotation",
+                        fix: getCollapseFix(sourceCode, colonToken.range[1], typeNode.range[0], " "),
+                        messageId: "typeSameLineColon",
                         node: typeNode,
                     });
                 }
@@ -1960,7 +2425,7 @@ const typeAnnotationSpacing = {
                     if (textAfterOpen.trim() === "" && textAfterOpen !== "") {
                         context.report({
                             fix: (fixer) => fixer.removeRange([openBracket.range[1], firstParam.range[0]]),
-                            message: "No space allowed after < in generic type",
+                            messageId: "noSpaceAllowedAfter",
                             node: openBracket,
                         });
                     }
@@ -1978,7 +2443,7 @@ const typeAnnotationSpacing = {
                     if (textBeforeClose.trim() === "" && textBeforeClose !== "") {
                         context.report({
                             fix: (fixer) => fixer.removeRange([lastParam.range[1], closeBracket.range[0]]),
-                            message: "No space allowed before > in generic type",
+                            messageId: "noSpaceAllowedBeforeGenericType",
                             node: closeBracket,
                         });
                     }
@@ -1988,21 +2453,19 @@ const typeAnnotationSpacing = {
                 const params = node.params;
 
                 if (params.length === 1) {
-                    // Single param: should be inline — <ParamType> (no trailing comma, no newlines)
+                    // Single param: should hug the brackets — <ParamType> (no trailing comma, no line breaks around it);
+                    // a param spanning lines itself (<{\n ... \n}>) is already inline
                     const param = params[0];
-                    const isMultiLine = openBracket.loc.end.line !== closeBracket.loc.start.line;
+                    const isMultiLine = sourceCode.text.slice(openBracket.range[1], param.range[0]).includes("\n")
+                        || sourceCode.text.slice(param.range[1], closeBracket.range[0]).includes("\n");
 
                     if (isMultiLine) {
-                        const paramText = sourceCode.getText(param).trim();
-                        // Remove trailing comma if present
-                        const cleanParamText = paramText.endsWith(",") ? paramText.slice(0, -1) : paramText;
-
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
+                            fix: sourceCode.commentsExistBetween(openBracket, closeBracket) ? null : (fixer) => fixer.replaceTextRange(
                                 [openBracket.range[1], closeBracket.range[0]],
-                                cleanParamText,
+                                sourceCode.getText(param),
                             ),
-                            message: "Single generic type parameter should be inline",
+                            messageId: "singleGenericTypeParameter",
                             node,
                         });
 
@@ -2010,17 +2473,12 @@ const typeAnnotationSpacing = {
                     }
 
                     // Already inline — check for trailing comma (not allowed for single param)
-                    const paramText = sourceCode.getText(param);
-
-                    if (paramText.trimEnd().endsWith(",")) {
-                        const commaIndex = paramText.lastIndexOf(",");
+                    const tokenAfterParam = sourceCode.getTokenAfter(param);
 
+                    if (tokenAfterParam.value === ",") {
                         context.report({
-                            fix: (fixer) => fixer.removeRange([
-                                param.range[0] + commaIndex,
-                                param.range[0] + commaIndex + 1,
-                            ]),
-                            message: "Single generic type parameter should not have trailing comma",
+                            fix: (fixer) => fixer.remove(tokenAfterParam),
+                            messageId: "singleGenericTypeParameterNot",
                             node: param,
                         });
 
@@ -2074,19 +2532,21 @@ const typeAnnotationSpacing = {
                     }
 
                     if (needsReformat) {
-                        const formattedParams = params.map((param, index) => {
-                            const text = sourceCode.getText(param).trim();
+                        // Multiline params move with their own lines; params with comments between them are not rebuilt
+                        const paramTexts = params.map((param) => getShiftedText(sourceCode, param, paramIndent.length - getLineIndent(sourceCode, param).length));
+                        const canRewrite = !sourceCode.commentsExistBetween(openBracket, closeBracket) && !paramTexts.includes(null);
+                        const formattedParams = paramTexts.map((text, index) => {
                             const comma = index < params.length - 1 ? "," : "";
 
                             return paramIndent + text + comma;
                         }).join("\n");
 
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
+                            fix: canRewrite ? (fixer) => fixer.replaceTextRange(
                                 [openBracket.range[1], closeBracket.range[0]],
                                 "\n" + formattedParams + "\n" + baseIndent,
-                            ),
-                            message: "Generic type parameters should each be on their own line",
+                            ) : null,
+                            messageId: "genericTypeParametersEach",
                             node,
                         });
 
@@ -2105,6 +2565,7 @@ const typeAnnotationSpacing = {
 
                         const members = param.members;
                         const isMultiLine = typeOpenBrace.loc.start.line !== typeCloseBrace.loc.end.line;
+                        const hasComments = sourceCode.commentsExistBetween(typeOpenBrace, typeCloseBrace);
 
                         // Single property type literal should be on one line without trailing punctuation
                         if (members.length === 1) {
@@ -2112,6 +2573,9 @@ const typeAnnotationSpacing = {
                             let memberText = sourceCode.getText(member).trim();
                             const originalText = memberText;
 
+                            // A property spanning several lines cannot be put on one line with the braces
+                            if (member.loc.start.line !== member.loc.end.line) return;
+
                             // Remove trailing comma or semicolon for single property
                             if (memberText.endsWith(",") || memberText.endsWith(";")) {
                                 memberText = memberText.slice(0, -1);
@@ -2121,8 +2585,8 @@ const typeAnnotationSpacing = {
                                 const newText = `{ ${memberText} }`;
 
                                 context.report({
-                                    fix: (fixer) => fixer.replaceText(param, newText),
-                                    message: "Single property generic type literal should be on one line",
+                                    fix: hasComments ? null : (fixer) => fixer.replaceText(param, newText),
+                                    messageId: "singlePropertyGenericType",
                                     node: param,
                                 });
 
@@ -2134,8 +2598,8 @@ const typeAnnotationSpacing = {
                                 const newText = `{ ${memberText} }`;
 
                                 context.report({
-                                    fix: (fixer) => fixer.replaceText(param, newText),
-                                    message: "Single property generic type literal should not have trailing punctuation",
+                                    fix: hasComments ? null : (fixer) => fixer.replaceText(param, newText),
+                                    messageId: "singlePropertyGenericTypeLiteral",
                                     node: param,
                                 });
                             }
@@ -2167,8 +2631,8 @@ const typeAnnotationSpacing = {
                             const newText = `{\n${formattedMembers}\n${baseIndent}}`;
 
                             context.report({
-                                fix: (fixer) => fixer.replaceText(param, newText),
-                                message: "Generic type literal with 2+ properties should be multiline",
+                                fix: hasComments ? null : (fixer) => fixer.replaceText(param, newText),
+                                messageId: "genericTypeLiteralProperties",
                                 node: param,
                             });
 
@@ -2178,30 +2642,26 @@ const typeAnnotationSpacing = {
                         const firstMember = members[0];
                         const lastMember = members[members.length - 1];
 
+                        // Remove the blank lines between two positions, keeping comment lines
+                        const removeEmptyLinesHandler = (fixer, start, end) => fixer.replaceTextRange(
+                            [start, end],
+                            sourceCode.text.slice(start, end).replace(/\n\s*\n/g, "\n"),
+                        );
+
                         // Check for empty line after opening brace
-                        if (firstMember && typeOpenBrace.loc.end.line < firstMember.loc.start.line - 1) {
+                        if (firstMember && hasEmptyLineBetween(sourceCode, typeOpenBrace.range[1], firstMember.range[0])) {
                             context.report({
-                                fix: (fixer) => {
-                                    const textAfterBrace = sourceCode.text.slice(typeOpenBrace.range[1], firstMember.range[0]);
-                                    const newText = textAfterBrace.replace(/\n\s*\n/, "\n");
-
-                                    return fixer.replaceTextRange([typeOpenBrace.range[1], firstMember.range[0]], newText);
-                                },
-                                message: "No empty line allowed after opening brace in generic type literal",
+                                fix: (fixer) => removeEmptyLinesHandler(fixer, typeOpenBrace.range[1], firstMember.range[0]),
+                                messageId: "noEmptyLineAllowed",
                                 node: typeOpenBrace,
                             });
                         }
 
                         // Check for empty line before closing brace
-                        if (lastMember && lastMember.loc.end.line < typeCloseBrace.loc.start.line - 1) {
+                        if (lastMember && hasEmptyLineBetween(sourceCode, lastMember.range[1], typeCloseBrace.range[0])) {
                             context.report({
-                                fix: (fixer) => {
-                                    const textBeforeBrace = sourceCode.text.slice(lastMember.range[1], typeCloseBrace.range[0]);
-                                    const newText = textBeforeBrace.replace(/\n\s*\n/, "\n");
-
-                                    return fixer.replaceTextRange([lastMember.range[1], typeCloseBrace.range[0]], newText);
-                                },
-                                message: "No empty line allowed before closing brace in generic type literal",
+                                fix: (fixer) => removeEmptyLinesHandler(fixer, lastMember.range[1], typeCloseBrace.range[0]),
+                                messageId: "noEmptyLineAllowedBefore",
                                 node: typeCloseBrace,
                             });
                         }
@@ -2219,14 +2679,14 @@ const typeAnnotationSpacing = {
                                         [member.range[0] + semicolonIndex, member.range[0] + semicolonIndex + 1],
                                         ",",
                                     ),
-                                    message: "Type properties must end with comma (,) not semicolon (;)",
+                                    messageId: "typePropertiesEndComma",
                                     node: member,
                                 });
                             } else if (index === members.length - 1 && !memberText.trimEnd().endsWith(",")) {
                                 // Last member needs trailing comma
                                 context.report({
                                     fix: (fixer) => fixer.insertTextAfter(member, ","),
-                                    message: "Last property in generic type literal should have trailing comma",
+                                    messageId: "lastPropertyGenericType",
                                     node: member,
                                 });
                             }
@@ -2235,13 +2695,10 @@ const typeAnnotationSpacing = {
                             if (index < members.length - 1) {
                                 const nextMember = members[index + 1];
 
-                                if (nextMember.loc.start.line - member.loc.end.line > 1) {
+                                if (hasEmptyLineBetween(sourceCode, member.range[1], nextMember.range[0])) {
                                     context.report({
-                                        fix: (fixer) => fixer.replaceTextRange(
-                                            [member.range[1], nextMember.range[0]],
-                                            "\n" + " ".repeat(nextMember.loc.start.column),
-                                        ),
-                                        message: "No empty lines between type properties in generic",
+                                        fix: (fixer) => removeEmptyLinesHandler(fixer, member.range[1], nextMember.range[0]),
+                                        messageId: "noEmptyLinesBetween",
                                         node: nextMember,
                                     });
                                 }
@@ -2263,8 +2720,8 @@ const typeAnnotationSpacing = {
                             // Check if > and ( are on same line
                             if (closeBracket.loc.end.line !== openParen.loc.start.line) {
                                 context.report({
-                                    fix: (fixer) => fixer.replaceTextRange([closeBracket.range[1], openParen.range[0]], ""),
-                                    message: "Opening parenthesis should be on same line as closing > in generic call",
+                                    fix: getCollapseFix(sourceCode, closeBracket.range[1], openParen.range[0], ""),
+                                    messageId: "openingParenthesisSameLine",
                                     node: openParen,
                                 });
                             }
@@ -2279,8 +2736,8 @@ const typeAnnotationSpacing = {
 
                                     if (firstArgFirstToken && openParen.loc.end.line !== firstArgFirstToken.loc.start.line) {
                                         context.report({
-                                            fix: (fixer) => fixer.replaceTextRange([openParen.range[1], firstArgFirstToken.range[0]], ""),
-                                            message: "First argument should be on same line as opening parenthesis in generic call",
+                                            fix: getCollapseFix(sourceCode, openParen.range[1], firstArgFirstToken.range[0], ""),
+                                            messageId: "firstArgumentSameLine",
                                             node: firstArg,
                                         });
                                     }
@@ -2294,21 +2751,10 @@ const typeAnnotationSpacing = {
 
                                         // Check if there's a newline between } and )
                                         if (textBetween.includes("\n")) {
-                                            // Should be }); or }, with ) on same line
-                                            const hasTrailingComma = textBetween.trim() === ",";
-
+                                            // Should be }); — a trailing comma goes with the line break: },\n) -> })
                                             context.report({
-                                                fix: (fixer) => {
-                                                    if (hasTrailingComma) {
-                                                        // Remove the trailing comma and newline: },\n) -> )
-                                                        return fixer.replaceTextRange([lastArgLastToken.range[1], closeParen.range[0]], "");
-                                                    }
-
-                                                    // Just remove the newline
-                                                    return fixer.replaceTextRange([lastArgLastToken.range[1], closeParen.range[0]], "");
-
-                                                },
-                                                message: "Closing parenthesis should be on same line as closing brace in generic call",
+                                                fix: getCollapseFix(sourceCode, lastArgLastToken.range[1], closeParen.range[0], ""),
+                                                messageId: "closingParenthesisSameLine",
                                                 node: closeParen,
                                             });
                                         }
@@ -2329,11 +2775,8 @@ const typeAnnotationSpacing = {
 
                     if (tokenBeforeSemi && lastToken.loc.start.line > tokenBeforeSemi.loc.end.line) {
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [tokenBeforeSemi.range[1], lastToken.range[1]],
-                                ";",
-                            ),
-                            message: "Semicolon should be on the same line as statement",
+                            fix: getCollapseFix(sourceCode, tokenBeforeSemi.range[1], lastToken.range[1], ";"),
+                            messageId: "semicolonSameLineStatement",
                             node: lastToken,
                         });
                     }
@@ -2341,9 +2784,8 @@ const typeAnnotationSpacing = {
             },
             TSFunctionType(node) {
                 // Check for space after => in function types: () =>void -> () => void
-                // Find the arrow token by searching all tokens in the node
-                const tokens = sourceCode.getTokens(node);
-                const arrowToken = tokens.find((t) => t.value === "=>");
+                // The return type annotation starts at the arrow (an earlier "=>" may belong to a callback param type)
+                const arrowToken = node.returnType ? sourceCode.getFirstToken(node.returnType) : null;
 
                 if (arrowToken) {
                     const nextToken = sourceCode.getTokenAfter(arrowToken);
@@ -2355,14 +2797,14 @@ const typeAnnotationSpacing = {
                         if (textAfterArrow === "") {
                             context.report({
                                 fix: (fixer) => fixer.insertTextAfter(arrowToken, " "),
-                                message: "Missing space after => in function type",
+                                messageId: "missingSpaceAfterFunctionType",
                                 node: arrowToken,
                             });
                         } else if (textAfterArrow !== " " && !textAfterArrow.includes("\n")) {
                             // Has extra spaces but not newline
                             context.report({
-                                fix: (fixer) => fixer.replaceTextRange([arrowToken.range[1], nextToken.range[0]], " "),
-                                message: "Should have exactly one space after => in function type",
+                                fix: getCollapseFix(sourceCode, arrowToken.range[1], nextToken.range[0], " "),
+                                messageId: "exactlyOneSpaceAfterFunction",
                                 node: arrowToken,
                             });
                         }
@@ -2373,69 +2815,48 @@ const typeAnnotationSpacing = {
                 // - 3+ params should be multiline
                 // - 0-2 params should be on one line
                 const params = node.params;
-                const openParen = tokens.find((t) => t.value === "(");
+                const closeParen = arrowToken ? sourceCode.getTokenBefore(arrowToken) : null;
+                const openParen = closeParen && params.length > 0
+                    ? sourceCode.getTokenBefore(params[0])
+                    : closeParen && sourceCode.getTokenBefore(closeParen);
 
-                if (openParen && arrowToken) {
-                    const closeParen = sourceCode.getTokenBefore(arrowToken, (t) => t.value === ")");
+                if (openParen && openParen.value === "(" && closeParen.value === ")") {
+                    const hasComments = sourceCode.commentsExistBetween(openParen, closeParen);
+                    const isMultiLine = openParen.loc.start.line !== closeParen.loc.end.line;
 
-                    if (closeParen) {
-                        const isMultiLine = openParen.loc.start.line !== closeParen.loc.end.line;
+                    if (params && params.length >= 3 && !isMultiLine) {
+                        // 3+ params on one line - expand to multiple lines
+                        const lineStart = sourceCode.text.lastIndexOf("\n", node.range[0]) + 1;
+                        const lineText = sourceCode.text.slice(lineStart, node.range[0]);
+                        const match = lineText.match(/^(\s*)/);
+                        const baseIndent = match ? match[1] : "";
+                        const paramIndent = baseIndent + "    ";
 
-                        if (params && params.length >= 3 && !isMultiLine) {
-                            // 3+ params on one line - expand to multiple lines
-                            const lineStart = sourceCode.text.lastIndexOf("\n", node.range[0]) + 1;
-                            const lineText = sourceCode.text.slice(lineStart, node.range[0]);
-                            const match = lineText.match(/^(\s*)/);
-                            const baseIndent = match ? match[1] : "";
-                            const paramIndent = baseIndent + "    ";
+                        const paramTexts = params.map((p) => getShiftedText(sourceCode, p, paramIndent.length - getLineIndent(sourceCode, p).length));
+                        const formattedParams = paramTexts.map((paramText) => paramIndent + paramText).join(",\n");
 
-                            const formattedParams = params.map((p) => {
-                                const paramText = sourceCode.getText(p);
+                        const newParamsText = `(\n${formattedParams},\n${baseIndent})`;
 
-                                return paramIndent + paramText;
-                            }).join(",\n");
+                        context.report({
+                            fix: hasComments || paramTexts.includes(null)
+                                ? null
+                                : (fixer) => fixer.replaceTextRange([openParen.range[0], closeParen.range[1]], newParamsText),
+                            messageId: "functionTypeParametersEach",
+                            node,
+                        });
+                    } else if (params && params.length <= 2 && isMultiLine) {
+                        // 0-2 params on multiple lines - collapse to one line (params spanning lines themselves cannot be)
+                        const paramTexts = params.map((p) => sourceCode.getText(p));
 
-                            const newParamsText = `(\n${formattedParams},\n${baseIndent})`;
+                        if (paramTexts.some((paramText) => paramText.includes("\n"))) return;
 
-                            context.report({
-                                fix: (fixer) => fixer.replaceTextRange([openParen.range[0], closeParen.range[1]], newParamsText),
-                                message: "Function type with 3+ parameters should have each parameter on its own line",
-                                node,
-                            });
-                        } else if (params && params.length <= 2 && isMultiLine) {
-                            // 0-2 params on multiple lines - collapse to one line
-                            const formattedParams = params.map((p) => sourceCode.getText(p).trim()).join(", ");
-                            const newParamsText = `(${formattedParams})`;
+                        const newParamsText = `(${paramTexts.join(", ")})`;
 
-                            context.report({
-                                fix: (fixer) => fixer.replaceTextRange([openParen.range[0], closeParen.range[1]], newParamsText),
-                                message: "Function type with 2 or fewer parameters should be on one line",
-                                node,
-                            });
-                        }
-                    }
-                }
-            },
-            VariableDeclarator(node) {
-                // Check for space before generic like: ColumnDef <T>
-                if (node.id && node.id.typeAnnotation) {
-                    const typeNode = node.id.typeAnnotation.typeAnnotation;
-
-                    if (typeNode && typeNode.type === "TSTypeReference" && typeNode.typeArguments) {
-                        const typeName = typeNode.typeName;
-                        const typeArgs = typeNode.typeArguments;
-                        const textBetween = sourceCode.getText().slice(
-                            typeName.range[1],
-                            typeArgs.range[0],
-                        );
-
-                        if (textBetween !== "") {
-                            context.report({
-                                fix: (fixer) => fixer.removeRange([typeName.range[1], typeArgs.range[0]]),
-                                message: "No space allowed between type name and generic parameters",
-                                node: typeArgs,
-                            });
-                        }
+                        context.report({
+                            fix: hasComments ? null : (fixer) => fixer.replaceTextRange([openParen.range[0], closeParen.range[1]], newParamsText),
+                            messageId: "functionTypeFewerParameters",
+                            node,
+                        });
                     }
                 }
             },
@@ -2444,6 +2865,37 @@ const typeAnnotationSpacing = {
     meta: {
         docs: { description: "Enforce proper spacing in TypeScript type annotations" },
         fixable: "whitespace",
+        messages: {
+            closingParenthesisSameLine: "Closing parenthesis should be on same line as closing brace in generic call",
+            exactlyOneSpaceAfter: "Should have exactly one space after async keyword",
+            exactlyOneSpaceAfterFunction: "Should have exactly one space after => in function type",
+            firstArgumentSameLine: "First argument should be on same line as opening parenthesis in generic call",
+            functionTypeFewerParameters: "Function type with 2 or fewer parameters should be on one line",
+            functionTypeParametersEach: "Function type with 3+ parameters should have each parameter on its own line",
+            genericTypeLiteralProperties: "Generic type literal with 2+ properties should be multiline",
+            genericTypeParametersEach: "Generic type parameters should each be on their own line",
+            lastPropertyGenericType: "Last property in generic type literal should have trailing comma",
+            missingSpaceAfterAsync: "Missing space after async keyword",
+            missingSpaceAfterColon: "Missing space after colon in type annotation",
+            missingSpaceAfterFunction: "Missing space after function keyword",
+            missingSpaceAfterFunctionType: "Missing space after => in function type",
+            noEmptyLineAllowed: "No empty line allowed after opening brace in generic type literal",
+            noEmptyLineAllowedBefore: "No empty line allowed before closing brace in generic type literal",
+            noEmptyLinesBetween: "No empty lines between type properties in generic",
+            noSpaceAllowedAfter: "No space allowed after < in generic type",
+            noSpaceAllowedBefore: "No space allowed before [] in array type",
+            noSpaceAllowedBeforeColon: "No space allowed before colon in type annotation",
+            noSpaceAllowedBeforeGeneric: "No space allowed before < in generic type",
+            noSpaceAllowedBeforeGenericType: "No space allowed before > in generic type",
+            openingParenthesisSameLine: "Opening parenthesis should be on same line as closing > in generic call",
+            semicolonSameLineStatement: "Semicolon should be on the same line as statement",
+            singleGenericTypeParameter: "Single generic type parameter should be inline",
+            singleGenericTypeParameterNot: "Single generic type parameter should not have trailing comma",
+            singlePropertyGenericType: "Single property generic type literal should be on one line",
+            singlePropertyGenericTypeLiteral: "Single property generic type literal should not have trailing punctuation",
+            typePropertiesEndComma: "Type properties must end with comma (,) not semicolon (;)",
+            typeSameLineColon: "Type should be on the same line as colon in type annotation",
+        },
         schema: [],
         type: "layout",
     },
@@ -2456,6 +2908,12 @@ const enumFormat = {
         const pascalCaseRegex = /^[A-Z][a-zA-Z0-9]*$/;
         const upperCaseRegex = /^[A-Z][A-Z0-9_]*$/;
 
+        // Remove the blank lines between two positions, keeping comment lines
+        const removeEmptyLinesHandler = (fixer, start, end) => fixer.replaceTextRange(
+            [start, end],
+            sourceCode.text.slice(start, end).replace(/\n\s*\n/g, "\n"),
+        );
+
         return {
             TSEnumDeclaration(node) {
                 const enumName = node.id.name;
@@ -2463,15 +2921,15 @@ const enumFormat = {
                 // Check enum name is PascalCase and ends with Enum
                 if (!pascalCaseRegex.test(enumName)) {
                     context.report({
-                        message: `Enum name "${enumName}" must be PascalCase`,
+                        data: { enumName },
+                        messageId: "enumNamePascalCase",
                         node: node.id,
                     });
                 } else if (!enumName.endsWith("Enum")) {
                     context.report({
-                        fix(fixer) {
-                            return fixer.replaceText(node.id, `${enumName}Enum`);
-                        },
-                        message: `Enum name "${enumName}" must end with "Enum" suffix. Use "${enumName}Enum" instead of "${enumName}"`,
+                        data: { enumName },
+                        fix: getDeclarationRenameFix(context, node, `${enumName}Enum`),
+                        messageId: "enumNameEndEnum",
                         node: node.id,
                     });
                 }
@@ -2482,11 +2940,8 @@ const enumFormat = {
                 // Check opening brace is on same line as enum name
                 if (openBraceToken && openBraceToken.loc.start.line !== node.id.loc.end.line) {
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [node.id.range[1], openBraceToken.range[0]],
-                            " ",
-                        ),
-                        message: "Opening brace must be on the same line as enum name",
+                        fix: getCollapseFix(sourceCode, node.id.range[1], openBraceToken.range[0], " "),
+                        messageId: "openingBraceSameLine",
                         node: openBraceToken,
                     });
                 }
@@ -2507,13 +2962,10 @@ const enumFormat = {
                 // Check for empty line after opening brace
                 const firstMember = members[0];
 
-                if (openBraceToken && firstMember.loc.start.line - openBraceToken.loc.end.line > 1) {
+                if (openBraceToken && hasEmptyLineBetween(sourceCode, openBraceToken.range[1], firstMember.range[0])) {
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [openBraceToken.range[1], firstMember.range[0]],
-                            "\n" + memberIndent,
-                        ),
-                        message: "No empty line after opening brace in enum",
+                        fix: (fixer) => removeEmptyLinesHandler(fixer, openBraceToken.range[1], firstMember.range[0]),
+                        messageId: "noEmptyLineAfter",
                         node: firstMember,
                     });
                 }
@@ -2521,13 +2973,10 @@ const enumFormat = {
                 // Check for empty line before closing brace
                 const lastMember = members[members.length - 1];
 
-                if (closeBraceToken && closeBraceToken.loc.start.line - lastMember.loc.end.line > 1) {
+                if (closeBraceToken && hasEmptyLineBetween(sourceCode, lastMember.range[1], closeBraceToken.range[0])) {
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [lastMember.range[1], closeBraceToken.range[0]],
-                            "\n" + baseIndent,
-                        ),
-                        message: "No empty line before closing brace in enum",
+                        fix: (fixer) => removeEmptyLinesHandler(fixer, lastMember.range[1], closeBraceToken.range[0]),
+                        messageId: "noEmptyLineBefore",
                         node: lastMember,
                     });
                 }
@@ -2538,20 +2987,17 @@ const enumFormat = {
                     const memberText = sourceCode.getText(member);
                     const isMultiLine = openBraceToken.loc.end.line !== closeBraceToken.loc.start.line;
 
-                    if (isMultiLine) {
+                    // A member spanning several lines cannot be put on one line with the braces
+                    if (isMultiLine && member.loc.start.line === member.loc.end.line) {
                         // Collapse to single line without trailing comma
-                        let cleanText = memberText.trim();
-
-                        if (cleanText.endsWith(",")) cleanText = cleanText.slice(0, -1);
-
-                        const newEnumText = `{ ${cleanText} }`;
+                        const newEnumText = `{ ${memberText} }`;
 
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
+                            fix: sourceCode.commentsExistBetween(openBraceToken, closeBraceToken) ? null : (fixer) => fixer.replaceTextRange(
                                 [openBraceToken.range[0], closeBraceToken.range[1]],
                                 newEnumText,
                             ),
-                            message: "Single member enum should be on one line without trailing comma",
+                            messageId: "singleMemberEnumOne",
                             node,
                         });
 
@@ -2564,7 +3010,7 @@ const enumFormat = {
 
                         context.report({
                             fix: (fixer) => fixer.removeRange([member.range[0] + commaIndex, member.range[0] + commaIndex + 1]),
-                            message: "Single member enum should not have trailing comma",
+                            messageId: "singleMemberEnumNot",
                             node: member,
                         });
                     }
@@ -2575,15 +3021,39 @@ const enumFormat = {
                 // For multiple members, first member should be on new line after opening brace
                 if (openBraceToken && firstMember.loc.start.line === openBraceToken.loc.end.line) {
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [openBraceToken.range[1], firstMember.range[0]],
-                            "\n" + memberIndent,
-                        ),
-                        message: "First enum member must be on a new line when there are multiple members",
+                        fix: getCollapseFix(sourceCode, openBraceToken.range[1], firstMember.range[0], "\n" + memberIndent),
+                        messageId: "firstEnumMemberNew",
                         node: firstMember,
                     });
                 }
 
+                // Rename a member with its accesses in the file (Enum.member, Enum["member"]) and
+                // the references from other members' initializers
+                const renameEnumMemberHandler = (fixer, member, fixedName) => {
+                    const memberName = member.id.name;
+                    const memberVariable = sourceCode.getScope(node).set.get(memberName);
+                    const enumVariable = findVariable(getNodeScope(context, node), node.id.name);
+                    const fixes = memberVariable
+                        ? renameVariableFixes(fixer, memberVariable, fixedName)
+                        : [fixer.replaceText(member.id, fixedName)];
+
+                    (enumVariable ? enumVariable.references : []).forEach(({ identifier }) => {
+                        const { parent } = identifier;
+
+                        if (!parent || parent.type !== "MemberExpression" || parent.object !== identifier) return;
+
+                        if (!parent.computed && parent.property.name === memberName) {
+                            fixes.push(fixer.replaceText(parent.property, fixedName));
+                        } else if (parent.computed && parent.property.type === "Literal" && parent.property.value === memberName) {
+                            const quote = parent.property.raw[0];
+
+                            fixes.push(fixer.replaceText(parent.property, `${quote}${fixedName}${quote}`));
+                        }
+                    });
+
+                    return fixes;
+                };
+
                 // Convert camelCase/PascalCase to UPPER_SNAKE_CASE
                 const toUpperSnakeCaseHandler = (name) => {
                     // Insert underscore before each uppercase letter (except the first)
@@ -2601,10 +3071,16 @@ const enumFormat = {
 
                         if (!upperCaseRegex.test(memberName)) {
                             const fixedName = toUpperSnakeCaseHandler(memberName);
+                            const isNameTaken = members.some((otherMember) => otherMember.id.name === fixedName
+                                || otherMember.id.value === fixedName);
 
                             context.report({
-                                fix: (fixer) => fixer.replaceText(member.id, fixedName),
-                                message: `Enum member "${memberName}" must be UPPER_CASE (e.g., ${fixedName})`,
+                                data: {
+                                    fixedName,
+                                    memberName,
+                                },
+                                fix: isNameTaken ? null : (fixer) => renameEnumMemberHandler(fixer, member, fixedName),
+                                messageId: "enumMemberUpperCase",
                                 node: member.id,
                             });
                         }
@@ -2625,7 +3101,7 @@ const enumFormat = {
 
                                     return fixer.replaceTextRange([absolutePos, absolutePos + 1], ",");
                                 },
-                                message: "Enum members must end with comma (,) not semicolon (;)",
+                                messageId: "enumMembersEndComma",
                                 node: member,
                             });
                         }
@@ -2638,41 +3114,17 @@ const enumFormat = {
                         // Check each is on its own line - with auto-fix
                         if (member.loc.start.line === prevMember.loc.end.line) {
                             context.report({
-                                fix: (fixer) => {
-                                    let commaToken = sourceCode.getTokenAfter(prevMember);
-
-                                    while (commaToken && commaToken.value !== "," && commaToken.range[0] < member.range[0]) {
-                                        commaToken = sourceCode.getTokenAfter(commaToken);
-                                    }
-
-                                    const insertPoint = commaToken && commaToken.value === "," ? commaToken.range[1] : prevMember.range[1];
-
-                                    return fixer.replaceTextRange(
-                                        [insertPoint, member.range[0]],
-                                        "\n" + memberIndent,
-                                    );
-                                },
-                                message: "Each enum member must be on its own line when there are multiple members",
+                                fix: getCollapseFix(sourceCode, sourceCode.getTokenBefore(member).range[1], member.range[0], "\n" + memberIndent),
+                                messageId: "eachEnumMemberOwn",
                                 node: member,
                             });
                         }
 
-                        // Check for empty lines between members
-                        if (member.loc.start.line - prevMember.loc.end.line > 1) {
+                        // Check for empty lines between members (comment lines are kept)
+                        if (hasEmptyLineBetween(sourceCode, prevMember.range[1], member.range[0])) {
                             context.report({
-                                fix(fixer) {
-                                    const textBetween = sourceCode.getText().slice(
-                                        prevMember.range[1],
-                                        member.range[0],
-                                    );
-                                    const newText = textBetween.replace(/\n\s*\n/g, "\n");
-
-                                    return fixer.replaceTextRange(
-                                        [prevMember.range[1], member.range[0]],
-                                        newText,
-                                    );
-                                },
-                                message: "No empty lines allowed between enum members",
+                                fix: (fixer) => removeEmptyLinesHandler(fixer, prevMember.range[1], member.range[0]),
+                                messageId: "noEmptyLinesAllowed",
                                 node: member,
                             });
                         }
@@ -2697,44 +3149,41 @@ const enumFormat = {
                         if (braceOnSameLine) {
                             // Both semicolon and brace issues - fix together
                             context.report({
-                                fix: (fixer) => fixer.replaceTextRange(
-                                    [absolutePos, closeBraceToken.range[0]],
-                                    ",\n" + baseIndent,
-                                ),
-                                message: "Last enum member must end with comma and closing brace must be on its own line",
+                                fix: getClosingBraceFix(sourceCode, lastMember, closeBraceToken, baseIndent, {
+                                    range: [absolutePos, absolutePos + 1],
+                                    text: ",",
+                                }),
+                                messageId: "lastEnumMemberEnd",
                                 node: lastMember,
                             });
                         } else {
                             // Just semicolon issue
                             context.report({
                                 fix: (fixer) => fixer.replaceTextRange([absolutePos, absolutePos + 1], ","),
-                                message: "Enum members must end with comma (,) not semicolon (;)",
+                                messageId: "enumMembersEndComma",
                                 node: lastMember,
                             });
                         }
                     } else if (!hasTrailingComma && braceOnSameLine) {
                         // Both missing comma and brace issues - fix together
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [lastMember.range[1], closeBraceToken.range[0]],
-                                ",\n" + baseIndent,
-                            ),
-                            message: "Last enum member must have trailing comma and closing brace must be on its own line",
+                            fix: getClosingBraceFix(sourceCode, lastMember, closeBraceToken, baseIndent, {
+                                range: [lastMember.range[1], lastMember.range[1]],
+                                text: ",",
+                            }),
+                            messageId: "lastEnumMemberTrailing",
                             node: lastMember,
                         });
                     } else if (!hasTrailingComma) {
                         context.report({
                             fix: (fixer) => fixer.insertTextAfter(lastMember, ","),
-                            message: "Last enum member must have trailing comma",
+                            messageId: "lastEnumMemberTrailingComma",
                             node: lastMember,
                         });
                     } else if (braceOnSameLine) {
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [lastMember.range[1], closeBraceToken.range[0]],
-                                "\n" + baseIndent,
-                            ),
-                            message: "Closing brace must be on its own line",
+                            fix: getClosingBraceFix(sourceCode, lastMember, closeBraceToken, baseIndent),
+                            messageId: "closingBraceOwnLine",
                             node: closeBraceToken,
                         });
                     }
@@ -2745,6 +3194,24 @@ const enumFormat = {
     meta: {
         docs: { description: "Enforce enum naming (PascalCase + Enum suffix), UPPER_CASE members, proper formatting, and trailing commas" },
         fixable: "code",
+        messages: {
+            closingBraceOwnLine: "Closing brace must be on its own line",
+            eachEnumMemberOwn: "Each enum member must be on its own line when there are multiple members",
+            enumMemberUpperCase: "Enum member \"{{memberName}}\" must be UPPER_CASE (e.g., {{fixedName}})",
+            enumMembersEndComma: "Enum members must end with comma (,) not semicolon (;)",
+            enumNameEndEnum: "Enum name \"{{enumName}}\" must end with \"Enum\" suffix. Use \"{{enumName}}Enum\" instead of \"{{enumName}}\"",
+            enumNamePascalCase: "Enum name \"{{enumName}}\" must be PascalCase",
+            firstEnumMemberNew: "First enum member must be on a new line when there are multiple members",
+            lastEnumMemberEnd: "Last enum member must end with comma and closing brace must be on its own line",
+            lastEnumMemberTrailing: "Last enum member must have trailing comma and closing brace must be on its own line",
+            lastEnumMemberTrailingComma: "Last enum member must have trailing comma",
+            noEmptyLineAfter: "No empty line after opening brace in enum",
+            noEmptyLineBefore: "No empty line before closing brace in enum",
+            noEmptyLinesAllowed: "No empty lines allowed between enum members",
+            openingBraceSameLine: "Opening brace must be on the same line as enum name",
+            singleMemberEnumNot: "Single member enum should not have trailing comma",
+            singleMemberEnumOne: "Single member enum should be on one line without trailing comma",
+        },
         schema: [],
         type: "suggestion",
     },
@@ -2757,6 +3224,12 @@ const interfaceFormat = {
         const pascalCaseRegex = /^[A-Z][a-zA-Z0-9]*$/;
         const camelCaseRegex = /^[a-z][a-zA-Z0-9]*$/;
 
+        // Remove the blank lines between two positions, keeping comment lines
+        const removeEmptyLinesHandler = (fixer, start, end) => fixer.replaceTextRange(
+            [start, end],
+            sourceCode.text.slice(start, end).replace(/\n\s*\n/g, "\n"),
+        );
+
         // Convert PascalCase/SCREAMING_SNAKE_CASE/snake_case to camelCase
         const toCamelCaseHandler = (name) => {
             // Handle SCREAMING_SNAKE_CASE (e.g., USER_NAME -> userName)
@@ -2784,15 +3257,15 @@ const interfaceFormat = {
                 // Check interface name is PascalCase and ends with Interface
                 if (!pascalCaseRegex.test(interfaceName)) {
                     context.report({
-                        message: `Interface name "${interfaceName}" must be PascalCase`,
+                        data: { interfaceName },
+                        messageId: "interfaceNamePascalCase",
                         node: node.id,
                     });
                 } else if (!interfaceName.endsWith("Interface")) {
                     context.report({
-                        fix(fixer) {
-                            return fixer.replaceText(node.id, `${interfaceName}Interface`);
-                        },
-                        message: `Interface name "${interfaceName}" must end with "Interface" suffix. Use "${interfaceName}Interface" instead of "${interfaceName}"`,
+                        data: { interfaceName },
+                        fix: getDeclarationRenameFix(context, node, `${interfaceName}Interface`),
+                        messageId: "interfaceNameEndInterface",
                         node: node.id,
                     });
                 } else {
@@ -2829,10 +3302,13 @@ const interfaceFormat = {
                             const fixedName = verb + otherWords.join("") + "Interface";
 
                             context.report({
-                                fix(fixer) {
-                                    return fixer.replaceText(node.id, fixedName);
+                                data: {
+                                    fixedName,
+                                    interfaceName,
+                                    verb,
                                 },
-                                message: `Interface name "${interfaceName}" should start with the verb "${verb}". Use "${fixedName}" instead.`,
+                                fix: getDeclarationRenameFix(context, node, fixedName),
+                                messageId: "interfaceNameStartVerb",
                                 node: node.id,
                             });
                         }
@@ -2842,14 +3318,13 @@ const interfaceFormat = {
                 // Get opening brace
                 const openBraceToken = sourceCode.getFirstToken(node.body);
 
-                // Check opening brace is on same line as interface name
-                if (openBraceToken && openBraceToken.loc.start.line !== node.id.loc.end.line) {
+                // Check opening brace is on same line as the interface header (name, type parameters, extends)
+                const headerEndToken = sourceCode.getTokenBefore(openBraceToken);
+
+                if (openBraceToken && openBraceToken.loc.start.line !== headerEndToken.loc.end.line) {
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [node.id.range[1], openBraceToken.range[0]],
-                            " ",
-                        ),
-                        message: "Opening brace must be on the same line as interface name",
+                        fix: getCollapseFix(sourceCode, headerEndToken.range[1], openBraceToken.range[0], " "),
+                        messageId: "openingBraceSameLine",
                         node: openBraceToken,
                     });
                 }
@@ -2870,13 +3345,10 @@ const interfaceFormat = {
                 // Check for empty line after opening brace
                 const firstMember = members[0];
 
-                if (firstMember.loc.start.line - openBraceToken.loc.end.line > 1) {
+                if (openBraceToken && hasEmptyLineBetween(sourceCode, openBraceToken.range[1], firstMember.range[0])) {
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [openBraceToken.range[1], firstMember.range[0]],
-                            "\n" + propIndent,
-                        ),
-                        message: "No empty line after opening brace in interface",
+                        fix: (fixer) => removeEmptyLinesHandler(fixer, openBraceToken.range[1], firstMember.range[0]),
+                        messageId: "noEmptyLineAfter",
                         node: firstMember,
                     });
                 }
@@ -2884,13 +3356,10 @@ const interfaceFormat = {
                 // Check for empty line before closing brace
                 const lastMember = members[members.length - 1];
 
-                if (closeBraceToken.loc.start.line - lastMember.loc.end.line > 1) {
+                if (closeBraceToken && hasEmptyLineBetween(sourceCode, lastMember.range[1], closeBraceToken.range[0])) {
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [lastMember.range[1], closeBraceToken.range[0]],
-                            "\n" + baseIndent,
-                        ),
-                        message: "No empty line before closing brace in interface",
+                        fix: (fixer) => removeEmptyLinesHandler(fixer, lastMember.range[1], closeBraceToken.range[0]),
+                        messageId: "noEmptyLineBefore",
                         node: lastMember,
                     });
                 }
@@ -2913,6 +3382,8 @@ const interfaceFormat = {
                         nestedType.loc.start.line !== nestedType.loc.end.line;
 
                     if (isMultiLine && !hasMultiMemberNestedType && !hasMultiLineFunctionType) {
+                        const hasComments = sourceCode.commentsExistBetween(openBraceToken, closeBraceToken);
+
                         // Build the collapsed text, handling nested types specially
                         let cleanText;
 
@@ -2938,14 +3409,17 @@ const interfaceFormat = {
                             }
                         }
 
+                        // A property spanning several lines cannot be put on one line with the braces
+                        if (cleanText.includes("\n")) return;
+
                         const newInterfaceText = `{ ${cleanText} }`;
 
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
+                            fix: hasComments ? null : (fixer) => fixer.replaceTextRange(
                                 [openBraceToken.range[0], closeBraceToken.range[1]],
                                 newInterfaceText,
                             ),
-                            message: "Single property interface should be on one line without trailing punctuation",
+                            messageId: "singlePropertyInterfaceOne",
                             node,
                         });
 
@@ -2960,7 +3434,7 @@ const interfaceFormat = {
 
                         context.report({
                             fix: (fixer) => fixer.removeRange([member.range[0] + punctIndex, member.range[0] + punctIndex + 1]),
-                            message: "Single property interface should not have trailing punctuation",
+                            messageId: "singlePropertyInterfaceNot",
                             node: member,
                         });
                     }
@@ -2971,11 +3445,8 @@ const interfaceFormat = {
                 // For multiple members, first member should be on new line after opening brace
                 if (firstMember.loc.start.line === openBraceToken.loc.end.line) {
                     context.report({
-                        fix: (fixer) => fixer.replaceTextRange(
-                            [openBraceToken.range[1], firstMember.range[0]],
-                            "\n" + propIndent,
-                        ),
-                        message: "First interface property must be on a new line when there are multiple properties",
+                        fix: getCollapseFix(sourceCode, openBraceToken.range[1], firstMember.range[0], "\n" + propIndent),
+                        messageId: "firstInterfacePropertyNew",
                         node: firstMember,
                     });
                 }
@@ -2989,8 +3460,12 @@ const interfaceFormat = {
                             const fixedName = toCamelCaseHandler(propName);
 
                             context.report({
+                                data: {
+                                    fixedName,
+                                    propName,
+                                },
                                 fix: (fixer) => fixer.replaceText(member.key, fixedName),
-                                message: `Interface property "${propName}" must be camelCase. Use "${fixedName}" instead.`,
+                                messageId: "interfacePropertyCamelCase",
                                 node: member.key,
                             });
                         }
@@ -3005,7 +3480,7 @@ const interfaceFormat = {
                             const nestedCloseBrace = sourceCode.getLastToken(nestedType);
                             const isNestedMultiLine = nestedOpenBrace.loc.end.line !== nestedCloseBrace.loc.start.line;
 
-                            if (isNestedMultiLine) {
+                            if (isNestedMultiLine && nestedType.members[0].loc.start.line === nestedType.members[0].loc.end.line) {
                                 const nestedMember = nestedType.members[0];
                                 let nestedMemberText = sourceCode.getText(nestedMember).trim();
 
@@ -3015,11 +3490,11 @@ const interfaceFormat = {
                                 }
 
                                 context.report({
-                                    fix: (fixer) => fixer.replaceTextRange(
+                                    fix: sourceCode.commentsExistBetween(nestedOpenBrace, nestedCloseBrace) ? null : (fixer) => fixer.replaceTextRange(
                                         [nestedOpenBrace.range[0], nestedCloseBrace.range[1]],
                                         `{ ${nestedMemberText} }`,
                                     ),
-                                    message: "Single property nested object type should be on one line",
+                                    messageId: "singlePropertyNestedObject",
                                     node: nestedType,
                                 });
                             }
@@ -3040,7 +3515,7 @@ const interfaceFormat = {
                                         [keyToken.range[1], questionToken.range[0]],
                                         "",
                                     ),
-                                    message: "No space allowed before \"?\" in optional property",
+                                    messageId: "noSpaceAllowedBefore",
                                     node: member,
                                 });
                             }
@@ -3062,7 +3537,7 @@ const interfaceFormat = {
 
                                     return fixer.replaceTextRange([absolutePos, absolutePos + 1], ",");
                                 },
-                                message: "Interface properties must end with comma (,) not semicolon (;)",
+                                messageId: "interfacePropertiesEndComma",
                                 node: member,
                             });
                         }
@@ -3075,41 +3550,17 @@ const interfaceFormat = {
                         // Check each is on its own line - with auto-fix
                         if (member.loc.start.line === prevMember.loc.end.line) {
                             context.report({
-                                fix: (fixer) => {
-                                    let commaToken = sourceCode.getTokenAfter(prevMember);
-
-                                    while (commaToken && commaToken.value !== "," && commaToken.range[0] < member.range[0]) {
-                                        commaToken = sourceCode.getTokenAfter(commaToken);
-                                    }
-
-                                    const insertPoint = commaToken && commaToken.value === "," ? commaToken.range[1] : prevMember.range[1];
-
-                                    return fixer.replaceTextRange(
-                                        [insertPoint, member.range[0]],
-                                        "\n" + propIndent,
-                                    );
-                                },
-                                message: "Each interface property must be on its own line when there are multiple properties",
+                                fix: getCollapseFix(sourceCode, sourceCode.getTokenBefore(member).range[1], member.range[0], "\n" + propIndent),
+                                messageId: "eachInterfacePropertyOwn",
                                 node: member,
                             });
                         }
 
-                        // Check for empty lines between properties
-                        if (member.loc.start.line - prevMember.loc.end.line > 1) {
+                        // Check for empty lines between properties (comment lines are kept)
+                        if (hasEmptyLineBetween(sourceCode, prevMember.range[1], member.range[0])) {
                             context.report({
-                                fix(fixer) {
-                                    const textBetween = sourceCode.getText().slice(
-                                        prevMember.range[1],
-                                        member.range[0],
-                                    );
-                                    const newText = textBetween.replace(/\n\s*\n/g, "\n");
-
-                                    return fixer.replaceTextRange(
-                                        [prevMember.range[1], member.range[0]],
-                                        newText,
-                                    );
-                                },
-                                message: "No empty lines allowed between interface properties",
+                                fix: (fixer) => removeEmptyLinesHandler(fixer, prevMember.range[1], member.range[0]),
+                                messageId: "noEmptyLinesAllowed",
                                 node: member,
                             });
                         }
@@ -3134,44 +3585,41 @@ const interfaceFormat = {
                         if (braceOnSameLine) {
                             // Both semicolon and brace issues - fix together
                             context.report({
-                                fix: (fixer) => fixer.replaceTextRange(
-                                    [absolutePos, closeBraceToken.range[0]],
-                                    ",\n" + baseIndent,
-                                ),
-                                message: "Last interface property must end with comma and closing brace must be on its own line",
+                                fix: getClosingBraceFix(sourceCode, lastMember, closeBraceToken, baseIndent, {
+                                    range: [absolutePos, absolutePos + 1],
+                                    text: ",",
+                                }),
+                                messageId: "lastInterfacePropertyEnd",
                                 node: lastMember,
                             });
                         } else {
                             // Just semicolon issue
                             context.report({
                                 fix: (fixer) => fixer.replaceTextRange([absolutePos, absolutePos + 1], ","),
-                                message: "Interface properties must end with comma (,) not semicolon (;)",
+                                messageId: "interfacePropertiesEndComma",
                                 node: lastMember,
                             });
                         }
                     } else if (!hasTrailingComma && braceOnSameLine) {
                         // Both missing comma and brace issues - fix together
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [lastMember.range[1], closeBraceToken.range[0]],
-                                ",\n" + baseIndent,
-                            ),
-                            message: "Last interface property must have trailing comma and closing brace must be on its own line",
+                            fix: getClosingBraceFix(sourceCode, lastMember, closeBraceToken, baseIndent, {
+                                range: [lastMember.range[1], lastMember.range[1]],
+                                text: ",",
+                            }),
+                            messageId: "lastInterfacePropertyTrailing",
                             node: lastMember,
                         });
                     } else if (!hasTrailingComma) {
                         context.report({
                             fix: (fixer) => fixer.insertTextAfter(lastMember, ","),
-                            message: "Last interface property must have trailing comma",
+                            messageId: "lastInterfacePropertyTrailingComma",
                             node: lastMember,
                         });
                     } else if (braceOnSameLine) {
                         context.report({
-                            fix: (fixer) => fixer.replaceTextRange(
-                                [lastMember.range[1], closeBraceToken.range[0]],
-                                "\n" + baseIndent,
-                            ),
-                            message: "Closing brace must be on its own line",
+                            fix: getClosingBraceFix(sourceCode, lastMember, closeBraceToken, baseIndent),
+                            messageId: "closingBraceOwnLine",
                             node: closeBraceToken,
                         });
                     }
@@ -3182,60 +3630,217 @@ const interfaceFormat = {
     meta: {
         docs: { description: "Enforce interface naming (PascalCase + Interface suffix), camelCase properties, proper formatting, and trailing commas" },
         fixable: "code",
+        messages: {
+            closingBraceOwnLine: "Closing brace must be on its own line",
+            eachInterfacePropertyOwn: "Each interface property must be on its own line when there are multiple properties",
+            firstInterfacePropertyNew: "First interface property must be on a new line when there are multiple properties",
+            interfaceNameEndInterface: "Interface name \"{{interfaceName}}\" must end with \"Interface\" suffix. Use \"{{interfaceName}}Interface\" instead of \"{{interfaceName}}\"",
+            interfaceNamePascalCase: "Interface name \"{{interfaceName}}\" must be PascalCase",
+            interfaceNameStartVerb: "Interface name \"{{interfaceName}}\" should start with the verb \"{{verb}}\". Use \"{{fixedName}}\" instead.",
+            interfacePropertiesEndComma: "Interface properties must end with comma (,) not semicolon (;)",
+            interfacePropertyCamelCase: "Interface property \"{{propName}}\" must be camelCase. Use \"{{fixedName}}\" instead.",
+            lastInterfacePropertyEnd: "Last interface property must end with comma and closing brace must be on its own line",
+            lastInterfacePropertyTrailing: "Last interface property must have trailing comma and closing brace must be on its own line",
+            lastInterfacePropertyTrailingComma: "Last interface property must have trailing comma",
+            noEmptyLineAfter: "No empty line after opening brace in interface",
+            noEmptyLineBefore: "No empty line before closing brace in interface",
+            noEmptyLinesAllowed: "No empty lines allowed between interface properties",
+            noSpaceAllowedBefore: "No space allowed before \"?\" in optional property",
+            openingBraceSameLine: "Opening brace must be on the same line as interface name",
+            singlePropertyInterfaceNot: "Single property interface should not have trailing punctuation",
+            singlePropertyInterfaceOne: "Single property interface should be on one line without trailing punctuation",
+            singlePropertyNestedObject: "Single property nested object type should be on one line",
+        },
         schema: [],
         type: "suggestion",
     },
 };
 
+/**
+ * ───────────────────────────────────────────────────────────────
+ * Rule: TypeScript Definition Location
+ * ───────────────────────────────────────────────────────────────
+ *
+ * Description:
+ *   Interfaces, enums and type aliases must be declared in files inside
+ *   their designated folders (interfaces/, enums/ and types/ by default).
+ *
+ * Options:
+ *   { interfaces: ["interfaces"] } - Locations allowed for interfaces
+ *   { enums: ["enums"] } - Locations allowed for enums
+ *   { types: ["types"] } - Locations allowed for type aliases
+ *     A location is either a folder name (the file's parent folder) or a glob
+ *     matched against the file path relative to the working directory
+ *     ("src/features/*\/model/*.ts", "**\/*.types.ts")
+ *   { allowFileSuffix: false } - Also allow files named after the kind
+ *     (user.types.ts, user.type.ts, status.enums.ts, form.interface.ts)
+ *   { ignoreNonExported: false } - Skip declarations the file does not export
+ *   { ignoreGenericHelpers: false } - Skip interfaces and type aliases with type parameters (Maybe<T>)
+ *
+ * ✓ Good:
+ *   // src/interfaces/user.ts
+ *   export interface UserInterface { id: string }
+ *
+ *   // src/features/auth/login.types.ts (with allowFileSuffix: true)
+ *   export type LoginFormType = { email: string };
+ *
+ *   // src/components/card.tsx (with ignoreNonExported: true)
+ *   type CardStateType = { isOpen: boolean };
+ *
+ * ✗ Bad:
+ *   // src/components/user-card.tsx
+ *   interface UserProps { name: string }
+ */
 const typescriptDefinitionLocation = {
     create(context) {
+        const options = context.options[0] || {};
         const filename = context.filename || context.getFilename();
         const normalizedFilename = filename.replace(/\\/g, "/");
+        const relativeFilename = nodePath.relative(context.cwd || process.cwd(), filename).replace(/\\/g, "/");
+        const allowFileSuffix = options.allowFileSuffix === true;
+        const ignoreGenericHelpers = options.ignoreGenericHelpers === true;
+        const ignoreNonExported = options.ignoreNonExported === true;
+
+        // Declaration kind → allowed folders/globs and the file suffixes named after it
+        const kinds = {
+            enums: { fileSuffixes: ["enum", "enums"], locations: options.enums || ["enums"] },
+            interfaces: { fileSuffixes: ["interface", "interfaces"], locations: options.interfaces || ["interfaces"] },
+            types: { fileSuffixes: ["type", "types"], locations: options.types || ["types"] },
+        };
+
+        const isGlobHandler = (location) => /[*?{/]/.test(location);
 
         const isInFolderHandler = (folderName) => {
-            const pattern = new RegExp(`/${folderName}/[^/]+\\.(ts|tsx)$`);
+            const pattern = new RegExp(`/${escapeRegExp(folderName)}/[^/]+\\.(ts|tsx)$`);
 
             return pattern.test(normalizedFilename);
         };
 
+        const isInLocationHandler = (kind) => {
+            const { fileSuffixes, locations } = kinds[kind];
+
+            if (allowFileSuffix && new RegExp(`\\.(${fileSuffixes.join("|")})\\.(ts|tsx)$`).test(normalizedFilename)) return true;
+
+            return locations.some((location) => (isGlobHandler(location)
+                ? globToRegExp(location).test(relativeFilename)
+                : isInFolderHandler(location)));
+        };
+
+        // Readable list of the allowed locations for the report message
+        const describeLocationsHandler = (kind) => {
+            const { fileSuffixes, locations } = kinds[kind];
+            const folders = locations.filter((location) => !isGlobHandler(location)).map((folder) => `"${folder}"`);
+            const globs = locations.filter(isGlobHandler).map((glob) => `"${glob}"`);
+            const descriptions = [];
+
+            if (folders.length > 0) {
+                descriptions.push(`files inside the ${folders.join(" or ")} ${folders.length > 1 ? "folders" : "folder"}`);
+            }
+
+            if (globs.length > 0) descriptions.push(`files matching ${globs.join(" or ")}`);
+
+            if (allowFileSuffix) descriptions.push(`"*.${fileSuffixes[fileSuffixes.length - 1]}.ts" files`);
+
+            return descriptions.join(" or ");
+        };
+
         const isTypeScriptFileHandler = () => /\.(ts|tsx)$/.test(normalizedFilename);
 
+        // Names exported through `export { Name }` or `export default Name`
+        const exportedNames = new Set();
+
+        const isExportedHandler = (node) => {
+            const { parent } = node;
+
+            if (parent.type === "ExportNamedDeclaration" || parent.type === "ExportDefaultDeclaration") return true;
+
+            return exportedNames.has(node.id.name);
+        };
+
+        const checkDeclarationHandler = (node, kind, messageId) => {
+            if (!isTypeScriptFileHandler()) return;
+
+            if (ignoreNonExported && !isExportedHandler(node)) return;
+
+            if (ignoreGenericHelpers && node.typeParameters && node.typeParameters.params.length > 0) return;
+
+            if (!isInLocationHandler(kind)) {
+                context.report({
+                    data: { location: describeLocationsHandler(kind) },
+                    messageId,
+                    node: node.id || node,
+                });
+            }
+        };
+
         return {
-            TSInterfaceDeclaration(node) {
-                if (!isTypeScriptFileHandler()) return;
+            Program(programNode) {
+                programNode.body.forEach((statement) => {
+                    if (statement.type === "ExportNamedDeclaration" && !statement.source) {
+                        statement.specifiers.forEach((specifier) => exportedNames.add(specifier.local.name));
+                    }
 
-                if (!isInFolderHandler("interfaces")) {
-                    context.report({
-                        message: "Interfaces must be declared in files inside the \"interfaces\" folder",
-                        node: node.id || node,
-                    });
-                }
+                    if (statement.type === "ExportDefaultDeclaration" && statement.declaration.type === "Identifier") {
+                        exportedNames.add(statement.declaration.name);
+                    }
+                });
+            },
+            TSInterfaceDeclaration(node) {
+                checkDeclarationHandler(node, "interfaces", "interfacesDeclaredFilesInside");
             },
             TSEnumDeclaration(node) {
-                if (!isTypeScriptFileHandler()) return;
-
-                if (!isInFolderHandler("enums")) {
-                    context.report({
-                        message: "Enums must be declared in files inside the \"enums\" folder",
-                        node: node.id || node,
-                    });
-                }
+                checkDeclarationHandler(node, "enums", "enumsDeclaredFilesInside");
             },
             TSTypeAliasDeclaration(node) {
-                if (!isTypeScriptFileHandler()) return;
-
-                if (!isInFolderHandler("types")) {
-                    context.report({
-                        message: "Type aliases must be declared in files inside the \"types\" folder",
-                        node: node.id || node,
-                    });
-                }
+                checkDeclarationHandler(node, "types", "typeAliasesDeclaredFiles");
             },
         };
     },
     meta: {
         docs: { description: "Enforce that interfaces are in interfaces folder, enums in enums folder, and types in types folder" },
-        schema: [],
+        messages: {
+            enumsDeclaredFilesInside: "Enums must be declared in {{location}}",
+            interfacesDeclaredFilesInside: "Interfaces must be declared in {{location}}",
+            typeAliasesDeclaredFiles: "Type aliases must be declared in {{location}}",
+        },
+        schema: [
+            {
+                additionalProperties: false,
+                properties: {
+                    allowFileSuffix: {
+                        description: "Also allow files named after the declaration kind (user.types.ts, status.enum.ts)",
+                        type: "boolean",
+                    },
+                    enums: {
+                        description: "Folder names or path globs allowed for enums",
+                        items: { type: "string" },
+                        minItems: 1,
+                        type: "array",
+                    },
+                    ignoreGenericHelpers: {
+                        description: "Skip interfaces and type aliases with type parameters",
+                        type: "boolean",
+                    },
+                    ignoreNonExported: {
+                        description: "Skip declarations the file does not export",
+                        type: "boolean",
+                    },
+                    interfaces: {
+                        description: "Folder names or path globs allowed for interfaces",
+                        items: { type: "string" },
+                        minItems: 1,
+                        type: "array",
+                    },
+                    types: {
+                        description: "Folder names or path globs allowed for type aliases",
+                        items: { type: "string" },
+                        minItems: 1,
+                        type: "array",
+                    },
+                },
+                type: "object",
+            },
+        ],
         type: "suggestion",
     },
 };
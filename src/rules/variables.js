@@ -1,3 +1,5 @@
+import { findVariable, getNodeScope, isExportedVariable, renameVariableFixes } from "../utils/naming.js";
+
 /**
  * ───────────────────────────────────────────────────────────────
  * Rule: Variable Naming Convention
@@ -7,6 +9,17 @@
  *   Variable names should follow naming conventions: camelCase
  *   for regular variables and PascalCase for React components.
  *   Auto-fixes SCREAMING_SNAKE_CASE and snake_case to camelCase.
+ *   Exported variables and names that are only reported get the
+ *   candidate name as an editor suggestion instead.
+ *
+ * Options:
+ *   { moduleConstants: "camelCase" } - Naming of module-level constants
+ *     (top-level const primitives, Object.freeze(...) and `as const` values):
+ *     "camelCase", "allowScreamingCase" (either style) or "screamingCase"
+ *     (required, auto-fixed). Locals always stay camelCase.
+ *   { destructuredSnakeCase: "report" } - snake_case names destructured
+ *     from objects (API fields): "report" (rename suggested), "alias"
+ *     (auto-fixed to { first_name: firstName }) or "allow"
  *
  * ✓ Good:
  *   const userName = "John";
@@ -19,10 +32,21 @@
  *   const user_name = "John";     // → userName
  *   const CODE_LENGTH = 8;        // → codeLength
  *   const MAX_RETRIES = 3;        // → maxRetries
+ *
+ * ✓ Good (with moduleConstants: "screamingCase", destructuredSnakeCase: "allow"):
+ *   const MAX_RETRIES = 3;
+ *   const ROLES = Object.freeze({ ADMIN: "admin" });
+ *   const { first_name } = user;
+ *
+ * ✗ Bad (with moduleConstants: "screamingCase"):
+ *   const maxRetries = 3;         // → MAX_RETRIES
  */
 const variableNamingConvention = {
     create(context) {
         const sourceCode = context.sourceCode || context.getSourceCode();
+        const options = context.options[0] || {};
+        const moduleConstants = options.moduleConstants || "camelCase";
+        const destructuredSnakeCase = options.destructuredSnakeCase || "report";
 
         const camelCaseRegex = /^[a-z][a-zA-Z0-9]*$/;
 
@@ -52,6 +76,9 @@ const variableNamingConvention = {
             return name;
         };
 
+        // Convert camelCase or snake_case to SCREAMING_SNAKE_CASE (maxRetries -> MAX_RETRIES)
+        const toScreamingCaseHandler = (name) => name.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toUpperCase();
+
         // Get all references to a variable in the current scope
         const getVariableReferencesHandler = (node) => {
             const scope = sourceCode.getScope ? sourceCode.getScope(node) : context.getScope();
@@ -62,6 +89,19 @@ const variableNamingConvention = {
             return variable.references.map((ref) => ref.identifier);
         };
 
+        // Build a rename suggestion for a declared identifier (declaration + every reference)
+        const buildRenameSuggestionsHandler = (identifier, suggestedName) => {
+            const variable = findVariable(getNodeScope(context, identifier), identifier.name);
+
+            if (!variable || suggestedName === identifier.name) return [];
+
+            return [{
+                data: { suggestedName },
+                fix: (fixer) => renameVariableFixes(fixer, variable, suggestedName),
+                messageId: "renameTo",
+            }];
+        };
+
         const allowedIdentifiers = [
             "ArrowFunctionExpression", "CallExpression", "FunctionDeclaration", "FunctionExpression",
             "Property", "VariableDeclarator", "JSXElement", "JSXOpeningElement", "ReturnStatement",
@@ -170,6 +210,66 @@ const variableNamingConvention = {
             return name.startsWith("use") && /^use[A-Z]/.test(name) && isFunctionTypeHandler(node.init);
         };
 
+        // Next.js route segment config exports, read by the framework under these exact names
+        const frameworkConfigExports = ["dynamic", "dynamicParams", "fetchCache", "maxDuration", "preferredRegion", "revalidate", "runtime"];
+
+        // Primitive literals and expressions built only from them: 3, "/api", `px`, -1, 60 * 1000
+        const isPrimitiveValueHandler = (node) => {
+            if (node.type === "Literal") return !node.regex;
+
+            if (node.type === "TemplateLiteral") return node.expressions.length === 0;
+
+            if (node.type === "UnaryExpression") return isPrimitiveValueHandler(node.argument);
+
+            if (node.type === "BinaryExpression") return isPrimitiveValueHandler(node.left) && isPrimitiveValueHandler(node.right);
+
+            return false;
+        };
+
+        // Immutable values: primitives, Object.freeze(...) and `as const` literals
+        const isImmutableValueHandler = (node) => {
+            if (isPrimitiveValueHandler(node)) return true;
+
+            if (node.type === "TSAsExpression") {
+                const { typeAnnotation } = node;
+
+                return typeAnnotation.type === "TSTypeReference"
+                    && typeAnnotation.typeName.type === "Identifier"
+                    && typeAnnotation.typeName.name === "const";
+            }
+
+            if (node.type === "TSSatisfiesExpression") return isImmutableValueHandler(node.expression);
+
+            return node.type === "CallExpression"
+                && node.callee.type === "MemberExpression"
+                && node.callee.object.type === "Identifier"
+                && node.callee.object.name === "Object"
+                && node.callee.property.type === "Identifier"
+                && node.callee.property.name === "freeze";
+        };
+
+        // Top-level const holding an immutable value: const MAX_RETRIES = 3 / export const ROLES = [...] as const
+        const isModuleConstantHandler = (node) => {
+            const declaration = node.parent;
+            const container = declaration.parent;
+            const isTopLevel = container.type === "Program"
+                || (container.type === "ExportNamedDeclaration" && container.parent.type === "Program");
+
+            return declaration.kind === "const" && isTopLevel && Boolean(node.init) && isImmutableValueHandler(node.init);
+        };
+
+        // The property a shorthand destructured name comes from: { first_name } or { first_name = "" }
+        const getShorthandPatternPropertyHandler = (identifier) => {
+            const target = identifier.parent.type === "AssignmentPattern" && identifier.parent.left === identifier
+                ? identifier.parent
+                : identifier;
+            const property = target.parent;
+
+            if (!property || property.type !== "Property" || !property.shorthand || property.value !== target) return null;
+
+            return property.parent.type === "ObjectPattern" ? property : null;
+        };
+
         // Common component property names that should allow PascalCase
         const componentPropertyNames = [
             "Icon",
@@ -190,10 +290,37 @@ const variableNamingConvention = {
                 // Allow component property names when destructuring (e.g., { Icon } from map callback)
                 if (componentPropertyNames.includes(name)) return;
 
+                // snake_case fields destructured from external data: { first_name } = user
+                if (!camelCaseRegex.test(name) && name.includes("_") && getShorthandPatternPropertyHandler(node)) {
+                    if (destructuredSnakeCase === "allow") return;
+
+                    if (destructuredSnakeCase === "alias") {
+                        const variable = findVariable(getNodeScope(context, node), name);
+                        const camelCaseName = toCamelCaseHandler(name);
+
+                        context.report({
+                            data: {
+                                name,
+                                typeLabel,
+                            },
+                            fix: variable ? (fixer) => renameVariableFixes(fixer, variable, camelCaseName) : null,
+                            messageId: "destructuredCamelCase",
+                            node,
+                        });
+
+                        return;
+                    }
+                }
+
                 if (!camelCaseRegex.test(name)) {
                     context.report({
-                        message: `${typeLabel} "${name}" should be camelCase`,
+                        data: {
+                            name,
+                            typeLabel,
+                        },
+                        messageId: "destructuredCamelCase",
                         node,
+                        suggest: buildRenameSuggestionsHandler(node, toCamelCaseHandler(name)),
                     });
                 }
             } else if (node.type === "ObjectPattern") {
@@ -249,9 +376,13 @@ const variableNamingConvention = {
             // Enforce PascalCase for styled components: const StyledCard = styled(Card)(...)
             if (isStyledComponentHandler(node.init)) {
                 if (!pascalCaseRegex.test(name)) {
+                    const camelCaseName = toCamelCaseHandler(name);
+
                     context.report({
-                        message: `Styled component "${name}" should be PascalCase (e.g., StyledCard instead of styledCard)`,
+                        data: { name },
+                        messageId: "styledComponentPascalCase",
                         node: node.id,
+                        suggest: buildRenameSuggestionsHandler(node.id, camelCaseName[0].toUpperCase() + camelCaseName.slice(1)),
                     });
                 }
 
@@ -268,9 +399,13 @@ const variableNamingConvention = {
 
             if (isHookFunctionHandler(node)) {
                 if (!hookRegex.test(name)) {
+                    const camelCaseName = toCamelCaseHandler(name);
+
                     context.report({
-                        message: `Hook "${name}" should start with "use" followed by PascalCase (e.g., useEventsList)`,
+                        data: { name },
+                        messageId: "hookUsePrefix",
                         node: node.id,
+                        suggest: hookRegex.test(camelCaseName) ? buildRenameSuggestionsHandler(node.id, camelCaseName) : [],
                     });
                 }
 
@@ -292,11 +427,58 @@ const variableNamingConvention = {
                 }
             }
 
+            if (moduleConstants !== "camelCase" && isModuleConstantHandler(node)) {
+                if (constantRegex.test(name)) return;
+
+                const variable = findVariable(getNodeScope(context, node.id), name);
+
+                if (isExportedVariable(variable) && frameworkConfigExports.includes(name)) return;
+
+                if (moduleConstants === "screamingCase") {
+                    const constantName = toScreamingCaseHandler(name);
+
+                    // Exported constants are imported by other files: suggest the rename instead of auto-fixing it
+                    context.report({
+                        data: {
+                            constantName,
+                            name,
+                        },
+                        ...(isExportedVariable(variable)
+                            ? { suggest: buildRenameSuggestionsHandler(node.id, constantName) }
+                            : { fix: (fixer) => renameVariableFixes(fixer, variable, constantName) }),
+                        messageId: "moduleConstantScreamingCase",
+                        node: node.id,
+                    });
+
+                    return;
+                }
+            }
+
             if (!camelCaseRegex.test(name)) {
                 const camelCaseName = toCamelCaseHandler(name);
+
+                // Exported variables are imported by other files: suggest the rename instead of auto-fixing it
+                if (isExportedVariable(findVariable(getNodeScope(context, node.id), name))) {
+                    context.report({
+                        data: {
+                            camelCaseName,
+                            name,
+                        },
+                        messageId: "variableCamelCase",
+                        node: node.id,
+                        suggest: buildRenameSuggestionsHandler(node.id, camelCaseName),
+                    });
+
+                    return;
+                }
+
                 const references = getVariableReferencesHandler(node.id);
 
                 context.report({
+                    data: {
+                        camelCaseName,
+                        name,
+                    },
                     fix: (fixer) => {
                         const fixes = [];
 
@@ -307,7 +489,7 @@ const variableNamingConvention = {
 
                         return fixes;
                     },
-                    message: `Variable "${name}" should be camelCase (e.g., ${camelCaseName} instead of ${name})`,
+                    messageId: "variableCamelCase",
                     node: node.id,
                 });
             }
@@ -320,6 +502,18 @@ const variableNamingConvention = {
 
             if (name.startsWith("_") || allowedIdentifiers.includes(name)) return;
 
+            // Keys of a destructuring pattern name the source object's fields, not local variables
+            if (node.parent.type === "ObjectPattern") return;
+
+            // Enum-like keys of module constants: const ROLES = Object.freeze({ ADMIN: "admin" })
+            if (moduleConstants !== "camelCase" && constantRegex.test(name)) {
+                let current = node.parent;
+
+                while (current && current.type !== "VariableDeclarator" && !current.type.includes("Function")) current = current.parent;
+
+                if (current && current.type === "VariableDeclarator" && isModuleConstantHandler(current)) return;
+            }
+
             // Allow PascalCase for properties that hold component references
             // e.g., Icon: AdminPanelSettingsIcon, FormComponent: UpdateEventForm
             if (node.value && node.value.type === "Identifier") {
@@ -341,8 +535,12 @@ const variableNamingConvention = {
                 const camelCaseName = toCamelCaseHandler(name);
 
                 context.report({
+                    data: {
+                        camelCaseName,
+                        name,
+                    },
                     fix: (fixer) => fixer.replaceText(node.key, camelCaseName),
-                    message: `Property "${name}" should be camelCase (e.g., ${camelCaseName} instead of ${name})`,
+                    messageId: "propertyCamelCase",
                     node: node.key,
                 });
             }
@@ -372,32 +570,26 @@ const variableNamingConvention = {
                     // (function-naming-convention handles verb-prefixed PascalCase)
                     if (pascalCaseRegex.test(name)) return;
 
+                    const variable = findVariable(getNodeScope(context, arg), name);
+
+                    // Shorthand destructured fields ({ first_name }) are reported once, at the pattern,
+                    // as destructuredSnakeCase says (suggestion, alias fix, or nothing)
+                    if (variable && variable.defs.some((def) => getShorthandPatternPropertyHandler(def.name))) return;
+
                     if (!camelCaseRegex.test(name)) {
                         const camelCaseName = toCamelCaseHandler(name);
 
                         context.report({
+                            data: {
+                                camelCaseName,
+                                name,
+                            },
                             fix(fixer) {
-                                const scope = sourceCode.getScope ? sourceCode.getScope(arg) : context.getScope();
-                                const variable = scope.variables.find((v) => v.name === name)
-                                    || (scope.upper && scope.upper.variables.find((v) => v.name === name));
-
                                 if (!variable) return fixer.replaceText(arg, camelCaseName);
 
-                                const fixes = [];
-                                const fixedRanges = new Set();
-
-                                variable.references.forEach((ref) => {
-                                    const rangeKey = `${ref.identifier.range[0]}-${ref.identifier.range[1]}`;
-
-                                    if (!fixedRanges.has(rangeKey)) {
-                                        fixedRanges.add(rangeKey);
-                                        fixes.push(fixer.replaceText(ref.identifier, camelCaseName));
-                                    }
-                                });
-
-                                return fixes;
+                                return renameVariableFixes(fixer, variable, camelCaseName);
                             },
-                            message: `Argument "${name}" should be camelCase (e.g., ${camelCaseName} instead of ${name})`,
+                            messageId: "argumentCamelCase",
                             node: arg,
                         });
                     }
@@ -417,7 +609,35 @@ const variableNamingConvention = {
     meta: {
         docs: { description: "Enforce naming conventions: camelCase for variables/properties/params/arguments, PascalCase for components, useXxx for hooks" },
         fixable: "code",
-        schema: [],
+        hasSuggestions: true,
+        messages: {
+            argumentCamelCase: "Argument \"{{name}}\" should be camelCase (e.g., {{camelCaseName}} instead of {{name}})",
+            destructuredCamelCase: "{{typeLabel}} \"{{name}}\" should be camelCase",
+            hookUsePrefix: "Hook \"{{name}}\" should start with \"use\" followed by PascalCase (e.g., useEventsList)",
+            moduleConstantScreamingCase: "Module constant \"{{name}}\" should be SCREAMING_SNAKE_CASE (e.g., {{constantName}} instead of {{name}})",
+            propertyCamelCase: "Property \"{{name}}\" should be camelCase (e.g., {{camelCaseName}} instead of {{name}})",
+            renameTo: "Rename to \"{{suggestedName}}\"",
+            styledComponentPascalCase: "Styled component \"{{name}}\" should be PascalCase (e.g., StyledCard instead of styledCard)",
+            variableCamelCase: "Variable \"{{name}}\" should be camelCase (e.g., {{camelCaseName}} instead of {{name}})",
+        },
+        schema: [
+            {
+                additionalProperties: false,
+                properties: {
+                    destructuredSnakeCase: {
+                        description: "snake_case names destructured from objects: suggest a rename, alias them, or allow them",
+                        enum: ["alias", "allow", "report"],
+                        type: "string",
+                    },
+                    moduleConstants: {
+                        description: "Naming of top-level const primitives, frozen objects and `as const` literals",
+                        enum: ["allowScreamingCase", "camelCase", "screamingCase"],
+                        type: "string",
+                    },
+                },
+                type: "object",
+            },
+        ],
         type: "suggestion",
     },
 };
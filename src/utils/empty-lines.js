@@ -0,0 +1,25 @@
+/**
+ * Check if the text between two positions holds an empty line
+ * Comment lines alone do not count, so a comment between two items is not reported as a gap.
+ * @param {Object} sourceCode - ESLint SourceCode
+ * @param {number} start - Start offset
+ * @param {number} end - End offset
+ * @returns {boolean} - True when a line between them is blank
+ */
+export const hasEmptyLineBetween = (sourceCode, start, end) => /\n[ \t]*\r?\n/.test(sourceCode.text.slice(start, end));
+
+/**
+ * Get a fix collapsing the text between two positions into replacement text
+ * Fixes that would drop a comment are not offered, so the report is left for a manual fix.
+ * @param {Object} sourceCode - ESLint SourceCode
+ * @param {number} start - Start offset
+ * @param {number} end - End offset
+ * @param {string} text - Replacement text (usually a line break and indentation)
+ * @returns {Function|null} - Fix function, or null when comments sit between the positions
+ */
+export const getCollapseFix = (sourceCode, start, end, text) => {
+    const hasComments = sourceCode.getAllComments()
+        .some((comment) => comment.range[0] >= start && comment.range[1] <= end);
+
+    return hasComments ? null : (fixer) => fixer.replaceTextRange([start, end], text);
+};
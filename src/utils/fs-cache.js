@@ -0,0 +1,108 @@
+import fs from "fs";
+import nodePath from "path";
+
+// Directory listings keyed by absolute path, shared by every rule. Each entry keeps the
+// directory's mtime, which changes when entries are added, removed or renamed, so
+// long-lived processes see the new listing. A null listing records a directory that could not be read.
+const directoryCache = new Map();
+
+/**
+ * Normalize a directory path into a cache key (forward slashes, no trailing slash)
+ * @param {string} dirPath - Directory path
+ * @returns {string} - Cache key
+ */
+const toCacheKey = (dirPath) => nodePath.resolve(dirPath).replace(/\\/g, "/").replace(/(.)\/+$/, "$1");
+
+/**
+ * Read a directory once and describe its entries (symlinks are resolved to their target type)
+ * @param {string} dirPath - Directory path
+ * @returns {Array<{isDirectory: boolean, isFile: boolean, name: string}>|null} - Entries or null when unreadable
+ */
+const scanDirectory = (dirPath) => {
+    let dirents;
+
+    try {
+        dirents = fs.readdirSync(dirPath, { withFileTypes: true });
+    } catch {
+        return null;
+    }
+
+    return dirents.map((dirent) => {
+        if (!dirent.isSymbolicLink()) {
+            return { isDirectory: dirent.isDirectory(), isFile: dirent.isFile(), name: dirent.name };
+        }
+
+        try {
+            const stat = fs.statSync(nodePath.join(dirPath, dirent.name));
+
+            return { isDirectory: stat.isDirectory(), isFile: stat.isFile(), name: dirent.name };
+        } catch {
+            // Broken symlink
+            return { isDirectory: false, isFile: false, name: dirent.name };
+        }
+    });
+};
+
+/**
+ * Get the cached entries of a directory, scanning it again when its mtime changed
+ * @param {string} dirPath - Directory path
+ * @returns {Array<{isDirectory: boolean, isFile: boolean, name: string}>|null} - Entries or null when unreadable
+ */
+export const readDirectory = (dirPath) => {
+    const key = toCacheKey(dirPath);
+    let mtime = null;
+
+    try {
+        mtime = fs.statSync(key).mtimeMs;
+    } catch {
+        // Missing directory: cached as unreadable until it appears
+    }
+
+    const cached = directoryCache.get(key);
+
+    if (cached && cached.mtime === mtime) return cached.entries;
+
+    const entries = mtime === null ? null : scanDirectory(key);
+
+    directoryCache.set(key, { entries, mtime });
+
+    return entries;
+};
+
+/**
+ * Find the entry of a path in its parent directory listing
+ * @param {string} targetPath - File or directory path
+ * @returns {{isDirectory: boolean, isFile: boolean, name: string}|null} - Entry or null when missing
+ */
+const getEntry = (targetPath) => {
+    const entries = readDirectory(nodePath.dirname(targetPath));
+
+    if (!entries) return null;
+
+    const name = nodePath.basename(targetPath);
+
+    return entries.find((entry) => entry.name === name) || null;
+};
+
+/**
+ * Check if a file or directory exists (cached fs.existsSync)
+ * @param {string} targetPath - File or directory path
+ * @returns {boolean} - True when the path exists
+ */
+export const pathExists = (targetPath) => getEntry(targetPath) !== null;
+
+/**
+ * Invalidate cached directory listings
+ * Listings are re-read when a directory's mtime changes; this drops them regardless, e.g. when a
+ * symlink target changes or the file system keeps coarse mtimes. Without a path, the whole cache is dropped.
+ * @param {string} [dirPath] - Directory whose listing should be re-read
+ */
+export const clearFileSystemCache = (dirPath) => {
+    if (dirPath === undefined) {
+        directoryCache.clear();
+
+        return;
+    }
+
+    directoryCache.delete(toCacheKey(dirPath));
+};
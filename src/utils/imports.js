@@ -0,0 +1,67 @@
+import nodePath from "path";
+
+import { getSharedSettings } from "./settings.js";
+
+/**
+ * Build a fix adding a named import to the linted file
+ * An existing value import of the same module is extended; otherwise the import is
+ * added after the last import, after leading directives ("use client") or at the top.
+ * @param {Object} fixer - ESLint fixer
+ * @param {Object} sourceCode - ESLint SourceCode of the linted file
+ * @param {string} importName - Name to import
+ * @param {string} importSource - Module specifier
+ * @returns {Object} - Fix
+ */
+export const addNamedImportFix = (fixer, sourceCode, importName, importSource) => {
+    const { body } = sourceCode.ast;
+    const imports = body.filter((statement) => statement.type === "ImportDeclaration");
+    const sameSourceImport = imports.find((declaration) => declaration.source.value === importSource
+        && declaration.importKind !== "type"
+        && declaration.specifiers.length > 0
+        && !declaration.specifiers.some((spec) => spec.type === "ImportNamespaceSpecifier"));
+
+    if (sameSourceImport) {
+        const namedSpecifiers = sameSourceImport.specifiers.filter((spec) => spec.type === "ImportSpecifier");
+
+        if (namedSpecifiers.length > 0) {
+            return fixer.insertTextAfter(namedSpecifiers[namedSpecifiers.length - 1], `, ${importName}`);
+        }
+
+        return fixer.insertTextAfter(sameSourceImport.specifiers[0], `, { ${importName} }`);
+    }
+
+    const statement = `import { ${importName} } from "${importSource}";`;
+
+    if (imports.length > 0) return fixer.insertTextAfter(imports[imports.length - 1], `\n${statement}`);
+
+    // Keep directives ("use client") first
+    const directives = body.filter((node, i) => node.directive && body.slice(0, i).every((prev) => prev.directive));
+
+    if (directives.length > 0) return fixer.insertTextAfter(directives[directives.length - 1], `\n\n${statement}`);
+
+    return fixer.insertTextBeforeRange([0, 0], `${statement}\n\n`);
+};
+
+/**
+ * Get the specifier the linted file imports another project file with
+ * Files below the source root are imported through the alias prefix (`@/enums/button`),
+ * other files through a relative path. The extension and a trailing `/index` are dropped.
+ * @param {Object} context - ESLint rule context
+ * @param {string} targetPath - Absolute path of the imported file
+ * @returns {string} - Module specifier
+ */
+export const getModuleSpecifier = (context, targetPath) => {
+    const { aliasPrefix, srcRoot } = getSharedSettings(context);
+    const srcPath = nodePath.resolve(context.cwd || process.cwd(), srcRoot);
+    const modulePath = nodePath.resolve(targetPath).replace(/\.(d\.)?[cm]?[jt]sx?$/, "").replace(/[\\/]index$/, "");
+    const srcRelativePath = nodePath.relative(srcPath, modulePath);
+
+    if (srcRelativePath && !srcRelativePath.startsWith("..") && !nodePath.isAbsolute(srcRelativePath)) {
+        return `${aliasPrefix}${srcRelativePath.replace(/\\/g, "/")}`;
+    }
+
+    const filename = context.filename || context.getFilename();
+    const relativePath = nodePath.relative(nodePath.dirname(filename), modulePath).replace(/\\/g, "/");
+
+    return relativePath.startsWith(".") ? relativePath : `./${relativePath}`;
+};
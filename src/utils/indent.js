@@ -0,0 +1,31 @@
+/**
+ * Get the leading whitespace of the line a node or token starts on
+ * @param {Object} sourceCode - ESLint SourceCode
+ * @param {Object} nodeOrToken - AST node or token
+ * @returns {string} - Indentation of that line
+ */
+export const getLineIndent = (sourceCode, nodeOrToken) => sourceCode.lines[nodeOrToken.loc.start.line - 1].match(/^\s*/)[0];
+
+/**
+ * Check if a node contains a template literal part spanning several lines
+ * @param {Object} sourceCode - ESLint SourceCode
+ * @param {Object} node - AST node
+ * @returns {boolean} - True when the node cannot be re-indented or joined onto one line
+ */
+export const hasMultilineTemplate = (sourceCode, node) => sourceCode.getTokens(node)
+    .some((token) => token.type === "Template" && token.loc.start.line !== token.loc.end.line);
+
+/**
+ * Get the text of a node that is moving to another indentation level, with every line
+ * after the first shifted by the same number of columns as its first line
+ * Template literals spanning lines are left untouched, since their whitespace is part of the value.
+ * @param {Object} sourceCode - ESLint SourceCode
+ * @param {Object} node - AST node being moved
+ * @param {number} shift - Columns to add (negative to remove)
+ * @returns {string|null} - Shifted text, or null when a multiline template literal prevents shifting
+ */
+export const getShiftedText = (sourceCode, node, shift) => {
+    if (hasMultilineTemplate(sourceCode, node)) return null;
+
+    return sourceCode.getText(node).replace(/\n( *)(?=\S)/g, (match, spaces) => `\n${" ".repeat(Math.max(0, spaces.length + shift))}`);
+};
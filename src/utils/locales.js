@@ -0,0 +1,207 @@
+import fs from "fs";
+import nodePath from "path";
+
+// Loaded catalogs keyed by absolute locales directory. Each entry keeps a signature
+// of the catalog files (paths and mtimes), so adding or editing a locale file is
+// picked up by long-lived processes. A null catalog records a directory that could not be read.
+const catalogCache = new Map();
+
+const CATALOG_FILE_PATTERN = /\.(json|ya?ml)$/i;
+
+// i18next plural suffixes: t("item", { count }) resolves item_one, item_other...
+const PLURAL_SUFFIXES = ["few", "many", "one", "other", "plural", "two", "zero"];
+
+/**
+ * Flatten a nested JSON catalog into dotted keys (`{ home: { title } }` → home.title)
+ * @param {Object} values - Parsed catalog or nested section
+ * @param {string} [prefix] - Key of the parent section
+ * @returns {string[]} - Leaf keys
+ */
+const flattenJsonKeys = (values, prefix = "") => Object.entries(values).flatMap(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (value && typeof value === "object" && !Array.isArray(value)) return flattenJsonKeys(value, path);
+
+    return [path];
+});
+
+/**
+ * Unquote a YAML mapping key
+ * @param {string} raw - Key as written
+ * @returns {string} - Key
+ */
+const unquoteYamlKey = (raw) => {
+    if (raw.startsWith("\"")) return raw.slice(1, -1).replace(/\\(.)/g, "$1");
+
+    if (raw.startsWith("'")) return raw.slice(1, -1).replace(/''/g, "'");
+
+    return raw;
+};
+
+/**
+ * Read the leaf keys of a YAML catalog (nested mappings of scalars, the shape locale files use)
+ * Block scalars and sequences are read as leaf values.
+ * @param {string} text - YAML source
+ * @returns {string[]} - Leaf keys as dotted paths
+ */
+const getYamlKeys = (text) => {
+    const stack = [];
+    const keys = [];
+    let blockIndent = -1;
+
+    text.split(/\r?\n/).forEach((line) => {
+        const indent = line.search(/\S/);
+
+        // Blank line, or content of a block scalar / sequence under the last key
+        if (indent === -1 || (blockIndent !== -1 && indent > blockIndent)) return;
+
+        blockIndent = -1;
+
+        const content = line.slice(indent);
+
+        if (content.startsWith("#") || content.startsWith("---") || content.startsWith("- ")) return;
+
+        const match = content.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#"'][^:#]*?)\s*:(?:\s+(.*))?$/);
+
+        if (!match) return;
+
+        while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+            const closed = stack.pop();
+
+            if (!closed.hasChildren) keys.push(closed.path);
+        }
+
+        if (stack.length > 0) stack[stack.length - 1].hasChildren = true;
+
+        const parent = stack[stack.length - 1];
+        const key = unquoteYamlKey(match[1]);
+        const path = parent ? `${parent.path}.${key}` : key;
+        const value = (match[2] || "").replace(/\s+#.*$/, "").trim();
+
+        if (!value) {
+            stack.push({ hasChildren: false, indent, path });
+
+            return;
+        }
+
+        if (/^[|>][-+]?\d*$/.test(value)) blockIndent = indent;
+
+        keys.push(path);
+    });
+
+    stack.forEach((entry) => {
+        if (!entry.hasChildren) keys.push(entry.path);
+    });
+
+    return keys;
+};
+
+/**
+ * Read the keys of one catalog file
+ * @param {string} filePath - JSON or YAML file
+ * @returns {string[]} - Leaf keys
+ */
+const readCatalogKeys = (filePath) => {
+    const text = fs.readFileSync(filePath, "utf8");
+
+    if (/\.json$/i.test(filePath)) {
+        const values = JSON.parse(text);
+
+        return values && typeof values === "object" ? flattenJsonKeys(values) : [];
+    }
+
+    return getYamlKeys(text);
+};
+
+/**
+ * List the catalog files of a locales directory
+ * Two layouts are read: one file per locale (`en.json`, `fr.yaml`) and one folder
+ * per locale holding namespace files (`en/common.json`, as used by i18next).
+ * @param {string} localesDir - Absolute locales directory
+ * @returns {Array<{filePath: string, locale: string, namespace: string|null}>} - Catalog files
+ */
+const listCatalogFiles = (localesDir) => fs.readdirSync(localesDir, { withFileTypes: true }).flatMap((dirent) => {
+    const entryPath = nodePath.join(localesDir, dirent.name);
+
+    if (dirent.isFile() && CATALOG_FILE_PATTERN.test(dirent.name)) {
+        return [{ filePath: entryPath, locale: dirent.name.replace(CATALOG_FILE_PATTERN, ""), namespace: null }];
+    }
+
+    if (!dirent.isDirectory()) return [];
+
+    return fs.readdirSync(entryPath)
+        .filter((name) => CATALOG_FILE_PATTERN.test(name))
+        .map((name) => ({
+            filePath: nodePath.join(entryPath, name),
+            locale: dirent.name,
+            namespace: name.replace(CATALOG_FILE_PATTERN, ""),
+        }));
+});
+
+/**
+ * Load the keys of every locale
+ * Namespace files add their keys both bare and prefixed (`save` and `common:save`).
+ * @param {Array<{filePath: string, locale: string, namespace: string|null}>} files - Catalog files
+ * @returns {Map<string, Set<string>>} - Keys by locale
+ */
+const loadCatalog = (files) => files.reduce((catalog, { filePath, locale, namespace }) => {
+    if (!catalog.has(locale)) catalog.set(locale, new Set());
+
+    const keys = catalog.get(locale);
+
+    readCatalogKeys(filePath).forEach((key) => {
+        keys.add(key);
+
+        if (namespace) keys.add(`${namespace}:${key}`);
+    });
+
+    return catalog;
+}, new Map());
+
+/**
+ * Get the locale catalog stored in a directory
+ * Relative paths are resolved from the ESLint working directory.
+ * @param {string} localesDir - Directory holding the locale files
+ * @param {string} cwd - ESLint working directory
+ * @returns {Map<string, Set<string>>|null} - Keys by locale, or null when the catalog cannot be read
+ */
+export const getLocaleCatalog = (localesDir, cwd) => {
+    const dirPath = nodePath.resolve(cwd, localesDir);
+    let files;
+    let signature;
+
+    try {
+        files = listCatalogFiles(dirPath);
+        signature = files.map(({ filePath }) => `${filePath}:${fs.statSync(filePath).mtimeMs}`).join("|");
+    } catch {
+        return null;
+    }
+
+    const cached = catalogCache.get(dirPath);
+
+    if (cached && cached.signature === signature) return cached.catalog;
+
+    let catalog;
+
+    try {
+        catalog = files.length > 0 ? loadCatalog(files) : null;
+    } catch {
+        catalog = null;
+    }
+
+    catalogCache.set(dirPath, { catalog, signature });
+
+    return catalog;
+};
+
+/**
+ * Get the locales of a catalog that do not define a key
+ * Plural forms count as the key itself (`item_one` / `item_other` define `item`).
+ * @param {Map<string, Set<string>>} catalog - Keys by locale
+ * @param {string} key - Translation key
+ * @returns {string[]} - Locales missing the key, sorted
+ */
+export const getMissingLocales = (catalog, key) => [...catalog.entries()]
+    .filter(([, keys]) => !keys.has(key) && !PLURAL_SUFFIXES.some((suffix) => keys.has(`${key}_${suffix}`)))
+    .map(([locale]) => locale)
+    .sort();
@@ -0,0 +1,308 @@
+import fs from "fs";
+import { createRequire } from "module";
+import nodePath from "path";
+
+import { pathExists } from "./fs-cache.js";
+import { getSharedSettings } from "./settings.js";
+
+// String constants exported by the strings/enums modules, keyed by absolute path. Each entry
+// keeps the mtime and size of every file read for it (the module and the modules it re-exports from),
+// so new constants are picked up by long-lived processes.
+const moduleConstantsCache = new Map();
+
+const MODULE_EXTENSIONS = [".ts", ".tsx", ".js", ".jsx"];
+
+/**
+ * Get the mtime and size of a file
+ * The size is part of it so an export appended within the same mtime tick is still seen.
+ * @param {string} filePath - File path
+ * @returns {string|null} - Signature, or null when the file does not exist
+ */
+const getFileSignature = (filePath) => {
+    try {
+        const { mtimeMs, size } = fs.statSync(filePath);
+
+        return `${mtimeMs}:${size}`;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Find the file a module path points to, with or without extension, including folder `index` files
+ * TypeScript sources are imported with a ".js" extension under NodeNext resolution.
+ * @param {string} basePath - Absolute module path as written in the import
+ * @returns {string|null} - Absolute file path, or null when it does not exist
+ */
+const findModuleFile = (basePath) => [
+    ...(nodePath.extname(basePath) ? [basePath] : []),
+    ...MODULE_EXTENSIONS.map((extension) => `${basePath.replace(/\.[cm]?js$/, "")}${extension}`),
+    ...MODULE_EXTENSIONS.map((extension) => nodePath.join(basePath, `index${extension}`)),
+].find((candidate) => pathExists(candidate)) || null;
+
+/**
+ * Resolve an aliased import source (`@/strings`) to a path under the source root
+ * @param {string} importSource - Import source
+ * @param {Object} context - ESLint rule context (cwd and settings)
+ * @returns {string|null} - Absolute module path without extension, or null for other sources
+ */
+export const getAliasedModulePath = (importSource, context) => {
+    const { aliasPrefix, srcRoot } = getSharedSettings(context);
+
+    if (!importSource.startsWith(aliasPrefix)) return null;
+
+    return nodePath.resolve(context.cwd || process.cwd(), srcRoot, importSource.slice(aliasPrefix.length));
+};
+
+/**
+ * Resolve an aliased import source (`@/strings`) to a file under the source root
+ * @param {string} importSource - Import source
+ * @param {Object} context - ESLint rule context (cwd and settings)
+ * @returns {string|null} - Absolute module path, or null when it does not exist yet
+ */
+export const resolveAliasedModule = (importSource, context) => {
+    const basePath = getAliasedModulePath(importSource, context);
+
+    return basePath && findModuleFile(basePath);
+};
+
+/**
+ * Resolve the source of a re-export (`export * from "./auth"`) to a file
+ * @param {string} importSource - Re-export source
+ * @param {string} fromFile - Absolute path of the re-exporting module
+ * @param {Object} context - ESLint rule context (cwd and settings)
+ * @returns {string|null} - Absolute module path, or null for packages and missing files
+ */
+const resolveReExportSource = (importSource, fromFile, context) => {
+    if (importSource.startsWith(".")) return findModuleFile(nodePath.resolve(nodePath.dirname(fromFile), importSource));
+
+    return resolveAliasedModule(importSource, context);
+};
+
+/**
+ * Parse a module with the parser of the linted file
+ * TypeScript modules are parsed with @typescript-eslint/parser first when the project has it installed,
+ * so a strings module written in TypeScript is read from a JavaScript file too.
+ * @param {string} filePath - Absolute module path
+ * @param {Object} context - ESLint rule context (cwd and languageOptions)
+ * @returns {Object|null} - Program node, or null when no parser accepts the module
+ */
+const parseModule = (filePath, context) => {
+    const isTypeScript = /\.tsx?$/.test(filePath);
+    const parsers = [context.languageOptions && context.languageOptions.parser];
+
+    if (isTypeScript) {
+        try {
+            parsers.unshift(createRequire(nodePath.join(context.cwd || process.cwd(), "package.json"))("@typescript-eslint/parser"));
+        } catch {
+            // Without the parser, only modules the linted file's parser reads are resolved
+        }
+    }
+
+    // The same options ESLint parses with, so wrapped parsers get the tokens and comments they expect
+    const parserOptions = {
+        comment: true,
+        ecmaFeatures: { jsx: !isTypeScript || filePath.endsWith(".tsx") },
+        ecmaVersion: "latest",
+        filePath,
+        loc: true,
+        range: true,
+        sourceType: "module",
+        tokens: true,
+    };
+    let text;
+
+    try {
+        text = fs.readFileSync(filePath, "utf8");
+    } catch {
+        return null;
+    }
+
+    for (const parser of parsers.filter(Boolean)) {
+        try {
+            return typeof parser.parseForESLint === "function" ? parser.parseForESLint(text, parserOptions).ast : parser.parse(text, parserOptions);
+        } catch {
+            // Try the next parser
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Unwrap type assertions and `Object.freeze()` around a constant's value
+ * @param {Object} node - Initializer node
+ * @returns {Object} - Wrapped value node
+ */
+const unwrapValue = (node) => {
+    if (node.type === "TSAsExpression" || node.type === "TSSatisfiesExpression" || node.type === "TSTypeAssertion") return unwrapValue(node.expression);
+
+    if (node.type === "CallExpression" && node.arguments.length === 1 && node.callee.type === "MemberExpression"
+        && node.callee.object.type === "Identifier" && node.callee.object.name === "Object"
+        && node.callee.property.type === "Identifier" && node.callee.property.name === "freeze") {
+        return unwrapValue(node.arguments[0]);
+    }
+
+    return node;
+};
+
+/**
+ * Get the string a literal or expression-less template literal holds
+ * @param {Object} node - Value node
+ * @returns {string|null} - String value, or null for other values
+ */
+const getStringValue = (node) => {
+    if (node.type === "Literal" && typeof node.value === "string") return node.value;
+
+    if (node.type === "TemplateLiteral" && node.expressions.length === 0) return node.quasis[0].value.cooked;
+
+    return null;
+};
+
+/**
+ * Get the name a property or enum member is read by (`Object.member`)
+ * @param {Object} key - Property key or enum member id
+ * @returns {string|null} - Member name, or null when it is not a valid identifier
+ */
+const getMemberName = (key) => {
+    const name = key.type === "Identifier" ? key.name : key.type === "Literal" && String(key.value);
+
+    return name && /^[A-Za-z_$][\w$]*$/.test(name) ? name : null;
+};
+
+/**
+ * Get the string constants of a binding, or a null-valued entry holding its name when it has none,
+ * so names the module already declares are not generated again
+ * @param {string} name - Binding name
+ * @param {Array<{name: string, value: string}>} constants - String constants read from it
+ * @returns {[string, Array<{name: string, value: string|null}>]} - Binding name with its entries
+ */
+const toBindingEntry = (name, constants) => [name, constants.length > 0 ? constants : [{ name, value: null }]];
+
+/**
+ * Get the string constants a top-level declaration binds, keyed by declared name
+ * Constants (`const welcomeText = "Welcome"`) are read by name, members of objects
+ * and enums (`enum Role { Admin = "admin" }`) as `Object.member`.
+ * @param {Object} declaration - Top-level statement or exported declaration
+ * @returns {Array<[string, Array<{name: string, value: string|null}>]>} - Declared names with their entries
+ */
+const getDeclaredConstants = (declaration) => {
+    if (declaration.type === "TSEnumDeclaration") {
+        const members = declaration.body ? declaration.body.members : declaration.members;
+
+        return [toBindingEntry(declaration.id.name, members.flatMap((member) => {
+            const memberName = getMemberName(member.id);
+            const value = member.initializer && getStringValue(member.initializer);
+
+            return memberName && typeof value === "string" ? [{ name: `${declaration.id.name}.${memberName}`, value }] : [];
+        }))];
+    }
+
+    if ((declaration.type === "ClassDeclaration" || declaration.type === "FunctionDeclaration") && declaration.id) {
+        return [toBindingEntry(declaration.id.name, [])];
+    }
+
+    if (declaration.type !== "VariableDeclaration") return [];
+
+    return declaration.declarations
+        .filter(({ id }) => id.type === "Identifier")
+        .map(({ id, init }) => {
+            const value = init && declaration.kind === "const" ? unwrapValue(init) : null;
+            const stringValue = value && getStringValue(value);
+
+            if (typeof stringValue === "string") return [id.name, [{ name: id.name, value: stringValue }]];
+
+            if (!value || value.type !== "ObjectExpression") return toBindingEntry(id.name, []);
+
+            return toBindingEntry(id.name, value.properties.flatMap((property) => {
+                const memberName = property.type === "Property" && !property.computed && getMemberName(property.key);
+                const memberValue = memberName && getStringValue(unwrapValue(property.value));
+
+                return typeof memberValue === "string" ? [{ name: `${id.name}.${memberName}`, value: memberValue }] : [];
+            }));
+        });
+};
+
+/**
+ * Rename constants read under one binding to the name they are exported as
+ * @param {Array<{name: string, value: string|null}>} constants - Constants of the binding
+ * @param {string} localName - Binding name
+ * @param {string} exportedName - Exported name
+ * @returns {Array<{name: string, value: string|null}>} - Constants under the exported name
+ */
+const renameConstants = (constants, localName, exportedName) => constants
+    .filter(({ name }) => name === localName || name.startsWith(`${localName}.`))
+    .map(({ name, value }) => ({ name: `${exportedName}${name.slice(localName.length)}`, value }));
+
+/**
+ * Collect the string constants a module exports, following `export * from` and
+ * `export { name } from` into the modules they re-export
+ * @param {string} filePath - Absolute module path
+ * @param {Object} context - ESLint rule context
+ * @param {Set<string>} files - Files read so far (guards against re-export cycles)
+ * @returns {Array<{name: string, value: string|null}>} - Exported constants
+ */
+const collectModuleConstants = (filePath, context, files) => {
+    if (files.has(filePath)) return [];
+
+    files.add(filePath);
+
+    const ast = parseModule(filePath, context);
+
+    if (!ast) return [];
+
+    const declared = new Map(ast.body.flatMap((statement) => getDeclaredConstants(statement.type === "ExportNamedDeclaration" && statement.declaration
+        ? statement.declaration
+        : statement)));
+    const getReExportedHandler = (source) => {
+        const targetPath = resolveReExportSource(source.value, filePath, context);
+
+        return targetPath ? collectModuleConstants(targetPath, context, files) : [];
+    };
+
+    return ast.body.flatMap((statement) => {
+        if (statement.type === "ExportAllDeclaration") {
+            const constants = getReExportedHandler(statement.source);
+
+            if (!statement.exported) return constants;
+
+            return toBindingEntry(statement.exported.name, constants.map(({ name, value }) => ({ name: `${statement.exported.name}.${name}`, value })))[1];
+        }
+
+        if (statement.type !== "ExportNamedDeclaration") return [];
+
+        if (statement.declaration) return getDeclaredConstants(statement.declaration).flatMap(([, constants]) => constants);
+
+        const constants = statement.source ? getReExportedHandler(statement.source) : null;
+
+        return statement.specifiers.flatMap(({ exported, local }) => {
+            const exportedName = exported.type === "Identifier" ? exported.name : exported.value;
+            const localName = local.type === "Identifier" ? local.name : local.value;
+
+            return renameConstants(constants || declared.get(localName) || toBindingEntry(localName, [])[1], localName, exportedName);
+        });
+    });
+};
+
+/**
+ * Read the string constants a module exports
+ * The module is parsed, so constants are read however they are written, and re-exports
+ * (`export * from "./auth"`) are followed through relative and aliased sources. Exports that
+ * hold no string (functions, numbers) are listed with a null value, so their names count as taken.
+ * @param {string} filePath - Absolute module path
+ * @param {Object} context - ESLint rule context (cwd, languageOptions and settings)
+ * @returns {Array<{name: string, value: string|null}>} - Exported constants, `Object.member` for object and enum members
+ */
+export const readModuleConstants = (filePath, context) => {
+    const cached = moduleConstantsCache.get(filePath);
+
+    if (cached && cached.files.every((cachedPath, i) => getFileSignature(cachedPath) === cached.signatures[i])) return cached.constants;
+
+    const files = new Set();
+    const constants = collectModuleConstants(filePath, context, files);
+    const filePaths = [...files];
+
+    moduleConstantsCache.set(filePath, { constants, files: filePaths, signatures: filePaths.map(getFileSignature) });
+
+    return constants;
+};
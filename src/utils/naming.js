@@ -0,0 +1,138 @@
+/**
+ * Get the scope of a node (ESLint v9 sourceCode API with legacy fallback)
+ * @param {Object} context - ESLint rule context
+ * @param {Object} node - AST node
+ * @returns {Object} - Scope containing the node
+ */
+export const getNodeScope = (context, node) => (context.sourceCode
+    ? context.sourceCode.getScope(node)
+    : context.getScope());
+
+/**
+ * Find a variable by name, walking up from a scope to the global scope
+ * @param {Object} scope - Starting scope
+ * @param {string} name - Variable name
+ * @returns {Object|null} - Scope variable or null when not declared
+ */
+export const findVariable = (scope, name) => {
+    const variable = scope.variables.find((v) => v.name === name);
+
+    if (variable) return variable;
+    if (scope.upper) return findVariable(scope.upper, name);
+
+    return null;
+};
+
+/**
+ * Check if a variable is part of its module's public surface
+ * (inline export, export { name } or export default name)
+ * Renaming such a variable breaks importers in other files.
+ * @param {Object|null} variable - Scope variable
+ * @returns {boolean} - True when the variable is exported
+ */
+export const isExportedVariable = (variable) => {
+    if (!variable) return false;
+
+    const isExportedDefinition = variable.defs.some((def) => {
+        let current = def.node;
+
+        while (current && current.type !== "Program") {
+            if (current.type === "ExportNamedDeclaration" || current.type === "ExportDefaultDeclaration") return true;
+
+            // Locals of an exported function or class are not exported
+            if (current.type === "BlockStatement" || current.type === "ClassBody" || current.type === "StaticBlock") return false;
+
+            current = current.parent;
+        }
+
+        return false;
+    });
+
+    if (isExportedDefinition) return true;
+
+    return variable.references.some(({ identifier }) => identifier.parent
+        && (identifier.parent.type === "ExportSpecifier" || identifier.parent.type === "ExportDefaultDeclaration"));
+};
+
+/**
+ * Build fixes that rename a variable at its declaration and every reference in the file
+ * Shorthand properties ({ name } in patterns and object literals) are expanded
+ * to "name: newName" so the property key is preserved, and "export { name }"
+ * becomes "export { newName as name }" so the module keeps its exported name.
+ * Rules whose point is the exported name itself pass keepExportedName: false
+ * to rename "export { name }" outright.
+ * @param {Object} fixer - ESLint fixer
+ * @param {Object} variable - Scope variable to rename
+ * @param {string} newName - New variable name
+ * @param {Object} [options] - Rename options
+ * @param {boolean} [options.keepExportedName=true] - Keep the exported name of "export { name }"
+ * @returns {Object[]} - Fix objects
+ */
+export const renameVariableFixes = (fixer, variable, newName, { keepExportedName = true } = {}) => {
+    const fixes = [];
+    const fixedRanges = new Set();
+
+    const addFixHandler = (identifier) => {
+        const rangeKey = `${identifier.range[0]}-${identifier.range[1]}`;
+
+        if (fixedRanges.has(rangeKey)) return;
+
+        fixedRanges.add(rangeKey);
+
+        // { name = fallback } wraps the identifier in an AssignmentPattern
+        const parent = identifier.parent && identifier.parent.type === "AssignmentPattern" && identifier.parent.left === identifier
+            ? identifier.parent.parent
+            : identifier.parent;
+        const isShorthandProperty = parent
+            && parent.type === "Property"
+            && parent.shorthand
+            && (parent.value === identifier || (parent.value.type === "AssignmentPattern" && parent.value.left === identifier));
+
+        const isUnaliasedExport = keepExportedName
+            && parent
+            && parent.type === "ExportSpecifier"
+            && parent.local === identifier
+            && parent.exported.range[0] === identifier.range[0];
+
+        if (isUnaliasedExport) {
+            fixes.push(fixer.replaceText(parent, `${newName} as ${identifier.name}`));
+
+            return;
+        }
+
+        fixes.push(fixer.replaceText(identifier, isShorthandProperty ? `${identifier.name}: ${newName}` : newName));
+    };
+
+    variable.defs.forEach((def) => addFixHandler(def.name));
+    variable.references.forEach((ref) => addFixHandler(ref.identifier));
+
+    return fixes;
+};
+
+/**
+ * Generate a constant name from a hardcoded string
+ * UI text becomes camelCase from its first words ("Welcome to the app" → welcomeToTheApp),
+ * enum-like values become SCREAMING_SNAKE_CASE ("in_progress" → IN_PROGRESS).
+ * @param {string} str - Hardcoded string
+ * @param {boolean} isEnumLike - Whether the string is an enum-like value
+ * @returns {string|null} - Constant name, or null when the string has no usable words
+ */
+export const toConstantName = (str, isEnumLike) => {
+    const words = (str.match(/[A-Za-z0-9]+/g) || []).slice(0, 5);
+
+    if (words.length === 0) return null;
+
+    if (isEnumLike) {
+        const name = words.join("_").toUpperCase();
+
+        return /^\d/.test(name) ? `VALUE_${name}` : name;
+    }
+
+    const name = words
+        .map((word, i) => (i === 0
+            ? word.toLowerCase()
+            : word[0].toUpperCase() + word.slice(1).toLowerCase()))
+        .join("");
+
+    return /^\d/.test(name) ? `text${name}` : name;
+};
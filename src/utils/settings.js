@@ -0,0 +1,140 @@
+// Key under ESLint's shared `settings` object read by every rule
+const SETTINGS_KEY = "code-style";
+
+// Defaults used when neither settings nor rule options provide a value
+export const DEFAULT_ALIAS_PREFIX = "@/";
+export const DEFAULT_SRC_ROOT = "src";
+
+// Supported frameworks and their routing conventions
+// - routesDir: folder (relative to the project) holding file-system routes
+// - reservedFiles: file names (without extension) the framework treats specially
+// - isSpecialSegment: path segments with routing meaning ([slug], (group), @parallel, _private)
+const FRAMEWORK_CONVENTIONS = {
+    next: {
+        isSpecialSegment: (segment) => segment.startsWith("[")
+            || segment.startsWith("(")
+            || segment.startsWith("@")
+            || segment.startsWith("_"),
+        reservedFiles: [
+            "default",
+            "error",
+            "global-error",
+            "instrumentation",
+            "layout",
+            "loading",
+            "middleware",
+            "not-found",
+            "page",
+            "route",
+            "template",
+        ],
+        routesDir: "app",
+    },
+    remix: {
+        // Every module under app/routes is a route (flat routes use dotted file names)
+        isSpecialSegment: () => true,
+        reservedFiles: ["entry.client", "entry.server", "root"],
+        routesDir: "app/routes",
+    },
+    vite: {
+        isSpecialSegment: () => false,
+        reservedFiles: [],
+        routesDir: null,
+    },
+};
+
+export const SUPPORTED_FRAMEWORKS = Object.keys(FRAMEWORK_CONVENTIONS);
+
+/**
+ * Read the plugin-wide settings from `settings["code-style"]`
+ * Rule options always take precedence over these values.
+ * @param {Object} context - ESLint rule context
+ * @returns {{aliasPrefix: string, framework: string|null, moduleFolders: string[]|null, srcRoot: string, tailwindConfig: string|null}} - Normalized settings
+ */
+export const getSharedSettings = (context) => {
+    const settings = (context.settings && context.settings[SETTINGS_KEY]) || {};
+    const framework = SUPPORTED_FRAMEWORKS.includes(settings.framework) ? settings.framework : null;
+    const srcRoot = typeof settings.srcRoot === "string" && settings.srcRoot.trim()
+        ? settings.srcRoot.trim().replace(/\\/g, "/").replace(/^\.?\/+|\/+$/g, "")
+        : DEFAULT_SRC_ROOT;
+
+    return {
+        aliasPrefix: typeof settings.aliasPrefix === "string" && settings.aliasPrefix ? settings.aliasPrefix : DEFAULT_ALIAS_PREFIX,
+        framework,
+        moduleFolders: Array.isArray(settings.moduleFolders) ? settings.moduleFolders : null,
+        srcRoot,
+        tailwindConfig: typeof settings.tailwindConfig === "string" && settings.tailwindConfig.trim() ? settings.tailwindConfig.trim() : null,
+    };
+};
+
+/**
+ * Get the routing conventions for a framework
+ * When no framework is configured, Next.js conventions are assumed
+ * (the historical behavior of the folder rules).
+ * @param {string|null} framework - Framework name from shared settings
+ * @returns {Object} - Framework conventions
+ */
+export const getFrameworkConventions = (framework) => FRAMEWORK_CONVENTIONS[framework] || FRAMEWORK_CONVENTIONS.next;
+
+/**
+ * Get the path segments of a file below its framework routes folder
+ * @param {string} normalizedFilename - Forward-slash file path
+ * @param {string|null} framework - Framework name from shared settings
+ * @returns {string[]|null} - Segments below the routes folder (file name included), or null when outside it
+ */
+export const getRouteSegments = (normalizedFilename, framework) => {
+    const { routesDir } = getFrameworkConventions(framework);
+
+    if (!routesDir) return null;
+
+    const marker = `/${routesDir}/`;
+    const index = normalizedFilename.indexOf(marker);
+
+    if (index === -1) return null;
+
+    return normalizedFilename.slice(index + marker.length).split("/");
+};
+
+/**
+ * Escape a string for use inside a RegExp
+ * @param {string} str - Raw string
+ * @returns {string} - Escaped string
+ */
+export const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Convert a path glob to a RegExp matching whole forward-slash paths
+ * Supports `**` (any number of folders), `*` and `?` (within a segment) and `{a,b}` alternatives.
+ * @param {string} glob - Glob pattern (e.g. "src/**\/*.types.ts")
+ * @returns {RegExp} - Anchored RegExp
+ */
+export const globToRegExp = (glob) => {
+    let source = "";
+    let braceDepth = 0;
+
+    for (let i = 0; i < glob.length; i += 1) {
+        const char = glob[i];
+
+        if (char === "*" && glob[i + 1] === "*") {
+            // "**/" may match no folder at all
+            source += glob[i + 2] === "/" ? "(?:.*/)?" : ".*";
+            i += glob[i + 2] === "/" ? 2 : 1;
+        } else if (char === "*") {
+            source += "[^/]*";
+        } else if (char === "?") {
+            source += "[^/]";
+        } else if (char === "{") {
+            braceDepth += 1;
+            source += "(?:";
+        } else if (char === "}" && braceDepth > 0) {
+            braceDepth -= 1;
+            source += ")";
+        } else if (char === "," && braceDepth > 0) {
+            source += "|";
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+};
@@ -0,0 +1,59 @@
+// Enum-like vocabularies a hardcoded string can belong to. Each category lists its
+// values (exact match) or a pattern; strings outside every category are plain UI text
+// or generic enum-like values. Projects add their own through the `categories` option
+// of no-hardcoded-strings and turn these off through `disabledCategories`.
+export const BUILT_IN_STRING_CATEGORIES = [
+    {
+        name: "httpStatus",
+        pattern: /^[1-5]\d{2}$/,
+    },
+    {
+        name: "httpMethod",
+        values: ["CONNECT", "DELETE", "GET", "HEAD", "OPTIONS", "PATCH", "POST", "PUT", "TRACE"],
+    },
+    {
+        name: "role",
+        values: ["admin", "editor", "guest", "manager", "member", "moderator", "owner", "superadmin", "user", "viewer"],
+    },
+    {
+        name: "environment",
+        values: ["development", "local", "production", "qa", "staging", "test"],
+    },
+    {
+        name: "logLevel",
+        values: ["debug", "error", "fatal", "info", "trace", "verbose", "warn", "warning"],
+    },
+    {
+        name: "status",
+        values: ["active", "approved", "canceled", "cancelled", "completed", "failed", "inactive", "pending", "processing", "rejected", "success"],
+    },
+    {
+        name: "priority",
+        values: ["critical", "high", "low", "medium", "normal", "urgent"],
+    },
+];
+
+/**
+ * Resolve the categories of a rule configuration
+ * Custom categories come first, so a project vocabulary wins over a built-in one sharing a value.
+ * @param {Object} [options] - no-hardcoded-strings options
+ * @param {Array<{importSource?: string, name: string, values: string[]}>} [options.categories] - Custom categories
+ * @param {string[]} [options.disabledCategories] - Names of built-in categories to turn off
+ * @returns {{disabled: Object[], enabled: Object[]}} - Categories to match and categories turned off
+ */
+export const resolveStringCategories = ({ categories = [], disabledCategories = [] } = {}) => ({
+    disabled: BUILT_IN_STRING_CATEGORIES.filter(({ name }) => disabledCategories.includes(name)),
+    enabled: [
+        ...categories,
+        ...BUILT_IN_STRING_CATEGORIES.filter(({ name }) => !disabledCategories.includes(name)),
+    ],
+});
+
+/**
+ * Get the enum-like category of a string
+ * @param {string} str - Hardcoded string
+ * @param {Array<{importSource?: string, name: string, pattern?: RegExp, values?: string[]}>} [categories] - Categories to match
+ * @returns {Object|null} - First matching category, or null when the string belongs to none
+ */
+export const getStringCategory = (str, categories = BUILT_IN_STRING_CATEGORIES) => categories
+    .find(({ pattern, values }) => (pattern ? pattern.test(str) : values.includes(str))) || null;
@@ -0,0 +1,402 @@
+import fs from "fs";
+import { createRequire } from "module";
+import nodePath from "path";
+
+import { getSharedSettings } from "./settings.js";
+
+// Loaded themes keyed by absolute config path. Each entry keeps the mtime of every file
+// read to build the theme (imported stylesheets, local presets and plugins), so editing
+// any of them is picked up by long-lived processes. A null theme records a config that
+// could not be loaded.
+const themeCache = new Map();
+
+// Tailwind defaults (in px) that a config extends or replaces
+const DEFAULT_BREAKPOINTS = { "2xl": 1536, "lg": 1024, "md": 768, "sm": 640, "xl": 1280 };
+
+const DEFAULT_CONTAINERS = {
+    "2xl": 672, "2xs": 288, "3xl": 768, "3xs": 256, "4xl": 896, "5xl": 1024,
+    "6xl": 1152, "7xl": 1280, "lg": 512, "md": 448, "sm": 384, "xl": 576, "xs": 320,
+};
+
+const DEFAULT_FONT_FAMILIES = ["mono", "sans", "serif"];
+
+const DEFAULT_FONT_SIZES = ["2xl", "3xl", "4xl", "5xl", "6xl", "7xl", "8xl", "9xl", "base", "lg", "sm", "xl", "xs"];
+
+const DEFAULT_SHADOWS = ["2xl", "2xs", "inner", "lg", "md", "none", "sm", "xl", "xs"];
+
+// v4 `@theme` namespaces and the theme key each one fills
+const THEME_NAMESPACES = {
+    breakpoint: "breakpoints",
+    color: "colors",
+    container: "containers",
+    font: "fontFamilies",
+    shadow: "shadows",
+    spacing: "spacing",
+    text: "fontSizes",
+};
+
+// v3 `theme` keys and the theme key each one fills
+const CONFIG_THEME_KEYS = {
+    boxShadow: "shadows",
+    colors: "colors",
+    containers: "containers",
+    fontFamily: "fontFamilies",
+    fontSize: "fontSizes",
+    screens: "breakpoints",
+    spacing: "spacing",
+};
+
+/**
+ * Create a theme holding the Tailwind defaults
+ * Breakpoints and containers map names to sizes (in px) so they can be sorted;
+ * the other keys only record which names exist.
+ * @returns {Object} - Mutable theme
+ */
+const createDefaultTheme = () => ({
+    breakpoints: new Map(Object.entries(DEFAULT_BREAKPOINTS)),
+    colors: new Map(),
+    components: [],
+    containers: new Map(Object.entries(DEFAULT_CONTAINERS)),
+    fontFamilies: new Map(DEFAULT_FONT_FAMILIES.map((name) => [name, null])),
+    fontSizes: new Map(DEFAULT_FONT_SIZES.map((name) => [name, null])),
+    shadows: new Map(DEFAULT_SHADOWS.map((name) => [name, null])),
+    spacing: new Map(),
+    utilities: [],
+    variants: [],
+});
+
+/**
+ * Convert a CSS length to px for ordering breakpoints and containers
+ * @param {*} value - Theme value (e.g., "40rem", "640px", { min: "640px" })
+ * @returns {number} - Size in px (Infinity when it cannot be read)
+ */
+const toPixels = (value) => {
+    const raw = value && typeof value === "object" ? value.min || value["min-width"] || value.max : value;
+    const match = /^\s*(-?[\d.]+)(px|rem|em)?\s*$/.exec(String(raw));
+
+    if (!match) return Infinity;
+
+    return match[2] === "rem" || match[2] === "em" ? Number(match[1]) * 16 : Number(match[1]);
+};
+
+/**
+ * Flatten nested theme values into Tailwind names (`{ brand: { DEFAULT, 500 } }` → brand, brand-500)
+ * @param {Object} values - Theme section
+ * @param {string} [prefix] - Name of the parent key
+ * @returns {Array<[string, *]>} - Names with their values
+ */
+const flattenThemeValues = (values, prefix = "") => Object.entries(values).flatMap(([key, value]) => {
+    const name = key === "DEFAULT" ? prefix : (prefix ? `${prefix}-${key}` : key);
+
+    if (value && typeof value === "object" && !Array.isArray(value) && !("min" in value) && !("max" in value)) {
+        return flattenThemeValues(value, name);
+    }
+
+    return name ? [[name, value]] : [];
+});
+
+/**
+ * Get the class names defined by a plugin style object (`{ ".prose": {...} }` → prose)
+ * @param {Object|Object[]} styles - Styles passed to addUtilities/addComponents
+ * @returns {string[]} - Class names
+ */
+const getStyleClassNames = (styles) => [].concat(styles || []).flatMap((styleObject) => Object.keys(styleObject || {})
+    .map((selector) => /^\s*\.((?:\\.|[\w-])+)/.exec(selector))
+    .filter(Boolean)
+    .map((match) => match[1].replace(/\\/g, "")));
+
+/**
+ * Run a Tailwind plugin against a recording API to learn the classes and variants it adds
+ * Plugins are called with default theme values; one that throws keeps what it registered before failing.
+ * @param {Function|Object} plugin - Plugin function, `plugin()` result or `plugin.withOptions()` result
+ * @param {Object} theme - Theme to record into
+ * @returns {Object|null} - Plugin's own config (e.g., theme extensions) or null
+ */
+const runPlugin = (plugin, theme) => {
+    const resolved = typeof plugin === "function" && plugin.__isOptionsFunction ? plugin() : plugin;
+    const handler = typeof resolved === "function" ? resolved : resolved && resolved.handler;
+
+    if (typeof handler !== "function") return null;
+
+    const api = {
+        addBase: () => {},
+        addComponents: (styles) => theme.components.push(...getStyleClassNames(styles)),
+        addDefaults: () => {},
+        addUtilities: (styles) => theme.utilities.push(...getStyleClassNames(styles)),
+        addVariant: (name) => theme.variants.push(name),
+        config: (path, defaultValue) => defaultValue,
+        corePlugins: () => true,
+        e: (className) => className,
+        matchComponents: (components) => theme.components.push(...Object.keys(components).map((name) => `${name}-`)),
+        matchUtilities: (utilities) => theme.utilities.push(...Object.keys(utilities).map((name) => `${name}-`)),
+        matchVariant: (name) => theme.variants.push(`${name}-`),
+        prefix: (selector) => selector,
+        theme: (path, defaultValue) => defaultValue ?? {},
+    };
+
+    try {
+        handler(api);
+    } catch {
+        // Keep whatever the plugin registered before it failed
+    }
+
+    return resolved && typeof resolved === "object" && resolved.config ? resolved.config : null;
+};
+
+/**
+ * Merge a v3 `theme` object into the theme (`theme.x` replaces defaults, `theme.extend.x` adds to them)
+ * Values given as functions are skipped.
+ * @param {Object} configTheme - The config's `theme` key
+ * @param {Object} theme - Theme to merge into
+ */
+const mergeConfigTheme = (configTheme, theme) => {
+    if (!configTheme || typeof configTheme !== "object") return;
+
+    const extend = configTheme.extend || {};
+
+    Object.entries(CONFIG_THEME_KEYS).forEach(([configKey, themeKey]) => {
+        if (configTheme[configKey] && typeof configTheme[configKey] === "object") {
+            theme[themeKey] = new Map(flattenThemeValues(configTheme[configKey]));
+        }
+
+        if (extend[configKey] && typeof extend[configKey] === "object") {
+            flattenThemeValues(extend[configKey]).forEach(([name, value]) => theme[themeKey].set(name, value));
+        }
+    });
+};
+
+/**
+ * Merge a v3 JavaScript config (presets first, then plugins' own config, then the config itself)
+ * @param {Object} config - Loaded config
+ * @param {Object} theme - Theme to merge into
+ */
+const mergeConfig = (config, theme) => {
+    if (!config || typeof config !== "object") return;
+
+    (config.presets || []).forEach((preset) => mergeConfig(preset, theme));
+
+    (config.plugins || []).forEach((plugin) => {
+        const pluginConfig = runPlugin(plugin, theme);
+
+        if (pluginConfig) mergeConfigTheme(pluginConfig.theme, theme);
+    });
+
+    mergeConfigTheme(config.theme, theme);
+};
+
+/**
+ * Check if a file belongs to an installed package: it changes with an install, not while editing
+ * @param {string} filePath - Absolute file path
+ * @returns {boolean} - True for files under node_modules
+ */
+const isInstalledFile = (filePath) => filePath.split(nodePath.sep).includes("node_modules");
+
+/**
+ * Collect the local modules a loaded module required, recursively (presets, plugins, shared values)
+ * @param {Object} [loadedModule] - Entry of `require.cache`
+ * @param {Set<string>} files - Set receiving the file paths
+ */
+const collectRequiredFiles = (loadedModule, files) => {
+    if (!loadedModule) return;
+
+    loadedModule.children.forEach((child) => {
+        if (files.has(child.filename) || isInstalledFile(child.filename)) return;
+
+        files.add(child.filename);
+        collectRequiredFiles(child, files);
+    });
+};
+
+/**
+ * Load a module with `require` relative to a file (CommonJS, or ESM on Node versions that support it)
+ * The module and the local modules it required last time are loaded again, so edits are picked up.
+ * @param {string} request - Module path or package name
+ * @param {string} fromPath - File the request is relative to
+ * @param {Set<string>} files - Set receiving every local file the module loads
+ * @returns {*} - Module export (`default` export when present)
+ */
+const requireFrom = (request, fromPath, files) => {
+    const requireModule = createRequire(fromPath);
+    const resolvedPath = requireModule.resolve(request);
+    const previousFiles = new Set([resolvedPath]);
+
+    collectRequiredFiles(requireModule.cache[resolvedPath], previousFiles);
+    previousFiles.forEach((filePath) => {
+        delete requireModule.cache[filePath];
+    });
+
+    // Recorded before loading, so a module that fails to load is retried once it changes
+    if (!isInstalledFile(resolvedPath)) files.add(resolvedPath);
+
+    const loaded = requireModule(resolvedPath);
+
+    collectRequiredFiles(requireModule.cache[resolvedPath], files);
+
+    return loaded && loaded.default !== undefined ? loaded.default : loaded;
+};
+
+/**
+ * Get the body of a CSS block (brace-matched, so nested `@keyframes` stay inside)
+ * @param {string} css - Stylesheet text
+ * @param {number} openIndex - Index of the opening brace
+ * @returns {string} - Text between the braces
+ */
+const getBlockBody = (css, openIndex) => {
+    let depth = 0;
+
+    for (let i = openIndex; i < css.length; i += 1) {
+        if (css[i] === "{") depth += 1;
+
+        if (css[i] === "}") {
+            depth -= 1;
+
+            if (depth === 0) return css.slice(openIndex + 1, i);
+        }
+    }
+
+    return css.slice(openIndex + 1);
+};
+
+/**
+ * Merge the `--namespace-name: value` declarations of a v4 `@theme` block
+ * `--namespace-*: initial` clears the defaults of that namespace.
+ * @param {string} body - `@theme` block body
+ * @param {Object} theme - Theme to merge into
+ */
+const mergeThemeBlock = (body, theme) => {
+    const declarationPattern = /(?:^|[\s;{])--([a-z]+)-(\*|[\w.-]+)\s*:\s*([^;]+);/g;
+    let match;
+
+    while ((match = declarationPattern.exec(body)) !== null) {
+        const [, namespace, name, value] = match;
+        const themeKey = THEME_NAMESPACES[namespace];
+
+        // Skip other namespaces (--font-weight-*, --text-shadow-*) and sub-properties (--text-lg--line-height)
+        if (!themeKey || name.includes("--") || /^(weight|shadow)-/.test(name)) continue;
+
+        if (name === "*") {
+            if (value.trim() === "initial") theme[themeKey].clear();
+        } else {
+            theme[themeKey].set(name, value.trim());
+        }
+    }
+};
+
+/**
+ * Read a v4 stylesheet: `@theme` blocks, `@utility`, `@custom-variant`, `@plugin`,
+ * `@config` and relative `@import` files
+ * @param {string} cssPath - Absolute stylesheet path
+ * @param {Object} theme - Theme to merge into
+ * @param {Set<string>} files - Files read so far (guards against import cycles)
+ */
+const mergeStylesheet = (cssPath, theme, files) => {
+    if (files.has(cssPath)) return;
+
+    files.add(cssPath);
+
+    const css = fs.readFileSync(cssPath, "utf8").replace(/\/\*[\s\S]*?\*\//g, "");
+    const atRulePattern = /@(import|config|plugin|theme|utility|custom-variant)\b\s*([^;{]*)([;{])/g;
+    let match;
+
+    while ((match = atRulePattern.exec(css)) !== null) {
+        const [, atRule, prelude, terminator] = match;
+        const quoted = /["']([^"']+)["']/.exec(prelude);
+
+        if (atRule === "import" && quoted && quoted[1].startsWith(".")) {
+            mergeStylesheet(nodePath.resolve(nodePath.dirname(cssPath), quoted[1]), theme, files);
+        } else if (atRule === "config" && quoted) {
+            mergeConfig(requireFrom(nodePath.resolve(nodePath.dirname(cssPath), quoted[1]), cssPath, files), theme);
+        } else if (atRule === "plugin" && quoted) {
+            try {
+                runPlugin(requireFrom(quoted[1], cssPath, files), theme);
+            } catch {
+                // Plugins that cannot be loaded are skipped
+            }
+        } else if (atRule === "theme" && terminator === "{") {
+            mergeThemeBlock(getBlockBody(css, match.index + match[0].length - 1), theme);
+        } else if (atRule === "utility") {
+            // Functional utilities (`@utility tab-*`) are recorded as prefixes
+            theme.utilities.push(prelude.trim().replace(/\*$/, ""));
+        } else if (atRule === "custom-variant") {
+            theme.variants.push(prelude.trim().split(/\s+/)[0]);
+        }
+    }
+};
+
+/**
+ * Load the theme of a Tailwind v3 JavaScript config or v4 CSS entry file
+ * @param {string} configPath - Absolute config path
+ * @param {Set<string>} files - Set receiving every file read, including ones that failed to load
+ * @returns {Object|null} - Theme or null when the config cannot be loaded
+ */
+const loadTheme = (configPath, files) => {
+    const theme = createDefaultTheme();
+
+    try {
+        if (configPath.endsWith(".css")) {
+            mergeStylesheet(configPath, theme, files);
+        } else {
+            mergeConfig(requireFrom(configPath, configPath, files), theme);
+        }
+    } catch {
+        return null;
+    }
+
+    const sortBySize = (sizes) => [...sizes.entries()]
+        .sort(([, a], [, b]) => toPixels(a) - toPixels(b))
+        .map(([name]) => name);
+
+    return {
+        breakpoints: sortBySize(theme.breakpoints),
+        colors: new Set(theme.colors.keys()),
+        components: theme.components,
+        containers: sortBySize(theme.containers),
+        fontFamilies: new Set(theme.fontFamilies.keys()),
+        fontSizes: new Set(theme.fontSizes.keys()),
+        shadows: new Set(theme.shadows.keys()),
+        spacing: new Set(theme.spacing.keys()),
+        utilities: theme.utilities,
+        variants: theme.variants,
+    };
+};
+
+/**
+ * Get the mtime of a file
+ * @param {string} filePath - File path
+ * @returns {number|null} - mtime in ms, or null when the file does not exist
+ */
+const getModifiedTime = (filePath) => {
+    try {
+        return fs.statSync(filePath).mtimeMs;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Get the Tailwind theme configured in `settings["code-style"].tailwindConfig`
+ * A `.css` path is read as a v4 entry stylesheet, anything else is loaded as a v3 config.
+ * Relative paths are resolved from the ESLint working directory.
+ * @param {Object} context - ESLint rule context
+ * @returns {Object|null} - Theme, or null when no config is set or it cannot be loaded
+ */
+export const getTailwindTheme = (context) => {
+    const { tailwindConfig } = getSharedSettings(context);
+
+    if (!tailwindConfig) return null;
+
+    const configPath = nodePath.resolve(context.cwd || process.cwd(), tailwindConfig);
+    const cached = themeCache.get(configPath);
+
+    if (cached && cached.files.every((filePath, i) => getModifiedTime(filePath) === cached.mtimes[i])) return cached.theme;
+
+    if (getModifiedTime(configPath) === null) return null;
+
+    const files = new Set();
+    const theme = loadTheme(configPath, files);
+    const filePaths = [...files];
+
+    themeCache.set(configPath, { files: filePaths, mtimes: filePaths.map(getModifiedTime), theme });
+
+    return theme;
+};
@@ -2,18 +2,22 @@
 // Based on Tailwind's recommended class order
 const TAILWIND_ORDER = {
     // Layout
-    "absolute": 10, "block": 10, "contents": 10, "fixed": 10, "flex": 10,
-    "grid": 10, "hidden": 10, "inline": 10, "inline-block": 10, "inline-flex": 10,
-    "inline-grid": 10, "relative": 10, "static": 10, "sticky": 10,
+    "@container": 10, "absolute": 10, "aspect-": 10, "block": 10, "box-border": 10, "box-content": 10,
+    "clear-": 10, "columns-": 10, "container": 10, "contents": 10, "fixed": 10, "flex": 10, "float-": 10,
+    "flow-root": 10, "grid": 10, "hidden": 10, "inline": 10, "inline-block": 10, "inline-flex": 10,
+    "inline-grid": 10, "inline-table": 10, "invisible": 10, "isolate": 10, "list-item": 10, "object-": 10,
+    "overflow-": 10, "overscroll-": 10, "relative": 10, "static": 10, "sticky": 10, "table": 10, "visible": 10,
 
     // Positioning
-    "bottom-": 20, "inset-": 20, "left-": 20, "right-": 20, "top-": 20,
+    "bottom-": 20, "end-": 20, "inset-": 20, "inset-x-": 20, "inset-y-": 20, "left-": 20, "right-": 20,
+    "start-": 20, "top-": 20,
 
     // Z-index
     "z-": 25,
 
     // Flexbox/Grid container
-    "basis-": 30, "flex-": 30, "grid-cols-": 30, "grid-rows-": 30,
+    "auto-cols-": 30, "auto-rows-": 30, "basis-": 30, "flex-": 30, "grid-cols-": 30, "grid-flow-": 30,
+    "grid-rows-": 30,
 
     // Flexbox/Grid alignment
     "content-": 40, "items-": 40, "justify-": 40, "place-": 40, "self-": 40,
@@ -22,14 +26,14 @@ const TAILWIND_ORDER = {
     "col-": 45, "grow": 45, "order-": 45, "row-": 45, "shrink": 45,
 
     // Gap
-    "gap-": 50,
+    "-space-x-": 50, "-space-y-": 50, "gap-": 50, "space-x-": 50, "space-y-": 50,
 
     // Spacing - margin
-    "-m-": 60, "-mx-": 60, "-my-": 60, "m-": 60, "mb-": 60, "ml-": 60,
-    "mr-": 60, "mt-": 60, "mx-": 60, "my-": 60,
+    "-m-": 60, "-mb-": 60, "-me-": 60, "-ml-": 60, "-mr-": 60, "-ms-": 60, "-mt-": 60, "-mx-": 60, "-my-": 60,
+    "m-": 60, "mb-": 60, "me-": 60, "ml-": 60, "mr-": 60, "ms-": 60, "mt-": 60, "mx-": 60, "my-": 60,
 
     // Spacing - padding
-    "p-": 70, "pb-": 70, "pl-": 70, "pr-": 70, "pt-": 70, "px-": 70, "py-": 70,
+    "p-": 70, "pb-": 70, "pe-": 70, "pl-": 70, "pr-": 70, "ps-": 70, "pt-": 70, "px-": 70, "py-": 70,
 
     // Sizing
     "h-": 80, "max-h-": 80, "max-w-": 80, "min-h-": 80, "min-w-": 80,
@@ -37,54 +41,62 @@ const TAILWIND_ORDER = {
 
     // Typography
     "align-": 90, "antialiased": 90, "break-": 90, "capitalize": 90, "decoration-": 90,
-    "font-": 90, "hyphens-": 90, "italic": 90, "leading-": 90, "line-clamp-": 90,
-    "list-": 90, "lowercase": 90, "normal-case": 90, "not-italic": 90,
-    "ordinal": 90, "text-": 90, "tracking-": 90, "truncate": 90,
-    "underline": 90, "uppercase": 90, "whitespace-": 90,
+    "diagonal-fractions": 90, "font-": 90, "hyphens-": 90, "indent-": 90, "italic": 90, "leading-": 90,
+    "line-clamp-": 90, "line-through": 90, "lining-nums": 90, "list-": 90, "lowercase": 90, "no-underline": 90,
+    "normal-case": 90, "normal-nums": 90, "not-italic": 90, "oldstyle-nums": 90, "ordinal": 90, "overline": 90,
+    "placeholder-": 90, "proportional-nums": 90, "slashed-zero": 90, "stacked-fractions": 90,
+    "subpixel-antialiased": 90, "tabular-nums": 90, "text-": 90, "tracking-": 90, "truncate": 90,
+    "underline": 90, "underline-offset-": 90, "uppercase": 90, "whitespace-": 90, "wrap-": 90,
 
     // Backgrounds
-    "bg-": 100,
+    "bg-": 100, "from-": 100, "to-": 100, "via-": 100,
 
     // Borders
-    "border": 110, "border-": 110, "divide-": 110, "outline-": 110,
-    "ring-": 110, "rounded": 110, "rounded-": 110,
+    "border": 110, "border-": 110, "divide-": 110, "inset-ring": 110, "inset-ring-": 110, "outline": 110,
+    "outline-": 110, "ring": 110, "ring-": 110, "rounded": 110, "rounded-": 110,
 
     // Effects
-    "blur": 120, "blur-": 120, "brightness-": 120, "contrast-": 120, "drop-shadow": 120,
-    "grayscale": 120, "hue-rotate-": 120, "invert": 120, "opacity-": 120,
-    "saturate-": 120, "sepia": 120, "shadow": 120, "shadow-": 120,
+    "backdrop-": 120, "bg-blend-": 120, "blur": 120, "blur-": 120, "brightness-": 120, "contrast-": 120,
+    "drop-shadow": 120, "drop-shadow-": 120, "filter": 120, "grayscale": 120, "hue-rotate-": 120,
+    "inset-shadow": 120, "inset-shadow-": 120, "invert": 120, "mask-": 120, "mix-blend-": 120,
+    "opacity-": 120, "saturate-": 120, "sepia": 120, "shadow": 120, "shadow-": 120, "text-shadow-": 120,
 
     // Transitions
     "animate-": 130, "delay-": 130, "duration-": 130, "ease-": 130,
     "transition": 130, "transition-": 130,
 
     // Transforms
-    "-rotate-": 140, "-scale-": 140, "-skew-": 140, "-translate-": 140,
-    "origin-": 140, "rotate-": 140, "scale-": 140, "skew-": 140,
-    "transform": 140, "translate-": 140,
+    "-rotate-": 140, "-scale-": 140, "-skew-": 140, "-translate-": 140, "backface-": 140,
+    "origin-": 140, "perspective-": 140, "rotate-": 140, "scale-": 140, "skew-": 140,
+    "transform": 140, "transform-": 140, "translate-": 140,
 
     // Interactivity
-    "accent-": 150, "appearance-": 150, "caret-": 150, "cursor-": 150,
-    "pointer-events-": 150, "resize": 150, "scroll-": 150, "select-": 150,
+    "accent-": 150, "appearance-": 150, "caret-": 150, "cursor-": 150, "field-sizing-": 150,
+    "pointer-events-": 150, "resize": 150, "scheme-": 150, "scroll-": 150, "select-": 150,
     "snap-": 150, "touch-": 150, "will-change-": 150,
 
     // SVG
     "fill-": 160, "stroke-": 160,
 
     // Accessibility
-    "sr-only": 170,
+    "forced-color-adjust-": 170, "not-sr-only": 170, "sr-only": 170,
 };
 
+// Prefix keys of TAILWIND_ORDER, longest first so `inset-ring-` wins over `inset-`
+const TAILWIND_ORDER_PREFIXES = Object.keys(TAILWIND_ORDER)
+    .filter((key) => key.endsWith("-"))
+    .sort((a, b) => b.length - a.length);
+
 // Common Tailwind class patterns for detection
 const TAILWIND_PATTERNS = [
     // Layout
-    /^(flex|grid|block|inline|hidden|absolute|relative|fixed|sticky)$/,
+    /^(flex|grid|block|inline|hidden|absolute|relative|fixed|sticky)$/, /^@container(\/|$)/,
     // Flexbox/Grid
     /^(items|justify|content|self|place)-(start|end|center|between|around|evenly|stretch|baseline)$/,
     /^(flex|grid)-(row|col|wrap|nowrap|grow|shrink)/, /^(col|row)-span-/,
     /^gap-/, /^order-/,
     // Spacing
-    /^-?[mp][xytblr]?-\d/, /^-?[mp][xytblr]?-\[/,
+    /^-?[mp][xytblrse]?-\d/, /^-?[mp][xytblrse]?-\[/,
     // Sizing
     /^[wh]-/, /^(min|max)-[wh]-/, /^size-/,
     // Typography
@@ -110,11 +122,185 @@ const TAILWIND_PATTERNS = [
     /^(grayscale|sepia|invert|brightness|contrast|saturate|hue-rotate)(-|$)/,
     // Interactivity
     /^cursor-/, /^select-/, /^pointer-events-/,
+    // Arbitrary properties ([mask-type:luminance])
+    /^\[[a-z-]+:[^\]]+\]$/,
     // Responsive/State prefixes (these come at the end)
     /^(sm|md|lg|xl|2xl):/, /^(hover|focus|active|disabled|group-hover):/,
     /^(dark|light):/,
+    // Container queries (@md:, @min-[20rem]:), min-/max- breakpoints, child selectors (*:, **:) and arbitrary variants
+    /^@[^:\s]+:/, /^(min|max)-[^:\s]+:/, /^\*{1,2}:/, /^\[[^\]\s]+\]:/,
+    // Attribute, relational and media variants
+    /^(data|aria|has|not|in|group|peer|supports|nth)-[^:\s]*:/,
+    /^(focus-visible|focus-within|first|last|odd|even|visited|checked|open|before|after|placeholder|print|motion-safe|motion-reduce|ltr|rtl|starting):/,
+];
+
+// Variants that place a class in the responsive group (breakpoints and container queries)
+const RESPONSIVE_VARIANT_PATTERN = /^(sm|md|lg|xl|\dxl|(min|max)-.+|@.+)$/;
+
+// Recommended order ─ breakpoints and container sizes from smallest to largest
+const BREAKPOINT_ORDER = ["sm", "md", "lg", "xl", "2xl"];
+const CONTAINER_ORDER = ["3xs", "2xs", "xs", "sm", "md", "lg", "xl", "2xl", "3xl", "4xl", "5xl", "6xl", "7xl"];
+
+// Recommended order ─ state variants (entries ending with "-" or "[" match by prefix)
+const STATE_VARIANT_ORDER = [
+    "first", "last", "only", "odd", "even", "first-of-type", "last-of-type", "only-of-type", "visited", "target",
+    "open", "checked", "indeterminate", "placeholder-shown", "autofill", "optional", "required", "valid",
+    "invalid", "in-range", "out-of-range", "read-only", "empty", "focus-within", "hover", "focus",
+    "focus-visible", "active", "enabled", "disabled", "group-", "peer-", "has-", "aria-", "data-", "not-", "in-",
+    "supports-", "motion-safe", "motion-reduce", "print", "portrait", "landscape", "ltr", "rtl", "starting",
+    "*", "**", "placeholder", "file", "marker", "selection", "first-letter", "first-line", "backdrop",
+    "before", "after", "[",
+];
+
+// Variants whose position in a stack changes the generated selector (child, pseudo-element and arbitrary variants)
+const STRUCTURAL_VARIANT_PATTERN = /^(\*|\*\*|\[.*|placeholder|file|marker|selection|first-letter|first-line|backdrop|before|after|details-content)$/;
+
+// Variant groups of the recommended order
+export const VARIANT_GROUPS = ["responsive", "state", "dark"];
+
+// Official order ─ utilities in the order of Tailwind's core plugins.
+// Entries ending with "-" match by prefix, the others exactly. Entries in angle brackets
+// are utilities whose plugin depends on the value (`text-lg` vs `text-red-500`), see getValueUtility.
+const TAILWIND_CORE_ORDER = [
+    "sr-only", "not-sr-only", "pointer-events-", "visible", "invisible", "collapse",
+    "static", "fixed", "absolute", "relative", "sticky",
+    "inset-", "inset-x-", "inset-y-", "start-", "end-", "top-", "right-", "bottom-", "left-",
+    "isolate", "isolation-auto", "@container", "z-", "order-", "col-", "row-", "float-", "clear-",
+    "m-", "mx-", "my-", "ms-", "me-", "mt-", "mr-", "mb-", "ml-",
+    "box-border", "box-content", "line-clamp-",
+    "block", "inline-block", "inline", "flex", "inline-flex", "table", "inline-table", "table-caption",
+    "table-cell", "table-column", "table-column-group", "table-footer-group", "table-header-group",
+    "table-row-group", "table-row", "flow-root", "grid", "inline-grid", "contents", "list-item", "hidden",
+    "aspect-", "size-", "h-", "max-h-", "min-h-", "w-", "min-w-", "max-w-",
+    "<flex>", "shrink", "shrink-", "grow", "grow-", "basis-", "table-auto", "table-fixed", "caption-",
+    "border-collapse", "border-separate", "border-spacing-",
+    "origin-", "translate-", "rotate-", "skew-", "scale-", "transform", "transform-",
+    "animate-", "cursor-", "touch-", "select-", "resize", "resize-", "snap-", "scroll-m-",
+    "scroll-mx-", "scroll-my-", "scroll-ms-", "scroll-me-", "scroll-mt-", "scroll-mr-", "scroll-mb-",
+    "scroll-ml-", "scroll-p-", "scroll-px-", "scroll-py-", "scroll-ps-", "scroll-pe-", "scroll-pt-",
+    "scroll-pr-", "scroll-pb-", "scroll-pl-", "list-", "appearance-", "columns-", "break-before-",
+    "break-inside-", "break-after-", "auto-cols-", "grid-flow-", "auto-rows-", "grid-cols-", "grid-rows-",
+    "<flex-direction>", "<flex-wrap>", "place-content-", "place-items-", "<align-content>", "items-", "justify-",
+    "justify-items-", "gap-", "gap-x-", "gap-y-", "space-x-", "space-y-",
+    "<divide-width>", "<divide-style>", "<divide-color>", "place-self-", "self-", "justify-self-",
+    "overflow-", "overscroll-", "scroll-auto", "scroll-smooth", "truncate", "<text-overflow>", "hyphens-",
+    "whitespace-", "<text-wrap>", "break-normal", "break-words", "break-all", "break-keep", "wrap-",
+    "rounded", "rounded-", "<border-width>", "<border-style>", "<border-color>",
+    "<bg-color>", "<bg-image>", "from-", "via-", "to-", "box-decoration-", "<bg-size>", "<bg-attachment>",
+    "bg-clip-", "<bg-position>", "<bg-repeat>", "bg-origin-", "fill-", "<stroke-color>", "<stroke-width>",
+    "object-", "p-", "px-", "py-", "ps-", "pe-", "pt-", "pr-", "pb-", "pl-",
+    "<text-align>", "indent-", "align-", "<font-family>", "<text-size>", "<font-weight>", "font-stretch-",
+    "uppercase", "lowercase", "capitalize", "normal-case", "italic", "not-italic",
+    "normal-nums", "ordinal", "slashed-zero", "lining-nums", "oldstyle-nums", "proportional-nums",
+    "tabular-nums", "diagonal-fractions", "stacked-fractions", "leading-", "tracking-", "<text-color>",
+    "underline", "overline", "line-through", "no-underline", "<decoration-color>", "<decoration-style>",
+    "<decoration-thickness>", "underline-offset-", "antialiased", "subpixel-antialiased", "placeholder-",
+    "caret-", "accent-", "scheme-", "opacity-", "bg-blend-", "mix-blend-",
+    "<shadow-size>", "<shadow-color>", "inset-shadow", "inset-shadow-", "<ring-width>", "<ring-color>",
+    "inset-ring", "inset-ring-", "<ring-offset-width>", "<ring-offset-color>", "text-shadow-",
+    "<outline-style>", "<outline-width>", "<outline-offset>", "<outline-color>",
+    "blur", "blur-", "brightness-", "contrast-", "drop-shadow", "drop-shadow-", "grayscale", "grayscale-",
+    "hue-rotate-", "invert", "invert-", "saturate-", "sepia", "sepia-", "filter", "filter-", "backdrop-",
+    "mask-", "transition", "transition-", "delay-", "duration-", "ease-", "will-change-", "<content>",
+    "forced-color-adjust-", "field-sizing-", "perspective-", "backface-",
+];
+
+// Official order ─ variants in the order Tailwind registers them. Breakpoints and container
+// sizes come from the theme and are inserted at the "<breakpoints>" and "<containers>" markers.
+const TAILWIND_VARIANT_ORDER = [
+    "*", "**", "not-", "group-", "peer-", "first-letter", "first-line", "marker", "selection", "file",
+    "placeholder", "backdrop", "details-content", "before", "after", "first", "last", "only", "odd", "even",
+    "first-of-type", "last-of-type", "only-of-type", "visited", "target", "open", "default", "checked",
+    "indeterminate", "placeholder-shown", "autofill", "optional", "required", "valid", "invalid",
+    "user-valid", "user-invalid", "in-range", "out-of-range", "read-only", "empty", "focus-within",
+    "hover", "focus", "focus-visible", "active", "enabled", "disabled", "inert", "in-", "has-", "aria-",
+    "data-", "nth-", "nth-last-", "nth-of-type-", "nth-last-of-type-", "supports-", "motion-safe",
+    "motion-reduce", "contrast-more", "contrast-less", "<breakpoints>", "<containers>",
+    "portrait", "landscape", "ltr", "rtl", "dark", "starting", "print", "forced-colors", "inverted-colors",
+    "pointer-", "any-pointer-", "noscript",
+];
+
+// Value keywords that decide the plugin of an ambiguous utility
+const FONT_WEIGHTS = ["black", "bold", "extrabold", "extralight", "light", "medium", "normal", "semibold", "thin"];
+const LINE_STYLES = ["dashed", "dotted", "double", "hidden", "none", "solid", "wavy"];
+const BG_POSITIONS = [
+    "bottom", "bottom-left", "bottom-right", "center", "left", "left-bottom", "left-top",
+    "right", "right-bottom", "right-top", "top", "top-left", "top-right",
+];
+
+// Value keywords of the default theme, used to resolve ambiguous utilities when no config is set
+const DEFAULT_VALUE_THEME = {
+    fontSizes: new Set(["2xl", "3xl", "4xl", "5xl", "6xl", "7xl", "8xl", "9xl", "base", "lg", "sm", "xl", "xs"]),
+    shadows: new Set(["2xl", "2xs", "inner", "lg", "md", "none", "sm", "xl", "xs"]),
+};
+
+// Conflicts ─ utilities without a shared prefix that set the same CSS property (`flex` and `hidden`)
+const PROPERTY_GROUPS = {
+    "border-collapse": ["border-collapse", "border-separate"],
+    "box-sizing": ["box-border", "box-content"],
+    "display": [
+        "block", "inline-block", "inline", "flex", "inline-flex", "table", "inline-table", "table-caption",
+        "table-cell", "table-column", "table-column-group", "table-footer-group", "table-header-group",
+        "table-row-group", "table-row", "flow-root", "grid", "inline-grid", "contents", "list-item", "hidden",
+    ],
+    "font-smoothing": ["antialiased", "subpixel-antialiased"],
+    "font-style": ["italic", "not-italic"],
+    "isolation": ["isolate", "isolation-auto"],
+    "position": ["static", "fixed", "absolute", "relative", "sticky"],
+    "scroll-behavior": ["scroll-auto", "scroll-smooth"],
+    "screen-reader": ["sr-only", "not-sr-only"],
+    "table-layout": ["table-auto", "table-fixed"],
+    "text-decoration-line": ["underline", "overline", "line-through", "no-underline"],
+    "text-transform": ["uppercase", "lowercase", "capitalize", "normal-case"],
+    "visibility": ["visible", "invisible", "collapse"],
+    "word-break": ["break-normal", "break-all", "break-keep"],
+};
+
+const PROPERTY_GROUP_BY_UTILITY = new Map(Object.entries(PROPERTY_GROUPS)
+    .flatMap(([group, utilities]) => utilities.map((utility) => [utility, group])));
+
+// Conflicts ─ prefixes whose values set unrelated properties (`snap-x` / `snap-start`), never reported
+const MIXED_UTILITIES = [
+    "backdrop-", "drop-shadow-", "from-", "inset-ring-", "inset-shadow-", "list-", "mask-", "object-",
+    "perspective-", "snap-", "text-shadow-", "to-", "touch-", "via-",
 ];
 
+// Conflicts ─ prefixes that set one property per axis (`overflow-x-auto` and `overflow-auto` do not conflict)
+const AXIS_UTILITIES = ["border-spacing-", "overflow-", "overscroll-", "rotate-", "scale-", "skew-", "translate-"];
+
+// Conflicts ─ prefixes that set one property per kind of value (`col-span-2` / `col-start-1`)
+const SEGMENT_UTILITIES = ["col-", "row-"];
+
+// Shorthands ─ utilities that collapse into one when they share a value (`px-4 py-4` → `p-4`),
+// as [first, second, shorthand]. Results collapse again (`mt-2 mb-2 mx-2` → `my-2 mx-2` → `m-2`).
+const SHORTHAND_PAIRS = [
+    ["mt-", "mb-", "my-"], ["ml-", "mr-", "mx-"], ["mx-", "my-", "m-"],
+    ["pt-", "pb-", "py-"], ["pl-", "pr-", "px-"], ["px-", "py-", "p-"],
+    ["scroll-mt-", "scroll-mb-", "scroll-my-"], ["scroll-ml-", "scroll-mr-", "scroll-mx-"], ["scroll-mx-", "scroll-my-", "scroll-m-"],
+    ["scroll-pt-", "scroll-pb-", "scroll-py-"], ["scroll-pl-", "scroll-pr-", "scroll-px-"], ["scroll-px-", "scroll-py-", "scroll-p-"],
+    ["top-", "bottom-", "inset-y-"], ["left-", "right-", "inset-x-"], ["inset-x-", "inset-y-", "inset-"],
+    ["w-", "h-", "size-"], ["gap-x-", "gap-y-", "gap-"],
+    ["overflow-x-", "overflow-y-", "overflow-"], ["overscroll-x-", "overscroll-y-", "overscroll-"],
+    ["border-t-", "border-b-", "border-y-"], ["border-l-", "border-r-", "border-x-"], ["border-x-", "border-y-", "border-"],
+    ["rounded-tl-", "rounded-tr-", "rounded-t-"], ["rounded-bl-", "rounded-br-", "rounded-b-"],
+    ["rounded-tl-", "rounded-bl-", "rounded-l-"], ["rounded-tr-", "rounded-br-", "rounded-r-"],
+    ["rounded-t-", "rounded-b-", "rounded-"], ["rounded-l-", "rounded-r-", "rounded-"],
+];
+
+// Width/height values that differ between the two axes (`w-screen` is 100vw, `h-screen` 100vh)
+const AXIS_SPECIFIC_SIZE_PATTERN = /screen|[sdl]?v[hw]\]?$/;
+
+// Core order prefixes, longest first so `inset-x-` wins over `inset-`
+const TAILWIND_CORE_PREFIXES = TAILWIND_CORE_ORDER
+    .filter((entry) => entry.endsWith("-"))
+    .sort((a, b) => b.length - a.length);
+
+// Sort rank of classes that are not Tailwind utilities (they go first, like Tailwind's own sorter)
+const UNKNOWN_RANK = -1;
+
+// Per-theme lookup tables built on first use
+const officialOrderCache = new WeakMap();
+
 // Minimum number of Tailwind-like classes to consider a string as class-related
 const MIN_TAILWIND_MATCHES = 2;
 
@@ -122,12 +308,306 @@ const MIN_TAILWIND_MATCHES = 2;
 export const DEFAULT_MAX_CLASS_COUNT = 3;
 export const DEFAULT_MAX_CLASS_LENGTH = 80;
 
+/**
+ * Split a class into its variants and utility (`md:hover:!bg-red-500` → md, hover / bg-red-500)
+ * Colons inside brackets or parentheses (`[&:hover]:`, `[mask-type:alpha]`) do not split.
+ * @param {string} cls - The class name
+ * @returns {{important: boolean, utility: string, variants: string[]}} - Parsed class
+ */
+export const parseTailwindClass = (cls) => {
+    const variants = [];
+    let depth = 0;
+    let start = 0;
+
+    for (let i = 0; i < cls.length; i += 1) {
+        const char = cls[i];
+
+        if (char === "[" || char === "(") depth += 1;
+        else if (char === "]" || char === ")") depth -= 1;
+        else if (char === ":" && depth === 0) {
+            variants.push(cls.slice(start, i));
+            start = i + 1;
+        }
+    }
+
+    const utility = cls.slice(start);
+    const important = utility.startsWith("!") || utility.endsWith("!");
+
+    return { important, utility: important ? utility.replace(/^!|!$/g, "") : utility, variants };
+};
+
+/**
+ * Check if a value is a bare or bracketed length (`2`, `0.5`, `px`, `[3px]`, `[length:var(--w)]`)
+ * @param {string} value - Utility value
+ * @returns {boolean} - True for lengths
+ */
+const isLengthValue = (value) => /^(\d+(\.\d+)?|px|\[(length:)?[\d.]+[a-z%]*\]|\[length:.+\]|\(length:.+\))$/.test(value);
+
+/**
+ * Resolve the plugin of a utility whose meaning depends on its value
+ * (`text-lg` font size, `text-center` alignment, `text-brand` color...).
+ * Unlisted values of color utilities are treated as colors, so custom colors need no configuration.
+ * @param {string} utility - Utility without variants, `!` or leading `-`
+ * @param {Object} theme - Theme from getTailwindTheme
+ * @returns {string|null} - Entry of TAILWIND_CORE_ORDER, or null when the utility is not ambiguous
+ */
+const getValueUtility = (utility, theme) => {
+    const match = /^(text|font|border|bg|ring|outline|shadow|decoration|divide|stroke|flex|content)(?:-(.+))?$/.exec(utility);
+
+    if (!match) return null;
+
+    const [, root, rawValue = ""] = match;
+    const value = rawValue.replace(/\/[\w.[\]]+$/, "");
+
+    if (root === "text") {
+        if (theme.fontSizes.has(value) || /^[[(]length:/.test(value) || /^\[[\d.]+[a-z%]*\]$/.test(value)) return "<text-size>";
+
+        if (["center", "end", "justify", "left", "right", "start"].includes(value)) return "<text-align>";
+
+        if (["clip", "ellipsis"].includes(value)) return "<text-overflow>";
+
+        if (["balance", "nowrap", "pretty", "wrap"].includes(value)) return "<text-wrap>";
+
+        return "<text-color>";
+    }
+
+    if (root === "font") {
+        if (FONT_WEIGHTS.includes(value) || /^\[\d+\]$/.test(value)) return "<font-weight>";
+
+        return "<font-family>";
+    }
+
+    if (root === "border") {
+        const side = /^([xytrblse])(?:-(.+))?$/.exec(value);
+        const width = side ? side[2] || "" : value;
+
+        if (width === "" || isLengthValue(width)) return "<border-width>";
+
+        if (!side && LINE_STYLES.includes(value)) return "<border-style>";
+
+        return "<border-color>";
+    }
+
+    if (root === "divide") {
+        if (/^[xy](-reverse)?$|^[xy]-/.test(value) || value === "" || isLengthValue(value)) return "<divide-width>";
+
+        if (LINE_STYLES.includes(value)) return "<divide-style>";
+
+        return "<divide-color>";
+    }
+
+    if (root === "bg") {
+        if (["fixed", "local", "scroll"].includes(value)) return "<bg-attachment>";
+
+        if (value === "none" || /^(gradient-to|linear|radial|conic)(-|$)/.test(value) || /^\[(image:|url\()/.test(value)) return "<bg-image>";
+
+        if (["auto", "contain", "cover"].includes(value) || /^\[(length|size):/.test(value)) return "<bg-size>";
+
+        if (BG_POSITIONS.includes(value) || /^\[position:/.test(value)) return "<bg-position>";
+
+        if (/^(no-)?repeat(-|$)/.test(value)) return "<bg-repeat>";
+
+        return "<bg-color>";
+    }
+
+    if (root === "ring") {
+        const offset = /^offset(?:-(.+))?$/.exec(value);
+
+        if (offset) return !offset[1] || isLengthValue(offset[1]) ? "<ring-offset-width>" : "<ring-offset-color>";
+
+        return value === "" || value === "inset" || isLengthValue(value) ? "<ring-width>" : "<ring-color>";
+    }
+
+    if (root === "outline") {
+        if (value === "" || LINE_STYLES.includes(value)) return "<outline-style>";
+
+        if (value.startsWith("offset-")) return "<outline-offset>";
+
+        return isLengthValue(value) ? "<outline-width>" : "<outline-color>";
+    }
+
+    if (root === "shadow") return value === "" || theme.shadows.has(value) ? "<shadow-size>" : "<shadow-color>";
+
+    if (root === "decoration") {
+        if (["clone", "slice"].includes(value)) return "box-decoration-";
+
+        if (LINE_STYLES.includes(value)) return "<decoration-style>";
+
+        return value === "auto" || value === "from-font" || isLengthValue(value) ? "<decoration-thickness>" : "<decoration-color>";
+    }
+
+    if (root === "stroke") return isLengthValue(value) ? "<stroke-width>" : "<stroke-color>";
+
+    if (root === "flex") {
+        if (value === "") return "flex";
+
+        if (/^(row|col)(-reverse)?$/.test(value)) return "<flex-direction>";
+
+        return /^(wrap|wrap-reverse|nowrap)$/.test(value) ? "<flex-wrap>" : "<flex>";
+    }
+
+    // content-none / content-['x'] set `content`, the other values align content
+    return value === "none" || /^[[(]/.test(value) ? "<content>" : "<align-content>";
+};
+
+/**
+ * Find the rank of a name in an ordered list of exact names and "-" prefixes
+ * @param {Map<string, number>} ranks - Exact entries and their rank
+ * @param {Array<[string, number]>} prefixes - Prefix entries and their rank, longest first
+ * @param {string} name - Utility or variant name
+ * @returns {number|undefined} - Rank, or undefined when nothing matches
+ */
+const findRank = (ranks, prefixes, name) => {
+    if (ranks.has(name)) return ranks.get(name);
+
+    const prefix = prefixes.find(([entry]) => name.startsWith(entry));
+
+    return prefix ? prefix[1] : undefined;
+};
+
+/**
+ * Build the official order lookup tables of a theme (components, core utilities,
+ * plugin utilities, then arbitrary properties; variants with the theme's breakpoints)
+ * @param {Object} theme - Theme from getTailwindTheme
+ * @returns {Object} - Lookup tables
+ */
+const getOfficialOrder = (theme) => {
+    if (officialOrderCache.has(theme)) return officialOrderCache.get(theme);
+
+    const toTables = (entries) => {
+        const ranks = new Map();
+        const prefixes = [];
+
+        entries.forEach((entry, index) => {
+            if (entry.endsWith("-") || entry.endsWith("[")) prefixes.push([entry, index]);
+
+            if (!ranks.has(entry)) ranks.set(entry, index);
+        });
+
+        return { end: entries.length, prefixes: prefixes.sort(([a], [b]) => b.length - a.length), ranks };
+    };
+
+    const utilities = toTables(["container", ...theme.components, ...TAILWIND_CORE_ORDER, ...theme.utilities]);
+    const variants = toTables([
+        ...TAILWIND_VARIANT_ORDER.flatMap((entry) => {
+            if (entry === "<breakpoints>") {
+                return [
+                    ...[...theme.breakpoints].reverse().map((name) => `max-${name}`),
+                    "max-[",
+                    ...theme.breakpoints,
+                    "min-[",
+                ];
+            }
+
+            if (entry === "<containers>") {
+                return [
+                    ...[...theme.containers].reverse().map((name) => `@max-${name}`),
+                    "@max-[",
+                    ...theme.containers.map((name) => `@${name}`),
+                    "@min-[",
+                    "@[",
+                ];
+            }
+
+            return [entry];
+        }),
+        ...theme.variants,
+        "[",
+    ]);
+
+    const officialOrder = { utilities, variants };
+
+    officialOrderCache.set(theme, officialOrder);
+
+    return officialOrder;
+};
+
+/**
+ * Get the official order rank of a utility (without variants)
+ * @param {string} utility - Utility name (may have a leading `-`)
+ * @param {Object} theme - Theme from getTailwindTheme
+ * @returns {number} - Rank, or UNKNOWN_RANK for classes that are not Tailwind utilities
+ */
+const getUtilityRank = (utility, theme) => {
+    const { utilities } = getOfficialOrder(theme);
+    const name = utility.replace(/^-/, "");
+    const unmodifiedName = name.replace(/\/[\w.-]+$/, "");
+
+    // Arbitrary properties ([mask-type:luminance]) come after every other utility
+    if (/^\[[a-z-]+:[^\]]+\]$/.test(name)) return utilities.end;
+
+    // Modifiers (`@container/main`, `text-lg/7`) do not change the utility
+    const rank = findRank(utilities.ranks, utilities.prefixes, unmodifiedName);
+
+    if (rank !== undefined) return rank;
+
+    const valueUtility = getValueUtility(unmodifiedName, theme);
+
+    return valueUtility ? utilities.ranks.get(valueUtility) : UNKNOWN_RANK;
+};
+
+/**
+ * Get the official order rank of a variant (`group-hover/item` ranks as `group-`)
+ * @param {string} variant - Variant name
+ * @param {Object} theme - Theme from getTailwindTheme
+ * @returns {number} - Rank (unknown variants sort last)
+ */
+const getVariantRank = (variant, theme) => {
+    const { variants } = getOfficialOrder(theme);
+    const name = variant.startsWith("[") ? variant : variant.replace(/\/[\w-]+$/, "");
+    const rank = findRank(variants.ranks, variants.prefixes, name);
+
+    return rank === undefined ? variants.end : rank;
+};
+
+/**
+ * Compare two classes in the official Tailwind order
+ * Non-Tailwind classes come first, then utilities without variants, then variant classes.
+ * Stacked variants compare like Tailwind's variant bitmask: by their latest variant first.
+ * @param {string} a - First class
+ * @param {string} b - Second class
+ * @param {Object} theme - Theme from getTailwindTheme
+ * @returns {number} - Sort comparison result
+ */
+const compareOfficialOrder = (a, b, theme) => {
+    const getSortKey = (cls) => {
+        const { utility, variants } = parseTailwindClass(cls);
+
+        return {
+            utilityRank: getUtilityRank(utility, theme),
+            variantRanks: variants.map((variant) => getVariantRank(variant, theme)).sort((x, y) => y - x),
+        };
+    };
+
+    const keyA = getSortKey(a);
+    const keyB = getSortKey(b);
+
+    if (keyA.utilityRank === UNKNOWN_RANK || keyB.utilityRank === UNKNOWN_RANK) {
+        // Non-Tailwind classes keep their relative order
+        return (keyB.utilityRank === UNKNOWN_RANK) - (keyA.utilityRank === UNKNOWN_RANK);
+    }
+
+    for (let i = 0; i < Math.max(keyA.variantRanks.length, keyB.variantRanks.length); i += 1) {
+        if (keyA.variantRanks[i] === undefined) return -1;
+
+        if (keyB.variantRanks[i] === undefined) return 1;
+
+        if (keyA.variantRanks[i] !== keyB.variantRanks[i]) return keyA.variantRanks[i] - keyB.variantRanks[i];
+    }
+
+    if (keyA.utilityRank !== keyB.utilityRank) return keyA.utilityRank - keyB.utilityRank;
+
+    return a.localeCompare(b);
+};
+
 /**
  * Check if a class string looks like Tailwind CSS classes
+ * With a theme, utilities and variants it defines (custom colors, plugins, `@utility`) count too.
  * @param {string} classString - The string to check
+ * @param {Object|null} [theme] - Theme from getTailwindTheme
  * @returns {boolean} - True if the string appears to contain Tailwind classes
  */
-export const looksLikeTailwindClasses = (classString) => {
+export const looksLikeTailwindClasses = (classString, theme = null) => {
     if (!classString || typeof classString !== "string") return false;
 
     const classes = classString.trim().split(/\s+/).filter(Boolean);
@@ -137,6 +617,8 @@ export const looksLikeTailwindClasses = (classString) => {
     let tailwindMatches = 0;
 
     for (const cls of classes) {
+        const matchesBefore = tailwindMatches;
+
         // Check against Tailwind patterns
         for (const pattern of TAILWIND_PATTERNS) {
             if (pattern.test(cls)) {
@@ -152,6 +634,11 @@ export const looksLikeTailwindClasses = (classString) => {
                 break;
             }
         }
+
+        // Check against the configured theme
+        if (theme && tailwindMatches === matchesBefore && getUtilityRank(parseTailwindClass(cls).utility, theme) !== UNKNOWN_RANK) {
+            tailwindMatches += 1;
+        }
     }
 
     // Consider it Tailwind if at least MIN_TAILWIND_MATCHES classes match
@@ -171,56 +658,206 @@ export const isClassRelatedName = (name) => /class/i.test(name);
  * Smart check: either name suggests classes OR content looks like Tailwind
  * @param {string} name - Variable name (can be null)
  * @param {string} content - String content to check
+ * @param {Object|null} [theme] - Theme from getTailwindTheme
  * @returns {boolean} - True if this appears to be class-related
  */
-export const isClassRelated = (name, content) => isClassRelatedName(name || "") || looksLikeTailwindClasses(content);
+export const isClassRelated = (name, content, theme = null) => isClassRelatedName(name || "") || looksLikeTailwindClasses(content, theme);
+
+/**
+ * Check if a single token looks like a class rather than a word of text
+ * Tailwind utilities count with any variants, as do `group` / `peer` markers and custom classes
+ * joined by a hyphen or underscore (`btn-primary`, `card__title`); plain words (`Submit`, `the`) do not.
+ * @param {string} token - One whitespace-separated token
+ * @param {Object|null} [theme] - Theme from getTailwindTheme
+ * @returns {boolean} - True if the token looks like a class
+ */
+export const looksLikeClassName = (token, theme = null) => {
+    const { utility } = parseTailwindClass(token);
+
+    return looksLikeTailwindClasses(utility, theme)
+        || /^(group|peer)(\/[\w-]+)?$/.test(utility)
+        || /^-?[a-z][a-z0-9]*([_-]+[a-z0-9]+)+$/.test(utility);
+};
+
+/**
+ * Get the group of a variant in the recommended order
+ * @param {string} variant - Variant name
+ * @returns {string} - "responsive", "state" or "dark"
+ */
+const getVariantGroup = (variant) => {
+    if (RESPONSIVE_VARIANT_PATTERN.test(variant)) return "responsive";
+
+    return variant === "dark" ? "dark" : "state";
+};
+
+/**
+ * Get the priority of a variant in the recommended order: responsive variants by size
+ * (breakpoints ascending, then min-*, max-* descending, container queries), then states, then dark
+ * @param {string} variant - Variant name
+ * @returns {number} - Priority (lower = earlier)
+ */
+const getVariantPriority = (variant) => {
+    const name = variant.startsWith("[") ? variant : variant.replace(/\/[\w-]+$/, "");
+    const group = getVariantGroup(name);
+
+    if (group === "dark") return 3000;
+
+    if (group === "state") {
+        const exactIndex = STATE_VARIANT_ORDER.indexOf(name);
+        const prefixIndex = STATE_VARIANT_ORDER.findIndex((entry) => /[-[]$/.test(entry) && name.startsWith(entry));
+        const index = exactIndex !== -1 ? exactIndex : prefixIndex;
+
+        return 2000 + (index === -1 ? STATE_VARIANT_ORDER.length : index);
+    }
+
+    const [, containerSize] = /^@(.*)$/.exec(name) || [];
+    const [, maxSize] = /^max-(.*)$/.exec(name) || [];
+    const [, largeBreakpoint] = /^(\d)xl$/.exec(name) || [];
+
+    if (containerSize !== undefined) {
+        const index = CONTAINER_ORDER.indexOf(containerSize);
+
+        return 1300 + (index === -1 ? CONTAINER_ORDER.length : index);
+    }
+
+    if (maxSize !== undefined) {
+        const index = BREAKPOINT_ORDER.indexOf(maxSize);
+
+        return 1200 + (index === -1 ? BREAKPOINT_ORDER.length : BREAKPOINT_ORDER.length - 1 - index);
+    }
+
+    if (name.startsWith("min-")) return 1100;
+
+    if (largeBreakpoint !== undefined) return 1000 + Number(largeBreakpoint) + BREAKPOINT_ORDER.length;
+
+    return 1000 + BREAKPOINT_ORDER.indexOf(name);
+};
+
+/**
+ * Get the variant priorities of a class, most significant first
+ * (`hover:md:flex` and `md:hover:flex` both give [md, hover])
+ * @param {string[]} variants - Variants of the class
+ * @returns {number[]} - Priorities in ascending order
+ */
+const getVariantStackPriorities = (variants) => variants.map(getVariantPriority).sort((a, b) => a - b);
+
+/**
+ * Reorder the variant stack of every class in a class string to a canonical group order
+ * Stacks with structural variants (`*:`, `before:`, `[&_p]:`) are left as written,
+ * since moving those changes the generated selector. Whitespace is preserved.
+ * @param {string} classString - Class string
+ * @param {string[]} groupOrder - Variant groups from first to last (e.g., ["responsive", "state", "dark"])
+ * @returns {string} - Class string with canonical variant stacks
+ */
+export const orderVariantStacks = (classString, groupOrder) => classString.replace(/\S+/g, (cls) => {
+    const { variants } = parseTailwindClass(cls);
+
+    if (variants.length < 2 || variants.some((variant) => STRUCTURAL_VARIANT_PATTERN.test(variant))) return cls;
+
+    const getGroupRank = (variant) => {
+        const index = groupOrder.indexOf(getVariantGroup(variant));
+
+        return index === -1 ? groupOrder.length : index;
+    };
+
+    const ordered = variants
+        .map((variant, index) => ({ index, rank: getGroupRank(variant), variant }))
+        .sort((a, b) => a.rank - b.rank || a.index - b.index)
+        .map(({ variant }) => variant);
+
+    return `${ordered.join(":")}${cls.slice(variants.join(":").length)}`;
+});
 
 /**
  * Get the order priority for a Tailwind class
+ * Variant classes are grouped by their most significant variant (responsive, then state, then dark).
  * @param {string} cls - The class name
  * @returns {number} - The order priority (lower = earlier)
  */
 export const getClassOrder = (cls) => {
+    const { utility, variants } = parseTailwindClass(cls);
+
     // Check for responsive/state variants - they go at the end
-    if (/^(sm|md|lg|xl|2xl):/.test(cls)) return 200;
+    if (variants.length > 0) {
+        const [primaryPriority] = getVariantStackPriorities(variants);
 
-    if (/^(hover|focus|active|disabled|visited|first|last|odd|even|group-):/.test(cls)) return 210;
+        if (primaryPriority < 2000) return 200;
 
-    if (/^dark:/.test(cls)) return 220;
+        return primaryPriority < 3000 ? 210 : 220;
+    }
 
     // Check exact matches first
-    if (TAILWIND_ORDER[cls] !== undefined) return TAILWIND_ORDER[cls];
+    if (TAILWIND_ORDER[utility] !== undefined) return TAILWIND_ORDER[utility];
 
     // Check prefix matches
-    for (const [prefix, order] of Object.entries(TAILWIND_ORDER)) {
-        if (prefix.endsWith("-") && cls.startsWith(prefix)) return order;
-    }
+    const prefix = TAILWIND_ORDER_PREFIXES.find((entry) => utility.startsWith(entry));
+
+    if (prefix) return TAILWIND_ORDER[prefix];
+
+    // Arbitrary properties ([mask-type:luminance]) go after known classes
+    if (/^\[[a-z-]+:[^\]]+\]$/.test(utility)) return 175;
 
     // Unknown classes go before variants but after known classes
     return 180;
 };
 
+/**
+ * Compare two classes for sorting
+ * Without a theme, classes follow the plugin's recommended grouping (getClassOrder);
+ * with a theme (settings["code-style"].tailwindConfig), they follow the official Tailwind order.
+ * @param {string} a - First class
+ * @param {string} b - Second class
+ * @param {Object|null} [theme] - Theme from getTailwindTheme
+ * @returns {number} - Sort comparison result
+ */
+export const compareTailwindClasses = (a, b, theme = null) => {
+    if (theme) return compareOfficialOrder(a, b, theme);
+
+    const orderA = getClassOrder(a);
+    const orderB = getClassOrder(b);
+
+    if (orderA !== orderB) return orderA - orderB;
+
+    // Variant classes: by variant stack (md before lg, md before md:hover), then by the utility
+    const classA = parseTailwindClass(a);
+    const classB = parseTailwindClass(b);
+
+    if (classA.variants.length > 0) {
+        const prioritiesA = getVariantStackPriorities(classA.variants);
+        const prioritiesB = getVariantStackPriorities(classB.variants);
+
+        for (let i = 0; i < Math.max(prioritiesA.length, prioritiesB.length); i += 1) {
+            if (prioritiesA[i] === undefined) return -1;
+
+            if (prioritiesB[i] === undefined) return 1;
+
+            if (prioritiesA[i] !== prioritiesB[i]) return prioritiesA[i] - prioritiesB[i];
+        }
+
+        const utilityOrderA = getClassOrder(classA.utility);
+        const utilityOrderB = getClassOrder(classB.utility);
+
+        if (utilityOrderA !== utilityOrderB) return utilityOrderA - utilityOrderB;
+    }
+
+    // Same priority - sort alphabetically for consistency
+    return a.localeCompare(b);
+};
+
 /**
  * Sort Tailwind classes according to recommended order
  * @param {string} classString - Space-separated class string
+ * @param {Object|null} [theme] - Theme from getTailwindTheme
  * @returns {string} - Sorted class string
  */
-export const sortTailwindClasses = (classString) => {
+export const sortTailwindClasses = (classString, theme = null) => {
     if (!classString || typeof classString !== "string") return classString;
 
     const classes = classString.trim().split(/\s+/).filter(Boolean);
 
     if (classes.length <= 1) return classString;
 
-    const sorted = [...classes].sort((a, b) => {
-        const orderA = getClassOrder(a);
-        const orderB = getClassOrder(b);
-
-        if (orderA !== orderB) return orderA - orderB;
-
-        // Same priority - sort alphabetically for consistency
-        return a.localeCompare(b);
-    });
+    const sorted = [...classes].sort((a, b) => compareTailwindClasses(a, b, theme));
 
     return sorted.join(" ");
 };
@@ -228,14 +865,179 @@ export const sortTailwindClasses = (classString) => {
 /**
  * Check if classes need reordering
  * @param {string} classString - Space-separated class string
+ * @param {Object|null} [theme] - Theme from getTailwindTheme
  * @returns {boolean} - True if classes are not in correct order
  */
-export const needsReordering = (classString) => {
+export const needsReordering = (classString, theme = null) => {
     if (!classString || typeof classString !== "string") return false;
 
     // Normalize whitespace (newlines, multiple spaces) to single spaces for comparison
     const normalized = classString.trim().split(/\s+/).filter(Boolean).join(" ");
-    const sorted = sortTailwindClasses(normalized);
+    const sorted = sortTailwindClasses(normalized, theme);
 
     return normalized !== sorted;
 };
+
+/**
+ * Get the CSS property group a utility sets, so two utilities of the same group conflict
+ * (`p-2` / `p-4`, `flex` / `hidden`, `text-sm` / `text-lg`). Sides and axes are kept apart:
+ * `border-t-2` and `border-2` set different properties.
+ * @param {string} utility - Utility without variants or `!`
+ * @param {Object|null} theme - Theme from getTailwindTheme
+ * @returns {string|null} - Property group, or null when the utility is unknown or sets unrelated properties
+ */
+const getPropertyGroup = (utility, theme) => {
+    const name = utility.replace(/^-/, "").replace(/\/[\w.-]+$/, "");
+    const arbitraryProperty = /^\[([a-z-]+):[^\]]+\]$/.exec(name);
+
+    if (arbitraryProperty) return `[${arbitraryProperty[1]}]`;
+
+    if (PROPERTY_GROUP_BY_UTILITY.has(name)) return PROPERTY_GROUP_BY_UTILITY.get(name);
+
+    // Exact entries share the group of their prefix (`rounded` / `rounded-lg`, `shrink` / `shrink-0`)
+    const exactEntry = TAILWIND_CORE_ORDER.includes(name) && !name.endsWith("-") ? name : null;
+    const entry = exactEntry && TAILWIND_CORE_ORDER.includes(`${exactEntry}-`)
+        ? `${exactEntry}-`
+        : exactEntry
+            || TAILWIND_CORE_PREFIXES.find((prefix) => name.startsWith(prefix))
+            || getValueUtility(name, theme || DEFAULT_VALUE_THEME);
+
+    if (!entry || MIXED_UTILITIES.includes(entry) || name === "ring-inset") return null;
+
+    // `space-x-reverse` / `divide-y-reverse` flip the direction instead of setting the size
+    if (name.endsWith("-reverse") && entry !== "<flex-direction>" && entry !== "<flex-wrap>") return null;
+
+    const value = name.startsWith(entry) ? name.slice(entry.length) : name.replace(/^[a-z]+-?/, "");
+
+    if (entry === "rounded-") {
+        const [, corner = ""] = /^(ss|se|ee|es|tl|tr|br|bl|s|e|t|r|b|l)(?:-|$)/.exec(value) || [];
+
+        return `${entry}${corner}`;
+    }
+
+    if (entry === "<border-width>" || entry === "<border-color>") {
+        const [, side = ""] = /^border-([xytrblse])(?:-|$)/.exec(name) || [];
+
+        return `${entry}${side}`;
+    }
+
+    if (entry === "<divide-width>" || AXIS_UTILITIES.includes(entry)) {
+        const [, axis = ""] = /^(?:divide-)?([xyz])(?:-|$)/.exec(entry === "<divide-width>" ? name : value) || [];
+
+        return `${entry}${axis}`;
+    }
+
+    if (SEGMENT_UTILITIES.includes(entry)) return `${entry}${value.split("-")[0]}`;
+
+    return entry;
+};
+
+/**
+ * Find classes overridden by a later class setting the same CSS property under the same variants
+ * Variant stacks match regardless of order unless they contain structural variants (`*:`, `before:`),
+ * and important classes (`!p-4`) only conflict with other important classes.
+ * @param {string[]} classes - Classes in source order
+ * @param {Object|null} [theme] - Theme from getTailwindTheme
+ * @returns {Array<{overridden: number, winner: number}>} - Indexes of each overridden class and the class that wins
+ */
+export const getClassConflicts = (classes, theme = null) => {
+    const keys = classes.map((cls) => {
+        const { important, utility, variants } = parseTailwindClass(cls);
+        const group = getPropertyGroup(utility, theme);
+
+        if (!group) return null;
+
+        const isStructural = variants.some((variant) => STRUCTURAL_VARIANT_PATTERN.test(variant));
+        const stack = isStructural ? variants.join(":") : [...variants].sort().join(":");
+
+        return `${important ? "!" : ""}${stack}|${group}`;
+    });
+
+    const winners = new Map();
+
+    keys.forEach((key, index) => {
+        if (key) winners.set(key, index);
+    });
+
+    return keys.flatMap((key, index) => {
+        if (!key || winners.get(key) === index) return [];
+
+        return [{ overridden: index, winner: winners.get(key) }];
+    });
+};
+
+/**
+ * Find utility pairs that collapse into a shorthand (`px-4 py-4` → `p-4`, `w-8 h-8` → `size-8`)
+ * Both classes need the same value, variant stack, `!` and sign. Pairs are left alone when another
+ * class of the same stack already sets the shorthand or one of the pair's utilities, since
+ * collapsing would change which class wins.
+ * @param {string[]} classes - Classes in source order
+ * @returns {Array<{indexes: number[], shorthand: string}>} - Indexes of the classes each shorthand replaces
+ */
+export const getShorthandMerges = (classes) => {
+    const parseItem = (cls, indexes) => {
+        const { variants } = parseTailwindClass(cls);
+        const stack = variants.map((variant) => `${variant}:`).join("");
+        const [, leadingBang, sign, utility, trailingBang] = /^(!?)(-?)(.*?)(!?)$/.exec(cls.slice(stack.length));
+
+        return { cls, important: `${leadingBang}${trailingBang}`, indexes, leadingBang, sign, stack, trailingBang, utility };
+    };
+
+    // Value of a utility under a prefix: "4" for `px-4`, "" for `border-t`, null when it does not match
+    const getValue = (utility, prefix) => {
+        if (utility === prefix.slice(0, -1)) return "";
+
+        return utility.startsWith(prefix) ? utility.slice(prefix.length) : null;
+    };
+
+    const findMerge = (items) => {
+        for (const [first, second, shorthand] of SHORTHAND_PAIRS) {
+            for (let i = 0; i < items.length; i += 1) {
+                const item = items[i];
+                const value = getValue(item.utility, first);
+
+                if (value === null || (shorthand === "size-" && AXIS_SPECIFIC_SIZE_PATTERN.test(value))) continue;
+
+                const isSameGroup = (other) => other.stack === item.stack && other.important === item.important;
+                const j = items.findIndex((other) => isSameGroup(other)
+                    && other.sign === item.sign
+                    && getValue(other.utility, second) === value
+                    && other.utility === (value ? `${second}${value}` : second.slice(0, -1)));
+
+                if (j === -1) continue;
+
+                const isBlocked = items.some((other, k) => k !== i && k !== j && isSameGroup(other)
+                    && [first, second, shorthand].some((prefix) => getValue(other.utility, prefix) !== null));
+
+                if (isBlocked) continue;
+
+                const utility = value ? `${shorthand}${value}` : shorthand.slice(0, -1);
+                const merged = parseItem(
+                    `${item.stack}${item.leadingBang}${item.sign}${utility}${item.trailingBang}`,
+                    [...item.indexes, ...items[j].indexes].sort((a, b) => a - b),
+                );
+
+                return items.flatMap((other, k) => {
+                    if (k === j) return [];
+
+                    return k === i ? [merged] : [other];
+                });
+            }
+        }
+
+        return null;
+    };
+
+    let items = classes.map((cls, index) => parseItem(cls, [index]));
+    let merged = findMerge(items);
+
+    while (merged) {
+        items = merged;
+        merged = findMerge(items);
+    }
+
+    return items
+        .filter((item) => item.indexes.length > 1)
+        .map((item) => ({ indexes: item.indexes, shorthand: item.cls }))
+        .sort((a, b) => a.indexes[0] - b.indexes[0]);
+};
@@ -0,0 +1,105 @@
+import { createRequire } from "module";
+import nodePath from "path";
+
+// TypeScript modules keyed by working directory. The plugin has no dependencies, so
+// the project's own copy is used (the one @typescript-eslint/parser builds programs with).
+const typescriptCache = new Map();
+
+/**
+ * Load the TypeScript module installed in the linted project
+ * @param {string} cwd - ESLint working directory
+ * @returns {Object|null} - TypeScript module, or null when it is not installed
+ */
+const loadTypeScript = (cwd) => {
+    if (!typescriptCache.has(cwd)) {
+        let ts = null;
+
+        try {
+            ts = createRequire(nodePath.join(cwd, "package.json"))("typescript");
+        } catch {
+            ts = null;
+        }
+
+        typescriptCache.set(cwd, ts);
+    }
+
+    return typescriptCache.get(cwd);
+};
+
+/**
+ * Get the TypeScript type information of the linted file
+ * Available when the file is parsed by @typescript-eslint/parser with
+ * `parserOptions.projectService` or `parserOptions.project`; rules with a `typeAware`
+ * option fall back to their name-based checks for files without it.
+ * @param {Object} context - ESLint rule context
+ * @returns {{checker: Object, esTreeNodeToTSNodeMap: Object, program: Object, ts: Object}|null} - Type services, or null without type information
+ */
+export const getTypeServices = (context) => {
+    const sourceCode = context.sourceCode || context.getSourceCode();
+    const parserServices = sourceCode.parserServices || context.parserServices;
+
+    if (!parserServices || !parserServices.program || !parserServices.esTreeNodeToTSNodeMap) return null;
+
+    const ts = loadTypeScript(context.cwd || process.cwd());
+
+    if (!ts) return null;
+
+    return {
+        checker: parserServices.program.getTypeChecker(),
+        esTreeNodeToTSNodeMap: parserServices.esTreeNodeToTSNodeMap,
+        program: parserServices.program,
+        ts,
+    };
+};
+
+/**
+ * Resolve an import alias to the symbol it points to
+ * @param {Object} checker - TypeScript type checker
+ * @param {Object} ts - TypeScript module
+ * @param {Object|undefined} symbol - TypeScript symbol
+ * @returns {Object|undefined} - Aliased symbol, or the symbol itself
+ */
+export const resolveAliasedSymbol = (checker, ts, symbol) => (symbol && symbol.flags & ts.SymbolFlags.Alias
+    ? checker.getAliasedSymbol(symbol)
+    : symbol);
+
+// Return types that make a callable a component (FC, ComponentType, render functions
+// typed as components) rather than a callback
+const COMPONENT_RETURN_TYPE_NAMES = new Set(["Element", "ReactElement", "ReactNode", "ReactPortal"]);
+
+/**
+ * Classify a value by its resolved type
+ * `null` and `undefined` are ignored, so `Maybe<boolean>` and optional props count as booleans.
+ * @param {{checker: Object, esTreeNodeToTSNodeMap: Object, ts: Object}} typeServices - Type services from getTypeServices
+ * @param {Object} node - ESTree node of the value (identifier, property key...)
+ * @returns {"boolean"|"callback"|null} - Kind of value, or null for any other type
+ */
+export const getValueKind = ({ checker, esTreeNodeToTSNodeMap, ts }, node) => {
+    const tsNode = esTreeNodeToTSNodeMap.get(node);
+
+    if (!tsNode) return null;
+
+    const type = checker.getNonNullableType(checker.getTypeAtLocation(tsNode));
+    const parts = type.isUnion() ? type.types : [type];
+
+    if (type.flags & ts.TypeFlags.Never) return null;
+
+    if (parts.every((part) => part.flags & ts.TypeFlags.BooleanLike)) return "boolean";
+
+    const isComponentSignature = (signature) => {
+        const returnType = signature.getReturnType();
+        const returnParts = returnType.isUnion() ? returnType.types : [returnType];
+
+        return [returnType, ...returnParts].some((part) => {
+            const symbol = part.aliasSymbol || part.symbol;
+
+            return Boolean(symbol) && COMPONENT_RETURN_TYPE_NAMES.has(symbol.name);
+        });
+    };
+
+    const isCallback = parts.every((part) => part.getConstructSignatures().length === 0
+        && part.getCallSignatures().length > 0
+        && !part.getCallSignatures().some(isComponentSignature));
+
+    return isCallback ? "callback" : null;
+};